@@ -4,10 +4,10 @@
 import * as fs from 'node:fs/promises';
 
 import { AccessLogToFile, AccessLogToSyslog, ConnectionRateLimiter,
-  DataRateLimiter, EventFan, HostRouter, MemoryMonitor, PathRouter,
-  ProcessIdFile, ProcessInfoFile, Redirector, RequestDelay, RequestFilter,
-  RequestRateLimiter, SerialRouter, SimpleResponse, StaticFiles, SuffixRouter,
-  SyslogToFile }
+  DataRateLimiter, EventFan, HostRouter, MemoryMonitor, MetricsExporter,
+  PathRouter, ProcessIdFile, ProcessInfoFile, Redirector, RequestDelay,
+  RequestFilter, RequestRateLimiter, SerialRouter, SimpleResponse, StaticFiles,
+  SuffixRouter, SyslogToFile }
   from '@lactoserv/webapp-builtins';
 
 
@@ -175,6 +175,7 @@ const applications = [
       '/*':                 'myStaticFun',
       '/bonk/*':            'myStaticFun',
       '/florp/*':           'myStaticFunNo404',
+      '/metrics':           'myMetrics',
       '/resp/empty-body/*': 'responseEmptyBody',
       '/resp/no-body/*':    'responseNoBody',
       '/resp/dir-only/':    'responseDirOnly',
@@ -221,6 +222,10 @@ const applications = [
 
   // Component apps used by the above.
 
+  {
+    name:  'myMetrics',
+    class: MetricsExporter
+  },
   {
     name:           'myStaticFun',
     class:          StaticFiles,
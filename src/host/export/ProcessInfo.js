@@ -5,6 +5,7 @@ import { memoryUsage, pid as processPid, ppid as processPpid, uptime }
   from 'node:process';
 
 import { WallClock } from '@this/clocky';
+import { Gauge, MetricsRegistry } from '@this/metricy';
 import { ByteCount, Duration, Moment } from '@this/quant';
 
 import { ThisModule } from '#p/ThisModule';
@@ -32,6 +33,14 @@ export class ProcessInfo {
    */
   static #fixedInfo = null;
 
+  /**
+   * Has {@link #metricFamilies} been added as a collector to the standard
+   * metrics registry?
+   *
+   * @type {boolean}
+   */
+  static #metricsAdded = false;
+
   /** @returns {object} All process info, as a JSON-encodable object. */
   static get allInfo() {
     this.#makeFixedInfo();
@@ -57,6 +66,30 @@ export class ProcessInfo {
     return { memoryUsage: memoryInfo, uptime: uptimeInfo };
   }
 
+  /**
+   * @returns {Array<object>} Metrics about the process, in the plain-object
+   * form described by `BaseMetric` (in module `metricy`). The names follow the
+   * conventions used by the standard Prometheus client libraries.
+   */
+  static get metricFamilies() {
+    const { external, heapTotal, heapUsed, rss } = memoryUsage();
+    const gauge = (name, help, value) => Gauge.makeFamily(name, help, [{ value }]);
+
+    return [
+      gauge('process_start_time_seconds',
+        'Start time of the process since the Unix epoch, in seconds.',
+        this.#startedAt.atSec),
+      gauge('process_resident_memory_bytes',
+        'Resident memory size, in bytes.', rss),
+      gauge('nodejs_heap_size_total_bytes',
+        'Total size of the JavaScript heap, in bytes.', heapTotal),
+      gauge('nodejs_heap_size_used_bytes',
+        'Used size of the JavaScript heap, in bytes.', heapUsed),
+      gauge('nodejs_external_memory_bytes',
+        'Memory used by C++ objects bound to JavaScript objects, in bytes.', external)
+    ];
+  }
+
   /** @returns {Moment} The moment that the process started. */
   static get startedAt() {
     return this.#startedAt;
@@ -72,6 +105,11 @@ export class ProcessInfo {
    */
   static init() {
     this.#makeFixedInfo();
+
+    if (!this.#metricsAdded) {
+      MetricsRegistry.DEFAULT.addCollector(() => this.metricFamilies);
+      this.#metricsAdded = true;
+    }
   }
 
   /**
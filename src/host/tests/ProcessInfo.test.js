@@ -2,6 +2,7 @@
 // SPDX-License-Identifier: Apache-2.0
 
 import { ProcessInfo } from '@this/host';
+import { MetricsRegistry } from '@this/metricy';
 import { Duration, Moment } from '@this/quant';
 import { AskIf } from '@this/typey';
 
@@ -34,6 +35,24 @@ describe('.ephemeralInfo', () => {
   });
 });
 
+describe('.metricFamilies', () => {
+  test('includes the process start time', () => {
+    const got   = ProcessInfo.metricFamilies;
+    const start = got.find((f) => (f.name === 'process_start_time_seconds'));
+
+    expect(start.type).toBe('gauge');
+    expect(start.samples[0].value).toBe(ProcessInfo.startedAt.atSec);
+  });
+
+  test('includes only gauges with a single unlabeled sample', () => {
+    for (const { type, samples } of ProcessInfo.metricFamilies) {
+      expect(type).toBe('gauge');
+      expect(samples).toBeArrayOfSize(1);
+      expect(samples[0].labels).toStrictEqual({});
+    }
+  });
+});
+
 describe('.startedAt', () => {
   test('returns a `Moment`', () => {
     const got = ProcessInfo.startedAt;
@@ -52,4 +71,15 @@ describe('init()', () => {
   test('does not throw', () => {
     expect(() => ProcessInfo.init()).not.toThrow();
   });
+
+  test('adds the process metrics to the standard registry, just once', () => {
+    ProcessInfo.init();
+    ProcessInfo.init();
+
+    const got = MetricsRegistry.DEFAULT.collect()
+      .filter((f) => (f.name === 'process_start_time_seconds'));
+
+    expect(got).toBeArrayOfSize(1);
+    expect(got[0].samples).toBeArrayOfSize(1);
+  });
 });
@@ -0,0 +1,305 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { Methods, MustBe } from '@this/typey';
+
+
+/**
+ * Base class for metrics, that is, named and typed sets of measurements (one
+ * per distinct set of label values). In OpenMetrics terms, an instance of this
+ * class is a "metric family."
+ *
+ * Metrics get converted into a plain-object form for rendering (via
+ * {@link #collect}), which is also what "collectors" (see `MetricsRegistry`)
+ * produce. That form is an object with the following bindings:
+ *
+ * * `{string} name` -- The name of the metric.
+ * * `{string} help` -- Human-oriented description of the metric.
+ * * `{string} type` -- The OpenMetrics type of the metric, e.g. `counter`.
+ * * `{Array<{ name: string, labels: object, value: number }>} samples` -- The
+ *   individual samples, where each `name` is the metric name possibly with a
+ *   type-specific suffix (e.g. `_total`), and each `labels` is a plain object
+ *   which maps label names to string values. (The one exception is the `le`
+ *   label of histogram buckets, whose values are numbers.)
+ *
+ * Subclasses provide type-specific methods to update values, and the static
+ * method {@link #makeFamily} can be used (via a subclass) to produce the
+ * plain-object form directly from values which are tracked elsewhere.
+ */
+export class BaseMetric {
+  /**
+   * The name of this metric.
+   *
+   * @type {string}
+   */
+  #name;
+
+  /**
+   * Human-oriented description of this metric.
+   *
+   * @type {string}
+   */
+  #help;
+
+  /**
+   * The names of the labels which distinguish the values of this metric.
+   *
+   * @type {Array<string>}
+   */
+  #labelNames;
+
+  /**
+   * Map from each label key (see {@link #labelKey}) to the labels and value
+   * for it.
+   *
+   * @type {Map<string, { labels: object, value: * }>}
+   */
+  #entries = new Map();
+
+  /**
+   * Constructs an instance.
+   *
+   * @param {object} options Construction options.
+   * @param {string} options.name The name of the metric. This must be a valid
+   *   OpenMetrics metric name, and it must not include a type-specific suffix
+   *   (such as `_total` for counters).
+   * @param {string} options.help Human-oriented description of the metric.
+   * @param {Array<string>} [options.labelNames] The names of the labels which
+   *   distinguish the values of the metric. Default `[]`.
+   */
+  constructor(options) {
+    const { name, help, labelNames = [] } = options;
+
+    this.#name       = BaseMetric.#mustBeMetricName(name);
+    this.#help       = MustBe.string(help);
+    this.#labelNames = Object.freeze([...MustBe.arrayOfString(labelNames)]);
+
+    for (const n of this.#labelNames) {
+      this.constructor.checkLabelName(n);
+    }
+
+    if (new Set(this.#labelNames).size !== this.#labelNames.length) {
+      throw new Error(`Duplicate label name in metric \`${name}\`.`);
+    }
+  }
+
+  /** @returns {string} Human-oriented description of this metric. */
+  get help() {
+    return this.#help;
+  }
+
+  /**
+   * @returns {Array<string>} The names of the labels which distinguish the
+   * values of this metric. The result is frozen.
+   */
+  get labelNames() {
+    return this.#labelNames;
+  }
+
+  /** @returns {string} The name of this metric. */
+  get name() {
+    return this.#name;
+  }
+
+  /** @returns {string} The OpenMetrics type of this metric. */
+  get type() {
+    return this.constructor.type;
+  }
+
+  /**
+   * Gets the plain-object form of this metric, as described in the class
+   * header.
+   *
+   * @returns {object} The plain-object form.
+   */
+  collect() {
+    const entries = [...this.#entries.values()].map(({ labels, value }) => {
+      return { labels, value: this._impl_exportValue(value) };
+    });
+
+    return this.constructor.makeFamily(this.#name, this.#help, entries);
+  }
+
+  /**
+   * Gets the exported form of the value for the given labels, in the same form
+   * as is accepted by {@link #makeFamily}. If there is not yet a value for the
+   * labels, this returns the initial value (e.g. `0` for a counter).
+   *
+   * @param {?object} [labels] Labels of the value, or `null` for a metric
+   *   without labels.
+   * @returns {*} The value.
+   */
+  get(labels = null) {
+    const entry = this.#entries.get(this.#labelKey(labels));
+
+    return this._impl_exportValue(entry ? entry.value : this._impl_initialValue());
+  }
+
+  /**
+   * Converts a value as stored by this instance into the form used for
+   * export. The base implementation returns the value as-is.
+   *
+   * @param {*} value The stored value.
+   * @returns {*} The exported form.
+   */
+  _impl_exportValue(value) {
+    return value;
+  }
+
+  /**
+   * Gets the initial value to store for a newly-seen set of labels.
+   *
+   * @abstract
+   * @returns {*} The initial value.
+   */
+  _impl_initialValue() {
+    throw Methods.abstract();
+  }
+
+  /**
+   * Gets the entry for the given labels, creating it (with the initial value)
+   * if necessary. Subclasses use this to update their values.
+   *
+   * @param {?object} labels Labels of the value, or `null` for a metric
+   *   without labels.
+   * @returns {{ labels: object, value: * }} The entry, which subclasses may
+   *   modify.
+   */
+  _prot_entryFor(labels) {
+    const key   = this.#labelKey(labels);
+    let   entry = this.#entries.get(key);
+
+    if (!entry) {
+      const frozen = Object.freeze({ ...labels });
+      entry = { labels: frozen, value: this._impl_initialValue() };
+      this.#entries.set(key, entry);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Validates the given labels against this instance's label names, and
+   * produces a string key for them.
+   *
+   * @param {?object} labels The labels.
+   * @returns {string} The key.
+   * @throws {Error} Thrown if `labels` doesn't match this instance's label
+   *   names.
+   */
+  #labelKey(labels) {
+    labels ??= {};
+
+    const names  = this.#labelNames;
+    const values = names.map((n) => labels[n]);
+
+    if (   (Object.keys(labels).length !== names.length)
+        || !values.every((v) => (typeof v === 'string'))) {
+      throw new Error(
+        `Labels for metric \`${this.#name}\` must be exactly: ${names.join(', ') || '(none)'}`);
+    }
+
+    return JSON.stringify(values);
+  }
+
+
+  //
+  // Static members
+  //
+
+  /**
+   * @returns {string} The OpenMetrics type name of this class's type.
+   * Subclasses should not override this; instead they should override
+   * {@link #_impl_type}.
+   */
+  static get type() {
+    return this._impl_type();
+  }
+
+  /**
+   * Checks a label name for validity, for this class's type. Subclasses should
+   * not override this; instead they should override
+   * {@link #_impl_checkLabelName}.
+   *
+   * @param {string} name The label name.
+   * @throws {Error} Thrown if `name` is not valid.
+   */
+  static checkLabelName(name) {
+    this._impl_checkLabelName(name);
+  }
+
+  /**
+   * Makes the plain-object form of a metric of this class's type, as
+   * described in the class header, from the given values.
+   *
+   * @param {string} name The name of the metric.
+   * @param {string} help Human-oriented description of the metric.
+   * @param {Array<{ labels: ?object, value: * }>} entries The values, each
+   *   with its labels (`null` or omitted for no labels). Each `value` is in the
+   *   form appropriate for this class, e.g. a number for a counter.
+   * @returns {object} The plain-object form.
+   */
+  static makeFamily(name, help, entries) {
+    name = BaseMetric.#mustBeMetricName(name);
+    MustBe.string(help);
+
+    const samples = [];
+
+    for (const { labels = null, value } of entries) {
+      for (const l of Object.keys(labels ?? {})) {
+        this.checkLabelName(l);
+      }
+
+      samples.push(...this._impl_samplesFor(name, labels ?? {}, value));
+    }
+
+    return { name, help, type: this.type, samples };
+  }
+
+  /**
+   * Checks a label name for validity, for this class's type.
+   *
+   * @param {string} name The label name.
+   * @throws {Error} Thrown if `name` is not valid.
+   */
+  static _impl_checkLabelName(name) {
+    if (!/^[a-zA-Z_][a-zA-Z0-9_]*$/.test(name) || name.startsWith('__')) {
+      throw new Error(`Invalid label name: ${name}`);
+    }
+  }
+
+  /**
+   * Produces the samples for a single value of a metric of this class's type.
+   *
+   * @abstract
+   * @param {string} name The name of the metric.
+   * @param {object} labels The labels of the value.
+   * @param {*} value The value.
+   * @returns {Array<{ name: string, labels: object, value: number }>} The
+   *   samples.
+   */
+  static _impl_samplesFor(name, labels, value) {
+    throw Methods.abstract(name, labels, value);
+  }
+
+  /**
+   * Gets the OpenMetrics type name of this class's type.
+   *
+   * @abstract
+   * @returns {string} The type name.
+   */
+  static _impl_type() {
+    throw Methods.abstract();
+  }
+
+  /**
+   * Checks that the given value is a valid metric name.
+   *
+   * @param {*} name The alleged name.
+   * @returns {string} `name`, if valid.
+   * @throws {Error} Thrown if `name` is not valid.
+   */
+  static #mustBeMetricName(name) {
+    return MustBe.string(name, /^[a-zA-Z_:][a-zA-Z0-9_:]*$/);
+  }
+}
@@ -0,0 +1,49 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { MustBe } from '@this/typey';
+
+import { BaseMetric } from '#x/BaseMetric';
+
+
+/**
+ * Counter metric, that is, a cumulative value which only ever goes up (unless
+ * the process restarts). Values are numbers. Per OpenMetrics convention, the
+ * samples of a counter have the suffix `_total`.
+ */
+export class Counter extends BaseMetric {
+  // @defaultConstructor
+
+  /**
+   * Increments the value for the given labels.
+   *
+   * @param {number} [amount] The amount to increment by. Must be non-negative.
+   *   Default `1`.
+   * @param {?object} [labels] Labels of the value, or `null` for a metric
+   *   without labels.
+   */
+  inc(amount = 1, labels = null) {
+    MustBe.number(amount, { finite: true, minInclusive: 0 });
+    this._prot_entryFor(labels).value += amount;
+  }
+
+  /** @override */
+  _impl_initialValue() {
+    return 0;
+  }
+
+
+  //
+  // Static members
+  //
+
+  /** @override */
+  static _impl_samplesFor(name, labels, value) {
+    return [{ name: `${name}_total`, labels, value: MustBe.number(value) }];
+  }
+
+  /** @override */
+  static _impl_type() {
+    return 'counter';
+  }
+}
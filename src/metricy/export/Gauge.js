@@ -0,0 +1,69 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { MustBe } from '@this/typey';
+
+import { BaseMetric } from '#x/BaseMetric';
+
+
+/**
+ * Gauge metric, that is, a current measurement which can go up and down.
+ * Values are numbers.
+ */
+export class Gauge extends BaseMetric {
+  // @defaultConstructor
+
+  /**
+   * Decrements the value for the given labels.
+   *
+   * @param {number} [amount] The amount to decrement by. Default `1`.
+   * @param {?object} [labels] Labels of the value, or `null` for a metric
+   *   without labels.
+   */
+  dec(amount = 1, labels = null) {
+    this.inc(-amount, labels);
+  }
+
+  /**
+   * Increments the value for the given labels.
+   *
+   * @param {number} [amount] The amount to increment by. Default `1`.
+   * @param {?object} [labels] Labels of the value, or `null` for a metric
+   *   without labels.
+   */
+  inc(amount = 1, labels = null) {
+    MustBe.number(amount, { finite: true });
+    this._prot_entryFor(labels).value += amount;
+  }
+
+  /**
+   * Sets the value for the given labels.
+   *
+   * @param {number} value The new value.
+   * @param {?object} [labels] Labels of the value, or `null` for a metric
+   *   without labels.
+   */
+  set(value, labels = null) {
+    this._prot_entryFor(labels).value = MustBe.number(value);
+  }
+
+  /** @override */
+  _impl_initialValue() {
+    return 0;
+  }
+
+
+  //
+  // Static members
+  //
+
+  /** @override */
+  static _impl_samplesFor(name, labels, value) {
+    return [{ name, labels, value: MustBe.number(value) }];
+  }
+
+  /** @override */
+  static _impl_type() {
+    return 'gauge';
+  }
+}
@@ -0,0 +1,153 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { AskIf, MustBe } from '@this/typey';
+
+import { BaseMetric } from '#x/BaseMetric';
+
+
+/**
+ * Histogram metric, that is, a distribution of observed values, counted in
+ * buckets with fixed upper boundaries, along with the total count and sum of
+ * the observations.
+ *
+ * The exported form of a value (as accepted by {@link #makeFamily} and
+ * returned by {@link #get}) is a plain object with the following bindings:
+ *
+ * * `{Array<{ le: number, count: number }>} buckets` -- Cumulative buckets,
+ *   that is, each `count` is the number of observations less than or equal to
+ *   the bucket's `le`. The last bucket has `le === Number.POSITIVE_INFINITY`.
+ *   (When passed to {@link #makeFamily}, this last bucket is optional.)
+ * * `{number} count` -- The total number of observations.
+ * * `{number} sum` -- The sum of all observations.
+ */
+export class Histogram extends BaseMetric {
+  /**
+   * Upper boundaries of the buckets, not including the final infinite one.
+   *
+   * @type {Array<number>}
+   */
+  #bounds;
+
+  /**
+   * Constructs an instance.
+   *
+   * @param {object} options Construction options. This accepts all the options
+   *   defined by {@link BaseMetric}, plus the following.
+   * @param {Array<number>} [options.buckets] Upper boundaries of the buckets,
+   *   in ascending order, not including the final infinite one. Defaults to a
+   *   set of boundaries which is suitable for durations in seconds of network
+   *   operations.
+   */
+  constructor(options) {
+    super(options);
+
+    const { buckets = Histogram.#DEFAULT_BUCKETS } = options;
+
+    MustBe.arrayOf(buckets, (b) => AskIf.number(b, { finite: true }));
+
+    for (let i = 1; i < buckets.length; i++) {
+      if (buckets[i] <= buckets[i - 1]) {
+        throw new Error('Histogram buckets must be in ascending order.');
+      }
+    }
+
+    this.#bounds = Object.freeze([...buckets]);
+  }
+
+  /**
+   * Records an observation for the given labels.
+   *
+   * @param {number} value The observed value.
+   * @param {?object} [labels] Labels of the value, or `null` for a metric
+   *   without labels.
+   */
+  observe(value, labels = null) {
+    MustBe.number(value, { finite: true });
+
+    const state = this._prot_entryFor(labels).value;
+    let   at    = this.#bounds.findIndex((b) => (value <= b));
+
+    if (at === -1) {
+      at = this.#bounds.length;
+    }
+
+    state.counts[at]++;
+    state.count++;
+    state.sum += value;
+  }
+
+  /** @override */
+  _impl_exportValue(value) {
+    const bounds  = [...this.#bounds, Number.POSITIVE_INFINITY];
+    const buckets = [];
+    let   count   = 0;
+
+    for (let i = 0; i < bounds.length; i++) {
+      count += value.counts[i];
+      buckets.push({ le: bounds[i], count });
+    }
+
+    return { buckets, count: value.count, sum: value.sum };
+  }
+
+  /** @override */
+  _impl_initialValue() {
+    return {
+      counts: Array(this.#bounds.length + 1).fill(0),
+      count:  0,
+      sum:    0
+    };
+  }
+
+
+  //
+  // Static members
+  //
+
+  /**
+   * Default bucket boundaries.
+   *
+   * @type {Array<number>}
+   */
+  static #DEFAULT_BUCKETS =
+    Object.freeze([0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10]);
+
+  /** @override */
+  static _impl_checkLabelName(name) {
+    if (name === 'le') {
+      throw new Error('Histograms cannot have a label named `le`.');
+    }
+
+    super._impl_checkLabelName(name);
+  }
+
+  /** @override */
+  static _impl_samplesFor(name, labels, value) {
+    const { buckets, count, sum } = value;
+    const samples = [];
+
+    for (const { le, count: bucketCount } of buckets) {
+      samples.push({ name: `${name}_bucket`, labels: { ...labels, le }, value: bucketCount });
+    }
+
+    if (buckets.at(-1)?.le !== Number.POSITIVE_INFINITY) {
+      samples.push({
+        name:   `${name}_bucket`,
+        labels: { ...labels, le: Number.POSITIVE_INFINITY },
+        value:  count
+      });
+    }
+
+    samples.push(
+      { name: `${name}_count`, labels, value: MustBe.number(count) },
+      { name: `${name}_sum`,   labels, value: MustBe.number(sum) });
+
+    return samples;
+  }
+
+  /** @override */
+  static _impl_type() {
+    return 'histogram';
+  }
+}
@@ -0,0 +1,185 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { MustBe } from '@this/typey';
+
+import { BaseMetric } from '#x/BaseMetric';
+import { Counter } from '#x/Counter';
+import { Gauge } from '#x/Gauge';
+import { Histogram } from '#x/Histogram';
+
+
+/**
+ * Registry of metrics, which is what gets rendered (e.g., by a metrics
+ * endpoint). A registry holds two kinds of things:
+ *
+ * * Metrics per se (instances of {@link BaseMetric}), which are updated as
+ *   things happen. These are created via the registry itself (e.g. via
+ *   {@link #counter}), such that asking for the same metric twice gets the same
+ *   instance.
+ * * Collectors, which are functions that get called when the registry is
+ *   collected, to produce metrics on demand from state which is tracked
+ *   elsewhere. A collector returns an array of metrics in the plain-object form
+ *   described by {@link BaseMetric}.
+ *
+ * Most code is expected to use the standard instance of this class,
+ * {@link #DEFAULT}.
+ */
+export class MetricsRegistry {
+  /**
+   * Map from each name to the metric with that name.
+   *
+   * @type {Map<string, BaseMetric>}
+   */
+  #metrics = new Map();
+
+  /**
+   * The registered collectors.
+   *
+   * @type {Set<function(): Array<object>>}
+   */
+  #collectors = new Set();
+
+  // @defaultConstructor
+
+  /**
+   * Adds a collector. Adding a collector which is already present has no
+   * effect.
+   *
+   * @param {function(): Array<object>} collector The collector.
+   */
+  addCollector(collector) {
+    this.#collectors.add(MustBe.callableFunction(collector));
+  }
+
+  /**
+   * Collects all the metrics in this instance, including calling all the
+   * collectors. Metrics with the same name (e.g., from multiple collectors)
+   * get merged. The result is in order by name.
+   *
+   * @returns {Array<object>} The metrics, in the plain-object form described by
+   *   {@link BaseMetric}.
+   * @throws {Error} Thrown if there were metrics with the same name but
+   *   different types, or if a collector threw.
+   */
+  collect() {
+    const families = new Map();
+
+    const add = (family) => {
+      const { name, type, samples } = family;
+      const already = families.get(name);
+
+      if (!already) {
+        families.set(name, { ...family, samples: [...samples] });
+      } else if (already.type !== type) {
+        throw new Error(`Metric \`${name}\` has conflicting types: ${already.type}, ${type}`);
+      } else {
+        already.samples.push(...samples);
+      }
+    };
+
+    for (const metric of this.#metrics.values()) {
+      add(metric.collect());
+    }
+
+    for (const collector of this.#collectors) {
+      for (const family of collector()) {
+        add(family);
+      }
+    }
+
+    return [...families.values()].sort((a, b) => (a.name < b.name) ? -1 : 1);
+  }
+
+  /**
+   * Gets the counter with the given options, creating it if necessary.
+   *
+   * @param {object} options Construction options, as with {@link Counter}.
+   * @returns {Counter} The counter.
+   * @throws {Error} Thrown if there is already a metric with the same name
+   *   but which is not a counter or has different label names.
+   */
+  counter(options) {
+    return this.#metric(Counter, options);
+  }
+
+  /**
+   * Gets the gauge with the given options, creating it if necessary.
+   *
+   * @param {object} options Construction options, as with {@link Gauge}.
+   * @returns {Gauge} The gauge.
+   * @throws {Error} Thrown if there is already a metric with the same name
+   *   but which is not a gauge or has different label names.
+   */
+  gauge(options) {
+    return this.#metric(Gauge, options);
+  }
+
+  /**
+   * Gets the histogram with the given options, creating it if necessary.
+   *
+   * **Note:** If the histogram already exists, its buckets are not changed,
+   * even if `options.buckets` is different.
+   *
+   * @param {object} options Construction options, as with {@link Histogram}.
+   * @returns {Histogram} The histogram.
+   * @throws {Error} Thrown if there is already a metric with the same name
+   *   but which is not a histogram or has different label names.
+   */
+  histogram(options) {
+    return this.#metric(Histogram, options);
+  }
+
+  /**
+   * Removes a collector. Removing a collector which isn't present has no
+   * effect.
+   *
+   * @param {function(): Array<object>} collector The collector.
+   */
+  removeCollector(collector) {
+    this.#collectors.delete(collector);
+  }
+
+  /**
+   * Helper for the metric-getting methods.
+   *
+   * @param {function(new:BaseMetric)} cls The class of the metric.
+   * @param {object} options Construction options.
+   * @returns {BaseMetric} The metric.
+   */
+  #metric(cls, options) {
+    const { name, labelNames = [] } = options;
+    const already = this.#metrics.get(name);
+
+    if (!already) {
+      const metric = new cls(options);
+      this.#metrics.set(name, metric);
+      return metric;
+    }
+
+    if (!(already instanceof cls)) {
+      throw new Error(`Metric \`${name}\` already exists with a different type.`);
+    } else if (already.labelNames.join(',') !== labelNames.join(',')) {
+      throw new Error(`Metric \`${name}\` already exists with different label names.`);
+    }
+
+    return already;
+  }
+
+
+  //
+  // Static members
+  //
+
+  /**
+   * The standard instance.
+   *
+   * @type {MetricsRegistry}
+   */
+  static #DEFAULT = new MetricsRegistry();
+
+  /** @returns {MetricsRegistry} The standard instance. */
+  static get DEFAULT() {
+    return this.#DEFAULT;
+  }
+}
@@ -0,0 +1,109 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { MustBe } from '@this/typey';
+
+
+/**
+ * Renderer of metrics in the OpenMetrics text format. See
+ * <https://github.com/prometheus/OpenMetrics/blob/main/specification/OpenMetrics.md>
+ * for the specification.
+ */
+export class OpenMetrics {
+  /**
+   * The content type (MIME type) of the OpenMetrics text format.
+   *
+   * @type {string}
+   */
+  static #CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+  /**
+   * @returns {string} The content type (MIME type) of the OpenMetrics text
+   * format.
+   */
+  static get CONTENT_TYPE() {
+    return this.#CONTENT_TYPE;
+  }
+
+  /**
+   * Renders the given metrics in the OpenMetrics text format, including the
+   * final `# EOF` line.
+   *
+   * @param {Array<object>} families The metrics, in the plain-object form
+   *   described by `BaseMetric` (e.g. as returned from
+   *   `MetricsRegistry.collect()`). Each name must only appear once.
+   * @returns {string} The rendered form.
+   */
+  static render(families) {
+    const lines = [];
+
+    for (const { name, help, type, samples } of MustBe.array(families)) {
+      lines.push(`# TYPE ${name} ${type}`);
+      lines.push(`# HELP ${name} ${this.#escape(help)}`);
+
+      for (const sample of samples) {
+        lines.push(this.#renderSample(sample));
+      }
+    }
+
+    lines.push('# EOF', '');
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Escapes a string for use as a label value or help text.
+   *
+   * @param {string} s The string to escape.
+   * @returns {string} The escaped form.
+   */
+  static #escape(s) {
+    return s.replace(/[\\"\n]/g, (c) => {
+      switch (c) {
+        case '\n': return '\\n';
+        default:   return `\\${c}`;
+      }
+    });
+  }
+
+  /**
+   * Renders a number in the form required by OpenMetrics.
+   *
+   * @param {number} n The number.
+   * @returns {string} The rendered form.
+   */
+  static #renderNumber(n) {
+    if (n === Number.POSITIVE_INFINITY) {
+      return '+Inf';
+    } else if (n === Number.NEGATIVE_INFINITY) {
+      return '-Inf';
+    } else {
+      // Note: This covers `NaN` too.
+      return `${n}`;
+    }
+  }
+
+  /**
+   * Renders a single sample line.
+   *
+   * @param {{ name: string, labels: object, value: number }} sample The
+   *   sample.
+   * @returns {string} The rendered form.
+   */
+  static #renderSample(sample) {
+    const { name, labels, value } = sample;
+    const labelStrings = Object.entries(labels).map(([k, v]) => {
+      const valueString = (typeof v === 'number')
+        ? this.#renderNumber(v)
+        : this.#escape(MustBe.string(v));
+
+      return `${k}="${valueString}"`;
+    });
+
+    const labelsString = (labelStrings.length === 0)
+      ? ''
+      : `{${labelStrings.join(',')}}`;
+
+    return `${name}${labelsString} ${this.#renderNumber(MustBe.number(value))}`;
+  }
+}
@@ -0,0 +1,9 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+export * from '#x/BaseMetric';
+export * from '#x/Counter';
+export * from '#x/Gauge';
+export * from '#x/Histogram';
+export * from '#x/MetricsRegistry';
+export * from '#x/OpenMetrics';
@@ -0,0 +1,145 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { BaseMetric, Counter } from '@this/metricy';
+
+
+describe('constructor()', () => {
+  test('accepts valid options', () => {
+    expect(() => new Counter({ name: 'florp', help: 'Florps.' })).not.toThrow();
+    expect(() => new Counter({ name: 'a:b_c', help: '', labelNames: ['x', 'y_z'] })).not.toThrow();
+  });
+
+  test('produces an instance of `BaseMetric`', () => {
+    expect(new Counter({ name: 'florp', help: 'x' })).toBeInstanceOf(BaseMetric);
+  });
+
+  test.each`
+  options
+  ${{ help: 'x' }}
+  ${{ name: 'florp' }}
+  ${{ name: '1florp', help: 'x' }}
+  ${{ name: 'flo-rp', help: 'x' }}
+  ${{ name: 'florp', help: 'x', labelNames: ['a-b'] }}
+  ${{ name: 'florp', help: 'x', labelNames: ['__x'] }}
+  ${{ name: 'florp', help: 'x', labelNames: ['a', 'a'] }}
+  ${{ name: 'florp', help: 'x', labelNames: 'a' }}
+  `('throws given $options', ({ options }) => {
+    expect(() => new Counter(options)).toThrow();
+  });
+});
+
+describe('.help, .labelNames, .name, .type', () => {
+  test('are as expected', () => {
+    const counter = new Counter({ name: 'florp', help: 'Florps.', labelNames: ['a'] });
+
+    expect(counter.help).toBe('Florps.');
+    expect(counter.labelNames).toStrictEqual(['a']);
+    expect(counter.labelNames).toBeFrozen();
+    expect(counter.name).toBe('florp');
+    expect(counter.type).toBe('counter');
+  });
+});
+
+describe('inc()', () => {
+  test('increments by `1` by default', () => {
+    const counter = new Counter({ name: 'florp', help: 'x' });
+
+    counter.inc();
+    counter.inc();
+    expect(counter.get()).toBe(2);
+  });
+
+  test('increments by the given amount', () => {
+    const counter = new Counter({ name: 'florp', help: 'x' });
+
+    counter.inc(10);
+    counter.inc(0.5);
+    expect(counter.get()).toBe(10.5);
+  });
+
+  test('keeps separate values per label set', () => {
+    const counter = new Counter({ name: 'florp', help: 'x', labelNames: ['a'] });
+
+    counter.inc(1, { a: 'x' });
+    counter.inc(2, { a: 'y' });
+    counter.inc(3, { a: 'x' });
+    expect(counter.get({ a: 'x' })).toBe(4);
+    expect(counter.get({ a: 'y' })).toBe(2);
+    expect(counter.get({ a: 'z' })).toBe(0);
+  });
+
+  test.each`
+  amount
+  ${-1}
+  ${Number.POSITIVE_INFINITY}
+  ${NaN}
+  ${'1'}
+  `('throws given amount $amount', ({ amount }) => {
+    const counter = new Counter({ name: 'florp', help: 'x' });
+    expect(() => counter.inc(amount)).toThrow();
+  });
+
+  test.each`
+  labels
+  ${null}
+  ${{}}
+  ${{ b: 'x' }}
+  ${{ a: 'x', b: 'y' }}
+  ${{ a: 1 }}
+  `('throws given mismatched labels $labels', ({ labels }) => {
+    const counter = new Counter({ name: 'florp', help: 'x', labelNames: ['a'] });
+    expect(() => counter.inc(1, labels)).toThrow();
+  });
+});
+
+describe('collect()', () => {
+  test('produces the expected form, with `_total` samples', () => {
+    const counter = new Counter({ name: 'florp', help: 'Florps.', labelNames: ['a'] });
+
+    counter.inc(1, { a: 'x' });
+    counter.inc(5, { a: 'y' });
+
+    expect(counter.collect()).toStrictEqual({
+      name:    'florp',
+      help:    'Florps.',
+      type:    'counter',
+      samples: [
+        { name: 'florp_total', labels: { a: 'x' }, value: 1 },
+        { name: 'florp_total', labels: { a: 'y' }, value: 5 }
+      ]
+    });
+  });
+
+  test('produces no samples before anything is counted', () => {
+    const counter = new Counter({ name: 'florp', help: 'x' });
+    expect(counter.collect().samples).toStrictEqual([]);
+  });
+});
+
+describe('Counter.makeFamily()', () => {
+  test('produces the expected form', () => {
+    const family = Counter.makeFamily('zonk', 'Zonks.', [
+      { labels: { a: 'x' }, value: 12 },
+      { value: 34 }
+    ]);
+
+    expect(family).toStrictEqual({
+      name:    'zonk',
+      help:    'Zonks.',
+      type:    'counter',
+      samples: [
+        { name: 'zonk_total', labels: { a: 'x' }, value: 12 },
+        { name: 'zonk_total', labels: {}, value: 34 }
+      ]
+    });
+  });
+
+  test('throws given an invalid name', () => {
+    expect(() => Counter.makeFamily('x y', 'x', [])).toThrow();
+  });
+
+  test('throws given an invalid label name', () => {
+    expect(() => Counter.makeFamily('zonk', 'x', [{ labels: { 'x-y': 'z' }, value: 1 }])).toThrow();
+  });
+});
@@ -0,0 +1,69 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { Gauge } from '@this/metricy';
+
+
+describe('.type', () => {
+  test('is `gauge`', () => {
+    expect(new Gauge({ name: 'florp', help: 'x' }).type).toBe('gauge');
+  });
+});
+
+describe('set()', () => {
+  test('sets the value', () => {
+    const gauge = new Gauge({ name: 'florp', help: 'x' });
+
+    gauge.set(123);
+    expect(gauge.get()).toBe(123);
+    gauge.set(-4.5);
+    expect(gauge.get()).toBe(-4.5);
+  });
+
+  test('keeps separate values per label set', () => {
+    const gauge = new Gauge({ name: 'florp', help: 'x', labelNames: ['a'] });
+
+    gauge.set(1, { a: 'x' });
+    gauge.set(2, { a: 'y' });
+    expect(gauge.get({ a: 'x' })).toBe(1);
+    expect(gauge.get({ a: 'y' })).toBe(2);
+  });
+
+  test('throws given a non-number', () => {
+    const gauge = new Gauge({ name: 'florp', help: 'x' });
+    expect(() => gauge.set('1')).toThrow();
+  });
+});
+
+describe('inc() and dec()', () => {
+  test('move the value up and down', () => {
+    const gauge = new Gauge({ name: 'florp', help: 'x' });
+
+    gauge.inc();
+    gauge.inc(10);
+    gauge.dec();
+    gauge.dec(3);
+    expect(gauge.get()).toBe(7);
+  });
+
+  test('allow the value to go negative', () => {
+    const gauge = new Gauge({ name: 'florp', help: 'x' });
+
+    gauge.dec(2);
+    expect(gauge.get()).toBe(-2);
+  });
+});
+
+describe('collect()', () => {
+  test('produces the expected form', () => {
+    const gauge = new Gauge({ name: 'florp', help: 'Florps.' });
+
+    gauge.set(5);
+    expect(gauge.collect()).toStrictEqual({
+      name:    'florp',
+      help:    'Florps.',
+      type:    'gauge',
+      samples: [{ name: 'florp', labels: {}, value: 5 }]
+    });
+  });
+});
@@ -0,0 +1,102 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { Histogram } from '@this/metricy';
+
+
+describe('constructor()', () => {
+  test('accepts valid `buckets`', () => {
+    expect(() => new Histogram({ name: 'florp', help: 'x', buckets: [1, 2, 3] })).not.toThrow();
+    expect(() => new Histogram({ name: 'florp', help: 'x', buckets: [] })).not.toThrow();
+  });
+
+  test.each`
+  buckets
+  ${[2, 1]}
+  ${[1, 1]}
+  ${[1, Number.POSITIVE_INFINITY]}
+  ${['1']}
+  `('throws given `buckets === $buckets`', ({ buckets }) => {
+    expect(() => new Histogram({ name: 'florp', help: 'x', buckets })).toThrow();
+  });
+
+  test('throws given a label named `le`', () => {
+    expect(() => new Histogram({ name: 'florp', help: 'x', labelNames: ['le'] })).toThrow();
+  });
+});
+
+describe('.type', () => {
+  test('is `histogram`', () => {
+    expect(new Histogram({ name: 'florp', help: 'x' }).type).toBe('histogram');
+  });
+});
+
+describe('observe()', () => {
+  test('counts observations into cumulative buckets', () => {
+    const hist = new Histogram({ name: 'florp', help: 'x', buckets: [1, 10] });
+
+    hist.observe(0.5);
+    hist.observe(1);
+    hist.observe(5);
+    hist.observe(100);
+
+    expect(hist.get()).toStrictEqual({
+      buckets: [
+        { le: 1, count: 2 },
+        { le: 10, count: 3 },
+        { le: Number.POSITIVE_INFINITY, count: 4 }
+      ],
+      count: 4,
+      sum:   106.5
+    });
+  });
+
+  test('keeps separate values per label set', () => {
+    const hist = new Histogram({ name: 'florp', help: 'x', labelNames: ['a'], buckets: [1] });
+
+    hist.observe(0, { a: 'x' });
+    hist.observe(2, { a: 'y' });
+    expect(hist.get({ a: 'x' }).count).toBe(1);
+    expect(hist.get({ a: 'y' }).sum).toBe(2);
+  });
+
+  test('throws given a non-finite value', () => {
+    const hist = new Histogram({ name: 'florp', help: 'x' });
+    expect(() => hist.observe(Number.POSITIVE_INFINITY)).toThrow();
+  });
+});
+
+describe('collect()', () => {
+  test('produces `_bucket`, `_count`, and `_sum` samples', () => {
+    const hist = new Histogram({ name: 'florp', help: 'Florps.', labelNames: ['a'], buckets: [1] });
+
+    hist.observe(0.25, { a: 'x' });
+
+    expect(hist.collect()).toStrictEqual({
+      name:    'florp',
+      help:    'Florps.',
+      type:    'histogram',
+      samples: [
+        { name: 'florp_bucket', labels: { a: 'x', le: 1 }, value: 1 },
+        { name: 'florp_bucket', labels: { a: 'x', le: Number.POSITIVE_INFINITY }, value: 1 },
+        { name: 'florp_count', labels: { a: 'x' }, value: 1 },
+        { name: 'florp_sum', labels: { a: 'x' }, value: 0.25 }
+      ]
+    });
+  });
+});
+
+describe('Histogram.makeFamily()', () => {
+  test('adds the infinite bucket if missing', () => {
+    const family = Histogram.makeFamily('zonk', 'x', [
+      { value: { buckets: [{ le: 1, count: 2 }], count: 3, sum: 4 } }
+    ]);
+
+    expect(family.samples).toStrictEqual([
+      { name: 'zonk_bucket', labels: { le: 1 }, value: 2 },
+      { name: 'zonk_bucket', labels: { le: Number.POSITIVE_INFINITY }, value: 3 },
+      { name: 'zonk_count', labels: {}, value: 3 },
+      { name: 'zonk_sum', labels: {}, value: 4 }
+    ]);
+  });
+});
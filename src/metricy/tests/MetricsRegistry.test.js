@@ -0,0 +1,115 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { Counter, Gauge, Histogram, MetricsRegistry } from '@this/metricy';
+
+
+describe('.DEFAULT', () => {
+  test('is an instance of the class', () => {
+    expect(MetricsRegistry.DEFAULT).toBeInstanceOf(MetricsRegistry);
+  });
+
+  test('is the same every time', () => {
+    expect(MetricsRegistry.DEFAULT).toBe(MetricsRegistry.DEFAULT);
+  });
+});
+
+describe.each`
+method         | cls
+${'counter'}   | ${Counter}
+${'gauge'}     | ${Gauge}
+${'histogram'} | ${Histogram}
+`('$method()', ({ method, cls }) => {
+  test('creates a metric of the expected class', () => {
+    const reg = new MetricsRegistry();
+    expect(reg[method]({ name: 'florp', help: 'x' })).toBeInstanceOf(cls);
+  });
+
+  test('returns the same instance when asked twice', () => {
+    const reg     = new MetricsRegistry();
+    const metric1 = reg[method]({ name: 'florp', help: 'x', labelNames: ['a'] });
+    const metric2 = reg[method]({ name: 'florp', help: 'x', labelNames: ['a'] });
+
+    expect(metric2).toBe(metric1);
+  });
+
+  test('throws if the name is used with different label names', () => {
+    const reg = new MetricsRegistry();
+
+    reg[method]({ name: 'florp', help: 'x', labelNames: ['a'] });
+    expect(() => reg[method]({ name: 'florp', help: 'x', labelNames: ['b'] })).toThrow();
+  });
+
+  test('throws if the name is used by a different type', () => {
+    const reg   = new MetricsRegistry();
+    const other = (method === 'counter') ? 'gauge' : 'counter';
+
+    reg[other]({ name: 'florp', help: 'x' });
+    expect(() => reg[method]({ name: 'florp', help: 'x' })).toThrow();
+  });
+});
+
+describe('collect()', () => {
+  test('returns an empty array for an empty instance', () => {
+    expect(new MetricsRegistry().collect()).toStrictEqual([]);
+  });
+
+  test('includes metrics and collectors, in order by name', () => {
+    const reg = new MetricsRegistry();
+
+    reg.gauge({ name: 'zonk', help: 'z' }).set(1);
+    reg.counter({ name: 'blort', help: 'b' }).inc();
+    reg.addCollector(() => [Gauge.makeFamily('florp', 'f', [{ value: 2 }])]);
+
+    expect(reg.collect().map((f) => f.name)).toStrictEqual(['blort', 'florp', 'zonk']);
+  });
+
+  test('merges same-named metrics from different collectors', () => {
+    const reg = new MetricsRegistry();
+
+    reg.addCollector(() => [Gauge.makeFamily('florp', 'f', [{ labels: { a: 'x' }, value: 1 }])]);
+    reg.addCollector(() => [Gauge.makeFamily('florp', 'f', [{ labels: { a: 'y' }, value: 2 }])]);
+
+    const result = reg.collect();
+    expect(result).toBeArrayOfSize(1);
+    expect(result[0].samples).toStrictEqual([
+      { name: 'florp', labels: { a: 'x' }, value: 1 },
+      { name: 'florp', labels: { a: 'y' }, value: 2 }
+    ]);
+  });
+
+  test('throws given same-named metrics with different types', () => {
+    const reg = new MetricsRegistry();
+
+    reg.gauge({ name: 'florp', help: 'f' });
+    reg.addCollector(() => [Counter.makeFamily('florp', 'f', [])]);
+
+    expect(() => reg.collect()).toThrow();
+  });
+
+  test('calls collectors every time', () => {
+    const reg = new MetricsRegistry();
+    let   n   = 0;
+
+    reg.addCollector(() => [Gauge.makeFamily('florp', 'f', [{ value: ++n }])]);
+
+    expect(reg.collect()[0].samples[0].value).toBe(1);
+    expect(reg.collect()[0].samples[0].value).toBe(2);
+  });
+});
+
+describe('removeCollector()', () => {
+  test('removes a collector', () => {
+    const reg       = new MetricsRegistry();
+    const collector = () => [Gauge.makeFamily('florp', 'f', [{ value: 1 }])];
+
+    reg.addCollector(collector);
+    reg.removeCollector(collector);
+    expect(reg.collect()).toStrictEqual([]);
+  });
+
+  test('does nothing given a collector which isn\'t present', () => {
+    const reg = new MetricsRegistry();
+    expect(() => reg.removeCollector(() => [])).not.toThrow();
+  });
+});
@@ -0,0 +1,76 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { Counter, Gauge, Histogram, OpenMetrics } from '@this/metricy';
+
+
+describe('.CONTENT_TYPE', () => {
+  test('is the OpenMetrics text type', () => {
+    expect(OpenMetrics.CONTENT_TYPE).toStartWith('application/openmetrics-text; version=1.0.0');
+  });
+});
+
+describe('render()', () => {
+  test('renders just `# EOF` given no metrics', () => {
+    expect(OpenMetrics.render([])).toBe('# EOF\n');
+  });
+
+  test('renders a counter', () => {
+    const counter = new Counter({ name: 'florp', help: 'Florps.', labelNames: ['a', 'b'] });
+    counter.inc(3, { a: 'x', b: 'y' });
+
+    expect(OpenMetrics.render([counter.collect()])).toBe(
+      '# TYPE florp counter\n' +
+      '# HELP florp Florps.\n' +
+      'florp_total{a="x",b="y"} 3\n' +
+      '# EOF\n');
+  });
+
+  test('renders a gauge without labels', () => {
+    const gauge = new Gauge({ name: 'florp', help: 'Florps.' });
+    gauge.set(-1.25);
+
+    expect(OpenMetrics.render([gauge.collect()])).toBe(
+      '# TYPE florp gauge\n' +
+      '# HELP florp Florps.\n' +
+      'florp -1.25\n' +
+      '# EOF\n');
+  });
+
+  test('renders a histogram', () => {
+    const hist = new Histogram({ name: 'florp', help: 'Florps.', buckets: [0.5] });
+    hist.observe(0.25);
+
+    expect(OpenMetrics.render([hist.collect()])).toBe(
+      '# TYPE florp histogram\n' +
+      '# HELP florp Florps.\n' +
+      'florp_bucket{le="0.5"} 1\n' +
+      'florp_bucket{le="+Inf"} 1\n' +
+      'florp_count 1\n' +
+      'florp_sum 0.25\n' +
+      '# EOF\n');
+  });
+
+  test('escapes label values and help text', () => {
+    const family = Gauge.makeFamily('florp', 'a\\b\n"c"', [
+      { labels: { a: 'x"y\\z\nw' }, value: 1 }
+    ]);
+
+    expect(OpenMetrics.render([family])).toBe(
+      '# TYPE florp gauge\n' +
+      '# HELP florp a\\\\b\\n\\"c\\"\n' +
+      'florp{a="x\\"y\\\\z\\nw"} 1\n' +
+      '# EOF\n');
+  });
+
+  test.each`
+  value                       | expected
+  ${Number.POSITIVE_INFINITY} | ${'+Inf'}
+  ${Number.NEGATIVE_INFINITY} | ${'-Inf'}
+  ${NaN}                      | ${'NaN'}
+  ${123}                      | ${'123'}
+  `('renders $value as `$expected`', ({ value, expected }) => {
+    const family = Gauge.makeFamily('florp', 'x', [{ value }]);
+    expect(OpenMetrics.render([family])).toContain(`\nflorp ${expected}\n`);
+  });
+});
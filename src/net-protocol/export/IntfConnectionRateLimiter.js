@@ -2,6 +2,7 @@
 // SPDX-License-Identifier: Apache-2.0
 
 import { IntfLogger } from '@this/loggy-intf';
+import { EndpointAddress } from '@this/net-util';
 import { Methods } from '@this/typey';
 
 
@@ -17,10 +18,13 @@ export class IntfConnectionRateLimiter {
    *
    * @abstract
    * @param {?IntfLogger} logger Logger to use for this action.
+   * @param {?EndpointAddress} [origin] Address of the origin (remote side) of
+   *   the connection, if known. When a connection was relayed by a trusted
+   *   proxy, this is the address of the original client.
    * @returns {boolean} Was a connection actually granted?
    */
-  async _impl_handleCall_newConnection(logger) {
-    Methods.abstract(logger);
+  async _impl_handleCall_newConnection(logger, origin) {
+    Methods.abstract(logger, origin);
   }
 
   /**
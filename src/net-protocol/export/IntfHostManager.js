@@ -1,18 +1,42 @@
 // Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
 // SPDX-License-Identifier: Apache-2.0
 
+import { X509Certificate } from 'node:crypto';
 import { SecureContext } from 'node:tls';
 
+import { PeerCertificate } from '@this/net-util';
 import { Methods } from '@this/typey';
 
 
 /**
  * Interface for "host managers" as needed by this module. These are responsible
- * for looking up hostnames and reporting back secure context information.
+ * for looking up hostnames and reporting back secure context information,
+ * including deciding which peers (clients) of TLS connections are allowed to
+ * connect, for hosts which do client certificate authentication. They also
+ * provide OCSP responses to staple and TLS session ticket keys, for hosts and
+ * systems configured to use them.
  *
  * @interface
  */
 export class IntfHostManager {
+  /**
+   * Decides whether the peer (client) of a newly-established TLS connection is
+   * allowed to proceed, and if so whether the certificate it presented (if
+   * any) is to be considered authenticated.
+   *
+   * @param {?string} serverName The name of the host that the peer asked for
+   *   (via SNI), or `null` if it didn't ask for one.
+   * @param {?X509Certificate} certificate The certificate presented by the
+   *   peer, or `null` if it didn't present one.
+   * @param {boolean} verified Was `certificate` successfully verified against
+   *   the certificate authorities of the host?
+   * @returns {{ allowed: boolean, peerCertificate: ?PeerCertificate }} The
+   *   decision, along with the authenticated certificate (if any).
+   */
+  authorizePeer(serverName, certificate, verified) {
+    Methods.abstract(serverName, certificate, verified);
+  }
+
   /**
    * Finds the TLS {@link SecureContext} to use, based on the given hostname.
    *
@@ -25,6 +49,19 @@ export class IntfHostManager {
     Methods.abstract(name);
   }
 
+  /**
+   * Gets the OCSP response to staple for the given certificate, if any. This
+   * is called during TLS handshakes, and as such should not do anything slow.
+   *
+   * @param {Buffer} certificate The DER-encoded certificate being presented to
+   *   the peer.
+   * @returns {?Buffer} The DER-encoded OCSP response to staple, or `null` if
+   *   there is none.
+   */
+  getOcspResponse(certificate) {
+    Methods.abstract(certificate);
+  }
+
   /**
    * Gets options suitable for use with `http2.createSecureServer()` and the
    * like, such that this instance will be used to find certificates and keys.
@@ -34,4 +71,33 @@ export class IntfHostManager {
   getSecureServerOptions() {
     Methods.abstract();
   }
+
+  /**
+   * Gets the current TLS session ticket keys, if this instance manages them.
+   * The keys can change over time (e.g. when they get rotated), in which case
+   * a different `Buffer` is returned.
+   *
+   * @returns {?Buffer} The current keys, in the form expected by
+   *   `tls.Server.setTicketKeys()`, or `null` if servers are to use their own
+   *   keys.
+   */
+  getTicketKeys() {
+    Methods.abstract();
+  }
+
+  /**
+   * Indicates whether a request for the given hostname, made over a TLS
+   * connection whose peer asked for the given server name, is misdirected.
+   * This is the case when the two names are served by different hosts, at
+   * least one of which does client certificate authentication, because the
+   * peer was only vetted for the host it asked for.
+   *
+   * @param {?string} serverName The name of the host that the peer asked for
+   *   (via SNI), or `null` if it didn't ask for one.
+   * @param {string} hostname The hostname of the request.
+   * @returns {boolean} `true` iff the request is misdirected.
+   */
+  isMisdirected(serverName, hostname) {
+    Methods.abstract(serverName, hostname);
+  }
 }
@@ -1,14 +1,20 @@
 // Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
 // SPDX-License-Identifier: Apache-2.0
 
+import { ServerResponse } from 'node:http';
+import { Duplex } from 'node:stream';
+import { Server as TlsServer, TLSSocket } from 'node:tls';
 import { inspect } from 'node:util';
 
-import { Threadlet } from '@this/async';
+import { Condition, PromiseUtil, Threadlet } from '@this/async';
+import { WallClock } from '@this/clocky';
 import { ProductInfo } from '@this/host';
 import { IntfLogger } from '@this/loggy-intf';
-import { FullResponse, IncomingRequest, InterfaceAddress, IntfRequestHandler,
-  RequestContext, StatusResponse, TypeNodeRequest, TypeNodeResponse }
+import { AddressSet, FullResponse, IncomingRequest, InterfaceAddress,
+  IntfRequestHandler, PeerCertificate, RequestBody, RequestContext,
+  StatusResponse, TypeNodeRequest, TypeNodeResponse, WebSocketResponse }
   from '@this/net-util';
+import { Duration } from '@this/quant';
 import { Methods, MustBe } from '@this/typey';
 
 import { IntfAccessLog } from '#x/IntfAccessLog';
@@ -16,6 +22,7 @@ import { IntfConnectionRateLimiter } from '#x/IntfConnectionRateLimiter';
 import { IntfDataRateLimiter } from '#x/IntfDataRateLimiter';
 import { IntfHostManager } from '#x/IntfHostManager';
 import { WranglerContext } from '#p/WranglerContext';
+import { WranglerMetrics } from '#p/WranglerMetrics';
 
 
 /**
@@ -79,6 +86,14 @@ export class ProtocolWrangler {
    */
   #interface;
 
+  /**
+   * How long to let in-flight requests finish when stopping, before forcing
+   * all connections closed.
+   *
+   * @type {Duration}
+   */
+  #drainTimeout;
+
   /**
    * Maximum request body allowed, in bytes, or `null` if there is no limit.
    *
@@ -86,6 +101,13 @@ export class ProtocolWrangler {
    */
   #maxRequestBodyBytes;
 
+  /**
+   * Metrics recorder, or `null` if this instance doesn't record metrics.
+   *
+   * @type {?WranglerMetrics}
+   */
+  #metrics;
+
   /**
    * Value to use for the `Server` HTTP-ish response header.
    *
@@ -93,6 +115,14 @@ export class ProtocolWrangler {
    */
   #serverHeader;
 
+  /**
+   * Addresses of reverse proxies whose forwarding headers are to be believed,
+   * or `null` to ignore forwarding headers.
+   *
+   * @type {?AddressSet}
+   */
+  #trustedProxies;
+
   /**
    * Threadlet which runs the "network stack."
    *
@@ -107,6 +137,15 @@ export class ProtocolWrangler {
    */
   #stopping = true;
 
+  /**
+   * Is this instance currently accepting connections? This becomes `false` as
+   * soon as the server socket is closed (or stashed) when stopping, which is
+   * typically well before this instance is actually stopped.
+   *
+   * @type {Condition}
+   */
+  #accepting = new Condition();
+
   /**
    * Is the system about to reload (after stopping)?
    *
@@ -114,6 +153,29 @@ export class ProtocolWrangler {
    */
   #willReload = false;
 
+  /**
+   * Set of all currently-active WebSocket responses, that is, ones whose
+   * sessions are still running.
+   *
+   * @type {Set<WebSocketResponse>}
+   */
+  #webSockets = new Set();
+
+  /**
+   * Set of the low-level response objects of all currently-in-flight requests.
+   *
+   * @type {Set<TypeNodeResponse>}
+   */
+  #requests = new Set();
+
+  /**
+   * The TLS session ticket keys most recently applied by
+   * {@link #_prot_updateTicketKeys}, if any.
+   *
+   * @type {?Buffer}
+   */
+  #ticketKeys = null;
+
   /**
    * Constructs an instance.
    *
@@ -125,36 +187,70 @@ export class ProtocolWrangler {
    *   connection rate limiting.
    * @param {IntfDataRateLimiter} options.dataRateLimiter Data rate limiter to
    *   use. If not specified, the instance won't do data rate limiting.
+   * @param {?Duration} [options.drainTimeout] How long to let in-flight
+   *   requests finish when stopping, before forcing all connections closed.
+   *   If not specified, a reasonable default is used.
    * @param {object} options.hostManager Host manager to use. Ignored for
    *   instances which don't do need to do host-based security (certs, etc.).
    * @param {InterfaceAddress} options.interface Address of the interface to
    *   listen on.
+   * @param {?object} [options.limits] Limits on requests, or `null` to use the
+   *   system defaults for all of them. If non-`null`, each of the bindings
+   *   `http2InitialWindowSize` (a `ByteCount`), `http2MaxConcurrentStreams`
+   *   (a number), `maxHeaderCount` (a number), and `maxHeaderSize` (a
+   *   `ByteCount`) is optional, with `null` meaning the system default.
    * @param {?number} [options.maxRequestBodyBytes] Maximum size allowed for a
    *   request body, in bytes, or `null` not to have a limit. Note that not
    *   having a limit is often ill-advised. If non-`null`, must be a
    *   non-negative integer.
+   * @param {?string} [options.name] Name of the endpoint which this instance
+   *   serves, used to label the metrics it records, or `null` not to record
+   *   metrics.
    * @param {string} options.protocol The name of the protocol to use.
+   * @param {?{ trustedSources: AddressSet }} [options.proxyProtocol] PROXY
+   *   protocol configuration, or `null` not to accept PROXY protocol headers.
    * @param {IntfRequestHandler} options.requestHandler Request handler. This is
    *   required.
+   * @param {?object} [options.timeouts] Connection and request timeouts, or
+   *   `null` to use the system defaults for all of them. If non-`null`, each of
+   *   the bindings `headerRead`, `idleSocket`, `keepAlive`, and `request` is an
+   *   optional `Duration`, with `null` meaning the system default.
+   * @param {?AddressSet} [options.trustedProxies] Addresses of reverse proxies
+   *   whose forwarding headers (`forwarded`, etc.) are to be believed, or
+   *   `null` to ignore forwarding headers.
+   * @param {?object} [options.unixSocket] Ownership and permissions (bindings
+   *   for `owner`, `group`, and `mode`) to apply to the socket file when
+   *   `interface` is a Unix domain socket, or `null` to leave them as-is.
    */
   constructor(options) {
-    // Note: See `TcpWrangler` for where `connectionRateLimiter` and
-    // `dataRateLimiter` are used. See `ProtocolWranglers` (plural) for where
+    // Note: See `TcpWrangler` for where `connectionRateLimiter`,
+    // `dataRateLimiter`, `limits`, `proxyProtocol`, `timeouts`, and
+    // `unixSocket` are used. See `ProtocolWranglers` (plural) for where
     // `protocol` is used.
 
     const {
       accessLog,
+      drainTimeout        = null,
       hostManager,
       interface: iface,
       maxRequestBodyBytes = null,
-      requestHandler
+      name                = null,
+      requestHandler,
+      trustedProxies      = null
     } = options;
 
     this.#accessLog      = accessLog ?? null;
+    this.#drainTimeout   = (drainTimeout === null)
+      ? ProtocolWrangler.#DEFAULT_DRAIN_TIMEOUT
+      : MustBe.instanceOf(drainTimeout, Duration);
     this.#hostManager    = hostManager ?? null;
     this.#interface      = MustBe.instanceOf(iface, InterfaceAddress);
+    this.#metrics        = (name === null) ? null : new WranglerMetrics(name);
     this.#requestHandler = MustBe.object(requestHandler);
     this.#serverHeader   = ProtocolWrangler.#makeServerHeader();
+    this.#trustedProxies = (trustedProxies === null)
+      ? null
+      : MustBe.instanceOf(trustedProxies, AddressSet);
 
     this.#maxRequestBodyBytes = (maxRequestBodyBytes === null)
       ? null
@@ -210,6 +306,13 @@ export class ProtocolWrangler {
    * thrown while running, that error in turn gets thrown by this method. If
    * this instance wasn't running in the first place, this method does nothing.
    *
+   * Stopping is done by "draining" the instance: After it stops accepting new
+   * connections, existing connections are asked to wind down (`connection:
+   * close` for HTTP1, `GOAWAY` for HTTP2), and in-flight requests are allowed
+   * to finish. If that doesn't all happen within the configured drain timeout,
+   * then all remaining connections are forced closed, abandoning whatever
+   * requests are still in flight.
+   *
    * @param {boolean} willReload Is this action due to an in-process reload
    *   being requested?
    * @throws {Error} Whatever problem occurred during running.
@@ -220,6 +323,17 @@ export class ProtocolWrangler {
     await this.#runner.stop();
   }
 
+  /**
+   * Async-returns once this instance is not accepting new connections. When
+   * stopping, this happens as soon as the server socket has been closed (or
+   * stashed, when reloading), which is typically well before {@link #stop}
+   * returns, because connections still get drained after that. If this
+   * instance isn't running, this method returns promptly.
+   */
+  async whenNotAccepting() {
+    await this.#accepting.whenFalse();
+  }
+
   /**
    * @abstract
    * @returns {object} A plain object with properties containing reasonably info
@@ -230,6 +344,19 @@ export class ProtocolWrangler {
     throw Methods.abstract();
   }
 
+  /**
+   * Forces all remaining connections closed. This is called when stopping, if
+   * the connections didn't all manage to close on their own within the drain
+   * timeout. After this is called, the pending calls to {@link
+   * #_impl_serverStop} and {@link #_impl_socketStop} are expected to
+   * async-return promptly.
+   *
+   * @abstract
+   */
+  async _impl_forceClose() {
+    Methods.abstract();
+  }
+
   /**
    * Initializes the instance.
    *
@@ -253,7 +380,8 @@ export class ProtocolWrangler {
   /**
    * Performs stop/shutdown actions specifically in service of the high-level
    * protocol (e.g. HTTP2), after it is no longer being handed connections. This
-   * should only async-return once the stack really is stopped.
+   * should ask existing connections to wind down gracefully, and it should only
+   * async-return once the stack really is stopped.
    *
    * @abstract
    * @param {boolean} willReload Is this action due to an in-process reload
@@ -275,7 +403,8 @@ export class ProtocolWrangler {
 
   /**
    * Stops the server socket, that is, closes it and makes it stop listening.
-   * This should only async-return once the socket is truly stopped / closed.
+   * This should only async-return once the socket is truly stopped / closed,
+   * and all the connections which were accepted by it have been closed.
    *
    * @abstract
    * @param {boolean} willReload Is this action due to an in-process reload
@@ -290,6 +419,14 @@ export class ProtocolWrangler {
     return this.#hostManager;
   }
 
+  /**
+   * @returns {?WranglerMetrics} The metrics recorder, or `null` if this
+   * instance doesn't record metrics.
+   */
+  get _prot_metrics() {
+    return this.#metrics;
+  }
+
   /**
    * Asks the base class to handle a request as received directly from the
    * protocol server object. This method should be called by the concrete
@@ -322,7 +459,10 @@ export class ProtocolWrangler {
       return;
     }
 
-    const requestContext = new RequestContext(this.interface, wranglerContext.origin);
+    this.#addRequest(res);
+
+    const requestContext = new RequestContext(
+      this.interface, wranglerContext.origin, wranglerContext.proxy, wranglerContext.peerCertificate);
     let   request        = null;
 
     // Responds to a problematic request with an error status of some sort,
@@ -345,6 +485,12 @@ export class ProtocolWrangler {
 
       res.statusCode = status;
 
+      if ((status === 413) && (req.httpVersionMajor === 1)) {
+        // The body didn't get read, and it's known to be too large, so there's
+        // no point in keeping the connection open just to have to slurp it.
+        res.setHeader('Connection', 'close');
+      }
+
       res.setHeader('Content-Type', 'text/plain');
       res.write(message);
       if (!message.endsWith('\n')) {
@@ -358,13 +504,15 @@ export class ProtocolWrangler {
       request = await IncomingRequest.fromNodeRequest(req, requestContext,
         {
           logger:              this.#requestLogger,
-          maxRequestBodyBytes: this.#maxRequestBodyBytes
+          maxRequestBodyBytes: this.#maxRequestBodyBytes,
+          trustedProxies:      this.#trustedProxies
         });
     } catch (e) {
       // This generally means there was something malformed about the request,
       // so we nip things in the bud here, responding with a 400 status ("Bad
-      // Request").
-      errorResponse(e, 400);
+      // Request"), or a more specific status if the problem was with the body
+      // (e.g. `413`, "Content Too Large").
+      errorResponse(e, RequestBody.statusForError(e) ?? 400);
       return;
     }
 
@@ -390,6 +538,104 @@ export class ProtocolWrangler {
     }
   }
 
+  /**
+   * Handles a newly-established TLS connection, as received directly from the
+   * protocol server object (via its `secureConnection` event). This method
+   * should be called by the concrete subclass in response to receiving such a
+   * connection, and it must be called within the connection's context (per
+   * `WranglerContext.emitInContext()`). This binds the connection context to
+   * the TLS socket, and asks the host manager whether the peer is allowed to
+   * connect (based on its client certificate, if any). If not, the connection
+   * is closed. If so, the host that the peer asked for is recorded, so that
+   * requests for other hosts can be turned away (see {@link #handleRequest}).
+   *
+   * @param {TLSSocket} socket The TLS socket.
+   */
+  _prot_incomingSecureConnection(socket) {
+    const context = WranglerContext.currentInstance;
+
+    context.bind(socket);
+
+    const { authorizationError = null, authorized, servername } = socket;
+    const certificate = socket.getPeerX509Certificate() ?? null;
+    const { allowed, peerCertificate } =
+      this.#hostManager.authorizePeer(servername || null, certificate, authorized);
+
+    if (allowed) {
+      context.peerCertificate = peerCertificate;
+      context.tlsServerName   = servername || null;
+    } else {
+      context.logger?.peerRejected({
+        serverName:  servername || null,
+        error:       authorizationError,
+        certificate: certificate ? PeerCertificate.fromX509Certificate(certificate) : null
+      });
+      socket.destroy();
+    }
+  }
+
+  /**
+   * Asks the base class to handle an HTTP1-style protocol upgrade request, as
+   * received directly from the protocol server object (via its `upgrade`
+   * event). This method should be called by the concrete subclass in response
+   * to receiving such a request. This synthesizes a response object for the
+   * request, and then proceeds as with {@link #_prot_incomingRequest}.
+   *
+   * **Note:** Just like {@link #_prot_incomingRequest}, this method aims never
+   * to `throw`.
+   *
+   * @param {TypeNodeRequest} req Request object.
+   * @param {Duplex} socket Socket for the connection.
+   * @param {Buffer} head The first bytes received after the request headers,
+   *   if any. These belong to the upgraded protocol.
+   */
+  _prot_incomingUpgrade(req, socket, head) {
+    if (head.length !== 0) {
+      socket.unshift(head);
+    }
+
+    // Node doesn't make a response object for upgrade requests, so we make one
+    // here. If the request isn't ultimately responded to by switching
+    // protocols, then the connection is closed once the response is sent,
+    // because the HTTP server no longer considers itself responsible for it.
+    const res = new ServerResponse(req);
+
+    res.assignSocket(socket);
+    res.shouldKeepAlive = false;
+    res.once('finish', () => {
+      socket.destroySoon();
+    });
+
+    this._prot_incomingRequest(req, res);
+  }
+
+  /**
+   * Handles a request by a TLS peer for a stapled OCSP response, as received
+   * directly from the protocol server object (via its `OCSPRequest` event).
+   * This method should be called by the concrete subclass in response to
+   * receiving such a request. This asks the host manager for the response to
+   * staple, if any.
+   *
+   * @param {Buffer} certificate The DER-encoded certificate being presented to
+   *   the peer.
+   * @param {?Buffer} issuer_unused The DER-encoded certificate of its issuer,
+   *   if known.
+   * @param {function(?Error, ?Buffer)} callback Callback to present with the
+   *   response.
+   */
+  _prot_incomingOcspRequest(certificate, issuer_unused, callback) {
+    let response = null;
+
+    try {
+      response = this.#hostManager.getOcspResponse(certificate);
+    } catch (e) {
+      // Not stapling is always an option, so don't fail the handshake.
+      this.#logger?.errorGettingOcspResponse(e);
+    }
+
+    callback(null, response);
+  }
+
   /**
    * Is this instance trying to stop (or has it already stopped)? This is meant
    * for subclasses to call when figuring out whether or not to allow new
@@ -402,6 +648,102 @@ export class ProtocolWrangler {
     return this.#stopping;
   }
 
+  /**
+   * Indicates that this instance is no longer accepting new connections.
+   * Concrete subclasses are expected to call this from {@link
+   * #_impl_socketStop} as soon as the server socket has been closed (or
+   * stashed), that is, without waiting for existing connections to close.
+   */
+  _prot_notAccepting() {
+    this.#accepting.value = false;
+  }
+
+  /**
+   * Applies the host manager's current TLS session ticket keys (if it has any)
+   * to the given server, if they are different than what was last applied.
+   * This method should be called by concrete subclasses which use TLS, upon
+   * receiving each new connection (before handing it to the server), so that
+   * key rotation takes effect without having to do anything more elaborate.
+   *
+   * @param {TlsServer} server The server to apply the keys to.
+   */
+  _prot_updateTicketKeys(server) {
+    const keys = this.#hostManager.getTicketKeys();
+
+    if (keys && (keys !== this.#ticketKeys)) {
+      server.setTicketKeys(keys);
+      this.#ticketKeys = keys;
+    }
+  }
+
+  /**
+   * Adds a request (represented by its low-level response object) to the set
+   * of in-flight requests, arranging for it to be removed once the response is
+   * done. If this instance is already stopping, this also arranges for the
+   * connection to be closed after the response is sent.
+   *
+   * @param {TypeNodeResponse} res Low-level response object.
+   */
+  #addRequest(res) {
+    const metrics   = this.#metrics;
+    const startTime = metrics ? WallClock.now() : null;
+
+    this.#requests.add(res);
+    metrics?.requestStarted();
+
+    res.once('close', () => {
+      this.#requests.delete(res);
+
+      if (metrics) {
+        const status = res.headersSent ? res.statusCode : null;
+        metrics.requestFinished(status, WallClock.now().subtract(startTime));
+      }
+    });
+
+    if (this.#stopping) {
+      this.#closeAfterResponse(res);
+    }
+  }
+
+  /**
+   * Arranges for the connection of the given in-flight request to be closed
+   * once its response has been sent, by sending `connection: close` if the
+   * response hasn't started yet or by closing the socket once it's done. This
+   * is only done for HTTP1; HTTP2 connections get closed gracefully at the
+   * session level (via `GOAWAY`).
+   *
+   * @param {TypeNodeResponse} res Low-level response object.
+   */
+  #closeAfterResponse(res) {
+    if (res.req?.httpVersionMajor !== 1) {
+      return;
+    }
+
+    if (!res.headersSent) {
+      res.setHeader('Connection', 'close');
+    } else {
+      // Note: The socket gets detached from the response before `finish` is
+      // emitted, so we have to grab it now.
+      const socket = res.socket;
+      res.once('finish', () => {
+        socket?.destroySoon();
+      });
+    }
+  }
+
+  /**
+   * Closes all currently-active WebSocket sessions, with the "going away"
+   * status.
+   */
+  async #closeWebSockets() {
+    const webSockets = [...this.#webSockets];
+
+    if (webSockets.length !== 0) {
+      this.#logger?.closingWebSockets(webSockets.length);
+      await Promise.all(webSockets.map((ws) => ws.close(1001)));
+    }
+  }
+
   /**
    * Top-level of the asynchronous request handling flow. This method will call
    * out to the configured `requestHandler` when appropriate (e.g. not
@@ -411,9 +753,10 @@ export class ProtocolWrangler {
    * is not supposed to `throw` (directly or indirectly).
    *
    * @param {IncomingRequest} request Request object.
-   * @returns {FullResponse} The response to send.
+   * @param {WranglerContext} context The outer context of `request`.
+   * @returns {FullResponse|WebSocketResponse} The response to send.
    */
-  async #handleRequest(request) {
+  async #handleRequest(request, context) {
     if (!request.pathnameString) {
       // It's not an `origin` request. We don't handle any other type of
       // target... yet.
@@ -426,12 +769,34 @@ export class ProtocolWrangler {
       return FullResponse.makeMetaResponse(400); // "Bad Request."
     }
 
+    const { tlsServerName } = context;
+    const host              = (request.unforwarded ?? request).host;
+
+    if (this.#hostManager?.isMisdirected(tlsServerName, host.nameString)) {
+      // The request is for a different host than the one the TLS connection
+      // was made for (e.g., a client reusing a connection for a host which is
+      // covered by the same certificate), and the peer wasn't vetted for it
+      // (e.g. by checking its client certificate). So we can't handle the
+      // request on this connection. Per RFC 9110, the client is expected to
+      // retry on a new connection. Note that it's the host as sent by the peer
+      // (and not as forwarded by a proxy) that matters here.
+      return FullResponse.makeMetaResponse(421); // "Misdirected Request."
+    }
+
     const result = await this.#requestHandler.handleRequest(request, null);
 
     if (result instanceof FullResponse) {
       return result;
     } else if (result instanceof StatusResponse) {
       return result.responseFor(request);
+    } else if (result instanceof WebSocketResponse) {
+      if (request.upgradeProtocol !== 'websocket') {
+        // The error thrown here is caught by our direct caller,
+        // `#respondToRequest()`.
+        throw new Error('Cannot respond to a non-WebSocket request with a `WebSocketResponse`.');
+      }
+
+      return result;
     } else if (result === null) {
       // The configured `requestHandler` didn't actually handle the request.
       // Respond with a simple "not found". (If the client wants something
@@ -458,8 +823,8 @@ export class ProtocolWrangler {
    * @param {IncomingRequest} request Request object.
    * @param {WranglerContext} outerContext The outer context of `request`.
    * @param {TypeNodeResponse} res Low-level response object.
-   * @returns {FullResponse} The response object that was ultimately sent (or
-   *   was at least ulitmately attempted to be sent).
+   * @returns {FullResponse|WebSocketResponse} The response object that was
+   *   ultimately sent (or was at least ulitmately attempted to be sent).
    */
   async #respondToRequest(request, outerContext, res) {
     const reqLogger = request.logger;
@@ -474,6 +839,12 @@ export class ProtocolWrangler {
       result = FullResponse.makeMetaResponse(500, { bodyExtra });
     }
 
+    const isWebSocket = (result instanceof WebSocketResponse);
+
+    if (isWebSocket) {
+      this.#webSockets.add(result);
+    }
+
     try {
       res.setHeader('Server', this.#serverHeader);
 
@@ -498,6 +869,18 @@ export class ProtocolWrangler {
       res.end();
     }
 
+    if (isWebSocket) {
+      this.#webSockets.delete(result);
+    }
+
+    try {
+      // Remove files left over from parsing the request body (that is, file
+      // uploads), which the application has had its chance to move elsewhere.
+      await request.body?.removeFiles();
+    } catch (e) {
+      reqLogger?.errorRemovingBodyFiles(e);
+    }
+
     if ((res.statusCode >= 500) || (res.statusCode === 429)) {
       // It's a "server error" (5xx) or "too many requests" (429) error, so it's
       // appropriate to completely close the connection.
@@ -521,8 +904,8 @@ export class ProtocolWrangler {
    * @param {IncomingRequest} request Request object.
    * @param {WranglerContext} outerContext The outer context of `request`.
    * @param {TypeNodeResponse} res Low-level response object.
-   * @returns {FullResponse} The response object that was ultimately sent (or
-   *   was at least ulitmately attempted to be sent).
+   * @returns {FullResponse|WebSocketResponse} The response object that was
+   *   ultimately sent (or was at least ulitmately attempted to be sent).
    */
   async #logAndRespondToRequest(request, outerContext, res) {
     const accessLog = this.#accessLog;
@@ -570,19 +953,52 @@ export class ProtocolWrangler {
 
     await runnerAccess.whenStopRequested();
 
-    if (this.#logger) {
-      this.#logger.stopping(this._impl_infoForLog);
+    const logger       = this.#logger;
+    const drainTimeout = this.#drainTimeout;
+
+    if (logger) {
+      logger.stopping(this._impl_infoForLog);
+      logger.draining({ requests: this.#requests.size, timeout: drainTimeout });
+    }
+
+    // Phase 1: Stop accepting connections, and ask existing connections to
+    // wind down once their in-flight requests are done.
+
+    for (const res of this.#requests) {
+      this.#closeAfterResponse(res);
     }
 
     // We do these in parallel, because there can be mutual dependencies, e.g.
     // the application might need to see the server stopping _and_ vice versa.
-    await Promise.all([
+    // WebSocket sessions aren't tracked by the underlying protocol servers, so
+    // we close those ourselves.
+    const allStopped = Promise.all([
       this._impl_socketStop(this.#willReload),
-      this._impl_serverStop(this.#willReload)
+      this._impl_serverStop(this.#willReload),
+      this.#closeWebSockets()
     ]);
 
-    if (this.#logger) {
-      this.#logger.stopped(this._impl_infoForLog);
+    // Phase 2: Wait for everything to close on its own, up to the drain
+    // timeout.
+
+    const drained = await PromiseUtil.race([
+      allStopped.then(() => true),
+      WallClock.waitFor(drainTimeout, { ref: false }).then(() => false)
+    ]);
+
+    if (drained) {
+      logger?.drained();
+    } else {
+      // Phase 3: Force everything closed.
+      logger?.drainTimedOut({ abandonedRequests: this.#requests.size });
+      await this._impl_forceClose();
+    }
+
+    await allStopped;
+    this.#accepting.value = false;
+
+    if (logger) {
+      logger.stopped(this._impl_infoForLog);
     }
   }
 
@@ -597,6 +1013,7 @@ export class ProtocolWrangler {
 
     await this._impl_serverStart();
     await this._impl_socketStart();
+    this.#accepting.value = true;
 
     if (this.#logger) {
       this.#logger.started(this._impl_infoForLog);
@@ -608,6 +1025,13 @@ export class ProtocolWrangler {
   // Static members
   //
 
+  /**
+   * Default value for {@link #drainTimeout}.
+   *
+   * @type {Duration}
+   */
+  static #DEFAULT_DRAIN_TIMEOUT = new Duration(5);
+
   /**
    * Makes the value to store in {@link #serverHeader}.
    *
@@ -3,6 +3,7 @@
 
 import { MustBe } from '@this/typey';
 
+import { AsyncServerSocket } from '#p/AsyncServerSocket';
 import { Http2Wrangler } from '#p/Http2Wrangler';
 import { HttpWrangler } from '#p/HttpWrangler';
 import { HttpsWrangler } from '#p/HttpsWrangler';
@@ -10,19 +11,46 @@ import { ProtocolWrangler } from '#x/ProtocolWrangler';
 
 
 /**
- * Utility class which constructs concrete {@link ProtocolWrangler} instances.
+ * Utility class which constructs concrete {@link ProtocolWrangler} instances,
+ * and which helps manage their shared state across in-process reloads.
+ *
+ * **About protocols:** Each protocol is identified by a name, which is what
+ * gets used in endpoint configurations. The built-in protocols are `http`,
+ * `http2`, `http2c`, and `https`. Additional protocols can be added with
+ * {@link #register}, so long as that happens before any configuration which
+ * uses them gets parsed, and removed with {@link #unregister}. **Note:** As of
+ * this writing, there is no HTTP3 wrangler, because Node's QUIC support is not
+ * available in the Node versions which this project supports.
+ *
+ * **About reloading:** When a wrangler is stopped with `willReload === true`,
+ * its server socket is left open and listening (and continues to queue up
+ * connections), so that a post-reload wrangler on the same interface can take
+ * it over, without ever refusing connections. Once a reload is complete,
+ * {@link #closeStashedSockets} should be called, to close the server sockets
+ * for any interfaces which are no longer in use.
  */
 export class ProtocolWranglers {
   /**
-   * Map from each protocol name to the wrangler subclass that handles it.
+   * Closes all server sockets which were left open by wranglers stopped for a
+   * reload but which haven't been taken over by new wranglers. This is meant
+   * to be called once a reload is complete, that is, after all the post-reload
+   * wranglers have been started. See the class header comment for details.
+   */
+  static async closeStashedSockets() {
+    await AsyncServerSocket.closeStashed();
+  }
+
+  /**
+   * Indicates whether the given protocol is a secure one, that is, one which
+   * requires host certificate configuration.
    *
-   * @type {Map<string, function(new:*, ...*)>}
+   * @param {string} name Protocol name.
+   * @returns {boolean} `true` iff the protocol is secure.
+   * @throws {Error} Thrown if `name` is not a known protocol.
    */
-  static #WRANGLER_CLASSES = new Map(Object.entries({
-    http:  HttpWrangler,
-    http2: Http2Wrangler,
-    https: HttpsWrangler
-  }));
+  static isSecure(name) {
+    return this.#infoFor(name).secure;
+  }
 
   /**
    * Constructs an instance for the given protocol. The given `options` must
@@ -35,14 +63,9 @@ export class ProtocolWranglers {
    *   subclass of this class.
    */
   static make(options) {
-    const protocol = options.protocol;
-
-    const cls = this.#WRANGLER_CLASSES.get(protocol);
-    if (!cls) {
-      throw new Error(`Unknown protocol: ${protocol}`);
-    }
+    const { wranglerClass } = this.#infoFor(options.protocol);
 
-    return new cls(options);
+    return new wranglerClass(options);
   }
 
   /**
@@ -54,12 +77,100 @@ export class ProtocolWranglers {
    *   string).
    */
   static mustBeProtocol(name) {
+    this.#infoFor(name);
+    return name;
+  }
+
+  /**
+   * Registers a new protocol, to be handled by the given wrangler class. When
+   * an instance of the class is constructed, it gets passed the same options
+   * as the built-in wranglers (see {@link ProtocolWrangler}), including the
+   * `protocol` name, which allows for a single class to handle multiple
+   * protocols.
+   *
+   * @param {string} name Name of the protocol. Must consist of lowercase
+   *   letters and digits, starting with a letter, and must not already be
+   *   registered.
+   * @param {function(new:ProtocolWrangler, object)} wranglerClass Class which
+   *   handles the protocol.
+   * @param {?object} [options] Options for the protocol, or `null` to use all
+   *   defaults.
+   * @param {boolean} [options.secure] Does the protocol require host
+   *   certificate configuration? If so, instances get constructed with a
+   *   `hostManager`. Default `false`.
+   */
+  static register(name, wranglerClass, options = null) {
+    const { secure = false } = options ?? {};
+
+    MustBe.string(name, /^[a-z][a-z0-9]*$/);
+    MustBe.subclassOf(wranglerClass, ProtocolWrangler);
+    MustBe.boolean(secure);
+
+    if (this.#PROTOCOLS.has(name)) {
+      throw new Error(`Protocol already registered: ${name}`);
+    }
+
+    this.#PROTOCOLS.set(name, Object.freeze({ secure, wranglerClass }));
+  }
+
+  /**
+   * Unregisters a protocol which was previously registered via
+   * {@link #register}. Built-in protocols can't be unregistered. This doesn't
+   * affect any already-constructed wranglers for the protocol.
+   *
+   * @param {string} name Name of the protocol.
+   * @throws {Error} Thrown if `name` is not a registered protocol, or is a
+   *   built-in one.
+   */
+  static unregister(name) {
+    this.#infoFor(name);
+
+    if (this.#BUILT_IN.has(name)) {
+      throw new Error(`Cannot unregister built-in protocol: ${name}`);
+    }
+
+    this.#PROTOCOLS.delete(name);
+  }
+
+  /**
+   * Map from each built-in protocol name to information about it.
+   *
+   * @type {Map<string, { secure: boolean, wranglerClass:
+   *   function(new:ProtocolWrangler, object) }>}
+   */
+  static #BUILT_IN = new Map(Object.entries({
+    http:   Object.freeze({ secure: false, wranglerClass: HttpWrangler }),
+    http2:  Object.freeze({ secure: true,  wranglerClass: Http2Wrangler }),
+    http2c: Object.freeze({ secure: false, wranglerClass: Http2Wrangler }),
+    https:  Object.freeze({ secure: true,  wranglerClass: HttpsWrangler })
+  }));
+
+  /**
+   * Map from each protocol name to information about it, notably including the
+   * wrangler subclass that handles it.
+   *
+   * @type {Map<string, { secure: boolean, wranglerClass:
+   *   function(new:ProtocolWrangler, object) }>}
+   */
+  static #PROTOCOLS = new Map(this.#BUILT_IN);
+
+  /**
+   * Gets the information about the given protocol.
+   *
+   * @param {string} name Protocol name.
+   * @returns {object} The information.
+   * @throws {Error} Thrown if `name` is not a known protocol (or is not a
+   *   string).
+   */
+  static #infoFor(name) {
     MustBe.string(name);
 
-    if (!this.#WRANGLER_CLASSES.has(name)) {
+    const info = this.#PROTOCOLS.get(name);
+
+    if (!info) {
       throw new Error(`Unknown protocol: ${name}`);
     }
 
-    return name;
+    return info;
   }
 }
@@ -1,11 +1,14 @@
 // Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
 // SPDX-License-Identifier: Apache-2.0
 
-import { Server, createServer as netCreateServer } from 'node:net';
+import * as fs from 'node:fs/promises';
+import { Server, connect as netConnect, createServer as netCreateServer }
+  from 'node:net';
 
 import { EventPayload, EventSource, LinkedEvent, PromiseUtil }
   from '@this/async';
 import { WallClock } from '@this/clocky';
+import { Statter } from '@this/fs-util';
 import { IntfLogger } from '@this/loggy-intf';
 import { InterfaceAddress } from '@this/net-util';
 import { MustBe } from '@this/typey';
@@ -14,6 +17,20 @@ import { MustBe } from '@this/typey';
 /**
  * Utility class for doing some of the lowest-level server socket manipulation,
  * in a way that is `async`-friendly.
+ *
+ * When listening on a Unix domain socket, this class also takes care of the
+ * socket file: A stale socket file (one left behind by a process which is no
+ * longer listening on it) is removed before listening, the configured
+ * ownership and permissions (if any) are applied after listening, and the
+ * socket file is removed when this instance is stopped (but not when it is
+ * stashed for a reload).
+ *
+ * When stopped for a reload, an instance is "stashed:" its server socket is
+ * left listening, and connections which arrive in the meantime are queued up.
+ * A post-reload instance for the same interface then takes over the socket
+ * along with the queued connections, instead of having to bind anew. Stashed
+ * instances which don't get taken over are closed via {@link #closeStashed}
+ * (or, as a backstop, after a timeout).
  */
 export class AsyncServerSocket {
   /**
@@ -38,18 +55,18 @@ export class AsyncServerSocket {
   #protocol;
 
   /**
-   * The underlying server socket instance (Node library class), if constructed.
+   * Unix domain socket file options, or `null` if there are none.
    *
-   * @type {?Server}
+   * @type {?{ group: ?number, mode: ?number, owner: ?number }}
    */
-  #serverSocket = null;
+  #unixSocket;
 
   /**
-   * Function to call to remove all of the listeners on {@link #serverSocket}.
+   * The underlying server socket instance (Node library class), if constructed.
    *
-   * @type {function()}
+   * @type {?Server}
    */
-  #removeListenersFunc = null;
+  #serverSocket = null;
 
   /**
    * Event source for `connection` and `drop` events.
@@ -70,13 +87,22 @@ export class AsyncServerSocket {
    *
    * @param {InterfaceAddress} iface Address of the interface to listen on.
    * @param {string} protocol The protocol name; just used for logging.
+   * @param {?{ group: ?number, mode: ?number, owner: ?number }} unixSocket
+   *   Options for the socket file, when `iface` is a Unix domain socket. Each
+   *   of the bindings is optional; `null` or absent means to leave that aspect
+   *   of the file as-is. `null` overall is the same as passing `{}`.
    * @param {?IntfLogger} logger Logger to use, if any.
    */
-  constructor(iface, protocol, logger) {
+  constructor(iface, protocol, unixSocket, logger) {
     // Note: `interface` is a reserved word.
-    this.#interface = MustBe.instanceOf(iface, InterfaceAddress);
-    this.#protocol  = MustBe.string(protocol);
-    this.#logger    = IntfLogger.mustBeInstanceOrNull(logger);
+    this.#interface  = MustBe.instanceOf(iface, InterfaceAddress);
+    this.#protocol   = MustBe.string(protocol);
+    this.#unixSocket = (unixSocket === null) ? null : MustBe.object(unixSocket);
+    this.#logger     = IntfLogger.mustBeInstanceOrNull(logger);
+
+    if ((this.#unixSocket !== null) && (iface.path === null)) {
+      throw new Error('Cannot use socket file options with a non-Unix-socket interface.');
+    }
   }
 
   /**
@@ -101,6 +127,10 @@ export class AsyncServerSocket {
    * * `{ type: 'connection', args: [socket] }`
    * * `{ type: 'drop', args: [<drop data>] }`
    *
+   * **Note:** This is only valid to call after {@link #start} has
+   * async-returned, because starting can cause this instance to take over the
+   * event queue of a stashed instance.
+   *
    * @param {?Promise} [cancelPromise] If non-`null` a promise which cancels
    *   this request when settled (either fulfilled or rejected).
    * @returns {?EventPayload} Event payload as described above, or `null` if the
@@ -137,44 +167,41 @@ export class AsyncServerSocket {
     }
 
     if (found?.#serverSocket) {
-      // Inherit the "guts" of the now-unstashed instance.
+      // Inherit the "guts" of the now-unstashed instance, including its event
+      // source (along with any connections it received which haven't yet been
+      // handled) and the listeners which feed that source. Because nothing
+      // gets detached and reattached, there's no window during which a
+      // connection could get lost.
       this.#serverSocket = found.#serverSocket;
-      found.#removeListenersFunc();
-
-      // Transfer any unhandled events to the new instance.
-      found.#eventSource.emit(new EventPayload('done'));
-      let eventHead = await found.#eventHead;
-      while (eventHead) {
-        if (eventHead.type === 'done') {
-          break;
-        }
-        this.emit(eventHead.payload);
-        eventHead = eventHead.nextNow;
-      }
+      this.#eventSource  = found.#eventSource;
+      this.#eventHead    = found.#eventHead;
     } else {
       // Either this isn't a reload, or it's a reload with an endpoint that
       // isn't configured the same way as one of the pre-reload ones, or it's a
       // reload but the found instance didn't actually have a socket.
       this.#serverSocket = netCreateServer(this.#interface.nodeServerCreateOptions);
-    }
 
-    const onConnection = (...args) => {
-      this.#eventSource.emit(new EventPayload('connection', ...args));
-    };
+      if (this.#interface.path !== null) {
+        await this.#removeStaleSocket();
+      }
 
-    const onDrop = (...args) => {
-      this.#eventSource.emit(new EventPayload('drop', ...args));
-    };
+      const onConnection = (...args) => {
+        this.#eventSource.emit(new EventPayload('connection', ...args));
+      };
 
-    this.#serverSocket.on('connection', onConnection);
-    this.#serverSocket.on('drop', onDrop);
+      const onDrop = (...args) => {
+        this.#eventSource.emit(new EventPayload('drop', ...args));
+      };
 
-    this.#removeListenersFunc = () => {
-      this.#serverSocket.removeListener('connection', onConnection);
-      this.#serverSocket.removeListener('drop',       onDrop);
-    };
+      this.#serverSocket.on('connection', onConnection);
+      this.#serverSocket.on('drop', onDrop);
+    }
 
     await this.#listen();
+
+    if (this.#interface.path !== null) {
+      await this.#applySocketOptions();
+    }
   }
 
   /**
@@ -194,10 +221,30 @@ export class AsyncServerSocket {
     }
   }
 
+  /**
+   * Applies {@link #unixSocket} to the socket file, if there is anything to
+   * apply.
+   */
+  async #applySocketOptions() {
+    const { group = null, mode = null, owner = null } = this.#unixSocket ?? {};
+    const path = this.#interface.path;
+
+    if ((owner !== null) || (group !== null)) {
+      // Note: `-1` means "leave as-is."
+      await fs.chown(path, owner ?? -1, group ?? -1);
+    }
+
+    if (mode !== null) {
+      await fs.chmod(path, mode);
+    }
+  }
+
   /**
    * Performs a `close()` on the underlying {@link Server}, unless it is already
    * closed in which case this method does nothing. This method async-returns
-   * once the server has actually stopped listening for connections.
+   * once the server has actually stopped listening for connections. When the
+   * server is a Unix domain socket, this also makes sure the socket file is
+   * removed.
    */
   async #close() {
     const serverSocket = this.#serverSocket;
@@ -250,6 +297,21 @@ export class AsyncServerSocket {
       }
       eventHead = eventHead.nextNow;
     }
+
+    const path = this.#interface.path;
+
+    if (path !== null) {
+      // Node _usually_ removes the socket file itself as part of closing, in
+      // which case this is a no-op.
+      try {
+        await fs.unlink(path);
+        this.#logger?.removedSocket(path);
+      } catch (e) {
+        if (e.code !== 'ENOENT') {
+          this.#logger?.errorRemovingSocket(path, e);
+        }
+      }
+    }
   }
 
   /**
@@ -294,17 +356,63 @@ export class AsyncServerSocket {
     });
   }
 
+  /**
+   * Removes the socket file of the Unix domain socket that this instance is to
+   * listen on, if it exists and is stale, that is, if nothing is listening on
+   * it. If the path exists but isn't a socket, or if something is listening on
+   * it, this does nothing, leaving it to the subsequent `listen()` to report
+   * the problem.
+   */
+  async #removeStaleSocket() {
+    const path = this.#interface.path;
+
+    if (!await Statter.socketExists(path)) {
+      return;
+    }
+
+    const live = await new Promise((resolve) => {
+      const socket = netConnect({ path });
+
+      socket.once('connect', () => {
+        socket.destroy();
+        resolve(true);
+      });
+
+      socket.once('error', (e) => {
+        // Only treat the socket as stale if the error definitively says that
+        // nothing is listening. Anything else is ambiguous, and so we leave
+        // the file alone.
+        resolve((e.code !== 'ECONNREFUSED') && (e.code !== 'ENOENT'));
+      });
+    });
+
+    if (!live) {
+      this.#logger?.removingStaleSocket(path);
+      try {
+        await fs.unlink(path);
+      } catch (e) {
+        // Something else might have removed it in the meantime.
+        if (e.code !== 'ENOENT') {
+          throw e;
+        }
+      }
+    }
+  }
+
 
   //
   // Static members
   //
 
   /**
-   * How long in msec to allow a stashed instance to remain stashed.
+   * How long in msec to allow a stashed instance to remain stashed. Stashed
+   * instances are normally either reused or closed (via {@link #closeStashed})
+   * well before this, so this is just a backstop, for the case where the
+   * reload never gets around to finishing.
    *
    * @type {number}
    */
-  static #STASH_TIMEOUT_MSEC = 5 * 1000;
+  static #STASH_TIMEOUT_MSEC = 60 * 1000; // One minute.
 
   /**
    * Set of stashed instances, for use during a reload. Such instances were left
@@ -314,6 +422,23 @@ export class AsyncServerSocket {
    */
   static #stashedInstances = new Set();
 
+  /**
+   * Closes all stashed instances, that is, ones which were stashed during a
+   * reload but which haven't (yet) been reused. This is meant to be called
+   * once a reload is complete, at which point any remaining stashed instances
+   * are for interfaces which are no longer in use.
+   */
+  static async closeStashed() {
+    const instances = [...this.#stashedInstances];
+
+    this.#stashedInstances.clear();
+
+    await Promise.all(instances.map(async (instance) => {
+      instance.#logger?.unclaimed();
+      await instance.#close();
+    }));
+  }
+
   /**
    * Stashes an instance for possible reuse during a reload.
    *
@@ -328,7 +453,7 @@ export class AsyncServerSocket {
     instance.#logger?.stashed(instance.#interface);
 
     (async () => {
-      await WallClock.waitForMsec(this.#STASH_TIMEOUT_MSEC);
+      await WallClock.waitForMsec(this.#STASH_TIMEOUT_MSEC, { ref: false });
       if (this.#stashedInstances.delete(instance)) {
         instance.#logger?.stashTimeout();
         await instance.#close();
@@ -1,7 +1,9 @@
 // Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
 // SPDX-License-Identifier: Apache-2.0
 
+import * as http from 'node:http';
 import * as http2 from 'node:http2';
+import { Duplex } from 'node:stream';
 
 import { Condition, PromiseUtil, Threadlet } from '@this/async';
 import { WallClock } from '@this/clocky';
@@ -11,9 +13,25 @@ import { WranglerContext } from '#p/WranglerContext';
 
 
 /**
- * Wrangler for `Http2SecureServer`.
+ * Wrangler for `Http2SecureServer`, and also for `Http2Server` (that is,
+ * cleartext HTTP2, a/k/a `h2c`). In the latter case, HTTP2 is only used when
+ * the client knows _a priori_ to speak it (that is, when the connection starts
+ * with the HTTP2 connection preface), and connections from other clients get
+ * handled as HTTP1.
+ *
+ * **Note:** HTTP1 requests with the header `Upgrade: h2c` are _not_ switched
+ * over to HTTP2. This way of initiating an HTTP2 connection is deprecated by
+ * RFC 9113, and as such is not supported by Node. Such requests get responded
+ * to as regular HTTP1 requests, as allowed by the HTTP1 spec.
  */
 export class Http2Wrangler extends TcpWrangler {
+  /**
+   * Is this instance speaking cleartext HTTP2?
+   *
+   * @type {boolean}
+   */
+  #cleartext;
+
   /**
    * High-level protocol server.
    *
@@ -21,6 +39,22 @@ export class Http2Wrangler extends TcpWrangler {
    */
   #protocolServer = null;
 
+  /**
+   * High-level protocol server for HTTP1 connections, used when speaking
+   * cleartext HTTP2, or `null` if not being used.
+   *
+   * @type {?http.Server}
+   */
+  #http1Server = null;
+
+  /**
+   * Set of sockets for connections whose protocol (HTTP1 vs. HTTP2) is not yet
+   * known, when speaking cleartext HTTP2.
+   *
+   * @type {Set<Duplex>}
+   */
+  #undecidedSockets = new Set();
+
   /**
    * Are there currently any sessions?
    *
@@ -28,6 +62,13 @@ export class Http2Wrangler extends TcpWrangler {
    */
   #anySessions = new Condition();
 
+  /**
+   * Has this instance been asked to force all its connections closed?
+   *
+   * @type {Condition}
+   */
+  #forceClosing = new Condition();
+
   /**
    * Set of all currently-known sessions.
    *
@@ -42,35 +83,153 @@ export class Http2Wrangler extends TcpWrangler {
    */
   #runner = new Threadlet((ra) => this.#run(ra));
 
-  // @defaultConstructor
+  /**
+   * Constructs an instance.
+   *
+   * @param {object} options Standard construction options. If `protocol` is
+   *   `http2c`, then the instance speaks cleartext HTTP2.
+   */
+  constructor(options) {
+    super(options);
+
+    this.#cleartext = (options.protocol === 'http2c');
+  }
+
+  /** @override */
+  async _impl_forceClose() {
+    this.#forceClosing.value = true;
+    await super._impl_forceClose();
+  }
 
   /** @override */
   async _impl_init() {
-    const hostOptions = this._prot_hostManager.getSecureServerOptions();
-    const serverOptions = {
-      ...hostOptions,
-      allowHTTP1: true
+    const {
+      http2InitialWindowSize    = null,
+      http2MaxConcurrentStreams = null,
+      maxHeaderCount            = null,
+      maxHeaderSize             = null
+    } = this._prot_limits ?? {};
+
+    const settings = {
+      // Allow extended `CONNECT` requests, which are used for WebSockets.
+      enableConnectProtocol: true
     };
 
-    const server = http2.createSecureServer(serverOptions);
+    const options = { settings };
+
+    if (http2InitialWindowSize !== null) {
+      settings.initialWindowSize = http2InitialWindowSize.byte;
+    }
+
+    if (http2MaxConcurrentStreams !== null) {
+      settings.maxConcurrentStreams = http2MaxConcurrentStreams;
+    }
+
+    if (maxHeaderCount !== null) {
+      options.maxHeaderListPairs = maxHeaderCount;
+    }
+
+    if (maxHeaderSize !== null) {
+      settings.maxHeaderListSize = maxHeaderSize.byte;
+    }
+
+    let server;
+
+    if (this.#cleartext) {
+      // Note: Node's cleartext HTTP2 server doesn't do HTTP1 fallback by
+      // itself, so we set up a separate server for that.
+      server = http2.createServer(options);
+
+      const http1Server = http.createServer();
+
+      this._prot_configureHttp1Server(http1Server);
+
+      http1Server.on('request', (...args) => this._prot_incomingRequest(...args));
+      http1Server.on('upgrade', (...args) => this._prot_incomingUpgrade(...args));
+
+      this.#http1Server = http1Server;
+    } else {
+      const hostOptions = this._prot_hostManager.getSecureServerOptions();
+
+      server = http2.createSecureServer({ ...hostOptions, ...options, allowHTTP1: true });
+
+      // This is what gets used when falling back to HTTP1.
+      this._prot_configureHttp1Server(server);
+
+      // Set up an event handler to propagate the connection context (see
+      // `WranglerContext.emitInContext()` for a treatise about what's going on)
+      // and to check the peer's client certificate (if any). This is
+      // _prepended_ so that it runs before Node's own handler, which is what
+      // makes the HTTP2 session, and whose context gets copied from the
+      // connection's context.
+      server.prependListener('secureConnection',
+        (socket) => this._prot_incomingSecureConnection(socket));
+
+      server.on('OCSPRequest', (...args) => this._prot_incomingOcspRequest(...args));
+    }
 
     server.on('session', (session) => this.#addSession(session));
     server.on('request', (...args) => this._prot_incomingRequest(...args));
 
-    // Set up an event handler to propagate the connection context. See
-    // `WranglerContext.emitInContext()` for a treatise about what's going on.
-    server.on('secureConnection', (socket) => WranglerContext.bindCurrent(socket));
+    // These handle WebSocket upgrades: HTTP2 extended `CONNECT` requests (per
+    // RFC 8441) get emitted as `connect` events, and HTTP1 `Upgrade` requests
+    // (when falling back to HTTP1) get emitted as `upgrade` events.
+    server.on('connect', (...args) => this._prot_incomingRequest(...args));
+    server.on('upgrade', (...args) => this._prot_incomingUpgrade(...args));
 
     this.#protocolServer = server;
   }
 
   /** @override */
   async _impl_newConnection(context) {
-    context.emitInContext(this.#protocolServer, 'connection', context.socket);
+    let server = this.#protocolServer;
+
+    if (this.#cleartext) {
+      const socket = context.socket;
+
+      this.#undecidedSockets.add(socket);
+
+      try {
+        const timeoutMsec =
+          this._prot_timeouts?.headerRead?.msec ?? Http2Wrangler.#PREFACE_TIMEOUT_MSEC;
+        const isHttp2 =
+          await this._prot_readStart(socket, Http2Wrangler.#decidePreface, timeoutMsec);
+        if (!isHttp2) {
+          server = this.#http1Server;
+        }
+      } catch (e) {
+        // The connection got closed (or timed out, etc.) before the client said
+        // enough for us to know which protocol it speaks.
+        context.connectionLogger?.unknownProtocol(e);
+        socket.destroy();
+        return;
+      } finally {
+        this.#undecidedSockets.delete(socket);
+      }
+
+      if (this._prot_isStopping()) {
+        socket.destroy();
+        return;
+      }
+    } else {
+      this._prot_updateTicketKeys(server);
+    }
+
+    context.emitInContext(server, 'connection', context.socket);
   }
 
   /** @override */
   async _impl_serverStart() {
+    // See `HttpWrangler._impl_serverStart()` for why this is done. In the
+    // secure case, this is also what gets Node to start enforcing the HTTP1
+    // header-read and request timeouts (as set up by
+    // `_prot_configureHttp1Server()`) on connections which fall back to HTTP1.
+    if (this.#cleartext) {
+      this.#http1Server.emit('listening');
+    } else {
+      this.#protocolServer.emit('listening');
+    }
+
     this.#runner.run();
   }
 
@@ -166,7 +325,9 @@ export class Http2Wrangler extends TcpWrangler {
       }
     });
 
-    session.setTimeout(Http2Wrangler.#SESSION_TIMEOUT_MSEC, () => {
+    const timeoutMsec =
+      this._prot_timeouts?.keepAlive?.msec ?? Http2Wrangler.#SESSION_TIMEOUT_MSEC;
+    session.setTimeout(timeoutMsec, () => {
       sessionLogger?.idleTimeout();
       if (session.closed) {
         sessionLogger?.alreadyClosed();
@@ -188,10 +349,22 @@ export class Http2Wrangler extends TcpWrangler {
 
     this.#protocolServer.close();
 
+    if (this.#http1Server) {
+      this.#http1Server.close();
+      this.#http1Server.closeIdleConnections();
+
+      // Connections which haven't yet said which protocol they speak aren't
+      // known to either server, so they have to be closed separately.
+      for (const socket of this.#undecidedSockets) {
+        socket.destroy();
+      }
+    }
+
     // Node docs indicate one has to explicitly close all HTTP2 sessions. What
-    // we do here is _first_ try to nicely close (let the other side know what's
-    // happening), and then if actual closing doesn't happen quickly go ahead
-    // and thwack things totally closed.
+    // we do here is _first_ try to nicely close (send a `GOAWAY` and let
+    // in-flight streams finish), and then if actual closing doesn't happen by
+    // the time the base class decides to force things closed (once the drain
+    // timeout has passed), go ahead and thwack things totally closed.
 
     let allClosed = false;
 
@@ -224,7 +397,9 @@ export class Http2Wrangler extends TcpWrangler {
 
       await PromiseUtil.race([
         this.#anySessions.whenFalse(),
-        WallClock.waitForMsec(Http2Wrangler.#STOP_GRACE_PERIOD_MSEC)
+        (op === 'close')
+          ? this.#forceClosing.whenTrue()
+          : WallClock.waitForMsec(Http2Wrangler.#STOP_GRACE_PERIOD_MSEC)
       ]);
     }
 
@@ -262,18 +437,59 @@ export class Http2Wrangler extends TcpWrangler {
   //
 
   /**
-   * How long in msec to wait when stopping, after telling sessions to close
-   * before closing with more extreme prejudice.
+   * The HTTP2 connection preface, which is what a client sends at the start of
+   * a connection when it knows _a priori_ that the server speaks HTTP2.
+   *
+   * @type {Buffer}
+   */
+  static #CONNECTION_PREFACE = Buffer.from('PRI * HTTP/2.0\r\n\r\nSM\r\n\r\n', 'latin1');
+
+  /**
+   * How long in msec to wait when stopping, after destroying sessions (which
+   * is done once the drain timeout has passed), before checking to see if they
+   * all actually closed.
    *
    * @type {number}
    */
   static #STOP_GRACE_PERIOD_MSEC = 250;
 
   /**
-   * How long in msec to wait for a session to have activity before considering
-   * it "timed out" and telling it to close.
+   * Default for how long in msec to wait for a cleartext connection to send
+   * enough of its start for us to tell whether it is HTTP2 or HTTP1. This can
+   * be overridden via the `headerRead` timeout option.
+   *
+   * @type {number}
+   */
+  static #PREFACE_TIMEOUT_MSEC = 10 * 1000; // Ten seconds.
+
+  /**
+   * Default for how long in msec to wait for a session to have activity before
+   * considering it "timed out" and telling it to close. This can be overridden
+   * via the `keepAlive` timeout option.
    *
    * @type {number}
    */
   static #SESSION_TIMEOUT_MSEC = 1 * 60 * 1000; // One minute.
+
+  /**
+   * Decides whether the given data from the start of a connection is the start
+   * of an HTTP2 connection. This is in the form expected by {@link
+   * TcpWrangler#_prot_readStart}. None of the data is consumed.
+   *
+   * @param {Buffer} buffer Data received so far.
+   * @returns {?{ consumed: number, result: boolean }} The decision, or `null`
+   *   if there isn't yet enough data to make a decision.
+   */
+  static #decidePreface(buffer) {
+    const preface = Http2Wrangler.#CONNECTION_PREFACE;
+    const length  = Math.min(buffer.length, preface.length);
+
+    if (!buffer.subarray(0, length).equals(preface.subarray(0, length))) {
+      return { consumed: 0, result: false };
+    } else if (length === preface.length) {
+      return { consumed: 0, result: true };
+    } else {
+      return null;
+    }
+  }
 }
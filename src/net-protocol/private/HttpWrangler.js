@@ -23,7 +23,10 @@ export class HttpWrangler extends TcpWrangler {
   async _impl_init() {
     const server = http.createServer();
 
+    this._prot_configureHttp1Server(server);
+
     server.on('request', (...args) => this._prot_incomingRequest(...args));
+    server.on('upgrade', (...args) => this._prot_incomingUpgrade(...args));
 
     this.#protocolServer = server;
   }
@@ -35,7 +38,12 @@ export class HttpWrangler extends TcpWrangler {
 
   /** @override */
   async _impl_serverStart() {
-    // @emptyBlock
+    // Node's HTTP server only keeps track of its connections -- which is
+    // necessary for `closeIdleConnections()` to do anything -- once it has
+    // started listening. But ours never listens per se, because connections
+    // are handed to it directly, so we let it know it's time to start
+    // tracking.
+    this.#protocolServer.emit('listening');
   }
 
   /** @override */
@@ -43,7 +51,8 @@ export class HttpWrangler extends TcpWrangler {
     this.#protocolServer.close();
     this.#protocolServer.closeIdleConnections();
 
-    // TODO: Consider tracking connections and forcing things closed after a
-    // timeout, similar to what's done with HTTP2.
+    // Note: Connections with in-flight requests get closed once their
+    // responses are sent, and they get forced closed (by the base class) if
+    // that doesn't happen within the drain timeout.
   }
 }
@@ -4,7 +4,6 @@
 import * as https from 'node:https';
 
 import { TcpWrangler } from '#p/TcpWrangler';
-import { WranglerContext } from '#p/WranglerContext';
 
 
 /**
@@ -25,23 +24,31 @@ export class HttpsWrangler extends TcpWrangler {
     const hostOptions = this._prot_hostManager.getSecureServerOptions();
     const server      = https.createServer(hostOptions);
 
+    this._prot_configureHttp1Server(server);
+
     server.on('request', (...args) => this._prot_incomingRequest(...args));
+    server.on('upgrade', (...args) => this._prot_incomingUpgrade(...args));
+
+    // Set up an event handler to propagate the connection context (see
+    // `WranglerContext.emitInContext()` for a treatise about what's going on)
+    // and to check the peer's client certificate (if any).
+    server.on('secureConnection', (socket) => this._prot_incomingSecureConnection(socket));
 
-    // Set up an event handler to propagate the connection context. See
-    // `WranglerContext.emitInContext()` for a treatise about what's going on.
-    server.on('secureConnection', (socket) => WranglerContext.bindCurrent(socket));
+    server.on('OCSPRequest', (...args) => this._prot_incomingOcspRequest(...args));
 
     this.#protocolServer = server;
   }
 
   /** @override */
   async _impl_newConnection(context) {
+    this._prot_updateTicketKeys(this.#protocolServer);
     context.emitInContext(this.#protocolServer, 'connection', context.socket);
   }
 
   /** @override */
   async _impl_serverStart() {
-    // @emptyBlock
+    // See `HttpWrangler._impl_serverStart()` for why this is done.
+    this.#protocolServer.emit('listening');
   }
 
   /** @override */
@@ -49,7 +56,8 @@ export class HttpsWrangler extends TcpWrangler {
     this.#protocolServer.close();
     this.#protocolServer.closeIdleConnections();
 
-    // TODO: Consider tracking connections and forcing things closed after a
-    // timeout, similar to what's done with HTTP2.
+    // Note: Connections with in-flight requests get closed once their
+    // responses are sent, and they get forced closed (by the base class) if
+    // that doesn't happen within the drain timeout.
   }
 }
@@ -2,11 +2,12 @@
 // SPDX-License-Identifier: Apache-2.0
 
 import { Socket } from 'node:net';
+import { Duplex } from 'node:stream';
 
-import { Condition, PromiseUtil, Threadlet } from '@this/async';
+import { Condition, ManualPromise, PromiseUtil, Threadlet } from '@this/async';
 import { WallClock } from '@this/clocky';
 import { IntfLogger } from '@this/loggy-intf';
-import { EndpointAddress } from '@this/net-util';
+import { AddressSet, EndpointAddress, ProxyHeader } from '@this/net-util';
 import { ByteCount } from '@this/quant';
 import { Methods } from '@this/typey';
 
@@ -36,6 +37,29 @@ export class TcpWrangler extends ProtocolWrangler {
    */
   #dataRateLimiter;
 
+  /**
+   * PROXY protocol configuration, or `null` if this instance does not accept
+   * PROXY protocol headers.
+   *
+   * @type {?{ trustedSources: AddressSet }}
+   */
+  #proxyProtocol;
+
+  /**
+   * Limits on requests, or `null` to use the system defaults for all of them.
+   *
+   * @type {?object}
+   */
+  #limits;
+
+  /**
+   * Connection and request timeouts, or `null` to use the system defaults for
+   * all of them.
+   *
+   * @type {?object}
+   */
+  #timeouts;
+
   /**
    * Arguments to pass to the {@link AsyncServerSocket} constructor.
    *
@@ -58,6 +82,14 @@ export class TcpWrangler extends ProtocolWrangler {
    */
   #anySockets = new Condition();
 
+  /**
+   * Set of sockets for connections which are still waiting for a PROXY
+   * protocol header to arrive. These aren't yet in {@link #sockets}.
+   *
+   * @type {Set}
+   */
+  #proxyPendingSockets = new Set();
+
   /**
    * Set of all currently-known sockets.
    *
@@ -82,7 +114,10 @@ export class TcpWrangler extends ProtocolWrangler {
 
     this.#connectionRateLimiter = options.connectionRateLimiter ?? null;
     this.#dataRateLimiter       = options.dataRateLimiter ?? null;
-    this.#asyncServerArgs       = [options.interface, options.protocol];
+    this.#proxyProtocol         = options.proxyProtocol ?? null;
+    this.#limits                = options.limits ?? null;
+    this.#timeouts              = options.timeouts ?? null;
+    this.#asyncServerArgs       = [options.interface, options.protocol, options.unixSocket ?? null];
   }
 
   /** @override */
@@ -97,6 +132,15 @@ export class TcpWrangler extends ProtocolWrangler {
     return this.#asyncServer.infoForLog;
   }
 
+  /** @override */
+  async _impl_forceClose() {
+    this.logger?.forceClosing({ connections: this.#sockets.size });
+
+    for (const socket of [...this.#proxyPendingSockets, ...this.#sockets]) {
+      socket.destroy();
+    }
+  }
+
   /**
    * Hands a new connection off to the high-level protocol layer. It is expected
    * to arrange for the connection to be appropriately tracked, and for requests
@@ -112,16 +156,192 @@ export class TcpWrangler extends ProtocolWrangler {
 
   /** @override */
   async _impl_socketStart() {
-    await this.#runner.start();
+    // Note: The server socket has to be started before the runner, because
+    // starting it might mean taking over the event queue of a stashed
+    // instance, and the runner needs to see that queue (not the original).
+    // Connections which arrive in the meantime just get queued up.
     await this.#asyncServer.start();
+    await this.#runner.start();
   }
 
   /** @override */
   async _impl_socketStop(willReload) {
+    // Connections which are still waiting for their PROXY header aren't known
+    // to the protocol layer (and so won't get drained), so they have to be
+    // closed separately.
+    for (const socket of this.#proxyPendingSockets) {
+      socket.destroy();
+    }
+
+    // Note: When reloading, the server socket gets stashed, for a post-reload
+    // instance to take over.
     await this.#asyncServer.stop(willReload);
+    this._prot_notAccepting();
+
     await this.#runner.stop();
   }
 
+  /**
+   * Applies the configured HTTP1-related limits and timeouts to the given
+   * high-level protocol server. This is meant to be called by subclasses right
+   * after constructing such a server, including one which only handles HTTP1
+   * as a fallback.
+   *
+   * **Note:** This works by setting properties on the server (instead of
+   * passing them as construction options), because not all of Node's servers
+   * which are capable of handling HTTP1 accept them as options.
+   *
+   * @param {object} server The server to configure.
+   */
+  _prot_configureHttp1Server(server) {
+    const { headerRead = null, keepAlive = null, request = null } = this.#timeouts ?? {};
+    const { maxHeaderCount = null, maxHeaderSize = null } = this.#limits ?? {};
+
+    if (headerRead !== null) {
+      server.headersTimeout = headerRead.msec;
+    }
+
+    // Node only checks for header-read and request timeouts periodically (by
+    // default, every thirty seconds), which would make shorter timeouts mostly
+    // meaningless. So, if either is configured, make sure it gets checked at
+    // least a few times per timeout period.
+    const checkMsec = [headerRead, request]
+      .filter((t) => t && (t.msec !== 0))
+      .map((t) => Math.max(Math.trunc(t.msec / 4), TcpWrangler.#MIN_TIMEOUT_CHECK_MSEC));
+    if (checkMsec.length !== 0) {
+      server.connectionsCheckingInterval =
+        Math.min(server.connectionsCheckingInterval ?? Infinity, ...checkMsec);
+    }
+
+    if (keepAlive !== null) {
+      server.keepAliveTimeout = keepAlive.msec;
+    }
+
+    if (request !== null) {
+      server.requestTimeout = request.msec;
+    }
+
+    if (maxHeaderCount !== null) {
+      server.maxHeadersCount = maxHeaderCount;
+    }
+
+    if (maxHeaderSize !== null) {
+      server.maxHeaderSize = maxHeaderSize.byte;
+    }
+  }
+
+  /**
+   * @returns {?object} Limits on requests, or `null` to use the system defaults
+   * for all of them. See the `limits` construction option of
+   * {@link ProtocolWrangler} for details.
+   */
+  get _prot_limits() {
+    return this.#limits;
+  }
+
+  /**
+   * Reads data from the start of the given socket (or socket-like stream),
+   * until the given function is able to decide what to make of it. Any data
+   * that isn't consumed by the function is put back into the socket, so that
+   * it can be read again by whatever handles the socket next.
+   *
+   * @param {Duplex} socket Socket for the newly-opened connection.
+   * @param {function(Buffer): ?{ consumed: number, result: * }} decide
+   *   Function to call with all the data received so far. It should return
+   *   `null` if it needs more data to make a decision, or an object which
+   *   indicates how many bytes to consume and what result to return. It may
+   *   throw to indicate that the data is invalid.
+   * @param {?number} [timeoutMsec] How long to wait for a decision, in msec,
+   *   or `null` (or `0`) to wait as long as the socket stays open. This is
+   *   independent of any timeout set on the socket itself (which also gets
+   *   honored).
+   * @returns {*} The `result` from `decide()`.
+   * @throws {Error} Thrown if `decide()` threw, or if the socket was closed,
+   *   got an error, or timed out before a decision was made.
+   */
+  async _prot_readStart(socket, decide, timeoutMsec = null) {
+    const result = new ManualPromise();
+    let   buffer = Buffer.alloc(0);
+    let   timer  = null;
+
+    const reject = (e) => {
+      if (!result.isSettled()) {
+        result.reject(e);
+      }
+    };
+
+    const onReadable = () => {
+      while (!result.isSettled()) {
+        const chunk = socket.read();
+
+        if (chunk === null) {
+          break;
+        }
+
+        buffer = Buffer.concat([buffer, chunk]);
+
+        let decision;
+        try {
+          decision = decide(buffer);
+        } catch (e) {
+          reject(e);
+          return;
+        }
+
+        if (decision) {
+          const { consumed, result: decisionResult } = decision;
+
+          if (buffer.length > consumed) {
+            socket.unshift(buffer.subarray(consumed));
+          }
+
+          result.resolve(decisionResult);
+        }
+      }
+    };
+
+    const onClose   = () => reject(new Error('Connection closed before start was read.'));
+    const onError   = (e) => reject(e);
+    const onTimeout = () => reject(new Error('Timed out waiting for start of connection.'));
+
+    socket.on('readable', onReadable);
+    socket.on('end',      onClose);
+    socket.on('close',    onClose);
+    socket.on('error',    onError);
+    socket.on('timeout',  onTimeout);
+
+    if (timeoutMsec) {
+      timer = new AbortController();
+      WallClock.waitForMsec(timeoutMsec, { signal: timer.signal, ref: false })
+        .then(onTimeout, () => null); // Rejection means it got aborted (below).
+    }
+
+    // Check for already-buffered data. This is necessary because a `readable`
+    // event won't necessarily be emitted for such data, e.g. if this method
+    // was just called (and put data back into the socket) immediately before.
+    onReadable();
+
+    try {
+      return await result.promise;
+    } finally {
+      timer?.abort();
+      socket.removeListener('readable', onReadable);
+      socket.removeListener('end',      onClose);
+      socket.removeListener('close',    onClose);
+      socket.removeListener('error',    onError);
+      socket.removeListener('timeout',  onTimeout);
+    }
+  }
+
+  /**
+   * @returns {?object} Connection and request timeouts, or `null` to use the
+   * system defaults for all of them. See the `timeouts` construction option of
+   * {@link ProtocolWrangler} for details.
+   */
+  get _prot_timeouts() {
+    return this.#timeouts;
+  }
+
   /**
    * Handles a new incoming connection. This is called in response to the
    * receipt of a `connection` event from the server socket.
@@ -140,15 +360,39 @@ export class TcpWrangler extends ProtocolWrangler {
     if (this._prot_isStopping()) {
       // Immediately close a socket that managed to slip in while we're trying
       // to stop.
-      socket.close();
+      socket.destroy();
       return;
     }
 
     const connLogger = this.#makeConnectionLogger(socket, ...rest);
+    let   origin     = null;
+
+    if (this.#isFromTrustedProxy(socket)) {
+      this.#proxyPendingSockets.add(socket);
+
+      try {
+        const header = await this.#readProxyHeader(socket);
+
+        // Note: A header without a source address (e.g. a health check made
+        // by the proxy itself) leaves the connection treated as direct.
+        origin = header.source;
+        connLogger?.proxied({
+          version: header.version,
+          origin:  origin ? origin.toString() : null
+        });
+      } catch (e) {
+        connLogger?.badProxyHeader(e);
+        socket.destroy();
+        return;
+      } finally {
+        this.#proxyPendingSockets.delete(socket);
+      }
+    }
 
     if (this.#connectionRateLimiter) {
-      const granted = await this.#connectionRateLimiter.call('newConnection', connLogger);
+      const granted = await this.#connectionRateLimiter.call('newConnection', connLogger, origin);
       if (!granted) {
+        this._prot_metrics?.connectionRejected();
         socket.destroy();
         return;
       }
@@ -158,8 +402,16 @@ export class TcpWrangler extends ProtocolWrangler {
       socket = await this.#dataRateLimiter.call('wrapWriter', socket, connLogger);
     }
 
+    if (this._prot_isStopping()) {
+      // We started stopping while waiting above, and this socket isn't yet
+      // known to the rest of the system. So, as above, just close it.
+      socket.destroy();
+      return;
+    }
+
     this.#sockets.add(socket);
     this.#anySockets.value = true;
+    this._prot_metrics?.connectionAccepted();
 
     // Note: Doing a socket timeout is a good idea in general. But beyond that,
     // as of this writing, there's a bug in Node which causes it to consistently
@@ -168,7 +420,8 @@ export class TcpWrangler extends ProtocolWrangler {
     // leakage consistent with the issue in this project, and the working
     // hypothesis is that setting this timeout will suffice as a fix /
     // workaround (depending on one's perspective).
-    socket.setTimeout(TcpWrangler.#SOCKET_TIMEOUT_MSEC, () => {
+    const timeoutMsec = this.#timeouts?.idleSocket?.msec ?? TcpWrangler.#SOCKET_TIMEOUT_MSEC;
+    socket.setTimeout(timeoutMsec, () => {
       this.#handleTimeout(socket, connLogger);
     });
 
@@ -227,13 +480,14 @@ export class TcpWrangler extends ProtocolWrangler {
         this.#anySockets.value = false;
       }
 
+      this._prot_metrics?.connectionClosed();
       logClose();
     });
 
     // Set up the context, and then call down to our concrete subclass to do the
     // last bit of connection setup. We intentionally only do this after we've
     // set up everything we can at this layer.
-    const context = WranglerContext.forConnection(this, socket, connLogger);
+    const context = WranglerContext.forConnection(this, socket, connLogger, origin);
     await this._impl_newConnection(context);
   }
 
@@ -300,6 +554,25 @@ export class TcpWrangler extends ProtocolWrangler {
     }
   }
 
+  /**
+   * Indicates whether the given socket is from a trusted PROXY protocol source.
+   *
+   * @param {Socket} socket Socket for the newly-opened connection.
+   * @returns {boolean} `true` iff the socket is from a trusted source.
+   */
+  #isFromTrustedProxy(socket) {
+    const trustedSources = this.#proxyProtocol?.trustedSources;
+
+    if (!trustedSources) {
+      return false;
+    } else if (this.interface.path !== null) {
+      // Unix domain socket, so there is no address to check.
+      return trustedSources.includesUnixPeers;
+    } else {
+      return trustedSources.has(socket.remoteAddress ?? null);
+    }
+  }
+
   /**
    * Makes a new connection logger, and does initial logging about the
    * connection; or does nothing if this instance isn't doing logging.
@@ -326,10 +599,18 @@ export class TcpWrangler extends ProtocolWrangler {
         // The event is only supposed to have the one argument.
         connLogger.weirdConnectionEvent(socket, ...rest);
       }
-      connLogger.opened({
-        local:  EndpointAddress.endpointString(socket.localAddress, socket.localPort),
-        remote: EndpointAddress.endpointString(socket.remoteAddress, socket.remotePort)
-      });
+      if (this.interface.path === null) {
+        connLogger.opened({
+          local:  EndpointAddress.endpointString(socket.localAddress, socket.localPort),
+          remote: EndpointAddress.endpointString(socket.remoteAddress, socket.remotePort)
+        });
+      } else {
+        // Unix domain socket, which has no IP addresses to report.
+        connLogger.opened({
+          local:  this.interface.toString(),
+          remote: 'unix:'
+        });
+      }
     } catch (e) {
       // Shouldn't happen. Almost certainly indicative of a bug in this
       // project. Nonetheless, we don't want this failure to take the whole
@@ -340,6 +621,24 @@ export class TcpWrangler extends ProtocolWrangler {
     return connLogger;
   }
 
+  /**
+   * Reads a PROXY protocol header from the start of the given socket. Any data
+   * received after the header is put back into the socket, so that the
+   * protocol layer sees the connection as if the header had never been there.
+   *
+   * @param {Socket} socket Socket for the newly-opened connection.
+   * @returns {ProxyHeader} The parsed header.
+   * @throws {Error} Thrown if the header was invalid, if the connection was
+   *   closed before a complete header arrived, or if it took too long for the
+   *   header to arrive.
+   */
+  async #readProxyHeader(socket) {
+    return this._prot_readStart(socket, (buffer) => {
+      const header = ProxyHeader.parse(buffer);
+      return header ? { consumed: header.length, result: header } : null;
+    }, TcpWrangler.#PROXY_HEADER_TIMEOUT_MSEC);
+  }
+
   /**
    * Runs the low-level stack. This is called as the main function of the
    * {@link #runner}.
@@ -373,9 +672,26 @@ export class TcpWrangler extends ProtocolWrangler {
   //
 
   /**
-   * How long in msec to wait before considering a connected socket (a/o/t a
-   * server socket doing a `listen()`) to be "timed out." When timed out, a
-   * socket is closed proactively.
+   * Minimum interval in msec at which to have Node check for header-read and
+   * request timeouts, when either is configured.
+   *
+   * @type {number}
+   */
+  static #MIN_TIMEOUT_CHECK_MSEC = 100;
+
+  /**
+   * How long in msec to wait for a complete PROXY protocol header to arrive,
+   * on a connection that is expected to have one.
+   *
+   * @type {number}
+   */
+  static #PROXY_HEADER_TIMEOUT_MSEC = 10 * 1000; // Ten seconds.
+
+  /**
+   * Default for how long in msec to wait before considering a connected socket
+   * (a/o/t a server socket doing a `listen()`) to be "timed out." When timed
+   * out, a socket is closed proactively. This can be overridden via the
+   * `idleSocket` timeout option.
    *
    * @type {number}
    */
@@ -8,7 +8,8 @@ import * as net from 'node:net';
 import * as stream from 'node:stream';
 
 import { IntfLogger } from '@this/loggy-intf';
-import { EndpointAddress } from '@this/net-util';
+import { EndpointAddress, PeerCertificate } from '@this/net-util';
+import { MustBe } from '@this/typey';
 
 import { ProtocolWrangler } from '#x/ProtocolWrangler';
 
@@ -63,10 +64,34 @@ export class WranglerContext {
   /**
    * Cached result for {@link #origin}, or `null` if not yet calculated.
    *
-   * @type {?object}
+   * @type {?EndpointAddress}
    */
   #origin = null;
 
+  /**
+   * Address of the proxy which relayed the connection, or `null` if the
+   * connection was not relayed.
+   *
+   * @type {?EndpointAddress}
+   */
+  #proxy = null;
+
+  /**
+   * Authenticated certificate presented by the peer of a TLS connection, or
+   * `null` if there is none.
+   *
+   * @type {?PeerCertificate}
+   */
+  #peerCertificate = null;
+
+  /**
+   * Name of the host which the peer of a TLS connection asked for (via SNI),
+   * or `null` if it didn't ask for one or if this isn't a TLS connection.
+   *
+   * @type {?string}
+   */
+  #tlsServerName = null;
+
   /**
    * Constructs an instance.
    *
@@ -81,6 +106,10 @@ export class WranglerContext {
       this.#connectionLogger = source.#connectionLogger;
       this.#sessionLogger    = source.#sessionLogger;
       this.#sessionId        = source.#sessionId;
+      this.#origin           = source.#origin;
+      this.#proxy            = source.#proxy;
+      this.#peerCertificate  = source.#peerCertificate;
+      this.#tlsServerName    = source.#tlsServerName;
     }
   }
 
@@ -115,26 +144,51 @@ export class WranglerContext {
   }
 
   /**
-   * @returns {EndpointAddress} Object representing the remote address/port of
-   * the {@link #socket}.
+   * @returns {EndpointAddress} Object representing the address/port of the
+   * origin of the connection. This is the remote address/port of the {@link
+   * #socket}, except when the connection was relayed by a proxy, in which case
+   * it is the address of the original client as reported by the proxy.
    */
   get origin() {
     if (!this.#origin) {
-      const { remoteAddress = null, remotePort = null } = this.#socket ?? {};
-      try {
-        this.#origin = new EndpointAddress(remoteAddress, remotePort);
-      } catch {
-        // Presumably one of `remoteAddress` or `remotePort` was invalid. Make
-        // this into an "unknown" instance, and log the fact (which is better
-        // than just crashing).
-        this.logger?.invalidSocketRemote({ remoteAddress, remotePort }, this.#socket);
-        this.#origin = new EndpointAddress(null, null);
-      }
+      this.#origin = this.#socketRemote();
     }
 
     return this.#origin;
   }
 
+  /**
+   * @returns {?PeerCertificate} Authenticated certificate presented by the peer
+   * of a TLS connection, or `null` if there is none.
+   */
+  get peerCertificate() {
+    return this.#peerCertificate;
+  }
+
+  /**
+   * Sets the authenticated certificate presented by the peer of a TLS
+   * connection. This is expected to be set (if at all) right after the TLS
+   * handshake completes, before any sessions or requests are made on the
+   * connection.
+   *
+   * @param {?PeerCertificate} certificate The certificate, or `null` if there
+   *   is none.
+   */
+  set peerCertificate(certificate) {
+    this.#peerCertificate = (certificate === null)
+      ? null
+      : MustBe.instanceOf(certificate, PeerCertificate);
+  }
+
+  /**
+   * @returns {?EndpointAddress} Object representing the address/port of the
+   * proxy which relayed the connection (which is the remote address/port of
+   * the {@link #socket}), or `null` if the connection was not relayed.
+   */
+  get proxy() {
+    return this.#proxy;
+  }
+
   /** @returns {?string} ID of a session. */
   get sessionId() {
     return this.#sessionId;
@@ -154,6 +208,26 @@ export class WranglerContext {
     return this.#socket;
   }
 
+  /**
+   * @returns {?string} Name of the host which the peer of a TLS connection
+   * asked for (via SNI), or `null` if it didn't ask for one or if this isn't a
+   * TLS connection.
+   */
+  get tlsServerName() {
+    return this.#tlsServerName;
+  }
+
+  /**
+   * Sets the name of the host which the peer of a TLS connection asked for. As
+   * with {@link #peerCertificate}, this is expected to be set right after the
+   * TLS handshake completes.
+   *
+   * @param {?string} name The name, or `null` if the peer didn't ask for one.
+   */
+  set tlsServerName(name) {
+    this.#tlsServerName = (name === null) ? null : MustBe.string(name);
+  }
+
   /**
    * @returns {ProtocolWrangler} Wrangler instance responsible for this context.
    */
@@ -206,6 +280,25 @@ export class WranglerContext {
     return WranglerContext.#perWranglerStorage.run(this, callback);
   }
 
+  /**
+   * Gets the remote address/port of the {@link #socket}.
+   *
+   * @returns {EndpointAddress} The remote address/port.
+   */
+  #socketRemote() {
+    const { remoteAddress = null, remotePort = null } = this.#socket ?? {};
+
+    try {
+      return new EndpointAddress(remoteAddress, remotePort);
+    } catch {
+      // Presumably one of `remoteAddress` or `remotePort` was invalid. Make
+      // this into an "unknown" instance, and log the fact (which is better
+      // than just crashing).
+      this.logger?.invalidSocketRemote({ remoteAddress, remotePort }, this.#socket);
+      return new EndpointAddress(null, null);
+    }
+  }
+
 
   //
   // Static members
@@ -258,14 +351,22 @@ export class WranglerContext {
    *   the `socket`.
    * @param {net.Socket} socket The raw socket for the connection.
    * @param {?IntfLogger} logger The connection logger, if any.
+   * @param {?EndpointAddress} [origin] The address of the original client, if
+   *   the connection was relayed by a proxy, or `null` if the connection was
+   *   not relayed (in which case the origin is the remote side of `socket`).
    * @returns {WranglerContext} An appropriately-constructed instance.
    */
-  static forConnection(wrangler, socket, logger) {
+  static forConnection(wrangler, socket, logger, origin = null) {
     const ctx = new WranglerContext();
 
     ctx.#wrangler = wrangler;
     ctx.#socket   = socket;
 
+    if (origin) {
+      ctx.#origin = origin;
+      ctx.#proxy  = ctx.#socketRemote();
+    }
+
     if (logger) {
       ctx.#connectionLogger = IntfLogger.mustBeInstanceOrNull(logger);
       ctx.#connectionId     = logger?.$meta.lastContext ?? null;
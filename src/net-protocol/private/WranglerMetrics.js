@@ -0,0 +1,145 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { Counter, Gauge, Histogram, MetricsRegistry } from '@this/metricy';
+import { Duration } from '@this/quant';
+import { MustBe } from '@this/typey';
+
+
+/**
+ * Metrics recorder for a single protocol wrangler, that is, for a single
+ * endpoint. All the metrics recorded by instances of this class are labeled
+ * with the name of the endpoint.
+ */
+export class WranglerMetrics {
+  /**
+   * Labels which identify the endpoint.
+   *
+   * @type {{ endpoint: string }}
+   */
+  #labels;
+
+  /**
+   * Count of connections, labeled by result.
+   *
+   * @type {Counter}
+   */
+  #connections;
+
+  /**
+   * Number of currently-open connections.
+   *
+   * @type {Gauge}
+   */
+  #connectionsOpen;
+
+  /**
+   * Count of completed requests, labeled by response status.
+   *
+   * @type {Counter}
+   */
+  #requests;
+
+  /**
+   * Durations of completed requests.
+   *
+   * @type {Histogram}
+   */
+  #requestDuration;
+
+  /**
+   * Number of currently-in-flight requests.
+   *
+   * @type {Gauge}
+   */
+  #requestsInFlight;
+
+  /**
+   * Constructs an instance.
+   *
+   * @param {string} endpoint The name of the endpoint.
+   * @param {MetricsRegistry} [registry] Registry to record into. Defaults to
+   *   the standard instance.
+   */
+  constructor(endpoint, registry = MetricsRegistry.DEFAULT) {
+    MustBe.string(endpoint);
+    MustBe.instanceOf(registry, MetricsRegistry);
+
+    this.#labels = Object.freeze({ endpoint });
+
+    this.#connections = registry.counter({
+      name:       'lactoserv_connections',
+      help:       'Connections handled by each endpoint, by result.',
+      labelNames: ['endpoint', 'result']
+    });
+
+    this.#connectionsOpen = registry.gauge({
+      name:       'lactoserv_connections_open',
+      help:       'Currently-open connections of each endpoint.',
+      labelNames: ['endpoint']
+    });
+
+    this.#requests = registry.counter({
+      name:       'lactoserv_requests',
+      help:       'Requests completed by each endpoint, by response status.',
+      labelNames: ['endpoint', 'status']
+    });
+
+    this.#requestDuration = registry.histogram({
+      name:       'lactoserv_request_duration_seconds',
+      help:       'Time taken to complete requests, for each endpoint.',
+      labelNames: ['endpoint']
+    });
+
+    this.#requestsInFlight = registry.gauge({
+      name:       'lactoserv_requests_in_flight',
+      help:       'Currently-in-flight requests of each endpoint.',
+      labelNames: ['endpoint']
+    });
+  }
+
+  /**
+   * Records that a connection was accepted.
+   */
+  connectionAccepted() {
+    this.#connections.inc(1, { ...this.#labels, result: 'accepted' });
+    this.#connectionsOpen.inc(1, this.#labels);
+  }
+
+  /**
+   * Records that a previously-accepted connection was closed.
+   */
+  connectionClosed() {
+    this.#connectionsOpen.dec(1, this.#labels);
+  }
+
+  /**
+   * Records that a connection was rejected (e.g., by a rate limiter).
+   */
+  connectionRejected() {
+    this.#connections.inc(1, { ...this.#labels, result: 'rejected' });
+  }
+
+  /**
+   * Records that a request finished, that is, that its response was either
+   * completely sent or abandoned.
+   *
+   * @param {?number} status The status code of the response, or `null` if
+   *   there wasn't one.
+   * @param {Duration} duration How long the request took.
+   */
+  requestFinished(status, duration) {
+    const statusString = (status === null) ? 'none' : `${status}`;
+
+    this.#requestsInFlight.dec(1, this.#labels);
+    this.#requests.inc(1, { ...this.#labels, status: statusString });
+    this.#requestDuration.observe(MustBe.instanceOf(duration, Duration).sec, this.#labels);
+  }
+
+  /**
+   * Records that a request started.
+   */
+  requestStarted() {
+    this.#requestsInFlight.inc(1, this.#labels);
+  }
+}
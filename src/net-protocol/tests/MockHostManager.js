@@ -0,0 +1,78 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { IntfHostManager } from '@this/net-protocol';
+import { CertUtil } from '@this/net-util';
+
+
+/**
+ * Minimal host manager, for tests of secure wranglers. It has a single
+ * self-signed certificate which it uses for all hosts, lets all peers connect,
+ * and doesn't do OCSP stapling or shared session tickets.
+ *
+ * @implements {IntfHostManager}
+ */
+export class MockHostManager {
+  /**
+   * The certificate and private key.
+   *
+   * @type {{ certificate: string, privateKey: string }}
+   */
+  #pair;
+
+  /**
+   * Constructs an instance. Use {@link #make} instead of calling this directly.
+   *
+   * @param {{ certificate: string, privateKey: string }} pair The certificate
+   *   and private key.
+   */
+  constructor(pair) {
+    this.#pair = pair;
+  }
+
+  /** @override */
+  authorizePeer(serverName_unused, certificate_unused, verified_unused) {
+    return { allowed: true, peerCertificate: null };
+  }
+
+  /** @override */
+  findContext(name_unused) {
+    return null;
+  }
+
+  /** @override */
+  getOcspResponse(certificate_unused) {
+    return null;
+  }
+
+  /** @override */
+  getSecureServerOptions() {
+    const { certificate, privateKey } = this.#pair;
+    return { cert: certificate, key: privateKey };
+  }
+
+  /** @override */
+  getTicketKeys() {
+    return null;
+  }
+
+  /** @override */
+  isMisdirected(serverName_unused, hostname_unused) {
+    // There's just the one host.
+    return false;
+  }
+
+
+  //
+  // Static members
+  //
+
+  /**
+   * Makes an instance, with a fresh self-signed certificate for `localhost`.
+   *
+   * @returns {MockHostManager} The instance.
+   */
+  static async make() {
+    return new MockHostManager(await CertUtil.makeSelfSignedPair(['localhost']));
+  }
+}
@@ -0,0 +1,478 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import * as fs from 'node:fs/promises';
+import * as http2 from 'node:http2';
+import * as net from 'node:net';
+
+import { WallClock } from '@this/clocky';
+import { ProtocolWranglers } from '@this/net-protocol';
+import { AddressSet, FullResponse, StatusResponse, WebSocketResponse }
+  from '@this/net-util';
+import { Duration } from '@this/quant';
+
+import { MockHostManager } from '#tests/MockHostManager';
+import { RawClient } from '#tests/RawClient';
+import { WranglerUtil } from '#tests/WranglerUtil';
+
+
+/**
+ * An HTTP1 WebSocket handshake request, using the example key from RFC 6455.
+ *
+ * @type {string}
+ */
+const WS_HANDSHAKE =
+  'GET /chat HTTP/1.1\r\n' +
+  'Host: localhost\r\n' +
+  'Connection: Upgrade\r\n' +
+  'Upgrade: websocket\r\n' +
+  'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\n' +
+  'Sec-WebSocket-Version: 13\r\n' +
+  '\r\n';
+
+/**
+ * Makes a masked (as required of clients) WebSocket close frame, with a zero
+ * masking key.
+ *
+ * @param {number} code The close code.
+ * @returns {Array<number>} The frame.
+ */
+function clientCloseFrame(code) {
+  return [0x88, 0x82, 0, 0, 0, 0, (code >> 8), (code & 0xff)];
+}
+
+/**
+ * Makes the text of an unmasked (as sent by servers) WebSocket close frame,
+ * with no reason.
+ *
+ * @param {number} code The close code.
+ * @returns {string} The frame, as Latin-1 text.
+ */
+function serverCloseFrame(code) {
+  return String.fromCharCode(0x88, 0x02, (code >> 8), (code & 0xff));
+}
+
+/**
+ * Request handler which responds to everything with a little text saying which
+ * protocol the request came in on.
+ *
+ * @type {object}
+ */
+const PROTOCOL_ECHO_HANDLER = {
+  async handleRequest(request) {
+    const response = new FullResponse();
+
+    response.status = 200;
+    response.setBodyString(`Hello, ${request.protocolName}!`, 'text/plain');
+
+    return response;
+  }
+};
+
+/**
+ * Makes a `GET /` request to the server listening on the given path, using
+ * HTTP2 with "prior knowledge" (no TLS, and no upgrade), and returns the
+ * status and body of the response.
+ *
+ * @param {string} path The socket path.
+ * @returns {{ status: number, body: string }} The response.
+ */
+async function http2PriorKnowledgeGet(path) {
+  const session = http2.connect('http://localhost', {
+    createConnection: () => net.connect({ path })
+  });
+
+  try {
+    const stream = session.request({ ':path': '/' });
+    const chunks = [];
+    let   status = null;
+
+    stream.on('response', (headers) => {
+      status = headers[':status'];
+    });
+
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+
+    return { status, body: Buffer.concat(chunks).toString() };
+  } finally {
+    session.close();
+  }
+}
+
+let util;
+
+beforeEach(() => {
+  util = new WranglerUtil();
+});
+
+afterEach(async () => {
+  await util.cleanup();
+});
+
+describe('HTTP1 protocol upgrade requests', () => {
+  test('get handed to the request handler, which can respond with a WebSocket', async () => {
+    let gotRequest = null;
+    const requestHandler = {
+      async handleRequest(request) {
+        gotRequest = request;
+        return new WebSocketResponse(async (connection) => {
+          await connection.send('Hi!');
+          await connection.receive();
+        });
+      }
+    };
+
+    const wrangler = await util.makeWrangler({ requestHandler });
+    const client   = await RawClient.connect(wrangler.interface.path);
+
+    client.write(WS_HANDSHAKE);
+
+    const head = await client.read('\r\n\r\n');
+    expect(head).toStartWith('HTTP/1.1 101 Switching Protocols\r\n');
+    expect(head).toContain('\r\nSec-WebSocket-Accept: s3pPLMBiTxaQ9kYGzzhZRbK+xOo=\r\n');
+    expect(gotRequest.upgradeProtocol).toBe('websocket');
+    expect(gotRequest.pathnameString).toBe('/chat');
+
+    await client.read('\x81\x03Hi!');
+
+    // The handler returns when it gets a message, which makes the session
+    // close normally.
+    client.write([0x81, 0x82, 0, 0, 0, 0, 0x59, 0x6f]); // "Yo"
+    await client.read(serverCloseFrame(1000));
+    client.write(clientCloseFrame(1000));
+    await client.whenClosed();
+  });
+
+  test('get closed after a non-WebSocket response', async () => {
+    const requestHandler = {
+      async handleRequest() {
+        return StatusResponse.FORBIDDEN;
+      }
+    };
+
+    const wrangler = await util.makeWrangler({ requestHandler });
+    const client   = await RawClient.connect(wrangler.interface.path);
+
+    client.write(WS_HANDSHAKE);
+
+    expect(await client.read('\r\n')).toBe('HTTP/1.1 403 Forbidden\r\n');
+    await client.whenClosed();
+  });
+
+  test('get a `500` response when answered by a WebSocket but not for a WebSocket', async () => {
+    const requestHandler = {
+      async handleRequest() {
+        return new WebSocketResponse(() => null);
+      }
+    };
+
+    const wrangler = await util.makeWrangler({ requestHandler });
+    const client   = await RawClient.connect(wrangler.interface.path);
+
+    client.write(
+      'GET / HTTP/1.1\r\n' +
+      'Host: localhost\r\n' +
+      'Connection: Upgrade\r\n' +
+      'Upgrade: florp\r\n' +
+      '\r\n');
+
+    expect(await client.read('\r\n')).toBe('HTTP/1.1 500 Internal Server Error\r\n');
+    await client.whenClosed();
+  });
+});
+
+describe('protocol `http2c`', () => {
+  test('speaks HTTP2 to a client with prior knowledge', async () => {
+    const wrangler = await util.makeWrangler({
+      protocol:       'http2c',
+      requestHandler: PROTOCOL_ECHO_HANDLER
+    });
+
+    const got = await http2PriorKnowledgeGet(wrangler.interface.path);
+
+    expect(got).toEqual({ status: 200, body: 'Hello, http-2.0!' });
+  });
+
+  test('falls back to HTTP1 for other clients', async () => {
+    const wrangler = await util.makeWrangler({
+      protocol:       'http2c',
+      requestHandler: PROTOCOL_ECHO_HANDLER
+    });
+    const client = await RawClient.connect(wrangler.interface.path);
+
+    client.write('GET / HTTP/1.1\r\nHost: localhost\r\n\r\n');
+
+    expect(await client.read('\r\n')).toBe('HTTP/1.1 200 OK\r\n');
+    await client.read('Hello, http-1.1!');
+    client.destroy();
+  });
+
+  test('does not upgrade an HTTP1 request with `Upgrade: h2c`', async () => {
+    const wrangler = await util.makeWrangler({
+      protocol:       'http2c',
+      requestHandler: PROTOCOL_ECHO_HANDLER
+    });
+    const client = await RawClient.connect(wrangler.interface.path);
+
+    client.write(
+      'GET / HTTP/1.1\r\n' +
+      'Host: localhost\r\n' +
+      'Connection: Upgrade, HTTP2-Settings\r\n' +
+      'Upgrade: h2c\r\n' +
+      'HTTP2-Settings: AAMAAABkAAQAoAAAAAIAAAAA\r\n' +
+      '\r\n');
+
+    expect(await client.read('\r\n')).toBe('HTTP/1.1 200 OK\r\n');
+    await client.read('Hello, http-1.1!');
+    client.destroy();
+  });
+
+  test.each`
+  label                        | sent
+  ${'nothing'}                 | ${''}
+  ${'a partial HTTP2 preface'} | ${'PRI * HTTP/2.0\r\n'}
+  `('closes a connection which sends $label and then stalls', async ({ sent }) => {
+    const wrangler = await util.makeWrangler({
+      protocol:       'http2c',
+      requestHandler: PROTOCOL_ECHO_HANDLER,
+      timeouts:       { headerRead: new Duration(0.25) }
+    });
+    const client = await RawClient.connect(wrangler.interface.path);
+
+    if (sent !== '') {
+      client.write(sent);
+    }
+
+    await WallClock.waitForMsec(100);
+    expect(client.closed).toBeFalse();
+
+    await client.whenClosed();
+  });
+});
+
+describe('timeouts', () => {
+  let hostManager;
+
+  beforeAll(async () => {
+    hostManager = await MockHostManager.make();
+  }, 10_000);
+
+  test.each`
+  protocol   | secure
+  ${'http'}  | ${false}
+  ${'https'} | ${true}
+  ${'http2'} | ${true}
+  `('`headerRead` disconnects a slow HTTP1 client of protocol `$protocol`', async ({ protocol, secure }) => {
+    const wrangler = await util.makeWrangler({
+      protocol,
+      hostManager,
+      requestHandler: PROTOCOL_ECHO_HANDLER,
+      timeouts:       { headerRead: new Duration(0.25) }
+    });
+    const path   = wrangler.interface.path;
+    const client = secure
+      ? await RawClient.connectTls(path, { ALPNProtocols: ['http/1.1'] })
+      : await RawClient.connect(path);
+
+    // Send part of the headers, and then stall.
+    client.write('GET / HTTP/1.1\r\nHost: localhost\r\n');
+
+    await WallClock.waitForMsec(100);
+    expect(client.closed).toBeFalse();
+
+    await client.whenClosed();
+  });
+});
+
+describe('reloading', () => {
+  /**
+   * Makes a request handler which responds to everything with the given text.
+   *
+   * @param {string} text The text.
+   * @returns {object} The handler.
+   */
+  function textHandler(text) {
+    return {
+      async handleRequest() {
+        const response = new FullResponse();
+
+        response.status = 200;
+        response.setBodyString(text, 'text/plain');
+
+        return response;
+      }
+    };
+  }
+
+  const REQUEST = 'GET / HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n';
+
+  test('hands the server socket over to the post-reload wrangler, without refusing connections', async () => {
+    const before = await util.makeWrangler({ requestHandler: textHandler('before') });
+    const iface  = before.interface;
+
+    await before.stop(true);
+
+    // Connect while nothing is running at all. This should get queued up on the
+    // stashed server socket, and not refused.
+    const client = await RawClient.connect(iface.path);
+    client.write(REQUEST);
+
+    await util.makeWrangler({ interface: iface, requestHandler: textHandler('after') });
+
+    expect(await client.read('\r\n')).toBe('HTTP/1.1 200 OK\r\n');
+    await client.read('after');
+    await client.whenClosed();
+  });
+
+  test('lets the post-reload wrangler take over while the pre-reload one is still draining', async () => {
+    let arrived;
+    let release;
+    const whenArrived  = new Promise((resolve) => { arrived = resolve; });
+    const whenReleased = new Promise((resolve) => { release = resolve; });
+    const before = await util.makeWrangler({
+      requestHandler: {
+        async handleRequest() {
+          arrived();
+          await whenReleased;
+          return textHandler('before').handleRequest();
+        }
+      }
+    });
+    const iface = before.interface;
+
+    const client1 = await RawClient.connect(iface.path);
+    client1.write(REQUEST);
+    await whenArrived;
+
+    const stopped = before.stop(true);
+
+    await before.whenNotAccepting();
+    await util.makeWrangler({ interface: iface, requestHandler: textHandler('after') });
+
+    const client2 = await RawClient.connect(iface.path);
+    client2.write(REQUEST);
+    await client2.read('after');
+    await client2.whenClosed();
+
+    release();
+    await client1.read('before');
+    await client1.whenClosed();
+    await stopped;
+  });
+
+  test('closes a stashed server socket which does not get taken over', async () => {
+    const before = await util.makeWrangler({ requestHandler: textHandler('before') });
+    const path   = before.interface.path;
+
+    await before.stop(true);
+
+    // A connection made while stashed gets queued up...
+    const client = await RawClient.connect(path);
+    client.write(REQUEST);
+
+    await ProtocolWranglers.closeStashedSockets();
+
+    // ...and then closed without a response, once the socket gets closed.
+    await client.whenClosed();
+    await expect(client.read('HTTP')).toReject();
+
+    // New connections get refused.
+    await expect(RawClient.connect(path)).toReject();
+  });
+});
+
+describe('request bodies', () => {
+  test('get their uploaded files removed once the response has been sent', async () => {
+    let directory = null;
+    const requestHandler = {
+      async handleRequest(request) {
+        const formData = await request.body.multipart();
+
+        directory = formData.directory;
+        return StatusResponse.fromStatus(204);
+      }
+    };
+
+    const wrangler = await util.makeWrangler({ requestHandler });
+    const client   = await RawClient.connect(wrangler.interface.path);
+    const body     =
+      '--xyz\r\n' +
+      'Content-Disposition: form-data; name="f"; filename="x.txt"\r\n' +
+      '\r\n' +
+      'florp\r\n' +
+      '--xyz--\r\n';
+
+    client.write(
+      'POST /upload HTTP/1.1\r\n' +
+      'Host: localhost\r\n' +
+      'Content-Type: multipart/form-data; boundary=xyz\r\n' +
+      `Content-Length: ${body.length}\r\n` +
+      '\r\n' +
+      body);
+
+    expect(await client.read('\r\n')).toBe('HTTP/1.1 204 No Content\r\n');
+    expect(directory).toBeString();
+
+    // Removal happens right after the response is sent, which is to say,
+    // possibly _just_ after the client sees it.
+    for (let i = 0; i < 100; i++) {
+      try {
+        await fs.stat(directory);
+      } catch {
+        break;
+      }
+
+      await WallClock.waitForMsec(10);
+    }
+
+    await expect(fs.stat(directory)).rejects.toThrow();
+    client.destroy();
+  });
+});
+
+describe('stop()', () => {
+  test('closes active WebSocket sessions with code `1001`', async () => {
+    let gotConnection = null;
+    const requestHandler = {
+      async handleRequest() {
+        return new WebSocketResponse(async (connection) => {
+          gotConnection = connection;
+          await connection.send('Hi!');
+          await connection.whenClosed();
+        });
+      }
+    };
+
+    const wrangler = await util.makeWrangler({ requestHandler });
+    const client   = await RawClient.connect(wrangler.interface.path);
+
+    client.write(WS_HANDSHAKE);
+    await client.read('\x81\x03Hi!');
+
+    const stopped = wrangler.stop(false);
+
+    await client.read(serverCloseFrame(1001));
+    client.write(clientCloseFrame(1001));
+
+    await stopped;
+    await client.whenClosed();
+    expect(gotConnection.closeCode).toBe(1001);
+  });
+
+  test('closes connections which are still waiting for a PROXY header', async () => {
+    const wrangler = await util.makeWrangler({
+      requestHandler: PROTOCOL_ECHO_HANDLER,
+      proxyProtocol:  { trustedSources: new AddressSet(['unix']) }
+    });
+    const client = await RawClient.connect(wrangler.interface.path);
+
+    client.write('PROXY TCP4 ');
+    await WallClock.waitForMsec(100);
+    expect(client.closed).toBeFalse();
+
+    await wrangler.stop(false);
+    await client.whenClosed();
+  });
+});
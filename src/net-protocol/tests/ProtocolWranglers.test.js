@@ -0,0 +1,135 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { ProtocolWrangler, ProtocolWranglers } from '@this/net-protocol';
+import { InterfaceAddress } from '@this/net-util';
+
+
+/**
+ * Minimal wrangler subclass, for registration.
+ */
+class FakeWrangler extends ProtocolWrangler {
+  // @defaultConstructor
+}
+
+describe.each`
+protocol    | secure
+${'http'}   | ${false}
+${'http2'}  | ${true}
+${'http2c'} | ${false}
+${'https'}  | ${true}
+`('built-in protocol `$protocol`', ({ protocol, secure }) => {
+  test('is accepted by `mustBeProtocol()`', () => {
+    expect(ProtocolWranglers.mustBeProtocol(protocol)).toBe(protocol);
+  });
+
+  test('has the expected `isSecure()`', () => {
+    expect(ProtocolWranglers.isSecure(protocol)).toBe(secure);
+  });
+});
+
+describe('mustBeProtocol()', () => {
+  test.each`
+  value
+  ${'florp'}
+  ${'HTTP'}
+  ${123}
+  ${null}
+  `('rejects `$value`', ({ value }) => {
+    expect(() => ProtocolWranglers.mustBeProtocol(value)).toThrow();
+  });
+});
+
+describe('register()', () => {
+  afterEach(() => {
+    try {
+      ProtocolWranglers.unregister('florp');
+    } catch {
+      // Wasn't registered (e.g. because the test expected failure).
+    }
+  });
+
+  test('registers a protocol with default options', () => {
+    ProtocolWranglers.register('florp', FakeWrangler);
+
+    expect(ProtocolWranglers.mustBeProtocol('florp')).toBe('florp');
+    expect(ProtocolWranglers.isSecure('florp')).toBeFalse();
+  });
+
+  test('registers a protocol with all options', () => {
+    ProtocolWranglers.register('florp', FakeWrangler, { secure: true });
+
+    expect(ProtocolWranglers.isSecure('florp')).toBeTrue();
+  });
+
+  test('makes it so that `make()` constructs the registered class', () => {
+    ProtocolWranglers.register('florp', FakeWrangler);
+
+    const wrangler = ProtocolWranglers.make({
+      interface:      new InterfaceAddress('*:1234'),
+      protocol:       'florp',
+      requestHandler: { handleRequest: () => null }
+    });
+
+    expect(wrangler).toBeInstanceOf(FakeWrangler);
+  });
+
+  test('rejects a protocol which was already registered via `register()`', () => {
+    ProtocolWranglers.register('florp', FakeWrangler);
+    expect(() => ProtocolWranglers.register('florp', FakeWrangler)).toThrow(/already/);
+  });
+
+  test('rejects an already-registered protocol', () => {
+    expect(() => ProtocolWranglers.register('https', FakeWrangler)).toThrow(/already/);
+  });
+
+  test.each`
+  label                           | name      | cls             | options
+  ${'an invalid name'}            | ${'A-B'}  | ${FakeWrangler} | ${null}
+  ${'a non-string name'}          | ${123}    | ${FakeWrangler} | ${null}
+  ${'a non-wrangler class'}       | ${'beep'} | ${Map}          | ${null}
+  ${'a non-class'}                | ${'beep'} | ${'florp'}      | ${null}
+  ${'a non-boolean `secure`'}     | ${'beep'} | ${FakeWrangler} | ${{ secure: 'yes' }}
+  `('rejects $label', ({ name, cls, options }) => {
+    expect(() => ProtocolWranglers.register(name, cls, options)).toThrow();
+    expect(() => ProtocolWranglers.mustBeProtocol('beep')).toThrow();
+  });
+});
+
+describe('unregister()', () => {
+  test('unregisters a registered protocol', () => {
+    ProtocolWranglers.register('florp', FakeWrangler);
+    ProtocolWranglers.unregister('florp');
+
+    expect(() => ProtocolWranglers.mustBeProtocol('florp')).toThrow();
+  });
+
+  test('allows a protocol to be re-registered', () => {
+    ProtocolWranglers.register('florp', FakeWrangler);
+    ProtocolWranglers.unregister('florp');
+    ProtocolWranglers.register('florp', FakeWrangler, { secure: true });
+
+    expect(ProtocolWranglers.isSecure('florp')).toBeTrue();
+    ProtocolWranglers.unregister('florp');
+  });
+
+  test.each`
+  name
+  ${'http'}
+  ${'http2'}
+  ${'http2c'}
+  ${'https'}
+  `('rejects built-in protocol `$name`', ({ name }) => {
+    expect(() => ProtocolWranglers.unregister(name)).toThrow(/built-in/);
+    expect(ProtocolWranglers.mustBeProtocol(name)).toBe(name);
+  });
+
+  test.each`
+  name
+  ${'florp'}
+  ${123}
+  ${null}
+  `('rejects unknown protocol `$name`', ({ name }) => {
+    expect(() => ProtocolWranglers.unregister(name)).toThrow();
+  });
+});
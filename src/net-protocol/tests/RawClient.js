@@ -0,0 +1,191 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import * as net from 'node:net';
+import * as tls from 'node:tls';
+
+import { Condition, ManualPromise } from '@this/async';
+
+
+/**
+ * Minimal client which talks to a server over a raw socket, for tests which
+ * need to see (or control) exactly what goes over the wire.
+ */
+export class RawClient {
+  /**
+   * The socket.
+   *
+   * @type {net.Socket}
+   */
+  #socket;
+
+  /**
+   * Data received and not yet consumed by {@link #read}.
+   *
+   * @type {Buffer}
+   */
+  #received = Buffer.alloc(0);
+
+  /**
+   * Has the socket been closed?
+   *
+   * @type {Condition}
+   */
+  #closed = new Condition();
+
+  /**
+   * Promise which gets resolved (and replaced) whenever anything happens on the
+   * socket.
+   *
+   * @type {ManualPromise}
+   */
+  #changed = new ManualPromise();
+
+  /**
+   * Constructs an instance.
+   *
+   * @param {net.Socket} socket The socket to use. It is expected to be
+   *   connected (or in the process of connecting).
+   */
+  constructor(socket) {
+    this.#socket = socket;
+
+    socket.on('data', (data) => {
+      this.#received = Buffer.concat([this.#received, data]);
+      this.#notify();
+    });
+
+    socket.on('close', () => {
+      this.#closed.value = true;
+      this.#notify();
+    });
+
+    socket.on('error', () => {
+      // Errors (e.g. `ECONNRESET`) always get followed by `close`, which is
+      // what tests care about.
+    });
+  }
+
+  /** @returns {boolean} Has the socket been closed? */
+  get closed() {
+    return this.#closed.value;
+  }
+
+  /** @returns {net.Socket} The underlying socket. */
+  get socket() {
+    return this.#socket;
+  }
+
+  /**
+   * Destroys the socket.
+   */
+  destroy() {
+    this.#socket.destroy();
+  }
+
+  /**
+   * Waits until the given text has been received (decoding as Latin-1), and
+   * then consumes and returns everything received up to and including it.
+   *
+   * @param {string} text The text to wait for.
+   * @returns {string} Everything received up to and including `text`.
+   * @throws {Error} Thrown if the socket gets closed before `text` is
+   *   received.
+   */
+  async read(text) {
+    for (;;) {
+      const at = this.#received.toString('latin1').indexOf(text);
+
+      if (at >= 0) {
+        const end    = at + text.length;
+        const result = this.#received.subarray(0, end).toString('latin1');
+
+        this.#received = this.#received.subarray(end);
+        return result;
+      }
+
+      if (this.#closed.value) {
+        const got = this.#received.toString('latin1');
+        throw new Error(`Socket closed while waiting for ${JSON.stringify(text)}; got ${JSON.stringify(got)}`);
+      }
+
+      await this.#changed.promise;
+    }
+  }
+
+  /**
+   * Waits until the socket is closed.
+   */
+  async whenClosed() {
+    await this.#closed.whenTrue();
+  }
+
+  /**
+   * Writes the given data to the socket. Strings are encoded as Latin-1.
+   *
+   * @param {string|Buffer|Array<number>} data The data to write.
+   */
+  write(data) {
+    if (typeof data === 'string') {
+      data = Buffer.from(data, 'latin1');
+    } else if (Array.isArray(data)) {
+      data = Buffer.from(data);
+    }
+
+    this.#socket.write(data);
+  }
+
+  /**
+   * Resolves (and replaces) {@link #changed}.
+   */
+  #notify() {
+    const changed = this.#changed;
+
+    this.#changed = new ManualPromise();
+    changed.resolve(null);
+  }
+
+
+  //
+  // Static members
+  //
+
+  /**
+   * Connects to the Unix domain socket at the given path.
+   *
+   * @param {string} path The socket path.
+   * @returns {RawClient} A connected instance.
+   */
+  static async connect(path) {
+    const socket = net.connect({ path });
+    const result = new RawClient(socket);
+
+    await new Promise((resolve, reject) => {
+      socket.once('connect', resolve);
+      socket.once('error', reject);
+    });
+
+    return result;
+  }
+
+  /**
+   * Connects to the Unix domain socket at the given path, speaking TLS. The
+   * server's certificate is not checked.
+   *
+   * @param {string} path The socket path.
+   * @param {object} [options] Additional options to pass to `tls.connect()`,
+   *   e.g. `servername` or `ALPNProtocols`.
+   * @returns {RawClient} A connected instance.
+   */
+  static async connectTls(path, options = {}) {
+    const socket = tls.connect({ path, rejectUnauthorized: false, ...options });
+    const result = new RawClient(socket);
+
+    await new Promise((resolve, reject) => {
+      socket.once('secureConnect', resolve);
+      socket.once('error', reject);
+    });
+
+    return result;
+  }
+}
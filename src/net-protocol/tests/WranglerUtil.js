@@ -0,0 +1,99 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import * as fs from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+
+import { ProtocolWrangler, ProtocolWranglers } from '@this/net-protocol';
+import { InterfaceAddress } from '@this/net-util';
+
+
+/**
+ * Utility class for tests which run actual wranglers, listening on Unix domain
+ * sockets (so that there's no contention for ports). Each instance of this
+ * class manages a temporary directory in which to make the sockets, along with
+ * all the wranglers it has made.
+ */
+export class WranglerUtil {
+  /**
+   * Temporary directory, or `null` if not yet made.
+   *
+   * @type {?string}
+   */
+  #dir = null;
+
+  /**
+   * Count of sockets made so far, used to make their names unique.
+   *
+   * @type {number}
+   */
+  #socketCount = 0;
+
+  /**
+   * Wranglers made and not yet stopped by {@link #cleanup}.
+   *
+   * @type {Array<ProtocolWrangler>}
+   */
+  #wranglers = [];
+
+  // @defaultConstructor
+
+  /**
+   * Stops all the wranglers made by this instance, closes any stashed sockets,
+   * and removes the temporary directory. This is meant to be called from an
+   * `afterEach()`.
+   */
+  async cleanup() {
+    for (const w of this.#wranglers) {
+      await w.stop(false);
+    }
+
+    await ProtocolWranglers.closeStashedSockets();
+
+    if (this.#dir) {
+      await fs.rm(this.#dir, { recursive: true, force: true });
+    }
+
+    this.#dir       = null;
+    this.#wranglers = [];
+  }
+
+  /**
+   * Makes a new socket path, in this instance's temporary directory.
+   *
+   * @returns {string} The path.
+   */
+  async makeSocketPath() {
+    this.#dir ??= await fs.mkdtemp(`${tmpdir()}/lactoserv-test-`);
+    this.#socketCount++;
+
+    return `${this.#dir}/${this.#socketCount}.sock`;
+  }
+
+  /**
+   * Makes, initializes, and starts a wrangler. The given `options` are as with
+   * {@link ProtocolWranglers#make}, except that `interface` is optional (with a
+   * fresh Unix domain socket being used if not specified), and `protocol`
+   * defaults to `http`.
+   *
+   * @param {object} options Construction options.
+   * @returns {ProtocolWrangler} The started wrangler.
+   */
+  async makeWrangler(options) {
+    const iface = options.interface
+      ?? new InterfaceAddress(`unix:${await this.makeSocketPath()}`);
+
+    const wrangler = ProtocolWranglers.make({
+      protocol: 'http',
+      ...options,
+      interface: iface
+    });
+
+    this.#wranglers.push(wrangler);
+
+    await wrangler.init(null);
+    await wrangler.start();
+
+    return wrangler;
+  }
+}
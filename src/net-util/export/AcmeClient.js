@@ -0,0 +1,514 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import * as crypto from 'node:crypto';
+
+import { WallClock } from '@this/clocky';
+import { IntfLogger } from '@this/loggy-intf';
+import { MustBe } from '@this/typey';
+
+import { Base64Url } from '#x/Base64Url';
+import { CertUtil } from '#x/CertUtil';
+
+
+/**
+ * Client for the ACME protocol (RFC 8555), as used by Let's Encrypt and
+ * similar certificate authorities, which can obtain certificates using the
+ * `http-01` challenge type. Each instance is bound to a single account (as
+ * identified by its key), which gets registered with the server as needed.
+ *
+ * Serving challenge responses is not done by this class per se. Instead, the
+ * method {@link #obtainCertificate} is passed an object with methods `add()`
+ * and `remove()` which get called to set up and tear down the responses, which
+ * are expected to be served at the path `/.well-known/acme-challenge/<token>`
+ * on (plain `http`) port 80 of each of the hostnames in question.
+ */
+export class AcmeClient {
+  /**
+   * The URL of the ACME directory.
+   *
+   * @type {string}
+   */
+  #directoryUrl;
+
+  /**
+   * The account key.
+   *
+   * @type {crypto.KeyObject}
+   */
+  #accountKey;
+
+  /**
+   * The account key as a public JWK.
+   *
+   * @type {object}
+   */
+  #jwk;
+
+  /**
+   * Contact URLs for the account.
+   *
+   * @type {Array<string>}
+   */
+  #contact;
+
+  /**
+   * Whether to indicate agreement with the server's terms of service.
+   *
+   * @type {boolean}
+   */
+  #termsOfServiceAgreed;
+
+  /**
+   * Logger to use, or `null` not to do logging.
+   *
+   * @type {?IntfLogger}
+   */
+  #logger;
+
+  /**
+   * Time to wait between polls of pending objects, in msec.
+   *
+   * @type {number}
+   */
+  #pollIntervalMsec;
+
+  /**
+   * Maximum number of polls of a pending object before giving up.
+   *
+   * @type {number}
+   */
+  #maxPolls;
+
+  /**
+   * Maximum time to wait for each request to the server (including reading
+   * its response), in msec.
+   *
+   * @type {number}
+   */
+  #requestTimeoutMsec;
+
+  /**
+   * The ACME directory object, or `null` if not yet fetched.
+   *
+   * @type {?object}
+   */
+  #directory = null;
+
+  /**
+   * The next nonce to use, or `null` if a new one needs to be requested.
+   *
+   * @type {?string}
+   */
+  #nonce = null;
+
+  /**
+   * The account URL, or `null` if not yet known.
+   *
+   * @type {?string}
+   */
+  #accountUrl = null;
+
+  /**
+   * Constructs an instance.
+   *
+   * @param {object} options Options for the instance.
+   * @param {string|crypto.KeyObject} options.accountKey The account's private
+   *   key, in PEM form or as a key object. This must be an EC key on the P-256
+   *   curve, e.g. as made by {@link CertUtil#makePrivateKey}.
+   * @param {?Array<string>} [options.contact] Contact URLs for the account,
+   *   e.g. `mailto:` URLs. Default `[]`.
+   * @param {string} options.directoryUrl The URL of the ACME directory.
+   * @param {?IntfLogger} [options.logger] Logger to use, or `null` not to do
+   *   logging. Default `null`.
+   * @param {?number} [options.maxPolls] Maximum number of polls of a pending
+   *   object before giving up. Default `60`.
+   * @param {?number} [options.pollIntervalMsec] Time to wait between polls of
+   *   pending objects, in msec. Default `1000`.
+   * @param {?number} [options.requestTimeoutMsec] Maximum time to wait for each
+   *   request to the server (including reading its response), in msec. Default
+   *   `30000`.
+   * @param {?boolean} [options.termsOfServiceAgreed] Whether to indicate
+   *   agreement with the server's terms of service. Default `false`. (Most
+   *   servers require this to be `true`.)
+   */
+  constructor(options) {
+    const {
+      accountKey,
+      contact              = [],
+      directoryUrl,
+      logger               = null,
+      maxPolls             = 60,
+      pollIntervalMsec     = 1000,
+      requestTimeoutMsec   = 30 * 1000,
+      termsOfServiceAgreed = false
+    } = options;
+
+    const key = (accountKey instanceof crypto.KeyObject)
+      ? accountKey
+      : crypto.createPrivateKey(CertUtil.mustBePrivateKey(accountKey));
+
+    if ((key.asymmetricKeyType !== 'ec')
+        || (key.asymmetricKeyDetails.namedCurve !== 'prime256v1')) {
+      throw new Error('Account key must be an EC key on the P-256 curve.');
+    }
+
+    const { crv, kty, x, y } = crypto.createPublicKey(key).export({ format: 'jwk' });
+
+    this.#accountKey           = key;
+    this.#jwk                  = { crv, kty, x, y };
+    this.#contact              = Object.freeze([...MustBe.arrayOfString(contact)]);
+    this.#directoryUrl         = MustBe.string(directoryUrl, /^https?:[/][/]/);
+    this.#logger               = IntfLogger.mustBeInstanceOrNull(logger);
+    this.#maxPolls             = MustBe.number(maxPolls, { safeInteger: true, minInclusive: 1 });
+    this.#pollIntervalMsec     = MustBe.number(pollIntervalMsec, { finite: true, minInclusive: 0 });
+    this.#requestTimeoutMsec   = MustBe.number(requestTimeoutMsec, { finite: true, minExclusive: 0 });
+    this.#termsOfServiceAgreed = MustBe.boolean(termsOfServiceAgreed);
+  }
+
+  /**
+   * @returns {?string} The account URL, or `null` if not yet known (which is
+   * the case until this instance has talked to the server).
+   */
+  get accountUrl() {
+    return this.#accountUrl;
+  }
+
+  /**
+   * Gets the key authorization for the given challenge token, which is what
+   * gets served as the response to an `http-01` challenge.
+   *
+   * @param {string} token The challenge token.
+   * @returns {string} The corresponding key authorization.
+   */
+  keyAuthorizationFor(token) {
+    MustBe.string(token, /^[-_a-zA-Z0-9]+$/);
+
+    // The JWK thumbprint (RFC 7638) is the hash of the required members of the
+    // key, in lexicographic order, with no extra whitespace.
+    const { crv, kty, x, y } = this.#jwk;
+    const thumbprint = crypto.createHash('sha256')
+      .update(JSON.stringify({ crv, kty, x, y }))
+      .digest();
+
+    return `${token}.${Base64Url.encode(thumbprint)}`;
+  }
+
+  /**
+   * Obtains a certificate for the given hostnames, registering the account
+   * first if necessary. The challenge handler is an object with methods
+   * `add(token, keyAuthorization)` and `remove(token)`, which get called to
+   * arrange for (and stop) serving `keyAuthorization` as the response to
+   * requests for `/.well-known/acme-challenge/<token>`. Both methods may be
+   * `async`.
+   *
+   * @param {Array<string>} hostnames Hostnames to cover. Must be non-empty, and
+   *   may not contain wildcards or IP addresses.
+   * @param {object} challengeHandler Challenge handler, as described above.
+   * @param {?object} [options] Options.
+   * @param {?string} [options.privateKey] Private key for the certificate, in
+   *   PEM form, or `null` to generate a new one. Default `null`.
+   * @param {?AbortSignal} [options.signal] Signal which, when aborted, cancels
+   *   the operation, including any in-flight request and any wait between
+   *   polls, or `null` not to be cancellable. Default `null`.
+   * @returns {{certificate: string, privateKey: string}} The certificate chain
+   *   and its corresponding private key, both in PEM form.
+   */
+  async obtainCertificate(hostnames, challengeHandler, options = null) {
+    MustBe.arrayOfString(hostnames);
+    MustBe.function(challengeHandler.add);
+    MustBe.function(challengeHandler.remove);
+
+    const signal = options?.signal ?? null;
+
+    if (signal !== null) {
+      MustBe.instanceOf(signal, AbortSignal);
+    }
+
+    const privateKey = options?.privateKey ?? await CertUtil.makePrivateKey();
+    const directory  = await this.#getDirectory(signal);
+
+    await this.#ensureAccount(signal);
+
+    const identifiers = hostnames.map((value) => ({ type: 'dns', value }));
+    const orderResult = await this.#postJson(directory.newOrder, { identifiers }, signal);
+    const orderUrl    = orderResult.location;
+
+    this.#logger?.orderCreated({ orderUrl, hostnames });
+
+    for (const authzUrl of orderResult.body.authorizations) {
+      await this.#authorize(authzUrl, challengeHandler, signal);
+    }
+
+    const csr = CertUtil.makeCertificateRequest(hostnames, privateKey);
+    const finalizeResult =
+      await this.#postJson(orderResult.body.finalize, { csr: Base64Url.encode(csr) }, signal);
+    const order = await this.#pollUntilDone(orderUrl, finalizeResult.body, 'valid', signal);
+
+    const certResponse =
+      await this.#post(order.certificate, null, signal, 'application/pem-certificate-chain');
+    const certificate  = CertUtil.mustBeCertificateChain(await certResponse.text());
+
+    this.#logger?.certificateIssued({ orderUrl, hostnames });
+
+    return { certificate, privateKey };
+  }
+
+  /**
+   * Satisfies a single authorization, if not already valid.
+   *
+   * @param {string} authzUrl The authorization URL.
+   * @param {object} challengeHandler Challenge handler.
+   * @param {?AbortSignal} signal Cancellation signal, if any.
+   */
+  async #authorize(authzUrl, challengeHandler, signal) {
+    const authz = (await this.#postJson(authzUrl, null, signal)).body;
+
+    if (authz.status === 'valid') {
+      return;
+    }
+
+    const challenge = authz.challenges?.find((c) => c.type === 'http-01');
+
+    if (!challenge) {
+      throw AcmeClient.#makeError(`No \`http-01\` challenge offered for: ${authz.identifier?.value}`);
+    }
+
+    const { token, url } = challenge;
+
+    this.#logger?.challenge({ hostname: authz.identifier?.value, token });
+
+    await challengeHandler.add(token, this.keyAuthorizationFor(token));
+
+    try {
+      await this.#postJson(url, {}, signal);
+      await this.#pollUntilDone(authzUrl, null, 'valid', signal);
+    } finally {
+      await challengeHandler.remove(token);
+    }
+  }
+
+  /**
+   * Registers the account with the server (or looks up the existing
+   * registration), if not already done.
+   *
+   * @param {?AbortSignal} signal Cancellation signal, if any.
+   */
+  async #ensureAccount(signal) {
+    if (this.#accountUrl !== null) {
+      return;
+    }
+
+    const directory = await this.#getDirectory(signal);
+    const payload   = {
+      termsOfServiceAgreed: this.#termsOfServiceAgreed,
+      ...((this.#contact.length === 0) ? {} : { contact: this.#contact })
+    };
+
+    const result = await this.#postJson(directory.newAccount, payload, signal);
+
+    if (!result.location) {
+      throw AcmeClient.#makeError('No account URL returned by server.');
+    }
+
+    this.#accountUrl = result.location;
+    this.#logger?.account(this.#accountUrl);
+  }
+
+  /**
+   * Calls `fetch()`, with a signal which aborts the request if it takes longer
+   * than {@link #requestTimeoutMsec}, or if the given signal gets aborted.
+   *
+   * @param {string} url The URL to fetch.
+   * @param {object} options Options for `fetch()`, other than `signal`.
+   * @param {?AbortSignal} signal Cancellation signal, if any.
+   * @returns {Response} The response.
+   */
+  async #fetch(url, options, signal) {
+    const timeout = AbortSignal.timeout(this.#requestTimeoutMsec);
+
+    return fetch(url, {
+      ...options,
+      signal: signal ? AbortSignal.any([signal, timeout]) : timeout
+    });
+  }
+
+  /**
+   * Gets the directory object, fetching it if not already done.
+   *
+   * @param {?AbortSignal} signal Cancellation signal, if any.
+   * @returns {object} The directory.
+   */
+  async #getDirectory(signal) {
+    if (this.#directory === null) {
+      const response = await this.#fetch(this.#directoryUrl, {}, signal);
+
+      if (!response.ok) {
+        throw AcmeClient.#makeError(`Could not fetch directory: status ${response.status}`);
+      }
+
+      this.#directory = await response.json();
+    }
+
+    return this.#directory;
+  }
+
+  /**
+   * Gets a nonce to use for a request, requesting a new one from the server if
+   * necessary.
+   *
+   * @param {?AbortSignal} signal Cancellation signal, if any.
+   * @returns {string} The nonce.
+   */
+  async #getNonce(signal) {
+    if (this.#nonce === null) {
+      const directory = await this.#getDirectory(signal);
+      const response  = await this.#fetch(directory.newNonce, { method: 'HEAD' }, signal);
+
+      this.#nonce = response.headers.get('replay-nonce');
+
+      if (!this.#nonce) {
+        throw AcmeClient.#makeError('No nonce returned by server.');
+      }
+    }
+
+    const result = this.#nonce;
+    this.#nonce = null;
+
+    return result;
+  }
+
+  /**
+   * Polls an object until it has the given status, or until it becomes
+   * `invalid` (which is an error), or until polling times out (also an error).
+   *
+   * @param {string} url The URL of the object.
+   * @param {?object} current The current state of the object, if known.
+   * @param {string} status The status to wait for.
+   * @param {?AbortSignal} signal Cancellation signal, if any.
+   * @returns {object} The final state of the object.
+   */
+  async #pollUntilDone(url, current, status, signal) {
+    for (let i = 0; i < this.#maxPolls; i++) {
+      if (current?.status === status) {
+        return current;
+      } else if (current?.status === 'invalid') {
+        const detail = current.error?.detail
+          ?? current.challenges?.find((c) => c.error)?.error.detail
+          ?? 'unknown reason';
+        throw AcmeClient.#makeError(`Invalid result for ${url}: ${detail}`);
+      }
+
+      if (current !== null) {
+        await WallClock.waitForMsec(this.#pollIntervalMsec, signal ? { signal } : {});
+      }
+
+      current = (await this.#postJson(url, null, signal)).body;
+    }
+
+    throw AcmeClient.#makeError(`Timed out waiting for ${url}.`);
+  }
+
+  /**
+   * Makes a signed `POST` request to the server, with retry in case of a
+   * rejected nonce.
+   *
+   * @param {string} url The URL to post to.
+   * @param {?object} payload The payload, or `null` for a "POST-as-GET"
+   *   request.
+   * @param {?AbortSignal} signal Cancellation signal, if any.
+   * @param {string} [accept] Accepted response type.
+   * @returns {Response} The (successful) response.
+   */
+  async #post(url, payload, signal, accept = 'application/json') {
+    for (let attempt = 1; /*forever*/; attempt++) {
+      const header = {
+        alg:   'ES256',
+        nonce: await this.#getNonce(signal),
+        url,
+        ...((this.#accountUrl === null) ? { jwk: this.#jwk } : { kid: this.#accountUrl })
+      };
+
+      const protectedText = Base64Url.encode(Buffer.from(JSON.stringify(header)));
+      const payloadText   = (payload === null)
+        ? ''
+        : Base64Url.encode(Buffer.from(JSON.stringify(payload)));
+      const signature = crypto.sign('sha256', Buffer.from(`${protectedText}.${payloadText}`), {
+        key:         this.#accountKey,
+        dsaEncoding: 'ieee-p1363'
+      });
+
+      const response = await this.#fetch(url, {
+        method:  'POST',
+        headers: {
+          accept,
+          'content-type': 'application/jose+json'
+        },
+        body: JSON.stringify({
+          protected: protectedText,
+          payload:   payloadText,
+          signature: Base64Url.encode(signature)
+        })
+      }, signal);
+
+      this.#nonce = response.headers.get('replay-nonce') ?? null;
+
+      if (response.ok) {
+        return response;
+      }
+
+      let problem = null;
+      try {
+        problem = await response.json();
+      } catch {
+        // @emptyBlock
+      }
+
+      if ((problem?.type === 'urn:ietf:params:acme:error:badNonce') && (attempt < 3)) {
+        continue;
+      }
+
+      const error = AcmeClient.#makeError(
+        `Error from server (status ${response.status}): ${problem?.detail ?? problem?.type ?? 'unknown'}`);
+      error.problem = problem;
+      throw error;
+    }
+  }
+
+  /**
+   * Like {@link #post}, but returns the parsed JSON body along with the
+   * `location` header (which is used by the protocol to identify newly-created
+   * objects).
+   *
+   * @param {string} url The URL to post to.
+   * @param {?object} payload The payload, or `null` for a "POST-as-GET"
+   *   request.
+   * @param {?AbortSignal} signal Cancellation signal, if any.
+   * @returns {{ body: object, location: ?string }} The parsed response.
+   */
+  async #postJson(url, payload, signal) {
+    const response = await this.#post(url, payload, signal);
+
+    return {
+      body:     await response.json(),
+      location: response.headers.get('location')
+    };
+  }
+
+
+  //
+  // Static members
+  //
+
+  /**
+   * Makes an error to report a problem with the protocol.
+   *
+   * @param {string} message The error message.
+   * @returns {Error} The error.
+   */
+  static #makeError(message) {
+    const error = new Error(`ACME: ${message}`);
+    error.code = 'acme-error';
+    return error;
+  }
+}
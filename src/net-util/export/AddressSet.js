@@ -0,0 +1,153 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { BlockList, isIPv4 } from 'node:net';
+
+import { IntfDeconstructable, Sexp } from '@this/sexp';
+import { StringUtil } from '@this/typey';
+
+import { EndpointAddress } from '#x/EndpointAddress';
+
+
+/**
+ * Set of IP addresses, defined by a list of address ranges in CIDR notation
+ * (e.g. `10.0.0.0/8` or `fd00::/8`) and/or individual addresses. Instances of
+ * this class are immutable.
+ *
+ * **Note:** An IPv4 address wrapped in IPv6 form (`::ffff:<v4-address>`) is
+ * considered to be in an instance if the unwrapped IPv4 address is in it.
+ *
+ * **Note:** Peers connected via a Unix domain socket don't have an IP address.
+ * To make it possible to refer to such peers, an instance can also include the
+ * special item `unix` (see {@link #includesUnixPeers}).
+ *
+ * @implements {IntfDeconstructable}
+ */
+export class AddressSet extends IntfDeconstructable {
+  /**
+   * Underlying Node block list which does the actual matching.
+   *
+   * @type {BlockList}
+   */
+  #blockList = new BlockList();
+
+  /**
+   * Does this instance include peers connected via a Unix domain socket?
+   *
+   * @type {boolean}
+   */
+  #includesUnixPeers = false;
+
+  /**
+   * The canonicalized ranges which define this instance.
+   *
+   * @type {Array<string>}
+   */
+  #ranges;
+
+  /**
+   * Constructs an instance.
+   *
+   * @param {string|Array<string>} ranges Address ranges to include. Each is
+   *   either an IP address or an address with a prefix length in CIDR notation
+   *   (`<address>/<length>`), or the special item `unix` to indicate peers
+   *   connected via a Unix domain socket. IPv6 addresses may optionally be
+   *   bracket-surrounded.
+   */
+  constructor(ranges) {
+    super();
+
+    this.#ranges = StringUtil.checkAndFreezeStrings(
+      ranges,
+      (item) => this.#addRange(item));
+  }
+
+  /** @override */
+  deconstruct(forLogging_unused) {
+    return new Sexp(AddressSet, [...this.#ranges]);
+  }
+
+  /**
+   * @returns {boolean} Does this instance include peers connected via a Unix
+   * domain socket? This is `true` if the instance was constructed with the
+   * special item `unix`.
+   */
+  get includesUnixPeers() {
+    return this.#includesUnixPeers;
+  }
+
+  /**
+   * @returns {Array<string>} The canonicalized ranges which define this
+   * instance, each in CIDR notation (except for the special item `unix`, if
+   * present). The result is always frozen.
+   */
+  get ranges() {
+    return this.#ranges;
+  }
+
+  /**
+   * Indicates whether the given address is in this instance.
+   *
+   * @param {?string} address The address to check, or `null` to indicate an
+   *   unknown address (which is never in an instance). **Note:** Because Unix
+   *   domain socket peers don't have addresses, this method never reports
+   *   them; see {@link #includesUnixPeers}.
+   * @returns {boolean} `true` iff `address` is in this instance.
+   */
+  has(address) {
+    if (address === null) {
+      return false;
+    }
+
+    const canonical = EndpointAddress.canonicalizeAddressElseNull(address, true);
+
+    if (canonical === null) {
+      return false;
+    } else if (isIPv4(canonical)) {
+      return this.#blockList.check(canonical, 'ipv4');
+    }
+
+    if (this.#blockList.check(canonical, 'ipv6')) {
+      return true;
+    }
+
+    const wrappedV4 = canonical.match(/^::ffff:(?<v4>[.0-9]+)$/)?.groups.v4;
+
+    return wrappedV4
+      ? this.#blockList.check(wrappedV4, 'ipv4')
+      : false;
+  }
+
+  /**
+   * Parses a range and adds it to {@link #blockList}.
+   *
+   * @param {string} range The range to add.
+   * @returns {string} The canonicalized form of `range`.
+   */
+  #addRange(range) {
+    if (range === 'unix') {
+      this.#includesUnixPeers = true;
+      return range;
+    }
+
+    const { address: rawAddress, length: rawLength = null } =
+      range.match(/^(?<address>[^/]+)(?:[/](?<length>[0-9]{1,3}))?$/)?.groups ?? {};
+
+    if (!rawAddress) {
+      throw new Error(`Invalid address range: ${range}`);
+    }
+
+    const address = EndpointAddress.canonicalizeAddress(rawAddress, true);
+    const type    = isIPv4(address) ? 'ipv4' : 'ipv6';
+    const maxLen  = (type === 'ipv4') ? 32 : 128;
+    const length  = (rawLength === null) ? maxLen : parseInt(rawLength);
+
+    if (length > maxLen) {
+      throw new Error(`Invalid prefix length: ${range}`);
+    }
+
+    this.#blockList.addSubnet(address, length, type);
+
+    return `${address}/${length}`;
+  }
+}
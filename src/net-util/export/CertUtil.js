@@ -1,12 +1,17 @@
 // Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
 // SPDX-License-Identifier: Apache-2.0
 
+import * as crypto from 'node:crypto';
 import * as net from 'node:net';
+import { promisify } from 'node:util';
 
 import selfsigned from 'selfsigned';
 
+import { Moment } from '@this/quant';
 import { MustBe } from '@this/typey';
 
+import { Der } from '#p/Der';
+
 
 // Note: See <https://github.com/Dexus/pem/issues/389> about the import of
 // `pem/lib/pem`.
@@ -15,6 +20,110 @@ import { MustBe } from '@this/typey';
  * Utilities for handling various sorts of certificatey stuff.
  */
 export class CertUtil {
+  /**
+   * Indicates whether the given certificate covers the given hostname, that
+   * is, whether a client connecting to that host would accept it (aside from
+   * questions of trust and validity period). The hostname may be an IP address,
+   * a regular DNS name, a wildcard name of the form `*.<suffix>`, or the full
+   * wildcard `*`. A wildcard name is only covered by a certificate which
+   * explicitly names that same wildcard, because nothing less would cover all
+   * the names it matches. The full wildcard can't be covered by any
+   * certificate, and as such it is treated as always covered.
+   *
+   * @param {string|crypto.X509Certificate} certificate The certificate (or
+   *   chain, in which case only the first certificate is checked), in PEM form
+   *   or as a certificate object.
+   * @param {string} hostname The hostname to check.
+   * @returns {boolean} `true` if `certificate` covers `hostname`, or `false`
+   *   if not.
+   */
+  static coversHostname(certificate, hostname) {
+    const x509 = (certificate instanceof crypto.X509Certificate)
+      ? certificate
+      : new crypto.X509Certificate(CertUtil.mustBeCertificateChain(certificate));
+
+    MustBe.string(hostname);
+
+    if (hostname === '*') {
+      return true;
+    } else if (net.isIP(hostname) !== 0) {
+      return x509.checkIP(hostname) !== undefined;
+    } else if (hostname.startsWith('*.')) {
+      // Per RFC 6125, the subject CN only counts when there are no SANs.
+      const want  = hostname.toLowerCase();
+      const names = x509.subjectAltName
+        ? x509.subjectAltName.split(/, */).map((san) => san.replace(/^DNS:/i, ''))
+        : [x509.subject.match(/^CN=(.*)$/m)?.[1]];
+
+      return names.some((name) => name?.toLowerCase() === want);
+    }
+
+    return x509.checkHost(hostname) !== undefined;
+  }
+
+  /**
+   * Makes a PKCS#10 certificate signing request (CSR) for the given hostnames,
+   * signed by the given private key. The first hostname is used as the subject
+   * common name, and all of them are listed as subject alternative names. Only
+   * RSA and EC keys are supported.
+   *
+   * @param {Array<string>} hostnames Array of hostnames, the first of which is
+   *   the primary hostname. Must have at least one element in it, and may not
+   *   contain wildcards or IP addresses.
+   * @param {string|crypto.KeyObject} privateKey The private key, either in PEM
+   *   form or as a key object.
+   * @returns {Buffer} The DER-encoded request.
+   */
+  static makeCertificateRequest(hostnames, privateKey) {
+    MustBe.arrayOfString(hostnames, /^[-.a-zA-Z0-9]+$/);
+
+    if (hostnames.length < 1) {
+      throw new Error('Must have at least a primary hostname.');
+    }
+
+    const key       = (privateKey instanceof crypto.KeyObject)
+      ? privateKey
+      : crypto.createPrivateKey(CertUtil.mustBePrivateKey(privateKey));
+    const publicKey = crypto.createPublicKey(key).export({ type: 'spki', format: 'der' });
+
+    const sanExtension = Der.sequence(
+      Der.objectId(CertUtil.#OID_SUBJECT_ALT_NAME),
+      Der.octetString(Der.sequence(
+        ...hostnames.map((h) => Der.contextPrimitive(2, Buffer.from(h, 'latin1'))))));
+
+    const requestInfo = Der.sequence(
+      Der.integer(0),
+      CertUtil.#nameFor(hostnames[0]),
+      publicKey,
+      Der.context(0,
+        Der.sequence(
+          Der.objectId(CertUtil.#OID_EXTENSION_REQUEST),
+          Der.set(Der.sequence(sanExtension)))));
+
+    const { algorithm, hash } = CertUtil.#signatureAlgorithmFor(key);
+
+    return Der.sequence(
+      requestInfo,
+      algorithm,
+      Der.bitString(crypto.sign(hash, requestInfo, key)));
+  }
+
+  /**
+   * Generates a new private key suitable for use with a certificate, currently
+   * always an EC key on the P-256 curve.
+   *
+   * @returns {string} The private key, in PEM form.
+   */
+  static async makePrivateKey() {
+    const { privateKey } = await promisify(crypto.generateKeyPair)('ec', {
+      namedCurve:         'P-256',
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+      publicKeyEncoding:  { type: 'spki', format: 'pem' }
+    });
+
+    return privateKey;
+  }
+
   /**
    * Generates a self-signed (certificate, private key) pair. **Note:** This
    * takes user-visible time (around a second or so typically).
@@ -85,6 +194,73 @@ export class CertUtil {
     return MustBe.string(value, pattern);
   }
 
+  /**
+   * Parses and validates a (certificate chain, private key) pair, checking
+   * that both are well-formed and that the key actually corresponds to the
+   * (first) certificate in the chain. This does _not_ check that the
+   * certificate is currently valid, so that callers can decide what to do
+   * about certificates which are expired or not yet valid.
+   *
+   * @param {string} certificate The certificate chain, in PEM form.
+   * @param {string} privateKey The private key, in PEM form.
+   * @returns {{subject: string, subjectAltName: ?string, validFrom: Moment,
+   *   validTo: Moment}} Salient information about the certificate.
+   * @throws {Error} Thrown if there is any problem with the pair.
+   */
+  static parseCertificatePair(certificate, privateKey) {
+    this.mustBeCertificateChain(certificate);
+    this.mustBePrivateKey(privateKey);
+
+    const x509 = new crypto.X509Certificate(certificate);
+    const key  = crypto.createPrivateKey(privateKey);
+
+    if (!x509.checkPrivateKey(key)) {
+      throw new Error('Private key does not match certificate.');
+    }
+
+    return Object.freeze({
+      subject:        x509.subject,
+      subjectAltName: x509.subjectAltName ?? null,
+      validFrom:      Moment.fromMsec(Date.parse(x509.validFrom)),
+      validTo:        Moment.fromMsec(Date.parse(x509.validTo))
+    });
+  }
+
+  /**
+   * Object ID for the `commonName` attribute type.
+   *
+   * @type {string}
+   */
+  static #OID_COMMON_NAME = '2.5.4.3';
+
+  /**
+   * Object ID for the `ecdsa-with-SHA256` signature algorithm.
+   *
+   * @type {string}
+   */
+  static #OID_ECDSA_WITH_SHA256 = '1.2.840.10045.4.3.2';
+
+  /**
+   * Object ID for the PKCS#9 `extensionRequest` attribute type.
+   *
+   * @type {string}
+   */
+  static #OID_EXTENSION_REQUEST = '1.2.840.113549.1.9.14';
+
+  /**
+   * Object ID for the `sha256WithRSAEncryption` signature algorithm.
+   *
+   * @type {string}
+   */
+  static #OID_SHA256_WITH_RSA = '1.2.840.113549.1.1.11';
+
+  /**
+   * Object ID for the `subjectAltName` certificate extension.
+   *
+   * @type {string}
+   */
+  static #OID_SUBJECT_ALT_NAME = '2.5.29.17';
+
   /**
    * Makes a PEM-matching pattern.
    *
@@ -105,4 +281,44 @@ export class CertUtil {
       ? `^(${oneBlock})+$`
       : `^${oneBlock}$`;
   }
+
+  /**
+   * Makes a DER-encoded distinguished name consisting of just a common name.
+   *
+   * @param {string} commonName The common name.
+   * @returns {Buffer} The encoded name.
+   */
+  static #nameFor(commonName) {
+    return Der.sequence(
+      Der.set(Der.sequence(
+        Der.objectId(CertUtil.#OID_COMMON_NAME),
+        Der.utf8String(commonName))));
+  }
+
+  /**
+   * Gets the signature algorithm to use with the given private key.
+   *
+   * @param {crypto.KeyObject} key The private key.
+   * @returns {{ algorithm: Buffer, hash: string }} The DER-encoded algorithm
+   *   identifier and the name of the hash to use when signing.
+   */
+  static #signatureAlgorithmFor(key) {
+    switch (key.asymmetricKeyType) {
+      case 'ec': {
+        return {
+          algorithm: Der.sequence(Der.objectId(CertUtil.#OID_ECDSA_WITH_SHA256)),
+          hash:      'sha256'
+        };
+      }
+      case 'rsa': {
+        return {
+          algorithm: Der.sequence(Der.objectId(CertUtil.#OID_SHA256_WITH_RSA), Der.null()),
+          hash:      'sha256'
+        };
+      }
+      default: {
+        throw new Error(`Unsupported key type: ${key.asymmetricKeyType}`);
+      }
+    }
+  }
 }
@@ -2,7 +2,8 @@
 // SPDX-License-Identifier: Apache-2.0
 
 import fs from 'node:fs/promises';
-import { Duplex } from 'node:stream';
+import { Duplex, Readable } from 'node:stream';
+import { pipeline } from 'node:stream/promises';
 
 import statuses from 'statuses';
 
@@ -12,7 +13,9 @@ import { Moment } from '@this/quant';
 import { MustBe } from '@this/typey';
 import { ErrorUtil } from '@this/valvis';
 
+import { CompressionCache } from '#p/CompressionCache';
 import { BaseResponse } from '#x/BaseResponse';
+import { HttpCompression } from '#x/HttpCompression';
 import { HttpConditional } from '#x/HttpConditional';
 import { HttpHeaders } from '#x/HttpHeaders';
 import { HttpRange } from '#x/HttpRange';
@@ -222,7 +225,7 @@ export class FullResponse extends BaseResponse {
       }
     }
 
-    if (range) {
+    if (range && (this.#body.type !== 'stream')) {
       const { type, buffer, stats } = this.#body;
 
       let rangeInfo;
@@ -245,6 +248,13 @@ export class FullResponse extends BaseResponse {
         // returning an actual `HttpHeaders` object.
         result.headers = new HttpHeaders(rangeInfo.headers);
         result.status  = rangeInfo.status;
+
+        // ...but the error response varies in the same ways as the original.
+        const vary = headers.get('vary');
+        if (vary) {
+          result.headers.set('vary', vary);
+        }
+
         result.setBodyMessage();
         return result;
       } else {
@@ -259,6 +269,155 @@ export class FullResponse extends BaseResponse {
     return this;
   }
 
+  /**
+   * Produces a response which is just like this one, except with its body
+   * compressed, if appropriate given the request method and headers
+   * (specifically, `accept-encoding`) and compression options. This method is
+   * in the same spirit as {@link #adjustFor}, and when both are used, this
+   * method should be called first, so that range and conditional handling apply
+   * to the encoded form of the content.
+   *
+   * This method only ever compresses responses with status `200` ("OK") whose
+   * body was set by one of {@link #setBodyBuffer}, {@link #setBodyString}, or
+   * {@link #setBodyFile}, and which don't already have a `content-encoding`
+   * header. Beyond that, the content type and length must be deemed
+   * compressible per `options`. In all such cases, the result gets a `vary`
+   * header which includes `accept-encoding`, whether or not the body actually
+   * got compressed. When the body does get compressed:
+   *
+   * * The result has a `content-encoding` header indicating the encoding.
+   * * If there is an `etag`, it is altered to be specific to the encoding (see
+   *   {@link HttpCompression#etagForEncoding}).
+   * * If the original body was a file, the result's `last-modified` is based
+   *   on the file (as it would have been with the original).
+   *
+   * If compression would not actually make the body smaller, the original
+   * (unencoded) body is used.
+   *
+   * To avoid needless work:
+   *
+   * * Conditional request headers are checked against the encoded form
+   *   _before_ compressing. When they indicate that the requestor's copy is
+   *   fresh, the result is a `304` ("Not Modified") response, and no
+   *   compression is done.
+   * * When the response has an `etag`, compressed bodies are cached (in a
+   *   size-bounded process-wide cache), keyed by the etag and encoding.
+   *
+   * **Note:** A `HEAD` request gets compressed just like a `GET` request, so
+   * that the two end up with the same headers (notably including whether or
+   * not there is a `content-encoding`, which depends on whether compression
+   * actually made the body smaller). With an `etag`, the compressed body gets
+   * cached, so a subsequent `GET` doesn't have to redo the work.
+   *
+   * @param {string} requestMethod The original request method.
+   * @param {HttpHeaders} requestHeaders The request headers.
+   * @param {object} options Compression options, in the form returned by
+   *   {@link HttpCompression#expandOptions}.
+   * @returns {FullResponse} New response instance containing adjustments, or
+   *   `this` if no adjustments were required.
+   */
+  async compressFor(requestMethod, requestHeaders, options) {
+    MustBe.string(requestMethod);
+    MustBe.instanceOf(requestHeaders, HttpHeaders);
+
+    const { headers, status } = this;
+    const body                = this.#body;
+
+    if (body === null) {
+      throw new Error('Cannot compress until body is set.');
+    } else if ((status !== 200) || headers.get('content-encoding')) {
+      return this;
+    }
+
+    const { type, buffer, contentType: bodyContentType } = body;
+
+    let length;
+    switch (type) {
+      case 'buffer': { length = buffer.length; break; }
+      case 'file':   { length = body.length;   break; }
+      default: {
+        return this;
+      }
+    }
+
+    const contentType = bodyContentType ?? headers.get('content-type');
+
+    if (!contentType
+        || (length > FullResponse.#MAX_SIZE_TO_COMPRESS)
+        || !HttpCompression.isCompressible(contentType, length, options)) {
+      return this;
+    }
+
+    const result = new FullResponse(this);
+    HttpCompression.setVaryHeader(result.headers);
+
+    const encoding = HttpCompression.selectEncoding(requestHeaders, options.encodings);
+
+    if (!encoding) {
+      return result;
+    }
+
+    const etag     = headers.get('etag');
+    const cacheKey = etag
+      ? [etag, contentType, length, body.path ?? '', body.offset ?? 0].join('\n')
+      : null;
+
+    let compressed = cacheKey
+      ? FullResponse.#COMPRESSION_CACHE.get(cacheKey, encoding)
+      : null;
+
+    const resultHeaders = result.headers;
+
+    if (!compressed) {
+      // Check freshness against the would-be encoded form, using a copy which
+      // still has the original body (and in particular the original file
+      // stats, if any).
+      const probe = new FullResponse(result);
+      probe.headers.set('content-encoding', encoding);
+      if (etag) {
+        probe.headers.set('etag', HttpCompression.etagForEncoding(etag, encoding));
+      }
+
+      const adjusted = probe.adjustFor(requestMethod, requestHeaders, { conditional: true });
+
+      if (adjusted !== probe) {
+        return adjusted;
+      }
+
+      const data = (type === 'buffer')
+        ? buffer
+        : await FullResponse.#readFilePortion(body.path, body.offset, length);
+
+      compressed = await HttpCompression.compress(data, encoding);
+
+      if (cacheKey) {
+        FullResponse.#COMPRESSION_CACHE.set(cacheKey, encoding, compressed);
+      }
+    }
+
+    if (compressed.length >= length) {
+      return result;
+    }
+
+    resultHeaders.set('content-encoding', encoding);
+
+    if (etag) {
+      resultHeaders.set('etag', HttpCompression.etagForEncoding(etag, encoding));
+    }
+
+    if (body.lastModified) {
+      resultHeaders.set('last-modified', body.lastModified.toHttpString());
+    }
+
+    result.#body = Object.freeze({
+      type:   'buffer',
+      buffer: compressed,
+      ...(bodyContentType ? { contentType: bodyContentType } : {})
+    });
+
+    return result;
+  }
+
   /**
    * Gets all reasonably-logged info about a lower-level response object that is
    * (presumed to be) completed (written, sent, and ended). In case of an error
@@ -394,6 +553,33 @@ export class FullResponse extends BaseResponse {
     Object.freeze(this.#body);
   }
 
+  /**
+   * Sets the response body to be based on a readable stream. This is meant for
+   * content whose data isn't available up-front, such as a response being
+   * relayed from another server. Because a stream can only be consumed once,
+   * an instance with a stream body can only usefully be written once, and the
+   * body can't be sliced (so range requests are not handled).
+   *
+   * If the stream does not end up getting consumed (e.g., because the request
+   * method was `HEAD`), it is `destroy()`ed when the response is written.
+   *
+   * @param {Readable} stream The stream to read the body from.
+   * @param {?object} [options] Options.
+   * @param {?number} [options.length] Length of the body in bytes, if known, or
+   *   `null` if not known. When known, it is reported as the `content-length`
+   *   of the response. Defaults to `null`.
+   */
+  setBodyStream(stream, options = null) {
+    MustBe.instanceOf(stream, Readable);
+    const { length = null } = options ?? {};
+
+    if (length !== null) {
+      MustBe.number(length, { safeInteger: true, minInclusive: 0 });
+    }
+
+    this.#body = Object.freeze({ type: 'stream', stream, length });
+  }
+
   /**
    * Sets the response body to be based on a string. The MIME content type must
    * be specified. If the content type includes a `charset`, it must be valid
@@ -495,7 +681,7 @@ export class FullResponse extends BaseResponse {
    * * If there is no body:
    *   * Checking that no content-related headers are present. One exception:
    *     Status `416` ("Range Not Satisfiable") allows `content-range`.
-   * * If there is a content body:
+   * * If there is a content body (including a stream body):
    *   * Checking that `status` allows a body.
    *   * Checking that a `content-type` header is present _or_
    *     {@link #setBodyString} was used (which includes an explicit
@@ -547,7 +733,8 @@ export class FullResponse extends BaseResponse {
       }
 
       case 'buffer':
-      case 'file': {
+      case 'file':
+      case 'stream': {
         if (!HttpUtil.responseBodyIsAllowedFor('get', status)) {
           throw new Error(`Body-bearing response is incompatible with status ${status}.`);
         }
@@ -661,6 +848,9 @@ export class FullResponse extends BaseResponse {
       case 'none': {
         return await this.#writeNoBody(res);
       }
+      case 'stream': {
+        return await this.#writeBodyStream(res, shouldSendBody);
+      }
       default: {
         // If we get here, it indicates a bug in this class.
         throw new Error(`Shouldn't happen: Weird body type: ${bodyType}.`);
@@ -837,6 +1027,34 @@ export class FullResponse extends BaseResponse {
     return FullResponse.#whenResponseDone(res);
   }
 
+  /**
+   * Writes the body from a stream, and ends the response.
+   *
+   * @param {TypeNodeResponse} res The low-level response object to write to.
+   * @param {boolean} shouldSendBody Should the body actually be sent?
+   * @returns {boolean} `true` when closed without error.
+   * @throws {Error} Any error reported by `res` or by the body stream.
+   */
+  async #writeBodyStream(res, shouldSendBody) {
+    const { stream, length } = this.#body;
+
+    if (length !== null) {
+      res.setHeader('Content-Length', length);
+    }
+
+    if (!shouldSendBody) {
+      stream.destroy();
+      res.end();
+      return FullResponse.#whenResponseDone(res);
+    }
+
+    // Note: `pipeline()` takes care of backpressure, ends `res` once `stream`
+    // is exhausted, and destroys both streams if either one errors.
+    await pipeline(stream, res);
+
+    return FullResponse.#whenResponseDone(res);
+  }
+
   /**
    * Ends a response without writing a body.
    *
@@ -854,6 +1072,13 @@ export class FullResponse extends BaseResponse {
   // Static members
   //
 
+  /**
+   * Cache of compressed bodies, used by {@link #compressFor}.
+   *
+   * @type {CompressionCache}
+   */
+  static #COMPRESSION_CACHE = new CompressionCache(64 * 1024 * 1024); // 64 megabytes.
+
   /**
    * Array of header names associated with content (that is, non-empty bodies
    * that represent high-level application content).
@@ -880,6 +1105,14 @@ export class FullResponse extends BaseResponse {
     416: new Set(['content-range'])
   });
 
+  /**
+   * Maximum body size to compress, in bytes. Compression is done in-memory, so
+   * this keeps large files from eating up too much of it.
+   *
+   * @type {number}
+   */
+  static #MAX_SIZE_TO_COMPRESS = 16 * 1024 * 1024; // 16 megabytes.
+
   /**
    * Chunk size to use when reading a file and writing it as a response.
    *
@@ -0,0 +1,307 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { promisify } from 'node:util';
+import zlib from 'node:zlib';
+
+import { ByteCount } from '@this/quant';
+import { AskIf, MustBe } from '@this/typey';
+
+import { HttpHeaders } from '#x/HttpHeaders';
+import { MimeTypes } from '#x/MimeTypes';
+
+
+/**
+ * Utility class for HTTP content-encoding (compression) handling, including
+ * negotiation based on the `accept-encoding` request header.
+ */
+export class HttpCompression {
+  /**
+   * Default list of MIME type patterns for content that is worth compressing.
+   * See {@link MimeTypes#typeMatchesAny} for pattern syntax.
+   *
+   * @type {Array<string>}
+   */
+  static #DEFAULT_MIME_TYPES = Object.freeze([
+    'application/javascript',
+    'application/json',
+    'application/wasm',
+    'application/xml',
+    'font/otf',
+    'font/ttf',
+    'image/svg+xml',
+    'text/*',
+    '*/*+json',
+    '*/*+xml'
+  ]);
+
+  /**
+   * Default minimum body size to compress, in bytes.
+   *
+   * @type {number}
+   */
+  static #DEFAULT_MIN_SIZE = 1024;
+
+  /**
+   * Brotli quality level to use. The default level (11) is much too slow for
+   * on-the-fly compression, while mid-range levels still compress better than
+   * `gzip` does.
+   *
+   * @type {number}
+   */
+  static #BROTLI_QUALITY = 5;
+
+  /**
+   * Promisified version of `zlib.brotliCompress()`.
+   *
+   * @type {function(Buffer, object): Promise<Buffer>}
+   */
+  static #brotliCompress = promisify(zlib.brotliCompress);
+
+  /**
+   * Map from each supported encoding name to an `async` function which
+   * performs compression using that encoding. The order of the entries is the
+   * default preference order. `zstd` is only present if supported by the
+   * version of Node that is running.
+   *
+   * @type {Map<string, function(Buffer): Promise<Buffer>>}
+   */
+  static #ENCODERS = new Map([
+    ['br', (data) => this.#brotliCompress(data, {
+      params: { [zlib.constants.BROTLI_PARAM_QUALITY]: this.#BROTLI_QUALITY }
+    })],
+    ...(zlib.zstdCompress ? [['zstd', promisify(zlib.zstdCompress)]] : []),
+    ['gzip', promisify(zlib.gzip)]
+  ]);
+
+  /**
+   * Map from each supported encoding name to the conventional file name suffix
+   * used for precompressed files.
+   *
+   * @type {Map<string, string>}
+   */
+  static #FILE_SUFFIXES = new Map([
+    ['br',   '.br'],
+    ['gzip', '.gz'],
+    ['zstd', '.zst']
+  ]);
+
+  /**
+   * @returns {Array<string>} List of the names of all supported encodings, in
+   * default preference order. The result is always frozen.
+   */
+  static get ENCODINGS() {
+    return Object.freeze([...this.#ENCODERS.keys()]);
+  }
+
+  /**
+   * Compresses the given data using the given encoding.
+   *
+   * @param {Buffer} data The data to compress.
+   * @param {string} encoding The name of the encoding, which must be one of the
+   *   supported encodings (see {@link #ENCODINGS}).
+   * @returns {Buffer} The compressed data.
+   */
+  static async compress(data, encoding) {
+    MustBe.instanceOf(data, Buffer);
+
+    const encoder = this.#ENCODERS.get(encoding);
+
+    if (!encoder) {
+      throw new Error(`Unsupported encoding: ${encoding}`);
+    }
+
+    return encoder(data);
+  }
+
+  /**
+   * Gets the etag to use for a representation with the given encoding, given
+   * the etag of the unencoded representation. The result has the same strength
+   * (weak vs. strong) as the original, with the encoding name appended to the
+   * opaque tag. This way, a cache or range request can never confuse the
+   * encoded and unencoded forms.
+   *
+   * @param {string} etag The original etag, in the usual quoted form,
+   *   optionally with a `W/` prefix.
+   * @param {string} encoding The name of the encoding.
+   * @returns {string} The etag to use for the encoded representation.
+   */
+  static etagForEncoding(etag, encoding) {
+    MustBe.string(etag);
+    MustBe.string(encoding);
+
+    const found = etag.match(/^(?<prefix>(?:W[/])?)"(?<tag>[^"]*)"$/);
+
+    if (!found) {
+      throw new Error(`Invalid etag: ${etag}`);
+    }
+
+    const { prefix, tag } = found.groups;
+    return `${prefix}"${tag}-${encoding}"`;
+  }
+
+  /**
+   * Checks compression options for validity, and returns the "expanded" form
+   * (where defaults are replaced with the corresponding true values). The
+   * following options are recognized:
+   *
+   * * `{Array<string>} encodings` -- Allowed encodings, in order of
+   *   preference. Encodings not supported by the running version of Node are
+   *   quietly dropped. Default is all supported encodings in a reasonable
+   *   order.
+   * * `{Array<string>} mimeTypes` -- MIME type patterns for content which is
+   *   to be compressed. See {@link MimeTypes#typeMatchesAny} for syntax.
+   *   Default is a list of commonly-compressible types.
+   * * `{string|number|ByteCount} minSize` -- Minimum size of content to be
+   *   compressed, as a string parsed by {@link ByteCount#parse}, a plain
+   *   number of bytes, or an instance of `ByteCount`. Default `1 KiB`.
+   *
+   * In the expanded result, `minSize` is converted to a plain number of bytes.
+   * The result is always frozen. It is valid to pass an already-expanded result
+   * back into this method.
+   *
+   * @param {*} options (Alleged) compression options. `null` and `true` are
+   *   treated as valid all-default options.
+   * @returns {object} The expanded version of `options`, if `options` is valid.
+   * @throws {Error} Thrown if there is trouble with `options`.
+   */
+  static expandOptions(options) {
+    if ((options === null) || (options === true)) {
+      options = {};
+    } else if (!AskIf.plainObject(options)) {
+      throw new Error('Invalid compression options.');
+    }
+
+    const {
+      encodings = null,
+      mimeTypes = this.#DEFAULT_MIME_TYPES,
+      minSize   = null
+    } = options;
+
+    let finalEncodings;
+    if (encodings === null) {
+      finalEncodings = this.ENCODINGS;
+    } else {
+      MustBe.arrayOfString(encodings, /^(br|gzip|zstd)$/);
+      finalEncodings = encodings.filter((e) => this.#ENCODERS.has(e));
+    }
+
+    MustBe.arrayOfString(mimeTypes);
+
+    let finalMinSize;
+    if (minSize === null) {
+      finalMinSize = this.#DEFAULT_MIN_SIZE;
+    } else if (typeof minSize === 'number') {
+      finalMinSize = MustBe.number(minSize, { minInclusive: 0, safeInteger: true });
+    } else {
+      const parsed = ByteCount.parse(minSize, { range: { minInclusive: 0 } });
+
+      if (parsed === null) {
+        throw new Error(`Could not parse \`minSize\`: ${minSize}`);
+      }
+
+      finalMinSize = parsed.byte;
+    }
+
+    return Object.freeze({
+      encodings: Object.freeze([...finalEncodings]),
+      mimeTypes: Object.freeze([...mimeTypes]),
+      minSize:   finalMinSize
+    });
+  }
+
+  /**
+   * Gets the conventional file name suffix (e.g., `.gz`) used for files
+   * precompressed with the given encoding.
+   *
+   * @param {string} encoding The name of the encoding.
+   * @returns {?string} The file name suffix, or `null` if there is no
+   *   conventional suffix for `encoding`.
+   */
+  static fileSuffixForEncoding(encoding) {
+    return this.#FILE_SUFFIXES.get(encoding) ?? null;
+  }
+
+  /**
+   * Indicates whether content with the given MIME type and length should be
+   * compressed, per the given options. This doesn't take into account
+   * anything about a request.
+   *
+   * @param {string} contentType The MIME type of the content.
+   * @param {number} length The length of the content, in bytes.
+   * @param {object} options Compression options, in the form returned by
+   *   {@link #expandOptions}.
+   * @returns {boolean} `true` iff the content should be compressed (when the
+   *   requestor allows it).
+   */
+  static isCompressible(contentType, length, options) {
+    const { encodings, mimeTypes, minSize } = options;
+
+    return (encodings.length !== 0)
+      && (length >= minSize)
+      && MimeTypes.typeMatchesAny(contentType, mimeTypes);
+  }
+
+  /**
+   * Selects an encoding to use based on an `accept-encoding` request header,
+   * from the given list of possibilities. Among the encodings the requestor
+   * finds acceptable, this picks the one with the highest quality value
+   * (`q=...`), with ties broken by the order of the given `encodings`. This
+   * returns `null` if there is no `accept-encoding` header or if none of the
+   * given `encodings` are acceptable.
+   *
+   * @param {HttpHeaders} requestHeaders The request headers.
+   * @param {Array<string>} encodings The possible encodings, in order of
+   *   preference.
+   * @returns {?string} The selected encoding, or `null` if the content should
+   *   be sent unencoded.
+   */
+  static selectEncoding(requestHeaders, encodings) {
+    MustBe.instanceOf(requestHeaders, HttpHeaders);
+
+    const accept = requestHeaders.get('accept-encoding');
+
+    if (!accept) {
+      return null;
+    }
+
+    const qualities = new Map();
+    for (const item of accept.split(',')) {
+      const found = item.trim().toLowerCase()
+        .match(/^(?<name>[-!#$%&'*+.^_`|~0-9a-z]+)(?:\s*;\s*q=(?<q>[0-9.]+))?$/);
+
+      if (found) {
+        const { name, q } = found.groups;
+        const quality     = (q === undefined) ? 1 : Number(q);
+
+        if (!Number.isNaN(quality)) {
+          qualities.set(name, quality);
+        }
+      }
+    }
+
+    const wildcard = qualities.get('*') ?? 0;
+    let   result   = null;
+    let   resultQ  = 0;
+
+    for (const encoding of encodings) {
+      const q = qualities.get(encoding) ?? wildcard;
+      if (q > resultQ) {
+        result  = encoding;
+        resultQ = q;
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Adds `accept-encoding` to the `vary` header of the given response headers,
+   * if not already present.
+   *
+   * @param {HttpHeaders} responseHeaders The response headers to modify.
+   */
+  static setVaryHeader(responseHeaders) {
+    MustBe.instanceOf(responseHeaders, HttpHeaders).appendVary('accept-encoding');
+  }
+}
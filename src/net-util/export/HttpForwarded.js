@@ -0,0 +1,247 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { MustBe } from '@this/typey';
+
+import { AddressSet } from '#x/AddressSet';
+import { EndpointAddress } from '#x/EndpointAddress';
+import { HostInfo } from '#x/HostInfo';
+import { HttpHeaders } from '#x/HttpHeaders';
+
+
+/**
+ * Utility class for dealing with the headers which reverse proxies use to
+ * convey information about the original request they are forwarding, namely
+ * the standard `forwarded` header (RFC 7239) and the older de facto standard
+ * `x-forwarded-for`, `x-forwarded-host`, and `x-forwarded-proto` headers.
+ */
+export class HttpForwarded {
+  /**
+   * Regex which matches one `forwarded` parameter, along with any surrounding
+   * whitespace. This is a "sticky" regex, meant to be used iteratively.
+   *
+   * @type {RegExp}
+   */
+  static #PAIR_REGEX =
+    /[ \t]*(?<name>[-!#$%&'*+.^`|~\w]+)=(?:(?<token>[-!#$%&'*+.^`|~\w]+)|"(?<quoted>(?:[^"\\]|\\.)*)")[ \t]*/y;
+
+  /**
+   * Parses a `forwarded` header value into its elements, each of which
+   * corresponds to one proxy hop, in order from the original client to the
+   * nearest proxy. Each element is a frozen object which binds the downcased
+   * names of its parameters (e.g. `for` or `proto`) to their values (with
+   * quoting removed).
+   *
+   * @param {string} value The header value.
+   * @returns {?Array<object>} The parsed elements, or `null` if `value` was not
+   *   syntactically valid. The result is always frozen.
+   */
+  static parseForwarded(value) {
+    MustBe.string(value);
+
+    const regex   = this.#PAIR_REGEX;
+    const result  = [];
+    let   element = {};
+    let   at      = 0;
+
+    for (;;) {
+      regex.lastIndex = at;
+      const found = regex.exec(value);
+
+      if (found) {
+        const { name: rawName, token, quoted } = found.groups;
+        const name = rawName.toLowerCase();
+
+        if (Object.hasOwn(element, name)) {
+          // Per spec, a parameter must not appear more than once per element.
+          return null;
+        }
+
+        element[name] = token ?? quoted.replaceAll(/\\(.)/g, '$1');
+        at = regex.lastIndex;
+      } else {
+        // Allow for empty elements and empty pairs.
+        at += value.slice(at).match(/^[ \t]*/)[0].length;
+      }
+
+      if (at === value.length) {
+        result.push(Object.freeze(element));
+        break;
+      }
+
+      switch (value[at]) {
+        case ';': {
+          break;
+        }
+        case ',': {
+          result.push(Object.freeze(element));
+          element = {};
+          break;
+        }
+        default: {
+          return null;
+        }
+      }
+
+      at++;
+    }
+
+    return Object.freeze(result.filter((e) => Object.keys(e).length !== 0));
+  }
+
+  /**
+   * Determines the effective origin, host, and scheme of a request, given its
+   * headers, the address of the peer which sent it, and the set of addresses
+   * of trusted proxies. Proxy hops are followed backwards (starting with the
+   * peer), for as long as each hop is a trusted proxy. The effective origin is
+   * then the address of the first untrusted hop, or of the original client if
+   * all hops were trusted.
+   *
+   * If there is a `forwarded` header, it is used exclusively. Otherwise, the
+   * `x-forwarded-*` headers are used. For the latter, if `x-forwarded-host` or
+   * `x-forwarded-proto` has multiple values, the last one (which is the one
+   * added by the nearest proxy) is used.
+   *
+   * @param {HttpHeaders} headers The request headers.
+   * @param {?EndpointAddress} peer The address of the peer which sent the
+   *   request, or `null` if the peer connected via a Unix domain socket (in
+   *   which case it is trusted iff `trustedProxies` includes Unix peers).
+   * @param {AddressSet} trustedProxies The addresses of trusted proxies.
+   * @returns {?{ origin: EndpointAddress, host: ?string, scheme: ?string }}
+   *   The effective origin (which will have a `null` address if it is
+   *   unknown), and the effective host and scheme (or `null` for either if not
+   *   conveyed by the headers); or `null` if `peer` is not a trusted proxy or
+   *   the request did not have any valid forwarding headers. When non-`null`,
+   *   the result is always frozen.
+   */
+  static resolve(headers, peer, trustedProxies) {
+    MustBe.instanceOf(headers, HttpHeaders);
+    MustBe.instanceOf(trustedProxies, AddressSet);
+
+    const peerTrusted = (peer === null)
+      ? trustedProxies.includesUnixPeers
+      : trustedProxies.has(MustBe.instanceOf(peer, EndpointAddress).address);
+
+    if (!peerTrusted) {
+      return null;
+    }
+
+    const hops = this.#hopsFrom(headers);
+
+    if (!hops || (hops.length === 0)) {
+      return null;
+    }
+
+    let at = hops.length - 1;
+    while ((at > 0) && trustedProxies.has(hops[at].origin.address)) {
+      at--;
+    }
+
+    return Object.freeze({ ...hops[at] });
+  }
+
+  /**
+   * Gets the proxy hops indicated by the given headers.
+   *
+   * @param {HttpHeaders} headers The request headers.
+   * @returns {?Array<{ origin: EndpointAddress, host: ?string, scheme:
+   *   ?string }>} The hops, or `null` if there were no valid forwarding
+   *   headers.
+   */
+  static #hopsFrom(headers) {
+    const forwarded = headers.get('forwarded');
+
+    if (forwarded) {
+      const elements = this.parseForwarded(forwarded);
+
+      return elements?.map((e) => ({
+        origin: this.#parseNode(e.for ?? null),
+        host:   this.#validHostOrNull(e.host ?? null),
+        scheme: this.#validSchemeOrNull(e.proto ?? null)
+      })) ?? null;
+    }
+
+    const forwardedFor = headers.get('x-forwarded-for');
+
+    if (!forwardedFor) {
+      return null;
+    }
+
+    const lastOf = (name) => {
+      const value = headers.get(name);
+      return value ? value.split(',').at(-1).trim() : null;
+    };
+    const host   = this.#validHostOrNull(lastOf('x-forwarded-host'));
+    const scheme = this.#validSchemeOrNull(lastOf('x-forwarded-proto'));
+
+    return forwardedFor.split(',').map((node) => ({
+      origin: this.#parseNode(node.trim()),
+      host,
+      scheme
+    }));
+  }
+
+  /**
+   * Parses a node identifier, as used in the `for` parameter of a `forwarded`
+   * header and the elements of an `x-forwarded-for` header. Unlike the former,
+   * the latter commonly contains unbracketed IPv6 addresses, which are
+   * accepted here.
+   *
+   * @param {?string} node The node identifier, or `null` if absent.
+   * @returns {EndpointAddress} The parsed address. This will have a `null`
+   *   address if `node` is absent, "unknown," obfuscated, or invalid.
+   */
+  static #parseNode(node) {
+    const unknown = new EndpointAddress(null, null);
+
+    if (node === null) {
+      return unknown;
+    }
+
+    const bareAddress = EndpointAddress.canonicalizeAddressElseNull(node);
+
+    if (bareAddress) {
+      return new EndpointAddress(bareAddress, null);
+    }
+
+    const { address: rawAddress, port: rawPort = null } =
+      node.match(/^(?<address>\[[^\]]+\]|[^:]+)(?::(?<port>[^:]+))?$/)?.groups ?? {};
+    const address = rawAddress
+      ? EndpointAddress.canonicalizeAddressElseNull(rawAddress)
+      : null;
+
+    if (!address) {
+      return unknown;
+    }
+
+    // Note: A non-numeric port is taken to be an obfuscated one, which is to
+    // say, an unknown one.
+    const portNumber = /^[1-9][0-9]{0,4}$/.test(rawPort) ? parseInt(rawPort) : null;
+
+    return new EndpointAddress(address, (portNumber > 65535) ? null : portNumber);
+  }
+
+  /**
+   * Validates a forwarded host, returning it if valid or `null` if not.
+   *
+   * @param {?string} host The host, or `null` if absent.
+   * @returns {?string} `host` if valid, or `null` if not.
+   */
+  static #validHostOrNull(host) {
+    return (host && HostInfo.parseHostHeaderElseNull(host)) ? host : null;
+  }
+
+  /**
+   * Validates a forwarded scheme, returning its downcased form if valid or
+   * `null` if not. Only `http` and `https` are considered valid.
+   *
+   * @param {?string} scheme The scheme, or `null` if absent.
+   * @returns {?string} The downcased form of `scheme` if valid, or `null` if
+   *   not.
+   */
+  static #validSchemeOrNull(scheme) {
+    const result = scheme?.toLowerCase() ?? null;
+
+    return ((result === 'http') || (result === 'https')) ? result : null;
+  }
+}
@@ -1,6 +1,8 @@
 // Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
 // SPDX-License-Identifier: Apache-2.0
 
+import { MustBe } from '@this/typey';
+
 import { Cookies } from '#x/Cookies';
 import { HttpUtil } from '#x/HttpUtil';
 
@@ -70,6 +72,35 @@ export class HttpHeaders extends Headers {
     }
   }
 
+  /**
+   * Adds the given header names to the `vary` header of this instance, for
+   * each name which isn't already present. This does nothing if `vary` is
+   * already `*`.
+   *
+   * @param {...string} names Header names to add.
+   */
+  appendVary(...names) {
+    const vary     = this.get('vary');
+    const existing = vary ? vary.split(',').map((n) => n.trim().toLowerCase()) : [];
+
+    if (existing.includes('*')) {
+      return;
+    }
+
+    const toAdd = [];
+
+    for (const name of names) {
+      const lowerName = MustBe.string(name, /^[-!#$%&'*+.^_`|~0-9A-Za-z]+$/).toLowerCase();
+      if (!(existing.includes(lowerName) || toAdd.includes(lowerName))) {
+        toAdd.push(lowerName);
+      }
+    }
+
+    if (toAdd.length !== 0) {
+      this.set('vary', vary ? `${vary}, ${toAdd.join(', ')}` : toAdd.join(', '));
+    }
+  }
+
   /**
    * Deletes all content-related headers. These are (unsurprisingly) the ones
    * whose names begin with `content-`.
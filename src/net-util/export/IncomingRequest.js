@@ -7,9 +7,12 @@ import { MustBe } from '@this/typey';
 
 import { Cookies } from '#x/Cookies';
 import { EndpointAddress } from '#x/EndpointAddress';
+import { AddressSet } from '#x/AddressSet';
 import { HostInfo } from '#x/HostInfo';
+import { HttpForwarded } from '#x/HttpForwarded';
 import { HttpHeaders } from '#x/HttpHeaders';
 import { HttpUtil } from '#x/HttpUtil';
+import { RequestBody } from '#x/RequestBody';
 import { RequestContext } from '#x/RequestContext';
 import { TypeNodeRequest } from '#x/TypeNodeRequest';
 
@@ -23,9 +26,11 @@ import { TypeNodeRequest } from '#x/TypeNodeRequest';
  * "imports" data from low-level Node request objects, but it's also just fine
  * to construct an instance more directly.
  *
- * **Note:** This interface does not define its API to have any understanding of
- * running a system behind a reverse proxy. For example, `Forwarded` and related
- * headers have no special meaning to this interface.
+ * **Note:** By default, this class does not have any understanding of running
+ * a system behind a reverse proxy. However, if an instance is constructed with
+ * a set of trusted proxies, then requests from those proxies get their origin,
+ * host, and scheme from the `forwarded` header (or the `x-forwarded-*` headers)
+ * of the request. See {@link HttpForwarded#resolve} for details.
  */
 export class IncomingRequest {
   /**
@@ -83,7 +88,7 @@ export class IncomingRequest {
   /**
    * The request body, or `null` if the request did not come with a body.
    *
-   * @type {?Buffer}
+   * @type {?RequestBody}
    */
   #body;
 
@@ -94,6 +99,14 @@ export class IncomingRequest {
    */
   #cookies = null;
 
+  /**
+   * Effective origin, host, and scheme as conveyed by a trusted proxy via
+   * forwarding headers, or `null` if not applicable.
+   *
+   * @type {?{ origin: EndpointAddress, host: ?string, scheme: ?string }}
+   */
+  #forwarded = null;
+
   /**
    * The host (a/k/a "authority") info, or `null` if not yet figured out.
    *
@@ -111,6 +124,17 @@ export class IncomingRequest {
    */
   #parsedTargetObject = null;
 
+  /**
+   * State which is settable after construction, namely the authenticated
+   * principal and the content security policy nonce (each `null` if not set).
+   * This is an object so that it can be shared with instances derived from
+   * this one (e.g. via {@link #withBodyMaxBytes}), so that setting a value on
+   * any one of them is visible from all of them.
+   *
+   * @type {{ cspNonce: ?string, principal: ?{ name: string, scheme: string } }}
+   */
+  #shared = { cspNonce: null, principal: null };
+
   /**
    * The result of {@link #infoForLog}, or `null` if not yet calculated.
    *
@@ -118,6 +142,13 @@ export class IncomingRequest {
    */
   #infoForLog = null;
 
+  /**
+   * The value of {@link #unforwarded}, or `null` if not yet calculated.
+   *
+   * @type {?object}
+   */
+  #unforwarded = null;
+
   /**
    * The value of {@link #urlForLog}, or `null` if not yet calculated.
    *
@@ -130,8 +161,10 @@ export class IncomingRequest {
    *
    * @param {object} config Configuration of the instance. Most properties are
    *   required.
-   * @param {?Buffer} [config.body] The request body, or `null` if the request
-   *   did not come with a body.
+   * @param {?Buffer|RequestBody} [config.body] The request body, or `null` if
+   *   the request did not come with a body. If passed as a `Buffer`, it gets
+   *   wrapped in a {@link RequestBody} whose content type is taken from
+   *   `config.headers`.
    * @param {RequestContext} config.context Information about the incoming
    *   "context" of a request. (This information isn't provided by the standard
    *   Node HTTP-ish libraries.)
@@ -145,22 +178,39 @@ export class IncomingRequest {
    * @param {HttpHeaders} config.pseudoHeaders HTTP2-ish "pseudo-headers" that
    *   came with the request or were synthesized based on an HTTP1-ish request,
    *   with keys stripped of their colon (`:`) prefixes.
+   * @param {?AddressSet} [config.trustedProxies] Addresses of reverse proxies
+   *   whose forwarding headers are to be believed, or `null` to ignore
+   *   forwarding headers entirely.
    */
   constructor(config) {
     const {
-      body = null, context, headers, logger = null, protocolName, pseudoHeaders
+      body = null, context, headers, logger = null, protocolName, pseudoHeaders,
+      trustedProxies = null
     } = config;
 
-    this.#body           = (body === null) ? null : MustBe.instanceOf(body, Buffer);
     this.#protocolName   = MustBe.string(protocolName);
     this.#pseudoHeaders  = MustBe.instanceOf(pseudoHeaders, HttpHeaders);
     this.#requestContext = MustBe.instanceOf(context, RequestContext);
     this.#requestHeaders = MustBe.instanceOf(headers, HttpHeaders);
     this.#requestMethod  = IncomingRequest.#requestMethodFromPseudoHeaders(pseudoHeaders);
 
+    if (body === null) {
+      this.#body = null;
+    } else if (body instanceof Buffer) {
+      this.#body = new RequestBody(body, { contentType: headers.get('content-type') ?? null });
+    } else {
+      this.#body = MustBe.instanceOf(body, RequestBody);
+    }
+
     const targetString = MustBe.string(pseudoHeaders.get('path'));
     this.#parsedTargetObject = Object.freeze({ targetString, type: null });
 
+    if (trustedProxies !== null) {
+      MustBe.instanceOf(trustedProxies, AddressSet);
+      const peer = context.originIsUnixPeer ? null : context.origin;
+      this.#forwarded = HttpForwarded.resolve(headers, peer, trustedProxies);
+    }
+
     if (logger) {
       this.#id     = logger.$meta.makeId();
       this.#logger = logger[this.#id];
@@ -168,8 +218,9 @@ export class IncomingRequest {
   }
 
   /**
-   * @returns {?Buffer} The request body, or `null` if this instance does not
-   * have an associated body.
+   * @returns {?RequestBody} The request body, or `null` if this instance does
+   * not have an associated body. The body is not read until a client of this
+   * instance asks for it.
    */
   get body() {
     return this.#body;
@@ -200,6 +251,17 @@ export class IncomingRequest {
     return this.#cookies;
   }
 
+  /**
+   * @returns {?string} The nonce to use in the `content-security-policy` of
+   * the response to this request, or `null` if none has been set. This is set
+   * by an application which generates such a policy (e.g. `SecurityHeaders`),
+   * so that applications which it dispatches to can use the nonce, e.g., in the
+   * `nonce` attribute of `<script>` tags in the HTML they generate.
+   */
+  get cspNonce() {
+    return this.#shared.cspNonce;
+  }
+
   /** @returns {HttpHeaders} Incoming headers of the request. */
   get headers() {
     return this.#requestHeaders;
@@ -211,12 +273,13 @@ export class IncomingRequest {
    * header of an HTTP2 request if available, or the regular `Host` header of an
    * HTTP1 request, plus port information. If there is no authority information
    * present in the request, it is treated as if it were specified as just
-   * `localhost`.
+   * `localhost`. If the request was forwarded by a trusted proxy which conveyed
+   * the original host, then that host is used instead.
    *
    * The `port` of the returned object is as follows (in order):
    *
    * * If the `:authority` or `Host` header has a port, use that.
-   * * If the `:scheme` is present and recognized, use its standard port.
+   * * If the {@link #scheme} is known, use its standard port.
    * * If the connection has a "declared listening port," use that.
    * * If the connection has a known listening port, use that.
    * * Otherwise, use `0` for the port.
@@ -225,27 +288,9 @@ export class IncomingRequest {
     if (!this.#hostInfo) {
       // Note: We use `#pseudoHeaders` to hold the `Host` header of an HTTP1-ish
       // request.
+      const authority = this.#forwarded?.host ?? this.#pseudoHeaders.get('authority') ?? null;
 
-      const authority = this.#pseudoHeaders.get('authority') ?? null;
-      const scheme    = this.#pseudoHeaders.get('scheme')    ?? null;
-
-      // If there's a `scheme` we recognize, we can use it to know the port to
-      // use in case `authority` didn't come with one. If not, we just use the
-      // request context. (Note: We should always have a `scheme` for HTTP2-ish
-      // requests.)
-      let fallbackPort;
-      switch (scheme) {
-        case 'http':  { fallbackPort = 80;  break; }
-        case 'https': { fallbackPort = 443; break; }
-        default: {
-          fallbackPort = this.#requestContext.interface.portNumber;
-          break;
-        }
-      }
-
-      this.#hostInfo = authority
-        ? HostInfo.safeParseHostHeader(authority, fallbackPort)
-        : HostInfo.localhostInstance(fallbackPort);
+      this.#hostInfo = this.#calcHost(authority, this.scheme);
     }
 
     return this.#hostInfo;
@@ -266,6 +311,11 @@ export class IncomingRequest {
    * respect to other parts of the return value. (E.g., the `cookie` header is
    * omitted if it was able to be parsed.)
    *
+   * **Note:** When the origin is a peer which connected directly via a Unix
+   * domain socket, the `origin` in the result is the string `unix:` (and not
+   * an {@link EndpointAddress}), following the usual convention for such
+   * peers.
+   *
    * @returns {object} Loggable information about the request. The result is
    *   always frozen.
    */
@@ -274,13 +324,32 @@ export class IncomingRequest {
       const { cookies, method, origin, urlForLog } = this;
 
       const result = {
-        origin,
+        origin:   this.#originForLog(origin),
         protocol: this.protocolName,
         method,
         url:      urlForLog,
         headers:  this.#sanitizeRequestHeaders()
       };
 
+      const { peerCertificate, proxy } = this.#requestContext;
+      const { unforwarded } = this;
+
+      if (proxy) {
+        result.proxy = proxy;
+      }
+
+      if (peerCertificate) {
+        result.peerCertificate = peerCertificate;
+      }
+
+      if (unforwarded) {
+        result.unforwarded = Object.freeze({
+          origin: this.#originForLog(unforwarded.origin),
+          host:   unforwarded.host.namePortString,
+          scheme: unforwarded.scheme
+        });
+      }
+
       if (cookies.size !== 0) {
         result.cookies = Object.freeze(Object.fromEntries(cookies));
         delete result.headers.cookie;
@@ -311,10 +380,13 @@ export class IncomingRequest {
 
   /**
    * @returns {EndpointAddress} Address of the origin (remote side) of the
-   * request.
+   * request. If the connection was relayed by a trusted proxy, or if the
+   * request was forwarded by a trusted proxy, this is the address of the
+   * original client. The address of the result is `null` in the case of a
+   * forwarded request whose original client is unknown.
    */
   get origin() {
-    return this.#requestContext.origin;
+    return this.#forwarded?.origin ?? this.#requestContext.origin;
   }
 
   /**
@@ -345,6 +417,17 @@ export class IncomingRequest {
     return this.#parsedTarget.pathnameString ?? null;
   }
 
+  /**
+   * @returns {?{ name: string, scheme: string }} The authenticated principal
+   * associated with this request, or `null` if the request has not been
+   * authenticated. When non-`null`, `name` is the name of the principal (e.g.
+   * a user name) and `scheme` is the name of the authentication scheme that
+   * was used (e.g. `basic`). The result is always frozen.
+   */
+  get principal() {
+    return this.#shared.principal;
+  }
+
   /**
    * @returns {string} The name of the protocol which this instance is using.
    * This is generally a string starting with `http-` and ending with the dotted
@@ -357,6 +440,18 @@ export class IncomingRequest {
     return this.#protocolName;
   }
 
+  /**
+   * @returns {?string} The scheme (e.g. `https`) of the URL that was requested,
+   * if known. This is the value of the synthetic `:scheme` header of an HTTP2
+   * request. For an HTTP1 request, this is `null`, because the request itself
+   * doesn't say. However, if the request was forwarded by a trusted proxy which
+   * conveyed the original scheme, then that scheme is used instead (in the
+   * case of both HTTP1 and HTTP2).
+   */
+  get scheme() {
+    return this.#forwarded?.scheme ?? this.#pseudoHeaders.get('scheme') ?? null;
+  }
+
   /**
    * @returns {string} The search a/k/a query portion of {@link #targetString},
    * as an unparsed string, or `''` (the empty string) if there is no search
@@ -390,6 +485,61 @@ export class IncomingRequest {
     return this.#parsedTarget.targetString;
   }
 
+  /**
+   * @returns {?{ origin: EndpointAddress, host: HostInfo, scheme: ?string }}
+   * The origin, host, and scheme of this request, as they would be if
+   * forwarding headers had been ignored, or `null` if this request was not
+   * forwarded by a trusted proxy (in which case there is no difference). This
+   * is meant for logging, so that the "raw" view of a request is still
+   * available. The result is always frozen.
+   */
+  get unforwarded() {
+    if (!this.#forwarded) {
+      return null;
+    }
+
+    if (!this.#unforwarded) {
+      const scheme    = this.#pseudoHeaders.get('scheme') ?? null;
+      const authority = this.#pseudoHeaders.get('authority') ?? null;
+
+      this.#unforwarded = Object.freeze({
+        origin: this.#requestContext.origin,
+        host:   this.#calcHost(authority, scheme),
+        scheme
+      });
+    }
+
+    return this.#unforwarded;
+  }
+
+  /**
+   * @returns {?string} The downcased name of the protocol that this request is
+   * asking to switch to, or `null` if this isn't such a request. For HTTP1,
+   * this is the (first) protocol named in the `upgrade` header, when the
+   * `connection` header includes the `upgrade` token. For HTTP2, this is the
+   * value of the `:protocol` pseudo-header of an "extended `CONNECT`" request
+   * (per RFC 8441). In both cases, any version suffix (e.g. `/1.0`) is
+   * dropped.
+   */
+  get upgradeProtocol() {
+    let protocol;
+
+    if (this.#protocolName.startsWith('http-1.')) {
+      const connection = this.headers.get('connection') ?? '';
+      if (!/(?:^|,)\s*upgrade\s*(?:,|$)/i.test(connection)) {
+        return null;
+      }
+
+      protocol = this.headers.get('upgrade');
+    } else if (this.#requestMethod === 'connect') {
+      protocol = this.#pseudoHeaders.get('protocol');
+    }
+
+    const found = protocol?.match(/^\s*(?<name>[^,/\s]+)/);
+
+    return found ? found.groups.name.toLowerCase() : null;
+  }
+
   /**
    * @returns {string} A reasonably-suggestive but possibly incomplete
    * representation of the incoming request including both the host and target,
@@ -440,6 +590,108 @@ export class IncomingRequest {
     return (method === 'get') || (method === 'head');
   }
 
+  /**
+   * Sets the content security policy nonce associated with this request. If
+   * there is already a nonce, it gets replaced. Like the principal, the nonce
+   * is shared with all instances derived from this one (and vice versa).
+   *
+   * @param {?string} nonce The nonce, or `null` to indicate that there is none.
+   *   If non-`null`, it must be a non-empty base64 string.
+   */
+  setCspNonce(nonce) {
+    if (nonce !== null) {
+      MustBe.string(nonce, /^[+/=_\-a-zA-Z0-9]+$/);
+    }
+
+    this.#shared.cspNonce = nonce;
+  }
+
+  /**
+   * Sets the authenticated principal associated with this request. This is
+   * meant to be called by the application which authenticated the request, and
+   * it can only be called once per request: Once a request is authenticated,
+   * nothing downstream gets to change who it was authenticated as. The
+   * principal is shared with all instances derived from this one (and vice
+   * versa), so that, notably, it is visible to the access log.
+   *
+   * @param {{ name: string, scheme: string }} principal The principal.
+   * @throws {Error} Thrown if this request already has a principal.
+   */
+  setPrincipal(principal) {
+    const { name, scheme } = MustBe.object(principal);
+
+    principal = Object.freeze({
+      name:   MustBe.string(name, /./),
+      scheme: MustBe.string(scheme, /^[a-z][-a-z0-9]*$/)
+    });
+
+    if (this.#shared.principal !== null) {
+      throw new Error('Request already has a principal.');
+    }
+
+    this.#shared.principal = principal;
+  }
+
+  /**
+   * Gets an instance of this class which is just like this one, except that
+   * its {@link #body} has the given maximum size (or its original maximum, if
+   * that is smaller). The result shares its ID, logger, principal, content
+   * security policy nonce, and forwarding information with this instance, and
+   * its body shares the underlying source with this instance's body.
+   *
+   * @param {number} maxBytes The maximum allowed body size, in bytes.
+   * @returns {IncomingRequest} An appropriately-constructed instance, which is
+   *   `this` if no change was needed.
+   */
+  withBodyMaxBytes(maxBytes) {
+    const body = this.#body?.withMaxBytes(maxBytes) ?? null;
+
+    if (body === this.#body) {
+      return this;
+    }
+
+    const result = new IncomingRequest({
+      body,
+      context:       this.#requestContext,
+      headers:       this.#requestHeaders,
+      protocolName:  this.#protocolName,
+      pseudoHeaders: this.#pseudoHeaders
+    });
+
+    result.#forwarded = this.#forwarded;
+    result.#id        = this.#id;
+    result.#logger    = this.#logger;
+    result.#shared    = this.#shared;
+
+    return result;
+  }
+
+  /**
+   * Calculates a host info object, given an authority string and scheme. If
+   * there is a `scheme` we recognize, we can use it to know the port to use in
+   * case `authority` doesn't come with one. If not, we just use the request
+   * context.
+   *
+   * @param {?string} authority The authority, or `null` if not known.
+   * @param {?string} scheme The scheme, or `null` if not known.
+   * @returns {HostInfo} The host info.
+   */
+  #calcHost(authority, scheme) {
+    let fallbackPort;
+    switch (scheme) {
+      case 'http':  { fallbackPort = 80;  break; }
+      case 'https': { fallbackPort = 443; break; }
+      default: {
+        fallbackPort = this.#requestContext.interface.portNumber;
+        break;
+      }
+    }
+
+    return authority
+      ? HostInfo.safeParseHostHeader(authority, fallbackPort)
+      : HostInfo.localhostInstance(fallbackPort);
+  }
+
   /**
    * @returns {object} {@link #parsedTargetObject}, filling it out first if it
    * had not already been set up. This is a private getter because the return
@@ -456,6 +708,20 @@ export class IncomingRequest {
     return this.#parsedTargetObject;
   }
 
+  /**
+   * Gets the form of the given origin to use in {@link #infoForLog}.
+   *
+   * @param {EndpointAddress} origin The origin in question.
+   * @returns {EndpointAddress|string} The loggable form.
+   */
+  #originForLog(origin) {
+    const context = this.#requestContext;
+
+    return ((origin === context.origin) && context.originIsUnixPeer)
+      ? 'unix:'
+      : origin;
+  }
+
   /**
    * Transforms and cleans up request headers for logging.
    *
@@ -487,6 +753,11 @@ export class IncomingRequest {
 
     for (const [name, value] of headers.entries()) {
       switch (name) {
+        case 'authorization': {
+          // Log the scheme but not the credentials.
+          result[name] = value.replace(/(?<=^[^ ]*) .*$/, ' <redacted>');
+          break;
+        }
         case 'host': {
           // As above, ignore because it's redundant.
           continue;
@@ -538,6 +809,9 @@ export class IncomingRequest {
    *   request body, in bytes, or `null` not to have a limit. Note that not
    *   having a limit is often ill-advised. If non-`null`, must be a
    *   non-negative integer.
+   * @param {?AddressSet} [options.trustedProxies] Addresses of reverse proxies
+   *   whose forwarding headers are to be believed, or `null` to ignore
+   *   forwarding headers entirely.
    * @returns {IncomingRequest} Instance with data based on a low-level Node
    *   request (etc.).
    */
@@ -548,17 +822,24 @@ export class IncomingRequest {
 
     const {
       logger              = null,
-      maxRequestBodyBytes = null
+      maxRequestBodyBytes = null,
+      trustedProxies      = null
     } = options ?? {};
 
     const { pseudoHeaders, headers } = IncomingRequest.#extractHeadersFrom(request);
     const requestMethod = IncomingRequest.#requestMethodFromPseudoHeaders(pseudoHeaders);
 
     let body;
-    if (HttpUtil.requestBodyIsExpectedFor(requestMethod)) {
-      body = await IncomingRequest.#readBody(
+    if (request.upgrade || pseudoHeaders.has('protocol')) {
+      // This is a protocol upgrade request (HTTP1 `Upgrade` or HTTP2 extended
+      // `CONNECT`). Any data which follows the headers belongs to the new
+      // protocol, so it must be left unread.
+      body = null;
+    } else if (HttpUtil.requestBodyIsExpectedFor(requestMethod)) {
+      body = IncomingRequest.#makeBody(
         request,
         HttpUtil.numberFromContentLengthString(headers.get('content-length')),
+        headers.get('content-type') ?? null,
         maxRequestBodyBytes);
     } else {
       body = await IncomingRequest.#readEmptyBody(request);
@@ -570,7 +851,8 @@ export class IncomingRequest {
       headers,
       logger,
       protocolName: `http-${request.httpVersion}`,
-      pseudoHeaders
+      pseudoHeaders,
+      trustedProxies
     });
   }
 
@@ -788,61 +1070,36 @@ export class IncomingRequest {
   }
 
   /**
-   * Reads the request body of the given Node request.
+   * Makes the request body for the given Node request. This checks the
+   * declared length of the body (if any) against the maximum, but doesn't
+   * otherwise read anything.
    *
    * @param {TypeNodeRequest} request Request object.
    * @param {?number} contentLength The extracted `content-length` header value,
    *   or `null` if it was absent or unparseable.
+   * @param {?string} contentType The `content-type` header value, or `null` if
+   *   it was absent.
    * @param {?number} maxRequestBodyBytes Maxiumum allowed size of the body, in
    *   bytes, or `null` for no limit.
-   * @returns {Buffer} The fully-read body.
+   * @returns {RequestBody} The body.
    */
-  static async #readBody(request, contentLength, maxRequestBodyBytes) {
-    const max = (maxRequestBodyBytes === null)
-      ? Number.POSITIVE_INFINITY
-      : maxRequestBodyBytes;
-
-    const tooLarge = () => {
-      return new Error(
-        `Request body is larger than allowed maximum of ${maxRequestBodyBytes} bytes.`);
-    };
-
-    if ((contentLength !== null) && (contentLength > max)) {
+  static #makeBody(request, contentLength, contentType, maxRequestBodyBytes) {
+    if ((maxRequestBodyBytes !== null) && (contentLength !== null)
+        && (contentLength > maxRequestBodyBytes)) {
       // There is a valid `content-length` header, and it indicates a size over
-      // the limit. Reject the request now, before bothering to read it.
-      throw tooLarge();
+      // the limit. Reject the request now, before bothering to go any further.
+      const error = new Error(
+        `Request body is larger than allowed maximum of ${maxRequestBodyBytes} bytes.`);
+      error.code   = 'request-body-too-large';
+      error.status = 413;
+      throw error;
     }
 
-    if (contentLength === null) {
-      // No up-front `content-length`, so just gather buffers until we get
-      // everything or run into a size issue.
-      const chunks = [];
-      let   length = 0;
-
-      for await (const chunk of request) {
-        chunks.push(chunk);
-        length += chunk.length;
-        if (length > max) {
-          throw tooLarge();
-        }
-      }
-
-      return Buffer.concat(chunks, length);
-    } else {
-      const result = Buffer.alloc(contentLength);
-      let   at     = 0;
-
-      for await (const chunk of request) {
-        const length = chunk.length;
-        if ((at + length) > max) {
-          throw tooLarge();
-        }
-        result.set(chunk, at);
-        at += length;
-      }
-
-      return result;
-    }
+    return new RequestBody(request, {
+      contentLength,
+      contentType,
+      maxBytes: maxRequestBodyBytes
+    });
   }
 
   /**
@@ -11,35 +11,45 @@ import { EndpointAddress } from '#x/EndpointAddress';
 
 /**
  * The address of a network interface, consisting of either an IP address and
- * and listening port _or_ a file descriptor (and optional port number).
- * Instances of this class are immutable.
+ * and listening port, a file descriptor (and optional port number), _or_ the
+ * filesystem path of a Unix domain socket. Instances of this class are
+ * immutable.
  *
  * @implements {IntfDeconstructable}
  */
 export class InterfaceAddress extends IntfDeconstructable {
   /**
    * IP address, host name, or `*` to indicate a wildcard. Will be `null` if
-   * {@link #fd} is non-`null`.
+   * either {@link #fd} or {@link #path} is non-`null`.
    *
    * @type {?string}
    */
   #address;
 
   /**
-   * Port number. May be `null` if {@link #fd} is non-`null`.
+   * Port number. May be `null` if {@link #fd} is non-`null`. Will be `null` if
+   * {@link #path} is non-`null`.
    *
    * @type {?number}
    */
   #portNumber;
 
   /**
-   * File descriptor of the address. Will be `null` if {@link #address} is
-   * non-`null`.
+   * File descriptor of the address. Will be `null` if either {@link #address}
+   * or {@link #path} is non-`null`.
    *
    * @type {?number}
    */
   #fd;
 
+  /**
+   * Filesystem path of the Unix domain socket of the address. Will be `null` if
+   * either {@link #address} or {@link #fd} is non-`null`.
+   *
+   * @type {?string}
+   */
+  #path;
+
   /**
    * Extra options to use when interacting with Node's {@link Server} API.
    *
@@ -56,20 +66,24 @@ export class InterfaceAddress extends IntfDeconstructable {
 
   /**
    * Constructs an instance. This accepts _either_ a plain(-like) object with
-   * bindings for `{ address, portNumber, fd }` _or_ a string which can be
+   * bindings for `{ address, portNumber, fd, path }` _or_ a string which can be
    * parsed into those as if by {@link #parseInterface} (see which). In the
-   * object form:
+   * object form, exactly one of `address`, `fd`, or `path` must be passed:
    *
    * * `address`: A string consisting of an IP address, hostname, or the
-   *   wildcard indicator `*`; or `null` (or omitted) if `fd` is being passed.
+   *   wildcard indicator `*`; or `null` (or omitted) if not being passed.
    * * `fd`: A number indicating a file descriptor which is used as the
-   *   interface, or `null` (or omitted) if `address` is being passed. When
-   *   non-`null`, it must be an integer in the range `0..65535`.
+   *   interface, or `null` (or omitted) if not being passed. When non-`null`,
+   *   it must be an integer in the range `0..65535`.
+   * * `path`: A string indicating the absolute filesystem path of a Unix domain
+   *   socket which is used as the interface, or `null` (or omitted) if not
+   *   being passed.
    * * `portNumber`: A number indicating the local port of the interface, or
    *   `null` (or omitted) to indicate that the port is unknown or irrelevant.
    *   It _must_ be passed when passing `address`; it is optional (and meant to
-   *   be informational only) when passing `fd`. When non-`null`, it must be an
-   *   integer in the range `1..65535`.
+   *   be informational only) when passing `fd`; and it must _not_ be passed
+   *   when passing `path`. When non-`null`, it must be an integer in the range
+   *   `1..65535`.
    *
    * **Note:** With regards to `nodeServerOptions`, `allowHalfOpen: true` is
    * included by default, even though that isn't Node's default, because it is
@@ -96,7 +110,9 @@ export class InterfaceAddress extends IntfDeconstructable {
       needCanonicalization = true;
     }
 
-    const { address: origAddress = null, portNumber = null, fd = null, ...rest } = fullAddress;
+    const {
+      address: origAddress = null, portNumber = null, fd = null, path = null, ...rest
+    } = fullAddress;
     let address = origAddress;
 
     if (needCanonicalization) {
@@ -105,10 +121,11 @@ export class InterfaceAddress extends IntfDeconstructable {
         throw new Error(`Extra properties: ${extraNames}`);
       }
 
-      if ((address === null) && (fd === null)) {
-        throw new Error('Must pass one of `address` or `fd`.');
-      } else if ((address !== null) && (fd !== null)) {
-        throw new Error('Must pass only one of `address` or `fd`.');
+      const count = [address, fd, path].filter((v) => v !== null).length;
+      if (count === 0) {
+        throw new Error('Must pass one of `address`, `fd`, or `path`.');
+      } else if (count !== 1) {
+        throw new Error('Must pass only one of `address`, `fd`, or `path`.');
       }
 
       if (address) {
@@ -116,6 +133,11 @@ export class InterfaceAddress extends IntfDeconstructable {
         if (portNumber === null) {
           throw new Error('Must pass `portNumber` when using `address`.');
         }
+      } else if (path !== null) {
+        InterfaceAddress.#mustBeSocketPath(path);
+        if (portNumber !== null) {
+          throw new Error('Cannot pass `portNumber` when using `path`.');
+        }
       } else {
         MustBe.number(fd, { safeInteger: true,  minInclusive: 0, maxInclusive: 65535 });
       }
@@ -128,13 +150,15 @@ export class InterfaceAddress extends IntfDeconstructable {
     this.#address     = address;
     this.#portNumber  = portNumber;
     this.#fd          = fd;
+    this.#path        = path;
     this.#nodeOptions = InterfaceAddress.#fixNodeOptions(nodeServerOptions);
   }
 
   /**
    * @returns {?string} The IP address, hostname, `*` to indicate a wildcard,
-   * or `null` if this instance has an {@link #fd}. If an IP address, this is
-   * always the canonical form, and _without_ brackets when an IPv6 address.
+   * or `null` if this instance has an {@link #fd} or {@link #path}. If an IP
+   * address, this is always the canonical form, and _without_ brackets when an
+   * IPv6 address.
    */
   get address() {
     return this.#address;
@@ -142,7 +166,7 @@ export class InterfaceAddress extends IntfDeconstructable {
 
   /**
    * @returns {?number} The file descriptor number, or `null` if this instance
-   * has an {@link #address}.
+   * has an {@link #address} or {@link #path}.
    */
   get fd() {
     return this.#fd;
@@ -176,9 +200,15 @@ export class InterfaceAddress extends IntfDeconstructable {
   get nodeServerListenOptions() {
     const opts    = this.#nodeOptions;
     const address = (this.#address === '*') ? '::' : this.#address;
-    const result  = address
-      ? { address, port: this.#portNumber }
-      : { fd: this.#fd };
+
+    let result;
+    if (address) {
+      result = { address, port: this.#portNumber };
+    } else if (this.#path) {
+      result = { path: this.#path };
+    } else {
+      result = { fd: this.#fd };
+    }
 
     const keys = ['backlog', 'exclusive'];
     for (const k of keys) {
@@ -199,9 +229,17 @@ export class InterfaceAddress extends IntfDeconstructable {
     return this.#nodeOptions;
   }
 
+  /**
+   * @returns {?string} The filesystem path of the Unix domain socket, or `null`
+   * if this instance has an {@link #address} or {@link #fd}.
+   */
+  get path() {
+    return this.#path;
+  }
+
   /**
    * @returns {?number} The port, or `null` if this instance has an {@link #fd}
-   * and no known port.
+   * and no known port, or if this instance has a {@link #path}.
    */
   get portNumber() {
     return this.#portNumber;
@@ -209,8 +247,16 @@ export class InterfaceAddress extends IntfDeconstructable {
 
   /** @override */
   deconstruct(forLogging_unused) {
-    const { address, fd, portNumber } = this;
-    const args = [address ? { address } : { fd }];
+    const { address, fd, path, portNumber } = this;
+
+    let args;
+    if (address) {
+      args = [{ address }];
+    } else if (path) {
+      args = [{ path }];
+    } else {
+      args = [{ fd }];
+    }
 
     if (portNumber) {
       args[0].portNumber = portNumber;
@@ -237,10 +283,10 @@ export class InterfaceAddress extends IntfDeconstructable {
       return false;
     }
 
-    const { address: a1, fd: fd1, portNumber: pn1 } = this;
-    const { address: a2, fd: fd2, portNumber: pn2 } = other;
+    const { address: a1, fd: fd1, path: p1, portNumber: pn1 } = this;
+    const { address: a2, fd: fd2, path: p2, portNumber: pn2 } = other;
 
-    if (!((a1 === a2) && (fd1 === fd2) && (pn1 === pn2))) {
+    if (!((a1 === a2) && (fd1 === fd2) && (p1 === p2) && (pn1 === pn2))) {
       return false;
     }
 
@@ -270,11 +316,13 @@ export class InterfaceAddress extends IntfDeconstructable {
    */
   toString() {
     if (!this.#string) {
-      const { address, fd, portNumber } = this;
+      const { address, fd, path, portNumber } = this;
 
       let prefix;
       if (address) {
         prefix = /:/.test(address) ? `[${address}]` : address;
+      } else if (path) {
+        prefix = `unix:${path}`;
       } else {
         prefix = `/dev/fd/${fd}`;
       }
@@ -369,6 +417,9 @@ export class InterfaceAddress extends IntfDeconstructable {
 
     if (!nodeAddress) {
       return null;
+    } else if (typeof nodeAddress === 'string') {
+      // This is what Node reports for a Unix domain socket.
+      return new InterfaceAddress({ path: nodeAddress });
     }
 
     const { address: origAddress, port: portNumber } = nodeAddress;
@@ -381,10 +432,11 @@ export class InterfaceAddress extends IntfDeconstructable {
   }
 
   /**
-   * Parses a network interface spec into its components. Accepts the two forms
-   * `<address>:<port>` or `/dev/fd/<fd-num>:<port>` (with the port optional in
-   * the latter form). Returns an object with bindings for `address` (a string),
-   * `port` (a number), and/or `fd` (a number), depending on the input.
+   * Parses a network interface spec into its components. Accepts the three
+   * forms `<address>:<port>`, `/dev/fd/<fd-num>:<port>` (with the port optional
+   * in this form), or `unix:<path>` (where `<path>` must be absolute). Returns
+   * an object with bindings for `address` (a string), `port` (a number), `fd`
+   * (a number), and/or `path` (a string), depending on the input.
    *
    * For the purposes of this method, `fd` values are allowed to be in the range
    * `0` to `65535` (even though many systems are more restrictive).
@@ -395,11 +447,20 @@ export class InterfaceAddress extends IntfDeconstructable {
    * port, users of this system might want to provide it more directly.
    *
    * @param {string} iface Interface spec to parse.
-   * @returns {{address: ?string, fd: ?number, port: ?number}} The parsed form.
+   * @returns {{address: ?string, fd: ?number, path: ?string, port: ?number}}
+   *   The parsed form.
    */
   static parseInterface(iface) {
     MustBe.string(iface);
 
+    const path = iface.match(/^unix:(?<path>.*)$/)?.groups.path ?? null;
+
+    if (path !== null) {
+      // Note: This check is done before anything else, because a socket path
+      // could well end with something that looks like a port number.
+      return { path: this.#mustBeSocketPath(path) };
+    }
+
     const portStr = iface.match(/:(?<port>[0-9]{1,5})$/)?.groups.port ?? null;
     const port    = portStr ? this.#mustBePortNumber(portStr, true) : null;
 
@@ -458,6 +519,23 @@ export class InterfaceAddress extends IntfDeconstructable {
     throw new Error(`Not a port number: ${portNumber}`);
   }
 
+  /**
+   * Checks a Unix domain socket path for validity. Validity is only checked
+   * syntactically: The path must be absolute, must not contain any NUL
+   * characters, and must not end with a slash.
+   *
+   * @param {string} path The path in question.
+   * @returns {string} `path` if it is valid.
+   * @throws {Error} Thrown if `path` is invalid.
+   */
+  static #mustBeSocketPath(path) {
+    if (AskIf.string(path, /^[/][^\0]*(?<![/])$/)) {
+      return path;
+    }
+
+    throw new Error(`Not a Unix domain socket path: ${path}`);
+  }
+
   /**
    * Validates and "Fixes" a `nodeServerOptions` argument.
    *
@@ -98,6 +98,50 @@ export class MimeTypes {
     throw new Error(`Invalid syntax for MIME type or file extension: ${extensionOrType}`);
   }
 
+  /**
+   * Indicates whether the given MIME type matches any of the given patterns.
+   * Any parameters (e.g. `charset=...`) on the type are ignored, as is case.
+   * Each pattern takes one of these forms:
+   *
+   * * `<type>/<subtype>` -- Matches exactly that type, e.g. `text/html`.
+   * * `<type>/*` -- Matches any subtype of the given type, e.g. `text/*`.
+   * * A double wildcard followed by a structured syntax suffix -- Matches any
+   *   type with that suffix. For example, a pattern of two asterisks separated
+   *   by a slash then followed by `+json` matches `application/ld+json`.
+   * * A double wildcard on its own -- Matches any type.
+   *
+   * @param {string} mimeType The MIME type to check.
+   * @param {Array<string>} patterns The patterns to match against.
+   * @returns {boolean} `true` if `mimeType` matches at least one pattern, or
+   *   `false` if not.
+   */
+  static typeMatchesAny(mimeType, patterns) {
+    MustBe.string(mimeType);
+    MustBe.arrayOfString(patterns);
+
+    const essence = mimeType.replace(/;.*$/, '').trim().toLowerCase();
+    const found   = essence.match(/^(?<type>[^/]+)[/](?<subtype>[^/+]+)(?<suffix>[+][^/]+)?$/);
+
+    if (!found) {
+      return false;
+    }
+
+    const { type, suffix } = found.groups;
+
+    for (const p of patterns) {
+      const pattern = p.toLowerCase();
+
+      if (   (pattern === essence)
+          || (pattern === '*/*')
+          || (pattern === `${type}/*`)
+          || (suffix && (pattern === `*/*${suffix}`))) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
   /**
    * Helper method, which does extension-based lookup.
    *
@@ -0,0 +1,102 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import fs from 'node:fs/promises';
+
+import { Paths } from '@this/fs-util';
+import { MustBe } from '@this/typey';
+
+
+/**
+ * The parsed form of a `multipart/form-data` request body. Regular (non-file)
+ * fields are kept in memory, and file parts are stored as individual files in
+ * a temporary directory. Instances of this class are produced by
+ * `RequestBody.multipart()`.
+ *
+ * **Note:** The temporary directory gets removed when `removeFiles()` is called
+ * on the `RequestBody` that produced an instance, which the server does once
+ * the response to the request has been sent. Clients of this class which want
+ * to keep any of the files are expected to move them elsewhere before then.
+ * Clients may also call {@link #removeFiles} directly, to remove the files
+ * sooner.
+ */
+export class MultipartFormData {
+  /**
+   * The non-file fields.
+   *
+   * @type {URLSearchParams}
+   */
+  #fields;
+
+  /**
+   * The file parts.
+   *
+   * @type {Array<object>}
+   */
+  #files;
+
+  /**
+   * The directory containing all of the files, or `null` if there are no
+   * files.
+   *
+   * @type {?string}
+   */
+  #directory;
+
+  /**
+   * Constructs an instance.
+   *
+   * @param {URLSearchParams} fields The non-file fields.
+   * @param {Array<object>} files The file parts, each a plain object as
+   *   described by {@link #files}.
+   * @param {?string} directory The directory containing all of the files, or
+   *   `null` if there are no files.
+   */
+  constructor(fields, files, directory) {
+    this.#fields    = MustBe.instanceOf(fields, URLSearchParams);
+    this.#files     = Object.freeze([...MustBe.arrayOf(files, MustBe.plainObject)]);
+    this.#directory = (directory === null) ? null : Paths.mustBeAbsolutePath(directory);
+  }
+
+  /**
+   * @returns {?string} The directory containing all of the files, or `null` if
+   * there are no files.
+   */
+  get directory() {
+    return this.#directory;
+  }
+
+  /**
+   * @returns {URLSearchParams} The non-file fields, in the order they were
+   * received. The same name may appear more than once.
+   */
+  get fields() {
+    return this.#fields;
+  }
+
+  /**
+   * @returns {Array<object>} The file parts, in the order they were received.
+   * Each element is a frozen plain object with the following properties:
+   *
+   * * `contentType` -- The content type of the file, as reported by the
+   *   client, or `application/octet-stream` if not reported.
+   * * `fileName` -- The file name, as reported by the client. This is _not_
+   *   sanitized in any way, and so must not be trusted as-is.
+   * * `name` -- The field name.
+   * * `path` -- The absolute path to the file with the contents.
+   * * `size` -- The size of the file, in bytes.
+   */
+  get files() {
+    return this.#files;
+  }
+
+  /**
+   * Removes {@link #directory} along with all of its contents, if there is a
+   * directory at all.
+   */
+  async removeFiles() {
+    if (this.#directory !== null) {
+      await fs.rm(this.#directory, { force: true, recursive: true });
+    }
+  }
+}
@@ -0,0 +1,415 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import * as crypto from 'node:crypto';
+
+import { WallClock } from '@this/clocky';
+import { Moment } from '@this/quant';
+import { MustBe } from '@this/typey';
+
+import { Der } from '#p/Der';
+
+
+/**
+ * Utilities for dealing with OCSP (Online Certificate Status Protocol, RFC
+ * 6960), as needed for OCSP stapling. This covers making requests, fetching
+ * responses from the responder named in a certificate, and validating
+ * responses (including their signatures).
+ */
+export class OcspUtil {
+  /**
+   * Fetches and validates an OCSP response for the given certificate.
+   *
+   * @param {crypto.X509Certificate} certificate The certificate to get the
+   *   status of.
+   * @param {crypto.X509Certificate} issuer The certificate of its issuer.
+   * @param {?object} [options] Options for the fetch.
+   * @param {?string} [options.responderUrl] URL of the OCSP responder to use,
+   *   or `null` to use the one named in `certificate`. Default `null`.
+   * @param {?number} [options.timeoutMsec] Timeout for the request, in msec.
+   *   Default `10_000`.
+   * @returns {{ response: Buffer, status: string, thisUpdate: Moment,
+   *   nextUpdate: ?Moment, revokedAt: ?Moment }} The DER-encoded response,
+   *   along with the salient information from it, per {@link #parseResponse}.
+   * @throws {Error} Thrown if there is no responder URL, or if there is any
+   *   problem with the request or response.
+   */
+  static async fetchResponse(certificate, issuer, options = null) {
+    const { responderUrl = null, timeoutMsec = 10_000 } = options ?? {};
+    const url = responderUrl ?? this.getResponderUrl(certificate);
+
+    if (url === null) {
+      throw this.#makeError('Certificate does not name a responder.');
+    }
+
+    const response = await fetch(url, {
+      method:  'POST',
+      headers: {
+        'accept':       'application/ocsp-response',
+        'content-type': 'application/ocsp-request'
+      },
+      body:   this.makeRequest(certificate, issuer),
+      signal: AbortSignal.timeout(timeoutMsec)
+    });
+
+    if (!response.ok) {
+      throw this.#makeError(`Error from responder (status ${response.status}).`);
+    }
+
+    const body = Buffer.from(await response.arrayBuffer());
+
+    return Object.freeze({
+      response: body,
+      ...this.parseResponse(body, certificate, issuer)
+    });
+  }
+
+  /**
+   * Gets the URL of the OCSP responder named in the given certificate (in its
+   * "authority information access" extension), if any.
+   *
+   * @param {crypto.X509Certificate} certificate The certificate.
+   * @returns {?string} The responder URL, or `null` if there is none.
+   */
+  static getResponderUrl(certificate) {
+    MustBe.instanceOf(certificate, crypto.X509Certificate);
+
+    const found = certificate.infoAccess?.match(/^OCSP - URI:(?<url>https?:[/][/].+)$/m);
+
+    return found ? found.groups.url : null;
+  }
+
+  /**
+   * Makes a (DER-encoded) OCSP request for the status of the given
+   * certificate.
+   *
+   * @param {crypto.X509Certificate} certificate The certificate to get the
+   *   status of.
+   * @param {crypto.X509Certificate} issuer The certificate of its issuer.
+   * @returns {Buffer} The request.
+   */
+  static makeRequest(certificate, issuer) {
+    const certId = this.#makeCertId(certificate, issuer, this.#HASH_SHA1);
+
+    return Der.sequence(          // OCSPRequest
+      Der.sequence(               // TBSRequest
+        Der.sequence(             // requestList
+          Der.sequence(certId)))); // Request
+  }
+
+  /**
+   * Parses and validates a (DER-encoded) OCSP response for the status of the
+   * given certificate. Validation includes checking the signature (which must
+   * be made either by the issuer or by a responder certificate which the
+   * issuer delegated to), checking that the response is about the given
+   * certificate, and checking that the response is current.
+   *
+   * @param {Buffer} response The response.
+   * @param {crypto.X509Certificate} certificate The certificate which the
+   *   response is expected to be about.
+   * @param {crypto.X509Certificate} issuer The certificate of its issuer.
+   * @param {?Moment} [now] The current time, or `null` to use the actual
+   *   current time. Default `null`.
+   * @returns {{ status: string, thisUpdate: Moment, nextUpdate: ?Moment,
+   *   revokedAt: ?Moment }} The certificate status (`good`, `revoked`, or
+   *   `unknown`), the validity period of the response (with `nextUpdate`
+   *   being `null` if the responder didn't specify one), and the revocation
+   *   time if the certificate is revoked. The result is always frozen.
+   * @throws {Error} Thrown if there is any problem with the response.
+   */
+  static parseResponse(response, certificate, issuer, now = null) {
+    MustBe.instanceOf(response, Buffer);
+    MustBe.instanceOf(certificate, crypto.X509Certificate);
+    MustBe.instanceOf(issuer, crypto.X509Certificate);
+    now ??= WallClock.now();
+
+    let basic;
+    try {
+      basic = this.#parseBasicResponse(Der.parse(response));
+    } catch (e) {
+      throw (e.code === 'ocsp-error') ? e : this.#makeError(`Malformed response: ${e.message}`);
+    }
+
+    this.#verifySignature(basic, issuer, now);
+
+    const single = this.#findSingleResponse(basic.singleResponses, certificate, issuer);
+    const { status, thisUpdate, nextUpdate, revokedAt } = single;
+
+    if (thisUpdate.gt(now.addSec(this.#CLOCK_SKEW_SEC))) {
+      throw this.#makeError('Response is not yet valid.');
+    } else if (nextUpdate && nextUpdate.lt(now)) {
+      throw this.#makeError('Response has expired.');
+    }
+
+    return Object.freeze({ status, thisUpdate, nextUpdate, revokedAt });
+  }
+
+  /**
+   * How much clock skew to tolerate when checking whether a response is
+   * valid yet, in seconds.
+   *
+   * @type {number}
+   */
+  static #CLOCK_SKEW_SEC = 5 * 60;
+
+  /**
+   * Map from the object ID of each supported hash algorithm (as used in
+   * `CertID`s) to the Node name for it.
+   *
+   * @type {Map<string, string>}
+   */
+  static #HASH_ALGORITHMS = new Map([
+    ['1.3.14.3.2.26',          'sha1'],
+    ['2.16.840.1.101.3.4.2.1', 'sha256']
+  ]);
+
+  /**
+   * Object ID for the SHA-1 hash algorithm, which is what is used in requests
+   * (because that is what responders universally support).
+   *
+   * @type {string}
+   */
+  static #HASH_SHA1 = '1.3.14.3.2.26';
+
+  /**
+   * Object ID for the basic OCSP response type.
+   *
+   * @type {string}
+   */
+  static #OID_BASIC_RESPONSE = '1.3.6.1.5.5.7.48.1.1';
+
+  /**
+   * Object ID for the OCSP signing extended key usage.
+   *
+   * @type {string}
+   */
+  static #OID_OCSP_SIGNING = '1.3.6.1.5.5.7.3.9';
+
+  /**
+   * Map from the object ID of each supported signature algorithm to the Node
+   * name of the corresponding hash algorithm.
+   *
+   * @type {Map<string, string>}
+   */
+  static #SIGNATURE_ALGORITHMS = new Map([
+    ['1.2.840.10045.4.3.2',   'sha256'], // ecdsa-with-SHA256
+    ['1.2.840.10045.4.3.3',   'sha384'], // ecdsa-with-SHA384
+    ['1.2.840.10045.4.3.4',   'sha512'], // ecdsa-with-SHA512
+    ['1.2.840.113549.1.1.5',  'sha1'],   // sha1WithRSAEncryption
+    ['1.2.840.113549.1.1.11', 'sha256'], // sha256WithRSAEncryption
+    ['1.2.840.113549.1.1.12', 'sha384'], // sha384WithRSAEncryption
+    ['1.2.840.113549.1.1.13', 'sha512']  // sha512WithRSAEncryption
+  ]);
+
+  /**
+   * Finds the single response (within a basic response) which is about the
+   * given certificate, and extracts the salient information from it.
+   *
+   * @param {Array<object>} singleResponses The decoded single responses.
+   * @param {crypto.X509Certificate} certificate The certificate.
+   * @param {crypto.X509Certificate} issuer The certificate of its issuer.
+   * @returns {{ status: string, thisUpdate: Moment, nextUpdate: ?Moment,
+   *   revokedAt: ?Moment }} The salient information.
+   */
+  static #findSingleResponse(singleResponses, certificate, issuer) {
+    for (const single of singleResponses) {
+      const [certId, certStatus, thisUpdate, ...rest] = single.children;
+      const hashOid = Der.objectIdFrom(certId.children[0].children[0].contents);
+
+      if (!this.#HASH_ALGORITHMS.has(hashOid)) {
+        continue;
+      }
+
+      const expectedId = this.#makeCertId(certificate, issuer, hashOid);
+      const [, nameHash, keyHash, serial] = Der.parse(expectedId).children;
+      const [, gotNameHash, gotKeyHash, gotSerial] = certId.children;
+
+      if (!(   nameHash.contents.equals(gotNameHash.contents)
+            && keyHash.contents.equals(gotKeyHash.contents)
+            && serial.contents.equals(gotSerial.contents))) {
+        continue;
+      }
+
+      const nextUpdate = rest.find((r) => r.tag === 0xa0) ?? null;
+      let   status;
+      let   revokedAt  = null;
+
+      switch (certStatus.tag) {
+        case 0x80: {
+          status = 'good';
+          break;
+        }
+        case 0xa1: {
+          status    = 'revoked';
+          revokedAt = this.#momentFrom(certStatus.children[0]);
+          break;
+        }
+        default: {
+          status = 'unknown';
+          break;
+        }
+      }
+
+      return {
+        status,
+        thisUpdate: this.#momentFrom(thisUpdate),
+        nextUpdate: nextUpdate ? this.#momentFrom(nextUpdate.children[0]) : null,
+        revokedAt
+      };
+    }
+
+    throw this.#makeError('Response is not about the certificate.');
+  }
+
+  /**
+   * Makes an error to report a problem with OCSP.
+   *
+   * @param {string} message The error message.
+   * @returns {Error} The error.
+   */
+  static #makeError(message) {
+    const error = new Error(`OCSP: ${message}`);
+    error.code = 'ocsp-error';
+    return error;
+  }
+
+  /**
+   * Makes a DER-encoded `CertID`, which is how OCSP identifies certificates.
+   *
+   * @param {crypto.X509Certificate} certificate The certificate.
+   * @param {crypto.X509Certificate} issuer The certificate of its issuer.
+   * @param {string} hashOid Object ID of the hash algorithm to use.
+   * @returns {Buffer} The `CertID`.
+   */
+  static #makeCertId(certificate, issuer, hashOid) {
+    MustBe.instanceOf(certificate, crypto.X509Certificate);
+    MustBe.instanceOf(issuer, crypto.X509Certificate);
+
+    const hashName  = this.#HASH_ALGORITHMS.get(hashOid);
+    const certTbs   = this.#tbsFields(certificate.raw);
+    const issuerTbs = this.#tbsFields(issuer.raw);
+    const issuerKey = issuerTbs.spki.children[1].contents.subarray(1);
+    const hash      = (data) => crypto.createHash(hashName).update(data).digest();
+
+    return Der.sequence(
+      Der.sequence(Der.objectId(hashOid), Der.null()),
+      Der.octetString(hash(certTbs.issuer.raw)),
+      Der.octetString(hash(issuerKey)),
+      certTbs.serialNumber.raw);
+  }
+
+  /**
+   * Converts a decoded `GeneralizedTime` into a moment.
+   *
+   * @param {object} value The decoded value.
+   * @returns {Moment} The corresponding moment.
+   */
+  static #momentFrom(value) {
+    if (value.tag !== 0x18) {
+      throw this.#makeError('Expected a `GeneralizedTime`.');
+    }
+
+    return Moment.fromMsec(Der.generalizedTimeFrom(value.contents).getTime());
+  }
+
+  /**
+   * Extracts the parts of a decoded `OCSPResponse` needed to validate it and
+   * get at its contents, checking that it is a successful basic response.
+   *
+   * @param {object} decoded The decoded response.
+   * @returns {{ tbsResponseData: object, signatureOid: string, signature:
+   *   Buffer, certificates: Array<crypto.X509Certificate>, singleResponses:
+   *   Array<object> }} The parts.
+   */
+  static #parseBasicResponse(decoded) {
+    const [responseStatus, responseBytes = null] = decoded.children;
+
+    if (responseStatus.tag !== 0x0a) {
+      throw new Error('Expected `responseStatus`.');
+    } else if (responseStatus.contents[0] !== 0) {
+      throw this.#makeError(`Unsuccessful response (status ${responseStatus.contents[0]}).`);
+    } else if (responseBytes === null) {
+      throw new Error('Missing `responseBytes`.');
+    }
+
+    const [responseType, responseOctets] = responseBytes.children[0].children;
+
+    if (Der.objectIdFrom(responseType.contents) !== this.#OID_BASIC_RESPONSE) {
+      throw new Error('Not a basic response.');
+    }
+
+    const basic = Der.parse(responseOctets.contents);
+    const [tbsResponseData, signatureAlgorithm, signature, certs = null] = basic.children;
+
+    // Skip the optional version and the responder ID, to get to `responses`.
+    const dataFields = tbsResponseData.children;
+    const responses  = dataFields[(dataFields[0].tag === 0xa0) ? 3 : 2];
+
+    return {
+      tbsResponseData,
+      signatureOid:    Der.objectIdFrom(signatureAlgorithm.children[0].contents),
+      signature:       signature.contents.subarray(1),
+      certificates:    certs ? certs.children[0].children.map((c) => new crypto.X509Certificate(c.raw)) : [],
+      singleResponses: responses.children
+    };
+  }
+
+  /**
+   * Gets the salient fields of the `TBSCertificate` of a DER-encoded
+   * certificate.
+   *
+   * @param {Buffer} der The certificate.
+   * @returns {{ serialNumber: object, issuer: object, spki: object }} The
+   *   decoded fields.
+   */
+  static #tbsFields(der) {
+    const fields = Der.parse(der).children[0].children;
+    const at     = (fields[0].tag === 0xa0) ? 1 : 0;
+
+    return {
+      serialNumber: fields[at],
+      issuer:       fields[at + 2],
+      spki:         fields[at + 5]
+    };
+  }
+
+  /**
+   * Verifies the signature of a basic response. The signer must be either
+   * the issuer itself or a certificate included in the response which was
+   * issued by the issuer specifically for signing OCSP responses.
+   *
+   * @param {object} basic The parts of the response, per {@link
+   *   #parseBasicResponse}.
+   * @param {crypto.X509Certificate} issuer The certificate of the issuer.
+   * @param {Moment} now The current time.
+   */
+  static #verifySignature(basic, issuer, now) {
+    const { certificates, signature, signatureOid, tbsResponseData } = basic;
+    const hashName = this.#SIGNATURE_ALGORITHMS.get(signatureOid);
+
+    if (!hashName) {
+      throw this.#makeError(`Unsupported signature algorithm: ${signatureOid}`);
+    }
+
+    const signers = [issuer.publicKey];
+    const nowMsec = now.atMsec;
+
+    for (const cert of certificates) {
+      if (   cert.checkIssued(issuer)
+          && cert.verify(issuer.publicKey)
+          && (cert.keyUsage ?? []).includes(this.#OID_OCSP_SIGNING)
+          && (Date.parse(cert.validFrom) <= nowMsec)
+          && (Date.parse(cert.validTo) >= nowMsec)) {
+        signers.push(cert.publicKey);
+      }
+    }
+
+    for (const key of signers) {
+      if (crypto.verify(hashName, tbsResponseData.raw, key, signature)) {
+        return;
+      }
+    }
+
+    throw this.#makeError('Response signature is not valid.');
+  }
+}
@@ -0,0 +1,188 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { X509Certificate } from 'node:crypto';
+
+import { IntfDeconstructable, Sexp } from '@this/sexp';
+import { MustBe, StringUtil } from '@this/typey';
+
+
+/**
+ * Information about a certificate presented by the peer (that is, the client)
+ * of a TLS connection, as used for mutual TLS a/k/a client certificate
+ * authentication. Instances of this class are immutable.
+ *
+ * @implements {IntfDeconstructable}
+ */
+export class PeerCertificate extends IntfDeconstructable {
+  /**
+   * SHA-256 fingerprint.
+   *
+   * @type {string}
+   */
+  #fingerprint;
+
+  /**
+   * Distinguished name of the issuer.
+   *
+   * @type {string}
+   */
+  #issuer;
+
+  /**
+   * Serial number.
+   *
+   * @type {string}
+   */
+  #serialNumber;
+
+  /**
+   * Distinguished name of the subject.
+   *
+   * @type {string}
+   */
+  #subject;
+
+  /**
+   * Subject alternative names.
+   *
+   * @type {Array<string>}
+   */
+  #subjectAltNames;
+
+  /**
+   * Constructs an instance. This is typically only used directly when
+   * reconstructing an instance (e.g. from a deconstructed form). See
+   * {@link #fromX509Certificate} for the usual way to make an instance.
+   *
+   * @param {object} options Construction options.
+   * @param {string} options.fingerprint SHA-256 fingerprint, in the form of
+   *   colon-separated pairs of uppercase hex digits.
+   * @param {string} options.issuer Distinguished name of the issuer.
+   * @param {string} options.serialNumber Serial number, as uppercase hex
+   *   digits.
+   * @param {string} options.subject Distinguished name of the subject.
+   * @param {Array<string>} [options.subjectAltNames] Subject alternative
+   *   names, each in the form `<type>:<value>` (e.g. `DNS:example.com`).
+   *   Defaults to `[]`.
+   */
+  constructor(options) {
+    super();
+
+    const {
+      fingerprint,
+      issuer,
+      serialNumber,
+      subject,
+      subjectAltNames = []
+    } = options;
+
+    this.#fingerprint     = MustBe.string(fingerprint, /^[0-9A-F]{2}(?::[0-9A-F]{2})*$/);
+    this.#issuer          = MustBe.string(issuer);
+    this.#serialNumber    = MustBe.string(serialNumber, /^[0-9A-F]+$/);
+    this.#subject         = MustBe.string(subject);
+    this.#subjectAltNames = StringUtil.checkAndFreezeStrings(subjectAltNames, /^[^:]+:/);
+  }
+
+  /**
+   * @returns {string} SHA-256 fingerprint, in the form of colon-separated pairs
+   * of uppercase hex digits.
+   */
+  get fingerprint() {
+    return this.#fingerprint;
+  }
+
+  /**
+   * @returns {string} Distinguished name of the issuer, with attributes
+   * separated by `, ` (e.g. `O=Example, CN=Example CA`).
+   */
+  get issuer() {
+    return this.#issuer;
+  }
+
+  /** @returns {string} Serial number, as uppercase hex digits. */
+  get serialNumber() {
+    return this.#serialNumber;
+  }
+
+  /**
+   * @returns {string} Distinguished name of the subject, with attributes
+   * separated by `, ` (e.g. `O=Example, CN=admin`).
+   */
+  get subject() {
+    return this.#subject;
+  }
+
+  /**
+   * @returns {Array<string>} Subject alternative names, each in the form
+   * `<type>:<value>` (e.g. `DNS:example.com` or `email:someone@example.com`).
+   * The result is always frozen.
+   */
+  get subjectAltNames() {
+    return this.#subjectAltNames;
+  }
+
+  /** @override */
+  deconstruct(forLogging_unused) {
+    return new Sexp(PeerCertificate, {
+      subject:         this.#subject,
+      issuer:          this.#issuer,
+      fingerprint:     this.#fingerprint,
+      serialNumber:    this.#serialNumber,
+      subjectAltNames: this.#subjectAltNames
+    });
+  }
+
+
+  //
+  // Static members
+  //
+
+  /**
+   * Makes an instance from a Node certificate object, such as is returned by
+   * `TLSSocket.getPeerX509Certificate()`.
+   *
+   * @param {X509Certificate} certificate The certificate.
+   * @returns {PeerCertificate} The corresponding instance.
+   */
+  static fromX509Certificate(certificate) {
+    MustBe.instanceOf(certificate, X509Certificate);
+
+    const { fingerprint256, issuer, serialNumber, subject, subjectAltName } = certificate;
+
+    return new PeerCertificate({
+      fingerprint:     fingerprint256,
+      issuer:          this.#nameFrom(issuer),
+      serialNumber:    serialNumber.toUpperCase(),
+      subject:         this.#nameFrom(subject),
+      subjectAltNames: this.#altNamesFrom(subjectAltName ?? '')
+    });
+  }
+
+  /**
+   * Splits a subject alternative name string, in the form produced by Node,
+   * into its individual names. Node separates names with `, `, and
+   * JSON-quotes the values of names which contain any special characters
+   * (notably commas), which are left as-is in the result.
+   *
+   * @param {string} altNames The alternative names string.
+   * @returns {Array<string>} The individual names.
+   */
+  static #altNamesFrom(altNames) {
+    return altNames.match(/(?:[^,"]|"(?:[^"\\]|\\.)*")+/g)
+      ?.map((n) => n.trim())
+      .filter((n) => n !== '')
+      ?? [];
+  }
+
+  /**
+   * Converts a distinguished name, in the form produced by Node (one attribute
+   * per line), into a single-line form.
+   *
+   * @param {string} name The distinguished name.
+   * @returns {string} The single-line form.
+   */
+  static #nameFrom(name) {
+    return name.split('\n').filter((a) => a !== '').join(', ');
+  }
+}
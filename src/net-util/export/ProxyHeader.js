@@ -0,0 +1,325 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { MustBe } from '@this/typey';
+
+import { EndpointAddress } from '#x/EndpointAddress';
+
+
+/**
+ * Parsed form of a PROXY protocol header, as sent by load balancers and other
+ * proxies at the start of a connection to convey the address of the original
+ * client. Both version 1 (text) and version 2 (binary) forms are supported.
+ * Instances of this class are immutable.
+ *
+ * See <https://www.haproxy.org/download/2.9/doc/proxy-protocol.txt> for the
+ * specification.
+ */
+export class ProxyHeader {
+  /**
+   * The total length of the header, in bytes.
+   *
+   * @type {number}
+   */
+  #length;
+
+  /**
+   * The protocol version, `1` or `2`.
+   *
+   * @type {number}
+   */
+  #version;
+
+  /**
+   * The address of the original client, or `null` if not conveyed.
+   *
+   * @type {?EndpointAddress}
+   */
+  #source;
+
+  /**
+   * The address the original client connected to, or `null` if not conveyed.
+   *
+   * @type {?EndpointAddress}
+   */
+  #destination;
+
+  /**
+   * Constructs an instance.
+   *
+   * @param {object} options Construction options.
+   * @param {number} options.length The total length of the header, in bytes.
+   * @param {number} options.version The protocol version.
+   * @param {?EndpointAddress} [options.source] The address of the original
+   *   client, if known.
+   * @param {?EndpointAddress} [options.destination] The address the original
+   *   client connected to, if known.
+   */
+  constructor({ length, version, source = null, destination = null }) {
+    this.#length      = MustBe.number(length, { safeInteger: true, minInclusive: 1 });
+    this.#version     = MustBe.number(version, { safeInteger: true, minInclusive: 1, maxInclusive: 2 });
+    this.#source      = (source === null) ? null : MustBe.instanceOf(source, EndpointAddress);
+    this.#destination = (destination === null) ? null : MustBe.instanceOf(destination, EndpointAddress);
+  }
+
+  /**
+   * @returns {?EndpointAddress} The address the original client connected to,
+   * or `null` if not conveyed by the header.
+   */
+  get destination() {
+    return this.#destination;
+  }
+
+  /** @returns {number} The total length of the header, in bytes. */
+  get length() {
+    return this.#length;
+  }
+
+  /**
+   * @returns {?EndpointAddress} The address of the original client, or `null`
+   * if not conveyed by the header. The latter is the case for version 1
+   * `UNKNOWN` headers, version 2 `LOCAL` headers (which are used for health
+   * checks by the proxy itself), and headers for non-IP address families.
+   */
+  get source() {
+    return this.#source;
+  }
+
+  /** @returns {number} The protocol version, `1` or `2`. */
+  get version() {
+    return this.#version;
+  }
+
+
+  //
+  // Static members
+  //
+
+  /**
+   * Maximum length of a version 1 header, including the final CRLF.
+   *
+   * @type {number}
+   */
+  static #V1_MAX_LENGTH = 107;
+
+  /**
+   * Signature (prefix) of a version 1 header.
+   *
+   * @type {Buffer}
+   */
+  static #V1_SIGNATURE = Buffer.from('PROXY ', 'latin1');
+
+  /**
+   * Length of the fixed-size portion of a version 2 header.
+   *
+   * @type {number}
+   */
+  static #V2_FIXED_LENGTH = 16;
+
+  /**
+   * Signature (prefix) of a version 2 header.
+   *
+   * @type {Buffer}
+   */
+  static #V2_SIGNATURE = Buffer.from('\r\n\r\n\0\r\nQUIT\n', 'latin1');
+
+  /**
+   * Parses a PROXY protocol header from the start of the given buffer, which
+   * is expected to contain data from the start of a connection. The buffer may
+   * contain additional data after the header, which is ignored.
+   *
+   * @param {Buffer} buffer The data to parse.
+   * @returns {?ProxyHeader} The parsed header, or `null` if `buffer` is a
+   *   valid but incomplete prefix of a header (that is, more data is needed).
+   * @throws {Error} Thrown if `buffer` does not start with a valid header.
+   */
+  static parse(buffer) {
+    MustBe.instanceOf(buffer, Buffer);
+
+    if (this.#isPrefixOf(buffer, this.#V2_SIGNATURE)) {
+      return (buffer.length < this.#V2_SIGNATURE.length)
+        ? null
+        : this.#parseV2(buffer);
+    } else if (this.#isPrefixOf(buffer, this.#V1_SIGNATURE)) {
+      return (buffer.length < this.#V1_SIGNATURE.length)
+        ? null
+        : this.#parseV1(buffer);
+    }
+
+    throw new Error('Not a PROXY protocol header.');
+  }
+
+  /**
+   * Indicates whether the given buffer and signature match, for as much of
+   * either as is available.
+   *
+   * @param {Buffer} buffer The buffer in question.
+   * @param {Buffer} signature The signature to compare with.
+   * @returns {boolean} `true` iff they match.
+   */
+  static #isPrefixOf(buffer, signature) {
+    const length = Math.min(buffer.length, signature.length);
+
+    return buffer.subarray(0, length).equals(signature.subarray(0, length));
+  }
+
+  /**
+   * Makes an {@link EndpointAddress} from the given parts, or throws if they
+   * are invalid.
+   *
+   * @param {string} address The address.
+   * @param {number} port The port number. `0` is taken to mean "unknown."
+   * @returns {EndpointAddress} The corresponding instance.
+   */
+  static #makeAddress(address, port) {
+    return new EndpointAddress(address, (port === 0) ? null : port);
+  }
+
+  /**
+   * Parses a version 1 (text) header. This is called once it is known that
+   * the buffer starts with the version 1 signature.
+   *
+   * @param {Buffer} buffer The data to parse.
+   * @returns {?ProxyHeader} The parsed header, or `null` if it is incomplete.
+   */
+  static #parseV1(buffer) {
+    const searchLength = Math.min(buffer.length, this.#V1_MAX_LENGTH);
+    const endAt        = buffer.subarray(0, searchLength).indexOf('\r\n');
+
+    if (endAt < 0) {
+      if (buffer.length >= this.#V1_MAX_LENGTH) {
+        throw new Error('PROXY header (v1) is too long.');
+      }
+
+      return null;
+    }
+
+    const text   = buffer.toString('latin1', 0, endAt);
+    const length = endAt + 2;
+    const parts  = text.split(' ');
+
+    if (parts[1] === 'UNKNOWN') {
+      // Per spec, anything after `UNKNOWN` is to be ignored.
+      return new ProxyHeader({ length, version: 1 });
+    }
+
+    const [, family, srcAddr, dstAddr, srcPort, dstPort, ...rest] = parts;
+
+    if ((rest.length !== 0) || (dstPort === undefined)
+        || !((family === 'TCP4') || (family === 'TCP6'))) {
+      throw new Error(`Invalid PROXY header (v1): ${text}`);
+    }
+
+    const ports = [srcPort, dstPort].map((p) => {
+      if (!/^(0|[1-9][0-9]{0,4})$/.test(p)) {
+        throw new Error(`Invalid PROXY header (v1) port: ${p}`);
+      }
+
+      const result = parseInt(p);
+
+      if (result > 65535) {
+        throw new Error(`Invalid PROXY header (v1) port: ${p}`);
+      }
+
+      return result;
+    });
+
+    const source      = this.#makeAddress(srcAddr, ports[0]);
+    const destination = this.#makeAddress(dstAddr, ports[1]);
+
+    if (/:/.test(source.address) !== (family === 'TCP6')) {
+      throw new Error(`Mismatched PROXY header (v1) address family: ${text}`);
+    }
+
+    return new ProxyHeader({ length, version: 1, source, destination });
+  }
+
+  /**
+   * Parses a version 2 (binary) header. This is called once it is known that
+   * the buffer starts with the complete version 2 signature.
+   *
+   * @param {Buffer} buffer The data to parse.
+   * @returns {?ProxyHeader} The parsed header, or `null` if it is incomplete.
+   */
+  static #parseV2(buffer) {
+    if (buffer.length < this.#V2_FIXED_LENGTH) {
+      return null;
+    }
+
+    const versionCommand = buffer[12];
+    const family         = buffer[13];
+    const addrLength     = buffer.readUInt16BE(14);
+    const length         = this.#V2_FIXED_LENGTH + addrLength;
+
+    if ((versionCommand >> 4) !== 2) {
+      throw new Error(`Invalid PROXY header (v2) version: ${versionCommand >> 4}`);
+    }
+
+    if (buffer.length < length) {
+      return null;
+    }
+
+    switch (versionCommand & 0x0f) {
+      case 0x0: {
+        // `LOCAL`, which means the connection was made by the proxy itself.
+        return new ProxyHeader({ length, version: 2 });
+      }
+      case 0x1: {
+        // `PROXY`, which is the usual case. Handled below.
+        break;
+      }
+      default: {
+        throw new Error(`Invalid PROXY header (v2) command: ${versionCommand & 0x0f}`);
+      }
+    }
+
+    const addrs = buffer.subarray(this.#V2_FIXED_LENGTH, length);
+
+    switch (family >> 4) {
+      case 0x1: {
+        // IPv4.
+        if (addrLength < 12) {
+          throw new Error('PROXY header (v2) is too short for IPv4 addresses.');
+        }
+
+        const v4 = (at) => [...addrs.subarray(at, at + 4)].join('.');
+
+        return new ProxyHeader({
+          length,
+          version:     2,
+          source:      this.#makeAddress(v4(0), addrs.readUInt16BE(8)),
+          destination: this.#makeAddress(v4(4), addrs.readUInt16BE(10))
+        });
+      }
+      case 0x2: {
+        // IPv6.
+        if (addrLength < 36) {
+          throw new Error('PROXY header (v2) is too short for IPv6 addresses.');
+        }
+
+        const v6 = (at) => {
+          const words = [];
+          for (let i = 0; i < 16; i += 2) {
+            words.push(addrs.readUInt16BE(at + i).toString(16));
+          }
+          return words.join(':');
+        };
+
+        return new ProxyHeader({
+          length,
+          version:     2,
+          source:      this.#makeAddress(v6(0), addrs.readUInt16BE(32)),
+          destination: this.#makeAddress(v6(16), addrs.readUInt16BE(34))
+        });
+      }
+      case 0x0:
+      case 0x3: {
+        // Unspecified or Unix domain socket. Neither has an IP address.
+        return new ProxyHeader({ length, version: 2 });
+      }
+      default: {
+        throw new Error(`Invalid PROXY header (v2) address family: ${family >> 4}`);
+      }
+    }
+  }
+}
@@ -0,0 +1,505 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import os from 'node:os';
+import { Readable } from 'node:stream';
+
+import { Paths } from '@this/fs-util';
+import { MustBe } from '@this/typey';
+
+import { MimeTypes } from '#x/MimeTypes';
+import { MultipartFormData } from '#x/MultipartFormData';
+import { MultipartParser } from '#p/MultipartParser';
+
+
+/**
+ * The body (content) of an incoming request, as found in
+ * `IncomingRequest.body`. The body is not read from the network until a
+ * client of this class asks for it, either as a
+ * stream of chunks (via the async-iterator protocol or {@link #stream}), as a
+ * whole (via {@link #buffer} or {@link #text}), or as parsed data (via
+ * {@link #json}, {@link #urlEncoded}, {@link #multipart}, or {@link #parse}).
+ *
+ * A body read from the network can only be streamed once. However, once it has
+ * been fully read via {@link #buffer} (or any method which uses it), the
+ * resulting buffer is retained, and so the body can be re-read as a whole.
+ *
+ * Problems with the body (it being too large, being malformed, etc.) are
+ * reported by throwing errors that have a `status` property, with the HTTP-ish
+ * status code that is most appropriate to respond with, which will be one of
+ * `400` ("Bad Request"), `413` ("Content Too Large"), or `415` ("Unsupported
+ * Media Type"). See {@link #statusForError}.
+ */
+export class RequestBody {
+  /**
+   * The underlying source of the body, which is shared among all instances
+   * derived from the same original instance (see {@link #withMaxBytes}).
+   * `formData` holds all the results of {@link #multipart} which have files,
+   * so that they can be removed by {@link #removeFiles}.
+   *
+   * @type {{ buffer: ?Buffer, stream: ?object, consumed: boolean,
+   *   formData: Array<MultipartFormData> }}
+   */
+  #source;
+
+  /**
+   * The declared length of the body, in bytes, or `null` if not known.
+   *
+   * @type {?number}
+   */
+  #contentLength;
+
+  /**
+   * The declared content type of the body, or `null` if not known.
+   *
+   * @type {?string}
+   */
+  #contentType;
+
+  /**
+   * The maximum allowed length of the body, in bytes, or `null` if there is
+   * no limit.
+   *
+   * @type {?number}
+   */
+  #maxBytes;
+
+  /**
+   * Constructs an instance.
+   *
+   * @param {Buffer|object} source The source of the body, either the complete
+   *   body or an async-iterable of `Buffer`s (e.g. a low-level Node request
+   *   object) which produces it.
+   * @param {?object} [options] Options.
+   * @param {?number} [options.contentLength] The declared length of the body,
+   *   in bytes, or `null` if not known. Defaults to the length of `source` if
+   *   it is a buffer, or `null` if not.
+   * @param {?string} [options.contentType] The declared content type of the
+   *   body, or `null` if not known. Default `null`.
+   * @param {?number} [options.maxBytes] The maximum allowed length of the body,
+   *   in bytes, or `null` not to have a limit. Default `null`.
+   */
+  constructor(source, options = null) {
+    const {
+      contentLength = null,
+      contentType   = null,
+      maxBytes      = null
+    } = options ?? {};
+
+    if (source instanceof Buffer) {
+      this.#source        = { buffer: source, stream: null, consumed: true, formData: [] };
+      this.#contentLength = source.length;
+    } else {
+      MustBe.function(source?.[Symbol.asyncIterator]);
+      this.#source        = { buffer: null, stream: source, consumed: false, formData: [] };
+      this.#contentLength = (contentLength === null)
+        ? null
+        : MustBe.number(contentLength, { safeInteger: true, minInclusive: 0 });
+    }
+
+    this.#contentType = (contentType === null) ? null : MustBe.string(contentType);
+    this.#maxBytes    = (maxBytes === null)
+      ? null
+      : MustBe.number(maxBytes, { safeInteger: true, minInclusive: 0 });
+  }
+
+  /**
+   * @returns {boolean} Whether the body has been consumed from its underlying
+   * stream, that is, whether it is no longer possible to read it as a stream
+   * (from its beginning). This is `true` for an instance that was constructed
+   * from a buffer.
+   */
+  get consumed() {
+    return this.#source.consumed;
+  }
+
+  /**
+   * @returns {?number} The declared length of the body, in bytes, or `null`
+   * if not known.
+   */
+  get contentLength() {
+    return this.#contentLength;
+  }
+
+  /**
+   * @returns {?string} The declared content type of the body, or `null` if not
+   * known.
+   */
+  get contentType() {
+    return this.#contentType;
+  }
+
+  /**
+   * @returns {?number} The maximum allowed length of the body, in bytes, or
+   * `null` if there is no limit.
+   */
+  get maxBytes() {
+    return this.#maxBytes;
+  }
+
+  /**
+   * Async iterator for the body, which produces it as a series of buffers.
+   * This throws an error if the body turns out to be too large.
+   *
+   * @yields {Buffer} A chunk of the body.
+   */
+  async *[Symbol.asyncIterator]() {
+    const source = this.#source;
+    const max    = this.#maxBytes ?? Number.POSITIVE_INFINITY;
+
+    if (source.buffer !== null) {
+      if (source.buffer.length > max) {
+        throw this.#tooLarge();
+      }
+
+      if (source.buffer.length !== 0) {
+        yield source.buffer;
+      }
+
+      return;
+    }
+
+    if (source.consumed) {
+      const error = new Error('Request body has already been consumed.');
+      error.code = 'request-body-consumed';
+      throw error;
+    }
+
+    if ((this.#contentLength !== null) && (this.#contentLength > max)) {
+      // There is a valid `content-length`, and it indicates a size over the
+      // limit. Reject the body now, before bothering to read it.
+      throw this.#tooLarge();
+    }
+
+    source.consumed = true;
+
+    let length = 0;
+    for await (const chunk of source.stream) {
+      length += chunk.length;
+      if (length > max) {
+        throw this.#tooLarge();
+      }
+
+      yield chunk;
+    }
+  }
+
+  /**
+   * Gets the complete body, reading it from its underlying stream if not
+   * already done.
+   *
+   * @returns {Buffer} The body.
+   */
+  async buffer() {
+    const source = this.#source;
+
+    if (source.buffer === null) {
+      const chunks = [];
+
+      for await (const chunk of this) {
+        chunks.push(chunk);
+      }
+
+      source.buffer = Buffer.concat(chunks);
+    } else if ((this.#maxBytes !== null) && (source.buffer.length > this.#maxBytes)) {
+      throw this.#tooLarge();
+    }
+
+    return source.buffer;
+  }
+
+  /**
+   * Gets the body, parsed as JSON. This method does not check the content type
+   * of the body.
+   *
+   * @returns {*} The parsed body.
+   */
+  async json() {
+    const text = await this.text();
+
+    try {
+      return JSON.parse(text);
+    } catch (e) {
+      throw RequestBody.#malformed(`Invalid JSON: ${e.message}`);
+    }
+  }
+
+  /**
+   * Gets the body, parsed as `multipart/form-data`. Non-file fields are kept
+   * in memory, and files are written into a newly-created temporary directory.
+   * The boundary string is taken from the content type of the body, but this
+   * method does not otherwise check the content type.
+   *
+   * The temporary directory gets removed by {@link #removeFiles}, which (when
+   * running within the usual server setup) is called once the response to the
+   * request has been sent. An application which wants to keep any of the files
+   * has to move them elsewhere before then.
+   *
+   * @param {?object} [options] Options.
+   * @param {?number} [options.maxFieldBytes] The maximum size of a non-file
+   *   field, in bytes, or `null` not to have a limit (other than the limit on
+   *   the body as a whole). Default 1 MiB.
+   * @param {?number} [options.maxFileBytes] The maximum size of a file, in
+   *   bytes, or `null` not to have a limit (other than the limit on the body as
+   *   a whole). Default `null`.
+   * @param {?number} [options.maxParts] The maximum number of parts (fields and
+   *   files combined), or `null` not to have a limit. Default `1000`.
+   * @param {?string} [options.tempDirectory] The directory in which to create
+   *   the directory for files, or `null` to use the system default temporary
+   *   directory. Default `null`.
+   * @returns {MultipartFormData} The parsed body.
+   */
+  async multipart(options = null) {
+    const {
+      maxFieldBytes = 1024 * 1024,
+      maxFileBytes  = null,
+      maxParts      = 1000,
+      tempDirectory = null
+    } = options ?? {};
+
+    const intOrNull = (value) => {
+      return (value === null)
+        ? null
+        : MustBe.number(value, { safeInteger: true, minInclusive: 0 });
+    };
+
+    const parser = new MultipartParser({
+      boundary:      this.#boundary(),
+      maxFieldBytes: intOrNull(maxFieldBytes),
+      maxFileBytes:  intOrNull(maxFileBytes),
+      maxParts:      intOrNull(maxParts),
+      tempDirectory: (tempDirectory === null)
+        ? os.tmpdir()
+        : Paths.mustBeAbsolutePath(tempDirectory)
+    });
+
+    const result = await parser.parse(this);
+
+    if (result.directory !== null) {
+      this.#source.formData.push(result);
+    }
+
+    return result;
+  }
+
+  /**
+   * Gets the body, parsed according to its content type. The following types
+   * are recognized:
+   *
+   * * `application/json` and `<anything>/<anything>+json` -- Parsed as with
+   *   {@link #json}.
+   * * `application/x-www-form-urlencoded` -- Parsed as with
+   *   {@link #urlEncoded}.
+   * * `multipart/form-data` -- Parsed as with {@link #multipart}.
+   *
+   * Any other content type (including no content type at all) causes an error
+   * to be thrown, whose `status` is `415` ("Unsupported Media Type").
+   *
+   * @param {?object} [options] Options to pass to {@link #multipart}, if used.
+   * @returns {*} The parsed body.
+   */
+  async parse(options = null) {
+    const essence = this.#mimeEssence();
+
+    if ((essence === 'application/json') || /^[^/]+\/[^/]+\+json$/.test(essence ?? '')) {
+      return this.json();
+    } else if (essence === 'application/x-www-form-urlencoded') {
+      return this.urlEncoded();
+    } else if (essence === 'multipart/form-data') {
+      return this.multipart(options);
+    }
+
+    throw RequestBody.#unsupportedType(
+      (essence === null) ? 'No content type.' : `Unsupported content type: ${essence}`);
+  }
+
+  /**
+   * Removes the files of all the results of {@link #multipart} made from this
+   * instance, or from any other instance which shares its underlying source
+   * (see {@link #withMaxBytes}). It is safe to call this more than once.
+   */
+  async removeFiles() {
+    const formData = this.#source.formData;
+
+    while (formData.length !== 0) {
+      await formData.pop().removeFiles();
+    }
+  }
+
+  /**
+   * Gets a stream which reads the body. This is a convenient way to use the
+   * body with APIs that want streams (e.g. `stream.pipeline()`).
+   *
+   * @returns {Readable} The stream.
+   */
+  stream() {
+    return Readable.from(this, { objectMode: false });
+  }
+
+  /**
+   * Gets the body as text, decoded according to the `charset` of the content
+   * type if present, or as UTF-8 if not.
+   *
+   * @returns {string} The body as text.
+   */
+  async text() {
+    const charSet = (this.#contentType === null)
+      ? null
+      : MimeTypes.charSetFromType(this.#contentType);
+
+    let decoder;
+    try {
+      decoder = new TextDecoder(charSet ?? 'utf-8', { fatal: true });
+    } catch {
+      throw RequestBody.#unsupportedType(`Unsupported character set: ${charSet}`);
+    }
+
+    const buffer = await this.buffer();
+
+    try {
+      return decoder.decode(buffer);
+    } catch {
+      throw RequestBody.#malformed(`Invalid text for character set: ${decoder.encoding}`);
+    }
+  }
+
+  /**
+   * Gets the body, parsed as `application/x-www-form-urlencoded`. This method
+   * does not check the content type of the body.
+   *
+   * @returns {URLSearchParams} The parsed body.
+   */
+  async urlEncoded() {
+    return new URLSearchParams(await this.text());
+  }
+
+  /**
+   * Gets an instance of this class which is just like this one, except with
+   * the given maximum body size, or the original maximum if it is smaller.
+   * The result shares the underlying body source with this instance, so
+   * consuming one consumes the other.
+   *
+   * @param {number} maxBytes The maximum allowed size of the body, in bytes.
+   * @returns {RequestBody} An appropriately-constructed instance, which is
+   *   `this` if no change was needed.
+   */
+  withMaxBytes(maxBytes) {
+    MustBe.number(maxBytes, { safeInteger: true, minInclusive: 0 });
+
+    if ((this.#maxBytes !== null) && (this.#maxBytes <= maxBytes)) {
+      return this;
+    }
+
+    const result = new RequestBody(Buffer.alloc(0), {
+      contentType: this.#contentType,
+      maxBytes
+    });
+
+    result.#source        = this.#source;
+    result.#contentLength = this.#contentLength;
+
+    return result;
+  }
+
+  /**
+   * Gets the `boundary` parameter of the content type, for use with
+   * `multipart/*` bodies.
+   *
+   * @returns {string} The boundary.
+   */
+  #boundary() {
+    const found = (this.#contentType ?? '')
+      .match(/; *boundary=(?:"(?<quoted>[^"]{1,70})"|(?<plain>[^;\s]{1,70}))/i);
+
+    if (!found) {
+      throw RequestBody.#malformed('No multipart boundary in content type.');
+    }
+
+    return found.groups.quoted ?? found.groups.plain;
+  }
+
+  /**
+   * Gets the "essence" of the content type, that is, just the lowercased
+   * type/subtype with no parameters, or `null` if there is no content type.
+   *
+   * @returns {?string} The content type essence.
+   */
+  #mimeEssence() {
+    if (this.#contentType === null) {
+      return null;
+    }
+
+    return this.#contentType.split(';')[0].trim().toLowerCase();
+  }
+
+  /**
+   * Makes an error indicating that the body is too large.
+   *
+   * @returns {Error} The error.
+   */
+  #tooLarge() {
+    return RequestBody.#makeError(413, 'request-body-too-large',
+      `Request body is larger than allowed maximum of ${this.#maxBytes} bytes.`);
+  }
+
+
+  //
+  // Static members
+  //
+
+  /**
+   * Gets the HTTP-ish status code to respond with, given an error thrown by a
+   * method of this class. This is a convenient way for a request handler to
+   * convert a body problem into a response.
+   *
+   * @param {*} error The error.
+   * @returns {?number} The status code, or `null` if `error` did not come from
+   *   this class (or was not about a problem with the body per se).
+   */
+  static statusForError(error) {
+    const status = error?.status;
+
+    return (error instanceof Error)
+        && (typeof status === 'number')
+        && /^request-body-/.test(error.code ?? '')
+      ? status
+      : null;
+  }
+
+  /**
+   * Makes an error with a status code, for reporting a body problem.
+   *
+   * @param {number} status The HTTP-ish status code.
+   * @param {string} code The error code.
+   * @param {string} message The error message.
+   * @returns {Error} The error.
+   */
+  static #makeError(status, code, message) {
+    const error = new Error(message);
+
+    error.code   = code;
+    error.status = status;
+
+    return error;
+  }
+
+  /**
+   * Makes an error indicating that the body is malformed.
+   *
+   * @param {string} message The error message.
+   * @returns {Error} The error.
+   */
+  static #malformed(message) {
+    return this.#makeError(400, 'request-body-malformed', message);
+  }
+
+  /**
+   * Makes an error indicating that the body has an unsupported type.
+   *
+   * @param {string} message The error message.
+   * @returns {Error} The error.
+   */
+  static #unsupportedType(message) {
+    return this.#makeError(415, 'request-body-unsupported-type', message);
+  }
+}
@@ -5,6 +5,7 @@ import { MustBe } from '@this/typey';
 
 import { EndpointAddress } from '#x/EndpointAddress';
 import { InterfaceAddress } from '#x/InterfaceAddress';
+import { PeerCertificate } from '#x/PeerCertificate';
 
 
 /**
@@ -26,16 +27,43 @@ export class RequestContext {
    */
   #origin;
 
+  /**
+   * Verified certificate presented by the peer, if any.
+   *
+   * @type {?PeerCertificate}
+   */
+  #peerCertificate;
+
+  /**
+   * Information about the proxy which relayed the connection, if any.
+   *
+   * @type {?EndpointAddress}
+   */
+  #proxy;
+
   /**
    * Constructs an instance.
    *
    * @param {InterfaceAddress} iface The interface that was `listen()`ed on.
    * @param {EndpointAddress} origin Information about the origin (remote side)
-   *   of the connection.
+   *   of the connection. If the connection was relayed by a proxy, this is the
+   *   address of the original client, not the proxy. If the connection was
+   *   made directly via a Unix domain socket, this has a `null` address and
+   *   port, because there is no IP peer.
+   * @param {?EndpointAddress} [proxy] Information about the proxy which
+   *   relayed the connection (that is, the immediate remote side of the
+   *   connection), or `null` if the connection was not relayed.
+   * @param {?PeerCertificate} [peerCertificate] Certificate presented by the
+   *   peer (client) of a TLS connection, if it was verified and accepted, or
+   *   `null` if there is no such certificate.
    */
-  constructor(iface, origin) {
-    this.#interface = MustBe.instanceOf(iface, InterfaceAddress);
-    this.#origin    = MustBe.instanceOf(origin, EndpointAddress);
+  constructor(iface, origin, proxy = null, peerCertificate = null) {
+    this.#interface       = MustBe.instanceOf(iface, InterfaceAddress);
+    this.#origin          = MustBe.instanceOf(origin, EndpointAddress);
+    this.#proxy           = (proxy === null) ? null : MustBe.instanceOf(proxy, EndpointAddress);
+    this.#peerCertificate = (peerCertificate === null)
+      ? null
+      : MustBe.instanceOf(peerCertificate, PeerCertificate);
   }
 
   /**
@@ -47,9 +75,40 @@ export class RequestContext {
 
   /**
    * @returns {EndpointAddress} Information about the origin (remote side) of
-   * the connection.
+   * the connection. If the connection was relayed by a proxy, this is the
+   * address of the original client.
    */
   get origin() {
     return this.#origin;
   }
+
+  /**
+   * @returns {boolean} Is the origin a peer which connected directly via a Unix
+   * domain socket (and which therefore has no IP address)? This is `false` if
+   * the connection was relayed by a proxy, even if the proxy connected via a
+   * Unix domain socket, because in that case the origin is the original client
+   * as reported by the proxy.
+   */
+  get originIsUnixPeer() {
+    return (this.#interface.path !== null) && (this.#proxy === null);
+  }
+
+  /**
+   * @returns {?PeerCertificate} Certificate presented by the peer (client) of
+   * a TLS connection, if it was verified (by a host configured to do client
+   * certificate authentication) and accepted, or `null` if there is no such
+   * certificate.
+   */
+  get peerCertificate() {
+    return this.#peerCertificate;
+  }
+
+  /**
+   * @returns {?EndpointAddress} Information about the proxy which relayed the
+   * connection (e.g. via the PROXY protocol), or `null` if the connection was
+   * not relayed.
+   */
+  get proxy() {
+    return this.#proxy;
+  }
 }
@@ -3,6 +3,7 @@
 
 import { FullResponse } from '#x/FullResponse';
 import { StatusResponse } from '#x/StatusResponse';
+import { WebSocketResponse } from '#x/WebSocketResponse';
 
 
 /**
@@ -13,9 +14,14 @@ import { StatusResponse } from '#x/StatusResponse';
  * * {@link StatusResponse} -- A response which _just_ notes the status code.
  *   Code "near" the protocol handler is expected to expand these into complete
  *   responses when appropriate.
+ * * {@link WebSocketResponse} -- A response which accepts a WebSocket upgrade
+ *   and then runs a session over the upgraded connection. This is only valid
+ *   as a response to a WebSocket handshake request.
  * * `null` -- Indicator that the request was not handled (which is different
  *   than being handled with a result of "not found").
  *
- * @typedef {FullResponse|StatusResponse|null} TypeOutgoingResponse
+ * @typedef {
+ *   FullResponse|StatusResponse|WebSocketResponse|null
+ * } TypeOutgoingResponse
  */
 export const TypeOutgoingResponse = Symbol('TypeOutgoingResponse');
@@ -87,6 +87,85 @@ export class UriUtil {
     throw new Error('Must be a basic absolute URI.');
   }
 
+  /**
+   * Parses a possibly-wildcarded absolute path pattern, such as is used to
+   * configure path-based routing. The path must start with a slash (`/`). A
+   * trailing slash indicates a directory (represented as an empty final
+   * component), and a trailing `/*` indicates a wildcard (matching the path and
+   * everything under it).
+   *
+   * @param {string} path The path to parse.
+   * @returns {PathKey} The parsed form.
+   * @throws {Error} Thrown if `path` is invalid.
+   */
+  static parsePathPattern(path) {
+    MustBe.string(path);
+
+    const parts = path.split('/');
+
+    if (parts[0] !== '') {
+      throw new Error(`Path must start with a slash: ${path}`);
+    } else if (parts.length === 1) {
+      throw new Error('Empty path.');
+    }
+
+    parts.shift(); // Shift away the necessarily-empty first part.
+
+    let lastSpecial = null;
+
+    switch (parts[parts.length - 1]) {
+      case '': {
+        lastSpecial = 'directory';
+        parts.pop();
+        break;
+      }
+      case '*': {
+        lastSpecial = 'wildcard';
+        parts.pop();
+        break;
+      }
+    }
+
+    for (const p of parts) {
+      const error = (detail) => {
+        detail = detail ? ` (${detail})` : '';
+        return new Error(`Invalid path component \`${p}\`${detail} in: ${path}`);
+      };
+
+      switch (p) {
+        case '': {
+          throw error('empty');
+        }
+        case '.':
+        case '..': {
+          throw error('navigation');
+        }
+        case '*': {
+          throw error('non-final wildcard');
+        }
+        default: {
+          if (/^[*]+$/.test(p)) {
+            throw error();
+          } else if (!this.isPathComponent(p)) {
+            throw error();
+          }
+        }
+      }
+    }
+
+    switch (lastSpecial) {
+      case 'directory': {
+        return new PathKey([...parts, ''], false);
+      }
+      case 'wildcard': {
+        return new PathKey([...parts], true);
+      }
+      default: {
+        return new PathKey(parts, false);
+      }
+    }
+  }
+
   /**
    * Gets the string form of a {@link PathKey} as a URI path, that is, the part
    * of a URI after the hostname. The result is in absolute form by default
@@ -0,0 +1,830 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { Duplex } from 'node:stream';
+
+import { Condition, PromiseUtil } from '@this/async';
+import { WallClock } from '@this/clocky';
+import { IntfLogger } from '@this/loggy-intf';
+import { MustBe } from '@this/typey';
+
+
+/**
+ * Server side of a WebSocket connection (per RFC 6455), on top of an
+ * already-upgraded stream. This class handles the message framing layer,
+ * including fragmentation and the control frames (ping, pong, and close), and
+ * exposes a simple message-oriented interface. Text messages are received as
+ * strings and binary messages as `Buffer`s; instances are also async-iterable,
+ * yielding each received message in turn until the connection is closed.
+ *
+ * **Note:** This class does not implement any WebSocket extensions (such as
+ * per-message compression).
+ */
+export class WebSocketConnection {
+  /**
+   * The underlying stream.
+   *
+   * @type {Duplex}
+   */
+  #stream;
+
+  /**
+   * Logger to use, or `null` to not do any logging.
+   *
+   * @type {?IntfLogger}
+   */
+  #logger;
+
+  /**
+   * Maximum allowed size of a received message, in bytes.
+   *
+   * @type {number}
+   */
+  #maxMessageBytes;
+
+  /**
+   * Subprotocol which was selected during the opening handshake, if any.
+   *
+   * @type {?string}
+   */
+  #protocol;
+
+  /**
+   * Received bytes which have not yet been parsed into frames.
+   *
+   * @type {Buffer}
+   */
+  #pending = Buffer.alloc(0);
+
+  /**
+   * Information about the fragmented message currently being received, if
+   * any.
+   *
+   * @type {?{ opcode: number, chunks: Array<Buffer>, length: number }}
+   */
+  #fragments = null;
+
+  /**
+   * Fully-received messages which have not yet been consumed by a call to
+   * {@link #receive}.
+   *
+   * @type {Array<string|Buffer>}
+   */
+  #messages = [];
+
+  /**
+   * Are there any messages to receive, or is the connection closed? That is,
+   * will a call to {@link #receive} return promptly?
+   *
+   * @type {Condition}
+   */
+  #receivable = new Condition();
+
+  /**
+   * Has the connection been completely closed?
+   *
+   * @type {Condition}
+   */
+  #closed = new Condition();
+
+  /**
+   * Has a close frame been sent?
+   *
+   * @type {boolean}
+   */
+  #closeSent = false;
+
+  /**
+   * Has a close frame been received?
+   *
+   * @type {boolean}
+   */
+  #closeReceived = false;
+
+  /**
+   * Status code of the close, or `null` if not yet closed.
+   *
+   * @type {?number}
+   */
+  #closeCode = null;
+
+  /**
+   * Reason string of the close, or `null` if not yet closed.
+   *
+   * @type {?string}
+   */
+  #closeReason = null;
+
+  /**
+   * Error which caused the connection to close, if any.
+   *
+   * @type {?Error}
+   */
+  #error = null;
+
+  /**
+   * Count of bytes read from the underlying stream.
+   *
+   * @type {number}
+   */
+  #bytesRead = 0;
+
+  /**
+   * Count of bytes written to the underlying stream.
+   *
+   * @type {number}
+   */
+  #bytesWritten = 0;
+
+  /**
+   * Constructs an instance. Reading from the stream starts immediately.
+   *
+   * @param {Duplex} stream The underlying stream, which is expected to be
+   *   positioned just after the opening handshake.
+   * @param {?object} [options] Options.
+   * @param {?IntfLogger} [options.logger] Logger to use, if any. Default
+   *   `null`.
+   * @param {?number} [options.maxMessageBytes] Maximum allowed size of a
+   *   received message, in bytes. Default is
+   *   {@link #DEFAULT_MAX_MESSAGE_BYTES}.
+   * @param {?string} [options.protocol] Subprotocol which was selected during
+   *   the opening handshake, or `null` if none. Default `null`.
+   */
+  constructor(stream, options = null) {
+    const {
+      logger          = null,
+      maxMessageBytes = WebSocketConnection.DEFAULT_MAX_MESSAGE_BYTES,
+      protocol        = null
+    } = options ?? {};
+
+    this.#stream          = MustBe.instanceOf(stream, Duplex);
+    this.#logger          = IntfLogger.mustBeInstanceOrNull(logger);
+    this.#maxMessageBytes =
+      MustBe.number(maxMessageBytes, { safeInteger: true, minInclusive: 0 });
+    this.#protocol        = (protocol === null) ? null : MustBe.string(protocol);
+
+    stream.on('data',  (chunk) => this.#handleData(chunk));
+    stream.on('end',   () => this.#handleEnd());
+    stream.on('error', (e) => this.#handleError(e));
+    stream.on('close', () => this.#finish());
+  }
+
+  /** @returns {number} Count of bytes read from the underlying stream. */
+  get bytesRead() {
+    return this.#bytesRead;
+  }
+
+  /** @returns {number} Count of bytes written to the underlying stream. */
+  get bytesWritten() {
+    return this.#bytesWritten;
+  }
+
+  /**
+   * @returns {?number} Status code of the close, or `null` if the connection is
+   * not yet closed (or closing). Code `1005` indicates that a close was
+   * received without a status code, and `1006` indicates that the connection
+   * was closed without any close frame being received.
+   */
+  get closeCode() {
+    return this.#closeCode;
+  }
+
+  /**
+   * @returns {?string} Reason string of the close, or `null` if the connection
+   * is not yet closed (or closing).
+   */
+  get closeReason() {
+    return this.#closeReason;
+  }
+
+  /** @returns {boolean} Is the connection completely closed? */
+  get closed() {
+    return this.#closed.value;
+  }
+
+  /** @returns {?Error} Error which caused the connection to close, if any. */
+  get error() {
+    return this.#error;
+  }
+
+  /**
+   * @returns {?string} Subprotocol which was selected during the opening
+   * handshake, or `null` if none.
+   */
+  get protocol() {
+    return this.#protocol;
+  }
+
+  /**
+   * Initiates closing of the connection, and async-returns once it is
+   * completely closed. If the other side does not respond to the close in a
+   * timely fashion, the underlying stream is closed forcefully. If the
+   * connection is already closing, this just waits for the close to be
+   * complete.
+   *
+   * @param {number} [code] Status code to send. Default `1000`, that is,
+   *   normal closure.
+   * @param {string} [reason] Reason string to send. Default `''`.
+   */
+  async close(code = 1000, reason = '') {
+    if (!WebSocketConnection.#isValidCloseCode(code)) {
+      throw new Error(`Invalid close code: ${code}`);
+    }
+
+    MustBe.string(reason);
+
+    if (!this.#closeSent && !this.#closed.value) {
+      this.#sendClose(code, reason);
+    }
+
+    const abortCtrl   = new AbortController();
+    const timeoutProm = (async () => {
+      try {
+        await WallClock.waitForMsec(WebSocketConnection.#CLOSE_GRACE_PERIOD_MSEC,
+          { signal: abortCtrl.signal });
+      } catch (e) {
+        // An aborted timeout just means the close finished in time.
+        if (e?.code !== 'ABORT_ERR') {
+          throw e;
+        }
+      }
+    })();
+
+    await PromiseUtil.race([this.#closed.whenTrue(), timeoutProm]);
+    abortCtrl.abort(); // Cancel the timeout, if it's still pending.
+
+    if (!this.#closed.value) {
+      this.#logger?.closeTimedOut();
+      this.#stream.destroy();
+      await this.#closed.whenTrue();
+    }
+  }
+
+  /**
+   * Sends a ping, with an optional payload.
+   *
+   * @param {Buffer|string} [data] Payload. Default is an empty payload.
+   */
+  async ping(data = '') {
+    const payload = WebSocketConnection.#bufferFrom(data);
+
+    if (payload.length > 125) {
+      throw new Error('Ping payload too large.');
+    }
+
+    await this.#writeFrame(WebSocketConnection.#OP_PING, payload);
+  }
+
+  /**
+   * Receives the next message from the other side. Text messages are returned
+   * as strings, and binary messages are returned as `Buffer`s.
+   *
+   * @returns {?string|Buffer} The next message, or `null` if the connection has
+   *   been closed and there are no more messages to receive.
+   */
+  async receive() {
+    for (;;) {
+      if (this.#messages.length !== 0) {
+        const result = this.#messages.shift();
+
+        if (this.#messages.length === 0) {
+          this.#receivable.value = this.#closeReceived || this.#closed.value;
+        }
+
+        if (this.#stream.isPaused()
+            && (this.#messages.length < WebSocketConnection.#MAX_QUEUED_MESSAGES)) {
+          this.#stream.resume();
+        }
+
+        return result;
+      } else if (this.#closeReceived || this.#closed.value) {
+        return null;
+      }
+
+      await this.#receivable.whenTrue();
+    }
+  }
+
+  /**
+   * Sends a message to the other side. Strings are sent as text messages, and
+   * `Buffer`s are sent as binary messages.
+   *
+   * @param {string|Buffer} data The message to send.
+   */
+  async send(data) {
+    if (typeof data === 'string') {
+      await this.#writeFrame(WebSocketConnection.#OP_TEXT, Buffer.from(data, 'utf8'));
+    } else {
+      MustBe.instanceOf(data, Buffer);
+      await this.#writeFrame(WebSocketConnection.#OP_BINARY, data);
+    }
+  }
+
+  /**
+   * Async-returns once the connection is completely closed.
+   */
+  async whenClosed() {
+    await this.#closed.whenTrue();
+  }
+
+  /**
+   * Async-iterates over all received messages, until the connection is closed.
+   *
+   * @yields {string|Buffer} Each received message in turn.
+   */
+  async *[Symbol.asyncIterator]() {
+    for (;;) {
+      const message = await this.receive();
+
+      if (message === null) {
+        break;
+      }
+
+      yield message;
+    }
+  }
+
+  /**
+   * Delivers a fully-received message.
+   *
+   * @param {number} opcode The opcode of the message (text or binary).
+   * @param {Buffer} data The message data.
+   */
+  #deliver(opcode, data) {
+    let message = data;
+
+    if (opcode === WebSocketConnection.#OP_TEXT) {
+      try {
+        message = WebSocketConnection.#UTF8_DECODER.decode(data);
+      } catch {
+        this.#fail(1007, 'Invalid UTF-8 in text message.');
+        return;
+      }
+    }
+
+    this.#messages.push(message);
+    this.#receivable.value = true;
+
+    if (this.#messages.length >= WebSocketConnection.#MAX_QUEUED_MESSAGES) {
+      // Apply backpressure until the client of this instance catches up.
+      this.#stream.pause();
+    }
+  }
+
+  /**
+   * Fails the connection, due to a protocol problem of some sort.
+   *
+   * @param {number} code Status code to send.
+   * @param {string} reason Reason string to send.
+   */
+  #fail(code, reason) {
+    this.#logger?.protocolError(code, reason);
+
+    this.#pending = Buffer.alloc(0);
+    this.#stream.pause();
+
+    if (!this.#closeSent) {
+      this.#sendClose(code, reason);
+    }
+
+    this.#closeReceived = true;
+    this.#receivable.value = true;
+    this.#stream.end();
+  }
+
+  /**
+   * Marks this instance as completely closed.
+   */
+  #finish() {
+    if (this.#closed.value) {
+      return;
+    }
+
+    if (this.#closeCode === null) {
+      this.#closeCode   = 1006;
+      this.#closeReason = '';
+    }
+
+    this.#logger?.closed({
+      code:         this.#closeCode,
+      reason:       this.#closeReason,
+      bytesRead:    this.#bytesRead,
+      bytesWritten: this.#bytesWritten
+    });
+
+    this.#closed.value     = true;
+    this.#receivable.value = true;
+  }
+
+  /**
+   * Handles a received close frame.
+   *
+   * @param {Buffer} payload The frame payload.
+   */
+  #handleCloseFrame(payload) {
+    let code   = 1005; // "No status received."
+    let reason = '';
+
+    if (payload.length === 1) {
+      this.#fail(1002, 'Invalid close frame.');
+      return;
+    } else if (payload.length >= 2) {
+      code = payload.readUInt16BE(0);
+
+      if (!WebSocketConnection.#isValidCloseCode(code)) {
+        this.#fail(1002, 'Invalid close code.');
+        return;
+      }
+
+      try {
+        reason = WebSocketConnection.#UTF8_DECODER.decode(payload.subarray(2));
+      } catch {
+        this.#fail(1007, 'Invalid UTF-8 in close reason.');
+        return;
+      }
+    }
+
+    this.#logger?.closeReceived(code, reason);
+
+    this.#closeReceived    = true;
+    this.#receivable.value = true;
+
+    // Note: If this side initiated the close, then these will already have been
+    // set (by `#sendClose()`).
+    this.#closeCode   ??= code;
+    this.#closeReason ??= reason;
+
+    if (!this.#closeSent) {
+      // Echo the close, per spec, and then we're done with the stream.
+      this.#sendClose((code === 1005) ? 1000 : code, '');
+    }
+
+    this.#stream.end();
+  }
+
+  /**
+   * Handles a `data` event from the underlying stream.
+   *
+   * @param {Buffer} chunk The received data.
+   */
+  #handleData(chunk) {
+    this.#bytesRead += chunk.length;
+
+    if (this.#closeReceived) {
+      // Ignore anything after a close (or a protocol failure).
+      return;
+    }
+
+    this.#pending = (this.#pending.length === 0)
+      ? chunk
+      : Buffer.concat([this.#pending, chunk]);
+
+    while (!this.#closeReceived) {
+      const frame = this.#parseFrame();
+
+      if (!frame) {
+        break;
+      }
+
+      this.#handleFrame(frame);
+    }
+  }
+
+  /**
+   * Handles an `end` event from the underlying stream.
+   */
+  #handleEnd() {
+    this.#closeReceived    = true;
+    this.#receivable.value = true;
+
+    if (!this.#stream.writableEnded) {
+      this.#stream.end();
+    }
+  }
+
+  /**
+   * Handles an `error` event from the underlying stream.
+   *
+   * @param {Error} error The error.
+   */
+  #handleError(error) {
+    this.#logger?.streamError(error);
+    this.#error ??= error;
+  }
+
+  /**
+   * Handles a single fully-parsed frame.
+   *
+   * @param {{ fin: boolean, opcode: number, payload: Buffer }} frame The frame.
+   */
+  #handleFrame({ fin, opcode, payload }) {
+    const fragments = this.#fragments;
+
+    switch (opcode) {
+      case WebSocketConnection.#OP_CONTINUATION: {
+        if (!fragments) {
+          this.#fail(1002, 'Unexpected continuation frame.');
+          return;
+        }
+
+        fragments.chunks.push(payload);
+        fragments.length += payload.length;
+
+        if (fragments.length > this.#maxMessageBytes) {
+          this.#fail(1009, 'Message too large.');
+        } else if (fin) {
+          this.#fragments = null;
+          this.#deliver(fragments.opcode, Buffer.concat(fragments.chunks, fragments.length));
+        }
+
+        break;
+      }
+
+      case WebSocketConnection.#OP_TEXT:
+      case WebSocketConnection.#OP_BINARY: {
+        if (fragments) {
+          this.#fail(1002, 'Expected continuation frame.');
+        } else if (fin) {
+          this.#deliver(opcode, payload);
+        } else {
+          this.#fragments = { opcode, chunks: [payload], length: payload.length };
+        }
+
+        break;
+      }
+
+      case WebSocketConnection.#OP_CLOSE: {
+        this.#handleCloseFrame(payload);
+        break;
+      }
+
+      case WebSocketConnection.#OP_PING: {
+        if (!this.#closeSent) {
+          this.#writeFrame(WebSocketConnection.#OP_PONG, payload)
+            .catch((e) => this.#handleError(e));
+        }
+        break;
+      }
+
+      case WebSocketConnection.#OP_PONG: {
+        this.#logger?.pong();
+        break;
+      }
+
+      default: {
+        this.#fail(1002, 'Invalid opcode.');
+        break;
+      }
+    }
+  }
+
+  /**
+   * Parses a single frame from the front of {@link #pending}, if possible,
+   * removing the frame's bytes from it when successful. This fails the
+   * connection (and returns `null`) if the frame is invalid.
+   *
+   * @returns {?{ fin: boolean, opcode: number, payload: Buffer }} The parsed
+   *   frame, or `null` if there is not (yet) a complete frame to parse.
+   */
+  #parseFrame() {
+    const buf = this.#pending;
+
+    if (buf.length < 2) {
+      return null;
+    }
+
+    const fin       = (buf[0] & 0x80) !== 0;
+    const reserved  = buf[0] & 0x70;
+    const opcode    = buf[0] & 0x0f;
+    const masked    = (buf[1] & 0x80) !== 0;
+    const isControl = (opcode & 0x08) !== 0;
+    let   length    = buf[1] & 0x7f;
+    let   at        = 2;
+
+    if (reserved !== 0) {
+      this.#fail(1002, 'Reserved bits set.');
+      return null;
+    } else if (!masked) {
+      this.#fail(1002, 'Unmasked frame from client.');
+      return null;
+    } else if (isControl && (!fin || (length > 125))) {
+      this.#fail(1002, 'Invalid control frame.');
+      return null;
+    }
+
+    if (length === 126) {
+      if (buf.length < 4) {
+        return null;
+      }
+      length = buf.readUInt16BE(2);
+      at     = 4;
+    } else if (length === 127) {
+      if (buf.length < 10) {
+        return null;
+      }
+      const bigLength = buf.readBigUInt64BE(2);
+      length = (bigLength > BigInt(this.#maxMessageBytes))
+        ? Number.POSITIVE_INFINITY
+        : Number(bigLength);
+      at     = 10;
+    }
+
+    if (length > this.#maxMessageBytes) {
+      // Note: This is just an early check; the total size of fragmented
+      // messages is checked elsewhere.
+      this.#fail(1009, 'Message too large.');
+      return null;
+    }
+
+    const end = at + 4 + length;
+
+    if (buf.length < end) {
+      return null;
+    }
+
+    const mask    = buf.subarray(at, at + 4);
+    const payload = Buffer.from(buf.subarray(at + 4, end));
+
+    for (let i = 0; i < length; i++) {
+      payload[i] ^= mask[i & 3];
+    }
+
+    this.#pending = buf.subarray(end);
+
+    return { fin, opcode, payload };
+  }
+
+  /**
+   * Sends a close frame.
+   *
+   * @param {number} code Status code to send.
+   * @param {string} reason Reason string to send.
+   */
+  #sendClose(code, reason) {
+    const reasonBuf = Buffer.from(reason, 'utf8').subarray(0, 123);
+    const payload   = Buffer.alloc(2 + reasonBuf.length);
+
+    payload.writeUInt16BE(code, 0);
+    reasonBuf.copy(payload, 2);
+
+    this.#logger?.closeSent(code, reason);
+
+    this.#closeCode   ??= code;
+    this.#closeReason ??= reason;
+
+    // Note: The write is started before setting `#closeSent`, because the
+    // latter prevents further writes.
+    this.#writeFrame(WebSocketConnection.#OP_CLOSE, payload)
+      .catch((e) => this.#handleError(e));
+    this.#closeSent = true;
+  }
+
+  /**
+   * Writes a frame to the underlying stream. This async-returns once the stream
+   * is ready to accept more data.
+   *
+   * @param {number} opcode The opcode.
+   * @param {Buffer} payload The payload.
+   */
+  async #writeFrame(opcode, payload) {
+    const stream = this.#stream;
+
+    if (this.#closeSent || stream.writableEnded || stream.destroyed) {
+      throw new Error('Connection is closed (or closing).');
+    }
+
+    const length = payload.length;
+    let   header;
+
+    if (length < 126) {
+      header = Buffer.alloc(2);
+      header[1] = length;
+    } else if (length < 0x10000) {
+      header = Buffer.alloc(4);
+      header[1] = 126;
+      header.writeUInt16BE(length, 2);
+    } else {
+      header = Buffer.alloc(10);
+      header[1] = 127;
+      header.writeBigUInt64BE(BigInt(length), 2);
+    }
+
+    header[0] = 0x80 | opcode; // Always `FIN`, because we never fragment.
+
+    this.#bytesWritten += header.length + length;
+
+    const ready = stream.write(Buffer.concat([header, payload]));
+
+    if (!ready) {
+      await PromiseUtil.race([
+        new Promise((resolve) => stream.once('drain', resolve)),
+        this.#closed.whenTrue()
+      ]);
+    }
+  }
+
+
+  //
+  // Static members
+  //
+
+  /**
+   * How long in msec to wait for the other side to respond to a close, before
+   * closing the underlying stream forcefully.
+   *
+   * @type {number}
+   */
+  static #CLOSE_GRACE_PERIOD_MSEC = 5 * 1000; // Five seconds.
+
+  /**
+   * Maximum number of received-but-unconsumed messages, after which reading
+   * from the underlying stream is paused.
+   *
+   * @type {number}
+   */
+  static #MAX_QUEUED_MESSAGES = 16;
+
+  /**
+   * Opcode for continuation frames.
+   *
+   * @type {number}
+   */
+  static #OP_CONTINUATION = 0x0;
+
+  /**
+   * Opcode for text frames.
+   *
+   * @type {number}
+   */
+  static #OP_TEXT = 0x1;
+
+  /**
+   * Opcode for binary frames.
+   *
+   * @type {number}
+   */
+  static #OP_BINARY = 0x2;
+
+  /**
+   * Opcode for close frames.
+   *
+   * @type {number}
+   */
+  static #OP_CLOSE = 0x8;
+
+  /**
+   * Opcode for ping frames.
+   *
+   * @type {number}
+   */
+  static #OP_PING = 0x9;
+
+  /**
+   * Opcode for pong frames.
+   *
+   * @type {number}
+   */
+  static #OP_PONG = 0xa;
+
+  /**
+   * Strict UTF-8 decoder.
+   *
+   * @type {TextDecoder}
+   */
+  static #UTF8_DECODER = new TextDecoder('utf-8', { fatal: true });
+
+  /**
+   * @returns {number} The default maximum allowed size of a received message,
+   * in bytes.
+   */
+  static get DEFAULT_MAX_MESSAGE_BYTES() {
+    return 1024 * 1024; // One MiB.
+  }
+
+  /**
+   * Gets a buffer from the given data, converting a string as UTF-8.
+   *
+   * @param {Buffer|string} data The data.
+   * @returns {Buffer} The corresponding buffer.
+   */
+  static #bufferFrom(data) {
+    return (typeof data === 'string')
+      ? Buffer.from(data, 'utf8')
+      : MustBe.instanceOf(data, Buffer);
+  }
+
+  /**
+   * Indicates whether the given close status code is valid to send or
+   * receive. This includes the codes defined by RFC 6455 which are allowed on
+   * the wire, the codes `1012`..`1014` which were registered with IANA later,
+   * and the ranges reserved for libraries and applications.
+   *
+   * @param {number} code The code in question.
+   * @returns {boolean} `true` if it is valid, or `false` if not.
+   */
+  static #isValidCloseCode(code) {
+    return ((code >= 1000) && (code <= 1003))
+      || ((code >= 1007) && (code <= 1014))
+      || ((code >= 3000) && (code <= 4999));
+  }
+}
@@ -0,0 +1,350 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { createHash } from 'node:crypto';
+import { Duplex } from 'node:stream';
+
+import { IntfLogger } from '@this/loggy-intf';
+import { MustBe } from '@this/typey';
+import { ErrorUtil } from '@this/valvis';
+
+import { BaseResponse } from '#x/BaseResponse';
+import { FullResponse } from '#x/FullResponse';
+import { IncomingRequest } from '#x/IncomingRequest';
+import { TypeNodeResponse } from '#x/TypeNodeResponse';
+import { WebSocketConnection } from '#x/WebSocketConnection';
+
+
+/**
+ * Response to an HTTP-ish request which accepts a WebSocket upgrade, and then
+ * runs a message-stream session over the upgraded connection. For HTTP1, this
+ * responds with status `101` per RFC 6455. For HTTP2, this responds to an
+ * "extended `CONNECT`" request with status `200` per RFC 8441.
+ *
+ * Writing an instance of this class (via {@link #writeTo}) does not finish
+ * until the WebSocket session is closed, which means that (for example) the
+ * request is not considered complete from the perspective of access logging
+ * until that point.
+ */
+export class WebSocketResponse extends BaseResponse {
+  /**
+   * Function which handles the session, once the connection is established.
+   *
+   * @type {function(WebSocketConnection): *}
+   */
+  #handler;
+
+  /**
+   * Logger to use, or `null` to not do any logging.
+   *
+   * @type {?IntfLogger}
+   */
+  #logger;
+
+  /**
+   * Maximum allowed size of a received message, in bytes.
+   *
+   * @type {number}
+   */
+  #maxMessageBytes;
+
+  /**
+   * Subprotocol to report as selected, if any.
+   *
+   * @type {?string}
+   */
+  #protocol;
+
+  /**
+   * Function to wrap the upgraded stream with, if any.
+   *
+   * @type {?function(Duplex): Duplex}
+   */
+  #streamWrapper;
+
+  /**
+   * The connection, once established.
+   *
+   * @type {?WebSocketConnection}
+   */
+  #connection = null;
+
+  /**
+   * Error thrown by the handler, if any.
+   *
+   * @type {?Error}
+   */
+  #handlerError = null;
+
+  /**
+   * Headers which were sent in the handshake response, if it has been sent.
+   *
+   * @type {?object}
+   */
+  #sentHeaders = null;
+
+  /**
+   * Status code which was sent in the handshake response, if it has been sent.
+   *
+   * @type {?number}
+   */
+  #sentStatus = null;
+
+  /**
+   * Constructs an instance.
+   *
+   * @param {function(WebSocketConnection): *} handler Function to call (and
+   *   `await` the result of) once the connection is established. When it
+   *   returns (or throws), the connection is closed if it isn't already.
+   * @param {?object} [options] Options.
+   * @param {?IntfLogger} [options.logger] Logger to use, or `null` not to do
+   *   any logging. Default `null`.
+   * @param {?number} [options.maxMessageBytes] Maximum allowed size of a
+   *   received message, in bytes. Default is the same as for
+   *   {@link WebSocketConnection}.
+   * @param {?string} [options.protocol] Subprotocol to report as selected (via
+   *   the `sec-websocket-protocol` header), or `null` not to report one.
+   *   Default `null`.
+   * @param {?function(Duplex): Duplex} [options.streamWrapper] Function to
+   *   call (and `await` the result of) to wrap the upgraded stream before it is
+   *   used for the session, e.g. to apply a data rate limiter, or `null` to use
+   *   the stream as-is. Default `null`.
+   */
+  constructor(handler, options = null) {
+    super();
+
+    const {
+      logger          = null,
+      maxMessageBytes = WebSocketConnection.DEFAULT_MAX_MESSAGE_BYTES,
+      protocol        = null,
+      streamWrapper   = null
+    } = options ?? {};
+
+    this.#handler         = MustBe.callableFunction(handler);
+    this.#logger          = IntfLogger.mustBeInstanceOrNull(logger);
+    this.#maxMessageBytes =
+      MustBe.number(maxMessageBytes, { safeInteger: true, minInclusive: 0 });
+    this.#protocol        = (protocol === null)
+      ? null
+      : MustBe.string(protocol, /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/);
+    this.#streamWrapper   = (streamWrapper === null)
+      ? null
+      : MustBe.callableFunction(streamWrapper);
+  }
+
+  /**
+   * @returns {?WebSocketConnection} The connection, or `null` if it has not yet
+   * been established.
+   */
+  get connection() {
+    return this.#connection;
+  }
+
+  /** @returns {?string} The subprotocol to report as selected, if any. */
+  get protocol() {
+    return this.#protocol;
+  }
+
+  /**
+   * Closes the connection, if it has been established and is not already
+   * closed. This is meant to be used when the system as a whole is shutting
+   * down.
+   *
+   * @param {number} [code] Close status code. Default `1001` ("going away").
+   * @param {string} [reason] Close reason. Default `''`.
+   */
+  async close(code = 1001, reason = '') {
+    const connection = this.#connection;
+
+    if (connection && !connection.closed) {
+      await connection.close(code, reason);
+    }
+  }
+
+  /**
+   * Gets all reasonably-logged info about the response, in the same form as
+   * the method of the same name on {@link FullResponse}. The `contentLength` in
+   * the result is the count of bytes written over the course of the WebSocket
+   * session, and the additional `webSocket` property has details about how the
+   * session ended.
+   *
+   * @param {TypeNodeResponse} res_unused The response object.
+   * @param {Duplex} connectionSocket The underlying socket for the connection.
+   * @returns {object} Loggable information about the response.
+   */
+  getInfoForLog(res_unused, connectionSocket) {
+    const connection = this.#connection;
+
+    return {
+      ...ErrorUtil.collateErrors({
+        connection: connectionSocket?.errored,
+        handler:    this.#handlerError,
+        webSocket:  connection?.error
+      }),
+      statusCode:    this.#sentStatus,
+      contentLength: connection?.bytesWritten ?? null,
+      headers:       this.#sentHeaders ?? {},
+      webSocket:     connection
+        ? {
+          bytesRead:   connection.bytesRead,
+          closeCode:   connection.closeCode,
+          closeReason: connection.closeReason
+        }
+        : null
+    };
+  }
+
+  /**
+   * Sends the handshake response to the request linked to the given low-level
+   * Node response object, and then runs the WebSocket session.
+   *
+   * @param {TypeNodeResponse} res The low-level response object to respond via.
+   * @returns {boolean} `true` when the session is completed.
+   */
+  async writeTo(res) {
+    if (this.#sentStatus !== null) {
+      throw new Error('Already written.');
+    }
+
+    const req     = res.req;
+    const headers = {};
+
+    for (const name of res.getHeaderNames()) {
+      headers[name] = res.getHeader(name);
+    }
+
+    if (this.#protocol) {
+      headers['sec-websocket-protocol'] = this.#protocol;
+    }
+
+    let stream;
+
+    if (req.httpVersionMajor >= 2) {
+      stream = res.stream;
+      this.#sentStatus = 200;
+      stream.respond({ ...headers, ':status': 200 });
+    } else {
+      stream = res.socket;
+      this.#sentStatus = 101;
+
+      const key = req.headers['sec-websocket-key'];
+
+      headers.upgrade                 = 'websocket';
+      headers.connection              = 'Upgrade';
+      headers['sec-websocket-accept'] = WebSocketResponse.acceptKeyFor(key);
+
+      // Detach the socket from `res`, so that the Node HTTP machinery doesn't
+      // try to write anything else to it.
+      res.detachSocket(stream);
+
+      const lines = ['HTTP/1.1 101 Switching Protocols'];
+      for (const [name, value] of Object.entries(headers)) {
+        lines.push(`${WebSocketResponse.#http1HeaderName(name)}: ${value}`);
+      }
+
+      stream.write(`${lines.join('\r\n')}\r\n\r\n`);
+    }
+
+    this.#sentHeaders = headers;
+
+    if (this.#streamWrapper) {
+      stream = await this.#streamWrapper(stream);
+    }
+
+    const connection = new WebSocketConnection(stream, {
+      logger:          this.#logger,
+      maxMessageBytes: this.#maxMessageBytes,
+      protocol:        this.#protocol
+    });
+
+    this.#connection = connection;
+    this.#logger?.opened({ protocol: this.#protocol });
+
+    try {
+      await this.#handler(connection);
+      if (!connection.closed) {
+        await connection.close(1000);
+      }
+    } catch (e) {
+      this.#handlerError = e;
+      this.#logger?.handlerError(e);
+
+      if (!connection.closed) {
+        await connection.close(1011);
+      }
+    }
+
+    await connection.whenClosed();
+
+    return true;
+  }
+
+
+  //
+  // Static members
+  //
+
+  /**
+   * The GUID which gets appended to a client's key when calculating the
+   * `sec-websocket-accept` value, per RFC 6455.
+   *
+   * @type {string}
+   */
+  static #ACCEPT_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+  /**
+   * Calculates the `sec-websocket-accept` response header value corresponding
+   * to the given `sec-websocket-key` request header value.
+   *
+   * @param {string} key The key sent by the client.
+   * @returns {string} The corresponding accept value.
+   */
+  static acceptKeyFor(key) {
+    MustBe.string(key);
+
+    return createHash('sha1')
+      .update(`${key}${this.#ACCEPT_GUID}`)
+      .digest('base64');
+  }
+
+  /**
+   * Indicates whether the given request is a valid WebSocket handshake request.
+   * This checks the request method, the requested upgrade protocol, the
+   * WebSocket version, and (for HTTP1) the form of the client's key.
+   *
+   * @param {IncomingRequest} request The request in question.
+   * @returns {boolean} `true` if `request` is a valid WebSocket handshake
+   *   request, or `false` if not.
+   */
+  static isValidRequest(request) {
+    MustBe.instanceOf(request, IncomingRequest);
+
+    const { headers, method } = request;
+
+    if (   (request.upgradeProtocol !== 'websocket')
+        || (headers.get('sec-websocket-version') !== '13')) {
+      return false;
+    }
+
+    if (request.protocolName.startsWith('http-1.')) {
+      // The key has to be a base64-encoded 16-byte value.
+      const key = headers.get('sec-websocket-key') ?? '';
+      return (method === 'get') && /^[+/0-9A-Za-z]{21}[AQgw]==$/.test(key);
+    } else {
+      return (method === 'connect');
+    }
+  }
+
+  /**
+   * Produces the conventional HTTP1 capitalization of a header name, e.g.
+   * `sec-websocket-accept` becomes `Sec-WebSocket-Accept`.
+   *
+   * @param {string} name The header name, in lowercase.
+   * @returns {string} The capitalized name.
+   */
+  static #http1HeaderName(name) {
+    return name
+      .replace(/(?<=^|-)[a-z]/g, (c) => c.toUpperCase())
+      .replace(/Websocket/, 'WebSocket');
+  }
+}
@@ -1,6 +1,8 @@
 // Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
 // SPDX-License-Identifier: Apache-2.0
 
+export * from '#x/AcmeClient';
+export * from '#x/AddressSet';
 export * from '#x/Base64Url';
 export * from '#x/BaseResponse';
 export * from '#x/CertUtil';
@@ -11,7 +13,9 @@ export * from '#x/EtagGenerator';
 export * from '#x/FullResponse';
 export * from '#x/HostInfo';
 export * from '#x/HostUtil';
+export * from '#x/HttpCompression';
 export * from '#x/HttpConditional';
+export * from '#x/HttpForwarded';
 export * from '#x/HttpHeaders';
 export * from '#x/HttpRange';
 export * from '#x/HttpUtil';
@@ -20,9 +24,16 @@ export * from '#x/InterfaceAddress';
 export * from '#x/IntfRequestHandler';
 export * from '#x/JsonUtil';
 export * from '#x/MimeTypes';
+export * from '#x/MultipartFormData';
+export * from '#x/OcspUtil';
+export * from '#x/PeerCertificate';
+export * from '#x/ProxyHeader';
+export * from '#x/RequestBody';
 export * from '#x/RequestContext';
 export * from '#x/StatusResponse';
 export * from '#x/TypeNodeRequest';
 export * from '#x/TypeNodeResponse';
 export * from '#x/TypeOutgoingResponse';
 export * from '#x/UriUtil';
+export * from '#x/WebSocketConnection';
+export * from '#x/WebSocketResponse';
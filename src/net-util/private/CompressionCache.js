@@ -0,0 +1,137 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { MustBe } from '@this/typey';
+
+
+/**
+ * Size-bounded least-recently-used cache of compressed response bodies, used by
+ * `FullResponse.compressFor()`. Entries are keyed by an arbitrary string which
+ * identifies the original content (typically built from its etag) along with
+ * the name of the encoding.
+ */
+export class CompressionCache {
+  /**
+   * Maximum total size of all cached data, in bytes.
+   *
+   * @type {number}
+   */
+  #maxSize;
+
+  /**
+   * Map from each full key to its cached data. The order of the entries is
+   * least-to-most recently used.
+   *
+   * @type {Map<string, Buffer>}
+   */
+  #entries = new Map();
+
+  /**
+   * Current total size of all cached data, in bytes.
+   *
+   * @type {number}
+   */
+  #size = 0;
+
+  /**
+   * Constructs an instance.
+   *
+   * @param {number} maxSize Maximum total size of all cached data, in bytes.
+   */
+  constructor(maxSize) {
+    this.#maxSize = MustBe.number(maxSize, { safeInteger: true, minInclusive: 0 });
+  }
+
+  /** @returns {number} Current total size of all cached data, in bytes. */
+  get size() {
+    return this.#size;
+  }
+
+  /**
+   * Gets the cached data for the given key and encoding, if any.
+   *
+   * @param {string} key Key which identifies the original content.
+   * @param {string} encoding Name of the encoding.
+   * @returns {?Buffer} The cached data, or `null` if there is none.
+   */
+  get(key, encoding) {
+    const fullKey = CompressionCache.#fullKey(key, encoding);
+    const found   = this.#entries.get(fullKey);
+
+    if (!found) {
+      return null;
+    }
+
+    // Move it to the most-recently-used end.
+    this.#entries.delete(fullKey);
+    this.#entries.set(fullKey, found);
+
+    return found;
+  }
+
+  /**
+   * Adds (or replaces) the cached data for the given key and encoding, evicting
+   * least-recently used entries as necessary. Data which is larger than half of
+   * the maximum size is not cached at all.
+   *
+   * @param {string} key Key which identifies the original content.
+   * @param {string} encoding Name of the encoding.
+   * @param {Buffer} data The compressed data.
+   */
+  set(key, encoding, data) {
+    MustBe.instanceOf(data, Buffer);
+
+    const fullKey = CompressionCache.#fullKey(key, encoding);
+
+    this.#delete(fullKey);
+
+    if (data.length > (this.#maxSize / 2)) {
+      return;
+    }
+
+    for (const [k, v] of this.#entries) {
+      if ((this.#size + data.length) <= this.#maxSize) {
+        break;
+      }
+
+      this.#entries.delete(k);
+      this.#size -= v.length;
+    }
+
+    this.#entries.set(fullKey, data);
+    this.#size += data.length;
+  }
+
+  /**
+   * Removes the entry with the given full key, if present.
+   *
+   * @param {string} fullKey The full key.
+   */
+  #delete(fullKey) {
+    const found = this.#entries.get(fullKey);
+
+    if (found) {
+      this.#entries.delete(fullKey);
+      this.#size -= found.length;
+    }
+  }
+
+
+  //
+  // Static members
+  //
+
+  /**
+   * Makes a full key from a content key and encoding.
+   *
+   * @param {string} key Key which identifies the original content.
+   * @param {string} encoding Name of the encoding.
+   * @returns {string} The full key.
+   */
+  static #fullKey(key, encoding) {
+    MustBe.string(key);
+    MustBe.string(encoding);
+
+    return `${encoding}\n${key}`;
+  }
+}
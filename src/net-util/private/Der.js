@@ -0,0 +1,325 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { MustBe } from '@this/typey';
+
+
+/**
+ * Minimal utilities for encoding and decoding ASN.1 DER, as needed for dealing
+ * with certificates and certificate requests. This is by no means a general
+ * ASN.1 implementation; it only covers what is needed by this module.
+ */
+export class Der {
+  /**
+   * Encodes a `BIT STRING` with no unused bits.
+   *
+   * @param {Buffer} bytes The bits, as bytes.
+   * @returns {Buffer} The encoded value.
+   */
+  static bitString(bytes) {
+    return this.tlv(0x03, Buffer.concat([Buffer.of(0), bytes]));
+  }
+
+  /**
+   * Encodes a `BOOLEAN`.
+   *
+   * @param {boolean} value The value.
+   * @returns {Buffer} The encoded value.
+   */
+  static boolean(value) {
+    return this.tlv(0x01, Buffer.of(value ? 0xff : 0x00));
+  }
+
+  /**
+   * Encodes a constructed context-specific value, e.g. an explicitly-tagged
+   * value or an implicitly-tagged `SEQUENCE` or `SET`.
+   *
+   * @param {number} tagNumber The tag number.
+   * @param {...Buffer} items The already-encoded contents.
+   * @returns {Buffer} The encoded value.
+   */
+  static context(tagNumber, ...items) {
+    return this.tlv(0xa0 | tagNumber, Buffer.concat(items));
+  }
+
+  /**
+   * Encodes a primitive context-specific value, e.g. an implicitly-tagged
+   * string.
+   *
+   * @param {number} tagNumber The tag number.
+   * @param {Buffer} bytes The contents.
+   * @returns {Buffer} The encoded value.
+   */
+  static contextPrimitive(tagNumber, bytes) {
+    return this.tlv(0x80 | tagNumber, bytes);
+  }
+
+  /**
+   * Encodes an `ENUMERATED`.
+   *
+   * @param {number} value The value, as a non-negative safe integer.
+   * @returns {Buffer} The encoded value.
+   */
+  static enumerated(value) {
+    const encoded = this.integer(value);
+
+    encoded[0] = 0x0a;
+    return encoded;
+  }
+
+  /**
+   * Encodes a `GeneralizedTime`, in UTC and with whole seconds.
+   *
+   * @param {Date} date The time.
+   * @returns {Buffer} The encoded value.
+   */
+  static generalizedTime(date) {
+    const text = date.toISOString().replace(/[-:T]|\.\d+/g, '');
+    return this.tlv(0x18, Buffer.from(text, 'latin1'));
+  }
+
+  /**
+   * Decodes a `GeneralizedTime` from its contents. This only accepts the UTC
+   * form (with a `Z` suffix), which is all that DER allows.
+   *
+   * @param {Buffer} contents The contents of the encoded value.
+   * @returns {Date} The time.
+   * @throws {Error} Thrown if `contents` is not a valid UTC time.
+   */
+  static generalizedTimeFrom(contents) {
+    const text  = contents.toString('latin1');
+    const match =
+      text.match(/^(?<y>\d{4})(?<mo>\d{2})(?<d>\d{2})(?<h>\d{2})(?<mi>\d{2})(?<s>\d{2})(?<frac>[.]\d+)?Z$/);
+
+    if (!match) {
+      throw new Error(`Invalid \`GeneralizedTime\`: ${text}`);
+    }
+
+    const { y, mo, d, h, mi, s, frac = '' } = match.groups;
+
+    return new Date(`${y}-${mo}-${d}T${h}:${mi}:${s}${frac}Z`);
+  }
+
+  /**
+   * Encodes an `INTEGER`.
+   *
+   * @param {number|Buffer} value The value, either as a non-negative safe
+   *   integer or as the big-endian bytes of an unsigned value.
+   * @returns {Buffer} The encoded value.
+   */
+  static integer(value) {
+    let bytes;
+
+    if (typeof value === 'number') {
+      MustBe.number(value, { safeInteger: true, minInclusive: 0 });
+      const hex = value.toString(16);
+      bytes = Buffer.from((hex.length & 1) ? `0${hex}` : hex, 'hex');
+    } else {
+      bytes = MustBe.instanceOf(value, Buffer);
+    }
+
+    // Strip redundant leading zeros, and then add one back if needed to keep
+    // the value from being interpreted as negative.
+    let at = 0;
+    while ((at < (bytes.length - 1)) && (bytes[at] === 0)) {
+      at++;
+    }
+
+    bytes = bytes.subarray(at);
+
+    if (bytes[0] & 0x80) {
+      bytes = Buffer.concat([Buffer.of(0), bytes]);
+    }
+
+    return this.tlv(0x02, bytes);
+  }
+
+  /**
+   * Encodes a `NULL`.
+   *
+   * @returns {Buffer} The encoded value.
+   */
+  static null() {
+    return this.tlv(0x05, Buffer.alloc(0));
+  }
+
+  /**
+   * Encodes an `OBJECT IDENTIFIER`.
+   *
+   * @param {string} oid The OID, in dotted-decimal form.
+   * @returns {Buffer} The encoded value.
+   */
+  static objectId(oid) {
+    const parts = MustBe.string(oid, /^[0-2](?:[.][0-9]+)+$/).split('.').map((p) => Number(p));
+    const bytes = [(parts[0] * 40) + parts[1]];
+
+    for (const part of parts.slice(2)) {
+      const septets = [part & 0x7f];
+      for (let rest = Math.floor(part / 0x80); rest > 0; rest = Math.floor(rest / 0x80)) {
+        septets.unshift((rest & 0x7f) | 0x80);
+      }
+      bytes.push(...septets);
+    }
+
+    return this.tlv(0x06, Buffer.from(bytes));
+  }
+
+  /**
+   * Decodes an `OBJECT IDENTIFIER` from its contents.
+   *
+   * @param {Buffer} contents The contents of the encoded value.
+   * @returns {string} The OID, in dotted-decimal form.
+   */
+  static objectIdFrom(contents) {
+    const parts = [Math.floor(contents[0] / 40), contents[0] % 40];
+    let   value = 0;
+
+    for (const byte of contents.subarray(1)) {
+      value = (value * 0x80) + (byte & 0x7f);
+      if (!(byte & 0x80)) {
+        parts.push(value);
+        value = 0;
+      }
+    }
+
+    return parts.join('.');
+  }
+
+  /**
+   * Encodes an `OCTET STRING`.
+   *
+   * @param {Buffer} bytes The contents.
+   * @returns {Buffer} The encoded value.
+   */
+  static octetString(bytes) {
+    return this.tlv(0x04, bytes);
+  }
+
+  /**
+   * Decodes a single DER value, recursively decoding the contents of
+   * constructed values.
+   *
+   * @param {Buffer} bytes The encoded value.
+   * @returns {object} The decoded value, with properties `tag` (the full tag
+   *   byte), `contents` (a `Buffer`), `raw` (the complete encoded value,
+   *   including the tag and length), and, for constructed values, `children`
+   *   (an array of decoded values).
+   * @throws {Error} Thrown if `bytes` is not a single valid DER value.
+   */
+  static parse(bytes) {
+    const { value, endAt } = this.#parseAt(MustBe.instanceOf(bytes, Buffer), 0);
+
+    if (endAt !== bytes.length) {
+      throw new Error('Extra data after DER value.');
+    }
+
+    return value;
+  }
+
+  /**
+   * Encodes a `SEQUENCE`.
+   *
+   * @param {...Buffer} items The already-encoded elements.
+   * @returns {Buffer} The encoded value.
+   */
+  static sequence(...items) {
+    return this.tlv(0x30, Buffer.concat(items));
+  }
+
+  /**
+   * Encodes a `SET`. **Note:** This does not sort the elements, so it is up to
+   * the caller to pass them in DER order if there is more than one.
+   *
+   * @param {...Buffer} items The already-encoded elements.
+   * @returns {Buffer} The encoded value.
+   */
+  static set(...items) {
+    return this.tlv(0x31, Buffer.concat(items));
+  }
+
+  /**
+   * Encodes an arbitrary tag-length-value triple.
+   *
+   * @param {number} tag The tag byte.
+   * @param {Buffer} contents The contents.
+   * @returns {Buffer} The encoded value.
+   */
+  static tlv(tag, contents) {
+    const length = contents.length;
+    let   header;
+
+    if (length < 0x80) {
+      header = Buffer.of(tag, length);
+    } else {
+      const lengthHex   = length.toString(16);
+      const lengthBytes = Buffer.from((lengthHex.length & 1) ? `0${lengthHex}` : lengthHex, 'hex');
+      header = Buffer.concat([Buffer.of(tag, 0x80 | lengthBytes.length), lengthBytes]);
+    }
+
+    return Buffer.concat([header, contents]);
+  }
+
+  /**
+   * Encodes a `UTF8String`.
+   *
+   * @param {string} value The string.
+   * @returns {Buffer} The encoded value.
+   */
+  static utf8String(value) {
+    return this.tlv(0x0c, Buffer.from(MustBe.string(value), 'utf-8'));
+  }
+
+  /**
+   * Helper for {@link #parse}, which decodes a value at the given offset.
+   *
+   * @param {Buffer} bytes The buffer to decode from.
+   * @param {number} at The offset of the start of the value.
+   * @returns {{ value: object, endAt: number }} The decoded value and the
+   *   offset just past it.
+   */
+  static #parseAt(bytes, at) {
+    const startAt = at;
+
+    if ((at + 2) > bytes.length) {
+      throw new Error('Truncated DER value.');
+    }
+
+    const tag = bytes[at++];
+    let   length = bytes[at++];
+
+    if (length & 0x80) {
+      const lengthSize = length & 0x7f;
+      if ((lengthSize === 0) || (lengthSize > 4) || ((at + lengthSize) > bytes.length)) {
+        throw new Error('Invalid DER length.');
+      }
+
+      length = 0;
+      for (let i = 0; i < lengthSize; i++) {
+        length = (length * 0x100) + bytes[at++];
+      }
+    }
+
+    const endAt = at + length;
+    if (endAt > bytes.length) {
+      throw new Error('Truncated DER value.');
+    }
+
+    const contents = bytes.subarray(at, endAt);
+    const value    = { tag, contents, raw: bytes.subarray(startAt, endAt) };
+
+    if (tag & 0x20) {
+      const children = [];
+      let   childAt  = at;
+
+      while (childAt < endAt) {
+        const child = this.#parseAt(bytes.subarray(0, endAt), childAt);
+        children.push(child.value);
+        childAt = child.endAt;
+      }
+
+      value.children = children;
+    }
+
+    return { value, endAt };
+  }
+}
@@ -0,0 +1,415 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import fs from 'node:fs/promises';
+import path from 'node:path';
+
+import { MultipartFormData } from '#x/MultipartFormData';
+
+
+/**
+ * Streaming parser for `multipart/form-data` bodies, used by
+ * `RequestBody.multipart()`. Each instance is meant to be used to parse just
+ * one body.
+ */
+export class MultipartParser {
+  /**
+   * Options, as passed to the constructor.
+   *
+   * @type {object}
+   */
+  #options;
+
+  /**
+   * The full delimiter which precedes each part, namely CRLF, two dashes,
+   * and the boundary.
+   *
+   * @type {Buffer}
+   */
+  #delimiter;
+
+  /**
+   * Not-yet-processed data.
+   *
+   * @type {Buffer}
+   */
+  #pending;
+
+  /**
+   * The current parser state.
+   *
+   * @type {string}
+   */
+  #state = 'preamble';
+
+  /**
+   * The non-file fields parsed so far.
+   *
+   * @type {URLSearchParams}
+   */
+  #fields = new URLSearchParams();
+
+  /**
+   * The files parsed so far.
+   *
+   * @type {Array<object>}
+   */
+  #files = [];
+
+  /**
+   * The directory for files, or `null` if not yet created.
+   *
+   * @type {?string}
+   */
+  #directory = null;
+
+  /**
+   * Count of parts seen so far.
+   *
+   * @type {number}
+   */
+  #partCount = 0;
+
+  /**
+   * Info about the part currently being parsed, or `null` if not in the
+   * middle of a part.
+   *
+   * @type {?object}
+   */
+  #part = null;
+
+  /**
+   * Constructs an instance.
+   *
+   * @param {object} options Options, all of which are required.
+   * @param {string} options.boundary The boundary string.
+   * @param {?number} options.maxFieldBytes Maximum size of a field.
+   * @param {?number} options.maxFileBytes Maximum size of a file.
+   * @param {?number} options.maxParts Maximum count of parts.
+   * @param {string} options.tempDirectory Base directory for files.
+   */
+  constructor(options) {
+    this.#options   = options;
+    this.#delimiter = Buffer.from(`\r\n--${options.boundary}`, 'latin1');
+
+    // Prepending a CRLF means that the first delimiter can be found in the
+    // same way as the rest of them, even if there is no preamble.
+    this.#pending = Buffer.from('\r\n', 'latin1');
+  }
+
+  /**
+   * Parses the given body.
+   *
+   * @param {object} body The body to parse, as an async-iterable of `Buffer`s.
+   * @returns {MultipartFormData} The parsed result.
+   */
+  async parse(body) {
+    try {
+      for await (const chunk of body) {
+        this.#pending = Buffer.concat([this.#pending, chunk]);
+        await this.#process();
+      }
+
+      if (this.#state !== 'done') {
+        throw MultipartParser.#malformed('Truncated multipart body.');
+      }
+    } catch (e) {
+      await this.#part?.handle?.close();
+
+      if (this.#directory !== null) {
+        await fs.rm(this.#directory, { force: true, recursive: true });
+      }
+
+      throw e;
+    }
+
+    return new MultipartFormData(this.#fields, this.#files, this.#directory);
+  }
+
+  /**
+   * Ends the current part.
+   */
+  async #endPart() {
+    const part = this.#part;
+
+    if (part.handle) {
+      await part.handle.close();
+      this.#files.push(Object.freeze({
+        contentType: part.contentType,
+        fileName:    part.fileName,
+        name:        part.name,
+        path:        part.path,
+        size:        part.size
+      }));
+    } else {
+      const value = new TextDecoder().decode(Buffer.concat(part.chunks));
+      this.#fields.append(part.name, value);
+    }
+
+    this.#part = null;
+  }
+
+  /**
+   * Processes as much of {@link #pending} as possible.
+   */
+  async #process() {
+    const delimiter = this.#delimiter;
+
+    for (;;) {
+      const pending = this.#pending;
+
+      switch (this.#state) {
+        case 'preamble': {
+          const at = pending.indexOf(delimiter);
+          if (at < 0) {
+            // Keep just enough to be able to find a delimiter that spans
+            // chunks.
+            this.#pending = pending.subarray(Math.max(0, pending.length - delimiter.length + 1));
+            return;
+          }
+          this.#pending = pending.subarray(at + delimiter.length);
+          this.#state   = 'afterDelimiter';
+          break;
+        }
+
+        case 'afterDelimiter': {
+          if (pending.length < 2) {
+            return;
+          }
+
+          const suffix = pending.toString('latin1', 0, 2);
+          if (suffix === '--') {
+            this.#state = 'done';
+          } else if (suffix === '\r\n') {
+            this.#pending = pending.subarray(2);
+            this.#state   = 'headers';
+          } else {
+            throw MultipartParser.#malformed('Invalid multipart delimiter.');
+          }
+          break;
+        }
+
+        case 'headers': {
+          const endAt = (pending.toString('latin1', 0, 2) === '\r\n')
+            ? 0
+            : pending.indexOf('\r\n\r\n', 0, 'latin1');
+
+          if (endAt < 0) {
+            if (pending.length > MultipartParser.#MAX_PART_HEADER_BYTES) {
+              throw MultipartParser.#malformed('Multipart headers too large.');
+            }
+            return;
+          }
+
+          const headerText = pending.toString('utf-8', 0, endAt);
+          this.#pending = pending.subarray(endAt + ((endAt === 0) ? 2 : 4));
+          await this.#startPart(headerText);
+          this.#state = 'body';
+          break;
+        }
+
+        case 'body': {
+          const at = pending.indexOf(delimiter);
+          if (at < 0) {
+            // Write out everything except for what might be the start of a
+            // delimiter that spans chunks.
+            const keepAt = Math.max(0, pending.length - delimiter.length + 1);
+            await this.#writePart(pending.subarray(0, keepAt));
+            this.#pending = pending.subarray(keepAt);
+            return;
+          }
+          await this.#writePart(pending.subarray(0, at));
+          await this.#endPart();
+          this.#pending = pending.subarray(at + delimiter.length);
+          this.#state   = 'afterDelimiter';
+          break;
+        }
+
+        case 'done': {
+          // Ignore the epilogue, if any.
+          this.#pending = Buffer.alloc(0);
+          return;
+        }
+      }
+    }
+  }
+
+  /**
+   * Starts a new part, given its header block.
+   *
+   * @param {string} headerText The header block, not including the final
+   *   empty line.
+   */
+  async #startPart(headerText) {
+    const { maxParts, tempDirectory } = this.#options;
+
+    this.#partCount++;
+    if ((maxParts !== null) && (this.#partCount > maxParts)) {
+      throw MultipartParser.#makeError(413, 'request-body-too-large',
+        `Multipart body has more than ${maxParts} parts.`);
+    }
+
+    const headers = new Map();
+    for (const line of headerText.split('\r\n')) {
+      const found = line.match(/^(?<name>[^:\s]+)\s*:\s*(?<value>.*)$/);
+      if (!found) {
+        if (line !== '') {
+          throw MultipartParser.#malformed('Invalid multipart header.');
+        }
+        continue;
+      }
+      headers.set(found.groups.name.toLowerCase(), found.groups.value.trim());
+    }
+
+    const disposition = MultipartParser.#parseContentDisposition(headers.get('content-disposition'));
+    if (disposition === null) {
+      throw MultipartParser.#malformed('Invalid or missing multipart `content-disposition`.');
+    }
+
+    const { name, fileName } = disposition;
+
+    if (fileName === null) {
+      this.#part = { name, chunks: [], size: 0 };
+      return;
+    }
+
+    if (this.#directory === null) {
+      this.#directory = await fs.mkdtemp(path.join(tempDirectory, 'upload-'));
+    }
+
+    // Note: The client-supplied file name is purposely _not_ used to name
+    // the file.
+    const filePath = path.join(this.#directory, `file-${this.#files.length}`);
+
+    this.#part = {
+      name,
+      fileName,
+      contentType: headers.get('content-type') ?? 'application/octet-stream',
+      path:        filePath,
+      handle:      await fs.open(filePath, 'wx'),
+      size:        0
+    };
+  }
+
+  /**
+   * Writes data to the current part.
+   *
+   * @param {Buffer} data The data to write.
+   */
+  async #writePart(data) {
+    if (data.length === 0) {
+      return;
+    }
+
+    const part = this.#part;
+    const max  = part.handle
+      ? this.#options.maxFileBytes
+      : this.#options.maxFieldBytes;
+
+    part.size += data.length;
+    if ((max !== null) && (part.size > max)) {
+      throw MultipartParser.#makeError(413, 'request-body-too-large',
+        `Multipart ${part.handle ? 'file' : 'field'} is larger than allowed maximum of ${max} bytes.`);
+    }
+
+    if (part.handle) {
+      await part.handle.write(data);
+    } else {
+      // Copy, so as not to retain the (possibly much larger) original buffer.
+      part.chunks.push(Buffer.from(data));
+    }
+  }
+
+
+  //
+  // Static members
+  //
+
+  /**
+   * Maximum allowed size of the header block of a part of a multipart body.
+   *
+   * @type {number}
+   */
+  static #MAX_PART_HEADER_BYTES = 16 * 1024;
+
+  /**
+   * Parses a `content-disposition` header of a part of a `multipart/form-data`
+   * body.
+   *
+   * @param {?string} value The header value, or `null` if absent.
+   * @returns {?{ name: string, fileName: ?string }} The parsed header, or
+   *   `null` if it was absent or invalid.
+   */
+  static #parseContentDisposition(value) {
+    const found = value?.match(/^form-data\s*(?<rest>;.*)?$/i);
+
+    if (!found) {
+      return null;
+    }
+
+    const params = new Map();
+    const paramRx =
+      /;\s*(?<key>[-!#$%&'*+.^_`|~0-9A-Za-z]+)\s*=\s*(?:"(?<quoted>(?:[^"\\]|\\.)*)"|(?<plain>[^;\s]*))\s*/gy;
+
+    const rest = found.groups.rest ?? '';
+    let   at   = 0;
+
+    while (at < rest.length) {
+      paramRx.lastIndex = at;
+      const param = paramRx.exec(rest);
+      if (!param) {
+        return null;
+      }
+
+      const { key, quoted, plain } = param.groups;
+      params.set(key.toLowerCase(), quoted?.replaceAll(/\\(.)/g, '$1') ?? plain);
+      at = paramRx.lastIndex;
+    }
+
+    const name = params.get('name');
+    if (name === undefined) {
+      return null;
+    }
+
+    let fileName = params.get('filename') ?? null;
+
+    const extFileName = params.get('filename*')?.match(/^utf-8'[^']*'(?<encoded>.*)$/i);
+    if (extFileName) {
+      try {
+        fileName = decodeURIComponent(extFileName.groups.encoded);
+      } catch {
+        return null;
+      }
+    }
+
+    return { name, fileName };
+  }
+
+  /**
+   * Makes an error with a status code, for reporting a body problem. The
+   * result is in the same form as the errors reported by `RequestBody`.
+   *
+   * @param {number} status The HTTP-ish status code.
+   * @param {string} code The error code.
+   * @param {string} message The error message.
+   * @returns {Error} The error.
+   */
+  static #makeError(status, code, message) {
+    const error = new Error(message);
+
+    error.code   = code;
+    error.status = status;
+
+    return error;
+  }
+
+  /**
+   * Makes an error indicating that the body is malformed.
+   *
+   * @param {string} message The error message.
+   * @returns {Error} The error.
+   */
+  static #malformed(message) {
+    return this.#makeError(400, 'request-body-malformed', message);
+  }
+}
@@ -0,0 +1,230 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import * as crypto from 'node:crypto';
+import * as http from 'node:http';
+
+import { WallClock } from '@this/clocky';
+import { AcmeClient, CertUtil } from '@this/net-util';
+
+import { MockAcmeServer } from '#tests/MockAcmeServer';
+
+
+/**
+ * Challenge handler which also serves challenge responses over HTTP, for use
+ * by the mock server when validating.
+ */
+class ChallengeServer {
+  tokens = new Map();
+  server = null;
+
+  get port() {
+    return this.server.address().port;
+  }
+
+  add(token, keyAuth) {
+    this.tokens.set(token, keyAuth);
+  }
+
+  remove(token) {
+    this.tokens.delete(token);
+  }
+
+  async start() {
+    this.server = http.createServer((req, res) => {
+      const token = req.url.match(/^[/]\.well-known[/]acme-challenge[/](?<token>.*)$/)?.groups.token;
+      const found = this.tokens.get(token);
+
+      res.statusCode = found ? 200 : 404;
+      res.end(found ?? '');
+    });
+
+    await new Promise((resolve) => this.server.listen(0, '127.0.0.1', resolve));
+  }
+
+  async stop() {
+    this.server.closeAllConnections();
+    await new Promise((resolve) => this.server.close(resolve));
+  }
+}
+
+let challenges;
+let acme;
+
+beforeEach(async () => {
+  challenges = new ChallengeServer();
+  await challenges.start();
+
+  acme = new MockAcmeServer({ challengePort: challenges.port });
+  await acme.start();
+});
+
+afterEach(async () => {
+  await acme.stop();
+  await challenges.stop();
+});
+
+async function makeClient(options = {}) {
+  return new AcmeClient({
+    accountKey:           await CertUtil.makePrivateKey(),
+    directoryUrl:         acme.directoryUrl,
+    pollIntervalMsec:     10,
+    termsOfServiceAgreed: true,
+    ...options
+  });
+}
+
+describe('constructor', () => {
+  test('accepts valid minimal options', async () => {
+    const accountKey = await CertUtil.makePrivateKey();
+    expect(() => new AcmeClient({ accountKey, directoryUrl: 'https://example.com/dir' })).not.toThrow();
+  });
+
+  test('rejects a non-EC account key', () => {
+    const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    expect(() => new AcmeClient({ accountKey: privateKey, directoryUrl: 'https://example.com/dir' })).toThrow();
+  });
+
+  test.each`
+  requestTimeoutMsec
+  ${0}
+  ${-1}
+  ${'100'}
+  `('rejects `requestTimeoutMsec: $requestTimeoutMsec`', async ({ requestTimeoutMsec }) => {
+    const accountKey = await CertUtil.makePrivateKey();
+    expect(() => new AcmeClient({
+      accountKey, directoryUrl: 'https://example.com/dir', requestTimeoutMsec
+    })).toThrow();
+  });
+
+  test('rejects a non-URL directory', async () => {
+    const accountKey = await CertUtil.makePrivateKey();
+    expect(() => new AcmeClient({ accountKey, directoryUrl: 'florp' })).toThrow();
+  });
+});
+
+describe('.accountUrl', () => {
+  test('is `null` before talking to the server', async () => {
+    const client = await makeClient();
+    expect(client.accountUrl).toBeNull();
+  });
+});
+
+describe('keyAuthorizationFor()', () => {
+  test('produces the token followed by the key thumbprint', async () => {
+    const accountKey = await CertUtil.makePrivateKey();
+    const client     = await makeClient({ accountKey });
+    const { crv, kty, x, y } = crypto.createPublicKey(accountKey).export({ format: 'jwk' });
+    const thumbprint = crypto.createHash('sha256')
+      .update(JSON.stringify({ crv, kty, x, y }))
+      .digest('base64url');
+
+    expect(client.keyAuthorizationFor('abc_123-XYZ')).toBe(`abc_123-XYZ.${thumbprint}`);
+  });
+
+  test('rejects a token with invalid characters', async () => {
+    const client = await makeClient();
+    expect(() => client.keyAuthorizationFor('a/b')).toThrow();
+  });
+});
+
+describe('obtainCertificate()', () => {
+  test('obtains a valid certificate covering all the hostnames', async () => {
+    const client = await makeClient();
+    const got    = await client.obtainCertificate(['foo.example', 'bar.example'], challenges);
+
+    expect(got).toContainAllKeys(['certificate', 'privateKey']);
+
+    const x509 = new crypto.X509Certificate(got.certificate);
+    expect(x509.subject).toBe('CN=foo.example');
+    expect(x509.subjectAltName).toBe('DNS:foo.example, DNS:bar.example');
+    expect(x509.checkPrivateKey(crypto.createPrivateKey(got.privateKey))).toBeTrue();
+    expect(x509.verify(new crypto.X509Certificate(acme.caCertificate).publicKey)).toBeTrue();
+
+    expect(client.accountUrl).toBeString();
+    expect(challenges.tokens.size).toBe(0);
+  });
+
+  test('uses a passed private key', async () => {
+    const client     = await makeClient();
+    const privateKey = await CertUtil.makePrivateKey();
+    const got        = await client.obtainCertificate(['foo.example'], challenges, { privateKey });
+
+    expect(got.privateKey).toBe(privateKey);
+  });
+
+  test('retries after a rejected nonce', async () => {
+    const client = await makeClient();
+
+    await client.obtainCertificate(['foo.example'], challenges);
+    acme.invalidateNonces();
+
+    await expect(client.obtainCertificate(['bar.example'], challenges)).toResolve();
+  });
+
+  test('throws an `acme-error` when a challenge fails', async () => {
+    const client  = await makeClient();
+    const handler = { add() { /*empty*/ }, remove() { /*empty*/ } };
+
+    await expect(client.obtainCertificate(['foo.example'], handler))
+      .rejects.toMatchObject({ code: 'acme-error' });
+  });
+
+  test('calls `remove()` even when a challenge fails', async () => {
+    const client  = await makeClient();
+    const removed = [];
+    const handler = { add() { /*empty*/ }, remove(token) { removed.push(token); } };
+
+    await expect(client.obtainCertificate(['foo.example'], handler)).toReject();
+    expect(removed).toBeArrayOfSize(1);
+  });
+
+  test('can be cancelled via `signal` between steps', async () => {
+    const client    = await makeClient();
+    const abortCtrl = new AbortController();
+    const removed   = [];
+    const handler   = {
+      add()         { abortCtrl.abort(); },
+      remove(token) { removed.push(token); }
+    };
+
+    await expect(client.obtainCertificate(['foo.example'], handler, { signal: abortCtrl.signal }))
+      .rejects.toMatchObject({ name: 'AbortError' });
+    expect(removed).toBeArrayOfSize(1);
+  });
+
+  describe('when the server does not respond', () => {
+    let server;
+    let directoryUrl;
+
+    beforeEach(async () => {
+      // This server accepts requests but never responds to them.
+      server = http.createServer(() => null);
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      directoryUrl = `http://127.0.0.1:${server.address().port}/dir`;
+    });
+
+    afterEach(async () => {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+    });
+
+    test('times out a request', async () => {
+      const client = await makeClient({ directoryUrl, requestTimeoutMsec: 50 });
+
+      await expect(client.obtainCertificate(['foo.example'], challenges))
+        .rejects.toMatchObject({ name: 'TimeoutError' });
+    });
+
+    test('can be cancelled via `signal` during a request', async () => {
+      const client    = await makeClient({ directoryUrl });
+      const abortCtrl = new AbortController();
+      const result    = client.obtainCertificate(['foo.example'], challenges, { signal: abortCtrl.signal });
+
+      await WallClock.waitForMsec(50);
+      abortCtrl.abort();
+
+      await expect(result).rejects.toMatchObject({ name: 'AbortError' });
+    });
+  });
+});
@@ -0,0 +1,123 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { AddressSet } from '@this/net-util';
+import { Sexp } from '@this/sexp';
+
+
+describe('constructor', () => {
+  test.each`
+  arg
+  ${'10.0.0.0/8'}
+  ${'127.0.0.1'}
+  ${'fd00::/8'}
+  ${'[::1]'}
+  ${'[::1]/128'}
+  ${'0.0.0.0/0'}
+  ${[]}
+  ${['10.0.0.0/8', '192.168.1.0/24', '::1']}
+  ${'unix'}
+  ${['unix', '127.0.0.1']}
+  `('accepts $arg', ({ arg }) => {
+    expect(() => new AddressSet(arg)).not.toThrow();
+  });
+
+  test.each`
+  arg
+  ${undefined}
+  ${null}
+  ${123}
+  ${''}
+  ${'florp'}
+  ${'10.0.0.0/'}
+  ${'10.0.0.0/33'}
+  ${'::1/129'}
+  ${'10.0.0.0/8/8'}
+  ${'10.0.0.0:123'}
+  ${'example.com'}
+  ${'unix:'}
+  ${'unix/8'}
+  ${['10.0.0.0/8', 'florp']}
+  `('rejects $arg', ({ arg }) => {
+    expect(() => new AddressSet(arg)).toThrow();
+  });
+});
+
+describe('.includesUnixPeers', () => {
+  test.each`
+  arg                        | expected
+  ${'unix'}                  | ${true}
+  ${['10.0.0.0/8', 'unix']}  | ${true}
+  ${'10.0.0.0/8'}            | ${false}
+  ${[]}                      | ${false}
+  `('is $expected given $arg', ({ arg, expected }) => {
+    expect(new AddressSet(arg).includesUnixPeers).toBe(expected);
+  });
+});
+
+describe('.ranges', () => {
+  test.each`
+  arg                                 | expected
+  ${'10.0.0.0/8'}                     | ${['10.0.0.0/8']}
+  ${'127.0.0.1'}                      | ${['127.0.0.1/32']}
+  ${'[::1]'}                          | ${['::1/128']}
+  ${'FD00:0::/8'}                     | ${['fd00::/8']}
+  ${['1.2.3.4', '5.6.0.0/16']}        | ${['1.2.3.4/32', '5.6.0.0/16']}
+  ${['unix', '::1']}                  | ${['unix', '::1/128']}
+  `('is $expected given $arg', ({ arg, expected }) => {
+    const got = new AddressSet(arg).ranges;
+
+    expect(got).toEqual(expected);
+    expect(got).toBeFrozen();
+  });
+});
+
+describe('deconstruct()', () => {
+  test('round-trips', () => {
+    const set = new AddressSet(['10.0.0.0/8', '::1', 'unix']);
+    const got = set.deconstruct();
+
+    expect(got).toBeInstanceOf(Sexp);
+
+    const { functor, args } = got;
+    const result = new functor(...args);
+    expect(result.ranges).toEqual(set.ranges);
+    expect(result.includesUnixPeers).toBeTrue();
+  });
+});
+
+describe('has()', () => {
+  const set = new AddressSet(['10.0.0.0/8', '192.168.1.5', 'fd00::/8']);
+
+  test.each`
+  address                  | expected
+  ${'10.0.0.0'}            | ${true}
+  ${'10.255.255.255'}      | ${true}
+  ${'11.0.0.0'}            | ${false}
+  ${'192.168.1.5'}         | ${true}
+  ${'192.168.1.6'}         | ${false}
+  ${'fd00::1'}             | ${true}
+  ${'[fd12:3456::1]'}      | ${true}
+  ${'fe00::1'}             | ${false}
+  ${'::ffff:10.1.2.3'}     | ${true}
+  ${'::ffff:11.1.2.3'}     | ${false}
+  ${'::ffff:a01:203'}      | ${true}
+  ${'florp'}               | ${false}
+  ${null}                  | ${false}
+  `('returns $expected for $address', ({ address, expected }) => {
+    expect(set.has(address)).toBe(expected);
+  });
+
+  test('returns `false` for everything given an empty instance', () => {
+    const empty = new AddressSet([]);
+
+    expect(empty.has('10.0.0.1')).toBeFalse();
+    expect(empty.has('::1')).toBeFalse();
+  });
+
+  test('returns `false` for an unknown address even when including Unix peers', () => {
+    const unix = new AddressSet(['unix']);
+
+    expect(unix.has(null)).toBeFalse();
+  });
+});
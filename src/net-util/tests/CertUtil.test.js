@@ -1,8 +1,49 @@
 // Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
 // SPDX-License-Identifier: Apache-2.0
 
+import * as crypto from 'node:crypto';
+
 import { CertUtil } from '@this/net-util';
+import { Moment } from '@this/quant';
+
+
+describe('coversHostname()', () => {
+  const certs = new Map();
+
+  beforeAll(async () => {
+    for (const name of ['foo.example', '*.bar.example']) {
+      certs.set(name, (await CertUtil.makeSelfSignedPair([name])).certificate);
+    }
+  }, 20_000);
+
+  test.each`
+  certName           | hostname             | expected
+  ${'foo.example'}   | ${'foo.example'}     | ${true}
+  ${'foo.example'}   | ${'FOO.example'}     | ${true}
+  ${'foo.example'}   | ${'*'}               | ${true}
+  ${'foo.example'}   | ${'zip.foo.example'} | ${false}
+  ${'foo.example'}   | ${'*.foo.example'}   | ${false}
+  ${'foo.example'}   | ${'baz.example'}     | ${false}
+  ${'*.bar.example'} | ${'zip.bar.example'} | ${true}
+  ${'*.bar.example'} | ${'*.bar.example'}   | ${true}
+  ${'*.bar.example'} | ${'*.BAR.example'}   | ${true}
+  ${'*.bar.example'} | ${'*.example'}       | ${false}
+  ${'*.bar.example'} | ${'*.x.bar.example'}   | ${false}
+  ${'foo.example'}   | ${'127.0.0.1'}       | ${false}
+  `('returns $expected for $hostname given a certificate for $certName',
+    ({ certName, hostname, expected }) => {
+      expect(CertUtil.coversHostname(certs.get(certName), hostname)).toBe(expected);
+    });
+
+  test('accepts a certificate object', () => {
+    const x509 = new crypto.X509Certificate(certs.get('foo.example'));
+    expect(CertUtil.coversHostname(x509, 'foo.example')).toBeTrue();
+  });
 
+  test('throws given a non-certificate', () => {
+    expect(() => CertUtil.coversHostname('florp', 'foo.example')).toThrow();
+  });
+});
 
 describe('mustBeCertificateChain()', () => {
   const SOME_CERT =
@@ -81,3 +122,90 @@ describe('makeSelfSignedPair()', () => {
     expect(() => CertUtil.mustBePrivateKey(got.privateKey)).not.toThrow();
   });
 });
+
+describe('makePrivateKey()', () => {
+  test('produces an EC P-256 key in PEM form', async () => {
+    const got = await CertUtil.makePrivateKey();
+
+    expect(() => CertUtil.mustBePrivateKey(got)).not.toThrow();
+
+    const key = crypto.createPrivateKey(got);
+    expect(key.asymmetricKeyType).toBe('ec');
+    expect(key.asymmetricKeyDetails.namedCurve).toBe('prime256v1');
+  });
+});
+
+describe('makeCertificateRequest()', () => {
+  test('throws given an empty array', async () => {
+    const key = await CertUtil.makePrivateKey();
+    expect(() => CertUtil.makeCertificateRequest([], key)).toThrow();
+  });
+
+  test('throws given a wildcard hostname', async () => {
+    const key = await CertUtil.makePrivateKey();
+    expect(() => CertUtil.makeCertificateRequest(['*.foo.bar'], key)).toThrow();
+  });
+
+  test('throws given a non-key', () => {
+    expect(() => CertUtil.makeCertificateRequest(['foo.bar'], 'florp')).toThrow();
+  });
+
+  test.each`
+    label    | makeKey
+    ${'EC'}  | ${() => CertUtil.makePrivateKey()}
+    ${'RSA'} | ${() => crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey}
+  `('produces a DER request with the right structure, given an $label key', async ({ makeKey }) => {
+    const key = await makeKey();
+    const got = CertUtil.makeCertificateRequest(['foo.example', 'bar.example'], key);
+
+    expect(got).toBeInstanceOf(Buffer);
+
+    // Outer `SEQUENCE` of request info, algorithm, and signature.
+    expect(got[0]).toBe(0x30);
+
+    const text = got.toString('latin1');
+    expect(text).toContain('foo.example');
+    expect(text).toContain('bar.example');
+
+    // The embedded public key should be the one corresponding to `key`.
+    const keyObj = (typeof key === 'string') ? crypto.createPrivateKey(key) : key;
+    const spki   = crypto.createPublicKey(keyObj).export({ type: 'spki', format: 'der' });
+    expect(got.includes(spki)).toBeTrue();
+  });
+});
+
+describe('parseCertificatePair()', () => {
+  test('returns information about a valid pair', async () => {
+    const { certificate, privateKey } = await CertUtil.makeSelfSignedPair(['foo.example']);
+    const got = CertUtil.parseCertificatePair(certificate, privateKey);
+
+    expect(got).toBeFrozen();
+    expect(got.subject).toBe('CN=foo.example');
+    expect(got.subjectAltName).toBe('DNS:foo.example');
+    expect(got.validFrom).toBeInstanceOf(Moment);
+    expect(got.validTo).toBeInstanceOf(Moment);
+    expect(got.validFrom.lt(got.validTo)).toBeTrue();
+  });
+
+  test('throws given a key which does not match the certificate', async () => {
+    const { certificate } = await CertUtil.makeSelfSignedPair(['foo.example']);
+    const privateKey      = await CertUtil.makePrivateKey();
+
+    expect(() => CertUtil.parseCertificatePair(certificate, privateKey)).toThrow(/does not match/);
+  });
+
+  test('throws given a non-certificate', async () => {
+    const privateKey = await CertUtil.makePrivateKey();
+    expect(() => CertUtil.parseCertificatePair('florp', privateKey)).toThrow();
+  });
+
+  test('throws given a syntactically valid but bogus certificate', async () => {
+    const privateKey = await CertUtil.makePrivateKey();
+    const bogus      =
+      '-----BEGIN CERTIFICATE-----\n' +
+      'ABCDEFG+/abcdefg1234567890=\n' +
+      '-----END CERTIFICATE-----\n';
+
+    expect(() => CertUtil.parseCertificatePair(bogus, privateKey)).toThrow();
+  });
+});
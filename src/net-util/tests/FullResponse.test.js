@@ -1,7 +1,15 @@
 // Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
 // SPDX-License-Identifier: Apache-2.0
 
-import { FullResponse } from '@this/net-util';
+import { randomBytes } from 'node:crypto';
+import fs from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import process from 'node:process';
+import { Readable } from 'node:stream';
+import { promisify } from 'node:util';
+import zlib from 'node:zlib';
+
+import { FullResponse, HttpCompression, HttpHeaders } from '@this/net-util';
 
 
 describe('constructor()', () => {
@@ -54,3 +62,240 @@ describe('.bodyBuffer', () => {
     expect(got).toEqual(buf);
   });
 });
+
+describe('adjustFor()', () => {
+  function makeResponse() {
+    const resp = new FullResponse();
+    resp.status = 200;
+    resp.setBodyString('Beep boop florp like.', 'text/plain');
+    resp.headers.set('etag', '"abc"');
+    resp.headers.set('vary', 'origin');
+    return resp;
+  }
+
+  test('keeps `vary` on a not-modified response', () => {
+    const requestHeaders = new HttpHeaders({ 'if-none-match': '"abc"' });
+    const got = makeResponse().adjustFor('get', requestHeaders, { conditional: true });
+
+    expect(got.status).toBe(304);
+    expect(got.headers.get('vary')).toBe('origin');
+  });
+
+  test('keeps `vary` on an unsatisfiable-range response', () => {
+    const requestHeaders = new HttpHeaders({ range: 'bytes=1000-2000' });
+    const got = makeResponse().adjustFor('get', requestHeaders, { range: true });
+
+    expect(got.status).toBe(416);
+    expect(got.headers.get('vary')).toBe('origin');
+  });
+});
+
+describe('compressFor()', () => {
+  const options   = HttpCompression.expandOptions({ encodings: ['gzip', 'br'], minSize: '100 byte' });
+  const bodyText  = 'Beep boop florp like. '.repeat(100);
+  const gzipAccept = new HttpHeaders({ 'accept-encoding': 'gzip' });
+
+  function makeResponse(text = bodyText, contentType = 'text/plain') {
+    const resp = new FullResponse();
+    resp.status = 200;
+    resp.setBodyBuffer(Buffer.from(text));
+    resp.headers.set('content-type', contentType);
+    resp.headers.set('etag', '"abc"');
+    return resp;
+  }
+
+  test('throws if the body is not set', async () => {
+    const resp = new FullResponse();
+    resp.status = 200;
+    await expect(resp.compressFor('get', gzipAccept, options)).rejects.toThrow();
+  });
+
+  test('compresses a compressible body per `accept-encoding`', async () => {
+    const orig = makeResponse();
+    const got  = await orig.compressFor('get', gzipAccept, options);
+
+    expect(got).not.toBe(orig);
+    expect(got.headers.get('content-encoding')).toBe('gzip');
+    expect(got.headers.get('vary')).toBe('accept-encoding');
+    expect(got.headers.get('etag')).toBe('"abc-gzip"');
+    expect(await promisify(zlib.gunzip)(got.bodyBuffer)).toEqual(Buffer.from(bodyText));
+
+    // The original should be unchanged.
+    expect(orig.headers.get('content-encoding')).toBeNull();
+    expect(orig.headers.get('vary')).toBeNull();
+    expect(orig.bodyBuffer).toEqual(Buffer.from(bodyText));
+  });
+
+  test('prefers the configured order when the requestor has no preference', async () => {
+    const headers = new HttpHeaders({ 'accept-encoding': 'br, gzip' });
+    const got     = await makeResponse().compressFor('get', headers, options);
+
+    expect(got.headers.get('content-encoding')).toBe('gzip');
+  });
+
+  test('only sets `vary` if no encoding is acceptable', async () => {
+    const orig = makeResponse();
+    const got  = await orig.compressFor('get', new HttpHeaders(), options);
+
+    expect(got).not.toBe(orig);
+    expect(got.headers.get('content-encoding')).toBeNull();
+    expect(got.headers.get('vary')).toBe('accept-encoding');
+    expect(got.headers.get('etag')).toBe('"abc"');
+    expect(got.bodyBuffer).toEqual(Buffer.from(bodyText));
+  });
+
+  test.each`
+  label                   | text             | contentType
+  ${'too small'}          | ${'florp'}       | ${'text/plain'}
+  ${'not compressible'}   | ${bodyText}      | ${'image/png'}
+  `('returns the original if the body is $label', async ({ text, contentType }) => {
+    const orig = makeResponse(text, contentType);
+    const got  = await orig.compressFor('get', gzipAccept, options);
+
+    expect(got).toBe(orig);
+  });
+
+  test.each`
+  method
+  ${'get'}
+  ${'head'}
+  `('does not encode for `$method` when compression does not help', async ({ method }) => {
+    // Bytes which don't compress, but which still claim to be text.
+    const orig = makeResponse();
+    orig.setBodyBuffer(randomBytes(2000));
+
+    const got = await orig.compressFor(method, gzipAccept, options);
+
+    expect(got.headers.get('content-encoding')).toBeNull();
+    expect(got.headers.get('etag')).toBe('"abc"');
+    expect(got.headers.get('vary')).toBe('accept-encoding');
+  });
+
+  test('returns the original if not a `200` response', async () => {
+    const orig = makeResponse();
+    orig.status = 404;
+
+    expect(await orig.compressFor('get', gzipAccept, options)).toBe(orig);
+  });
+
+  test('returns the original if already encoded', async () => {
+    const orig = makeResponse();
+    orig.headers.set('content-encoding', 'br');
+
+    expect(await orig.compressFor('get', gzipAccept, options)).toBe(orig);
+  });
+
+  test('returns the original if there is no body', async () => {
+    const orig = new FullResponse();
+    orig.status = 200;
+    orig.setNoBody();
+
+    expect(await orig.compressFor('get', gzipAccept, options)).toBe(orig);
+  });
+
+  describe('with a file body', () => {
+    const filePath = `${tmpdir()}/compress-for-${process.pid}.txt`;
+
+    async function makeFileResponse(etag) {
+      await fs.writeFile(filePath, bodyText);
+
+      const resp = new FullResponse();
+      resp.status = 200;
+      await resp.setBodyFile(filePath);
+      resp.headers.set('content-type', 'text/plain');
+      resp.headers.set('etag', etag);
+      return resp;
+    }
+
+    afterEach(async () => {
+      await fs.rm(filePath, { force: true });
+    });
+
+    test('responds `304` to a fresh conditional request without compressing', async () => {
+      const orig    = await makeFileResponse('"fresh-test"');
+      const headers = new HttpHeaders({
+        'accept-encoding': 'gzip',
+        'if-none-match':   '"fresh-test-gzip"'
+      });
+
+      // If the file got read, this would cause an error.
+      await fs.rm(filePath);
+
+      const got = await orig.compressFor('get', headers, options);
+      expect(got.status).toBe(304);
+      expect(got.headers.get('etag')).toBe('"fresh-test-gzip"');
+    });
+
+    test('compresses for a `HEAD` request just as for `GET`', async () => {
+      const orig    = await makeFileResponse('"head-test"');
+      const gotHead = await orig.compressFor('head', gzipAccept, options);
+      const gotGet  = await orig.compressFor('get', gzipAccept, options);
+
+      expect(gotHead.status).toBe(200);
+      expect(gotHead.headers.get('content-encoding')).toBe('gzip');
+      expect(gotHead.headers.get('etag')).toBe('"head-test-gzip"');
+      expect(gotHead.bodyBuffer).toEqual(gotGet.bodyBuffer);
+    });
+
+    test('reuses the compressed body for the same etag', async () => {
+      const orig1 = await makeFileResponse('"cache-test"');
+      const got1  = await orig1.compressFor('get', gzipAccept, options);
+
+      // Different file contents, but the same etag (and length).
+      await fs.writeFile(filePath, bodyText.toUpperCase());
+
+      const got2 = await orig1.compressFor('get', gzipAccept, options);
+      expect(got2.bodyBuffer).toEqual(got1.bodyBuffer);
+      expect(await promisify(zlib.gunzip)(got2.bodyBuffer)).toEqual(Buffer.from(bodyText));
+
+      // ...but a `HEAD` request now gets the full cached response.
+      const got3 = await orig1.compressFor('head', gzipAccept, options);
+      expect(got3.bodyBuffer).toEqual(got1.bodyBuffer);
+    });
+  });
+});
+
+describe('setBodyStream()', () => {
+  test('accepts a readable stream with no length', () => {
+    const resp   = new FullResponse();
+    const stream = Readable.from([Buffer.from('beep')]);
+    resp.setBodyStream(stream);
+
+    const got = resp._testing_getBody();
+    expect(got.type).toBe('stream');
+    expect(got.stream).toBe(stream);
+    expect(got.length).toBeNull();
+  });
+
+  test('accepts a readable stream with a length', () => {
+    const resp = new FullResponse();
+    resp.setBodyStream(Readable.from([Buffer.from('boop')]), { length: 4 });
+
+    expect(resp._testing_getBody().length).toBe(4);
+  });
+
+  test.each`
+  value
+  ${null}
+  ${'florp'}
+  ${Buffer.from('zonk')}
+  `('rejects non-stream $value', ({ value }) => {
+    const resp = new FullResponse();
+    expect(() => resp.setBodyStream(value)).toThrow();
+  });
+
+  test('rejects an invalid length', () => {
+    const resp = new FullResponse();
+    expect(() => resp.setBodyStream(Readable.from([]), { length: -1 })).toThrow();
+  });
+
+  test('causes `validate()` to require a `content-type` header', () => {
+    const resp = new FullResponse();
+    resp.status = 200;
+    resp.setBodyStream(Readable.from([]));
+    expect(() => resp.validate()).toThrow();
+
+    resp.headers.set('content-type', 'text/plain');
+    expect(() => resp.validate()).not.toThrow();
+  });
+});
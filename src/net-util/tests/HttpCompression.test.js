@@ -0,0 +1,225 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { promisify } from 'node:util';
+import zlib from 'node:zlib';
+
+import { ByteCount } from '@this/quant';
+import { HttpCompression, HttpHeaders } from '@this/net-util';
+
+
+describe('.ENCODINGS', () => {
+  test('is a frozen array', () => {
+    const got = HttpCompression.ENCODINGS;
+
+    expect(got).toBeArray();
+    expect(got).toBeFrozen();
+  });
+
+  test('includes `br` and `gzip`, in that order', () => {
+    const got = HttpCompression.ENCODINGS;
+
+    expect(got).toContain('br');
+    expect(got).toContain('gzip');
+    expect(got.indexOf('br')).toBeLessThan(got.indexOf('gzip'));
+  });
+});
+
+describe('compress()', () => {
+  const data = Buffer.from('Florp! '.repeat(1000));
+
+  test('round-trips `br`', async () => {
+    const got = await HttpCompression.compress(data, 'br');
+
+    expect(got.length).toBeLessThan(data.length);
+    expect(await promisify(zlib.brotliDecompress)(got)).toEqual(data);
+  });
+
+  test('round-trips `gzip`', async () => {
+    const got = await HttpCompression.compress(data, 'gzip');
+
+    expect(got.length).toBeLessThan(data.length);
+    expect(await promisify(zlib.gunzip)(got)).toEqual(data);
+  });
+
+  test('rejects an unsupported encoding', async () => {
+    await expect(HttpCompression.compress(data, 'florp')).rejects.toThrow();
+  });
+
+  test('rejects a non-buffer', async () => {
+    await expect(HttpCompression.compress('florp', 'gzip')).rejects.toThrow();
+  });
+});
+
+describe('etagForEncoding()', () => {
+  test.each`
+  etag          | encoding  | expected
+  ${'"abc"'}    | ${'br'}   | ${'"abc-br"'}
+  ${'W/"abc"'}  | ${'gzip'} | ${'W/"abc-gzip"'}
+  ${'""'}       | ${'zstd'} | ${'"-zstd"'}
+  `('returns `$expected` given ($etag, $encoding)', ({ etag, encoding, expected }) => {
+    expect(HttpCompression.etagForEncoding(etag, encoding)).toBe(expected);
+  });
+
+  test.each`
+  etag
+  ${'abc'}
+  ${'w/"abc"'}
+  ${'"abc'}
+  ${123}
+  `('throws given $etag', ({ etag }) => {
+    expect(() => HttpCompression.etagForEncoding(etag, 'br')).toThrow();
+  });
+});
+
+describe('expandOptions()', () => {
+  test.each`
+  options
+  ${null}
+  ${true}
+  ${{}}
+  `('returns all-defaults given $options', ({ options }) => {
+    const got = HttpCompression.expandOptions(options);
+
+    expect(got).toBeFrozen();
+    expect(got.encodings).toEqual(HttpCompression.ENCODINGS);
+    expect(got.mimeTypes).toContain('text/*');
+    expect(got.minSize).toBe(1024);
+  });
+
+  test('accepts `encodings` in a specific order', () => {
+    const got = HttpCompression.expandOptions({ encodings: ['gzip', 'br'] });
+
+    expect(got.encodings).toEqual(['gzip', 'br']);
+  });
+
+  test('accepts `mimeTypes`', () => {
+    const got = HttpCompression.expandOptions({ mimeTypes: ['x/y', 'a/*'] });
+
+    expect(got.mimeTypes).toEqual(['x/y', 'a/*']);
+  });
+
+  test.each`
+  minSize                 | expected
+  ${'0 B'}                | ${0}
+  ${'100 byte'}           | ${100}
+  ${'2 KiB'}              | ${2048}
+  ${new ByteCount(12345)} | ${12345}
+  ${999}                  | ${999}
+  `('accepts `minSize: $minSize`', ({ minSize, expected }) => {
+    const got = HttpCompression.expandOptions({ minSize });
+
+    expect(got.minSize).toBe(expected);
+  });
+
+  test('accepts an already-expanded result', () => {
+    const orig = HttpCompression.expandOptions({ encodings: ['gzip'], minSize: '10 KiB' });
+    const got  = HttpCompression.expandOptions(orig);
+
+    expect(got).toEqual(orig);
+  });
+
+  test.each`
+  options
+  ${false}
+  ${123}
+  ${'gzip'}
+  ${['gzip']}
+  ${{ encodings: 'gzip' }}
+  ${{ encodings: ['florp'] }}
+  ${{ mimeTypes: 'text/*' }}
+  ${{ minSize: 'florp' }}
+  ${{ minSize: -1 }}
+  ${{ minSize: 1.5 }}
+  ${{ minSize: '-1 byte' }}
+  `('throws given $options', ({ options }) => {
+    expect(() => HttpCompression.expandOptions(options)).toThrow();
+  });
+});
+
+describe('fileSuffixForEncoding()', () => {
+  test.each`
+  encoding   | expected
+  ${'br'}    | ${'.br'}
+  ${'gzip'}  | ${'.gz'}
+  ${'zstd'}  | ${'.zst'}
+  ${'florp'} | ${null}
+  `('returns `$expected` given `$encoding`', ({ encoding, expected }) => {
+    expect(HttpCompression.fileSuffixForEncoding(encoding)).toBe(expected);
+  });
+});
+
+describe('isCompressible()', () => {
+  const options = HttpCompression.expandOptions({ minSize: '100 byte' });
+
+  test.each`
+  contentType                   | length | expected
+  ${'text/plain'}               | ${100} | ${true}
+  ${'text/plain; charset=utf-8'}| ${500} | ${true}
+  ${'text/plain'}               | ${99}  | ${false}
+  ${'application/json'}         | ${100} | ${true}
+  ${'application/ld+json'}      | ${100} | ${true}
+  ${'image/png'}                | ${999} | ${false}
+  `('returns $expected given ($contentType, $length)', ({ contentType, length, expected }) => {
+    expect(HttpCompression.isCompressible(contentType, length, options)).toBe(expected);
+  });
+
+  test('returns `false` when there are no allowed encodings', () => {
+    const noEnc = HttpCompression.expandOptions({ encodings: [] });
+
+    expect(HttpCompression.isCompressible('text/plain', 100000, noEnc)).toBeFalse();
+  });
+});
+
+describe('selectEncoding()', () => {
+  test('returns `null` given no `accept-encoding` header', () => {
+    expect(HttpCompression.selectEncoding(new HttpHeaders(), ['br', 'gzip'])).toBeNull();
+  });
+
+  test.each`
+  accept                        | encodings          | expected
+  ${'gzip'}                     | ${['br', 'gzip']}  | ${'gzip'}
+  ${'br'}                       | ${['br', 'gzip']}  | ${'br'}
+  ${'gzip, br'}                 | ${['br', 'gzip']}  | ${'br'}
+  ${'gzip, br'}                 | ${['gzip', 'br']}  | ${'gzip'}
+  ${'GZIP'}                     | ${['br', 'gzip']}  | ${'gzip'}
+  ${'gzip;q=1.0, br;q=0.5'}     | ${['br', 'gzip']}  | ${'gzip'}
+  ${'gzip ; q=0.1, br ; q=0.2'} | ${['br', 'gzip']}  | ${'br'}
+  ${'br;q=0, gzip'}             | ${['br', 'gzip']}  | ${'gzip'}
+  ${'br;q=0'}                   | ${['br', 'gzip']}  | ${null}
+  ${'identity'}                 | ${['br', 'gzip']}  | ${null}
+  ${'deflate, compress'}        | ${['br', 'gzip']}  | ${null}
+  ${'*'}                        | ${['br', 'gzip']}  | ${'br'}
+  ${'*;q=0.5, gzip'}            | ${['br', 'gzip']}  | ${'gzip'}
+  ${'*;q=0, gzip;q=0.1'}        | ${['br', 'gzip']}  | ${'gzip'}
+  ${'*, br;q=0'}                | ${['br', 'gzip']}  | ${'gzip'}
+  ${'gzip;q=zonk, br'}          | ${['gzip', 'br']}  | ${'br'}
+  ${'gzip'}                     | ${[]}              | ${null}
+  `('returns `$expected` given `$accept` and $encodings', ({ accept, encodings, expected }) => {
+    const headers = new HttpHeaders({ 'accept-encoding': accept });
+
+    expect(HttpCompression.selectEncoding(headers, encodings)).toBe(expected);
+  });
+});
+
+describe('setVaryHeader()', () => {
+  test.each`
+  vary                            | expected
+  ${null}                         | ${'accept-encoding'}
+  ${'origin'}                     | ${'origin, accept-encoding'}
+  ${'accept-encoding'}            | ${'accept-encoding'}
+  ${'Accept-Encoding, origin'}    | ${'Accept-Encoding, origin'}
+  ${'origin,accept-encoding'}     | ${'origin,accept-encoding'}
+  ${'*'}                          | ${'*'}
+  ${'x-accept-encoding'}          | ${'x-accept-encoding, accept-encoding'}
+  `('results in `$expected` given `$vary`', ({ vary, expected }) => {
+    const headers = new HttpHeaders();
+
+    if (vary !== null) {
+      headers.set('vary', vary);
+    }
+
+    HttpCompression.setVaryHeader(headers);
+    expect(headers.get('vary')).toBe(expected);
+  });
+});
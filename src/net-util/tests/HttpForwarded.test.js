@@ -0,0 +1,174 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { AddressSet, EndpointAddress, HttpForwarded, HttpHeaders }
+  from '@this/net-util';
+
+
+describe('parseForwarded()', () => {
+  test.each`
+  value                                               | expected
+  ${''}                                               | ${[]}
+  ${'for=1.2.3.4'}                                    | ${[{ for: '1.2.3.4' }]}
+  ${'For=1.2.3.4'}                                    | ${[{ for: '1.2.3.4' }]}
+  ${'for="[::1]:123"'}                                | ${[{ for: '[::1]:123' }]}
+  ${'for=a;proto=https;host=x.y'}                     | ${[{ for: 'a', proto: 'https', host: 'x.y' }]}
+  ${'for=a; proto=http , for=b'}                      | ${[{ for: 'a', proto: 'http' }, { for: 'b' }]}
+  ${'for=a,,for=b'}                                   | ${[{ for: 'a' }, { for: 'b' }]}
+  ${'for=a;;proto=http'}                              | ${[{ for: 'a', proto: 'http' }]}
+  ${'for="a\\"b"'}                                    | ${[{ for: 'a"b' }]}
+  ${'for="a,b";by=c'}                                 | ${[{ for: 'a,b', by: 'c' }]}
+  `('parses `$value`', ({ value, expected }) => {
+    const got = HttpForwarded.parseForwarded(value);
+
+    expect(got).toEqual(expected);
+    expect(got).toBeFrozen();
+  });
+
+  test.each`
+  value
+  ${'for'}
+  ${'for='}
+  ${'for=a b'}
+  ${'for="a'}
+  ${'for=a;for=b'}
+  ${'for=[::1]'}
+  ${'=a'}
+  `('rejects `$value`', ({ value }) => {
+    expect(HttpForwarded.parseForwarded(value)).toBeNull();
+  });
+});
+
+describe('resolve()', () => {
+  const trusted = new AddressSet(['10.0.0.0/8', 'fd00::/8']);
+  const proxy   = new EndpointAddress('10.0.0.1', 5555);
+  const direct  = new EndpointAddress('99.0.0.1', 5555);
+
+  function resolve(headers, peer = proxy) {
+    return HttpForwarded.resolve(new HttpHeaders(headers), peer, trusted);
+  }
+
+  test('returns `null` when the peer is not trusted', () => {
+    expect(resolve({ forwarded: 'for=1.2.3.4' }, direct)).toBeNull();
+  });
+
+  test('returns `null` when the peer address is unknown', () => {
+    expect(resolve({ forwarded: 'for=1.2.3.4' }, new EndpointAddress(null, null))).toBeNull();
+  });
+
+  test('returns `null` when the peer is a Unix domain socket peer but those are not trusted', () => {
+    expect(resolve({ forwarded: 'for=1.2.3.4' }, null)).toBeNull();
+  });
+
+  test('trusts a Unix domain socket peer when so configured', () => {
+    const headers = new HttpHeaders({ forwarded: 'for=1.2.3.4' });
+    const got     = HttpForwarded.resolve(headers, null, new AddressSet(['unix']));
+
+    expect(got.origin.address).toBe('1.2.3.4');
+  });
+
+  test('returns `null` when there are no forwarding headers', () => {
+    expect(resolve({})).toBeNull();
+  });
+
+  test('returns `null` given a malformed `forwarded` header', () => {
+    expect(resolve({ forwarded: 'for=1.2.3.4 x' })).toBeNull();
+  });
+
+  test('uses a `forwarded` header', () => {
+    const got = resolve({ forwarded: 'for="1.2.3.4:999";host=example.com;proto=HTTPS' });
+
+    expect(got).toBeFrozen();
+    expect(got.origin.address).toBe('1.2.3.4');
+    expect(got.origin.portNumber).toBe(999);
+    expect(got.host).toBe('example.com');
+    expect(got.scheme).toBe('https');
+  });
+
+  test('prefers `forwarded` over `x-forwarded-*`', () => {
+    const got = resolve({
+      'forwarded':         'for=1.2.3.4',
+      'x-forwarded-for':   '5.6.7.8',
+      'x-forwarded-proto': 'https'
+    });
+
+    expect(got.origin.address).toBe('1.2.3.4');
+    expect(got.scheme).toBeNull();
+  });
+
+  test('uses `x-forwarded-*` headers', () => {
+    const got = resolve({
+      'x-forwarded-for':   '1.2.3.4',
+      'x-forwarded-host':  'example.com:8443',
+      'x-forwarded-proto': 'https'
+    });
+
+    expect(got.origin.address).toBe('1.2.3.4');
+    expect(got.origin.portNumber).toBeNull();
+    expect(got.host).toBe('example.com:8443');
+    expect(got.scheme).toBe('https');
+  });
+
+  test('uses the last values of `x-forwarded-host` and `x-forwarded-proto`', () => {
+    const got = resolve({
+      'x-forwarded-for':   '1.2.3.4',
+      'x-forwarded-host':  'evil.com, example.com',
+      'x-forwarded-proto': 'http, https'
+    });
+
+    expect(got.host).toBe('example.com');
+    expect(got.scheme).toBe('https');
+  });
+
+  test.each`
+  header                                          | expected
+  ${'for=1.1.1.1, for=2.2.2.2'}                   | ${'2.2.2.2'}
+  ${'for=1.1.1.1, for=10.9.9.9'}                  | ${'1.1.1.1'}
+  ${'for=1.1.1.1, for=2.2.2.2, for=10.9.9.9'}     | ${'2.2.2.2'}
+  ${'for=10.1.1.1, for=10.2.2.2'}                 | ${'10.1.1.1'}
+  ${'for="[fd00::1]", for=10.2.2.2'}              | ${'fd00::1'}
+  ${'for=1.1.1.1, for=unknown, for=10.2.2.2'}     | ${null}
+  ${'for=1.1.1.1, for=_hidden'}                   | ${null}
+  ${'proto=https'}                                | ${null}
+  `('finds origin $expected given `$header`', ({ header, expected }) => {
+    expect(resolve({ forwarded: header }).origin.address).toBe(expected);
+  });
+
+  test('uses the host and scheme of the chosen hop', () => {
+    const got = resolve({
+      forwarded: 'for=1.1.1.1;host=a.com;proto=http, for=10.2.2.2;host=b.com;proto=https'
+    });
+
+    expect(got.origin.address).toBe('1.1.1.1');
+    expect(got.host).toBe('a.com');
+    expect(got.scheme).toBe('http');
+  });
+
+  test.each`
+  header                                 | address          | port
+  ${'1.2.3.4'}                           | ${'1.2.3.4'}     | ${null}
+  ${'1.2.3.4:80'}                        | ${'1.2.3.4'}     | ${80}
+  ${'fd00::1'}                           | ${'fd00::1'}     | ${null}
+  ${'[fd00::1]:123'}                     | ${'fd00::1'}     | ${123}
+  ${'1.2.3.4:_x'}                        | ${'1.2.3.4'}     | ${null}
+  ${'florp'}                             | ${null}          | ${null}
+  ${'1.1.1.1, 10.2.2.2'}                 | ${'1.1.1.1'}     | ${null}
+  ${'1.1.1.1, 2.2.2.2, 10.2.2.2'}        | ${'2.2.2.2'}     | ${null}
+  `('finds origin $address:$port given `x-forwarded-for: $header`', ({ header, address, port }) => {
+    const got = resolve({ 'x-forwarded-for': header });
+
+    expect(got.origin.address).toBe(address);
+    expect(got.origin.portNumber).toBe(port);
+  });
+
+  test.each`
+  name                    | value
+  ${'x-forwarded-host'}   | ${'not a host!'}
+  ${'x-forwarded-proto'}  | ${'ftp'}
+  `('ignores an invalid `$name`', ({ name, value }) => {
+    const got = resolve({ 'x-forwarded-for': '1.2.3.4', [name]: value });
+
+    expect(got.host).toBeNull();
+    expect(got.scheme).toBeNull();
+  });
+});
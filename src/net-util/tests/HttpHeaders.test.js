@@ -231,6 +231,33 @@ describe('appendSetCookie()', () => {
   });
 });
 
+describe('appendVary()', () => {
+  test.each`
+  vary                   | names                        | expected
+  ${null}                | ${['origin']}                | ${'origin'}
+  ${null}                | ${['Origin', 'x-florp']}     | ${'origin, x-florp'}
+  ${'accept-encoding'}   | ${['origin']}                | ${'accept-encoding, origin'}
+  ${'Origin'}            | ${['origin']}                | ${'Origin'}
+  ${'accept-encoding'}   | ${['origin', 'origin']}      | ${'accept-encoding, origin'}
+  ${'a,origin'}          | ${['origin', 'b']}           | ${'a,origin, b'}
+  ${'*'}                 | ${['origin']}                | ${'*'}
+  ${'x-origin'}          | ${['origin']}                | ${'x-origin, origin'}
+  `('results in `$expected` given `$vary` and $names', ({ vary, names, expected }) => {
+    const headers = new HttpHeaders();
+
+    if (vary !== null) {
+      headers.set('vary', vary);
+    }
+
+    headers.appendVary(...names);
+    expect(headers.get('vary')).toBe(expected);
+  });
+
+  test('rejects an invalid header name', () => {
+    expect(() => new HttpHeaders().appendVary('a b')).toThrow();
+  });
+});
+
 describe('entriesForVersion()', () => {
   test.each`
   label             | arg
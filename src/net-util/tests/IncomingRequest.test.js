@@ -1,8 +1,8 @@
 // Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
 // SPDX-License-Identifier: Apache-2.0
 
-import { EndpointAddress, HttpHeaders, IncomingRequest, InterfaceAddress,
-  RequestContext }
+import { AddressSet, EndpointAddress, HttpHeaders, IncomingRequest,
+  InterfaceAddress, PeerCertificate, RequestBody, RequestContext }
   from '@this/net-util';
 
 
@@ -11,10 +11,12 @@ import { EndpointAddress, HttpHeaders, IncomingRequest, InterfaceAddress,
  * argument.
  *
  * @param {*} headers Argument to pass to the {@link HttpHeaders} constructor.
+ * @param {?Buffer|RequestBody} [body] The request body, if any.
  * @returns {IncomingRequest} The constructed instance.
  */
-function makeWithHeaders(headers) {
+function makeWithHeaders(headers, body = null) {
   const config = {
+    body,
     context: new RequestContext(
       new InterfaceAddress('127.0.0.1:123'),
       new EndpointAddress('10.0.0.1', 10321)),
@@ -36,6 +38,26 @@ describe('constructor()', () => {
   });
 });
 
+describe('.body', () => {
+  test('is `null` when constructed without a body', () => {
+    expect(makeWithHeaders({}).body).toBeNull();
+  });
+
+  test('wraps a `Buffer`, using the `content-type` header', async () => {
+    const req = makeWithHeaders({ 'content-type': 'application/json' }, Buffer.from('[1, 2]'));
+
+    expect(req.body).toBeInstanceOf(RequestBody);
+    expect(req.body.contentType).toBe('application/json');
+    expect(req.body.contentLength).toBe(6);
+    expect(await req.body.parse()).toEqual([1, 2]);
+  });
+
+  test('is the `RequestBody` passed in the constructor', () => {
+    const body = new RequestBody(Buffer.from('beep'));
+    expect(makeWithHeaders({}, body).body).toBe(body);
+  });
+});
+
 describe('cookies', () => {
   test('parses a valid single cookie from a `cookie` header', () => {
     const req = makeWithHeaders({
@@ -46,6 +68,154 @@ describe('cookies', () => {
   });
 });
 
+describe('cspNonce / setCspNonce()', () => {
+  test('is `null` by default', () => {
+    expect(makeWithHeaders({}).cspNonce).toBeNull();
+  });
+
+  test('can be set and reset to `null`', () => {
+    const req = makeWithHeaders({});
+
+    req.setCspNonce('AbC+/123==');
+    expect(req.cspNonce).toBe('AbC+/123==');
+    req.setCspNonce(null);
+    expect(req.cspNonce).toBeNull();
+  });
+
+  test.each`
+  nonce
+  ${undefined}
+  ${''}
+  ${123}
+  ${'a b'}
+  ${'x;y'}
+  `('rejects $nonce', ({ nonce }) => {
+    expect(() => makeWithHeaders({}).setCspNonce(nonce)).toThrow();
+  });
+
+  test('is shared with instances made by `withBodyMaxBytes()`', () => {
+    const req     = makeWithHeaders({}, Buffer.from('florp'));
+    const limited = req.withBodyMaxBytes(3);
+
+    req.setCspNonce('florp');
+    expect(limited.cspNonce).toBe('florp');
+  });
+});
+
+describe('forwarding headers', () => {
+  function makeRequest(headers, trustedProxies = new AddressSet('10.0.0.0/8')) {
+    return new IncomingRequest({
+      context: new RequestContext(
+        new InterfaceAddress('127.0.0.1:123'),
+        new EndpointAddress('10.0.0.1', 10321)),
+      headers:       new HttpHeaders(headers),
+      protocolName:  'http-1.1',
+      pseudoHeaders: new HttpHeaders({
+        authority: 'proxy.local',
+        method:    'get',
+        path:      '/florp'
+      }),
+      trustedProxies
+    });
+  }
+
+  const forwardedHeaders = {
+    forwarded: 'for=99.88.77.66;host=example.com;proto=https'
+  };
+
+  test('are ignored by default', () => {
+    const req = makeRequest(forwardedHeaders, null);
+
+    expect(req.origin.address).toBe('10.0.0.1');
+    expect(req.host.nameString).toBe('proxy.local');
+    expect(req.host.portNumber).toBe(123);
+    expect(req.scheme).toBeNull();
+    expect(req.unforwarded).toBeNull();
+    expect(req.infoForLog.unforwarded).toBeUndefined();
+  });
+
+  test('are ignored when the peer is not a trusted proxy', () => {
+    const req = makeRequest(forwardedHeaders, new AddressSet('192.168.0.0/16'));
+
+    expect(req.origin.address).toBe('10.0.0.1');
+    expect(req.unforwarded).toBeNull();
+  });
+
+  test('are used when the peer is a trusted proxy', () => {
+    const req = makeRequest(forwardedHeaders);
+
+    expect(req.origin.address).toBe('99.88.77.66');
+    expect(req.host.nameString).toBe('example.com');
+    expect(req.host.portNumber).toBe(443);
+    expect(req.scheme).toBe('https');
+    expect(req.urlForLog).toBe('//example.com:443/florp');
+  });
+
+  test('keep the unforwarded values available', () => {
+    const req = makeRequest(forwardedHeaders);
+    const { unforwarded } = req;
+
+    expect(unforwarded).toBeFrozen();
+    expect(unforwarded.origin.address).toBe('10.0.0.1');
+    expect(unforwarded.host.nameString).toBe('proxy.local');
+    expect(unforwarded.scheme).toBeNull();
+
+    expect(req.infoForLog.origin.address).toBe('99.88.77.66');
+    expect(req.infoForLog.unforwarded).toEqual({
+      origin: unforwarded.origin,
+      host:   'proxy.local:123',
+      scheme: null
+    });
+  });
+
+  test('are retained by `withBodyMaxBytes()`', () => {
+    const req = new IncomingRequest({
+      body: Buffer.from('xyz'),
+      context: new RequestContext(
+        new InterfaceAddress('127.0.0.1:123'),
+        new EndpointAddress('10.0.0.1', 10321)),
+      headers:        new HttpHeaders({ 'x-forwarded-for': '1.2.3.4' }),
+      protocolName:   'http-1.1',
+      pseudoHeaders:  new HttpHeaders({ method: 'post', path: '/florp' }),
+      trustedProxies: new AddressSet('10.0.0.0/8')
+    });
+
+    const got = req.withBodyMaxBytes(1);
+
+    expect(got).not.toBe(req);
+    expect(got.origin.address).toBe('1.2.3.4');
+  });
+
+  describe('from a Unix domain socket peer', () => {
+    function makeUnixRequest(trustedProxies) {
+      return new IncomingRequest({
+        context: new RequestContext(
+          new InterfaceAddress('unix:/run/x.sock'),
+          new EndpointAddress(null, null)),
+        headers:       new HttpHeaders(forwardedHeaders),
+        protocolName:  'http-1.1',
+        pseudoHeaders: new HttpHeaders({ method: 'get', path: '/florp' }),
+        trustedProxies
+      });
+    }
+
+    test('are ignored when Unix peers are not trusted', () => {
+      const req = makeUnixRequest(new AddressSet('0.0.0.0/0'));
+
+      expect(req.origin.address).toBeNull();
+      expect(req.unforwarded).toBeNull();
+    });
+
+    test('are used when Unix peers are trusted', () => {
+      const req = makeUnixRequest(new AddressSet('unix'));
+
+      expect(req.origin.address).toBe('99.88.77.66');
+      expect(req.infoForLog.origin.address).toBe('99.88.77.66');
+      expect(req.infoForLog.unforwarded.origin).toBe('unix:');
+    });
+  });
+});
+
 describe('getHeaderElseNull', () => {
   test('finds an existing header', () => {
     const req = makeWithHeaders({
@@ -71,3 +241,220 @@ describe('getHeaderElseNull', () => {
     expect(req.getHeaderElseNull('set-cookie')).toEqual([]);
   });
 });
+
+describe('infoForLog', () => {
+  test('redacts the credentials of an `authorization` header', () => {
+    const req = makeWithHeaders({ authorization: 'Basic Zm9vOmJhcg==' });
+    expect(req.infoForLog.headers.authorization).toBe('Basic <redacted>');
+  });
+
+  test('does not include `proxy` for a direct connection', () => {
+    const req = makeWithHeaders({});
+    expect(req.infoForLog.proxy).toBeUndefined();
+  });
+
+  test('includes `proxy` for a proxied connection', () => {
+    const origin = new EndpointAddress('99.88.77.66', 5432);
+    const proxy  = new EndpointAddress('10.0.0.1', 10321);
+    const req    = new IncomingRequest({
+      context:       new RequestContext(new InterfaceAddress('127.0.0.1:123'), origin, proxy),
+      headers:       new HttpHeaders(),
+      protocolName:  'http-2',
+      pseudoHeaders: new HttpHeaders({ method: 'get', path: '/florp' })
+    });
+
+    expect(req.origin).toBe(origin);
+    expect(req.infoForLog.origin).toBe(origin);
+    expect(req.infoForLog.proxy).toBe(proxy);
+  });
+
+  test('does not include `peerCertificate` when there is none', () => {
+    const req = makeWithHeaders({});
+    expect(req.infoForLog.peerCertificate).toBeUndefined();
+  });
+
+  test('includes `peerCertificate` when there is one', () => {
+    const peerCertificate = new PeerCertificate({
+      fingerprint:  'AB:CD:EF',
+      issuer:       'CN=Florp CA',
+      serialNumber: '1234',
+      subject:      'CN=florp'
+    });
+    const req = new IncomingRequest({
+      context: new RequestContext(
+        new InterfaceAddress('127.0.0.1:123'),
+        new EndpointAddress('10.0.0.1', 10321),
+        null,
+        peerCertificate),
+      headers:       new HttpHeaders(),
+      protocolName:  'http-2',
+      pseudoHeaders: new HttpHeaders({ method: 'get', path: '/florp' })
+    });
+
+    expect(req.context.peerCertificate).toBe(peerCertificate);
+    expect(req.infoForLog.peerCertificate).toBe(peerCertificate);
+  });
+
+  test('uses `unix:` as the `origin` for a Unix domain socket peer', () => {
+    const req = new IncomingRequest({
+      context: new RequestContext(
+        new InterfaceAddress('unix:/run/x.sock'),
+        new EndpointAddress(null, null)),
+      headers:       new HttpHeaders(),
+      protocolName:  'http-1.1',
+      pseudoHeaders: new HttpHeaders({ method: 'get', path: '/florp' })
+    });
+
+    expect(req.origin.address).toBeNull();
+    expect(req.infoForLog.origin).toBe('unix:');
+  });
+
+  test('uses the reported origin for a proxied connection via a Unix domain socket', () => {
+    const origin = new EndpointAddress('99.88.77.66', 5432);
+    const req    = new IncomingRequest({
+      context: new RequestContext(
+        new InterfaceAddress('unix:/run/x.sock'),
+        origin,
+        new EndpointAddress(null, null)),
+      headers:       new HttpHeaders(),
+      protocolName:  'http-1.1',
+      pseudoHeaders: new HttpHeaders({ method: 'get', path: '/florp' })
+    });
+
+    expect(req.infoForLog.origin).toBe(origin);
+  });
+});
+
+describe('principal / setPrincipal()', () => {
+  test('is `null` by default', () => {
+    expect(makeWithHeaders({}).principal).toBeNull();
+  });
+
+  test('gets set as a frozen copy', () => {
+    const req       = makeWithHeaders({});
+    const principal = { name: 'florp', scheme: 'basic' };
+
+    req.setPrincipal(principal);
+    expect(req.principal).toEqual(principal);
+    expect(req.principal).not.toBe(principal);
+    expect(req.principal).toBeFrozen();
+  });
+
+  test('cannot be set twice', () => {
+    const req = makeWithHeaders({});
+
+    req.setPrincipal({ name: 'florp', scheme: 'basic' });
+    expect(() => req.setPrincipal({ name: 'zonk', scheme: 'basic' })).toThrow();
+    expect(() => req.setPrincipal(null)).toThrow();
+    expect(req.principal).toEqual({ name: 'florp', scheme: 'basic' });
+  });
+
+  test.each`
+  principal
+  ${undefined}
+  ${null}
+  ${'florp'}
+  ${{ name: '', scheme: 'basic' }}
+  ${{ name: 'florp' }}
+  ${{ name: 'florp', scheme: 'Basic' }}
+  ${{ scheme: 'basic' }}
+  `('rejects $principal', ({ principal }) => {
+    expect(() => makeWithHeaders({}).setPrincipal(principal)).toThrow();
+  });
+
+  test('is shared with instances made by `withBodyMaxBytes()`', () => {
+    const req     = makeWithHeaders({}, Buffer.from('florp'));
+    const limited = req.withBodyMaxBytes(3);
+
+    limited.setPrincipal({ name: 'like', scheme: 'bearer' });
+    expect(req.principal).toBe(limited.principal);
+    expect(() => req.setPrincipal({ name: 'zonk', scheme: 'bearer' })).toThrow();
+  });
+});
+
+describe('upgradeProtocol', () => {
+  function makeRequest(protocolName, method, headers, pseudoHeaders = {}) {
+    return new IncomingRequest({
+      context: new RequestContext(
+        new InterfaceAddress('127.0.0.1:123'),
+        new EndpointAddress('10.0.0.1', 10321)),
+      headers: new HttpHeaders(headers),
+      logger: null,
+      protocolName,
+      pseudoHeaders: new HttpHeaders({
+        method,
+        path: '/florp',
+        ...pseudoHeaders
+      })
+    });
+  }
+
+  test.each`
+  connection                | upgrade             | expected
+  ${'upgrade'}              | ${'websocket'}      | ${'websocket'}
+  ${'Upgrade'}              | ${'WebSocket'}      | ${'websocket'}
+  ${'keep-alive, Upgrade'}  | ${'websocket'}      | ${'websocket'}
+  ${'Upgrade'}              | ${'h2c'}            | ${'h2c'}
+  ${'Upgrade'}              | ${'foo/1.2, bar'}   | ${'foo'}
+  ${'keep-alive'}           | ${'websocket'}      | ${null}
+  ${'upgrades'}             | ${'websocket'}      | ${null}
+  ${'Upgrade'}              | ${null}             | ${null}
+  ${null}                   | ${'websocket'}      | ${null}
+  `('returns $expected for HTTP1 with `connection: $connection` and `upgrade: $upgrade`',
+    ({ connection, upgrade, expected }) => {
+      const headers = {};
+
+      if (connection !== null) {
+        headers.connection = connection;
+      }
+
+      if (upgrade !== null) {
+        headers.upgrade = upgrade;
+      }
+
+      const req = makeRequest('http-1.1', 'get', headers);
+      expect(req.upgradeProtocol).toBe(expected);
+    });
+
+  test('returns the `:protocol` of an HTTP2 extended `CONNECT` request', () => {
+    const req = makeRequest('http-2.0', 'connect', {}, { protocol: 'websocket' });
+    expect(req.upgradeProtocol).toBe('websocket');
+  });
+
+  test('returns `null` for an HTTP2 `CONNECT` request without `:protocol`', () => {
+    const req = makeRequest('http-2.0', 'connect', {});
+    expect(req.upgradeProtocol).toBeNull();
+  });
+
+  test('returns `null` for an HTTP2 non-`CONNECT` request', () => {
+    const req = makeRequest('http-2.0', 'get', { connection: 'upgrade', upgrade: 'websocket' });
+    expect(req.upgradeProtocol).toBeNull();
+  });
+});
+
+describe('withBodyMaxBytes()', () => {
+  test('returns `this` when there is no body', () => {
+    const req = makeWithHeaders({});
+    expect(req.withBodyMaxBytes(10)).toBe(req);
+  });
+
+  test('returns `this` when the body already has a smaller limit', () => {
+    const body = new RequestBody(Buffer.from('beep'), { maxBytes: 5 });
+    const req  = makeWithHeaders({}, body);
+
+    expect(req.withBodyMaxBytes(10)).toBe(req);
+  });
+
+  test('returns a similar instance with a limited body', async () => {
+    const req    = makeWithHeaders({ beep: 'boop' }, Buffer.from('florp'));
+    const result = req.withBodyMaxBytes(3);
+
+    expect(result).not.toBe(req);
+    expect(result.id).toBe(req.id);
+    expect(result.headers).toBe(req.headers);
+    expect(result.pathnameString).toBe('/florp');
+    expect(result.body.maxBytes).toBe(3);
+    await expect(result.body.buffer()).rejects.toThrow(/larger than/);
+    expect(await req.body.text()).toBe('florp');
+  });
+});
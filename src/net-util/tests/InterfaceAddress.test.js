@@ -45,6 +45,17 @@ describe('constructor', () => {
   ${{ fd: 12345, portNumber: -1 }}
   ${{ fd: 12345, portNumber: 65536 }}
   ${{ address: '1.2.3.4', fd: 123 }} // Can't have both.
+  ${{ address: '1.2.3.4', path: '/x' }} // Ditto.
+  ${{ fd: 123, path: '/x' }} // Ditto.
+
+  // Invalid socket paths.
+  ${'unix:'}
+  ${'unix:x.sock'}
+  ${'unix:/x/'}
+  ${'unix:/x\0y'}
+  ${{ path: 'x/y.sock' }}
+  ${{ path: 123 }}
+  ${{ path: '/x/y.sock', portNumber: 123 }} // Can't have a port.
 
   // Extra properties.
   ${{ fd: 123, port: 999 }} // 'port' is not correct; portNumber' is valid.
@@ -105,6 +116,15 @@ describe('constructor', () => {
     expect(() => new InterfaceAddress({ fd: 777, portNumber: 654 })).not.toThrow();
   });
 
+  test('accepts a valid socket path', () => {
+    expect(() => new InterfaceAddress('unix:/a/b.sock')).not.toThrow();
+    expect(() => new InterfaceAddress({ path: '/a/b.sock' })).not.toThrow();
+  });
+
+  test('accepts a socket path that ends with something that looks like a port', () => {
+    expect(() => new InterfaceAddress('unix:/a/b:123')).not.toThrow();
+  });
+
   test('accepts all valid extra Node options', () => {
     expect(() => new InterfaceAddress('1.2.3.4:56', ALL_NODE_OPTS_EXAMPLE)).not.toThrow();
   });
@@ -205,12 +225,21 @@ describe('.nodeServerListenOptions', () => {
     const ia1 = new InterfaceAddress('z:1', ALL_NODE_OPTS_EXAMPLE);
     const ia2 = new InterfaceAddress('/dev/fd/3:12', ALL_NODE_OPTS_EXAMPLE);
 
+    const ia3 = new InterfaceAddress('unix:/x/y', ALL_NODE_OPTS_EXAMPLE);
+
     const keys = ['backlog', 'exclusive'];
     const keys1 = [...keys, 'address', 'port'];
     const keys2 = [...keys, 'fd'];
+    const keys3 = [...keys, 'path'];
 
     expect(ia1.nodeServerListenOptions).toContainAllKeys(keys1);
     expect(ia2.nodeServerListenOptions).toContainAllKeys(keys2);
+    expect(ia3.nodeServerListenOptions).toContainAllKeys(keys3);
+  });
+
+  test('includes the socket path for a Unix domain socket', () => {
+    const ia = new InterfaceAddress('unix:/x/y.sock');
+    expect(ia.nodeServerListenOptions.path).toBe('/x/y.sock');
   });
 
   test('represents the wildcard address `*` as `::` in the result', () => {
@@ -251,6 +280,24 @@ describe('.nodeServerOptions', () => {
   });
 });
 
+describe('.path', () => {
+  test('is the path passed in the constructor', () => {
+    const ia1 = new InterfaceAddress('unix:/run/florp.sock');
+    const ia2 = new InterfaceAddress({ path: '/run/zonk.sock' });
+
+    expect(ia1.path).toBe('/run/florp.sock');
+    expect(ia2.path).toBe('/run/zonk.sock');
+  });
+
+  test('is `null` if constructed with no `path`', () => {
+    const ia1 = new InterfaceAddress('1.3.4.1:99');
+    const ia2 = new InterfaceAddress('/dev/fd/5');
+
+    expect(ia1.path).toBeNull();
+    expect(ia2.path).toBeNull();
+  });
+});
+
 describe('.portNumber', () => {
   test('is the number passed in the constructor', () => {
     const ia1 = new InterfaceAddress('12.34.56.78:999');
@@ -277,6 +324,13 @@ describe('deconstruct()', () => {
     expect(ia.deconstruct()).toStrictEqual(expected);
   });
 
+  test('produces a reasonable result for a Unix domain socket', () => {
+    const ia       = new InterfaceAddress('unix:/x/y.sock');
+    const expected = new Sexp(InterfaceAddress, { path: '/x/y.sock' });
+
+    expect(ia.deconstruct()).toStrictEqual(expected);
+  });
+
   test('produces a reasonable result, given non-default extra options', () => {
     const opts       = { backlog: 987 };
     const expectOpts = { ...opts, allowHalfOpen: true };
@@ -308,12 +362,24 @@ describe('equals()', () => {
     expect(ia1.equals(ia2)).toBeTrue();
   });
 
+  test('returns `true` when compared to an equivalently-constructed path-bearing instance', () => {
+    const ia1 = new InterfaceAddress('unix:/a/b');
+    const ia2 = new InterfaceAddress({ path: '/a/b' });
+    expect(ia1.equals(ia2)).toBeTrue();
+  });
+
   test('returns `false` when compared to a differently-constructed main instance', () => {
     const ia1 = new InterfaceAddress('1.2.3.4:567');
     const ia2 = new InterfaceAddress('4.3.2.1:987');
     expect(ia1.equals(ia2)).toBeFalse();
   });
 
+  test('returns `false` when compared to an instance with a different path', () => {
+    const ia1 = new InterfaceAddress('unix:/a/b');
+    const ia2 = new InterfaceAddress('unix:/a/c');
+    expect(ia1.equals(ia2)).toBeFalse();
+  });
+
   test('returns `true` when extra Node options match', () => {
     const opts = { allowHalfOpen: true, keepAlive: true, keepAliveInitialDelay: 99 };
     const ia1 = new InterfaceAddress('x:9', opts);
@@ -353,6 +419,8 @@ describe('toString()', () => {
   ${'a.b.c:333'}
   ${'/dev/fd/98'}
   ${'/dev/fd/98:765'}
+  ${'unix:/run/x.sock'}
+  ${'unix:/run/x:123'}
   `('succeeds for $address', ({ address }) => {
     const ia = new InterfaceAddress(address);
     expect(ia.toString()).toBe(address);
@@ -518,6 +586,32 @@ describe('canonicalizeAddress()', () => {
   });
 });
 
+describe('fromNodeServerElseNull()', () => {
+  test('returns `null` given `null`', () => {
+    expect(InterfaceAddress.fromNodeServerElseNull(null)).toBeNull();
+  });
+
+  test('returns `null` for a non-listening server', () => {
+    const server = { address: () => null };
+    expect(InterfaceAddress.fromNodeServerElseNull(server)).toBeNull();
+  });
+
+  test('converts the wildcard address', () => {
+    const server = { address: () => ({ address: '::', port: 123 }) };
+    const got    = InterfaceAddress.fromNodeServerElseNull(server);
+
+    expect(got.toString()).toBe('*:123');
+  });
+
+  test('converts a Unix domain socket path', () => {
+    const server = { address: () => '/run/x.sock' };
+    const got    = InterfaceAddress.fromNodeServerElseNull(server);
+
+    expect(got.path).toBe('/run/x.sock');
+    expect(got.toString()).toBe('unix:/run/x.sock');
+  });
+});
+
 describe('parseInterface()', () => {
   // Note: Other tests check a lot of the code that's used by this method, so
   // it's not really necessary to be super-exhaustive here.
@@ -547,6 +641,9 @@ describe('parseInterface()', () => {
   ${'fd with extra char at end'}        | ${'/dev/fd/123a'}
   ${'non-fd dev path'}                  | ${'/dev/florp'}
   ${'non-dev path'}                     | ${'/home/zorch/123'}
+  ${'empty socket path'}                | ${'unix:'}
+  ${'relative socket path'}             | ${'unix:zorch/x.sock'}
+  ${'socket path with trailing slash'}  | ${'unix:/zorch/'}
   ${'negative fd'}                      | ${'/dev/fd/-1'}
   ${'too-large fd'}                     | ${'/dev/fd/65536'}
   ${'much too-large fd'}                | ${'/dev/fd/999999999999999999999'}
@@ -581,6 +678,16 @@ describe('parseInterface()', () => {
     expect(got).toStrictEqual({ fd: 109, port: 914 });
   });
 
+  test('parses a Unix domain socket interface as expected', () => {
+    const got = InterfaceAddress.parseInterface('unix:/run/x.sock');
+    expect(got).toStrictEqual({ path: '/run/x.sock' });
+  });
+
+  test('does not treat a port-like suffix of a socket path as a port', () => {
+    const got = InterfaceAddress.parseInterface('unix:/run/x:8080');
+    expect(got).toStrictEqual({ path: '/run/x:8080' });
+  });
+
   test('accepts the minimum and maximum allowed FD numbers', () => {
     const got1 = InterfaceAddress.parseInterface('/dev/fd/0');
     expect(got1).toStrictEqual({ fd: 0 });
@@ -371,3 +371,37 @@ describe('typeFromPathExtension()', () => {
     });
   });
 });
+
+describe('typeMatchesAny()', () => {
+  test.each`
+  mimeType                   | patterns                          | expected
+  ${'text/html'}             | ${[]}                             | ${false}
+  ${'text/html'}             | ${['text/html']}                  | ${true}
+  ${'text/html'}             | ${['text/plain']}                 | ${false}
+  ${'text/html'}             | ${['text/*']}                     | ${true}
+  ${'text/html'}             | ${['image/*']}                    | ${false}
+  ${'text/html'}             | ${['*/*']}                        | ${true}
+  ${'TEXT/Html'}             | ${['text/html']}                  | ${true}
+  ${'text/html'}             | ${['TEXT/HTML']}                  | ${true}
+  ${'text/html; charset=x'}  | ${['text/html']}                  | ${true}
+  ${'application/ld+json'}   | ${['*/*+json']}                   | ${true}
+  ${'application/ld+json'}   | ${['*/*+xml']}                    | ${false}
+  ${'application/json'}      | ${['*/*+json']}                   | ${false}
+  ${'image/svg+xml'}         | ${['image/png', 'image/svg+xml']} | ${true}
+  ${'image/svg+xml'}         | ${['image/png', 'text/*']}        | ${false}
+  ${'florp'}                 | ${['*/*']}                        | ${false}
+  `('returns $expected given ($mimeType, $patterns)', ({ mimeType, patterns, expected }) => {
+    expect(MimeTypes.typeMatchesAny(mimeType, patterns)).toBe(expected);
+  });
+
+  test.each`
+  mimeType       | patterns
+  ${null}        | ${[]}
+  ${123}         | ${['text/html']}
+  ${'text/html'} | ${null}
+  ${'text/html'} | ${'text/html'}
+  ${'text/html'} | ${[123]}
+  `('throws given ($mimeType, $patterns)', ({ mimeType, patterns }) => {
+    expect(() => MimeTypes.typeMatchesAny(mimeType, patterns)).toThrow();
+  });
+});
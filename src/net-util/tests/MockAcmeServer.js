@@ -0,0 +1,734 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import * as crypto from 'node:crypto';
+import * as http from 'node:http';
+
+import { WallClock } from '@this/clocky';
+import { MustBe } from '@this/typey';
+
+import { Der } from '#p/Der';
+
+
+/**
+ * Minimal in-process ACME server, which is expected to be used in testing
+ * scenarios (in the spirit of Let's Encrypt's "Pebble" server, but much less
+ * complete). It speaks plain `http` on the loopback interface, supports just
+ * the `http-01` challenge type, and issues certificates signed by a
+ * per-instance throwaway certificate authority.
+ *
+ * Challenges are validated by making a request to
+ * `http://<address>:<port>/.well-known/acme-challenge/<token>`, where the
+ * address and port are configured when constructing the instance, and with a
+ * `host` header of the hostname being validated.
+ */
+export class MockAcmeServer {
+  /**
+   * The address to connect to for challenge validation.
+   *
+   * @type {string}
+   */
+  #challengeAddress;
+
+  /**
+   * The port to connect to for challenge validation.
+   *
+   * @type {number}
+   */
+  #challengePort;
+
+  /**
+   * The validity period of issued certificates, in seconds.
+   *
+   * @type {number}
+   */
+  #validitySec;
+
+  /**
+   * The CA private key.
+   *
+   * @type {crypto.KeyObject}
+   */
+  #caKey;
+
+  /**
+   * The CA certificate, in DER form.
+   *
+   * @type {Buffer}
+   */
+  #caCertificate;
+
+  /**
+   * The underlying server, or `null` if not running.
+   *
+   * @type {?http.Server}
+   */
+  #server = null;
+
+  /**
+   * The base URL of the server, or `null` if not running.
+   *
+   * @type {?string}
+   */
+  #baseUrl = null;
+
+  /**
+   * Nonces which have been issued and not yet used.
+   *
+   * @type {Set<string>}
+   */
+  #nonces = new Set();
+
+  /**
+   * Registered accounts, as a map from account URL to public key.
+   *
+   * @type {Map<string, crypto.KeyObject>}
+   */
+  #accounts = new Map();
+
+  /**
+   * All the objects (orders, authorizations, and challenges), as a map from
+   * URL path to the object.
+   *
+   * @type {Map<string, object>}
+   */
+  #objects = new Map();
+
+  /**
+   * Issued certificate chains, as a map from URL path to PEM text.
+   *
+   * @type {Map<string, string>}
+   */
+  #certificates = new Map();
+
+  /**
+   * Next ID to use when making a new object.
+   *
+   * @type {number}
+   */
+  #nextId = 1;
+
+  /**
+   * Constructs an instance.
+   *
+   * @param {?object} [options] Options for the instance.
+   * @param {?string} [options.challengeAddress] Address to connect to for
+   *   challenge validation. Default `127.0.0.1`.
+   * @param {?number} [options.challengePort] Port to connect to for challenge
+   *   validation. Default `80`.
+   * @param {?number} [options.validitySec] Validity period of issued
+   *   certificates, in seconds. Default 90 days.
+   */
+  constructor(options = null) {
+    const {
+      challengeAddress = '127.0.0.1',
+      challengePort    = 80,
+      validitySec      = 90 * 24 * 60 * 60
+    } = options ?? {};
+
+    this.#challengeAddress = MustBe.string(challengeAddress);
+    this.#challengePort    = MustBe.number(challengePort, { safeInteger: true, minInclusive: 1, maxInclusive: 65535 });
+    this.#validitySec      = MustBe.number(validitySec, { finite: true, minExclusive: 0 });
+
+    const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    this.#caKey          = privateKey;
+    this.#caCertificate  = this.#makeCertificate(
+      MockAcmeServer.#CA_NAME, crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'der' }), null);
+  }
+
+  /**
+   * @returns {string} The CA certificate which signs all issued certificates,
+   * in PEM form.
+   */
+  get caCertificate() {
+    return MockAcmeServer.#pemFrom(this.#caCertificate);
+  }
+
+  /**
+   * @returns {string} The URL of the directory. This is only valid while the
+   * server is running.
+   */
+  get directoryUrl() {
+    if (this.#baseUrl === null) {
+      throw new Error('Not running.');
+    }
+
+    return `${this.#baseUrl}/directory`;
+  }
+
+  /**
+   * Forgets all outstanding nonces, which will cause the next request from
+   * any client to be rejected with a `badNonce` error.
+   */
+  invalidateNonces() {
+    this.#nonces.clear();
+  }
+
+  /**
+   * Starts the server, listening on an arbitrary port on the loopback
+   * interface.
+   */
+  async start() {
+    if (this.#server !== null) {
+      throw new Error('Already running.');
+    }
+
+    const server = http.createServer((req, res) => this.#handleRequest(req, res));
+
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(0, '127.0.0.1', () => {
+        server.removeListener('error', reject);
+        resolve();
+      });
+    });
+
+    this.#server  = server;
+    this.#baseUrl = `http://127.0.0.1:${server.address().port}`;
+  }
+
+  /**
+   * Stops the server, if running.
+   */
+  async stop() {
+    const server = this.#server;
+
+    if (server === null) {
+      return;
+    }
+
+    this.#server  = null;
+    this.#baseUrl = null;
+
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(() => resolve()));
+  }
+
+  /**
+   * Finalizes an order, issuing its certificate.
+   *
+   * @param {http.ServerResponse} res The response.
+   * @param {object} order The order.
+   * @param {?object} payload The request payload.
+   */
+  #finalize(res, order, payload) {
+    if (order.status !== 'ready') {
+      this.#sendProblem(res, 403, 'orderNotReady', `Order is ${order.status}.`);
+      return;
+    }
+
+    let spki;
+    try {
+      const csr = Der.parse(Buffer.from(MustBe.string(payload?.csr), 'base64url'));
+      spki = csr.children[0].children[2].raw;
+    } catch (e) {
+      this.#sendProblem(res, 400, 'badCSR', `Could not parse CSR: ${e.message}`);
+      return;
+    }
+
+    const hostnames   = order.identifiers.map((i) => i.value);
+    const certificate = this.#makeCertificate(hostnames[0], spki, hostnames);
+    const certPath    = `/cert/${this.#nextId++}`;
+
+    this.#certificates.set(certPath,
+      MockAcmeServer.#pemFrom(certificate) + MockAcmeServer.#pemFrom(this.#caCertificate));
+
+    order.status      = 'valid';
+    order.certificate = `${this.#baseUrl}${certPath}`;
+
+    this.#sendOrder(res, order, 200);
+  }
+
+  /**
+   * Handles a `POST` request which has already had its JWS verified.
+   *
+   * @param {http.ServerResponse} res The response.
+   * @param {string} path The request path.
+   * @param {{ accountUrl: string, payload: ?object }} jws The verified JWS.
+   */
+  #handlePost(res, path, jws) {
+    const { accountUrl, payload } = jws;
+
+    if (path === '/new-account') {
+      res.setHeader('location', accountUrl);
+      this.#sendJson(res, jws.isNewAccount ? 201 : 200, { status: 'valid', ...(payload ?? {}) });
+      return;
+    } else if (path === '/new-order') {
+      this.#sendOrder(res, this.#makeOrder(accountUrl, payload.identifiers), 201);
+      return;
+    } else if (this.#certificates.has(path)) {
+      res.statusCode = 200;
+      res.setHeader('content-type', 'application/pem-certificate-chain');
+      res.end(this.#certificates.get(path));
+      return;
+    }
+
+    const finalizeMatch = path.match(/^(?<orderPath>[/]order[/][0-9]+)[/]finalize$/);
+    const object        = this.#objects.get(finalizeMatch?.groups.orderPath ?? path);
+
+    if (!object || (object.accountUrl !== accountUrl)) {
+      this.#sendProblem(res, 404, 'malformed', 'No such resource.');
+    } else if (finalizeMatch) {
+      this.#finalize(res, object, payload);
+    } else if (object.kind === 'challenge') {
+      if ((payload !== null) && (object.status === 'pending')) {
+        object.status = 'processing';
+        this.#validateChallenge(object);
+      }
+      this.#sendJson(res, 200, this.#publicFormOf(object));
+    } else if (object.kind === 'order') {
+      this.#sendOrder(res, object, 200);
+    } else {
+      this.#sendJson(res, 200, this.#publicFormOf(object));
+    }
+  }
+
+  /**
+   * Handles a request to the server.
+   *
+   * @param {http.IncomingMessage} req The request.
+   * @param {http.ServerResponse} res The response.
+   */
+  async #handleRequest(req, res) {
+    try {
+      const path = req.url;
+
+      if (path === '/directory') {
+        this.#sendJson(res, 200, {
+          newNonce:   `${this.#baseUrl}/new-nonce`,
+          newAccount: `${this.#baseUrl}/new-account`,
+          newOrder:   `${this.#baseUrl}/new-order`
+        });
+        return;
+      } else if (path === '/new-nonce') {
+        res.setHeader('cache-control', 'no-store');
+        res.setHeader('replay-nonce', this.#makeNonce());
+        res.statusCode = (req.method === 'HEAD') ? 200 : 204;
+        res.end();
+        return;
+      } else if (req.method !== 'POST') {
+        this.#sendProblem(res, 405, 'malformed', 'Method not allowed.');
+        return;
+      }
+
+      const chunks = [];
+      for await (const chunk of req) {
+        chunks.push(chunk);
+      }
+
+      const jws = this.#verifyJws(path, Buffer.concat(chunks).toString('utf-8'));
+
+      if (jws.problem) {
+        this.#sendProblem(res, 400, jws.problem, jws.detail);
+        return;
+      }
+
+      this.#handlePost(res, path, jws);
+    } catch (e) {
+      this.#sendProblem(res, 500, 'serverInternal', e.message);
+    }
+  }
+
+  /**
+   * Makes a certificate signed by the CA key.
+   *
+   * @param {string} commonName The subject common name.
+   * @param {Buffer} spki The DER-encoded subject public key info.
+   * @param {?Array<string>} hostnames Names to include as subject alternative
+   *   names, or `null` to make a CA certificate.
+   * @returns {Buffer} The DER-encoded certificate.
+   */
+  #makeCertificate(commonName, spki, hostnames) {
+    const algorithm  = Der.sequence(Der.objectId(MockAcmeServer.#OID_ECDSA_WITH_SHA256));
+    const now        = WallClock.now();
+    const notBefore  = now.addSec(-60).toDate();
+    const notAfter   = now.addSec(this.#validitySec).toDate();
+    const extensions = [];
+
+    if (hostnames === null) {
+      extensions.push(Der.sequence(
+        Der.objectId(MockAcmeServer.#OID_BASIC_CONSTRAINTS),
+        Der.boolean(true),
+        Der.octetString(Der.sequence(Der.boolean(true)))));
+    } else {
+      extensions.push(Der.sequence(
+        Der.objectId(MockAcmeServer.#OID_SUBJECT_ALT_NAME),
+        Der.octetString(Der.sequence(
+          ...hostnames.map((h) => Der.contextPrimitive(2, Buffer.from(h, 'latin1')))))));
+    }
+
+    const tbs = Der.sequence(
+      Der.context(0, Der.integer(2)),
+      Der.integer(crypto.randomBytes(8)),
+      algorithm,
+      MockAcmeServer.#nameFor(MockAcmeServer.#CA_NAME),
+      Der.sequence(Der.generalizedTime(notBefore), Der.generalizedTime(notAfter)),
+      MockAcmeServer.#nameFor(commonName),
+      spki,
+      Der.context(3, Der.sequence(...extensions)));
+
+    const signature = crypto.sign('sha256', tbs, this.#caKey);
+
+    return Der.sequence(tbs, algorithm, Der.bitString(signature));
+  }
+
+  /**
+   * Makes and remembers a new nonce.
+   *
+   * @returns {string} The nonce.
+   */
+  #makeNonce() {
+    const nonce = crypto.randomBytes(16).toString('base64url');
+
+    this.#nonces.add(nonce);
+    return nonce;
+  }
+
+  /**
+   * Makes a new order, along with its authorizations and challenges.
+   *
+   * @param {string} accountUrl The account URL.
+   * @param {Array<object>} identifiers The identifiers from the request.
+   * @returns {object} The order.
+   */
+  #makeOrder(accountUrl, identifiers) {
+    MustBe.arrayOf(identifiers, (i) => (i?.type === 'dns') && (typeof i.value === 'string'));
+
+    const orderPath = `/order/${this.#nextId++}`;
+    const order     = {
+      kind:       'order',
+      accountUrl,
+      status:     'pending',
+      identifiers,
+      authzPaths: [],
+      finalize:   `${this.#baseUrl}${orderPath}/finalize`
+    };
+
+    this.#objects.set(orderPath, order);
+
+    for (const identifier of identifiers) {
+      const authzPath = `/authz/${this.#nextId++}`;
+      const challPath = `/chall/${this.#nextId++}`;
+      const authz     = {
+        kind:       'authz',
+        accountUrl,
+        status:     'pending',
+        identifier,
+        orderPath,
+        challengePaths: [challPath]
+      };
+      const challenge = {
+        kind:       'challenge',
+        accountUrl,
+        type:       'http-01',
+        status:     'pending',
+        token:      crypto.randomBytes(16).toString('base64url'),
+        url:        `${this.#baseUrl}${challPath}`,
+        authzPath
+      };
+
+      order.authzPaths.push(authzPath);
+      this.#objects.set(authzPath, authz);
+      this.#objects.set(challPath, challenge);
+    }
+
+    return order;
+  }
+
+  /**
+   * Gets the form of an object to send to clients.
+   *
+   * @param {object} object The object.
+   * @returns {object} The public form.
+   */
+  #publicFormOf(object) {
+    switch (object.kind) {
+      case 'authz': {
+        const { status, identifier, challengePaths } = object;
+        return {
+          status,
+          identifier,
+          challenges: challengePaths.map((p) => this.#publicFormOf(this.#objects.get(p)))
+        };
+      }
+      case 'challenge': {
+        const { type, status, token, url, error } = object;
+        return { type, status, token, url, ...(error ? { error } : {}) };
+      }
+      default: {
+        const { status, identifiers, authzPaths, finalize, certificate } = object;
+        return {
+          status,
+          identifiers,
+          authorizations: authzPaths.map((p) => `${this.#baseUrl}${p}`),
+          finalize,
+          ...(certificate ? { certificate } : {})
+        };
+      }
+    }
+  }
+
+  /**
+   * Sends a JSON response.
+   *
+   * @param {http.ServerResponse} res The response.
+   * @param {number} status The status code.
+   * @param {object} body The body.
+   */
+  #sendJson(res, status, body) {
+    res.statusCode = status;
+    res.setHeader('content-type', 'application/json');
+    res.setHeader('replay-nonce', this.#makeNonce());
+    res.end(JSON.stringify(body));
+  }
+
+  /**
+   * Sends an order as a response.
+   *
+   * @param {http.ServerResponse} res The response.
+   * @param {object} order The order.
+   * @param {number} status The status code.
+   */
+  #sendOrder(res, order, status) {
+    const orderPath = order.finalize.slice(this.#baseUrl.length).replace(/[/]finalize$/, '');
+
+    res.setHeader('location', `${this.#baseUrl}${orderPath}`);
+    this.#sendJson(res, status, this.#publicFormOf(order));
+  }
+
+  /**
+   * Sends a problem document as a response.
+   *
+   * @param {http.ServerResponse} res The response.
+   * @param {number} status The status code.
+   * @param {string} type The problem type, without the standard prefix.
+   * @param {string} detail The problem detail.
+   */
+  #sendProblem(res, status, type, detail) {
+    res.statusCode = status;
+    res.setHeader('content-type', 'application/problem+json');
+    res.setHeader('replay-nonce', this.#makeNonce());
+    res.end(JSON.stringify({ type: `urn:ietf:params:acme:error:${type}`, detail }));
+  }
+
+  /**
+   * Gets the JWK thumbprint for the given account.
+   *
+   * @param {string} accountUrl The account URL.
+   * @returns {string} The thumbprint, in base64url form.
+   */
+  #thumbprintFor(accountUrl) {
+    const { crv, kty, x, y } = this.#accounts.get(accountUrl).export({ format: 'jwk' });
+
+    return crypto.createHash('sha256')
+      .update(JSON.stringify({ crv, kty, x, y }))
+      .digest('base64url');
+  }
+
+  /**
+   * Marks the order which refers to the given authorization as `ready`, if all
+   * of its authorizations are now valid, or `invalid` if the given one is.
+   *
+   * @param {object} authz The authorization which just changed state.
+   */
+  #updateOrderFor(authz) {
+    const order = this.#objects.get(authz.orderPath);
+
+    if (authz.status === 'invalid') {
+      order.status = 'invalid';
+    } else if (order.authzPaths.every((p) => this.#objects.get(p).status === 'valid')) {
+      order.status = 'ready';
+    }
+  }
+
+  /**
+   * Validates a challenge, updating its state (and its authorization's state)
+   * once done.
+   *
+   * @param {object} challenge The challenge.
+   */
+  async #validateChallenge(challenge) {
+    const authz    = this.#objects.get(challenge.authzPath);
+    const hostname = authz.identifier.value;
+    const expected = `${challenge.token}.${this.#thumbprintFor(challenge.accountUrl)}`;
+    let   error    = null;
+
+    try {
+      const body = await new Promise((resolve, reject) => {
+        const req = http.get({
+          host:    this.#challengeAddress,
+          port:    this.#challengePort,
+          path:    `/.well-known/acme-challenge/${challenge.token}`,
+          headers: { host: hostname }
+        }, async (res) => {
+          const chunks = [];
+          try {
+            for await (const chunk of res) {
+              chunks.push(chunk);
+            }
+            resolve((res.statusCode === 200) ? Buffer.concat(chunks).toString('utf-8').trim() : null);
+          } catch (e) {
+            reject(e);
+          }
+        });
+
+        req.once('error', reject);
+      });
+
+      if (body !== expected) {
+        error = `Wrong response for ${hostname}: ${body}`;
+      }
+    } catch (e) {
+      error = `Could not connect for ${hostname}: ${e.message}`;
+    }
+
+    if (error === null) {
+      challenge.status = 'valid';
+      authz.status     = 'valid';
+    } else {
+      challenge.status = 'invalid';
+      challenge.error  = { type: 'urn:ietf:params:acme:error:unauthorized', detail: error };
+      authz.status     = 'invalid';
+    }
+
+    this.#updateOrderFor(authz);
+  }
+
+  /**
+   * Verifies a JWS request body.
+   *
+   * @param {string} path The request path.
+   * @param {string} text The request body.
+   * @returns {object} The result, either with bindings for `accountUrl`,
+   *   `isNewAccount`, and `payload`; or for `problem` and `detail`.
+   */
+  #verifyJws(path, text) {
+    let header;
+    let jws;
+
+    try {
+      jws    = JSON.parse(text);
+      header = JSON.parse(Buffer.from(jws.protected, 'base64url').toString('utf-8'));
+    } catch (e) {
+      return { problem: 'malformed', detail: e.message };
+    }
+
+    if (!this.#nonces.delete(header.nonce)) {
+      return { problem: 'badNonce', detail: 'Unknown nonce.' };
+    } else if (header.url !== `${this.#baseUrl}${path}`) {
+      return { problem: 'unauthorized', detail: 'URL mismatch.' };
+    } else if (header.alg !== 'ES256') {
+      return { problem: 'badSignatureAlgorithm', detail: `Unsupported: ${header.alg}` };
+    }
+
+    let accountUrl   = header.kid ?? null;
+    let isNewAccount = false;
+    let key;
+
+    if (header.jwk) {
+      if (path !== '/new-account') {
+        return { problem: 'malformed', detail: 'Must use `kid`.' };
+      }
+
+      key = crypto.createPublicKey({ key: header.jwk, format: 'jwk' });
+      for (const [url, k] of this.#accounts) {
+        if (k.equals(key)) {
+          accountUrl = url;
+          break;
+        }
+      }
+
+      if (accountUrl === null) {
+        accountUrl   = `${this.#baseUrl}/account/${this.#nextId++}`;
+        isNewAccount = true;
+      }
+    } else {
+      key = this.#accounts.get(accountUrl);
+      if (!key) {
+        return { problem: 'accountDoesNotExist', detail: 'Unknown account.' };
+      }
+    }
+
+    const signed = Buffer.from(`${jws.protected}.${jws.payload}`);
+    const sig    = Buffer.from(jws.signature, 'base64url');
+
+    if (!crypto.verify('sha256', signed, { key, dsaEncoding: 'ieee-p1363' }, sig)) {
+      return { problem: 'malformed', detail: 'Bad signature.' };
+    }
+
+    if (isNewAccount) {
+      this.#accounts.set(accountUrl, key);
+    }
+
+    const payload = (jws.payload === '')
+      ? null
+      : JSON.parse(Buffer.from(jws.payload, 'base64url').toString('utf-8'));
+
+    return { accountUrl, isNewAccount, payload };
+  }
+
+
+  //
+  // Static members
+  //
+
+  /**
+   * Common name of the CA.
+   *
+   * @type {string}
+   */
+  static #CA_NAME = 'Mock ACME CA';
+
+  /**
+   * Object ID for the `basicConstraints` extension.
+   *
+   * @type {string}
+   */
+  static #OID_BASIC_CONSTRAINTS = '2.5.29.19';
+
+  /**
+   * Object ID for the `commonName` attribute type.
+   *
+   * @type {string}
+   */
+  static #OID_COMMON_NAME = '2.5.4.3';
+
+  /**
+   * Object ID for the `ecdsa-with-SHA256` signature algorithm.
+   *
+   * @type {string}
+   */
+  static #OID_ECDSA_WITH_SHA256 = '1.2.840.10045.4.3.2';
+
+  /**
+   * Object ID for the `subjectAltName` extension.
+   *
+   * @type {string}
+   */
+  static #OID_SUBJECT_ALT_NAME = '2.5.29.17';
+
+  /**
+   * Makes a DER-encoded distinguished name consisting of just a common name.
+   *
+   * @param {string} commonName The common name.
+   * @returns {Buffer} The encoded name.
+   */
+  static #nameFor(commonName) {
+    return Der.sequence(
+      Der.set(Der.sequence(
+        Der.objectId(this.#OID_COMMON_NAME),
+        Der.utf8String(commonName))));
+  }
+
+  /**
+   * Converts a DER-encoded certificate to PEM form.
+   *
+   * @param {Buffer} der The certificate.
+   * @returns {string} The PEM form.
+   */
+  static #pemFrom(der) {
+    const lines = der.toString('base64').match(/.{1,64}/g);
+
+    return `-----BEGIN CERTIFICATE-----\n${lines.join('\n')}\n-----END CERTIFICATE-----\n`;
+  }
+}
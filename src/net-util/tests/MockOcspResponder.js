@@ -0,0 +1,421 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import * as crypto from 'node:crypto';
+import * as http from 'node:http';
+
+import { WallClock } from '@this/clocky';
+import { MustBe } from '@this/typey';
+
+import { Der } from '#p/Der';
+
+
+/**
+ * Minimal in-process OCSP responder, which is expected to be used in testing
+ * scenarios. It speaks plain `http` on the loopback interface, and has its own
+ * per-instance throwaway certificate authority, which it uses both to issue
+ * certificates (which name this instance as their OCSP responder) and to sign
+ * its responses. Certificates it issued are reported as `good` unless they
+ * have been revoked (via {@link #revoke}), and all others are reported as
+ * `unknown`.
+ */
+export class MockOcspResponder {
+  /**
+   * The validity period of responses, in seconds.
+   *
+   * @type {number}
+   */
+  #validitySec;
+
+  /**
+   * The CA private key.
+   *
+   * @type {crypto.KeyObject}
+   */
+  #caKey;
+
+  /**
+   * The CA certificate, in DER form.
+   *
+   * @type {Buffer}
+   */
+  #caCertificate;
+
+  /**
+   * Serial numbers of issued certificates, as uppercase hex strings.
+   *
+   * @type {Set<string>}
+   */
+  #issued = new Set();
+
+  /**
+   * Serial numbers of revoked certificates, as uppercase hex strings.
+   *
+   * @type {Set<string>}
+   */
+  #revoked = new Set();
+
+  /**
+   * Count of requests received.
+   *
+   * @type {number}
+   */
+  #requestCount = 0;
+
+  /**
+   * The underlying server, or `null` if not running.
+   *
+   * @type {?http.Server}
+   */
+  #server = null;
+
+  /**
+   * The URL of the server, or `null` if not running.
+   *
+   * @type {?string}
+   */
+  #url = null;
+
+  /**
+   * Constructs an instance.
+   *
+   * @param {?object} [options] Options for the instance.
+   * @param {?number} [options.validitySec] Validity period of responses (that
+   *   is, the time between their `thisUpdate` and `nextUpdate`), in seconds.
+   *   Default one day.
+   */
+  constructor(options = null) {
+    const { validitySec = 24 * 60 * 60 } = options ?? {};
+
+    this.#validitySec = MustBe.number(validitySec, { finite: true, minExclusive: 0 });
+
+    const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    this.#caKey          = privateKey;
+    this.#caCertificate  = this.#makeCertificate(MockOcspResponder.#CA_NAME, privateKey, null);
+  }
+
+  /**
+   * @returns {string} The CA certificate which signs all issued certificates
+   * and all responses, in PEM form.
+   */
+  get caCertificate() {
+    return MockOcspResponder.#pemFrom(this.#caCertificate);
+  }
+
+  /** @returns {number} Count of requests received so far. */
+  get requestCount() {
+    return this.#requestCount;
+  }
+
+  /**
+   * @returns {string} The URL of the responder. This is only valid while the
+   * server is running.
+   */
+  get url() {
+    if (this.#url === null) {
+      throw new Error('Not running.');
+    }
+
+    return this.#url;
+  }
+
+  /**
+   * Issues a certificate which names this instance as its OCSP responder.
+   * This is only valid while the server is running.
+   *
+   * @param {Array<string>} hostnames Hostnames to cover. The first one is also
+   *   used as the subject common name.
+   * @returns {{ certificate: string, privateKey: string, serialNumber: string
+   *   }} The certificate chain (including the CA certificate) and private key,
+   *   both in PEM form, along with the serial number of the certificate (as
+   *   uppercase hex digits).
+   */
+  issueCertificate(hostnames) {
+    MustBe.arrayOfString(hostnames);
+
+    const { privateKey }   = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+    const certificate      = this.#makeCertificate(hostnames[0], privateKey, hostnames);
+    const { serialNumber } = new crypto.X509Certificate(certificate);
+
+    this.#issued.add(serialNumber.toUpperCase());
+
+    return {
+      certificate:  MockOcspResponder.#pemFrom(certificate) + this.caCertificate,
+      privateKey:   privateKey.export({ type: 'pkcs8', format: 'pem' }),
+      serialNumber: serialNumber.toUpperCase()
+    };
+  }
+
+  /**
+   * Marks a previously-issued certificate as revoked.
+   *
+   * @param {string} serialNumber Serial number of the certificate, as hex
+   *   digits.
+   */
+  revoke(serialNumber) {
+    this.#revoked.add(MustBe.string(serialNumber, /^[0-9a-fA-F]+$/).toUpperCase());
+  }
+
+  /**
+   * Starts the server, listening on an arbitrary port on the loopback
+   * interface.
+   */
+  async start() {
+    if (this.#server !== null) {
+      throw new Error('Already running.');
+    }
+
+    const server = http.createServer((req, res) => this.#handleRequest(req, res));
+
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(0, '127.0.0.1', () => {
+        server.removeListener('error', reject);
+        resolve();
+      });
+    });
+
+    this.#server = server;
+    this.#url    = `http://127.0.0.1:${server.address().port}/ocsp`;
+  }
+
+  /**
+   * Stops the server, if running.
+   */
+  async stop() {
+    const server = this.#server;
+
+    if (server === null) {
+      return;
+    }
+
+    this.#server = null;
+    this.#url    = null;
+
+    server.closeAllConnections();
+    await new Promise((resolve) => server.close(() => resolve()));
+  }
+
+  /**
+   * Handles a request to the server. Both `POST` requests and the `GET` form
+   * (with the base64-encoded request as the final path component) are
+   * accepted.
+   *
+   * @param {http.IncomingMessage} req The request.
+   * @param {http.ServerResponse} res The response.
+   */
+  async #handleRequest(req, res) {
+    this.#requestCount++;
+
+    let body;
+
+    try {
+      let request;
+
+      if (req.method === 'POST') {
+        const chunks = [];
+        for await (const chunk of req) {
+          chunks.push(chunk);
+        }
+        request = Buffer.concat(chunks);
+      } else {
+        request = Buffer.from(decodeURIComponent(req.url.replace(/^.*[/]/, '')), 'base64');
+      }
+
+      body = this.#makeResponse(Der.parse(request));
+    } catch {
+      // Respond with status `malformedRequest`.
+      body = Der.sequence(Der.enumerated(1));
+    }
+
+    res.statusCode = 200;
+    res.setHeader('content-type', 'application/ocsp-response');
+    res.end(body);
+  }
+
+  /**
+   * Makes a certificate signed by the CA key.
+   *
+   * @param {string} commonName The subject common name.
+   * @param {crypto.KeyObject} privateKey The subject's private key.
+   * @param {?Array<string>} hostnames Names to include as subject alternative
+   *   names, or `null` to make a CA certificate.
+   * @returns {Buffer} The DER-encoded certificate.
+   */
+  #makeCertificate(commonName, privateKey, hostnames) {
+    const algorithm  = Der.sequence(Der.objectId(MockOcspResponder.#OID_ECDSA_WITH_SHA256));
+    const spki       = crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'der' });
+    const now        = WallClock.now();
+    const notBefore  = now.addSec(-60).toDate();
+    const notAfter   = now.addSec(90 * 24 * 60 * 60).toDate();
+    const extensions = [];
+
+    if (hostnames === null) {
+      extensions.push(Der.sequence(
+        Der.objectId(MockOcspResponder.#OID_BASIC_CONSTRAINTS),
+        Der.boolean(true),
+        Der.octetString(Der.sequence(Der.boolean(true)))));
+    } else {
+      extensions.push(Der.sequence(
+        Der.objectId(MockOcspResponder.#OID_SUBJECT_ALT_NAME),
+        Der.octetString(Der.sequence(
+          ...hostnames.map((h) => Der.contextPrimitive(2, Buffer.from(h, 'latin1')))))));
+      extensions.push(Der.sequence(
+        Der.objectId(MockOcspResponder.#OID_AUTHORITY_INFO_ACCESS),
+        Der.octetString(Der.sequence(
+          Der.sequence(
+            Der.objectId(MockOcspResponder.#OID_OCSP),
+            Der.contextPrimitive(6, Buffer.from(this.url, 'latin1')))))));
+    }
+
+    const tbs = Der.sequence(
+      Der.context(0, Der.integer(2)),
+      Der.integer(crypto.randomBytes(8)),
+      algorithm,
+      MockOcspResponder.#nameFor(MockOcspResponder.#CA_NAME),
+      Der.sequence(Der.generalizedTime(notBefore), Der.generalizedTime(notAfter)),
+      MockOcspResponder.#nameFor(commonName),
+      spki,
+      Der.context(3, Der.sequence(...extensions)));
+
+    const signature = crypto.sign('sha256', tbs, this.#caKey);
+
+    return Der.sequence(tbs, algorithm, Der.bitString(signature));
+  }
+
+  /**
+   * Makes a successful response to the given request.
+   *
+   * @param {object} request The decoded request.
+   * @returns {Buffer} The DER-encoded response.
+   */
+  #makeResponse(request) {
+    const tbsRequest  = request.children[0];
+    const requestList = tbsRequest.children.find((c) => c.tag === 0x30);
+    const caSpki      = Der.parse(crypto.createPublicKey(this.#caKey).export({ type: 'spki', format: 'der' }));
+    const caKeyHash   = crypto.createHash('sha1').update(caSpki.children[1].contents.subarray(1)).digest();
+    const now         = WallClock.now();
+    const responses   = [];
+
+    for (const single of requestList.children) {
+      const certId  = single.children[0];
+      const keyHash = certId.children[2].contents;
+      const serial  = certId.children[3].contents.toString('hex').toUpperCase().replace(/^(?:00)+(?=.)/, '');
+      let   certStatus;
+
+      if (!keyHash.equals(caKeyHash) || !this.#issued.has(serial)) {
+        certStatus = Der.contextPrimitive(2, Buffer.alloc(0));
+      } else if (this.#revoked.has(serial)) {
+        certStatus = Der.context(1, Der.generalizedTime(now.addSec(-1).toDate()));
+      } else {
+        certStatus = Der.contextPrimitive(0, Buffer.alloc(0));
+      }
+
+      responses.push(Der.sequence(
+        certId.raw,
+        certStatus,
+        Der.generalizedTime(now.toDate()),
+        Der.context(0, Der.generalizedTime(now.addSec(this.#validitySec).toDate()))));
+    }
+
+    const algorithm = Der.sequence(Der.objectId(MockOcspResponder.#OID_ECDSA_WITH_SHA256));
+    const tbs       = Der.sequence(
+      Der.context(2, Der.octetString(caKeyHash)),
+      Der.generalizedTime(now.toDate()),
+      Der.sequence(...responses));
+    const signature = crypto.sign('sha256', tbs, this.#caKey);
+    const basic     = Der.sequence(tbs, algorithm, Der.bitString(signature));
+
+    return Der.sequence(
+      Der.enumerated(0),
+      Der.context(0, Der.sequence(
+        Der.objectId(MockOcspResponder.#OID_BASIC_RESPONSE),
+        Der.octetString(basic))));
+  }
+
+
+  //
+  // Static members
+  //
+
+  /**
+   * Common name of the CA.
+   *
+   * @type {string}
+   */
+  static #CA_NAME = 'Mock OCSP CA';
+
+  /**
+   * Object ID for the `authorityInfoAccess` extension.
+   *
+   * @type {string}
+   */
+  static #OID_AUTHORITY_INFO_ACCESS = '1.3.6.1.5.5.7.1.1';
+
+  /**
+   * Object ID for the `basicConstraints` extension.
+   *
+   * @type {string}
+   */
+  static #OID_BASIC_CONSTRAINTS = '2.5.29.19';
+
+  /**
+   * Object ID for the basic OCSP response type.
+   *
+   * @type {string}
+   */
+  static #OID_BASIC_RESPONSE = '1.3.6.1.5.5.7.48.1.1';
+
+  /**
+   * Object ID for the `commonName` attribute type.
+   *
+   * @type {string}
+   */
+  static #OID_COMMON_NAME = '2.5.4.3';
+
+  /**
+   * Object ID for the `ecdsa-with-SHA256` signature algorithm.
+   *
+   * @type {string}
+   */
+  static #OID_ECDSA_WITH_SHA256 = '1.2.840.10045.4.3.2';
+
+  /**
+   * Object ID for the OCSP access method (in `authorityInfoAccess`).
+   *
+   * @type {string}
+   */
+  static #OID_OCSP = '1.3.6.1.5.5.7.48.1';
+
+  /**
+   * Object ID for the `subjectAltName` extension.
+   *
+   * @type {string}
+   */
+  static #OID_SUBJECT_ALT_NAME = '2.5.29.17';
+
+  /**
+   * Makes a DER-encoded distinguished name consisting of just a common name.
+   *
+   * @param {string} commonName The common name.
+   * @returns {Buffer} The encoded name.
+   */
+  static #nameFor(commonName) {
+    return Der.sequence(
+      Der.set(Der.sequence(
+        Der.objectId(this.#OID_COMMON_NAME),
+        Der.utf8String(commonName))));
+  }
+
+  /**
+   * Converts a DER-encoded certificate to PEM form.
+   *
+   * @param {Buffer} der The certificate.
+   * @returns {string} The PEM form.
+   */
+  static #pemFrom(der) {
+    const lines = der.toString('base64').match(/.{1,64}/g);
+
+    return `-----BEGIN CERTIFICATE-----\n${lines.join('\n')}\n-----END CERTIFICATE-----\n`;
+  }
+}
@@ -0,0 +1,147 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { X509Certificate } from 'node:crypto';
+
+import { CertUtil, OcspUtil } from '@this/net-util';
+
+import { MockOcspResponder } from '#tests/MockOcspResponder';
+
+
+let responder;
+
+beforeEach(async () => {
+  responder = new MockOcspResponder();
+  await responder.start();
+});
+
+afterEach(async () => {
+  await responder.stop();
+});
+
+/**
+ * Issues a certificate from the responder, returning it and its issuer as
+ * `X509Certificate`s.
+ *
+ * @returns {object} The certificates and serial number.
+ */
+function issue() {
+  const { certificate, serialNumber } = responder.issueCertificate(['florp.example']);
+
+  return {
+    certificate: new X509Certificate(certificate),
+    issuer:      new X509Certificate(responder.caCertificate),
+    serialNumber
+  };
+}
+
+describe('getResponderUrl()', () => {
+  test('finds the responder named in a certificate', () => {
+    const { certificate } = issue();
+    expect(OcspUtil.getResponderUrl(certificate)).toBe(responder.url);
+  });
+
+  test('returns `null` for a certificate which does not name a responder', async () => {
+    const { certificate } = await CertUtil.makeSelfSignedPair(['florp.example']);
+    expect(OcspUtil.getResponderUrl(new X509Certificate(certificate))).toBeNull();
+  });
+
+  test('rejects a non-certificate', () => {
+    expect(() => OcspUtil.getResponderUrl('florp')).toThrow();
+  });
+});
+
+describe('makeRequest()', () => {
+  test('produces a buffer', () => {
+    const { certificate, issuer } = issue();
+    expect(OcspUtil.makeRequest(certificate, issuer)).toBeInstanceOf(Buffer);
+  });
+});
+
+describe('fetchResponse()', () => {
+  test('gets a `good` response for a valid certificate', async () => {
+    const { certificate, issuer } = issue();
+    const got = await OcspUtil.fetchResponse(certificate, issuer);
+
+    expect(got.status).toBe('good');
+    expect(got.response).toBeInstanceOf(Buffer);
+    expect(got.revokedAt).toBeNull();
+    expect(got.nextUpdate.atSec - got.thisUpdate.atSec).toBe(24 * 60 * 60);
+    expect(responder.requestCount).toBe(1);
+  });
+
+  test('gets a `revoked` response for a revoked certificate', async () => {
+    const { certificate, issuer, serialNumber } = issue();
+
+    responder.revoke(serialNumber);
+
+    const got = await OcspUtil.fetchResponse(certificate, issuer);
+
+    expect(got.status).toBe('revoked');
+    expect(got.revokedAt).not.toBeNull();
+  });
+
+  test('uses an explicit `responderUrl`', async () => {
+    const other = new MockOcspResponder();
+    await other.start();
+
+    try {
+      const { certificate, issuer } = issue();
+      await expect(OcspUtil.fetchResponse(certificate, issuer, { responderUrl: other.url })).toReject();
+      expect(other.requestCount).toBe(1);
+      expect(responder.requestCount).toBe(0);
+    } finally {
+      await other.stop();
+    }
+  });
+
+  test('rejects when there is no responder URL', async () => {
+    const { certificate } = await CertUtil.makeSelfSignedPair(['florp.example']);
+    const x509 = new X509Certificate(certificate);
+
+    await expect(OcspUtil.fetchResponse(x509, x509)).toReject();
+  });
+});
+
+describe('parseResponse()', () => {
+  test('rejects a response signed by the wrong issuer', async () => {
+    const { certificate, issuer } = issue();
+    const { response }            = await OcspUtil.fetchResponse(certificate, issuer);
+
+    const other = new MockOcspResponder();
+    const wrong = new X509Certificate(other.caCertificate);
+
+    expect(() => OcspUtil.parseResponse(response, certificate, wrong)).toThrow(/signature/);
+  });
+
+  test('rejects a response about a different certificate', async () => {
+    const { certificate, issuer } = issue();
+    const { certificate: other }  = issue();
+    const { response }            = await OcspUtil.fetchResponse(certificate, issuer);
+
+    expect(() => OcspUtil.parseResponse(response, other, issuer)).toThrow(/not about/);
+  });
+
+  test('rejects an expired response', async () => {
+    const { certificate, issuer } = issue();
+    const { response, nextUpdate } = await OcspUtil.fetchResponse(certificate, issuer);
+
+    expect(() => OcspUtil.parseResponse(response, certificate, issuer, nextUpdate.addSec(1)))
+      .toThrow(/expired/);
+  });
+
+  test('rejects garbage', () => {
+    const { certificate, issuer } = issue();
+
+    expect(() => OcspUtil.parseResponse(Buffer.from('florp'), certificate, issuer)).toThrow(/Malformed/);
+  });
+
+  test('rejects an unsuccessful response', () => {
+    const { certificate, issuer } = issue();
+
+    // This is what is returned for `malformedRequest`.
+    const response = Buffer.from([0x30, 0x03, 0x0a, 0x01, 0x01]);
+
+    expect(() => OcspUtil.parseResponse(response, certificate, issuer)).toThrow(/Unsuccessful/);
+  });
+});
@@ -0,0 +1,83 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { X509Certificate } from 'node:crypto';
+
+import { CertUtil, PeerCertificate } from '@this/net-util';
+import { Sexp } from '@this/sexp';
+
+
+const VALID_OPTIONS = {
+  fingerprint:     'AB:CD:EF:01',
+  issuer:          'O=Example, CN=Example CA',
+  serialNumber:    '0123ABCD',
+  subject:         'O=Example, CN=admin',
+  subjectAltNames: ['DNS:admin.example.com', 'email:admin@example.com']
+};
+
+describe('constructor', () => {
+  test('accepts valid options', () => {
+    expect(() => new PeerCertificate(VALID_OPTIONS)).not.toThrow();
+  });
+
+  test('accepts missing `subjectAltNames`', () => {
+    const { subjectAltNames: _unused, ...options } = VALID_OPTIONS;
+    const cert = new PeerCertificate(options);
+
+    expect(cert.subjectAltNames).toEqual([]);
+  });
+
+  test.each`
+  name                 | value
+  ${'fingerprint'}     | ${'abcd'}
+  ${'fingerprint'}     | ${'AB:CD:'}
+  ${'issuer'}          | ${123}
+  ${'serialNumber'}    | ${'xyz'}
+  ${'subject'}         | ${null}
+  ${'subjectAltNames'} | ${['florp']}
+  `('rejects invalid `$name`: $value', ({ name, value }) => {
+    expect(() => new PeerCertificate({ ...VALID_OPTIONS, [name]: value })).toThrow();
+  });
+});
+
+describe('accessors', () => {
+  test('return the constructed values', () => {
+    const cert = new PeerCertificate(VALID_OPTIONS);
+
+    expect(cert.fingerprint).toBe(VALID_OPTIONS.fingerprint);
+    expect(cert.issuer).toBe(VALID_OPTIONS.issuer);
+    expect(cert.serialNumber).toBe(VALID_OPTIONS.serialNumber);
+    expect(cert.subject).toBe(VALID_OPTIONS.subject);
+    expect(cert.subjectAltNames).toEqual(VALID_OPTIONS.subjectAltNames);
+    expect(cert.subjectAltNames).toBeFrozen();
+  });
+});
+
+describe('deconstruct()', () => {
+  test('returns a `Sexp` with all the properties', () => {
+    const cert = new PeerCertificate(VALID_OPTIONS);
+    const got  = cert.deconstruct();
+
+    expect(got).toBeInstanceOf(Sexp);
+    expect(got.functor).toBe(PeerCertificate);
+    expect(got.args).toEqual([VALID_OPTIONS]);
+  });
+});
+
+describe('fromX509Certificate()', () => {
+  test('rejects a non-certificate', () => {
+    expect(() => PeerCertificate.fromX509Certificate('florp')).toThrow();
+  });
+
+  test('converts a certificate', async () => {
+    const { certificate } = await CertUtil.makeSelfSignedPair(['florp.example']);
+    const x509 = new X509Certificate(certificate);
+    const got  = PeerCertificate.fromX509Certificate(x509);
+
+    expect(got.subject).toBe('CN=florp.example');
+    expect(got.issuer).toBe('CN=florp.example');
+    expect(got.subjectAltNames).toEqual(['DNS:florp.example']);
+    expect(got.fingerprint).toBe(x509.fingerprint256);
+    expect(got.serialNumber).toBe(x509.serialNumber.toUpperCase());
+  });
+});
@@ -0,0 +1,201 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { EndpointAddress, ProxyHeader } from '@this/net-util';
+
+
+/**
+ * Makes a version 2 header.
+ *
+ * @param {number} command The command nybble.
+ * @param {number} family The address family byte.
+ * @param {Array<number>} addrBytes The address block bytes.
+ * @returns {Buffer} The header.
+ */
+function v2Header(command, family, addrBytes) {
+  const fixed = Buffer.from([
+    0x0d, 0x0a, 0x0d, 0x0a, 0x00, 0x0d, 0x0a, 0x51, 0x55, 0x49, 0x54, 0x0a,
+    0x20 | command, family, addrBytes.length >> 8, addrBytes.length & 0xff
+  ]);
+
+  return Buffer.concat([fixed, Buffer.from(addrBytes)]);
+}
+
+const V2_IPV4_ADDRS = [
+  1, 2, 3, 4,   // Source address.
+  5, 6, 7, 8,   // Destination address.
+  0x30, 0x39,   // Source port (12345).
+  0x01, 0xbb    // Destination port (443).
+];
+
+describe('constructor', () => {
+  test('accepts valid arguments', () => {
+    const source = new EndpointAddress('1.2.3.4', 99);
+    const header = new ProxyHeader({ length: 20, version: 2, source });
+
+    expect(header.length).toBe(20);
+    expect(header.version).toBe(2);
+    expect(header.source).toBe(source);
+    expect(header.destination).toBeNull();
+  });
+
+  test.each`
+  args
+  ${{ length: 0, version: 1 }}
+  ${{ length: 10, version: 3 }}
+  ${{ length: 10, version: 1, source: '1.2.3.4' }}
+  `('rejects $args', ({ args }) => {
+    expect(() => new ProxyHeader(args)).toThrow();
+  });
+});
+
+describe('parse()', () => {
+  test('rejects a non-buffer', () => {
+    expect(() => ProxyHeader.parse('PROXY UNKNOWN\r\n')).toThrow();
+  });
+
+  test.each`
+  data
+  ${'GET / HTTP/1.1\r\n'}
+  ${'\x16\x03\x01'}
+  ${'proxy TCP4 1.2.3.4 5.6.7.8 1 2\r\n'}
+  `('rejects non-PROXY data: $data', ({ data }) => {
+    expect(() => ProxyHeader.parse(Buffer.from(data, 'latin1'))).toThrow();
+  });
+
+  describe('version 1', () => {
+    test('parses a TCP4 header', () => {
+      const data   = Buffer.from('PROXY TCP4 1.2.3.4 5.6.7.8 12345 443\r\nGET /', 'latin1');
+      const header = ProxyHeader.parse(data);
+
+      expect(header.version).toBe(1);
+      expect(header.length).toBe(data.indexOf('GET'));
+      expect(header.source.address).toBe('1.2.3.4');
+      expect(header.source.portNumber).toBe(12345);
+      expect(header.destination.address).toBe('5.6.7.8');
+      expect(header.destination.portNumber).toBe(443);
+    });
+
+    test('parses a TCP6 header', () => {
+      const header = ProxyHeader.parse(Buffer.from('PROXY TCP6 fd00::1 fd00::2 1 2\r\n', 'latin1'));
+
+      expect(header.source.address).toBe('fd00::1');
+      expect(header.destination.address).toBe('fd00::2');
+    });
+
+    test('parses an `UNKNOWN` header', () => {
+      const header = ProxyHeader.parse(Buffer.from('PROXY UNKNOWN whatever\r\n', 'latin1'));
+
+      expect(header.version).toBe(1);
+      expect(header.length).toBe(24);
+      expect(header.source).toBeNull();
+      expect(header.destination).toBeNull();
+    });
+
+    test.each`
+    data
+    ${'P'}
+    ${'PROXY'}
+    ${'PROXY '}
+    ${'PROXY TCP4 1.2.3.4 5.6.7.8 1 2'}
+    ${'PROXY TCP4 1.2.3.4 5.6.7.8 1 2\r'}
+    `('returns `null` given an incomplete header: $data', ({ data }) => {
+      expect(ProxyHeader.parse(Buffer.from(data, 'latin1'))).toBeNull();
+    });
+
+    test.each`
+    data
+    ${'PROXY TCP4 1.2.3.4 5.6.7.8 1\r\n'}
+    ${'PROXY TCP4 1.2.3.4 5.6.7.8 1 2 3\r\n'}
+    ${'PROXY UDP4 1.2.3.4 5.6.7.8 1 2\r\n'}
+    ${'PROXY TCP4 fd00::1 fd00::2 1 2\r\n'}
+    ${'PROXY TCP6 1.2.3.4 5.6.7.8 1 2\r\n'}
+    ${'PROXY TCP4 1.2.3.4 5.6.7.8 01 2\r\n'}
+    ${'PROXY TCP4 1.2.3.4 5.6.7.8 1 65536\r\n'}
+    ${'PROXY TCP4 florp 5.6.7.8 1 2\r\n'}
+    ${'PROXY TCP4  1.2.3.4 5.6.7.8 1 2\r\n'}
+    `('rejects an invalid header: $data', ({ data }) => {
+      expect(() => ProxyHeader.parse(Buffer.from(data, 'latin1'))).toThrow();
+    });
+
+    test('rejects an overlong header', () => {
+      const data = Buffer.from(`PROXY UNKNOWN ${'x'.repeat(100)}`, 'latin1');
+      expect(() => ProxyHeader.parse(data)).toThrow();
+    });
+
+    test('treats a port of `0` as unknown', () => {
+      const header = ProxyHeader.parse(Buffer.from('PROXY TCP4 1.2.3.4 5.6.7.8 0 2\r\n', 'latin1'));
+      expect(header.source.portNumber).toBeNull();
+    });
+  });
+
+  describe('version 2', () => {
+    test('parses an IPv4 header', () => {
+      const data   = Buffer.concat([v2Header(1, 0x11, V2_IPV4_ADDRS), Buffer.from('xyz')]);
+      const header = ProxyHeader.parse(data);
+
+      expect(header.version).toBe(2);
+      expect(header.length).toBe(28);
+      expect(header.source.address).toBe('1.2.3.4');
+      expect(header.source.portNumber).toBe(12345);
+      expect(header.destination.address).toBe('5.6.7.8');
+      expect(header.destination.portNumber).toBe(443);
+    });
+
+    test('parses an IPv6 header', () => {
+      const addrs = [
+        0xfd, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 1,
+        0xfd, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 2,
+        0, 1, 0, 2
+      ];
+      const header = ProxyHeader.parse(v2Header(1, 0x21, addrs));
+
+      expect(header.length).toBe(52);
+      expect(header.source.address).toBe('fd00::1');
+      expect(header.source.portNumber).toBe(1);
+      expect(header.destination.address).toBe('fd00::2');
+      expect(header.destination.portNumber).toBe(2);
+    });
+
+    test('skips over TLVs after the addresses', () => {
+      const header = ProxyHeader.parse(v2Header(1, 0x11, [...V2_IPV4_ADDRS, 0x04, 0, 1, 0]));
+
+      expect(header.length).toBe(32);
+      expect(header.source.address).toBe('1.2.3.4');
+    });
+
+    test('parses a `LOCAL` header', () => {
+      const header = ProxyHeader.parse(v2Header(0, 0x00, []));
+
+      expect(header.length).toBe(16);
+      expect(header.source).toBeNull();
+      expect(header.destination).toBeNull();
+    });
+
+    test('parses a Unix domain socket header', () => {
+      const header = ProxyHeader.parse(v2Header(1, 0x31, new Array(216).fill(0)));
+
+      expect(header.length).toBe(232);
+      expect(header.source).toBeNull();
+    });
+
+    test('returns `null` given an incomplete header', () => {
+      const data = v2Header(1, 0x11, V2_IPV4_ADDRS);
+
+      for (let i = 1; i < data.length; i++) {
+        expect(ProxyHeader.parse(data.subarray(0, i))).toBeNull();
+      }
+    });
+
+    test.each`
+    label                         | data
+    ${'a bad version'}            | ${Buffer.from([...v2Header(1, 0x11, []).subarray(0, 12), 0x11, 0x11, 0, 0])}
+    ${'a bad command'}            | ${v2Header(2, 0x11, V2_IPV4_ADDRS)}
+    ${'a bad address family'}     | ${v2Header(1, 0x41, V2_IPV4_ADDRS)}
+    ${'too-short IPv4 addresses'} | ${v2Header(1, 0x11, [1, 2, 3, 4])}
+    ${'too-short IPv6 addresses'} | ${v2Header(1, 0x21, V2_IPV4_ADDRS)}
+    `('rejects a header with $label', ({ data }) => {
+      expect(() => ProxyHeader.parse(data)).toThrow();
+    });
+  });
+});
@@ -0,0 +1,478 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { Readable } from 'node:stream';
+
+import { MultipartFormData, RequestBody } from '@this/net-util';
+
+
+/**
+ * Makes an async-iterable source which produces the given chunks.
+ *
+ * @param {Array<string|Buffer>} chunks The chunks.
+ * @returns {object} The source, an async-iterable of `Buffer`s.
+ */
+function makeSource(chunks) {
+  return (async function* () {
+    for (const c of chunks) {
+      yield Buffer.from(c, 'latin1');
+    }
+  })();
+}
+
+/**
+ * Makes a `multipart/form-data` body string.
+ *
+ * @param {string} boundary The boundary.
+ * @param {Array<{ headers: Array<string>, content: string }>} parts The parts.
+ * @returns {string} The body.
+ */
+function makeMultipart(boundary, parts) {
+  let result = 'This is the preamble.\r\n';
+
+  for (const { headers, content } of parts) {
+    result += `--${boundary}\r\n${headers.join('\r\n')}\r\n\r\n${content}\r\n`;
+  }
+
+  return `${result}--${boundary}--\r\nThis is the epilogue.\r\n`;
+}
+
+/**
+ * Gets the `status` from the error thrown by the given promise.
+ *
+ * @param {Promise} promise The promise.
+ * @returns {?number} The status.
+ */
+async function statusFrom(promise) {
+  try {
+    await promise;
+  } catch (e) {
+    return RequestBody.statusForError(e);
+  }
+
+  throw new Error('Expected an error.');
+}
+
+describe('constructor()', () => {
+  test('accepts a buffer', () => {
+    expect(() => new RequestBody(Buffer.from('x'))).not.toThrow();
+  });
+
+  test('accepts an async iterable', () => {
+    expect(() => new RequestBody(makeSource(['x']))).not.toThrow();
+  });
+
+  test('accepts all options', () => {
+    const opts = { contentLength: 1, contentType: 'text/plain', maxBytes: 100 };
+    expect(() => new RequestBody(makeSource(['x']), opts)).not.toThrow();
+  });
+
+  test.each`
+  label                 | source
+  ${'a string'}         | ${'florp'}
+  ${'a plain object'}   | ${{}}
+  ${'a sync iterable'}  | ${['x']}
+  `('rejects $label', ({ source }) => {
+    expect(() => new RequestBody(source)).toThrow();
+  });
+
+  test('rejects a negative `maxBytes`', () => {
+    expect(() => new RequestBody(Buffer.from('x'), { maxBytes: -1 })).toThrow();
+  });
+});
+
+describe('.consumed', () => {
+  test('is `true` for a buffer-based instance', () => {
+    expect(new RequestBody(Buffer.from('x')).consumed).toBeTrue();
+  });
+
+  test('is `false` for a stream-based instance, until it is read', async () => {
+    const body = new RequestBody(makeSource(['x']));
+
+    expect(body.consumed).toBeFalse();
+    await body.buffer();
+    expect(body.consumed).toBeTrue();
+  });
+});
+
+describe('.contentLength', () => {
+  test('is the buffer length for a buffer-based instance', () => {
+    expect(new RequestBody(Buffer.from('xyz')).contentLength).toBe(3);
+  });
+
+  test('is the passed value for a stream-based instance', () => {
+    const body = new RequestBody(makeSource([]), { contentLength: 123 });
+    expect(body.contentLength).toBe(123);
+  });
+});
+
+describe('[Symbol.asyncIterator]()', () => {
+  test('produces the chunks of the source', async () => {
+    const body   = new RequestBody(makeSource(['a', 'bc', 'def']));
+    const chunks = [];
+
+    for await (const chunk of body) {
+      chunks.push(chunk.toString());
+    }
+
+    expect(chunks).toEqual(['a', 'bc', 'def']);
+  });
+
+  test('throws if iterated a second time', async () => {
+    const body = new RequestBody(makeSource(['a']));
+
+    for await (const chunk_unused of body) {
+      // @emptyBlock
+    }
+
+    await expect(async () => {
+      for await (const chunk_unused of body) {
+        // @emptyBlock
+      }
+    }).rejects.toThrow(/already been consumed/);
+  });
+
+  test('rejects a too-large body, based on `contentLength`', async () => {
+    const body = new RequestBody(makeSource(['a']), { contentLength: 100, maxBytes: 10 });
+
+    expect(await statusFrom(body.buffer())).toBe(413);
+    expect(body.consumed).toBeFalse();
+  });
+
+  test('rejects a too-large body, based on the actual data', async () => {
+    const body = new RequestBody(makeSource(['abc', 'def']), { maxBytes: 5 });
+    expect(await statusFrom(body.buffer())).toBe(413);
+  });
+});
+
+describe('buffer()', () => {
+  test('returns the full body', async () => {
+    const body = new RequestBody(makeSource(['abc', 'def']));
+    expect((await body.buffer()).toString()).toBe('abcdef');
+  });
+
+  test('can be called more than once', async () => {
+    const body  = new RequestBody(makeSource(['abc', 'def']));
+    const first = await body.buffer();
+
+    expect(await body.buffer()).toBe(first);
+  });
+});
+
+describe('json()', () => {
+  test('parses valid JSON', async () => {
+    const body = new RequestBody(Buffer.from('{ "a": [1, 2, 3] }'));
+    expect(await body.json()).toEqual({ a: [1, 2, 3] });
+  });
+
+  test('rejects invalid JSON with a `400` status', async () => {
+    const body = new RequestBody(Buffer.from('{ "a": '));
+    expect(await statusFrom(body.json())).toBe(400);
+  });
+});
+
+describe('multipart()', () => {
+  let tempDirectory = null;
+
+  beforeEach(async () => {
+    tempDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'request-body-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDirectory, { force: true, recursive: true });
+    tempDirectory = null;
+  });
+
+  test('parses fields and files', async () => {
+    const text = makeMultipart('xyz', [
+      {
+        headers: ['Content-Disposition: form-data; name="a"'],
+        content: 'one'
+      },
+      {
+        headers: [
+          'Content-Disposition: form-data; name="f"; filename="x.txt"',
+          'Content-Type: text/plain'
+        ],
+        content: 'file\r\ncontents'
+      },
+      {
+        headers: ['content-disposition: form-data; name=a'],
+        content: 'two'
+      }
+    ]);
+
+    // Split into tiny chunks, to exercise delimiters that span chunks.
+    const chunks = text.match(/.{1,3}/gs);
+    const body   = new RequestBody(makeSource(chunks),
+      { contentType: 'multipart/form-data; boundary=xyz' });
+    const result = await body.multipart({ tempDirectory });
+
+    expect(result).toBeInstanceOf(MultipartFormData);
+    expect(result.fields.getAll('a')).toEqual(['one', 'two']);
+    expect(result.files.length).toBe(1);
+
+    const [file] = result.files;
+    expect(file.name).toBe('f');
+    expect(file.fileName).toBe('x.txt');
+    expect(file.contentType).toBe('text/plain');
+    expect(file.size).toBe(14);
+    expect(path.dirname(file.path)).toBe(result.directory);
+    expect(result.directory).toStartWith(tempDirectory);
+    expect(await fs.readFile(file.path, 'utf-8')).toBe('file\r\ncontents');
+
+    await result.removeFiles();
+    await expect(fs.stat(result.directory)).rejects.toThrow();
+  });
+
+  test('handles a quoted boundary and an extended file name', async () => {
+    const text = makeMultipart('a b', [
+      {
+        headers: ['Content-Disposition: form-data; name="f"; filename*=UTF-8\'\'%E2%9C%94.txt'],
+        content: ''
+      }
+    ]);
+
+    const body   = new RequestBody(Buffer.from(text),
+      { contentType: 'multipart/form-data; boundary="a b"' });
+    const result = await body.multipart({ tempDirectory });
+
+    expect(result.files[0].fileName).toBe('✔.txt');
+    expect(result.files[0].contentType).toBe('application/octet-stream');
+    expect(result.files[0].size).toBe(0);
+  });
+
+  test('produces no directory if there are no files', async () => {
+    const text = makeMultipart('xyz', [
+      { headers: ['Content-Disposition: form-data; name="a"'], content: '1' }
+    ]);
+
+    const body   = new RequestBody(Buffer.from(text),
+      { contentType: 'multipart/form-data; boundary=xyz' });
+    const result = await body.multipart({ tempDirectory });
+
+    expect(result.directory).toBeNull();
+    expect(await fs.readdir(tempDirectory)).toEqual([]);
+  });
+
+  test.each`
+  label                        | contentType                    | text
+  ${'no boundary'}             | ${'multipart/form-data'}       | ${'--xyz--\r\n'}
+  ${'a truncated body'}        | ${null}                        | ${'--xyz\r\nContent-Disposition: form-data; name="a"\r\n\r\nabc'}
+  ${'no content-disposition'}  | ${null}                        | ${makeMultipart('xyz', [{ headers: ['x: y'], content: 'z' }])}
+  ${'no field name'}           | ${null}                        | ${makeMultipart('xyz', [{ headers: ['Content-Disposition: form-data'], content: 'z' }])}
+  ${'a bad delimiter suffix'}  | ${null}                        | ${'--xyzQQ\r\n'}
+  `('rejects $label with a `400` status', async ({ contentType, text }) => {
+    const body = new RequestBody(Buffer.from(text),
+      { contentType: contentType ?? 'multipart/form-data; boundary=xyz' });
+
+    expect(await statusFrom(body.multipart({ tempDirectory }))).toBe(400);
+    expect(await fs.readdir(tempDirectory)).toEqual([]);
+  });
+
+  test.each`
+  label                 | options
+  ${'field too large'}  | ${{ maxFieldBytes: 2 }}
+  ${'file too large'}   | ${{ maxFileBytes: 2 }}
+  ${'too many parts'}   | ${{ maxParts: 1 }}
+  `('rejects with a `413` status for $label', async ({ options }) => {
+    const text = makeMultipart('xyz', [
+      { headers: ['Content-Disposition: form-data; name="f"; filename="x"'], content: 'abc' },
+      { headers: ['Content-Disposition: form-data; name="a"'], content: 'abc' }
+    ]);
+
+    const body = new RequestBody(Buffer.from(text),
+      { contentType: 'multipart/form-data; boundary=xyz' });
+
+    expect(await statusFrom(body.multipart({ ...options, tempDirectory }))).toBe(413);
+    expect(await fs.readdir(tempDirectory)).toEqual([]);
+  });
+});
+
+describe('parse()', () => {
+  test.each`
+  contentType                                    | text               | expected
+  ${'application/json'}                          | ${'[1]'}           | ${[1]}
+  ${'Application/JSON; charset=utf-8'}           | ${'{"a":1}'}       | ${{ a: 1 }}
+  ${'application/florp+json'}                    | ${'"x"'}           | ${'x'}
+  `('parses JSON for `$contentType`', async ({ contentType, text, expected }) => {
+    const body = new RequestBody(Buffer.from(text), { contentType });
+    expect(await body.parse()).toEqual(expected);
+  });
+
+  test('parses `application/x-www-form-urlencoded`', async () => {
+    const body   = new RequestBody(Buffer.from('a=1&b=two+words&a=3'),
+      { contentType: 'application/x-www-form-urlencoded' });
+    const result = await body.parse();
+
+    expect(result).toBeInstanceOf(URLSearchParams);
+    expect(result.getAll('a')).toEqual(['1', '3']);
+    expect(result.get('b')).toBe('two words');
+  });
+
+  test('parses `multipart/form-data`', async () => {
+    const text   = makeMultipart('xyz', [
+      { headers: ['Content-Disposition: form-data; name="a"'], content: '1' }
+    ]);
+    const body   = new RequestBody(Buffer.from(text),
+      { contentType: 'multipart/form-data; boundary=xyz' });
+    const result = await body.parse();
+
+    expect(result).toBeInstanceOf(MultipartFormData);
+    expect(result.fields.get('a')).toBe('1');
+  });
+
+  test.each`
+  contentType
+  ${null}
+  ${'text/plain'}
+  ${'application/octet-stream'}
+  `('rejects content type `$contentType` with a `415` status', async ({ contentType }) => {
+    const body = new RequestBody(Buffer.from('x'), { contentType });
+    expect(await statusFrom(body.parse())).toBe(415);
+  });
+});
+
+describe('removeFiles()', () => {
+  let tempDirectory = null;
+
+  beforeEach(async () => {
+    tempDirectory = await fs.mkdtemp(path.join(os.tmpdir(), 'request-body-test-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(tempDirectory, { force: true, recursive: true });
+    tempDirectory = null;
+  });
+
+  function makeBody() {
+    const text = makeMultipart('xyz', [
+      { headers: ['Content-Disposition: form-data; name="f"; filename="x"'], content: 'abc' }
+    ]);
+
+    return new RequestBody(Buffer.from(text),
+      { contentType: 'multipart/form-data; boundary=xyz' });
+  }
+
+  test('does nothing if `multipart()` was never called', async () => {
+    await expect(makeBody().removeFiles()).toResolve();
+  });
+
+  test('removes the files from all `multipart()` results', async () => {
+    const body    = makeBody();
+    const result1 = await body.multipart({ tempDirectory });
+    const result2 = await body.multipart({ tempDirectory });
+
+    expect(await fs.readdir(tempDirectory)).toBeArrayOfSize(2);
+    await body.removeFiles();
+    expect(await fs.readdir(tempDirectory)).toEqual([]);
+
+    expect(result1.files).toBeArrayOfSize(1);
+    expect(result2.files).toBeArrayOfSize(1);
+  });
+
+  test('removes the files from `multipart()` results of derived instances', async () => {
+    const body    = makeBody();
+    const derived = body.withMaxBytes(1000);
+
+    await derived.multipart({ tempDirectory });
+
+    expect(await fs.readdir(tempDirectory)).toBeArrayOfSize(1);
+    await body.removeFiles();
+    expect(await fs.readdir(tempDirectory)).toEqual([]);
+  });
+
+  test('can be called more than once', async () => {
+    const body = makeBody();
+
+    await body.multipart({ tempDirectory });
+    await body.removeFiles();
+    await expect(body.removeFiles()).toResolve();
+  });
+});
+
+describe('stream()', () => {
+  test('produces a readable stream of the body', async () => {
+    const body   = new RequestBody(makeSource(['abc', 'def']));
+    const stream = body.stream();
+    const chunks = [];
+
+    expect(stream).toBeInstanceOf(Readable);
+
+    for await (const chunk of stream) {
+      chunks.push(chunk);
+    }
+
+    expect(Buffer.concat(chunks).toString()).toBe('abcdef');
+  });
+});
+
+describe('text()', () => {
+  test('decodes as UTF-8 by default', async () => {
+    const body = new RequestBody(Buffer.from('✔ yes'));
+    expect(await body.text()).toBe('✔ yes');
+  });
+
+  test('decodes according to the `charset`', async () => {
+    const body = new RequestBody(Buffer.from([0xe9]), { contentType: 'text/plain; charset=iso-8859-1' });
+    expect(await body.text()).toBe('é');
+  });
+
+  test('rejects an unknown `charset` with a `415` status', async () => {
+    const body = new RequestBody(Buffer.from('x'), { contentType: 'text/plain; charset=florp' });
+    expect(await statusFrom(body.text())).toBe(415);
+  });
+
+  test('rejects invalid text with a `400` status', async () => {
+    const body = new RequestBody(Buffer.from([0xff, 0xfe, 0xfd]));
+    expect(await statusFrom(body.text())).toBe(400);
+  });
+});
+
+describe('urlEncoded()', () => {
+  test('parses the body, regardless of content type', async () => {
+    const body = new RequestBody(Buffer.from('x=%41'), { contentType: 'text/plain' });
+    expect((await body.urlEncoded()).get('x')).toBe('A');
+  });
+});
+
+describe('withMaxBytes()', () => {
+  test('returns `this` if the limit is not tighter', () => {
+    const body = new RequestBody(Buffer.from('x'), { maxBytes: 10 });
+
+    expect(body.withMaxBytes(10)).toBe(body);
+    expect(body.withMaxBytes(20)).toBe(body);
+  });
+
+  test('returns a limited instance which shares the source', async () => {
+    const body    = new RequestBody(makeSource(['abc']), { contentType: 'text/plain' });
+    const limited = body.withMaxBytes(2);
+
+    expect(limited).not.toBe(body);
+    expect(limited.maxBytes).toBe(2);
+    expect(limited.contentType).toBe('text/plain');
+    expect(await statusFrom(limited.buffer())).toBe(413);
+    expect(body.consumed).toBeTrue();
+  });
+
+  test('returns an instance that can read a cached buffer', async () => {
+    const body = new RequestBody(makeSource(['abc']));
+
+    await body.buffer();
+    expect((await body.withMaxBytes(3).buffer()).toString()).toBe('abc');
+    expect(await statusFrom(body.withMaxBytes(2).text())).toBe(413);
+  });
+});
+
+describe('statusForError()', () => {
+  test('returns `null` for a non-body error', () => {
+    expect(RequestBody.statusForError(new Error('x'))).toBeNull();
+  });
+
+  test('returns `null` for a non-error', () => {
+    expect(RequestBody.statusForError({ code: 'request-body-malformed', status: 400 })).toBeNull();
+  });
+});
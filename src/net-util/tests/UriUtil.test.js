@@ -43,6 +43,46 @@ describe('mustBeBasicUri()', () => {
   });
 });
 
+describe('parsePathPattern()', () => {
+  test.each`
+  path             | expectedPath           | wildcard
+  ${'/'}           | ${['']}                | ${false}
+  ${'/*'}          | ${[]}                  | ${true}
+  ${'/foo'}        | ${['foo']}             | ${false}
+  ${'/foo/'}       | ${['foo', '']}         | ${false}
+  ${'/foo/*'}      | ${['foo']}             | ${true}
+  ${'/foo/bar'}    | ${['foo', 'bar']}      | ${false}
+  ${'/a/b%20c/*'}  | ${['a', 'b%20c']}      | ${true}
+  ${'/x*y/z'}      | ${['x*y', 'z']}        | ${false}
+  `('parses `$path`', ({ path, expectedPath, wildcard }) => {
+    const got = UriUtil.parsePathPattern(path);
+
+    expect(got).toBeInstanceOf(PathKey);
+    expect(got.path).toEqual(expectedPath);
+    expect(got.wildcard).toBe(wildcard);
+  });
+
+  test.each`
+  path
+  ${''}
+  ${'foo'}
+  ${'foo/bar'}
+  ${'//'}
+  ${'/foo//bar'}
+  ${'/./foo'}
+  ${'/foo/..'}
+  ${'/*/foo'}
+  ${'/foo/**'}
+  ${'/foo bar'}
+  `('rejects `$path`', ({ path }) => {
+    expect(() => UriUtil.parsePathPattern(path)).toThrow();
+  });
+
+  test('rejects a non-string', () => {
+    expect(() => UriUtil.parsePathPattern(['/florp'])).toThrow();
+  });
+});
+
 describe('pathStringFrom()', () => {
   describe.each`
   relArg     | label
@@ -0,0 +1,500 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { Duplex } from 'node:stream';
+import { setImmediate } from 'node:timers/promises';
+
+import { WebSocketConnection } from '@this/net-util';
+
+
+/**
+ * Makes a duplex stream which records everything written to it, and which lets
+ * the test push "client" data to be read.
+ *
+ * @returns {{ stream: Duplex, written: Array<Buffer> }} The stream and the
+ *   array it writes to.
+ */
+function makeStream() {
+  const written = [];
+  const stream  = new Duplex({
+    read() {
+      // @emptyBlock
+    },
+    write(chunk, encoding_unused, callback) {
+      written.push(chunk);
+      callback();
+    }
+  });
+
+  return { stream, written };
+}
+
+/**
+ * Makes a masked (client-to-server) frame.
+ *
+ * @param {number} opcode The opcode.
+ * @param {string|Buffer} payload The payload.
+ * @param {?object} [options] Options.
+ * @param {?boolean} [options.fin] Is this the final frame of a message?
+ *   Default `true`.
+ * @param {?boolean} [options.masked] Is this frame masked? Default `true`.
+ * @returns {Buffer} The frame.
+ */
+function makeFrame(opcode, payload, { fin = true, masked = true } = {}) {
+  const data   = Buffer.from(payload);
+  const mask   = Buffer.from([0x12, 0x34, 0x56, 0x78]);
+  const length = data.length;
+  let   header;
+
+  if (length < 126) {
+    header = Buffer.from([0, length]);
+  } else {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(length, 2);
+  }
+
+  header[0] = (fin ? 0x80 : 0) | opcode;
+
+  if (!masked) {
+    return Buffer.concat([header, data]);
+  }
+
+  header[1] |= 0x80;
+
+  const maskedData = Buffer.from(data);
+  for (let i = 0; i < length; i++) {
+    maskedData[i] ^= mask[i & 3];
+  }
+
+  return Buffer.concat([header, mask, maskedData]);
+}
+
+/**
+ * Makes a close frame payload.
+ *
+ * @param {number} code The close code.
+ * @param {string} [reason] The reason.
+ * @returns {Buffer} The payload.
+ */
+function closePayload(code, reason = '') {
+  const result = Buffer.alloc(2);
+  result.writeUInt16BE(code);
+  return Buffer.concat([result, Buffer.from(reason)]);
+}
+
+describe('constructor()', () => {
+  test('accepts a stream with no options', () => {
+    const { stream } = makeStream();
+    expect(() => new WebSocketConnection(stream)).not.toThrow();
+  });
+
+  test('accepts a stream with all options', () => {
+    const { stream } = makeStream();
+    const opts = { logger: null, maxMessageBytes: 100, protocol: 'chat' };
+    expect(() => new WebSocketConnection(stream, opts)).not.toThrow();
+  });
+
+  test('rejects a non-stream', () => {
+    expect(() => new WebSocketConnection({})).toThrow();
+  });
+
+  test.each`
+  value
+  ${-1}
+  ${1.5}
+  ${'100'}
+  `('rejects `maxMessageBytes === $value`', ({ value }) => {
+    const { stream } = makeStream();
+    expect(() => new WebSocketConnection(stream, { maxMessageBytes: value })).toThrow();
+  });
+});
+
+describe('.protocol', () => {
+  test('is `null` by default', () => {
+    const { stream } = makeStream();
+    expect(new WebSocketConnection(stream).protocol).toBeNull();
+  });
+
+  test('is the value passed in the constructor', () => {
+    const { stream } = makeStream();
+    expect(new WebSocketConnection(stream, { protocol: 'chat' }).protocol).toBe('chat');
+  });
+});
+
+describe('receive()', () => {
+  test('receives a text message as a string', async () => {
+    const { stream } = makeStream();
+    const conn       = new WebSocketConnection(stream);
+
+    stream.push(makeFrame(0x1, 'Hello!'));
+    expect(await conn.receive()).toBe('Hello!');
+  });
+
+  test('receives a binary message as a buffer', async () => {
+    const { stream } = makeStream();
+    const conn       = new WebSocketConnection(stream);
+    const data       = Buffer.from([1, 2, 3, 255]);
+
+    stream.push(makeFrame(0x2, data));
+
+    const got = await conn.receive();
+    expect(got).toBeInstanceOf(Buffer);
+    expect(got).toEqual(data);
+  });
+
+  test('receives a message with a 16-bit length', async () => {
+    const { stream } = makeStream();
+    const conn       = new WebSocketConnection(stream);
+    const text       = 'x'.repeat(1000);
+
+    stream.push(makeFrame(0x1, text));
+    expect(await conn.receive()).toBe(text);
+  });
+
+  test('receives a message split across multiple chunks', async () => {
+    const { stream } = makeStream();
+    const conn       = new WebSocketConnection(stream);
+    const frame      = makeFrame(0x1, 'Split up!');
+
+    stream.push(frame.subarray(0, 1));
+    stream.push(frame.subarray(1, 5));
+    stream.push(frame.subarray(5));
+    expect(await conn.receive()).toBe('Split up!');
+  });
+
+  test('receives multiple messages in one chunk', async () => {
+    const { stream } = makeStream();
+    const conn       = new WebSocketConnection(stream);
+
+    stream.push(Buffer.concat([makeFrame(0x1, 'one'), makeFrame(0x1, 'two')]));
+    expect(await conn.receive()).toBe('one');
+    expect(await conn.receive()).toBe('two');
+  });
+
+  test('reassembles a fragmented message', async () => {
+    const { stream } = makeStream();
+    const conn       = new WebSocketConnection(stream);
+
+    stream.push(makeFrame(0x1, 'Frag', { fin: false }));
+    stream.push(makeFrame(0x0, 'men', { fin: false }));
+    stream.push(makeFrame(0x0, 'ted!'));
+    expect(await conn.receive()).toBe('Fragmented!');
+  });
+
+  test('handles a ping interleaved in a fragmented message', async () => {
+    const { stream, written } = makeStream();
+    const conn                = new WebSocketConnection(stream);
+
+    stream.push(makeFrame(0x1, 'Frag', { fin: false }));
+    stream.push(makeFrame(0x9, 'ping!'));
+    stream.push(makeFrame(0x0, 'ment'));
+    expect(await conn.receive()).toBe('Fragment');
+    expect(Buffer.concat(written)).toEqual(Buffer.from('\x8a\x05ping!', 'latin1'));
+  });
+
+  test('returns `null` after the other side closes', async () => {
+    const { stream } = makeStream();
+    const conn       = new WebSocketConnection(stream);
+
+    stream.push(makeFrame(0x1, 'Last one.'));
+    stream.push(makeFrame(0x8, closePayload(1000)));
+    expect(await conn.receive()).toBe('Last one.');
+    expect(await conn.receive()).toBeNull();
+  });
+});
+
+describe('[Symbol.asyncIterator]()', () => {
+  test('yields all messages until closed', async () => {
+    const { stream } = makeStream();
+    const conn       = new WebSocketConnection(stream);
+
+    stream.push(makeFrame(0x1, 'a'));
+    stream.push(makeFrame(0x2, 'b'));
+    stream.push(makeFrame(0x1, 'c'));
+    stream.push(makeFrame(0x8, closePayload(1000)));
+
+    const got = [];
+    for await (const message of conn) {
+      got.push(message);
+    }
+
+    expect(got).toEqual(['a', Buffer.from('b'), 'c']);
+  });
+});
+
+describe('send()', () => {
+  test('sends a string as a text frame', async () => {
+    const { stream, written } = makeStream();
+    const conn                = new WebSocketConnection(stream);
+
+    await conn.send('Hi!');
+    expect(Buffer.concat(written)).toEqual(Buffer.from('\x81\x03Hi!', 'latin1'));
+    expect(conn.bytesWritten).toBe(5);
+  });
+
+  test('sends a buffer as a binary frame', async () => {
+    const { stream, written } = makeStream();
+    const conn                = new WebSocketConnection(stream);
+
+    await conn.send(Buffer.from([1, 2]));
+    expect(Buffer.concat(written)).toEqual(Buffer.from([0x82, 0x02, 1, 2]));
+  });
+
+  test('uses a 16-bit length when appropriate', async () => {
+    const { stream, written } = makeStream();
+    const conn                = new WebSocketConnection(stream);
+
+    await conn.send(Buffer.alloc(300));
+
+    const got = Buffer.concat(written);
+    expect(got.length).toBe(304);
+    expect(got.subarray(0, 4)).toEqual(Buffer.from([0x82, 126, 0x01, 0x2c]));
+  });
+
+  test('uses a 64-bit length when appropriate', async () => {
+    const { stream, written } = makeStream();
+    const conn                = new WebSocketConnection(stream);
+
+    await conn.send(Buffer.alloc(70000));
+
+    const got = Buffer.concat(written);
+    expect(got.length).toBe(70010);
+    expect(got.subarray(0, 10)).toEqual(
+      Buffer.from([0x82, 127, 0, 0, 0, 0, 0, 0x01, 0x11, 0x70]));
+  });
+
+  test('rejects a non-string non-buffer', async () => {
+    const { stream } = makeStream();
+    const conn       = new WebSocketConnection(stream);
+
+    await expect(conn.send(123)).rejects.toThrow();
+  });
+
+  test('throws after a close has been sent', async () => {
+    const { stream } = makeStream();
+    const conn       = new WebSocketConnection(stream);
+
+    stream.push(makeFrame(0x8, closePayload(1000)));
+    expect(await conn.receive()).toBeNull();
+    await expect(conn.send('Too late.')).rejects.toThrow();
+  });
+});
+
+describe('ping()', () => {
+  test('sends a ping frame', async () => {
+    const { stream, written } = makeStream();
+    const conn                = new WebSocketConnection(stream);
+
+    await conn.ping('boop');
+    expect(Buffer.concat(written)).toEqual(Buffer.from('\x89\x04boop', 'latin1'));
+  });
+
+  test('rejects a too-large payload', async () => {
+    const { stream } = makeStream();
+    const conn       = new WebSocketConnection(stream);
+
+    await expect(conn.ping('x'.repeat(126))).rejects.toThrow();
+  });
+});
+
+describe('close()', () => {
+  test('sends a close frame and waits for the connection to close', async () => {
+    const { stream, written } = makeStream();
+    const conn                = new WebSocketConnection(stream);
+
+    const result = conn.close(1001, 'Bye!');
+
+    await setImmediate();
+    expect(conn.closed).toBeFalse();
+    expect(Buffer.concat(written)).toEqual(Buffer.from('\x88\x06\x03\xe9Bye!', 'latin1'));
+
+    // Respond as the other side would.
+    stream.push(makeFrame(0x8, closePayload(1001)));
+    stream.push(null);
+
+    await expect(result).resolves.toBeUndefined();
+    expect(conn.closed).toBeTrue();
+    expect(conn.closeCode).toBe(1001);
+    expect(conn.closeReason).toBe('Bye!');
+  });
+
+  test.each`
+  code
+  ${999}
+  ${1004}
+  ${1005}
+  ${1006}
+  ${1015}
+  ${1016}
+  ${2000}
+  ${2999}
+  ${5000}
+  `('rejects invalid code $code', async ({ code }) => {
+    const { stream } = makeStream();
+    const conn       = new WebSocketConnection(stream);
+
+    await expect(conn.close(code)).rejects.toThrow();
+  });
+
+  test.each`
+  code
+  ${1000}
+  ${1003}
+  ${1007}
+  ${1011}
+  ${1012}
+  ${1013}
+  ${1014}
+  ${3000}
+  ${4999}
+  `('accepts valid code $code', async ({ code }) => {
+    const { stream, written } = makeStream();
+    const conn                = new WebSocketConnection(stream);
+    const result              = conn.close(code);
+
+    await setImmediate();
+    expect(Buffer.concat(written).readUInt16BE(2)).toBe(code);
+
+    stream.push(makeFrame(0x8, closePayload(code)));
+    stream.push(null);
+    await expect(result).resolves.toBeUndefined();
+  });
+});
+
+describe('handling of a close from the other side', () => {
+  test('echoes the close code', async () => {
+    const { stream, written } = makeStream();
+    const conn                = new WebSocketConnection(stream);
+
+    stream.push(makeFrame(0x8, closePayload(3000, 'Whee')));
+    stream.push(null);
+    await conn.whenClosed();
+
+    expect(Buffer.concat(written)).toEqual(Buffer.from('\x88\x02\x0b\xb8', 'latin1'));
+    expect(conn.closeCode).toBe(3000);
+    expect(conn.closeReason).toBe('Whee');
+  });
+
+  test.each`
+  code
+  ${1012}
+  ${1013}
+  ${1014}
+  `('accepts the registered code $code', async ({ code }) => {
+    const { stream, written } = makeStream();
+    const conn                = new WebSocketConnection(stream);
+
+    stream.push(makeFrame(0x8, closePayload(code)));
+    stream.push(null);
+    await conn.whenClosed();
+
+    expect(Buffer.concat(written).readUInt16BE(2)).toBe(code);
+    expect(conn.closeCode).toBe(code);
+  });
+
+  test('responds with `1000` to a close with no code', async () => {
+    const { stream, written } = makeStream();
+    const conn                = new WebSocketConnection(stream);
+
+    stream.push(makeFrame(0x8, ''));
+    stream.push(null);
+    await conn.whenClosed();
+
+    expect(Buffer.concat(written)).toEqual(Buffer.from('\x88\x02\x03\xe8', 'latin1'));
+    expect(conn.closeCode).toBe(1005);
+  });
+
+  test('reports `1006` when the stream ends without a close frame', async () => {
+    const { stream, written } = makeStream();
+    const conn                = new WebSocketConnection(stream);
+
+    stream.push(null);
+    await conn.whenClosed();
+
+    expect(written).toEqual([]);
+    expect(conn.closeCode).toBe(1006);
+  });
+});
+
+describe('protocol errors', () => {
+  async function expectFailure(frames, code, options = null) {
+    const { stream, written } = makeStream();
+    const conn                = new WebSocketConnection(stream, options);
+
+    for (const f of frames) {
+      stream.push(f);
+    }
+
+    expect(await conn.receive()).toBeNull();
+
+    const got = Buffer.concat(written);
+    expect(got.subarray(0, 2)).toEqual(Buffer.from([0x88, got[1]]));
+    expect(got.readUInt16BE(2)).toBe(code);
+    expect(conn.closeCode).toBe(code);
+  }
+
+  test('fails with `1002` on an unmasked frame', async () => {
+    await expectFailure([makeFrame(0x1, 'Hi!', { masked: false })], 1002);
+  });
+
+  test('fails with `1002` on reserved bits', async () => {
+    const frame = makeFrame(0x1, 'Hi!');
+    frame[0] |= 0x40;
+    await expectFailure([frame], 1002);
+  });
+
+  test('fails with `1002` on an unknown opcode', async () => {
+    await expectFailure([makeFrame(0x3, 'Hi!')], 1002);
+  });
+
+  test.each`
+  code
+  ${999}
+  ${1004}
+  ${1005}
+  ${1006}
+  ${1015}
+  ${2000}
+  ${5000}
+  `('fails with `1002` on a close frame with invalid code $code', async ({ code }) => {
+    await expectFailure([makeFrame(0x8, closePayload(code))], 1002);
+  });
+
+  test('fails with `1002` on a fragmented control frame', async () => {
+    await expectFailure([makeFrame(0x9, 'Hi!', { fin: false })], 1002);
+  });
+
+  test('fails with `1002` on an unexpected continuation frame', async () => {
+    await expectFailure([makeFrame(0x0, 'Hi!')], 1002);
+  });
+
+  test('fails with `1002` on a new message in the middle of a fragmented one', async () => {
+    await expectFailure([makeFrame(0x1, 'Hi', { fin: false }), makeFrame(0x1, 'Hi!')], 1002);
+  });
+
+  test('fails with `1007` on invalid UTF-8 in a text message', async () => {
+    await expectFailure([makeFrame(0x1, Buffer.from([0x41, 0xff, 0x42]))], 1007);
+  });
+
+  test('fails with `1009` on a too-large message', async () => {
+    await expectFailure([makeFrame(0x1, 'x'.repeat(11))], 1009, { maxMessageBytes: 10 });
+  });
+
+  test('fails with `1009` on a too-large fragmented message', async () => {
+    const frames = [
+      makeFrame(0x1, 'x'.repeat(6), { fin: false }),
+      makeFrame(0x0, 'x'.repeat(6))
+    ];
+
+    await expectFailure(frames, 1009, { maxMessageBytes: 10 });
+  });
+
+  test('does not fail on a message of exactly the maximum size', async () => {
+    const { stream } = makeStream();
+    const conn       = new WebSocketConnection(stream, { maxMessageBytes: 10 });
+
+    stream.push(makeFrame(0x1, 'x'.repeat(10)));
+    expect(await conn.receive()).toBe('x'.repeat(10));
+  });
+});
@@ -0,0 +1,289 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { Duplex } from 'node:stream';
+
+import { WallClock } from '@this/clocky';
+import { EndpointAddress, HttpHeaders, IncomingRequest, InterfaceAddress,
+  RequestContext, WebSocketConnection, WebSocketResponse }
+  from '@this/net-util';
+
+
+/**
+ * Makes a request with the given details.
+ *
+ * @param {string} protocolName The protocol name, e.g. `http-1.1`.
+ * @param {string} method The request method.
+ * @param {object} headers The (non-pseudo) headers.
+ * @param {object} [pseudoHeaders] Additional pseudo-headers.
+ * @returns {IncomingRequest} The request.
+ */
+function makeRequest(protocolName, method, headers, pseudoHeaders = {}) {
+  return new IncomingRequest({
+    context: new RequestContext(
+      new InterfaceAddress('127.0.0.1:123'),
+      new EndpointAddress('10.0.0.1', 10321)),
+    headers: new HttpHeaders(headers),
+    logger: null,
+    protocolName,
+    pseudoHeaders: new HttpHeaders({
+      method,
+      path: '/florp',
+      ...pseudoHeaders
+    })
+  });
+}
+
+/**
+ * Pushes the given data to be read from the given socket, after a short delay,
+ * and then ends the socket's readable side.
+ *
+ * @param {Duplex} socket The socket.
+ * @param {Array<number>} data The bytes to push.
+ */
+async function pushLaterAndEnd(socket, data) {
+  await WallClock.waitForMsec(10);
+  socket.push(Buffer.from(data));
+  socket.push(null);
+}
+
+/**
+ * Makes a mock HTTP1 low-level response object, along with the socket it
+ * writes to.
+ *
+ * @returns {{ res: object, socket: Duplex, written: Array<Buffer> }} The mock
+ *   response, its socket, and the array that the socket writes to.
+ */
+function makeHttp1Response() {
+  const written = [];
+  const socket  = new Duplex({
+    read() {
+      // @emptyBlock
+    },
+    write(chunk, encoding_unused, callback) {
+      written.push(Buffer.from(chunk));
+      callback();
+    }
+  });
+
+  const res = {
+    req: {
+      httpVersionMajor: 1,
+      headers: {
+        'sec-websocket-key': 'dGhlIHNhbXBsZSBub25jZQ=='
+      }
+    },
+    socket,
+    getHeaderNames() { return ['server']; },
+    getHeader(name) { return (name === 'server') ? 'florp/1.2' : undefined; },
+    detachSocket(s) {
+      if (s === this.socket) {
+        this.socket = null;
+      }
+    }
+  };
+
+  return { res, socket, written };
+}
+
+const HTTP1_HEADERS = {
+  'connection':            'Upgrade',
+  'upgrade':               'websocket',
+  'sec-websocket-key':     'dGhlIHNhbXBsZSBub25jZQ==',
+  'sec-websocket-version': '13'
+};
+
+describe('constructor()', () => {
+  test('accepts just a handler', () => {
+    expect(() => new WebSocketResponse(() => null)).not.toThrow();
+  });
+
+  test('accepts all options', () => {
+    const opts = {
+      logger:          null,
+      maxMessageBytes: 1000,
+      protocol:        'chat',
+      streamWrapper:   (s) => s
+    };
+
+    expect(() => new WebSocketResponse(() => null, opts)).not.toThrow();
+  });
+
+  test('rejects a non-function handler', () => {
+    expect(() => new WebSocketResponse('florp')).toThrow();
+  });
+
+  test('rejects an invalid `protocol`', () => {
+    expect(() => new WebSocketResponse(() => null, { protocol: 'a b' })).toThrow();
+  });
+
+  test('rejects a non-function `streamWrapper`', () => {
+    expect(() => new WebSocketResponse(() => null, { streamWrapper: 123 })).toThrow();
+  });
+});
+
+describe('.connection', () => {
+  test('is `null` before the response is written', () => {
+    expect(new WebSocketResponse(() => null).connection).toBeNull();
+  });
+});
+
+describe('.protocol', () => {
+  test('is the value passed in the constructor', () => {
+    const resp = new WebSocketResponse(() => null, { protocol: 'beep' });
+    expect(resp.protocol).toBe('beep');
+  });
+});
+
+describe('getInfoForLog()', () => {
+  test('works before the response is written', () => {
+    const info = new WebSocketResponse(() => null).getInfoForLog({}, null);
+
+    expect(info.ok).toBeTrue();
+    expect(info.statusCode).toBeNull();
+    expect(info.contentLength).toBeNull();
+    expect(info.webSocket).toBeNull();
+  });
+});
+
+describe('writeTo()', () => {
+  test('writes an HTTP1 handshake and runs the handler', async () => {
+    const { res, socket, written } = makeHttp1Response();
+
+    let gotConnection = null;
+    const handler = async (connection) => {
+      gotConnection = connection;
+      await connection.send('Hi!');
+    };
+
+    const resp   = new WebSocketResponse(handler, { protocol: 'chat' });
+    const result = resp.writeTo(res);
+
+    // Respond to the close as the other side would.
+    pushLaterAndEnd(socket, [0x88, 0x82, 0, 0, 0, 0, 0x03, 0xe8]);
+
+    expect(await result).toBeTrue();
+    expect(gotConnection).toBeInstanceOf(WebSocketConnection);
+    expect(resp.connection).toBe(gotConnection);
+    expect(gotConnection.protocol).toBe('chat');
+    expect(res.socket).toBeNull();
+
+    const text = Buffer.concat(written).toString('latin1');
+    expect(text).toStartWith(
+      'HTTP/1.1 101 Switching Protocols\r\n' +
+      'Server: florp/1.2\r\n' +
+      'Sec-WebSocket-Protocol: chat\r\n' +
+      'Upgrade: websocket\r\n' +
+      'Connection: Upgrade\r\n' +
+      'Sec-WebSocket-Accept: s3pPLMBiTxaQ9kYGzzhZRbK+xOo=\r\n' +
+      '\r\n' +
+      '\x81\x03Hi!' +
+      '\x88\x02\x03\xe8');
+
+    const info = resp.getInfoForLog(res, null);
+    expect(info.ok).toBeTrue();
+    expect(info.statusCode).toBe(101);
+    expect(info.contentLength).toBe(9);
+    expect(info.webSocket).toEqual({ bytesRead: 8, closeCode: 1000, closeReason: '' });
+  });
+
+  test('closes with `1011` when the handler throws', async () => {
+    const { res, socket, written } = makeHttp1Response();
+
+    const handler = async () => {
+      throw new Error('Oy!');
+    };
+
+    const resp   = new WebSocketResponse(handler);
+    const result = resp.writeTo(res);
+
+    pushLaterAndEnd(socket, [0x88, 0x82, 0, 0, 0, 0, 0x03, 0xf3]);
+
+    expect(await result).toBeTrue();
+    expect(Buffer.concat(written).toString('latin1')).toEndWith('\r\n\r\n\x88\x02\x03\xf3');
+
+    const info = resp.getInfoForLog(res, null);
+    expect(info.ok).toBeFalse();
+    expect(info.webSocket.closeCode).toBe(1011);
+  });
+
+  test('uses the `streamWrapper`', async () => {
+    const { res, socket } = makeHttp1Response();
+
+    let wrapped = null;
+    const streamWrapper = async (stream) => {
+      wrapped = stream;
+      return stream;
+    };
+
+    const resp   = new WebSocketResponse(() => null, { streamWrapper });
+    const result = resp.writeTo(res);
+
+    pushLaterAndEnd(socket, [0x88, 0x80, 0, 0, 0, 0]);
+
+    await result;
+    expect(wrapped).toBe(socket);
+  });
+});
+
+describe('acceptKeyFor()', () => {
+  test('produces the example value from RFC 6455', () => {
+    expect(WebSocketResponse.acceptKeyFor('dGhlIHNhbXBsZSBub25jZQ=='))
+      .toBe('s3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+  });
+
+  test('rejects a non-string', () => {
+    expect(() => WebSocketResponse.acceptKeyFor(123)).toThrow();
+  });
+});
+
+describe('isValidRequest()', () => {
+  test('accepts a valid HTTP1 request', () => {
+    const req = makeRequest('http-1.1', 'get', HTTP1_HEADERS);
+    expect(WebSocketResponse.isValidRequest(req)).toBeTrue();
+  });
+
+  test('accepts a valid HTTP2 request', () => {
+    const req = makeRequest('http-2.0', 'connect',
+      { 'sec-websocket-version': '13' },
+      { protocol: 'websocket' });
+    expect(WebSocketResponse.isValidRequest(req)).toBeTrue();
+  });
+
+  test.each`
+  label                      | headers
+  ${'no upgrade'}            | ${{ ...HTTP1_HEADERS, connection: 'keep-alive' }}
+  ${'different upgrade'}     | ${{ ...HTTP1_HEADERS, upgrade: 'h2c' }}
+  ${'no version'}            | ${{ ...HTTP1_HEADERS, 'sec-websocket-version': undefined }}
+  ${'wrong version'}         | ${{ ...HTTP1_HEADERS, 'sec-websocket-version': '8' }}
+  ${'no key'}                | ${{ ...HTTP1_HEADERS, 'sec-websocket-key': undefined }}
+  ${'too-short key'}         | ${{ ...HTTP1_HEADERS, 'sec-websocket-key': 'AAAA' }}
+  ${'not-base64 key'}        | ${{ ...HTTP1_HEADERS, 'sec-websocket-key': 'dGhlIHNhbXBsZSBub25jZ!==' }}
+  `('rejects an HTTP1 request with $label', ({ headers }) => {
+    const finalHeaders = {};
+    for (const [k, v] of Object.entries(headers)) {
+      if (v !== undefined) {
+        finalHeaders[k] = v;
+      }
+    }
+
+    const req = makeRequest('http-1.1', 'get', finalHeaders);
+    expect(WebSocketResponse.isValidRequest(req)).toBeFalse();
+  });
+
+  test('rejects an HTTP1 non-`GET` request', () => {
+    const req = makeRequest('http-1.1', 'post', HTTP1_HEADERS);
+    expect(WebSocketResponse.isValidRequest(req)).toBeFalse();
+  });
+
+  test('rejects an HTTP2 request with a different `:protocol`', () => {
+    const req = makeRequest('http-2.0', 'connect',
+      { 'sec-websocket-version': '13' },
+      { protocol: 'florp' });
+    expect(WebSocketResponse.isValidRequest(req)).toBeFalse();
+  });
+
+  test('rejects a non-request', () => {
+    expect(() => WebSocketResponse.isValidRequest({})).toThrow();
+  });
+});
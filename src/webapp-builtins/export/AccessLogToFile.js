@@ -94,6 +94,9 @@ export class AccessLogToFile extends BaseFileService {
     const { contentLength, errorCodes, ok, statusCode } = responseInfo;
 
     const codeStr          = ok ? 'ok' : errorCodes.join(',');
+    const principalStr     = request.principal ? encodeURIComponent(request.principal.name) : '-';
+    const peerCertificate  = request.context.peerCertificate;
+    const peerCertStr      = peerCertificate ? encodeURIComponent(peerCertificate.subject) : '-';
     const contentLengthStr = (contentLength === null)
       ? 'no-body'
       : ByteCount.stringFromByteCount(contentLength, { spaces: false });
@@ -107,7 +110,9 @@ export class AccessLogToFile extends BaseFileService {
       statusCode,
       contentLengthStr,
       duration.toString({ spaces: false }),
-      codeStr
+      codeStr,
+      principalStr,
+      peerCertStr
     ].join(' ');
 
     await this.#logLine(requestLogLine);
@@ -0,0 +1,456 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import * as crypto from 'node:crypto';
+
+import { WallClock } from '@this/clocky';
+import { Paths } from '@this/fs-util';
+import { Cookies, FullResponse, HttpHeaders, IncomingRequest }
+  from '@this/net-util';
+import { Duration } from '@this/quant';
+import { BaseConfig } from '@this/structy';
+import { MustBe } from '@this/typey';
+
+import { BaseWrapperApplication } from '#p/BaseWrapperApplication';
+import { PasswordFile } from '#p/PasswordFile';
+
+
+/**
+ * Application that requires requests to be authenticated, and which passes
+ * authenticated requests on to another application. Supported authentication
+ * schemes are HTTP Basic (checked against a file of hashed passwords), static
+ * bearer tokens, and signed session cookies (issued by this class after a
+ * successful authentication via one of the other schemes). Unauthenticated
+ * requests get a `401` response. See docs for configuration object details.
+ *
+ * Session cookies are not tracked on the server side, and as such an
+ * individual cookie can't be revoked before it expires; the only recourse is to
+ * change the `secret`, which invalidates all cookies at once.
+ */
+export class AuthGate extends BaseWrapperApplication {
+  /**
+   * Password file to check Basic authentication against, or `null` if Basic
+   * authentication is not configured. Gets set in {@link #_impl_start}.
+   *
+   * @type {?PasswordFile}
+   */
+  #passwordFile = null;
+
+  /**
+   * Bearer tokens, with each token represented as a hash, or `null` if bearer
+   * authentication is not configured. Gets set in {@link #_impl_start}.
+   *
+   * @type {?Array<{ name: string, hash: Buffer }>}
+   */
+  #bearerTokens = null;
+
+  // @defaultConstructor
+
+  /** @override */
+  async _impl_handleRequest(request, dispatch) {
+    const authorization = request.getHeaderElseNull('authorization');
+    let   principal;
+
+    if (authorization !== null) {
+      principal = await this.#checkAuthorization(authorization);
+      if (!principal) {
+        const scheme = authorization.match(/^[^ ]*/)[0].toLowerCase();
+        dispatch.logger?.notAuthenticated({ scheme });
+        return this.#unauthorized(scheme === 'bearer');
+      }
+    } else {
+      principal = this.#checkSessionCookie(request);
+      if (!principal) {
+        dispatch.logger?.notAuthenticated({ scheme: null });
+        return this.#unauthorized(false);
+      }
+    }
+
+    request.setPrincipal(principal);
+    dispatch.logger?.authenticated(request.principal);
+
+    if (!this.config.session || (principal.scheme === 'session')) {
+      return this._prot_forwardRequest(request, dispatch);
+    }
+
+    return this._prot_forwardRequest(request, dispatch,
+      (response) => this.#addSessionCookie(response.headers, principal.name));
+  }
+
+  /** @override */
+  async _impl_start() {
+    const { basic, bearerTokens } = this.config;
+
+    if (basic) {
+      const passwordFile = new PasswordFile(basic.passwordFile);
+      await passwordFile.load();
+      this.#passwordFile = passwordFile;
+    }
+
+    if (bearerTokens) {
+      this.#bearerTokens = bearerTokens.map(({ name, token }) => {
+        return { name, hash: AuthGate.#hash(token) };
+      });
+    }
+
+    await super._impl_start();
+  }
+
+  /**
+   * Adds a new session cookie for the given principal name to the given
+   * (outgoing) headers.
+   *
+   * @param {HttpHeaders} headers The headers to add to.
+   * @param {string} name The principal name.
+   */
+  #addSessionCookie(headers, name) {
+    const { cookieName, maxAge } = this.config.session;
+    const expires = Math.trunc(WallClock.now().atSec + maxAge.sec);
+    const payload = Buffer.from(JSON.stringify({ name, expires })).toString('base64url');
+    const value   = `${payload}.${this.#sign(payload).toString('base64url')}`;
+    const cookies = new Cookies();
+
+    cookies.set(cookieName, value, {
+      httpOnly: true,
+      maxAge,
+      path:     '/',
+      sameSite: 'lax',
+      secure:   true
+    });
+
+    headers.appendSetCookie(cookies);
+  }
+
+  /**
+   * Checks the credentials in an `authorization` header.
+   *
+   * @param {string} authorization The header value.
+   * @returns {?{ name: string, scheme: string }} The authenticated principal,
+   *   or `null` if the credentials are invalid or use a scheme that isn't
+   *   configured.
+   */
+  async #checkAuthorization(authorization) {
+    const match = authorization.match(/^(?<scheme>[^ ]+) +(?<credentials>[^ ]+) *$/);
+
+    if (!match) {
+      return null;
+    }
+
+    const { scheme, credentials } = match.groups;
+
+    switch (scheme.toLowerCase()) {
+      case 'basic': {
+        if (!this.#passwordFile) {
+          return null;
+        }
+
+        const decoded = Buffer.from(credentials, 'base64').toString('utf-8');
+        const colonAt = decoded.indexOf(':');
+
+        if (colonAt <= 0) {
+          return null;
+        }
+
+        const name     = decoded.slice(0, colonAt);
+        const password = decoded.slice(colonAt + 1);
+
+        return await this.#passwordFile.verify(name, password)
+          ? { name, scheme: 'basic' }
+          : null;
+      }
+
+      case 'bearer': {
+        if (!this.#bearerTokens) {
+          return null;
+        }
+
+        // Note: This checks all the tokens, even after finding a match, so as
+        // not to reveal (via timing) anything about which token matched.
+        const hash   = AuthGate.#hash(credentials);
+        let   result = null;
+
+        for (const token of this.#bearerTokens) {
+          if (crypto.timingSafeEqual(hash, token.hash)) {
+            result = { name: token.name, scheme: 'bearer' };
+          }
+        }
+
+        return result;
+      }
+
+      default: {
+        return null;
+      }
+    }
+  }
+
+  /**
+   * Checks the session cookie of a request, if this instance is configured to
+   * use session cookies.
+   *
+   * @param {IncomingRequest} request The request.
+   * @returns {?{ name: string, scheme: string }} The authenticated principal,
+   *   or `null` if there is no valid session cookie.
+   */
+  #checkSessionCookie(request) {
+    const { session } = this.config;
+
+    if (!session) {
+      return null;
+    }
+
+    const cookie = request.cookies.getValueElseNull(session.cookieName);
+    const match  = cookie?.match(/^(?<payload>[-_0-9A-Za-z]+)[.](?<signature>[-_0-9A-Za-z]+)$/);
+
+    if (!match) {
+      return null;
+    }
+
+    const { payload, signature } = match.groups;
+    const gotSignature = Buffer.from(signature, 'base64url');
+    const expected     = this.#sign(payload);
+
+    if (   (gotSignature.length !== expected.length)
+        || !crypto.timingSafeEqual(gotSignature, expected)) {
+      return null;
+    }
+
+    let parsed;
+    try {
+      parsed = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+    } catch {
+      return null;
+    }
+
+    const { name, expires } = parsed ?? {};
+
+    if (   (typeof name !== 'string') || (name === '')
+        || (typeof expires !== 'number') || (expires <= WallClock.now().atSec)) {
+      return null;
+    }
+
+    return { name, scheme: 'session' };
+  }
+
+  /**
+   * Signs a session cookie payload.
+   *
+   * @param {string} payload The payload.
+   * @returns {Buffer} The signature.
+   */
+  #sign(payload) {
+    return crypto.createHmac('sha256', this.config.session.secret)
+      .update(payload)
+      .digest();
+  }
+
+  /**
+   * Makes a `401` response, with challenges for all configured schemes.
+   *
+   * @param {boolean} invalidToken Was an invalid bearer token presented?
+   * @returns {FullResponse} The response.
+   */
+  #unauthorized(invalidToken) {
+    const { basic, bearerTokens, realm } = this.config;
+    const response = FullResponse.makeMetaResponse(401);
+    const headers  = response.headers;
+
+    if (basic) {
+      headers.append('www-authenticate', `Basic realm="${realm}", charset="UTF-8"`);
+    }
+
+    if (bearerTokens) {
+      const error = invalidToken ? ', error="invalid_token"' : '';
+      headers.append('www-authenticate', `Bearer realm="${realm}"${error}`);
+    }
+
+    return response;
+  }
+
+
+  //
+  // Static members
+  //
+
+  /**
+   * Makes a password file line for the given name and password, suitable for
+   * use in the file named by the `basic.passwordFile` configuration binding.
+   *
+   * @param {string} name The user name. Must not contain a colon (`:`) or a
+   *   newline.
+   * @param {string} password The password.
+   * @returns {string} The corresponding password file line, without a newline.
+   */
+  static async hashPassword(name, password) {
+    return PasswordFile.hash(name, password);
+  }
+
+  /** @override */
+  static _impl_configClass() {
+    return class Config extends super.prototype.constructor.configClass {
+      // @defaultConstructor
+
+      /**
+       * Basic authentication configuration, or `null` not to accept Basic
+       * authentication. If non-`null`, this must be a plain object which is
+       * suitable as an argument to the {@link AuthGate#BasicConfig}
+       * constructor.
+       *
+       * @param {?object} [value] Proposed configuration value. Default `null`.
+       * @returns {?AuthGate.BasicConfig} Accepted configuration value.
+       */
+      _config_basic(value = null) {
+        return (value === null)
+          ? null
+          : new AuthGate.BasicConfig(value);
+      }
+
+      /**
+       * Bearer tokens to accept, or `null` not to accept bearer authentication.
+       * If non-`null`, this must be a non-empty array of objects, each of which
+       * binds `name` (the name of the principal to associate with requests
+       * that use the token) and `token` (the token itself, in the syntax of an
+       * RFC 6750 `b64token`).
+       *
+       * @param {?Array<{ name: string, token: string }>} [value] Proposed
+       *   configuration value. Default `null`.
+       * @returns {?Array<{ name: string, token: string }>} Accepted
+       *   configuration value.
+       */
+      _config_bearerTokens(value = null) {
+        if (value === null) {
+          return null;
+        }
+
+        MustBe.arrayOf(value, (item) => {
+          const { name, token } = MustBe.plainObject(item);
+          MustBe.string(name, /./);
+          MustBe.string(token, /^[-._~+/0-9A-Za-z]+=*$/);
+          return true;
+        });
+
+        if (value.length === 0) {
+          throw new Error('`bearerTokens` must not be empty.');
+        }
+
+        const result = value.map(({ name, token }) => Object.freeze({ name, token }));
+
+        if (new Set(result.map(({ token }) => token)).size !== result.length) {
+          throw new Error('`bearerTokens` must not contain duplicate tokens.');
+        }
+
+        return Object.freeze(result);
+      }
+
+      /**
+       * Name of the protection space (realm), to report in challenges.
+       *
+       * @param {string} [value] Proposed configuration value. Default
+       *   `'restricted'`.
+       * @returns {string} Accepted configuration value.
+       */
+      _config_realm(value = 'restricted') {
+        return MustBe.string(value, /^[^"\\\p{Cc}]+$/u);
+      }
+
+      /**
+       * Session cookie configuration, or `null` not to issue or accept session
+       * cookies. If non-`null`, this must be a plain object which is suitable
+       * as an argument to the {@link AuthGate#SessionConfig} constructor.
+       *
+       * @param {?object} [value] Proposed configuration value. Default `null`.
+       * @returns {?AuthGate.SessionConfig} Accepted configuration value.
+       */
+      _config_session(value = null) {
+        return (value === null)
+          ? null
+          : new AuthGate.SessionConfig(value);
+      }
+
+      /** @override */
+      _impl_validate(config) {
+        if (!(config.basic || config.bearerTokens)) {
+          throw new Error('Must configure at least one of `basic` or `bearerTokens`.');
+        }
+
+        return super._impl_validate(config);
+      }
+    };
+  }
+
+  /**
+   * Configuration class for `basic` bindings.
+   */
+  static BasicConfig = class BasicConfig extends BaseConfig {
+    // @defaultConstructor
+
+    /**
+     * Absolute path of the password file. See the docs for details about the
+     * file format.
+     *
+     * @param {string} value Proposed configuration value.
+     * @returns {string} Accepted configuration value.
+     */
+    _config_passwordFile(value) {
+      return Paths.mustBeAbsolutePath(value);
+    }
+  };
+
+  /**
+   * Configuration class for `session` bindings.
+   */
+  static SessionConfig = class SessionConfig extends BaseConfig {
+    // @defaultConstructor
+
+    /**
+     * Name of the session cookie.
+     *
+     * @param {string} [value] Proposed configuration value. Default
+     *   `'session'`.
+     * @returns {string} Accepted configuration value.
+     */
+    _config_cookieName(value = 'session') {
+      // This is the same as the cookie spec's `token` syntax.
+      return MustBe.string(value, /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/);
+    }
+
+    /**
+     * How long a session cookie remains valid after being issued. If passed as
+     * a string, it is parsed by {@link Duration#parse}.
+     *
+     * @param {?string|Duration} [value] Proposed configuration value. Default
+     *   `'1 day'`.
+     * @returns {Duration} Accepted configuration value.
+     */
+    _config_maxAge(value = '1 day') {
+      const result = Duration.parse(value, { range: { minInclusive: 1 } });
+
+      if (!result) {
+        throw new Error(`Could not parse \`maxAge\`: ${value}`);
+      }
+
+      return result;
+    }
+
+    /**
+     * Secret used to sign session cookies. Must be at least 32 characters
+     * long. Changing the secret invalidates all previously-issued cookies.
+     *
+     * @param {string} value Proposed configuration value.
+     * @returns {string} Accepted configuration value.
+     */
+    _config_secret(value) {
+      return MustBe.string(value, /^.{32,}$/s);
+    }
+  };
+
+  /**
+   * Hashes a bearer token, for later comparison.
+   *
+   * @param {string} token The token.
+   * @returns {Buffer} The hash.
+   */
+  static #hash(token) {
+    return crypto.createHash('sha256').update(token).digest();
+  }
+}
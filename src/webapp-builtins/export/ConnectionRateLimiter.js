@@ -3,14 +3,19 @@
 
 import { IntfConnectionRateLimiter } from '@this/net-protocol';
 import { BaseService } from '@this/webapp-core';
-import { ConnectionCount, ConnectionRate, TokenBucket }
+import { ConnectionCount, ConnectionRate, SocketTokenBucketStore }
   from '@this/webapp-util';
 
+import { RateLimitBuckets } from '#p/RateLimitBuckets';
+import { RateLimiterMetrics } from '#p/RateLimiterMetrics';
 import { TemplRateLimitConfig } from '#p/TemplRateLimitConfig';
 
 
 /**
- * Service which can apply various rate limits to network traffic.
+ * Service which can apply various rate limits to network traffic. Rate limiting
+ * can be done for all clients together, or separately per client (by origin
+ * address or address prefix), optionally with a global limit on top. The
+ * limits can also be shared across processes.
  *
  * See `doc/configuration` for configuration object details.
  *
@@ -18,33 +23,68 @@ import { TemplRateLimitConfig } from '#p/TemplRateLimitConfig';
  */
 export class ConnectionRateLimiter extends BaseService {
   /**
-   * Underlying token bucket used to perform rate limiting.
+   * Underlying token bucket(s) used to perform rate limiting.
    *
-   * @type {TokenBucket}
+   * @type {?RateLimitBuckets}
    */
-  #bucket;
+  #buckets = null;
 
   /**
-   * Constructs an instance.
+   * Metrics collector for this instance.
    *
-   * @param {object} rawConfig Raw configuration object.
+   * @type {?RateLimiterMetrics}
    */
-  constructor(rawConfig) {
-    super(rawConfig);
+  #metrics = null;
 
-    this.#bucket = new TokenBucket(this.config.bucket);
+  /**
+   * Store for shared bucket state, if configured.
+   *
+   * @type {?SocketTokenBucketStore}
+   */
+  #store = null;
+
+  // @defaultConstructor
+
+  /**
+   * Gets a snapshot of the state of this instance, along with cumulative
+   * statistics, suitable for use as (or for deriving) metrics. The result is a
+   * plain object with the following bindings:
+   *
+   * * `{?object} bucket` -- Snapshot of the token bucket, in the form returned
+   *   by `TokenBucket.snapshot()`, or `null` if this instance is
+   *   configured with `perClient`.
+   * * `{?number} clientCount` -- The number of clients currently being
+   *   tracked, or `null` if this instance is not configured with `perClient`.
+   * * `{?object} global` -- Snapshot of the `global` token bucket, or `null`
+   *   if there is none.
+   * * `{object} stats` -- Cumulative statistics about the overall results of
+   *   rate limiting, in the form returned by `GrantStats.snapshot()`. The
+   *   keys of `denials` indicate which bucket did the denying, either `client`
+   *   (which includes the single bucket of an instance which isn't per-client)
+   *   or `global`.
+   *
+   * @returns {?object} The snapshot, or `null` if this instance has not yet
+   *   been initialized.
+   */
+  snapshot() {
+    return this.#buckets?.snapshot() ?? null;
   }
 
   /** @override */
-  async _impl_handleCall_newConnection(logger) {
-    const got = await this.#bucket.requestGrant(1);
+  async _impl_handleCall_newConnection(logger, origin = null) {
+    const key = this.config.perClient?.keyFromOrigin(origin) ?? null;
+    const got = await this.#buckets.requestGrant(key);
 
     if (got.waitTime.sec > 0) {
       logger?.rateLimiterWaited(got.waitTime);
     }
 
     if (!got.done) {
-      logger?.rateLimiterDenied();
+      if (got.deniedBy === 'global') {
+        logger?.rateLimiterDeniedGlobal();
+      } else {
+        logger?.rateLimiterDenied();
+      }
     }
 
     return got.done;
@@ -55,9 +95,30 @@ export class ConnectionRateLimiter extends BaseService {
     return [IntfConnectionRateLimiter];
   }
 
+  /** @override */
+  async _impl_init() {
+    const { shared } = this.config;
+
+    if (shared) {
+      this.#store = new SocketTokenBucketStore({ path: shared.socketPath }, this.logger?.shared ?? null);
+    }
+
+    this.#buckets = new RateLimitBuckets(this.config, this.#store, shared?.key ?? this.name);
+    this.#metrics = new RateLimiterMetrics(this.name, () => this.snapshot());
+    await super._impl_init();
+  }
+
+  /** @override */
+  async _impl_start() {
+    this.#metrics.start();
+    await super._impl_start();
+  }
+
   /** @override */
   async _impl_stop(willReload) {
-    await this.#bucket.denyAllRequests();
+    this.#metrics.stop();
+    await this.#buckets.denyAllRequests();
+    await this.#store?.stop();
     await super._impl_stop(willReload);
   }
 
@@ -72,8 +133,10 @@ export class ConnectionRateLimiter extends BaseService {
       'ConnectionRateLimiterConfig',
       BaseService.configClass,
       {
-        countType: ConnectionCount,
-        rateType:  ConnectionRate
+        allowShared: true,
+        countType:   ConnectionCount,
+        keyTypes:    ['ip', 'ipPrefix'],
+        rateType:    ConnectionRate
       });
   }
 }
@@ -0,0 +1,337 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { PathKey, TreeMap } from '@this/collections';
+import { FullResponse, HostUtil, HttpHeaders, StatusResponse }
+  from '@this/net-util';
+import { Duration } from '@this/quant';
+import { MustBe, StringUtil } from '@this/typey';
+
+import { BaseWrapperApplication } from '#p/BaseWrapperApplication';
+
+
+/**
+ * Application that implements a CORS (Cross-Origin Resource Sharing) policy in
+ * front of another application. It answers CORS preflight requests itself, and
+ * passes all other requests on to the other application, adding CORS headers
+ * to the responses as appropriate. See docs for configuration object details.
+ */
+export class CorsPolicy extends BaseWrapperApplication {
+  // @defaultConstructor
+
+  /** @override */
+  async _impl_handleRequest(request, dispatch) {
+    const origin  = request.getHeaderElseNull('origin');
+    const allowed = (origin !== null) && this.#isAllowedOrigin(origin);
+
+    if ((origin !== null) && (request.method === 'options')
+        && request.headers.has('access-control-request-method')) {
+      // It's a preflight request.
+      if (!allowed) {
+        dispatch.logger?.originNotAllowed({ origin });
+        return StatusResponse.FORBIDDEN;
+      }
+
+      dispatch.logger?.preflight({ origin });
+      return this.#preflightResponse(origin);
+    }
+
+    if ((origin !== null) && !allowed) {
+      dispatch.logger?.originNotAllowed({ origin });
+    }
+
+    if ((origin === null) && (this.config.origins === null)) {
+      // Nothing to add: The response doesn't vary by origin.
+      return this._prot_forwardRequest(request, dispatch);
+    }
+
+    return this._prot_forwardRequest(request, dispatch,
+      (response) => this.#addHeaders(response.headers, allowed ? origin : null));
+  }
+
+  /**
+   * Adds CORS headers to the given (outgoing) headers, as appropriate.
+   *
+   * @param {HttpHeaders} headers The headers to add to.
+   * @param {?string} origin The allowed origin of the request, or `null` if the
+   *   request either had no origin or had a disallowed one.
+   */
+  #addHeaders(headers, origin) {
+    const { credentials, exposeHeaders } = this.config;
+
+    this.#setOriginHeaders(headers, origin);
+
+    if (origin !== null) {
+      if (credentials) {
+        headers.set('access-control-allow-credentials', 'true');
+      }
+
+      if (exposeHeaders.length !== 0) {
+        headers.set('access-control-expose-headers', exposeHeaders.join(', '));
+      }
+    }
+  }
+
+  /**
+   * Indicates whether the given origin is allowed by this instance.
+   *
+   * @param {string} origin The origin, as received in an `origin` header.
+   * @returns {boolean} `true` iff `origin` is allowed.
+   */
+  #isAllowedOrigin(origin) {
+    const { origins } = this.config;
+
+    if (origins === null) {
+      return true;
+    }
+
+    const parsed = CorsPolicy.#parseOrigin(origin, false);
+
+    if (!parsed) {
+      return false;
+    }
+
+    for (const { value } of origins.findWithFallback(parsed.key)) {
+      if (value.has(parsed.schemePort)) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Makes the response to an allowed preflight request.
+   *
+   * @param {string} origin The origin of the request.
+   * @returns {FullResponse} The response.
+   */
+  #preflightResponse(origin) {
+    const { credentials, headers: allowHeaders, maxAge, methods } = this.config;
+    const response = new FullResponse();
+    const headers  = response.headers;
+
+    response.status = 204;
+    response.setNoBody();
+
+    this.#setOriginHeaders(headers, origin);
+    headers.set('access-control-allow-methods', methods.map((m) => m.toUpperCase()).join(', '));
+
+    if (allowHeaders.length !== 0) {
+      headers.set('access-control-allow-headers', allowHeaders.join(', '));
+    }
+
+    if (credentials) {
+      headers.set('access-control-allow-credentials', 'true');
+    }
+
+    if (maxAge !== null) {
+      headers.set('access-control-max-age', `${Math.trunc(maxAge.sec)}`);
+    }
+
+    return response;
+  }
+
+  /**
+   * Sets `access-control-allow-origin` and `vary` on the given headers, as
+   * appropriate for this instance's configuration.
+   *
+   * @param {HttpHeaders} headers The headers to modify.
+   * @param {?string} origin The allowed origin of the request, or `null` if the
+   *   request either had no origin or had a disallowed one.
+   */
+  #setOriginHeaders(headers, origin) {
+    if (this.config.origins === null) {
+      headers.set('access-control-allow-origin', '*');
+    } else {
+      if (origin !== null) {
+        headers.set('access-control-allow-origin', origin);
+      }
+
+      // Note: `vary` is needed even when the request had no origin (or a
+      // disallowed one), so that a cache doesn't reuse the response for a
+      // request from an allowed origin (or vice versa).
+      headers.appendVary('origin');
+    }
+  }
+
+
+  //
+  // Static members
+  //
+
+  /** @override */
+  static _impl_configClass() {
+    return class Config extends super.prototype.constructor.configClass {
+      // @defaultConstructor
+
+      /**
+       * Whether to allow requests with credentials (cookies, etc.).
+       *
+       * @param {boolean} [value] Proposed configuration value. Default `false`.
+       * @returns {boolean} Accepted configuration value.
+       */
+      _config_credentials(value = false) {
+        return MustBe.boolean(value);
+      }
+
+      /**
+       * Names of response headers to expose to the requestor (beyond the
+       * CORS-safelisted ones), lowercased. If passed as a single string, it is
+       * treated as a one-element array.
+       *
+       * @param {string|Array<string>} [value] Proposed configuration value.
+       *   Default `[]`.
+       * @returns {Array<string>} Accepted configuration value.
+       */
+      _config_exposeHeaders(value = []) {
+        return StringUtil.checkAndFreezeStrings(value, Config.#HEADER_NAME_REGEX);
+      }
+
+      /**
+       * Names of request headers to allow (beyond the CORS-safelisted ones),
+       * lowercased. If passed as a single string, it is treated as a
+       * one-element array.
+       *
+       * @param {string|Array<string>} [value] Proposed configuration value.
+       *   Default `[]`.
+       * @returns {Array<string>} Accepted configuration value.
+       */
+      _config_headers(value = []) {
+        return StringUtil.checkAndFreezeStrings(value, Config.#HEADER_NAME_REGEX);
+      }
+
+      /**
+       * How long a preflight response may be cached, or `null` to not report
+       * a maximum age (in which case a browser will use its default). If passed
+       * as a string, it is parsed by {@link Duration#parse}.
+       *
+       * @param {?string|Duration} [value] Proposed configuration value. Default
+       *   `null`.
+       * @returns {?Duration} Accepted configuration value.
+       */
+      _config_maxAge(value = null) {
+        if (value === null) {
+          return null;
+        }
+
+        const result = Duration.parse(value, { range: { minInclusive: 0 } });
+
+        if (!result) {
+          throw new Error(`Could not parse \`maxAge\`: ${value}`);
+        }
+
+        return result;
+      }
+
+      /**
+       * Request methods to allow, lowercased. If passed as a single string, it
+       * is treated as a one-element array.
+       *
+       * @param {string|Array<string>} [value] Proposed configuration value.
+       *   Default `['get', 'head', 'post']`.
+       * @returns {Array<string>} Accepted configuration value.
+       */
+      _config_methods(value = ['get', 'head', 'post']) {
+        return StringUtil.checkAndFreezeStrings(value, /^[a-z]+$/);
+      }
+
+      /**
+       * Origins to allow. Each is either the string `*` to allow any origin,
+       * or an origin of the form `<scheme>://<host>` or
+       * `<scheme>://<host>:<port>`, where `<host>` may be wildcarded, per
+       * {@link HostUtil#parseHostname}. If passed as a single string, it is
+       * treated as a one-element array.
+       *
+       * @param {string|Array<string>} value Proposed configuration value.
+       * @returns {?TreeMap<Set<string>>} Accepted configuration value, as a map
+       *   from each host to the set of allowed `<scheme>:<port>` combinations
+       *   for that host, or `null` if any origin is allowed.
+       */
+      _config_origins(value) {
+        const strings = StringUtil.checkAndFreezeStrings(value, /./);
+        const origins = new TreeMap();
+
+        if (strings.includes('*')) {
+          return null;
+        }
+
+        for (const s of strings) {
+          const parsed = CorsPolicy.#parseOrigin(s, true);
+
+          if (!parsed) {
+            throw new Error(`Invalid origin: ${s}`);
+          }
+
+          const { key, schemePort } = parsed;
+          let   set = origins.get(key);
+
+          if (!set) {
+            set = new Set();
+            origins.add(key, set);
+          }
+
+          set.add(schemePort);
+        }
+
+        return Object.freeze(origins);
+      }
+
+      /** @override */
+      _impl_validate(config) {
+        if ((config.origins === null) && config.credentials) {
+          throw new Error('Cannot allow any origin (`*`) along with `credentials`.');
+        }
+
+        return super._impl_validate(config);
+      }
+
+
+      //
+      // Static members.
+      //
+
+      /**
+       * Regex which matches a valid lowercase header name.
+       *
+       * @type {RegExp}
+       */
+      static #HEADER_NAME_REGEX = /^[-!#$%&'*+.^_`|~0-9a-z]+$/;
+    };
+  }
+
+  /**
+   * Parses an origin string into a host key and scheme-plus-port string.
+   *
+   * @param {string} origin The origin string.
+   * @param {boolean} allowWildcard Is a wildcard host allowed?
+   * @returns {?{ key: PathKey, schemePort: string }} The parsed form, or `null`
+   *   if `origin` could not be parsed.
+   */
+  static #parseOrigin(origin, allowWildcard) {
+    const match = origin.match(/^(?<scheme>https?):[/][/](?<host>[^/?#@]+)$/i);
+
+    if (!match) {
+      return null;
+    }
+
+    let url;
+    try {
+      url = new URL(origin);
+    } catch {
+      return null;
+    }
+
+    const hostname = url.hostname.replace(/^\[(?<ip>.*)\]$/, '$<ip>');
+    const key      = HostUtil.parseHostnameElseNull(hostname, allowWildcard);
+
+    if (!key) {
+      return null;
+    }
+
+    const scheme = url.protocol.slice(0, -1);
+    const port   = url.port || ((scheme === 'https') ? '443' : '80');
+
+    return { key, schemePort: `${scheme}:${port}` };
+  }
+}
@@ -5,14 +5,16 @@ import { IntfDataRateLimiter } from '@this/net-protocol';
 import { ByteCount, ByteRate } from '@this/quant';
 import { MustBe } from '@this/typey';
 import { BaseService } from '@this/webapp-core';
-import { TokenBucket } from '@this/webapp-util';
+import { SocketTokenBucketStore, TokenBucket } from '@this/webapp-util';
 
 import { RateLimitedStream } from '#p/RateLimitedStream';
+import { RateLimiterMetrics } from '#p/RateLimiterMetrics';
 import { TemplRateLimitConfig } from '#p/TemplRateLimitConfig';
 
 
 /**
- * Service which can apply data rate-limiting to network traffic.
+ * Service which can apply data rate-limiting to network traffic. The limit can
+ * optionally be shared across processes.
  *
  * See `doc/configuration` for configuration object details.
  *
@@ -22,25 +24,69 @@ export class DataRateLimiter extends BaseService {
   /**
    * Underlying token bucket used to perform rate limiting.
    *
-   * @type {TokenBucket}
+   * @type {?TokenBucket}
    */
-  #bucket;
+  #bucket = null;
 
   /**
-   * Constructs an instance.
+   * Metrics collector for this instance.
    *
-   * @param {object} rawConfig Raw configuration object.
+   * @type {?RateLimiterMetrics}
    */
-  constructor(rawConfig) {
-    super(rawConfig);
+  #metrics = null;
 
-    this.#bucket = new TokenBucket(this.config.bucket);
+  /**
+   * Store for shared bucket state, if configured.
+   *
+   * @type {?SocketTokenBucketStore}
+   */
+  #store = null;
+
+  /**
+   * Currently-open rate-limited streams.
+   *
+   * @type {Set<RateLimitedStream>}
+   */
+  #streams = new Set();
+
+  // @defaultConstructor
+
+  /**
+   * Gets a snapshot of the state of this instance, along with cumulative
+   * statistics, suitable for use as (or for deriving) metrics. The result is a
+   * plain object with the following bindings:
+   *
+   * * `{object} bucket` -- Snapshot of the token bucket, in the form returned
+   *   by {@link TokenBucket#snapshot}. The tokens are bytes.
+   * * `{Array<object>} streams` -- Snapshots of all the currently-open
+   *   rate-limited streams, in the form returned by `RateLimitedStream`'s
+   *   `snapshot()`.
+   *
+   * @returns {?object} The snapshot, or `null` if this instance has not yet
+   *   been initialized.
+   */
+  snapshot() {
+    if (!this.#bucket) {
+      return null;
+    }
+
+    return {
+      bucket:  this.#bucket.snapshot(),
+      streams: [...this.#streams].map((s) => s.snapshot())
+    };
   }
 
   /** @override */
   async _impl_handleCall_wrapWriter(stream, logger) {
-    return RateLimitedStream.wrapWriter(
+    const limited = new RateLimitedStream(
       this.#bucket, stream, logger, this.config.verboseLogging);
+
+    this.#streams.add(limited);
+    limited.stream.once('close', () => {
+      this.#streams.delete(limited);
+    });
+
+    return limited.stream;
   }
 
   /** @override */
@@ -48,12 +94,51 @@ export class DataRateLimiter extends BaseService {
     return [IntfDataRateLimiter];
   }
 
+  /** @override */
+  async _impl_init() {
+    const { bucket, shared } = this.config;
+
+    if (shared) {
+      this.#store  = new SocketTokenBucketStore({ path: shared.socketPath }, this.logger?.shared ?? null);
+      this.#bucket = new TokenBucket({ ...bucket, store: this.#store, storeKey: shared.key ?? this.name });
+    } else {
+      this.#bucket = new TokenBucket(bucket);
+    }
+
+    this.#metrics = new RateLimiterMetrics(this.name, () => this.#metricsSnapshot());
+    await super._impl_init();
+  }
+
+  /** @override */
+  async _impl_start() {
+    this.#metrics.start();
+    await super._impl_start();
+  }
+
   /** @override */
   async _impl_stop(willReload) {
+    this.#metrics.stop();
     await this.#bucket.denyAllRequests();
+    await this.#store?.stop();
     await super._impl_stop(willReload);
   }
 
+  /**
+   * Gets a snapshot of this instance in the form needed by
+   * {@link RateLimiterMetrics}.
+   *
+   * @returns {object} The snapshot.
+   */
+  #metricsSnapshot() {
+    const bucket = this.#bucket.snapshot();
+
+    return {
+      bucket,
+      stats:       bucket.stats,
+      streamCount: this.#streams.size
+    };
+  }
+
 
   //
   // Static members
@@ -66,6 +151,7 @@ export class DataRateLimiter extends BaseService {
       BaseService.configClass,
       {
         allowMaxQueueGrant: true,
+        allowShared:        true,
         countType:          ByteCount,
         rateType:           ByteRate
       });
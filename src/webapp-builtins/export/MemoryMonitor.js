@@ -6,6 +6,7 @@ import { memoryUsage } from 'node:process';
 import { WallClock } from '@this/clocky';
 import { TemplThreadComponent } from '@this/compy';
 import { Host } from '@this/host';
+import { Gauge, MetricsRegistry } from '@this/metricy';
 import { ByteCount, Duration, Moment } from '@this/quant';
 import { BaseService } from '@this/webapp-core';
 
@@ -109,6 +110,11 @@ export class MemoryMonitor extends TemplThreadComponent('MemoryThread', BaseServ
       }
     }
 
+    const labels = { monitor: this.name };
+    MemoryMonitor.#HEAP_BYTES.set(snapshot.heap.byte, labels);
+    MemoryMonitor.#RSS_BYTES.set(snapshot.rss.byte, labels);
+    MemoryMonitor.#OVER_LIMIT.set(snapshot.troubleAt ? 1 : 0, labels);
+
     this.#lastSnapshot = snapshot;
     return snapshot;
   }
@@ -118,6 +124,17 @@ export class MemoryMonitor extends TemplThreadComponent('MemoryThread', BaseServ
   // Static members
   //
 
+  /**
+   * Heap usage as of the most recent check, per monitor.
+   *
+   * @type {Gauge}
+   */
+  static #HEAP_BYTES = MetricsRegistry.DEFAULT.gauge({
+    name:       'lactoserv_memory_monitor_heap_bytes',
+    help:       'Heap usage (including "external" memory) as of the most recent check.',
+    labelNames: ['monitor']
+  });
+
   /**
    * Minimum amount of time in msec between checks, when dealing with an "over
    * limit" situation.
@@ -126,6 +143,29 @@ export class MemoryMonitor extends TemplThreadComponent('MemoryThread', BaseServ
    */
   static #MIN_TROUBLE_CHECK_MSEC = 1000;
 
+  /**
+   * Whether memory usage was over a limit as of the most recent check, per
+   * monitor.
+   *
+   * @type {Gauge}
+   */
+  static #OVER_LIMIT = MetricsRegistry.DEFAULT.gauge({
+    name:       'lactoserv_memory_monitor_over_limit',
+    help:       'Whether memory usage was over a limit as of the most recent check (1 or 0).',
+    labelNames: ['monitor']
+  });
+
+  /**
+   * RSS as of the most recent check, per monitor.
+   *
+   * @type {Gauge}
+   */
+  static #RSS_BYTES = MetricsRegistry.DEFAULT.gauge({
+    name:       'lactoserv_memory_monitor_rss_bytes',
+    help:       'Resident set size as of the most recent check.',
+    labelNames: ['monitor']
+  });
+
   /**
    * Fraction of time between "now" and when action needs to happen, when the
    * next check should take place in an "over limit" situation.
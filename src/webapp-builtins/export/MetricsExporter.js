@@ -0,0 +1,35 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { MetricsRegistry, OpenMetrics } from '@this/metricy';
+import { FullResponse, StatusResponse } from '@this/net-util';
+import { BaseApplication } from '@this/webapp-core';
+
+
+/**
+ * Application which responds with the current state of the system's metrics
+ * (as recorded in the standard `MetricsRegistry`), rendered in the OpenMetrics
+ * text format (which is also understood by Prometheus). This is typically
+ * mounted at a specific path (e.g. `/metrics`) via a `PathRouter`. See docs
+ * for configuration object details.
+ */
+export class MetricsExporter extends BaseApplication {
+  // @defaultConstructor
+
+  /** @override */
+  async _impl_handleRequest(request, dispatch_unused) {
+    if (!request.isGetOrHead()) {
+      return StatusResponse.FORBIDDEN;
+    }
+
+    const body     = OpenMetrics.render(MetricsRegistry.DEFAULT.collect());
+    const response = new FullResponse();
+
+    response.status       = 200;
+    response.cacheControl = 'no-store';
+    response.setBodyBuffer(Buffer.from(body, 'utf-8'));
+    response.headers.set('content-type', OpenMetrics.CONTENT_TYPE);
+
+    return response;
+  }
+}
@@ -1,7 +1,7 @@
 // Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
 // SPDX-License-Identifier: Apache-2.0
 
-import { PathKey, TreeMap } from '@this/collections';
+import { TreeMap } from '@this/collections';
 import { Names } from '@this/compy';
 import { IntfRequestHandler, UriUtil } from '@this/net-util';
 import { MustBe } from '@this/typey';
@@ -114,89 +114,12 @@ export class PathRouter extends BaseApplication {
           if (name !== null) {
             Names.mustBeName(name);
           }
-          const key = Config.#parsePath(path);
+          const key = UriUtil.parsePathPattern(path);
           result.add(key, name);
         }
 
         return result;
       }
-
-
-      //
-      // Static members
-      //
-
-      /**
-       * Parses a path.
-       *
-       * @param {string} path The path to parse.
-       * @returns {PathKey} The parsed form.
-       */
-      static #parsePath(path) {
-        const parts = path.split('/');
-
-        if (parts[0] !== '') {
-          throw new Error(`Path must start with a slash: ${path}`);
-        } else if (parts.length === 1) {
-          throw new Error('Empty path.');
-        }
-
-        parts.shift(); // Shift away the necessarily-empty first part.
-
-        let lastSpecial = null;
-
-        switch (parts[parts.length - 1]) {
-          case '': {
-            lastSpecial = 'directory';
-            parts.pop();
-            break;
-          }
-          case '*': {
-            lastSpecial = 'wildcard';
-            parts.pop();
-            break;
-          }
-        }
-
-        for (const p of parts) {
-          const error = (detail) => {
-            detail = detail ? ` (${detail})` : '';
-            return new Error(`Invalid path component \`${p}\`${detail} in: ${path}`);
-          };
-
-          switch (p) {
-            case '': {
-              throw error('empty');
-            }
-            case '.':
-            case '..': {
-              throw error('navigation');
-            }
-            case '*': {
-              throw error('non-final wildcard');
-            }
-            default: {
-              if (/^[*]+$/.test(p)) {
-                throw error();
-              } else if (!UriUtil.isPathComponent(p)) {
-                throw error();
-              }
-            }
-          }
-        }
-
-        switch (lastSpecial) {
-          case 'directory': {
-            return new PathKey([...parts, ''], false);
-          }
-          case 'wildcard': {
-            return new PathKey([...parts], true);
-          }
-          default: {
-            return new PathKey(parts, false);
-          }
-        }
-      }
     };
   }
 }
@@ -1,10 +1,12 @@
 // Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
 // SPDX-License-Identifier: Apache-2.0
 
-import { StatusResponse } from '@this/net-util';
+import { FullResponse } from '@this/net-util';
 import { BaseApplication } from '@this/webapp-core';
-import { RequestCount, RequestRate, TokenBucket } from '@this/webapp-util';
+import { RequestCount, RequestRate, SocketTokenBucketStore } from '@this/webapp-util';
 
+import { RateLimitBuckets } from '#p/RateLimitBuckets';
+import { RateLimiterMetrics } from '#p/RateLimiterMetrics';
 import { TemplRateLimitConfig } from '#p/TemplRateLimitConfig';
 
 
@@ -12,45 +14,114 @@ import { TemplRateLimitConfig } from '#p/TemplRateLimitConfig';
  * Application that does rate limiting on requests. It operates by delaying
  * until the configured rate is satisfied, then not-handling a request. In the
  * case of a full waiter queue, this _does_ handle the request by reporting
- * status `429` ("Too Many Requests"). Instances of this class are usefully used
- * in the list of apps of a `SerialRouter` (or similar). See docs for
- * configuration object details.
+ * status `429` ("Too Many Requests"), along with a `retry-after` header.
+ * Instances of this class are usefully used in the list of apps of a
+ * `SerialRouter` (or similar). Rate limiting can be done for all clients
+ * together, or separately per client, optionally with a global limit on top.
+ * The limits can also be shared across processes. See docs for configuration
+ * object details.
  */
 export class RequestRateLimiter extends BaseApplication {
   /**
-   * Underlying token bucket used to perform rate limiting.
+   * Underlying token bucket(s) used to perform rate limiting.
    *
-   * @type {TokenBucket}
+   * @type {?RateLimitBuckets}
    */
-  #bucket;
+  #buckets = null;
 
   /**
-   * Constructs an instance.
+   * Metrics collector for this instance.
    *
-   * @param {object} rawConfig Raw configuration object.
+   * @type {?RateLimiterMetrics}
    */
-  constructor(rawConfig) {
-    super(rawConfig);
+  #metrics = null;
 
-    this.#bucket = new TokenBucket(this.config.bucket);
+  /**
+   * Store for shared bucket state, if configured.
+   *
+   * @type {?SocketTokenBucketStore}
+   */
+  #store = null;
+
+  // @defaultConstructor
+
+  /**
+   * Gets a snapshot of the state of this instance, along with cumulative
+   * statistics, suitable for use as (or for deriving) metrics. The result is a
+   * plain object with the following bindings:
+   *
+   * * `{?object} bucket` -- Snapshot of the token bucket, in the form returned
+   *   by `TokenBucket.snapshot()`, or `null` if this instance is
+   *   configured with `perClient`.
+   * * `{?number} clientCount` -- The number of clients currently being
+   *   tracked, or `null` if this instance is not configured with `perClient`.
+   * * `{?object} global` -- Snapshot of the `global` token bucket, or `null`
+   *   if there is none.
+   * * `{object} stats` -- Cumulative statistics about the overall results of
+   *   rate limiting, in the form returned by `GrantStats.snapshot()`. The
+   *   keys of `denials` indicate which bucket did the denying, either `client`
+   *   (which includes the single bucket of an instance which isn't per-client)
+   *   or `global`.
+   *
+   * @returns {?object} The snapshot, or `null` if this instance has not yet
+   *   been initialized.
+   */
+  snapshot() {
+    return this.#buckets?.snapshot() ?? null;
   }
 
   /** @override */
-  async _impl_handleRequest(request_unused, dispatch_unused) {
-    const got = await this.#bucket.requestGrant(1);
+  async _impl_handleRequest(request, dispatch_unused) {
+    const key = this.config.perClient?.keyFromRequest(request) ?? null;
+    const got = await this.#buckets.requestGrant(key);
 
     if (got.waitTime.sec > 0) {
       this.logger?.waited(got.waitTime);
     }
 
     if (!got.done) {
-      this.logger?.denied();
-      return StatusResponse.fromStatus(429);
+      if (got.deniedBy === 'global') {
+        this.logger?.deniedGlobal();
+      } else {
+        this.logger?.denied();
+      }
+
+      const response = FullResponse.makeMetaResponse(429);
+      response.headers.set('retry-after', `${got.retryAfter.sec}`);
+
+      return response;
     }
 
     return null;
   }
 
+  /** @override */
+  async _impl_init() {
+    const { shared } = this.config;
+
+    if (shared) {
+      this.#store = new SocketTokenBucketStore({ path: shared.socketPath }, this.logger?.shared ?? null);
+    }
+
+    this.#buckets = new RateLimitBuckets(this.config, this.#store, shared?.key ?? this.name);
+    this.#metrics = new RateLimiterMetrics(this.name, () => this.snapshot());
+    await super._impl_init();
+  }
+
+  /** @override */
+  async _impl_start() {
+    this.#metrics.start();
+    await super._impl_start();
+  }
+
+  /** @override */
+  async _impl_stop(willReload) {
+    this.#metrics.stop();
+    await this.#buckets.denyAllRequests();
+    await this.#store?.stop();
+    await super._impl_stop(willReload);
+  }
+
   //
   // Static members
   //
@@ -61,8 +132,10 @@ export class RequestRateLimiter extends BaseApplication {
       'RequestRateLimiterConfig',
       BaseApplication.configClass,
       {
-        countType: RequestCount,
-        rateType:  RequestRate
+        allowShared: true,
+        countType:   RequestCount,
+        keyTypes:    ['cookie', 'header', 'ip', 'ipPrefix', 'principal'],
+        rateType:    RequestRate
       });
   }
 }
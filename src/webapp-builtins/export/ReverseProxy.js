@@ -0,0 +1,366 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import http from 'node:http';
+import https from 'node:https';
+import { pipeline } from 'node:stream';
+
+import { Paths } from '@this/fs-util';
+import { FullResponse, HttpHeaders, HttpUtil, IncomingRequest, RequestBody,
+  StatusResponse, UriUtil }
+  from '@this/net-util';
+import { Duration } from '@this/quant';
+import { BaseApplication } from '@this/webapp-core';
+
+
+/**
+ * Application that forwards requests to an upstream HTTP-ish server, relaying
+ * the upstream response back to the original client. See docs for
+ * configuration object details.
+ */
+export class ReverseProxy extends BaseApplication {
+  /**
+   * Agent to use for upstream requests, which gets reused so as to be able to
+   * keep upstream connections alive. Set in {@link #_impl_start}.
+   *
+   * @type {?http.Agent}
+   */
+  #agent = null;
+
+  /**
+   * The upstream `host` header value, that is, the host and possibly port.
+   *
+   * @type {string}
+   */
+  #host;
+
+  /**
+   * Base path of the target, with no trailing slash.
+   *
+   * @type {string}
+   */
+  #basePath;
+
+  /**
+   * Network module to use for upstream requests, one of `http` or `https`.
+   *
+   * @type {object}
+   */
+  #netModule;
+
+  /**
+   * Upstream request options which are the same for all requests.
+   *
+   * @type {object}
+   */
+  #baseRequestOptions;
+
+  /**
+   * Constructs an instance.
+   *
+   * @param {object} rawConfig Raw configuration object.
+   */
+  constructor(rawConfig) {
+    super(rawConfig);
+
+    const { socketPath, target, timeout } = this.config;
+    const url                             = new URL(target);
+
+    this.#host      = url.host;
+    this.#netModule = (url.protocol === 'https:') ? https : http;
+
+    // Drop the final slash from the path, because we'll always be appending a
+    // path that _starts_ with a slash.
+    this.#basePath = url.pathname.match(/^(?<path>.*)[/]$/).groups.path;
+
+    this.#baseRequestOptions = socketPath
+      ? { socketPath }
+      : { hostname: url.hostname.replace(/^\[|\]$/g, ''), port: url.port || null };
+
+    this.#baseRequestOptions.timeout = timeout.msec;
+  }
+
+  /** @override */
+  async _impl_handleRequest(request, dispatch) {
+    const path = `${this.#basePath}${UriUtil.pathStringFrom(dispatch.extra)}${request.searchString}`;
+
+    let upstreamRes;
+    try {
+      upstreamRes = await this.#sendRequest(request, path);
+    } catch (e) {
+      const bodyStatus = RequestBody.statusForError(e);
+
+      if (bodyStatus !== null) {
+        // The problem was with the original request body (e.g. it was too
+        // large), not with the upstream server.
+        return StatusResponse.fromStatus(bodyStatus);
+      }
+
+      const timedOut = (e.code === ReverseProxy.#TIMEOUT_ERROR_CODE);
+
+      request.logger?.upstreamError(timedOut ? 'timedOut' : e);
+
+      // `504` is "Gateway Timeout," and `502` is "Bad Gateway."
+      return StatusResponse.fromStatus(timedOut ? 504 : 502);
+    }
+
+    return this.#makeResponse(upstreamRes);
+  }
+
+  /** @override */
+  async _impl_start() {
+    this.#agent = new this.#netModule.Agent({ keepAlive: true });
+    await super._impl_start();
+  }
+
+  /** @override */
+  async _impl_stop(willReload) {
+    this.#agent?.destroy();
+    this.#agent = null;
+    await super._impl_stop(willReload);
+  }
+
+  /**
+   * Makes the headers to send to the upstream server, based on the original
+   * request.
+   *
+   * @param {IncomingRequest} request The original request.
+   * @returns {object} Headers to send upstream, as a plain object.
+   */
+  #makeRequestHeaders(request) {
+    const { headers, host, origin } = request;
+    const dropped = ReverseProxy.#hopByHopHeadersFrom(headers);
+    const result  = {};
+
+    for (const [name, value] of headers) {
+      if (!dropped.has(name)) {
+        result[name] = value;
+      }
+    }
+
+    // Note: `origin.address` is only ever `null` in unusual cases (e.g.,
+    // a connection via a Unix domain socket). `unknown` is the RFC-sanctioned
+    // way to say "don't know."
+    const originAddress  = origin.address ?? 'unknown';
+    const forwardedFor   = /:/.test(originAddress) ? `"[${originAddress}]"` : originAddress;
+    const forwardedHost  = ReverseProxy.#forwardedValue(host.namePortString);
+    const forwardedEntry = `for=${forwardedFor};host=${forwardedHost}`;
+
+    result.forwarded = result.forwarded
+      ? `${result.forwarded}, ${forwardedEntry}`
+      : forwardedEntry;
+
+    result['x-forwarded-for'] = result['x-forwarded-for']
+      ? `${result['x-forwarded-for']}, ${originAddress}`
+      : originAddress;
+
+    result['x-forwarded-host'] ??= host.namePortString;
+    result.host                  = this.#host;
+
+    return result;
+  }
+
+  /**
+   * Makes the response to return to the original client, based on the response
+   * from the upstream server.
+   *
+   * @param {http.IncomingMessage} upstreamRes The upstream response.
+   * @returns {FullResponse} The response to return.
+   */
+  #makeResponse(upstreamRes) {
+    const { headers: rawHeaders, statusCode } = upstreamRes;
+    const response = new FullResponse();
+    const headers  = response.headers;
+
+    for (const [name, value] of Object.entries(rawHeaders)) {
+      if (Array.isArray(value)) {
+        for (const v of value) {
+          headers.append(name, v);
+        }
+      } else {
+        headers.set(name, value);
+      }
+    }
+
+    for (const name of ReverseProxy.#hopByHopHeadersFrom(headers)) {
+      headers.delete(name);
+    }
+
+    response.status = statusCode;
+
+    // Why `get` as the method for the test below? Because `FullResponse` wants
+    // all data-bearing responses to actually have data, even for `head`
+    // requests. (It takes care of not sending the body.)
+
+    if (HttpUtil.responseBodyIsAllowedFor('get', statusCode)) {
+      const length = HttpUtil.numberFromContentLengthString(headers.get('content-length'));
+
+      headers.delete('content-length');
+
+      if (!headers.get('content-type')) {
+        headers.set('content-type', 'application/octet-stream');
+      }
+
+      response.setBodyStream(upstreamRes, { length });
+    } else {
+      upstreamRes.resume(); // Drain (and ignore) anything that shows up.
+      headers.deleteContent();
+      response.setNoBody();
+    }
+
+    return response;
+  }
+
+  /**
+   * Sends a request to the upstream server, async-returning the response once
+   * its headers have been received.
+   *
+   * @param {IncomingRequest} request The original request.
+   * @param {string} path The path (and search string) to request.
+   * @returns {http.IncomingMessage} The upstream response.
+   */
+  async #sendRequest(request, path) {
+    const options = {
+      ...this.#baseRequestOptions,
+      agent:   this.#agent,
+      method:  request.method.toUpperCase(),
+      path,
+      headers: this.#makeRequestHeaders(request)
+    };
+
+    return new Promise((resolve, reject) => {
+      const upstreamReq = this.#netModule.request(options);
+
+      upstreamReq.once('response', resolve);
+      upstreamReq.once('error', reject);
+
+      upstreamReq.once('timeout', () => {
+        const error = new Error('Timed out waiting for upstream server.');
+        error.code  = ReverseProxy.#TIMEOUT_ERROR_CODE;
+        upstreamReq.destroy(error);
+      });
+
+      if (request.body) {
+        // Stream the body, as opposed to reading it all first.
+        pipeline(request.body.stream(), upstreamReq, (e) => {
+          if (e) {
+            reject(e);
+          }
+        });
+      } else {
+        upstreamReq.end();
+      }
+    });
+  }
+
+
+  //
+  // Static members
+  //
+
+  /**
+   * Names of the standard hop-by-hop headers, that is, headers which only
+   * pertain to a single connection and so must not get forwarded.
+   *
+   * @type {Set<string>}
+   */
+  static #HOP_BY_HOP_HEADERS = new Set([
+    'connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization',
+    'proxy-connection', 'te', 'trailer', 'transfer-encoding', 'upgrade'
+  ]);
+
+  /**
+   * Error code used to indicate an upstream timeout.
+   *
+   * @type {string}
+   */
+  static #TIMEOUT_ERROR_CODE = 'upstream-timeout';
+
+  /** @override */
+  static _impl_configClass() {
+    return class Config extends super.prototype.constructor.configClass {
+      // @defaultConstructor
+
+      /**
+       * Path to a Unix domain socket to connect to, or `null` to connect via
+       * the network to the host and port named by `target`. When used, the
+       * host in `target` is only used for the `host` header on upstream
+       * requests.
+       *
+       * @param {?string} [value] Proposed configuration value. Default `null`.
+       * @returns {?string} Accepted configuration value.
+       */
+      _config_socketPath(value = null) {
+        return (value === null) ? null : Paths.mustBeAbsolutePath(value);
+      }
+
+      /**
+       * The target base URI, which includes the protocol (`http` or `https`),
+       * host, optional port, and base path of the upstream server.
+       *
+       * @param {string} value Proposed configuration value.
+       * @returns {string} Accepted configuration value.
+       */
+      _config_target(value) {
+        return UriUtil.mustBeBasicUri(value);
+      }
+
+      /**
+       * How long to wait for the upstream server to connect or to send more of
+       * its response before giving up. If passed as a string, it is parsed by
+       * {@link Duration#parse}.
+       *
+       * @param {string|Duration} [value] Proposed configuration value. Default
+       *   `30 sec`.
+       * @returns {Duration} Accepted configuration value.
+       */
+      _config_timeout(value = '30 sec') {
+        const result = Duration.parse(value, { range: { minExclusive: 0 } });
+
+        if (!result) {
+          throw new Error(`Could not parse \`timeout\`: ${value}`);
+        }
+
+        return result;
+      }
+    };
+  }
+
+  /**
+   * Quotes a value for use in a `forwarded` header, if necessary.
+   *
+   * @param {string} value The value.
+   * @returns {string} The possibly-quoted value.
+   */
+  static #forwardedValue(value) {
+    return /^[-!#$%&'*+.^_`|~0-9a-zA-Z]+$/.test(value)
+      ? value
+      : `"${value.replace(/["\\]/g, '\\$&')}"`;
+  }
+
+  /**
+   * Gets the set of all hop-by-hop header names which apply to the given
+   * headers, which includes both the standard ones and any named in the
+   * `connection` header.
+   *
+   * @param {HttpHeaders} headers The headers in question.
+   * @returns {Set<string>} The hop-by-hop header names.
+   */
+  static #hopByHopHeadersFrom(headers) {
+    const connection = headers.get('connection');
+
+    if (!connection) {
+      return this.#HOP_BY_HOP_HEADERS;
+    }
+
+    const result = new Set(this.#HOP_BY_HOP_HEADERS);
+    for (const name of connection.split(',')) {
+      const trimmed = name.trim().toLowerCase();
+      if (trimmed !== '') {
+        result.add(trimmed);
+      }
+    }
+
+    return result;
+  }
+}
@@ -0,0 +1,372 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import * as crypto from 'node:crypto';
+
+import { TreeMap } from '@this/collections';
+import { HttpHeaders, IncomingRequest, UriUtil } from '@this/net-util';
+import { Duration } from '@this/quant';
+import { BaseConfig } from '@this/structy';
+import { AskIf, MustBe } from '@this/typey';
+
+import { BaseWrapperApplication } from '#p/BaseWrapperApplication';
+
+
+/**
+ * Application that adds security-related response headers to the responses of
+ * another application, with optional per-path overrides. When so configured,
+ * it also generates a per-request nonce for use in a content security policy,
+ * which gets exposed to the other application via {@link
+ * IncomingRequest#cspNonce}. See docs for configuration object details.
+ */
+export class SecurityHeaders extends BaseWrapperApplication {
+  // @defaultConstructor
+
+  /** @override */
+  async _impl_handleRequest(request, dispatch) {
+    const found    = this.config.paths.find(dispatch.extra);
+    const settings = found?.value ?? this.config.headers;
+    const csp      = settings.contentSecurityPolicy;
+    let   nonce    = null;
+
+    if ((csp !== null) && csp.includes(SecurityHeaders.#NONCE_PLACEHOLDER)) {
+      // Note: If an outer instance of this class already made a nonce, then
+      // reuse it, so that the downstream application only has to deal with
+      // one.
+      nonce = request.cspNonce;
+
+      if (nonce === null) {
+        nonce = crypto.randomBytes(SecurityHeaders.#NONCE_LENGTH).toString('base64');
+        request.setCspNonce(nonce);
+      }
+    }
+
+    return this._prot_forwardRequest(request, dispatch,
+      (response) => SecurityHeaders.#addHeaders(response.headers, settings, nonce));
+  }
+
+
+  //
+  // Static members
+  //
+
+  /**
+   * Number of random bytes in a content security policy nonce.
+   *
+   * @type {number}
+   */
+  static #NONCE_LENGTH = 16;
+
+  /**
+   * Placeholder in a configured content security policy which gets replaced by
+   * a per-request nonce.
+   *
+   * @type {string}
+   */
+  static #NONCE_PLACEHOLDER = '{nonce}';
+
+  /**
+   * Regex which matches a valid header value as configured for this class,
+   * notably disallowing control characters.
+   *
+   * @type {RegExp}
+   */
+  static #VALUE_REGEX = /^[^\p{Cc}]+$/u;
+
+  /** @override */
+  static _impl_configClass() {
+    return class Config extends super.prototype.constructor.configClass {
+      // @defaultConstructor
+
+      /**
+       * Header settings to use for paths which aren't covered by {@link
+       * #paths}. This must be a plain object which is suitable as an argument
+       * to the {@link SecurityHeaders#HeadersConfig} constructor.
+       *
+       * @param {object} [value] Proposed configuration value. Default `{}`.
+       * @returns {SecurityHeaders.HeadersConfig} Accepted configuration value.
+       */
+      _config_headers(value = {}) {
+        return new SecurityHeaders.HeadersConfig(value);
+      }
+
+      /**
+       * Per-path overrides of {@link #headers}, as a plain object which maps
+       * path patterns to partial header settings. Each path pattern is
+       * parsed per {@link UriUtil#parsePathPattern}, and each setting is a
+       * plain object with any subset of the bindings of the main header
+       * settings. After validation, this is a map from each path to the
+       * fully-merged settings which apply to it.
+       *
+       * @param {object} [value] Proposed configuration value. Default `{}`.
+       * @returns {TreeMap<object>} Accepted configuration value, as a map from
+       *   paths to (not yet merged) overrides.
+       */
+      _config_paths(value = {}) {
+        MustBe.plainObject(value);
+
+        const result = new TreeMap();
+
+        for (const [path, overrides] of Object.entries(value)) {
+          if (!AskIf.plainObject(overrides)) {
+            throw new Error(`Overrides must be a plain object, for path: ${path}`);
+          }
+
+          result.add(UriUtil.parsePathPattern(path), overrides);
+        }
+
+        return result;
+      }
+
+      /** @override */
+      _impl_validate(config) {
+        const { headers, paths: rawPaths } = config;
+        const paths = new TreeMap();
+
+        for (const [key, overrides] of rawPaths) {
+          const merged = new SecurityHeaders.HeadersConfig({ ...headers, ...overrides });
+          paths.add(key, merged);
+        }
+
+        return super._impl_validate({ ...config, paths: Object.freeze(paths) });
+      }
+    };
+  }
+
+  /**
+   * Configuration class for `headers` bindings and per-path overrides.
+   */
+  static HeadersConfig = class HeadersConfig extends BaseConfig {
+    // @defaultConstructor
+
+    /**
+     * Value for the `content-security-policy` header, or `null` not to include
+     * one. Any instances of `{nonce}` in the value are replaced with a nonce
+     * that is generated anew for each request.
+     *
+     * @param {?string} [value] Proposed configuration value. Default `null`.
+     * @returns {?string} Accepted configuration value.
+     */
+    _config_contentSecurityPolicy(value = null) {
+      return (value === null)
+        ? null
+        : MustBe.string(value, SecurityHeaders.#VALUE_REGEX);
+    }
+
+    /**
+     * Whether to include `x-content-type-options: nosniff`.
+     *
+     * @param {boolean} [value] Proposed configuration value. Default `true`.
+     * @returns {boolean} Accepted configuration value.
+     */
+    _config_contentTypeOptions(value = true) {
+      return MustBe.boolean(value);
+    }
+
+    /**
+     * Value for the `x-frame-options` header, either `deny` or `sameorigin`,
+     * or `null` not to include one.
+     *
+     * @param {?string} [value] Proposed configuration value. Default
+     *   `'sameorigin'`.
+     * @returns {?string} Accepted configuration value.
+     */
+    _config_frameOptions(value = 'sameorigin') {
+      return (value === null)
+        ? null
+        : MustBe.string(value, /^(deny|sameorigin)$/);
+    }
+
+    /**
+     * Settings for the `strict-transport-security` header, or `null` not to
+     * include one. If non-`null`, this must be a plain object which is suitable
+     * as an argument to the {@link SecurityHeaders#HstsConfig} constructor.
+     *
+     * @param {?object} [value] Proposed configuration value. Default `null`.
+     * @returns {?SecurityHeaders.HstsConfig} Accepted configuration value.
+     */
+    _config_hsts(value = null) {
+      return (value === null)
+        ? null
+        : new SecurityHeaders.HstsConfig(value);
+    }
+
+    /**
+     * Value for the `permissions-policy` header, or `null` not to include one.
+     *
+     * @param {?string} [value] Proposed configuration value. Default `null`.
+     * @returns {?string} Accepted configuration value.
+     */
+    _config_permissionsPolicy(value = null) {
+      return (value === null)
+        ? null
+        : MustBe.string(value, SecurityHeaders.#VALUE_REGEX);
+    }
+
+    /**
+     * Value for the `referrer-policy` header, or `null` not to include one.
+     * Must be one of the policy names defined by the standard.
+     *
+     * @param {?string} [value] Proposed configuration value. Default
+     *   `'strict-origin-when-cross-origin'`.
+     * @returns {?string} Accepted configuration value.
+     */
+    _config_referrerPolicy(value = 'strict-origin-when-cross-origin') {
+      if (value === null) {
+        return null;
+      }
+
+      MustBe.string(value);
+
+      if (!HeadersConfig.#REFERRER_POLICIES.has(value)) {
+        throw new Error(`Unknown referrer policy: ${value}`);
+      }
+
+      return value;
+    }
+
+
+    //
+    // Static members
+    //
+
+    /**
+     * Set of all valid referrer policy names.
+     *
+     * @type {Set<string>}
+     */
+    static #REFERRER_POLICIES = new Set([
+      'no-referrer', 'no-referrer-when-downgrade', 'origin',
+      'origin-when-cross-origin', 'same-origin', 'strict-origin',
+      'strict-origin-when-cross-origin', 'unsafe-url'
+    ]);
+  };
+
+  /**
+   * Configuration class for `hsts` bindings.
+   */
+  static HstsConfig = class HstsConfig extends BaseConfig {
+    // @defaultConstructor
+
+    /**
+     * Whether to include the `includeSubDomains` directive.
+     *
+     * @param {boolean} [value] Proposed configuration value. Default `false`.
+     * @returns {boolean} Accepted configuration value.
+     */
+    _config_includeSubDomains(value = false) {
+      return MustBe.boolean(value);
+    }
+
+    /**
+     * How long a client should remember to only use secure connections. If
+     * passed as a string, it is parsed by {@link Duration#parse}.
+     *
+     * @param {string|Duration} [value] Proposed configuration value. Default
+     *   `'365 day'`.
+     * @returns {Duration} Accepted configuration value.
+     */
+    _config_maxAge(value = '365 day') {
+      const result = Duration.parse(value, { range: { minInclusive: 0 } });
+
+      if (!result) {
+        throw new Error(`Could not parse \`maxAge\`: ${value}`);
+      }
+
+      return result;
+    }
+
+    /**
+     * Whether to include the `preload` directive. If `true`, then {@link
+     * #includeSubDomains} must also be `true`.
+     *
+     * @param {boolean} [value] Proposed configuration value. Default `false`.
+     * @returns {boolean} Accepted configuration value.
+     */
+    _config_preload(value = false) {
+      return MustBe.boolean(value);
+    }
+
+    /** @override */
+    _impl_validate(config) {
+      if (config.preload && !config.includeSubDomains) {
+        throw new Error('Cannot use `preload` without `includeSubDomains`.');
+      }
+
+      return super._impl_validate(config);
+    }
+  };
+
+  /**
+   * Adds security headers to the given (outgoing) headers, per the given
+   * settings. Headers which are already present are left as-is.
+   *
+   * @param {HttpHeaders} headers The headers to add to.
+   * @param {SecurityHeaders.HeadersConfig} settings The header settings to
+   *   apply.
+   * @param {?string} nonce The content security policy nonce, if any.
+   */
+  static #addHeaders(headers, settings, nonce) {
+    for (const [name, value] of this.#headerEntries(settings, nonce)) {
+      if (!headers.has(name)) {
+        headers.set(name, value);
+      }
+    }
+  }
+
+  /**
+   * Gets the headers to add to a response, per the given settings.
+   *
+   * @param {SecurityHeaders.HeadersConfig} settings The header settings.
+   * @param {?string} nonce The content security policy nonce, if any.
+   * @returns {Array<Array<string>>} Array of name-value pairs.
+   */
+  static #headerEntries(settings, nonce) {
+    const {
+      contentSecurityPolicy: csp, contentTypeOptions, frameOptions, hsts,
+      permissionsPolicy, referrerPolicy
+    } = settings;
+    const result = [];
+
+    if (hsts !== null) {
+      const { includeSubDomains, maxAge, preload } = hsts;
+      let   value = `max-age=${Math.trunc(maxAge.sec)}`;
+
+      if (includeSubDomains) {
+        value += '; includeSubDomains';
+      }
+
+      if (preload) {
+        value += '; preload';
+      }
+
+      result.push(['strict-transport-security', value]);
+    }
+
+    if (csp !== null) {
+      const value = (nonce === null)
+        ? csp
+        : csp.replaceAll(this.#NONCE_PLACEHOLDER, nonce);
+
+      result.push(['content-security-policy', value]);
+    }
+
+    if (contentTypeOptions) {
+      result.push(['x-content-type-options', 'nosniff']);
+    }
+
+    if (frameOptions !== null) {
+      result.push(['x-frame-options', frameOptions.toUpperCase()]);
+    }
+
+    if (referrerPolicy !== null) {
+      result.push(['referrer-policy', referrerPolicy]);
+    }
+
+    if (permissionsPolicy !== null) {
+      result.push(['permissions-policy', permissionsPolicy]);
+    }
+
+    return result;
+  }
+}
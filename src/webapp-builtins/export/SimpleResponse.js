@@ -5,7 +5,8 @@ import fs from 'node:fs/promises';
 
 import { WallClock } from '@this/clocky';
 import { Paths, Statter } from '@this/fs-util';
-import { EtagGenerator, FullResponse, HttpUtil, MimeTypes, StatusResponse }
+import { EtagGenerator, FullResponse, HttpCompression, HttpHeaders, HttpUtil,
+  MimeTypes, StatusResponse }
   from '@this/net-util';
 import { AskIf, MustBe } from '@this/typey';
 import { BaseApplication } from '@this/webapp-core';
@@ -22,6 +23,15 @@ export class SimpleResponse extends BaseApplication {
    */
   #allowAdjustment = true;
 
+  /**
+   * Map from each selected encoding (with `''` for no encoding) to the
+   * corresponding response template, for all encodings that have been used so
+   * far. Only used if this instance is configured to do compression.
+   *
+   * @type {Map<string, FullResponse>}
+   */
+  #compressedResponses = new Map();
+
   /**
    * Response template to clone for all actual responses.
    *
@@ -34,14 +44,14 @@ export class SimpleResponse extends BaseApplication {
   /** @override */
   async _impl_handleRequest(request, dispatch_unused) {
     const { headers, method } = request;
-    const response            = this.#response;
 
     if (!request.isGetOrHead()) {
       return StatusResponse.FORBIDDEN;
     } else if (this.#allowAdjustment) {
+      const response = await this.#responseFor(headers);
       return response.adjustFor(method, headers, { conditional: true, range: true });
     } else {
-      return response;
+      return this.#response;
     }
   }
 
@@ -101,6 +111,35 @@ export class SimpleResponse extends BaseApplication {
     await super._impl_start();
   }
 
+  /**
+   * Gets the response template to use for a request with the given headers,
+   * taking into account compression configuration.
+   *
+   * @param {HttpHeaders} requestHeaders The request headers.
+   * @returns {FullResponse} The response template.
+   */
+  async #responseFor(requestHeaders) {
+    const { compress } = this.config;
+
+    if (!compress) {
+      return this.#response;
+    }
+
+    const encoding = HttpCompression.selectEncoding(requestHeaders, compress.encodings) ?? '';
+    const already  = this.#compressedResponses.get(encoding);
+
+    if (already) {
+      return already;
+    }
+
+    // Note: The method is always `get` here, because the result gets reused
+    // for all requests, with `adjustFor()` applied afterwards.
+    const result = await this.#response.compressFor('get', requestHeaders, compress);
+
+    this.#compressedResponses.set(encoding, result);
+    return result;
+  }
+
 
   //
   // Static members
@@ -150,6 +189,24 @@ export class SimpleResponse extends BaseApplication {
         }
       }
 
+      /**
+       * Compression options, `true` for default options, or `null` (or
+       * `false`) not to do compression.
+       *
+       * @param {?object|boolean} [value] Proposed configuration value. Default
+       *   `null`.
+       * @returns {?object} Accepted configuration value.
+       */
+      _config_compress(value = null) {
+        if ((value === null) || (value === false)) {
+          return null;
+        } else if ((value === true) || AskIf.plainObject(value)) {
+          return HttpCompression.expandOptions(value);
+        } else {
+          throw new Error('Invalid `compress` option.');
+        }
+      }
+
       /**
        * Content type of the response, or `null` to infer it from `filePath`.
        *
@@ -6,6 +6,7 @@ import fs from 'node:fs/promises';
 import { Paths, Statter } from '@this/fs-util';
 import { FullResponse, HttpUtil, MimeTypes, StatusResponse }
   from '@this/net-util';
+import { MustBe } from '@this/typey';
 import { BaseApplication } from '@this/webapp-core';
 import { StaticFileResponder } from '@this/webapp-util';
 
@@ -77,14 +78,19 @@ export class StaticFiles extends BaseApplication {
   constructor(rawConfig) {
     super(rawConfig);
 
-    const { cacheControl, etag, indexFile, notFoundPath, siteDirectory } =
-      this.config;
+    const {
+      cacheControl, compress, etag, indexFile, listing, notFoundPath,
+      precompressed, siteDirectory
+    } = this.config;
 
     this.#responderConfig = {
       baseDirectory: siteDirectory,
       cacheControl,
+      compress,
       etag,
-      indexFile
+      indexFile,
+      listing,
+      precompressed
     };
 
     this.#cacheControl  = cacheControl;
@@ -209,6 +215,18 @@ export class StaticFiles extends BaseApplication {
         return StaticFileResponder.mustBeCacheControl(value);
       }
 
+      /**
+       * Compression options, `true` for default options, or `null` not to do
+       * on-the-fly compression.
+       *
+       * @param {?object|boolean} [value] Proposed configuration value. Default
+       *   `null`.
+       * @returns {?object} Accepted configuration value.
+       */
+      _config_compress(value = null) {
+        return StaticFileResponder.mustBeCompress(value);
+      }
+
       /**
        * Etag-generating options, `true` for default options, or `null` not to
        * include an `etag` header in responses.
@@ -224,8 +242,8 @@ export class StaticFiles extends BaseApplication {
       /**
        * A file name to look for, or a list of file names to look for in order,
        * to use when responding to a request for a directory. If `null` or an
-       * empty array, plain directory requests get a not-found response. Names
-       * must not contain any slash (`/`) characters.
+       * empty array, plain directory requests get a not-found response (unless
+       * `listing` is used). Names must not contain any slash (`/`) characters.
        *
        * @param {?string|string[]} [value] Proposed configuration value. Default
        *   `index.html`.
@@ -235,6 +253,19 @@ export class StaticFiles extends BaseApplication {
         return StaticFileResponder.mustBeIndexFile(value);
       }
 
+      /**
+       * Directory listing options, `true` for default options, or `null` (or
+       * `false`) not to do directory listings. When used, a directory request
+       * for which no index file is found gets a listing of the directory.
+       *
+       * @param {?object|boolean} [value] Proposed configuration value. Default
+       *   `null`.
+       * @returns {?object} Accepted configuration value.
+       */
+      _config_listing(value = null) {
+        return StaticFileResponder.mustBeListing(value);
+      }
+
       /**
        * Absolute path to the file to serve for a not-found result, or `null` if
        * not-found handling shouldn't be done.
@@ -248,6 +279,17 @@ export class StaticFiles extends BaseApplication {
           : Paths.mustBeAbsolutePath(value);
       }
 
+      /**
+       * Look for and serve precompressed sibling files (e.g. `foo.js.gz` for
+       * `foo.js`) when the request allows it?
+       *
+       * @param {boolean} [value] Proposed configuration value. Default `false`.
+       * @returns {boolean} Accepted configuration value.
+       */
+      _config_precompressed(value = false) {
+        return MustBe.boolean(value);
+      }
+
       /**
        * Absolute path to the base directory for the site files.
        *
@@ -3,11 +3,14 @@
 
 export * from '#x/AccessLogToFile';
 export * from '#x/AccessLogToSyslog';
+export * from '#x/AuthGate';
 export * from '#x/ConnectionRateLimiter';
+export * from '#x/CorsPolicy';
 export * from '#x/DataRateLimiter';
 export * from '#x/EventFan';
 export * from '#x/HostRouter';
 export * from '#x/MemoryMonitor';
+export * from '#x/MetricsExporter';
 export * from '#x/PathRouter';
 export * from '#x/ProcessIdFile';
 export * from '#x/ProcessInfoFile';
@@ -15,6 +18,8 @@ export * from '#x/Redirector';
 export * from '#x/RequestDelay';
 export * from '#x/RequestFilter';
 export * from '#x/RequestRateLimiter';
+export * from '#x/ReverseProxy';
+export * from '#x/SecurityHeaders';
 export * from '#x/SerialRouter';
 export * from '#x/SimpleResponse';
 export * from '#x/StaticFiles';
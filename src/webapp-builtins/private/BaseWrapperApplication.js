@@ -0,0 +1,96 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { Names } from '@this/compy';
+import { DispatchInfo, FullResponse, IncomingRequest, IntfRequestHandler,
+  TypeOutgoingResponse }
+  from '@this/net-util';
+import { BaseApplication } from '@this/webapp-core';
+
+
+/**
+ * Base class for applications which sit in front of another application,
+ * passing requests on to it and (optionally) adding to the responses it
+ * produces. Subclasses get a configuration binding `application` (the name of
+ * the application to pass requests to), and call {@link #_prot_forwardRequest}
+ * to do the actual passing.
+ */
+export class BaseWrapperApplication extends BaseApplication {
+  /**
+   * Handler (typically an instance of {@link BaseApplication}) to pass requests
+   * to. Gets set in {@link #_impl_start}.
+   *
+   * @type {?IntfRequestHandler}
+   */
+  #application = null;
+
+  // @defaultConstructor
+
+  /** @override */
+  async _impl_start() {
+    // Note: We can't resolve the application in `_impl_init()` because it
+    // might not be the case that it has already been added when that runs.
+
+    this.#application = this.root.applicationManager.get(this.config.application);
+
+    await super._impl_start();
+  }
+
+  /**
+   * Passes the given request on to the wrapped application. If that produces
+   * a response and `decorate` is non-`null`, then the response gets replaced by
+   * a private copy of it (per {@link #_prot_copyResponse}), which gets passed
+   * to `decorate` to be added to. Responses which can't be copied (e.g.
+   * WebSocket upgrades) are returned as-is.
+   *
+   * @param {IncomingRequest} request Request object.
+   * @param {DispatchInfo} dispatch Dispatch information.
+   * @param {?function(FullResponse)} [decorate] Function to call to add to the
+   *   response, or `null` to return the response as-is.
+   * @returns {?TypeOutgoingResponse} Response to the request, if any.
+   */
+  async _prot_forwardRequest(request, dispatch, decorate = null) {
+    const application = this.#application;
+
+    dispatch.logger?.dispatching({ application: application.name });
+
+    const result = await application.handleRequest(request, dispatch);
+
+    if ((result === null) || (decorate === null)) {
+      return result;
+    }
+
+    const copy = this._prot_copyResponse(request, result);
+
+    if (copy === null) {
+      // E.g. a WebSocket upgrade.
+      return result;
+    }
+
+    decorate(copy);
+    return copy;
+  }
+
+
+  //
+  // Static members
+  //
+
+  /** @override */
+  static _impl_configClass() {
+    return class Config extends super.prototype.constructor.configClass {
+      // @defaultConstructor
+
+      /**
+       * Name of the application to pass requests to. Must be a valid component
+       * name, per {@link Names#mustBeName}.
+       *
+       * @param {string} value Proposed configuration value.
+       * @returns {string} Accepted configuration value.
+       */
+      _config_application(value) {
+        return Names.mustBeName(value);
+      }
+    };
+  }
+}
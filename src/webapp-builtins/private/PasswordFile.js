@@ -0,0 +1,207 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import * as crypto from 'node:crypto';
+import * as fs from 'node:fs/promises';
+import { promisify } from 'node:util';
+
+import { MustBe } from '@this/typey';
+
+
+/**
+ * Holder of the contents of a password file, which maps user names to hashed
+ * passwords. Each non-empty line of a password file which doesn't start with
+ * `#` is of the form `<name>:scrypt:<N>:<r>:<p>:<salt>:<hash>`, where `<N>`,
+ * `<r>`, and `<p>` are the `scrypt` cost parameters, and `<salt>` and `<hash>`
+ * are base64-encoded. Lines of this form can be produced by {@link #hash}.
+ */
+export class PasswordFile {
+  /**
+   * Path to the file.
+   *
+   * @type {string}
+   */
+  #path;
+
+  /**
+   * Map from each user name to its parsed entry, or `null` if the file hasn't
+   * yet been loaded.
+   *
+   * @type {?Map<string, object>}
+   */
+  #entries = null;
+
+  /**
+   * Constructs an instance.
+   *
+   * @param {string} path Path to the file.
+   */
+  constructor(path) {
+    this.#path = MustBe.string(path);
+  }
+
+  /**
+   * Loads (or reloads) the file.
+   *
+   * @throws {Error} Thrown if the file could not be read or is malformed.
+   */
+  async load() {
+    const text    = await fs.readFile(this.#path, 'utf-8');
+    const entries = new Map();
+    let   lineNum = 0;
+
+    for (const line of text.split(/\r?\n/)) {
+      lineNum++;
+
+      if (/^\s*(#.*)?$/.test(line)) {
+        continue;
+      }
+
+      const entry = PasswordFile.#parseLine(line);
+
+      if (!entry) {
+        throw new Error(`Malformed password file line ${lineNum}: ${this.#path}`);
+      } else if (entries.has(entry.name)) {
+        throw new Error(`Duplicate name \`${entry.name}\` in password file: ${this.#path}`);
+      }
+
+      entries.set(entry.name, entry);
+    }
+
+    this.#entries = entries;
+  }
+
+  /**
+   * Checks a name and password against the file.
+   *
+   * @param {string} name The user name.
+   * @param {string} password The password.
+   * @returns {boolean} `true` iff `name` is in the file and `password` is its
+   *   password.
+   */
+  async verify(name, password) {
+    const entry = this.#entries.get(name);
+
+    // Note: When `name` isn't found, we still do a full hash (against a dummy
+    // entry), so that the timing of the result doesn't reveal which names are
+    // valid.
+    const { N, r, p, salt, hash } = entry ?? PasswordFile.#DUMMY_ENTRY;
+    const got = await PasswordFile.#scrypt(password, salt, hash.length,
+      { N, r, p, maxmem: PasswordFile.#maxMemFor(N, r) });
+
+    return crypto.timingSafeEqual(got, hash) && (entry !== undefined);
+  }
+
+
+  //
+  // Static members
+  //
+
+  /**
+   * Default `scrypt` cost parameters.
+   *
+   * @type {{ N: number, r: number, p: number }}
+   */
+  static #COST = Object.freeze({ N: 16384, r: 8, p: 1 });
+
+  /**
+   * Entry to verify against when a name isn't found.
+   *
+   * @type {object}
+   */
+  static #DUMMY_ENTRY = Object.freeze({
+    ...this.#COST,
+    salt: Buffer.alloc(16),
+    hash: Buffer.alloc(32)
+  });
+
+  /**
+   * Length of the hash to produce, in bytes.
+   *
+   * @type {number}
+   */
+  static #HASH_LENGTH = 32;
+
+  /**
+   * Length of the salt to produce, in bytes.
+   *
+   * @type {number}
+   */
+  static #SALT_LENGTH = 16;
+
+  /**
+   * Promisified version of `crypto.scrypt()`.
+   *
+   * @type {function(...*): Promise<Buffer>}
+   */
+  static #scrypt = promisify(crypto.scrypt);
+
+  /**
+   * Makes a password file line for the given name and password, using a fresh
+   * random salt.
+   *
+   * @param {string} name The user name. Must not contain a colon (`:`) or a
+   *   newline.
+   * @param {string} password The password.
+   * @returns {string} The corresponding password file line, without a newline.
+   */
+  static async hash(name, password) {
+    MustBe.string(name, /^[^:\r\n]+$/);
+    MustBe.string(password);
+
+    const { N, r, p } = this.#COST;
+    const salt        = crypto.randomBytes(this.#SALT_LENGTH);
+    const hash        = await this.#scrypt(password, salt, this.#HASH_LENGTH, { N, r, p });
+
+    return [name, 'scrypt', N, r, p, salt.toString('base64'), hash.toString('base64')].join(':');
+  }
+
+  /**
+   * Gets the `maxmem` option to use with `scrypt` for the given parameters, so
+   * that a file with higher-than-default cost parameters can be verified.
+   *
+   * @param {number} N The `N` parameter.
+   * @param {number} r The `r` parameter.
+   * @returns {number} The `maxmem` option value.
+   */
+  static #maxMemFor(N, r) {
+    // The actual requirement is `128 * N * r` (plus a bit); this leaves plenty
+    // of headroom.
+    return Math.max(256 * N * r, 32 * 1024 * 1024);
+  }
+
+  /**
+   * Parses a single line of a password file.
+   *
+   * @param {string} line The line.
+   * @returns {?object} The parsed entry, or `null` if `line` is malformed.
+   */
+  static #parseLine(line) {
+    const parts = line.split(':');
+
+    if ((parts.length !== 7) || (parts[0] === '') || (parts[1] !== 'scrypt')) {
+      return null;
+    }
+
+    const [name, scheme_unused, nStr, rStr, pStr, salt, hash] = parts;
+
+    if (!(   /^[0-9]{1,10}$/.test(nStr) && /^[0-9]{1,5}$/.test(rStr) && /^[0-9]{1,5}$/.test(pStr)
+          && /^[+/=0-9A-Za-z]+$/.test(salt) && /^[+/=0-9A-Za-z]+$/.test(hash))) {
+      return null;
+    }
+
+    const [N, r, p] = [nStr, rStr, pStr].map((str) => Number(str));
+
+    // `N` has to be a power of two, greater than one.
+    if ((N < 2) || !Number.isInteger(Math.log2(N)) || (r < 1) || (p < 1)) {
+      return null;
+    }
+
+    return {
+      name,
+      N, r, p,
+      salt: Buffer.from(salt, 'base64'),
+      hash: Buffer.from(hash, 'base64')
+    };
+  }
+}
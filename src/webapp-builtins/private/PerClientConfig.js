@@ -0,0 +1,245 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { isIPv4 } from 'node:net';
+
+import { EndpointAddress, IncomingRequest } from '@this/net-util';
+import { Duration } from '@this/quant';
+import { BaseConfig } from '@this/structy';
+import { MustBe } from '@this/typey';
+
+
+/**
+ * Configuration class for the `perClient` bindings of rate limiters, which
+ * cause the limiters to have a separate token bucket for each client. This
+ * class knows how to derive the key which identifies the client of a request
+ * (or connection).
+ */
+export class PerClientConfig extends BaseConfig {
+  // @defaultConstructor
+
+  /**
+   * Gets the client key for a connection or request from the given origin
+   * address. This is only valid to call when {@link #key} is `ip` or
+   * `ipPrefix`.
+   *
+   * @param {?EndpointAddress} origin The origin address, if known.
+   * @returns {?string} The key, or `null` if the address isn't known.
+   */
+  keyFromOrigin(origin) {
+    const address = origin?.address ?? null;
+
+    if (address === null) {
+      return null;
+    }
+
+    switch (this.key) {
+      case 'ip': {
+        return address;
+      }
+
+      case 'ipPrefix': {
+        return PerClientConfig.#prefixOf(address, this.ipv4PrefixLength, this.ipv6PrefixLength);
+      }
+
+      default: {
+        throw new Error(`Key type \`${this.key}\` requires a request.`);
+      }
+    }
+  }
+
+  /**
+   * Gets the client key for the given request.
+   *
+   * @param {IncomingRequest} request The request.
+   * @returns {?string} The key, or `null` if the request doesn't have the
+   *   information needed to determine a key (e.g., the header isn't present).
+   */
+  keyFromRequest(request) {
+    switch (this.key) {
+      case 'cookie': {
+        return request.cookies.getValueElseNull(this.name);
+      }
+
+      case 'header': {
+        return request.getHeaderElseNull(this.name);
+      }
+
+      case 'principal': {
+        return request.principal?.name ?? null;
+      }
+
+      default: {
+        return this.keyFromOrigin(request.origin);
+      }
+    }
+  }
+
+  /**
+   * How long a client's bucket is kept around after its most recent use. If
+   * passed as a string, it is parsed by {@link Duration#parse}.
+   *
+   * @param {string|Duration} [value] Proposed configuration value. Default
+   *   `10 min`.
+   * @returns {Duration} Accepted configuration value.
+   */
+  _config_idleTimeout(value = '10 min') {
+    const result = Duration.parse(value, { range: { minInclusive: 1 } });
+
+    if (!result) {
+      throw new Error(`Could not parse \`idleTimeout\`: ${value}`);
+    }
+
+    return result;
+  }
+
+  /**
+   * Length of the prefix of IPv4 addresses to use as the key, when {@link
+   * #key} is `ipPrefix`.
+   *
+   * @param {number} [value] Proposed configuration value. Default `24`.
+   * @returns {number} Accepted configuration value.
+   */
+  _config_ipv4PrefixLength(value = 24) {
+    return MustBe.number(value, { safeInteger: true, minInclusive: 0, maxInclusive: 32 });
+  }
+
+  /**
+   * Length of the prefix of IPv6 addresses to use as the key, when {@link
+   * #key} is `ipPrefix`.
+   *
+   * @param {number} [value] Proposed configuration value. Default `64`.
+   * @returns {number} Accepted configuration value.
+   */
+  _config_ipv6PrefixLength(value = 64) {
+    return MustBe.number(value, { safeInteger: true, minInclusive: 0, maxInclusive: 128 });
+  }
+
+  /**
+   * What identifies a client. One of:
+   *
+   * * `cookie` -- The value of the cookie named by {@link #name}.
+   * * `header` -- The value of the header named by {@link #name}.
+   * * `ip` -- The origin IP address.
+   * * `ipPrefix` -- The network prefix of the origin IP address.
+   * * `principal` -- The name of the authenticated principal.
+   *
+   * @param {string} value Proposed configuration value.
+   * @returns {string} Accepted configuration value.
+   */
+  _config_key(value) {
+    return MustBe.string(value, /^(cookie|header|ip|ipPrefix|principal)$/);
+  }
+
+  /**
+   * Maximum number of clients to keep track of at once. When a new client
+   * would exceed this, the least-recently used one is forgotten.
+   *
+   * @param {number} [value] Proposed configuration value. Default `10000`.
+   * @returns {number} Accepted configuration value.
+   */
+  _config_maxKeys(value = 10000) {
+    return MustBe.number(value, { safeInteger: true, minInclusive: 1 });
+  }
+
+  /**
+   * Name of the header or cookie whose value identifies a client, or `null`
+   * if {@link #key} is neither `header` nor `cookie`. Header names are
+   * case-insensitive, and are converted to lowercase.
+   *
+   * @param {?string} [value] Proposed configuration value. Default `null`.
+   * @returns {?string} Accepted configuration value.
+   */
+  _config_name(value = null) {
+    return (value === null)
+      ? null
+      : MustBe.string(value, /^[-!#$%&'*+.^_`|~0-9A-Za-z]+$/);
+  }
+
+  /** @override */
+  _impl_validate(config) {
+    const { key, name } = config;
+    const needsName     = (key === 'cookie') || (key === 'header');
+
+    if (needsName && (name === null)) {
+      throw new Error(`Key type \`${key}\` requires a \`name\`.`);
+    } else if (!needsName && (name !== null)) {
+      throw new Error(`Key type \`${key}\` does not use a \`name\`.`);
+    }
+
+    const result = (key === 'header')
+      ? { ...config, name: name.toLowerCase() }
+      : config;
+
+    return super._impl_validate(result);
+  }
+
+
+  //
+  // Static members
+  //
+
+  /**
+   * Gets the network prefix of an address, in CIDR form. IPv4 addresses which
+   * are wrapped in IPv6 form are treated as IPv4.
+   *
+   * @param {string} address The address.
+   * @param {number} v4Length Prefix length to use for IPv4 addresses.
+   * @param {number} v6Length Prefix length to use for IPv6 addresses.
+   * @returns {string} The prefix.
+   */
+  static #prefixOf(address, v4Length, v6Length) {
+    const canonical = EndpointAddress.canonicalizeAddressElseNull(address, true);
+
+    if (canonical === null) {
+      // Not an IP address at all. Best to just use it as-is.
+      return address;
+    }
+
+    const v4 = isIPv4(canonical)
+      ? canonical
+      : canonical.match(/^::ffff:(?<v4>[.0-9]+)$/)?.groups.v4;
+
+    let bytes;
+    let length;
+
+    if (v4) {
+      bytes  = v4.split('.').map((s) => parseInt(s));
+      length = v4Length;
+    } else {
+      // Expand the address into its eight 16-bit groups, including converting
+      // a trailing dotted-quad (IPv4-embedded form) into two groups.
+      const dotted   = canonical.match(/(?<=:)[0-9]+[.][.0-9]+$/)?.[0];
+      const expanded = dotted
+        ? canonical.replace(dotted, dotted.split('.').reduce((acc, s, i) => {
+          return acc + ((i === 2) ? ':' : '') + parseInt(s).toString(16).padStart(2, '0');
+        }, ''))
+        : canonical;
+
+      const [head, tail = ''] = expanded.split('::');
+      const headGroups        = head ? head.split(':') : [];
+      const tailGroups        = tail ? tail.split(':') : [];
+      const zeroGroups        = Array(8 - headGroups.length - tailGroups.length).fill('0');
+      const groups            = [...headGroups, ...zeroGroups, ...tailGroups];
+
+      bytes  = groups.flatMap((g) => { const n = parseInt(g, 16); return [n >> 8, n & 0xff]; });
+      length = v6Length;
+    }
+
+    for (let i = 0; i < bytes.length; i++) {
+      const keepBits = Math.min(Math.max(length - (i * 8), 0), 8);
+      bytes[i] &= (0xff << (8 - keepBits)) & 0xff;
+    }
+
+    if (v4) {
+      return `${bytes.join('.')}/${length}`;
+    }
+
+    const groups = [];
+    for (let i = 0; i < bytes.length; i += 2) {
+      groups.push(((bytes[i] << 8) | bytes[i + 1]).toString(16));
+    }
+
+    return `${EndpointAddress.canonicalizeAddress(groups.join(':'), true)}/${length}`;
+  }
+}
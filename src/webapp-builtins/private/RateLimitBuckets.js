@@ -0,0 +1,327 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { Duration } from '@this/quant';
+import { GrantStats, IntfTokenBucketStore, TokenBucket } from '@this/webapp-util';
+
+import { PerClientConfig } from '#p/PerClientConfig';
+
+
+/**
+ * The token buckets used by a request or connection rate limiter. When the
+ * limiter is configured with `perClient`, this holds a separate bucket for
+ * each client key, keeping track of at most a configured number of them (and
+ * forgetting the least-recently used ones as needed), and forgetting ones that
+ * have been idle for a while. Otherwise, this holds just a single bucket. In
+ * either case, there can also be a global bucket which every grant has to
+ * pass through (before passing through the client's bucket). And all the
+ * buckets can optionally keep their state in a shared store.
+ *
+ * **Note:** Forgetting a client's bucket is benign, because by the time a
+ * bucket has been idle for a while it has typically filled back up. And if a
+ * forgotten bucket has any waiters, they still get serviced.
+ */
+export class RateLimitBuckets {
+  /**
+   * Options for constructing token buckets (for all buckets other than the
+   * global one).
+   *
+   * @type {object}
+   */
+  #bucketOptions;
+
+  /**
+   * Store to keep the bucket state in, or `null` to keep it locally.
+   *
+   * @type {?IntfTokenBucketStore}
+   */
+  #store;
+
+  /**
+   * Prefix for the keys of the buckets within {@link #store}, if there is a
+   * store.
+   *
+   * @type {?string}
+   */
+  #storeKey;
+
+  /**
+   * Per-client configuration, or `null` if this instance just has a single
+   * (non-global) bucket.
+   *
+   * @type {?PerClientConfig}
+   */
+  #perClient;
+
+  /**
+   * The single bucket, if this instance is not per-client.
+   *
+   * @type {?TokenBucket}
+   */
+  #bucket = null;
+
+  /**
+   * Map from each client key to its bucket and the time it was last used, in
+   * order of least- to most-recently used. Only used when this instance is
+   * per-client.
+   *
+   * @type {Map<?string, { bucket: TokenBucket, lastUsedMsec: number }>}
+   */
+  #clients = new Map();
+
+  /**
+   * The global bucket, if any.
+   *
+   * @type {?TokenBucket}
+   */
+  #globalBucket;
+
+  /**
+   * Cumulative statistics about the results of calls to {@link #requestGrant}.
+   * Denials are recorded with the reason being which bucket denied the grant.
+   *
+   * @type {GrantStats}
+   */
+  #stats = new GrantStats();
+
+  /**
+   * Constructs an instance.
+   *
+   * @param {object} config Configuration of the rate limiter, as parsed by an
+   *   instantiation of `TemplRateLimitConfig`.
+   * @param {?IntfTokenBucketStore} [store] Store to keep the bucket state in,
+   *   or `null` to keep it locally.
+   * @param {?string} [storeKey] Prefix for the keys of the buckets within the
+   *   `store`. Required if `store` is specified.
+   */
+  constructor(config, store = null, storeKey = null) {
+    const { bucket, global = null, perClient = null } = config;
+
+    this.#bucketOptions = bucket;
+    this.#perClient     = perClient;
+    this.#store         = store;
+    this.#storeKey      = storeKey;
+    this.#globalBucket  = global ? this.#makeBucket(global.bucket, 'global') : null;
+
+    if (!perClient) {
+      this.#bucket = this.#makeBucket(bucket, null);
+    }
+  }
+
+  /**
+   * @returns {number} The number of clients currently being tracked. This is
+   * always `0` for instances which are not per-client.
+   */
+  get clientCount() {
+    return this.#clients.size;
+  }
+
+  /**
+   * @returns {?PerClientConfig} The per-client configuration, or `null` if
+   * this instance is not per-client.
+   */
+  get perClient() {
+    return this.#perClient;
+  }
+
+  /**
+   * Denies grant requests for all current waiters, in all buckets. See
+   * {@link TokenBucket#denyAllRequests}.
+   */
+  async denyAllRequests() {
+    const buckets = [
+      ...(this.#bucket ? [this.#bucket] : []),
+      ...[...this.#clients.values()].map(({ bucket }) => bucket),
+      ...(this.#globalBucket ? [this.#globalBucket] : [])
+    ];
+
+    await Promise.all(buckets.map((b) => b.denyAllRequests()));
+  }
+
+  /**
+   * Requests a grant of one token, for the given client. The result is an
+   * object with the following bindings:
+   *
+   * * `{boolean} done` -- `true` if the grant was actually made.
+   * * `{?Duration} retryAfter` -- If `done === false`, a guess at how long
+   *   the client should wait before trying again. Otherwise `null`.
+   * * `{?string} deniedBy` -- If `done === false`, which bucket denied the
+   *   grant, either `client` (which includes the single bucket of an instance
+   *   which isn't per-client) or `global`. Otherwise `null`.
+   * * `{Duration} waitTime` -- The total amount of time that was spent waiting
+   *   for the grant.
+   *
+   * @param {?string} [key] The client key, or `null` if this instance is not
+   *   per-client or the key is unknown. (All clients with unknown keys share a
+   *   bucket.)
+   * @returns {object} Result of the grant request, as described above.
+   */
+  async requestGrant(key = null) {
+    const result = await this.#requestGrant0(key);
+    const { done, deniedBy, waitTime } = result;
+
+    this.#stats.record({
+      done,
+      grant:  done ? 1 : 0,
+      reason: deniedBy ?? 'grant',
+      waitTime
+    });
+
+    return result;
+  }
+
+  /**
+   * Gets a snapshot of the state of this instance, along with cumulative
+   * statistics, suitable for use as (or for deriving) metrics. The result is a
+   * plain object with the following bindings:
+   *
+   * * `{?object} bucket` -- Snapshot of the single bucket, in the form returned
+   *   by {@link TokenBucket#snapshot}, or `null` if this instance is
+   *   per-client.
+   * * `{?number} clientCount` -- The number of clients currently being
+   *   tracked, or `null` if this instance is not per-client.
+   * * `{?object} global` -- Snapshot of the global bucket, or `null` if there
+   *   is none.
+   * * `{object} stats` -- Cumulative statistics about the overall results of
+   *   calls to {@link #requestGrant}, in the form returned by
+   *   {@link GrantStats#snapshot}. The keys of `denials` are the possible
+   *   values of `deniedBy` (see {@link #requestGrant}).
+   *
+   * @returns {object} The snapshot.
+   */
+  snapshot() {
+    return {
+      bucket:      this.#bucket?.snapshot() ?? null,
+      clientCount: this.#perClient ? this.#clients.size : null,
+      global:      this.#globalBucket?.snapshot() ?? null,
+      stats:       this.#stats.snapshot()
+    };
+  }
+
+  /**
+   * Gets the bucket for the given client key, creating it if necessary. This
+   * also takes care of forgetting idle clients and keeping the number of
+   * clients within the configured limit.
+   *
+   * @param {?string} key The client key.
+   * @returns {TokenBucket} The bucket to use.
+   */
+  #clientBucket(key) {
+    const clients = this.#clients;
+    const nowMsec = this.#bucketOptions.timeSource.now().atMsec;
+    let   entry   = clients.get(key);
+
+    if (entry) {
+      // Delete so that re-adding puts it at the end, as most-recently used.
+      clients.delete(key);
+    } else {
+      const suffix = (key === null) ? 'unknown' : `client/${key}`;
+      entry = { bucket: this.#makeBucket(this.#bucketOptions, suffix), lastUsedMsec: 0 };
+    }
+
+    entry.lastUsedMsec = nowMsec;
+    clients.set(key, entry);
+
+    // Forget clients, from least-recently used, for as long as there are too
+    // many or they are idle. This can never forget `key` itself, because it is
+    // the most-recently used and `maxKeys` is always at least `1`.
+
+    const { idleTimeout, maxKeys } = this.#perClient;
+    const idleMsec                 = idleTimeout.msec;
+
+    for (const [k, { lastUsedMsec }] of clients) {
+      if ((clients.size > maxKeys) || ((nowMsec - lastUsedMsec) >= idleMsec)) {
+        clients.delete(k);
+      } else {
+        break;
+      }
+    }
+
+    return entry.bucket;
+  }
+
+  /**
+   * Makes a bucket, hooking it up to the store if there is one.
+   *
+   * @param {object} options Bucket options.
+   * @param {?string} suffix Suffix for the key of the bucket within the store,
+   *   or `null` to just use the key prefix as-is.
+   * @returns {TokenBucket} The bucket.
+   */
+  #makeBucket(options, suffix) {
+    if (!this.#store) {
+      return new TokenBucket(options);
+    }
+
+    const storeKey = (suffix === null) ? this.#storeKey : `${this.#storeKey}/${suffix}`;
+
+    return new TokenBucket({ ...options, store: this.#store, storeKey });
+  }
+
+  /**
+   * Helper for {@link #requestGrant}, which does all the work other than
+   * recording statistics.
+   *
+   * @param {?string} key The client key.
+   * @returns {object} Result of the grant request.
+   */
+  async #requestGrant0(key) {
+    const bucket       = this.#bucket ?? this.#clientBucket(key);
+    const globalBucket = this.#globalBucket;
+    let   globalWait   = Duration.ZERO;
+
+    // Note: The global bucket is asked first, so that a grant which it denies
+    // doesn't use up a token from the client's bucket.
+    if (globalBucket) {
+      const gotGlobal = await globalBucket.requestGrant(1);
+
+      if (!gotGlobal.done) {
+        return RateLimitBuckets.#denial(globalBucket, 'global', gotGlobal.waitTime);
+      }
+
+      globalWait = gotGlobal.waitTime;
+    }
+
+    const got      = await bucket.requestGrant(1);
+    const waitTime = new Duration(globalWait.sec + got.waitTime.sec);
+
+    return got.done
+      ? { done: true, retryAfter: null, deniedBy: null, waitTime }
+      : RateLimitBuckets.#denial(bucket, 'client', waitTime);
+  }
+
+
+  //
+  // Static members
+  //
+
+  /**
+   * Makes a denial result for {@link #requestGrant}.
+   *
+   * @param {TokenBucket} bucket The bucket which denied the grant.
+   * @param {string} deniedBy Which bucket denied the grant.
+   * @param {Duration} waitTime The total time spent waiting.
+   * @returns {object} The result.
+   */
+  static #denial(bucket, deniedBy, waitTime) {
+    return { done: false, retryAfter: this.#retryAfter(bucket), deniedBy, waitTime };
+  }
+
+  /**
+   * Guesses how long a client should wait after being denied a grant by the
+   * given bucket, before trying again. This is the time it will take for the
+   * bucket to grant everything that is already queued, plus one more token.
+   *
+   * @param {TokenBucket} bucket The bucket.
+   * @returns {Duration} The guess, which is always at least one second.
+   */
+  static #retryAfter(bucket) {
+    const { availableBurstSize, availableQueueSize } = bucket.latestState();
+    const { flowRate, maxQueueSize }                 = bucket.config;
+
+    const queued = (maxQueueSize === null) ? 0 : (maxQueueSize - availableQueueSize);
+    const tokens = Math.max(queued + 1 - availableBurstSize, 1);
+
+    return new Duration(Math.max(Math.ceil(tokens / flowRate.hertz), 1));
+  }
+}
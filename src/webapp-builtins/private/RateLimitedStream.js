@@ -8,7 +8,7 @@ import { setImmediate } from 'node:timers';
 import { ManualPromise } from '@this/async';
 import { IntfLogger } from '@this/loggy-intf';
 import { MustBe } from '@this/typey';
-import { TokenBucket } from '@this/webapp-util';
+import { GrantStats, TokenBucket } from '@this/webapp-util';
 
 
 /**
@@ -61,6 +61,22 @@ export class RateLimitedStream {
    */
   #error = null;
 
+  /**
+   * Cumulative statistics about the token grant requests made by this
+   * instance. Because tokens are bytes, the total quantity of tokens granted is
+   * the number of bytes written (or being written) to {@link #innerStream}.
+   *
+   * @type {GrantStats}
+   */
+  #stats = new GrantStats();
+
+  /**
+   * Is there currently a write waiting for a token grant?
+   *
+   * @type {boolean}
+   */
+  #waiting = false;
+
   /**
    * Constructs an instance.
    *
@@ -90,6 +106,25 @@ export class RateLimitedStream {
     return this.#outerStream;
   }
 
+  /**
+   * Gets a snapshot of the state of this instance, along with cumulative
+   * statistics, suitable for use as (or for deriving) metrics. The result is a
+   * plain object with the following bindings:
+   *
+   * * `{object} stats` -- Cumulative statistics about the token grant requests
+   *   made by this instance, in the form returned by
+   *   {@link GrantStats#snapshot}. The tokens are bytes.
+   * * `{boolean} waiting` -- Is there currently a write waiting for a grant?
+   *
+   * @returns {object} The snapshot.
+   */
+  snapshot() {
+    return {
+      stats:   this.#stats.snapshot(),
+      waiting: this.#waiting
+    };
+  }
+
   /**
    * @returns {boolean} Indication of whether it's reasonable to try writing
    * to {@link #innerStream}.
@@ -299,9 +334,14 @@ export class RateLimitedStream {
 
     const length = chunk.length;
     for (let at = 0; (at < length) && this.#canWriteInner; /*at*/) {
-      const remaining   = length - at;
+      const remaining = length - at;
+
+      this.#waiting = true;
       const grantResult = await this.#bucket.requestGrant(
         { minInclusive: 1, maxInclusive: remaining });
+      this.#waiting = false;
+
+      this.#stats.record(grantResult);
 
       if (grantResult.waitTime.sec !== 0) {
         this.#verboseLogger?.waited(grantResult.waitTime);
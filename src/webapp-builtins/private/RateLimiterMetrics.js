@@ -0,0 +1,162 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { Counter, Gauge, Histogram, MetricsRegistry } from '@this/metricy';
+import { MustBe } from '@this/typey';
+
+
+/**
+ * Metrics collector for a single rate limiter. An instance of this class
+ * derives metrics on demand from the state of its limiter, as reported by a
+ * snapshot function. All the metrics produced by instances of this class are
+ * labeled with the name of the limiter.
+ *
+ * The snapshot function is expected to return either `null` (if the limiter
+ * isn't ready) or a plain object with the following bindings:
+ *
+ * * `{?object} bucket` -- Snapshot of the main token bucket, in the form
+ *   returned by `TokenBucket.snapshot()`, or `null` if there is no single main
+ *   bucket.
+ * * `{?number} clientCount` -- Number of clients being tracked, or `null` if
+ *   the limiter isn't per-client.
+ * * `{?object} global` -- Snapshot of the global token bucket, if any.
+ * * `{object} stats` -- Cumulative statistics, in the form returned by
+ *   `GrantStats.snapshot()`.
+ * * `{?number} streamCount` -- Number of open rate-limited streams, or `null`
+ *   if the limiter doesn't deal with streams.
+ */
+export class RateLimiterMetrics {
+  /**
+   * Registry to report to.
+   *
+   * @type {MetricsRegistry}
+   */
+  #registry;
+
+  /**
+   * The collector function added to {@link #registry} while running.
+   *
+   * @type {function(): Array<object>}
+   */
+  #collector;
+
+  /**
+   * Constructs an instance.
+   *
+   * @param {string} limiter The name of the limiter.
+   * @param {function(): ?object} getSnapshot Function which gets a snapshot of
+   *   the limiter, as described in the class header.
+   * @param {MetricsRegistry} [registry] Registry to report to. Defaults to the
+   *   standard instance.
+   */
+  constructor(limiter, getSnapshot, registry = MetricsRegistry.DEFAULT) {
+    MustBe.string(limiter);
+    MustBe.callableFunction(getSnapshot);
+
+    this.#registry  = MustBe.instanceOf(registry, MetricsRegistry);
+    this.#collector = () => RateLimiterMetrics.familiesFor(limiter, getSnapshot());
+  }
+
+  /**
+   * Starts reporting metrics, by adding this instance's collector to the
+   * registry.
+   */
+  start() {
+    this.#registry.addCollector(this.#collector);
+  }
+
+  /**
+   * Stops reporting metrics, by removing this instance's collector from the
+   * registry.
+   */
+  stop() {
+    this.#registry.removeCollector(this.#collector);
+  }
+
+
+  //
+  // Static members
+  //
+
+  /**
+   * Produces the metrics for a rate limiter, given a snapshot of its state.
+   *
+   * @param {string} limiter The name of the limiter.
+   * @param {?object} snapshot The snapshot, as described in the class header.
+   * @returns {Array<object>} The metrics, in the plain-object form described
+   *   by `BaseMetric`.
+   */
+  static familiesFor(limiter, snapshot) {
+    if (!snapshot) {
+      return [];
+    }
+
+    const {
+      bucket, clientCount = null, global = null, stats, streamCount = null
+    } = snapshot;
+
+    const labels  = { limiter };
+    const buckets = [];
+
+    if (bucket) {
+      buckets.push({ labels: { limiter, bucket: 'main' }, snap: bucket });
+    }
+
+    if (global) {
+      buckets.push({ labels: { limiter, bucket: 'global' }, snap: global });
+    }
+
+    const bucketEntries = (prop) => {
+      return buckets.map(({ labels: l, snap }) => ({ labels: l, value: snap[prop] }));
+    };
+
+    const result = [
+      Gauge.makeFamily(
+        'lactoserv_rate_limiter_available_burst',
+        'Tokens currently available for immediate grant, per bucket.',
+        bucketEntries('availableBurstSize')),
+      Gauge.makeFamily(
+        'lactoserv_rate_limiter_queue_size',
+        'Tokens currently being waited for, per bucket.',
+        bucketEntries('queueSize')),
+      Gauge.makeFamily(
+        'lactoserv_rate_limiter_waiters',
+        'Requests currently waiting for a grant, per bucket.',
+        bucketEntries('waiterCount')),
+      Counter.makeFamily(
+        'lactoserv_rate_limiter_grants',
+        'Grants made.',
+        [{ labels, value: stats.grantCount }]),
+      Counter.makeFamily(
+        'lactoserv_rate_limiter_granted_tokens',
+        'Tokens granted.',
+        [{ labels, value: stats.grantedTokens }]),
+      Counter.makeFamily(
+        'lactoserv_rate_limiter_denials',
+        'Grant requests denied, by reason.',
+        Object.entries(stats.denials).map(([reason, value]) => {
+          return { labels: { limiter, reason }, value };
+        })),
+      Histogram.makeFamily(
+        'lactoserv_rate_limiter_wait_seconds',
+        'Time spent waiting for grants.',
+        [{ labels, value: stats.waitTime }])
+    ];
+
+    if (clientCount !== null) {
+      result.push(Gauge.makeFamily(
+        'lactoserv_rate_limiter_clients',
+        'Clients currently being tracked by per-client limiters.',
+        [{ labels, value: clientCount }]));
+    }
+
+    if (streamCount !== null) {
+      result.push(Gauge.makeFamily(
+        'lactoserv_rate_limiter_streams',
+        'Currently-open rate-limited streams.',
+        [{ labels, value: streamCount }]));
+    }
+
+    return result;
+  }
+}
@@ -0,0 +1,41 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { Paths } from '@this/fs-util';
+import { BaseConfig } from '@this/structy';
+import { MustBe } from '@this/typey';
+
+
+/**
+ * Configuration class for the `shared` bindings of rate limiters, which cause
+ * the limiters to keep their token bucket state in a store which is shared
+ * across processes (via a Unix domain socket), so that all the processes
+ * enforce a single budget.
+ */
+export class SharedStateConfig extends BaseConfig {
+  // @defaultConstructor
+
+  /**
+   * Key which identifies the rate limiter's buckets within the shared state,
+   * or `null` to use the name of the rate limiter. Rate limiters in different
+   * processes which are to share a budget need to use the same key.
+   *
+   * @param {?string} [value] Proposed configuration value. Default `null`.
+   * @returns {?string} Accepted configuration value.
+   */
+  _config_key(value = null) {
+    return (value === null)
+      ? null
+      : MustBe.string(value, /^[-_.a-zA-Z0-9]+$/);
+  }
+
+  /**
+   * Absolute path to the Unix domain socket used to share the state.
+   *
+   * @param {string} value Proposed configuration value.
+   * @returns {string} Accepted configuration value.
+   */
+  _config_socketPath(value) {
+    return Paths.mustBeAbsolutePath(value);
+  }
+}
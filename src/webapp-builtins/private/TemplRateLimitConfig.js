@@ -1,32 +1,59 @@
 // Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
 // SPDX-License-Identifier: Apache-2.0
 
+import { IntfTimeSource, StdTimeSource } from '@this/clocky';
 import { TemplateUtil } from '@this/metacomp';
 import { Frequency, UnitQuantity } from '@this/quant';
+import { BaseConfig } from '@this/structy';
 import { MustBe } from '@this/typey';
 
+import { PerClientConfig } from '#p/PerClientConfig';
+import { SharedStateConfig } from '#p/SharedStateConfig';
+
 
 /**
  * Template class for parsing rate limiter configurations. It is parametric on
- * the token type.
+ * the token type, and on whether (and how) per-client rate limiting is
+ * supported. When it is, the configuration can include `perClient`, in which
+ * case the main bucket options apply to each client separately, and it can
+ * also include `global`, for a bucket which applies to all clients together.
+ * Separately, it can be parametric on whether the bucket state can be
+ * `shared` across processes.
  *
  * @param {string} className The name of the resulting class.
  * @param {function(new:*)} superclass The superclass to extend (inherit from).
  * @param {object} params Template parameters.
  * @param {boolean} [params.allowMaxQueueGrant] Whether to recognize
  *   `maxQueueGrant` configuration. Default `false`.
+ * @param {boolean} [params.allowShared] Whether to recognize `shared`
+ *   configuration. Default `false`.
  * @param {function(new:UnitQuantity)} params.countType Unit quantity class for
  *   counts.
+ * @param {?Array<string>} [params.keyTypes] Allowed values for `perClient.key`
+ *   (see {@link PerClientConfig}), or `null` not to allow per-client rate
+ *   limiting at all (including `global`). Default `null`.
  * @param {function(new:UnitQuantity)} params.rateType Unit quantity class for
  *   rates.
  * @returns {function(new:*)} The instantiated template class.
  */
-export const TemplRateLimitConfig = (className, superclass, { allowMaxQueueGrant = false, countType, rateType }) => {
+export const TemplRateLimitConfig = (className, superclass, params) => {
+  const { allowMaxQueueGrant = false, allowShared = false, countType, keyTypes = null, rateType } = params;
+
   MustBe.constructorFunction(superclass);
   MustBe.boolean(allowMaxQueueGrant);
+  MustBe.boolean(allowShared);
   MustBe.constructorFunction(countType);
   MustBe.constructorFunction(rateType);
 
+  if (keyTypes !== null) {
+    MustBe.arrayOfString(keyTypes);
+  }
+
+  // Configuration class for `global`, which is just the bucket options.
+  const GlobalConfig = (keyTypes === null)
+    ? null
+    : TemplRateLimitConfig(`${className}Global`, BaseConfig, { allowMaxQueueGrant, countType, rateType });
+
   return TemplateUtil.make(className, class RateLimitConfig extends superclass {
     // @defaultConstructor
 
@@ -48,6 +75,26 @@ export const TemplRateLimitConfig = (className, superclass, { allowMaxQueueGrant
       return new Frequency(result.value);
     }
 
+    /**
+     * Global bucket options, which apply to all clients together, or `null`
+     * not to have a global bucket. Only allowed with {@link #perClient}. When
+     * passed in, this is expected to be a plain object with the same bucket
+     * options as the outer configuration (`flowRate`, `maxBurst`, etc.).
+     *
+     * @param {?object} [value] Proposed configuration value. Default `null`.
+     * @returns {?BaseConfig} Accepted configuration value, which has a `bucket`
+     *   property which holds the bucket options.
+     */
+    _config_global(value = null) {
+      if (value === null) {
+        return null;
+      } else if (!GlobalConfig) {
+        throw new Error('`global` does not make sense for this kind of rate limiter.');
+      }
+
+      return new GlobalConfig(value);
+    }
+
     /**
      * Burst capacity available immediately after the instance is started. If
      * passed as a `string` it is parsed into an instance of the appropriate
@@ -104,8 +151,75 @@ export const TemplRateLimitConfig = (className, superclass, { allowMaxQueueGrant
       return RateLimitConfig.#parseTokenCount(value, true);
     }
 
+    /**
+     * Per-client configuration, or `null` to have a single bucket for all
+     * clients. When passed in, this is expected to be a plain object that can
+     * be parsed by the {@link PerClientConfig} constructor.
+     *
+     * @param {?object} [value] Proposed configuration value. Default `null`.
+     * @returns {?PerClientConfig} Accepted configuration value.
+     */
+    _config_perClient(value = null) {
+      if (value === null) {
+        return null;
+      } else if (!keyTypes) {
+        throw new Error('`perClient` does not make sense for this kind of rate limiter.');
+      }
+
+      const result = new PerClientConfig(value);
+
+      if (!keyTypes.includes(result.key)) {
+        throw new Error(`Key type \`${result.key}\` does not make sense for this kind of rate limiter.`);
+      }
+
+      return result;
+    }
+
+    /**
+     * Shared state configuration, or `null` to keep the bucket state local to
+     * this process. When passed in, this is expected to be a plain object that
+     * can be parsed by the {@link SharedStateConfig} constructor.
+     *
+     * @param {?object} [value] Proposed configuration value. Default `null`.
+     * @returns {?SharedStateConfig} Accepted configuration value.
+     */
+    _config_shared(value = null) {
+      if (value === null) {
+        return null;
+      } else if (!allowShared) {
+        throw new Error('`shared` does not make sense for this kind of rate limiter.');
+      }
+
+      return new SharedStateConfig(value);
+    }
+
+    /**
+     * Time source, or `null` to use the standard time source. This
+     * configuration option is mostly intended for testing.
+     *
+     * @param {?IntfTimeSource} [value] Proposed configuration value. Default
+     *   `null`.
+     * @returns {IntfTimeSource} Accepted configuration value.
+     */
+    _config_timeSource(value = null) {
+      // TODO: Check that a non-`null` `value` actually implements
+      // `IntfTimeSource`.
+
+      return (value === null)
+        ? StdTimeSource.INSTANCE
+        : MustBe.object(value);
+    }
+
     /** @override */
     _impl_validate(config) {
+      if (config.global && !config.perClient) {
+        throw new Error('`global` requires `perClient`.');
+      }
+
+      if (config.shared && (config.shared.key === null) && !config.name) {
+        throw new Error('`shared` requires a `key` when the rate limiter has no `name`.');
+      }
+
       const result = {
         ...config,
         bucket: Object.freeze({
@@ -113,7 +227,8 @@ export const TemplRateLimitConfig = (className, superclass, { allowMaxQueueGrant
           initialBurstSize:  config.initialBurst,
           maxBurstSize:      config.maxBurst,
           maxQueueGrantSize: config.maxQueueGrant,
-          maxQueueSize:      config.maxQueue
+          maxQueueSize:      config.maxQueue,
+          timeSource:        config.timeSource
         })
       };
 
@@ -122,6 +237,7 @@ export const TemplRateLimitConfig = (className, superclass, { allowMaxQueueGrant
       delete result.maxBurst;
       delete result.maxQueueGrant;
       delete result.maxQueue;
+      delete result.timeSource;
 
       return super._impl_validate(result);
     }
@@ -0,0 +1,328 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import * as fs from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import process from 'node:process';
+
+import { WallClock } from '@this/clocky';
+import { PathKey } from '@this/collections';
+import { MockComponent, MockRootComponent } from '@this/compy/testing';
+import { DispatchInfo, FullResponse } from '@this/net-util';
+import { AuthGate } from '@this/webapp-builtins';
+import { MockApplication } from '@this/webapp-core/testing';
+
+import { RequestUtil } from '#tests/RequestUtil';
+
+
+const SECRET = 'this-is-a-secret-which-is-long-enough';
+
+describe('constructor', () => {
+  test('accepts a valid minimal Basic configuration', () => {
+    expect(() => new AuthGate({
+      application: 'site',
+      basic:       { passwordFile: '/etc/passwords.txt' }
+    })).not.toThrow();
+  });
+
+  test('accepts a valid minimal bearer configuration', () => {
+    expect(() => new AuthGate({
+      application:  'site',
+      bearerTokens: [{ name: 'bot', token: 'abc123' }]
+    })).not.toThrow();
+  });
+
+  test('accepts a valid full configuration', () => {
+    const gate = new AuthGate({
+      application:  'site',
+      realm:        'Secret Stuff',
+      basic:        { passwordFile: '/etc/passwords.txt' },
+      bearerTokens: [{ name: 'bot', token: 'abc123' }],
+      session:      { secret: SECRET, cookieName: 'sess', maxAge: '2 hr' }
+    });
+
+    expect(gate.config.realm).toBe('Secret Stuff');
+    expect(gate.config.session.cookieName).toBe('sess');
+    expect(gate.config.session.maxAge.sec).toBe(2 * 60 * 60);
+  });
+
+  test.each`
+  label                                 | extra
+  ${'no schemes at all'}                | ${{}}
+  ${'only a session'}                   | ${{ session: { secret: SECRET } }}
+  ${'a relative `passwordFile`'}        | ${{ basic: { passwordFile: 'passwords.txt' } }}
+  ${'empty `bearerTokens`'}             | ${{ bearerTokens: [] }}
+  ${'a token with a space'}             | ${{ bearerTokens: [{ name: 'x', token: 'a b' }] }}
+  ${'a token without a name'}           | ${{ bearerTokens: [{ token: 'abc' }] }}
+  ${'duplicate tokens'}                 | ${{ bearerTokens: [{ name: 'x', token: 'abc' }, { name: 'y', token: 'abc' }] }}
+  ${'a realm with a quote'}             | ${{ bearerTokens: [{ name: 'x', token: 'abc' }], realm: 'a"b' }}
+  ${'a too-short session secret'}       | ${{ bearerTokens: [{ name: 'x', token: 'abc' }], session: { secret: 'short' } }}
+  ${'an invalid session `cookieName`'}  | ${{ bearerTokens: [{ name: 'x', token: 'abc' }], session: { secret: SECRET, cookieName: 'a;b' } }}
+  ${'an invalid session `maxAge`'}      | ${{ bearerTokens: [{ name: 'x', token: 'abc' }], session: { secret: SECRET, maxAge: 'florp' } }}
+  `('rejects configuration with $label', ({ extra }) => {
+    expect(() => new AuthGate({ application: 'site', ...extra })).toThrow();
+  });
+});
+
+describe('hashPassword()', () => {
+  test('produces a line in the expected form', async () => {
+    const line = await AuthGate.hashPassword('zorch', 'splat');
+    expect(line).toMatch(/^zorch:scrypt:16384:8:1:[+/=0-9A-Za-z]+:[+/=0-9A-Za-z]+$/);
+  });
+
+  test('uses a fresh salt each time', async () => {
+    const line1 = await AuthGate.hashPassword('zorch', 'splat');
+    const line2 = await AuthGate.hashPassword('zorch', 'splat');
+    expect(line1).not.toBe(line2);
+  });
+
+  test('rejects a name with a colon', async () => {
+    await expect(AuthGate.hashPassword('zo:rch', 'splat')).rejects.toThrow();
+  });
+});
+
+describe('_impl_handleRequest()', () => {
+  const passwordFile = `${tmpdir()}/auth-gate-passwords-${process.pid}.txt`;
+
+  beforeAll(async () => {
+    const lines = [
+      '# A comment.',
+      await AuthGate.hashPassword('alice', 'wonderland'),
+      '',
+      await AuthGate.hashPassword('bob', 'builder')
+    ];
+
+    await fs.writeFile(passwordFile, lines.join('\n'));
+  });
+
+  afterAll(async () => {
+    await fs.rm(passwordFile, { force: true });
+  });
+
+  async function makeInstance(opts) {
+    const root = new MockRootComponent();
+    await root.start();
+
+    root.applicationManager = {
+      get(name) {
+        return root.context.getComponent(['application', name]);
+      }
+    };
+
+    const apps = new MockComponent({ name: 'application' });
+    await root.addAll(apps);
+
+    await apps.addAll(new MockApplication({ name: 'site' }));
+
+    const gate = new AuthGate({ name: 'myGate', application: 'site', ...opts });
+    await apps.addAll(gate);
+
+    return gate;
+  }
+
+  function makeRequest(headers = null) {
+    return RequestUtil.makeRequest('get', '/florp', 'your.host', null, headers);
+  }
+
+  async function handle(gate, request) {
+    MockApplication.mockCalls = [];
+    return gate.handleRequest(request, new DispatchInfo(PathKey.EMPTY, request.pathname));
+  }
+
+  function basicAuth(name, password) {
+    return `Basic ${Buffer.from(`${name}:${password}`).toString('base64')}`;
+  }
+
+  function expectUnauthorized(result) {
+    expect(result).toBeInstanceOf(FullResponse);
+    expect(result.status).toBe(401);
+    expect(MockApplication.mockCalls).toEqual([]);
+  }
+
+  function expectPassedThrough(result, request, principal) {
+    expect(result).toBeInstanceOf(FullResponse);
+    expect(result.status).not.toBe(401);
+    expect(MockApplication.mockCalls.length).toBe(1);
+    expect(MockApplication.mockCalls[0].request.principal).toEqual(principal);
+    expect(request.principal).toEqual(principal);
+  }
+
+  describe('with Basic authentication', () => {
+    const config = { basic: { passwordFile }, realm: 'Zone' };
+
+    test('passes through a request with a correct password', async () => {
+      const gate    = await makeInstance(config);
+      const request = makeRequest({ authorization: basicAuth('alice', 'wonderland') });
+      const result  = await handle(gate, request);
+
+      expectPassedThrough(result, request, { name: 'alice', scheme: 'basic' });
+    });
+
+    test('accepts the scheme name case-insensitively', async () => {
+      const gate    = await makeInstance(config);
+      const request = makeRequest({ authorization: basicAuth('bob', 'builder').replace(/^Basic/, 'bASIC') });
+      const result  = await handle(gate, request);
+
+      expectPassedThrough(result, request, { name: 'bob', scheme: 'basic' });
+    });
+
+    test.each`
+    label                       | authorization
+    ${'the wrong password'}     | ${basicAuth('alice', 'builder')}
+    ${'an unknown user'}        | ${basicAuth('carol', 'wonderland')}
+    ${'no colon'}               | ${`Basic ${Buffer.from('alice').toString('base64')}`}
+    ${'an unconfigured scheme'} | ${'Bearer abc123'}
+    ${'garbage'}                | ${'florp'}
+    `('rejects a request with $label', async ({ authorization }) => {
+      const gate   = await makeInstance(config);
+      const result = await handle(gate, makeRequest({ authorization }));
+
+      expectUnauthorized(result);
+      expect(result.headers.get('www-authenticate')).toBe('Basic realm="Zone", charset="UTF-8"');
+    });
+
+    test('rejects a request with no credentials', async () => {
+      const gate    = await makeInstance(config);
+      const request = makeRequest();
+      const result  = await handle(gate, request);
+
+      expectUnauthorized(result);
+      expect(request.principal).toBeNull();
+    });
+
+    test('does not issue a session cookie when not configured to', async () => {
+      const gate   = await makeInstance(config);
+      const result = await handle(gate, makeRequest({ authorization: basicAuth('alice', 'wonderland') }));
+
+      expect(result.headers.getSetCookie()).toEqual([]);
+    });
+  });
+
+  describe('with bearer authentication', () => {
+    const config = {
+      bearerTokens: [
+        { name: 'bot1', token: 'token-one' },
+        { name: 'bot2', token: 'token-two' }
+      ]
+    };
+
+    test.each`
+    token          | name
+    ${'token-one'} | ${'bot1'}
+    ${'token-two'} | ${'bot2'}
+    `('passes through a request with token `$token`', async ({ token, name }) => {
+      const gate    = await makeInstance(config);
+      const request = makeRequest({ authorization: `Bearer ${token}` });
+      const result  = await handle(gate, request);
+
+      expectPassedThrough(result, request, { name, scheme: 'bearer' });
+    });
+
+    test('rejects a request with an invalid token, indicating the error', async () => {
+      const gate   = await makeInstance(config);
+      const result = await handle(gate, makeRequest({ authorization: 'Bearer token-three' }));
+
+      expectUnauthorized(result);
+      expect(result.headers.get('www-authenticate'))
+        .toBe('Bearer realm="restricted", error="invalid_token"');
+    });
+
+    test('rejects a request with no credentials, without indicating an error', async () => {
+      const gate   = await makeInstance(config);
+      const result = await handle(gate, makeRequest());
+
+      expectUnauthorized(result);
+      expect(result.headers.get('www-authenticate')).toBe('Bearer realm="restricted"');
+    });
+  });
+
+  test('offers challenges for all configured schemes', async () => {
+    const gate = await makeInstance({
+      basic:        { passwordFile },
+      bearerTokens: [{ name: 'bot', token: 'abc' }]
+    });
+    const result = await handle(gate, makeRequest());
+
+    expectUnauthorized(result);
+    expect(result.headers.get('www-authenticate'))
+      .toBe('Basic realm="restricted", charset="UTF-8", Bearer realm="restricted"');
+  });
+
+  test('returns `null` when the wrapped application does not handle the request', async () => {
+    const gate = await makeInstance({ bearerTokens: [{ name: 'bot', token: 'abc' }] });
+    gate.root.context.getComponent(['application', 'site']).mockHandler = () => false;
+
+    const request = makeRequest({ authorization: 'Bearer abc' });
+    expect(await handle(gate, request)).toBeNull();
+    expect(request.principal).toEqual({ name: 'bot', scheme: 'bearer' });
+  });
+
+  describe('with sessions', () => {
+    const config = {
+      bearerTokens: [{ name: 'bot', token: 'abc' }],
+      session:      { secret: SECRET, cookieName: 'sess', maxAge: '1 hr' }
+    };
+
+    async function getSessionCookie(gate) {
+      const result = await handle(gate, makeRequest({ authorization: 'Bearer abc' }));
+      const [setCookie] = result.headers.getSetCookie();
+
+      return setCookie.match(/^sess=(?<value>[^;]+);/).groups.value;
+    }
+
+    test('issues a session cookie after a successful authentication', async () => {
+      const gate   = await makeInstance(config);
+      const result = await handle(gate, makeRequest({ authorization: 'Bearer abc' }));
+
+      const setCookie = result.headers.getSetCookie();
+      expect(setCookie.length).toBe(1);
+      expect(setCookie[0]).toMatch(/^sess=[-_0-9A-Za-z]+[.][-_0-9A-Za-z]+; HttpOnly; Max-Age=3600; Path=\/; SameSite=Lax; Secure$/);
+    });
+
+    test('accepts a valid session cookie, without issuing a new one', async () => {
+      const gate    = await makeInstance(config);
+      const value   = await getSessionCookie(gate);
+      const request = makeRequest({ cookie: `sess=${value}` });
+      const result  = await handle(gate, request);
+
+      expectPassedThrough(result, request, { name: 'bot', scheme: 'session' });
+      expect(result.headers.getSetCookie()).toEqual([]);
+    });
+
+    test('rejects a session cookie with a bad signature', async () => {
+      const gate   = await makeInstance(config);
+      const value  = await getSessionCookie(gate);
+      const [payload, sig] = value.split('.');
+      const badSig = `${(sig[0] === 'A') ? 'B' : 'A'}${sig.slice(1)}`;
+      const result = await handle(gate, makeRequest({ cookie: `sess=${payload}.${badSig}` }));
+
+      expectUnauthorized(result);
+    });
+
+    test('rejects a session cookie signed with a different secret', async () => {
+      const otherGate = await makeInstance({
+        ...config,
+        session: { ...config.session, secret: `${SECRET}-but-different` }
+      });
+      const value  = await getSessionCookie(otherGate);
+      const gate   = await makeInstance(config);
+      const result = await handle(gate, makeRequest({ cookie: `sess=${value}` }));
+
+      expectUnauthorized(result);
+    });
+
+    test('rejects an expired session cookie', async () => {
+      const gate = await makeInstance({
+        ...config,
+        session: { ...config.session, maxAge: '1 sec' }
+      });
+      const value = await getSessionCookie(gate);
+
+      await WallClock.waitForMsec(1100);
+
+      const result = await handle(gate, makeRequest({ cookie: `sess=${value}` }));
+
+      expectUnauthorized(result);
+    });
+  });
+});
@@ -1,6 +1,8 @@
 // Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
 // SPDX-License-Identifier: Apache-2.0
 
+import { MockRootComponent } from '@this/compy/testing';
+import { EndpointAddress } from '@this/net-util';
 import { ConnectionRateLimiter } from '@this/webapp-builtins';
 
 
@@ -12,3 +14,109 @@ describe('constructor', () => {
     })).not.toThrow();
   });
 });
+
+describe('constructor (shared)', () => {
+  test('accepts a valid `shared`', () => {
+    expect(() => new ConnectionRateLimiter({
+      name:     'limiter',
+      flowRate: '1 conn/sec',
+      maxBurst: '10 conn',
+      shared:   { socketPath: '/run/limits.sock', key: 'conns' }
+    })).not.toThrow();
+  });
+});
+
+describe('constructor (per-client)', () => {
+  test.each`
+  perClient
+  ${{ key: 'ip' }}
+  ${{ key: 'ipPrefix', ipv4PrefixLength: 16 }}
+  `('accepts `perClient: $perClient`', ({ perClient }) => {
+    expect(() => new ConnectionRateLimiter({
+      flowRate: '1 conn/sec',
+      maxBurst: '10 conn',
+      perClient
+    })).not.toThrow();
+  });
+
+  test.each`
+  perClient
+  ${{ key: 'header', name: 'x-florp' }}
+  ${{ key: 'cookie', name: 'florp' }}
+  ${{ key: 'principal' }}
+  `('rejects `perClient: $perClient`', ({ perClient }) => {
+    expect(() => new ConnectionRateLimiter({
+      flowRate: '1 conn/sec',
+      maxBurst: '10 conn',
+      perClient
+    })).toThrow();
+  });
+});
+
+describe('_impl_handleCall_newConnection()', () => {
+  async function makeInstance(opts) {
+    const root = new MockRootComponent();
+    await root.start();
+
+    const limiter = new ConnectionRateLimiter({
+      name:     'myLimiter',
+      flowRate: '10 conn/sec',
+      maxBurst: '1 conn',
+      maxQueue: '1 conn',
+      ...opts
+    });
+
+    await root.addAll(limiter);
+
+    return limiter;
+  }
+
+  async function connectThree(limiter, address) {
+    const origin = new EndpointAddress(address, 123);
+
+    return Promise.all([
+      limiter.call('newConnection', null, origin),
+      limiter.call('newConnection', null, origin),
+      limiter.call('newConnection', null, origin)
+    ]);
+  }
+
+  test('denies connections over the limit', async () => {
+    const limiter = await makeInstance();
+
+    expect(await connectThree(limiter, '10.0.0.1')).toEqual([true, true, false]);
+  });
+
+  test('uses separate buckets for separate address prefixes', async () => {
+    const limiter = await makeInstance({ perClient: { key: 'ipPrefix' } });
+    const results = await Promise.all([
+      connectThree(limiter, '10.0.0.1'),
+      connectThree(limiter, '10.0.1.1')
+    ]);
+
+    expect(results).toEqual([[true, true, false], [true, true, false]]);
+  });
+
+  test('uses a shared bucket for addresses with the same prefix', async () => {
+    const limiter = await makeInstance({ perClient: { key: 'ipPrefix' } });
+    const results = await Promise.all([
+      limiter.call('newConnection', null, new EndpointAddress('10.0.0.1', 123)),
+      limiter.call('newConnection', null, new EndpointAddress('10.0.0.2', 123)),
+      limiter.call('newConnection', null, new EndpointAddress('10.0.0.3', 123))
+    ]);
+
+    expect(results).toEqual([true, true, false]);
+  });
+
+  test('records the results in `snapshot()`', async () => {
+    const limiter = await makeInstance({ perClient: { key: 'ip' } });
+
+    await connectThree(limiter, '10.0.0.1');
+    await connectThree(limiter, '10.0.0.2');
+
+    const snap = limiter.snapshot();
+    expect(snap.clientCount).toBe(2);
+    expect(snap.stats.grantCount).toBe(4);
+    expect(snap.stats.denials).toStrictEqual({ client: 2 });
+  });
+});
@@ -0,0 +1,275 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { PathKey } from '@this/collections';
+import { MockComponent, MockRootComponent } from '@this/compy/testing';
+import { DispatchInfo, FullResponse, StatusResponse } from '@this/net-util';
+import { CorsPolicy } from '@this/webapp-builtins';
+import { MockApplication } from '@this/webapp-core/testing';
+
+import { RequestUtil } from '#tests/RequestUtil';
+
+
+describe('constructor', () => {
+  test('accepts a valid minimal configuration', () => {
+    expect(() => new CorsPolicy({
+      application: 'site',
+      origins:     'https://example.com'
+    })).not.toThrow();
+  });
+
+  test('accepts a valid full configuration', () => {
+    const cp = new CorsPolicy({
+      application:   'site',
+      origins:       ['https://example.com', 'http://*.example.com:8080', 'https://[::1]'],
+      methods:       ['get', 'put', 'delete'],
+      headers:       ['content-type', 'x-florp'],
+      exposeHeaders: 'x-request-id',
+      credentials:   true,
+      maxAge:        '10 min'
+    });
+
+    expect(cp.config.methods).toEqual(['get', 'put', 'delete']);
+    expect(cp.config.exposeHeaders).toEqual(['x-request-id']);
+    expect(cp.config.maxAge.sec).toBe(600);
+  });
+
+  test('accepts `*` as an origin', () => {
+    const cp = new CorsPolicy({ application: 'site', origins: ['*'] });
+    expect(cp.config.origins).toBeNull();
+  });
+
+  test.each`
+  label                                  | extra
+  ${'no `origins`'}                      | ${{}}
+  ${'an origin with a path'}             | ${{ origins: 'https://example.com/x' }}
+  ${'an origin with a trailing slash'}   | ${{ origins: 'https://example.com/' }}
+  ${'an origin with a weird scheme'}     | ${{ origins: 'ftp://example.com' }}
+  ${'an origin with an invalid host'}    | ${{ origins: 'https://ex$ample.com' }}
+  ${'an origin with a middle wildcard'}  | ${{ origins: 'https://a.*.com' }}
+  ${'a bare hostname'}                   | ${{ origins: 'example.com' }}
+  ${'an uppercase method'}               | ${{ origins: '*', methods: 'GET' }}
+  ${'an invalid header name'}            | ${{ origins: '*', headers: 'a b' }}
+  ${'an invalid `maxAge`'}               | ${{ origins: '*', maxAge: 'florp' }}
+  ${'`*` along with `credentials`'}      | ${{ origins: '*', credentials: true }}
+  `('rejects configuration with $label', ({ extra }) => {
+    expect(() => new CorsPolicy({ application: 'site', ...extra })).toThrow();
+  });
+});
+
+describe('_impl_handleRequest()', () => {
+  async function makeInstance(opts) {
+    const root = new MockRootComponent();
+    await root.start();
+
+    root.applicationManager = {
+      get(name) {
+        return root.context.getComponent(['application', name]);
+      }
+    };
+
+    const apps = new MockComponent({ name: 'application' });
+    await root.addAll(apps);
+
+    await apps.addAll(new MockApplication({ name: 'site' }));
+
+    const cp = new CorsPolicy({ name: 'myCors', application: 'site', ...opts });
+    await apps.addAll(cp);
+
+    return cp;
+  }
+
+  async function handle(cp, method, headers = null) {
+    MockApplication.mockCalls = [];
+
+    const request = RequestUtil.makeRequest(method, '/florp', 'your.host', null, headers);
+    return cp.handleRequest(request, new DispatchInfo(PathKey.EMPTY, request.pathname));
+  }
+
+  function preflightHeaders(origin) {
+    return { origin, 'access-control-request-method': 'PUT' };
+  }
+
+  describe('with specific origins', () => {
+    const config = {
+      origins: ['https://example.com', 'https://*.example.org', 'http://localhost:8080']
+    };
+
+    test.each`
+    origin
+    ${'https://example.com'}
+    ${'https://example.com:443'}
+    ${'https://www.example.org'}
+    ${'https://a.b.example.org'}
+    ${'http://localhost:8080'}
+    `('allows origin `$origin`', async ({ origin }) => {
+      const cp     = await makeInstance(config);
+      const result = await handle(cp, 'get', { origin });
+
+      expect(result).toBeInstanceOf(FullResponse);
+      expect(MockApplication.mockCalls.length).toBe(1);
+      expect(result.headers.get('access-control-allow-origin')).toBe(origin);
+      expect(result.headers.get('vary')).toBe('origin');
+      expect(result.headers.has('access-control-allow-credentials')).toBeFalse();
+    });
+
+    test.each`
+    origin
+    ${'http://example.com'}
+    ${'https://example.com:8443'}
+    ${'https://www.example.com'}
+    ${'https://example.org.evil.com'}
+    ${'http://localhost'}
+    ${'null'}
+    ${'florp'}
+    `('does not allow origin `$origin`, but still passes the request through', async ({ origin }) => {
+      const cp     = await makeInstance(config);
+      const result = await handle(cp, 'get', { origin });
+
+      expect(result).toBeInstanceOf(FullResponse);
+      expect(MockApplication.mockCalls.length).toBe(1);
+      expect(result.headers.has('access-control-allow-origin')).toBeFalse();
+      expect(result.headers.get('vary')).toBe('origin');
+    });
+
+    test('adds `vary` to a response to a request without an origin', async () => {
+      const cp     = await makeInstance(config);
+      const result = await handle(cp, 'get');
+
+      expect(result.headers.has('access-control-allow-origin')).toBeFalse();
+      expect(result.headers.get('vary')).toBe('origin');
+    });
+
+    test('merges `vary` with an existing value', async () => {
+      const cp  = await makeInstance(config);
+      const app = cp.root.context.getComponent(['application', 'site']);
+
+      app.mockHandler = () => {
+        const response = new FullResponse();
+        response.headers.set('vary', 'accept-encoding');
+        return response;
+      };
+
+      const result = await handle(cp, 'get', { origin: 'https://example.com' });
+      expect(result.headers.get('vary')).toBe('accept-encoding, origin');
+    });
+
+    test('expands a `StatusResponse` in order to decorate it', async () => {
+      const cp  = await makeInstance(config);
+      const app = cp.root.context.getComponent(['application', 'site']);
+
+      app.mockHandler = () => StatusResponse.NOT_FOUND;
+
+      const result = await handle(cp, 'get', { origin: 'https://example.com' });
+      expect(result).toBeInstanceOf(FullResponse);
+      expect(result.status).toBe(404);
+      expect(result.headers.get('access-control-allow-origin')).toBe('https://example.com');
+    });
+
+    test('returns `null` when the wrapped application does not handle the request', async () => {
+      const cp  = await makeInstance(config);
+      const app = cp.root.context.getComponent(['application', 'site']);
+
+      app.mockHandler = () => false;
+
+      expect(await handle(cp, 'get', { origin: 'https://example.com' })).toBeNull();
+    });
+
+    test('answers an allowed preflight request itself', async () => {
+      const cp     = await makeInstance(config);
+      const result = await handle(cp, 'options', preflightHeaders('https://example.com'));
+
+      expect(MockApplication.mockCalls).toEqual([]);
+      expect(result).toBeInstanceOf(FullResponse);
+      expect(result.status).toBe(204);
+      expect(result.headers.get('access-control-allow-origin')).toBe('https://example.com');
+      expect(result.headers.get('access-control-allow-methods')).toBe('GET, HEAD, POST');
+      expect(result.headers.get('vary')).toBe('origin');
+      expect(result.headers.has('access-control-allow-headers')).toBeFalse();
+      expect(result.headers.has('access-control-max-age')).toBeFalse();
+    });
+
+    test('rejects a disallowed preflight request', async () => {
+      const cp     = await makeInstance(config);
+      const result = await handle(cp, 'options', preflightHeaders('https://evil.com'));
+
+      expect(MockApplication.mockCalls).toEqual([]);
+      expect(result).toBe(StatusResponse.FORBIDDEN);
+    });
+
+    test('passes through a non-preflight `OPTIONS` request', async () => {
+      const cp = await makeInstance(config);
+      await handle(cp, 'options', { origin: 'https://example.com' });
+
+      expect(MockApplication.mockCalls.length).toBe(1);
+    });
+  });
+
+  describe('with all options', () => {
+    const config = {
+      origins:       'https://example.com',
+      methods:       ['get', 'put'],
+      headers:       ['content-type', 'x-florp'],
+      exposeHeaders: ['x-request-id', 'x-like'],
+      credentials:   true,
+      maxAge:        '1 hr'
+    };
+
+    test('includes everything in a preflight response', async () => {
+      const cp      = await makeInstance(config);
+      const result  = await handle(cp, 'options', preflightHeaders('https://example.com'));
+      const headers = result.headers;
+
+      expect(headers.get('access-control-allow-methods')).toBe('GET, PUT');
+      expect(headers.get('access-control-allow-headers')).toBe('content-type, x-florp');
+      expect(headers.get('access-control-allow-credentials')).toBe('true');
+      expect(headers.get('access-control-max-age')).toBe('3600');
+    });
+
+    test('includes credentials and exposed headers in a regular response', async () => {
+      const cp      = await makeInstance(config);
+      const result  = await handle(cp, 'get', { origin: 'https://example.com' });
+      const headers = result.headers;
+
+      expect(headers.get('access-control-allow-origin')).toBe('https://example.com');
+      expect(headers.get('access-control-allow-credentials')).toBe('true');
+      expect(headers.get('access-control-expose-headers')).toBe('x-request-id, x-like');
+    });
+
+    test('does not include credentials for a disallowed origin', async () => {
+      const cp     = await makeInstance(config);
+      const result = await handle(cp, 'get', { origin: 'https://evil.com' });
+
+      expect(result.headers.has('access-control-allow-credentials')).toBeFalse();
+      expect(result.headers.has('access-control-expose-headers')).toBeFalse();
+    });
+  });
+
+  describe('with any origin allowed', () => {
+    const config = { origins: '*' };
+
+    test('uses `*` and does not add `vary`', async () => {
+      const cp     = await makeInstance(config);
+      const result = await handle(cp, 'get', { origin: 'https://whatever.example' });
+
+      expect(result.headers.get('access-control-allow-origin')).toBe('*');
+      expect(result.headers.has('vary')).toBeFalse();
+    });
+
+    test('leaves a response to a request without an origin alone', async () => {
+      const cp     = await makeInstance(config);
+      const result = await handle(cp, 'get');
+
+      expect(result.headers.has('access-control-allow-origin')).toBeFalse();
+      expect(result.headers.has('vary')).toBeFalse();
+    });
+
+    test('answers a preflight request', async () => {
+      const cp     = await makeInstance(config);
+      const result = await handle(cp, 'options', preflightHeaders('https://whatever.example'));
+
+      expect(result.status).toBe(204);
+      expect(result.headers.get('access-control-allow-origin')).toBe('*');
+    });
+  });
+});
@@ -1,6 +1,10 @@
 // Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
 // SPDX-License-Identifier: Apache-2.0
 
+import { Writable } from 'node:stream';
+
+import { MockRootComponent } from '@this/compy/testing';
+import { MetricsRegistry } from '@this/metricy';
 import { DataRateLimiter } from '@this/webapp-builtins';
 
 
@@ -27,4 +31,81 @@ describe('constructor', () => {
       maxQueueGrant: '10000 byte'
     })).not.toThrow();
   });
+
+  test('accepts a valid `shared`', () => {
+    expect(() => new DataRateLimiter({
+      name:     'limiter',
+      flowRate: '10 MiB/sec',
+      maxBurst: '100 KiB',
+      shared:   { socketPath: '/run/limits.sock' }
+    })).not.toThrow();
+  });
+});
+
+describe('snapshot()', () => {
+  test('returns `null` before the instance is initialized', () => {
+    const limiter = new DataRateLimiter({ flowRate: '10 MiB/sec', maxBurst: '100 KiB' });
+
+    expect(limiter.snapshot()).toBeNull();
+  });
+
+  test('reports the bucket and the open streams', async () => {
+    const root = new MockRootComponent();
+    await root.start();
+
+    const limiter = new DataRateLimiter({ flowRate: '10 MiB/sec', maxBurst: '100 KiB' });
+    await root.addAll(limiter);
+
+    const inner = new Writable({
+      write(chunk_unused, encoding_unused, callback) {
+        callback();
+      }
+    });
+
+    const stream = await limiter.call('wrapWriter', inner, null);
+    await new Promise((resolve) => stream.write(Buffer.alloc(1000), resolve));
+
+    const snap1 = limiter.snapshot();
+    expect(snap1.bucket.maxBurstSize).toBe(100 * 1024);
+    expect(snap1.bucket.stats.grantedTokens).toBe(1000);
+    expect(snap1.streams).toBeArrayOfSize(1);
+    expect(snap1.streams[0].stats.grantedTokens).toBe(1000);
+    expect(snap1.streams[0].waiting).toBeFalse();
+
+    stream.destroy();
+    await new Promise((resolve) => stream.once('close', resolve));
+
+    const snap2 = limiter.snapshot();
+    expect(snap2.streams).toBeArrayOfSize(0);
+    expect(snap2.bucket.stats.grantedTokens).toBe(1000);
+
+    await limiter.stop();
+  });
+});
+
+describe('metrics', () => {
+  test('include the number of open streams', async () => {
+    const root = new MockRootComponent();
+    await root.start();
+
+    const limiter = new DataRateLimiter({
+      name:     'meteredLimiter',
+      flowRate: '10 MiB/sec',
+      maxBurst: '100 KiB'
+    });
+
+    await root.addAll(limiter);
+    await limiter.call('wrapWriter', new Writable(), null);
+
+    const streams = MetricsRegistry.DEFAULT.collect()
+      .find((f) => (f.name === 'lactoserv_rate_limiter_streams'));
+
+    expect(streams.samples).toStrictEqual([{
+      name:   'lactoserv_rate_limiter_streams',
+      labels: { limiter: 'meteredLimiter' },
+      value:  1
+    }]);
+
+    await limiter.stop();
+  });
 });
@@ -0,0 +1,63 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { PathKey } from '@this/collections';
+import { MockRootComponent } from '@this/compy/testing';
+import { MetricsRegistry, OpenMetrics } from '@this/metricy';
+import { DispatchInfo, FullResponse, StatusResponse } from '@this/net-util';
+import { MetricsExporter } from '@this/webapp-builtins';
+
+import { RequestUtil } from '#tests/RequestUtil';
+
+
+describe('constructor', () => {
+  test('accepts a valid configuration', () => {
+    expect(() => new MetricsExporter({ name: 'metrics' })).not.toThrow();
+  });
+});
+
+describe('_impl_handleRequest()', () => {
+  async function makeInstance() {
+    const root = new MockRootComponent();
+    await root.start();
+
+    const app = new MetricsExporter({ name: 'metrics' });
+    await root.addAll(app);
+
+    return app;
+  }
+
+  async function handle(app, method) {
+    const request = RequestUtil.makeRequest(method, '/metrics');
+    return app.handleRequest(request, new DispatchInfo(PathKey.EMPTY, request.pathname));
+  }
+
+  test.each`
+  method
+  ${'get'}
+  ${'head'}
+  `('responds to `$method` with the rendered metrics', async ({ method }) => {
+    const app = await makeInstance();
+
+    MetricsRegistry.DEFAULT.gauge({ name: 'test_florp', help: 'Florps.' }).set(123);
+
+    const result = await handle(app, method);
+    expect(result).toBeInstanceOf(FullResponse);
+    expect(result.status).toBe(200);
+    expect(result.headers.get('content-type')).toBe(OpenMetrics.CONTENT_TYPE);
+    expect(result.cacheControl).toBe('no-store');
+
+    const body = result.bodyBuffer.toString();
+    expect(body).toContain('\ntest_florp 123\n');
+    expect(body).toEndWith('# EOF\n');
+
+    // This application's own request metric should be in there too.
+    expect(body).toContain('# TYPE lactoserv_application_requests counter\n');
+  });
+
+  test('rejects a non-`GET`/`HEAD` request', async () => {
+    const app = await makeInstance();
+
+    expect(await handle(app, 'post')).toBe(StatusResponse.FORBIDDEN);
+  });
+});
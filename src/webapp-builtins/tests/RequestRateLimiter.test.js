@@ -1,8 +1,20 @@
 // Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
 // SPDX-License-Identifier: Apache-2.0
 
+import * as fs from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { setImmediate } from 'node:timers/promises';
+
+import { PromiseState } from '@this/async';
+import { MockTimeSource } from '@this/clocky/testing';
+import { PathKey } from '@this/collections';
+import { MockRootComponent } from '@this/compy/testing';
+import { MetricsRegistry } from '@this/metricy';
+import { DispatchInfo, EndpointAddress, FullResponse } from '@this/net-util';
 import { RequestRateLimiter } from '@this/webapp-builtins';
 
+import { RequestUtil } from '#tests/RequestUtil';
+
 
 describe('constructor', () => {
   test('accepts a valid minimal configuration', () => {
@@ -73,3 +85,540 @@ describe('constructor', () => {
     })).toThrow();
   });
 });
+
+describe('constructor (per-client)', () => {
+  test.each`
+  perClient
+  ${{ key: 'ip' }}
+  ${{ key: 'ipPrefix' }}
+  ${{ key: 'ipPrefix', ipv4PrefixLength: 16, ipv6PrefixLength: 48 }}
+  ${{ key: 'header', name: 'X-Api-Key' }}
+  ${{ key: 'cookie', name: 'session' }}
+  ${{ key: 'principal' }}
+  ${{ key: 'ip', maxKeys: 10, idleTimeout: '1 min' }}
+  `('accepts `perClient: $perClient`', ({ perClient }) => {
+    expect(() => new RequestRateLimiter({
+      flowRate: '1 req/sec',
+      maxBurst: '10 req',
+      perClient
+    })).not.toThrow();
+  });
+
+  test.each`
+  label                             | perClient
+  ${'an unknown key type'}          | ${{ key: 'florp' }}
+  ${'`header` without a `name`'}    | ${{ key: 'header' }}
+  ${'`cookie` without a `name`'}    | ${{ key: 'cookie' }}
+  ${'`ip` with a `name`'}           | ${{ key: 'ip', name: 'florp' }}
+  ${'an invalid `name`'}            | ${{ key: 'header', name: 'a b' }}
+  ${'too long an IPv4 prefix'}      | ${{ key: 'ipPrefix', ipv4PrefixLength: 33 }}
+  ${'too long an IPv6 prefix'}      | ${{ key: 'ipPrefix', ipv6PrefixLength: 129 }}
+  ${'`maxKeys === 0`'}              | ${{ key: 'ip', maxKeys: 0 }}
+  ${'an unparseable `idleTimeout`'} | ${{ key: 'ip', idleTimeout: 'zonk' }}
+  `('throws given $label', ({ perClient }) => {
+    expect(() => new RequestRateLimiter({
+      flowRate: '1 req/sec',
+      maxBurst: '10 req',
+      perClient
+    })).toThrow();
+  });
+
+  test('converts a header `name` to lowercase', () => {
+    const limiter = new RequestRateLimiter({
+      flowRate:  '1 req/sec',
+      maxBurst:  '10 req',
+      perClient: { key: 'header', name: 'X-Api-Key' }
+    });
+
+    expect(limiter.config.perClient.name).toBe('x-api-key');
+  });
+
+  test('accepts `global` along with `perClient`', () => {
+    expect(() => new RequestRateLimiter({
+      flowRate:  '1 req/sec',
+      maxBurst:  '10 req',
+      perClient: { key: 'ip' },
+      global:    { flowRate: '100 req/sec', maxBurst: '1000 req' }
+    })).not.toThrow();
+  });
+
+  test('throws given `global` without `perClient`', () => {
+    expect(() => new RequestRateLimiter({
+      flowRate: '1 req/sec',
+      maxBurst: '10 req',
+      global:   { flowRate: '100 req/sec', maxBurst: '1000 req' }
+    })).toThrow(/requires `perClient`/);
+  });
+
+  test('throws given an invalid `global`', () => {
+    expect(() => new RequestRateLimiter({
+      flowRate:  '1 req/sec',
+      maxBurst:  '10 req',
+      perClient: { key: 'ip' },
+      global:    { flowRate: '100 req/sec' }
+    })).toThrow();
+  });
+});
+
+describe('constructor (shared)', () => {
+  test('accepts `shared` with just a `socketPath`, given a `name`', () => {
+    const limiter = new RequestRateLimiter({
+      name:     'florp',
+      flowRate: '1 req/sec',
+      maxBurst: '10 req',
+      shared:   { socketPath: '/run/limits.sock' }
+    });
+
+    expect(limiter.config.shared.socketPath).toBe('/run/limits.sock');
+    expect(limiter.config.shared.key).toBeNull();
+  });
+
+  test('accepts `shared` with a `key`, even without a `name`', () => {
+    expect(() => new RequestRateLimiter({
+      flowRate: '1 req/sec',
+      maxBurst: '10 req',
+      shared:   { socketPath: '/run/limits.sock', key: 'florp' }
+    })).not.toThrow();
+  });
+
+  test.each`
+  label                                | shared                                          | name
+  ${'no `key` and no `name`'}          | ${{ socketPath: '/run/limits.sock' }}           | ${undefined}
+  ${'a relative `socketPath`'}         | ${{ socketPath: 'limits.sock' }}                | ${'x'}
+  ${'no `socketPath`'}                 | ${{ key: 'florp' }}                             | ${'x'}
+  ${'an invalid `key`'}                | ${{ socketPath: '/run/limits.sock', key: '' }}  | ${'x'}
+  `('throws given $label', ({ shared, name }) => {
+    expect(() => new RequestRateLimiter({
+      name,
+      flowRate: '1 req/sec',
+      maxBurst: '10 req',
+      shared
+    })).toThrow();
+  });
+
+  test('throws given `shared` within `global`', () => {
+    expect(() => new RequestRateLimiter({
+      flowRate:  '1 req/sec',
+      maxBurst:  '10 req',
+      perClient: { key: 'ip' },
+      global:    { flowRate: '1 req/sec', maxBurst: '10 req', shared: { socketPath: '/run/limits.sock' } }
+    })).toThrow();
+  });
+});
+
+describe('.config.perClient.keyFromOrigin()', () => {
+  function keyFor(address, perClient = {}) {
+    const limiter = new RequestRateLimiter({
+      flowRate:  '1 req/sec',
+      maxBurst:  '10 req',
+      perClient: { key: 'ipPrefix', ...perClient }
+    });
+
+    return limiter.config.perClient.keyFromOrigin(new EndpointAddress(address, 123));
+  }
+
+  test.each`
+  address                      | perClient                    | expected
+  ${'10.20.30.40'}             | ${{}}                        | ${'10.20.30.0/24'}
+  ${'10.20.30.40'}             | ${{ ipv4PrefixLength: 12 }}  | ${'10.16.0.0/12'}
+  ${'10.20.30.40'}             | ${{ ipv4PrefixLength: 32 }}  | ${'10.20.30.40/32'}
+  ${'10.20.30.40'}             | ${{ ipv4PrefixLength: 0 }}   | ${'0.0.0.0/0'}
+  ${'::ffff:10.20.30.40'}      | ${{}}                        | ${'10.20.30.0/24'}
+  ${'1234:5678:9abc:def0::1'}  | ${{}}                        | ${'1234:5678:9abc:def0::/64'}
+  ${'1234:5678:9abc:def0::1'}  | ${{ ipv6PrefixLength: 36 }}  | ${'1234:5678:9000::/36'}
+  ${'::1'}                     | ${{}}                        | ${'::/64'}
+  ${'::1'}                     | ${{ ipv6PrefixLength: 128 }} | ${'::1/128'}
+  `('returns `$expected` for `$address` given $perClient', ({ address, perClient, expected }) => {
+    expect(keyFor(address, perClient)).toBe(expected);
+  });
+
+  test('returns the plain address for key type `ip`', () => {
+    const limiter = new RequestRateLimiter({
+      flowRate:  '1 req/sec',
+      maxBurst:  '10 req',
+      perClient: { key: 'ip' }
+    });
+
+    expect(limiter.config.perClient.keyFromOrigin(new EndpointAddress('10.20.30.40', 123))).toBe('10.20.30.40');
+  });
+
+  test('returns `null` given `null`', () => {
+    expect(new RequestRateLimiter({
+      flowRate:  '1 req/sec',
+      maxBurst:  '10 req',
+      perClient: { key: 'ip' }
+    }).config.perClient.keyFromOrigin(null)).toBeNull();
+  });
+});
+
+describe('_impl_handleRequest()', () => {
+  async function makeInstance(opts) {
+    const root = new MockRootComponent();
+    await root.start();
+
+    const limiter = new RequestRateLimiter({
+      name:     'myLimiter',
+      flowRate: '100 req/sec',
+      maxBurst: '1 req',
+      maxQueue: '1 req',
+      ...opts
+    });
+
+    await root.addAll(limiter);
+
+    return limiter;
+  }
+
+  function makeRequest(headers = null) {
+    return RequestUtil.makeRequest('get', '/florp', 'your.host', null, headers);
+  }
+
+  async function handle(limiter, request) {
+    return limiter.handleRequest(request, new DispatchInfo(PathKey.EMPTY, request.pathname));
+  }
+
+  /**
+   * Makes three simultaneous requests. Given the default configuration of
+   * {@link #makeInstance}, the first is granted immediately, the second gets
+   * queued up and is then granted, and the third is denied.
+   *
+   * @param {RequestRateLimiter} limiter The limiter.
+   * @param {?object} headers Headers for all the requests.
+   * @returns {Array} The results of handling the requests.
+   */
+  async function handleThree(limiter, headers = null) {
+    const result1 = handle(limiter, makeRequest(headers));
+    const result2 = handle(limiter, makeRequest(headers));
+    const result3 = handle(limiter, makeRequest(headers));
+
+    return Promise.all([result1, result2, result3]);
+  }
+
+  test('does not handle requests which are within the limit', async () => {
+    const limiter = await makeInstance();
+    const result  = await handle(limiter, makeRequest());
+
+    expect(result).toBeNull();
+  });
+
+  test('responds `429` with a `retry-after` when over the limit', async () => {
+    const limiter = await makeInstance({ flowRate: '10 req/sec' });
+    const results = await handleThree(limiter);
+
+    expect(results[0]).toBeNull();
+    expect(results[1]).toBeNull();
+    expect(results[2]).toBeInstanceOf(FullResponse);
+    expect(results[2].status).toBe(429);
+    expect(results[2].headers.get('retry-after')).toBe('1');
+  });
+
+  test('computes `retry-after` from the flow rate and queue size', async () => {
+    const limiter = await makeInstance({ flowRate: '2 req/sec', maxQueue: '4 req' });
+
+    // The first request uses up the burst, and the next four fill the queue.
+    const results = [];
+    for (let i = 0; i < 6; i++) {
+      results.push(handle(limiter, makeRequest()));
+    }
+
+    const denied = await results[5];
+
+    expect(denied.status).toBe(429);
+    expect(denied.headers.get('retry-after')).toBe('3');
+
+    for (const r of await Promise.all(results.slice(0, 5))) {
+      expect(r).toBeNull();
+    }
+  });
+
+  test('uses separate buckets for separate clients', async () => {
+    const limiter = await makeInstance({ perClient: { key: 'header', name: 'x-client' } });
+    const results = await Promise.all([
+      handleThree(limiter, { 'x-client': 'florp' }),
+      handleThree(limiter, { 'x-client': 'zonk' })
+    ]);
+
+    for (const r of results) {
+      expect(r[0]).toBeNull();
+      expect(r[1]).toBeNull();
+      expect(r[2].status).toBe(429);
+    }
+  });
+
+  test('uses a shared bucket for clients without a key', async () => {
+    const limiter = await makeInstance({ perClient: { key: 'header', name: 'x-client' } });
+    const results = await handleThree(limiter);
+
+    expect(results[0]).toBeNull();
+    expect(results[1]).toBeNull();
+    expect(results[2].status).toBe(429);
+  });
+
+  test('applies the `global` bucket on top of the per-client buckets', async () => {
+    const limiter = await makeInstance({
+      perClient: { key: 'header', name: 'x-client' },
+      global:    { flowRate: '10 req/sec', maxBurst: '1 req', maxQueue: '1 req' }
+    });
+
+    const results = await Promise.all([
+      handle(limiter, makeRequest({ 'x-client': 'a' })),
+      handle(limiter, makeRequest({ 'x-client': 'b' })),
+      handle(limiter, makeRequest({ 'x-client': 'c' }))
+    ]);
+
+    expect(results[0]).toBeNull();
+    expect(results[1]).toBeNull();
+    expect(results[2].status).toBe(429);
+    expect(results[2].headers.get('retry-after')).toBe('1');
+  });
+
+  test('does not use up a client token when the `global` bucket denies a grant', async () => {
+    const timeSource = new MockTimeSource(1000);
+    const limiter    = await makeInstance({
+      flowRate:  '1 req/hr',
+      perClient: { key: 'header', name: 'x-client' },
+      global:    { flowRate: '1 req/sec', maxBurst: '1 req', maxQueue: '1 req', timeSource },
+      timeSource
+    });
+
+    // Use up the global burst, and then fill up the global queue.
+    expect(await handle(limiter, makeRequest({ 'x-client': 'x' }))).toBeNull();
+    const queued = handle(limiter, makeRequest({ 'x-client': 'y' }));
+
+    const denied = await handle(limiter, makeRequest({ 'x-client': 'a' }));
+    expect(denied.status).toBe(429);
+
+    // Let the global bucket service the queue and then refill.
+    timeSource._advanceTime(1);
+    expect(await queued).toBeNull();
+    timeSource._advanceTime(1);
+
+    // Client `a` still has its (very slowly refilling) token.
+    const result = handle(limiter, makeRequest({ 'x-client': 'a' }));
+    await setImmediate();
+    expect(PromiseState.isFulfilled(result)).toBeTrue();
+    expect(await result).toBeNull();
+
+    await timeSource._end();
+  });
+
+  test('forgets idle clients based on the configured time source', async () => {
+    const timeSource = new MockTimeSource(1000);
+    const limiter    = await makeInstance({
+      perClient: { key: 'header', name: 'x-client', idleTimeout: '1 min' },
+      timeSource
+    });
+
+    await handle(limiter, makeRequest({ 'x-client': 'a' }));
+    await handle(limiter, makeRequest({ 'x-client': 'b' }));
+    expect(limiter.snapshot().clientCount).toBe(2);
+
+    timeSource._advanceTime(61);
+    await handle(limiter, makeRequest({ 'x-client': 'c' }));
+    expect(limiter.snapshot().clientCount).toBe(1);
+
+    await timeSource._end();
+  });
+});
+
+describe('snapshot()', () => {
+  async function makeInstance(opts) {
+    const root = new MockRootComponent();
+    await root.start();
+
+    const limiter = new RequestRateLimiter({
+      name:     'myLimiter',
+      flowRate: '10 req/sec',
+      maxBurst: '1 req',
+      maxQueue: '1 req',
+      ...opts
+    });
+
+    await root.addAll(limiter);
+
+    return limiter;
+  }
+
+  async function handleThree(limiter, headers = null) {
+    const handle = () => {
+      const request = RequestUtil.makeRequest('get', '/florp', 'your.host', null, headers);
+      return limiter.handleRequest(request, new DispatchInfo(PathKey.EMPTY, request.pathname));
+    };
+
+    return Promise.all([handle(), handle(), handle()]);
+  }
+
+  test('returns `null` before the instance is initialized', () => {
+    const limiter = new RequestRateLimiter({
+      name: 'myLimiter', flowRate: '1 req/sec', maxBurst: '1 req' });
+
+    expect(limiter.snapshot()).toBeNull();
+  });
+
+  test('reports the single bucket and the overall results', async () => {
+    const limiter = await makeInstance();
+
+    await handleThree(limiter);
+
+    const snap = limiter.snapshot();
+    expect(snap.bucket).toBeObject();
+    expect(snap.bucket.maxBurstSize).toBe(1);
+    expect(snap.clientCount).toBeNull();
+    expect(snap.global).toBeNull();
+    expect(snap.stats.grantCount).toBe(2);
+    expect(snap.stats.grantedTokens).toBe(2);
+    expect(snap.stats.denials).toStrictEqual({ client: 1 });
+    expect(snap.stats.waitTime.count).toBe(2);
+  });
+
+  test('reports the client count and `global` bucket of a per-client instance', async () => {
+    const limiter = await makeInstance({
+      perClient: { key: 'header', name: 'x-client' },
+      global:    { flowRate: '10 req/sec', maxBurst: '10 req', maxQueue: '2 req' }
+    });
+
+    await handleThree(limiter, { 'x-client': 'florp' });
+    await handleThree(limiter, { 'x-client': 'zonk' });
+
+    // Note: The global bucket is asked first, so it grants all six requests,
+    // including the two which the client buckets then deny.
+    const snap = limiter.snapshot();
+    expect(snap.bucket).toBeNull();
+    expect(snap.clientCount).toBe(2);
+    expect(snap.global.maxBurstSize).toBe(10);
+    expect(snap.global.stats.grantCount).toBe(6);
+    expect(snap.stats.grantCount).toBe(4);
+    expect(snap.stats.denials).toStrictEqual({ client: 2 });
+  });
+});
+
+describe('metrics', () => {
+  /**
+   * Finds the samples with the given name for the given limiter in the
+   * standard metrics registry.
+   *
+   * @param {string} sampleName The sample name.
+   * @param {string} limiter The limiter name.
+   * @returns {Array<object>} The samples.
+   */
+  function samplesFor(sampleName, limiter) {
+    return MetricsRegistry.DEFAULT.collect()
+      .flatMap((f) => f.samples)
+      .filter((s) => (s.name === sampleName) && (s.labels.limiter === limiter));
+  }
+
+  test('are reported while running and not after stopping', async () => {
+    const root = new MockRootComponent();
+    await root.start();
+
+    const limiter = new RequestRateLimiter({
+      name:     'meteredLimiter',
+      flowRate: '10 req/sec',
+      maxBurst: '1 req',
+      maxQueue: '1 req'
+    });
+
+    await root.addAll(limiter);
+
+    const handle = () => {
+      const request = RequestUtil.makeRequest('get', '/florp');
+      return limiter.handleRequest(request, new DispatchInfo(PathKey.EMPTY, request.pathname));
+    };
+
+    await Promise.all([handle(), handle(), handle()]);
+
+    expect(samplesFor('lactoserv_rate_limiter_grants_total', 'meteredLimiter'))
+      .toStrictEqual([{
+        name:   'lactoserv_rate_limiter_grants_total',
+        labels: { limiter: 'meteredLimiter' },
+        value:  2
+      }]);
+    expect(samplesFor('lactoserv_rate_limiter_denials_total', 'meteredLimiter'))
+      .toStrictEqual([{
+        name:   'lactoserv_rate_limiter_denials_total',
+        labels: { limiter: 'meteredLimiter', reason: 'client' },
+        value:  1
+      }]);
+    expect(samplesFor('lactoserv_rate_limiter_available_burst', 'meteredLimiter'))
+      .toBeArrayOfSize(1);
+
+    await limiter.stop();
+    expect(samplesFor('lactoserv_rate_limiter_grants_total', 'meteredLimiter')).toBeArrayOfSize(0);
+  });
+});
+
+describe('_impl_handleRequest() (shared)', () => {
+  let dir;
+  let root;
+  let limiters;
+
+  beforeEach(async () => {
+    dir      = await fs.mkdtemp(`${tmpdir()}/request-rate-limiter-`);
+    root     = new MockRootComponent();
+    limiters = [];
+    await root.start();
+  });
+
+  afterEach(async () => {
+    for (const limiter of limiters) {
+      await limiter.stop();
+    }
+
+    await root.stop();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Makes a limiter which uses the shared state. Instances made by this
+   * function stand in for limiters in separate processes.
+   *
+   * @param {string} name The name of the limiter.
+   * @param {?object} [opts] Additional configuration.
+   * @returns {RequestRateLimiter} The limiter.
+   */
+  async function makeInstance(name, opts = null) {
+    const limiter = new RequestRateLimiter({
+      name,
+      flowRate: '1 req/sec',
+      maxBurst: '2 req',
+      maxQueue: '1 req',
+      shared:   { socketPath: `${dir}/limits.sock`, key: 'requests' },
+      ...opts
+    });
+
+    await root.addAll(limiter);
+    limiters.push(limiter);
+
+    return limiter;
+  }
+
+  async function handle(limiter, headers = null) {
+    const request = RequestUtil.makeRequest('get', '/florp', 'your.host', null, headers);
+    return limiter.handleRequest(request, new DispatchInfo(PathKey.EMPTY, request.pathname));
+  }
+
+  test('enforces a single budget across instances', async () => {
+    const limiter1 = await makeInstance('limiter1');
+    const limiter2 = await makeInstance('limiter2');
+
+    expect(await handle(limiter1)).toBeNull();
+    expect(await handle(limiter2)).toBeNull();
+
+    // The budget is exhausted, so the next request gets queued (and granted
+    // once the bucket refills), and the one after that gets denied.
+    const queued = handle(limiter1);
+    expect((await handle(limiter1)).status).toBe(429);
+    expect(await queued).toBeNull();
+  });
+
+  test('shares per-client buckets across instances', async () => {
+    const perClient = { key: 'header', name: 'x-client' };
+    const limiter1  = await makeInstance('limiter1', { perClient });
+    const limiter2  = await makeInstance('limiter2', { perClient });
+
+    expect(await handle(limiter1, { 'x-client': 'a' })).toBeNull();
+    expect(await handle(limiter2, { 'x-client': 'a' })).toBeNull();
+    expect(await handle(limiter2, { 'x-client': 'b' })).toBeNull();
+    expect(await handle(limiter1, { 'x-client': 'b' })).toBeNull();
+  });
+});
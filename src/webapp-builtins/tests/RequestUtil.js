@@ -23,14 +23,17 @@ export class RequestUtil {
   }
 
   /**
-   * Makes a request with the given request method and path, and optional host.
+   * Makes a request with the given request method and path, and optional host,
+   * body, and additional headers.
    *
    * @param {string} method The request method.
    * @param {string} path The path.
    * @param {string} [host] The host.
+   * @param {?Buffer} [body] The request body, if any.
+   * @param {?object} [headers] Additional headers, if any.
    * @returns {IncomingRequest} Corresponding request instance.
    */
-  static makeRequest(method, path, host = 'your.host') {
+  static makeRequest(method, path, host = 'your.host', body = null, headers = null) {
     if (/^(?!\[).*:/.test(host)) {
       // Per the HTTP spec, an IPv6 host needs to end up being
       // bracket-surrounded in the `:authority` header.
@@ -38,11 +41,13 @@ export class RequestUtil {
     }
 
     return new IncomingRequest({
+      body,
       context: new RequestContext(
         new InterfaceAddress('localhost:12345'),
         new EndpointAddress('99.88.77.66', 54321 )),
       headers: new HttpHeaders({
-        'some-header': 'something'
+        'some-header': 'something',
+        ...headers
       }),
       protocolName: 'http-2',
       pseudoHeaders: new HttpHeaders({
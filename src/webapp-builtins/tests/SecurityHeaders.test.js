@@ -0,0 +1,273 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { PathKey } from '@this/collections';
+import { MockComponent, MockRootComponent } from '@this/compy/testing';
+import { DispatchInfo, FullResponse, StatusResponse, UriUtil } from '@this/net-util';
+import { SecurityHeaders } from '@this/webapp-builtins';
+import { MockApplication } from '@this/webapp-core/testing';
+
+import { RequestUtil } from '#tests/RequestUtil';
+
+
+describe('constructor', () => {
+  test('accepts a valid minimal configuration', () => {
+    const sh = new SecurityHeaders({ application: 'site' });
+    const { headers } = sh.config;
+
+    expect(headers.contentSecurityPolicy).toBeNull();
+    expect(headers.contentTypeOptions).toBeTrue();
+    expect(headers.frameOptions).toBe('sameorigin');
+    expect(headers.hsts).toBeNull();
+    expect(headers.permissionsPolicy).toBeNull();
+    expect(headers.referrerPolicy).toBe('strict-origin-when-cross-origin');
+  });
+
+  test('accepts a valid full configuration', () => {
+    const sh = new SecurityHeaders({
+      application: 'site',
+      headers: {
+        contentSecurityPolicy: 'default-src \'self\'',
+        contentTypeOptions:    false,
+        frameOptions:          'deny',
+        hsts:                  { maxAge: '1 day', includeSubDomains: true, preload: true },
+        permissionsPolicy:     'geolocation=()',
+        referrerPolicy:        'no-referrer'
+      },
+      paths: {
+        '/embed/*': { frameOptions: null },
+        '/api/':    { contentSecurityPolicy: null }
+      }
+    });
+
+    expect(sh.config.headers.hsts.maxAge.sec).toBe(24 * 60 * 60);
+
+    const embed = sh.config.paths.find(UriUtil.parsePathPattern('/embed/x')).value;
+    expect(embed.frameOptions).toBeNull();
+    expect(embed.referrerPolicy).toBe('no-referrer');
+    expect(embed.hsts.preload).toBeTrue();
+  });
+
+  test.each`
+  label                                   | extra
+  ${'no `application`'}                   | ${{ application: undefined }}
+  ${'an invalid `frameOptions`'}          | ${{ headers: { frameOptions: 'allow' } }}
+  ${'an unknown `referrerPolicy`'}        | ${{ headers: { referrerPolicy: 'florp' } }}
+  ${'a CSP with a newline'}               | ${{ headers: { contentSecurityPolicy: 'a\nb' } }}
+  ${'an empty `permissionsPolicy`'}       | ${{ headers: { permissionsPolicy: '' } }}
+  ${'an invalid HSTS `maxAge`'}           | ${{ headers: { hsts: { maxAge: 'florp' } } }}
+  ${'HSTS `preload` without subdomains'}  | ${{ headers: { hsts: { preload: true } } }}
+  ${'an unknown header binding'}          | ${{ headers: { florp: 'like' } }}
+  ${'an invalid path'}                    | ${{ paths: { florp: {} } }}
+  ${'a non-object override'}              | ${{ paths: { '/florp': 'like' } }}
+  ${'an invalid override'}                | ${{ paths: { '/florp': { frameOptions: 'x' } } }}
+  `('rejects configuration with $label', ({ extra }) => {
+    expect(() => new SecurityHeaders({ application: 'site', ...extra })).toThrow();
+  });
+});
+
+describe('_impl_handleRequest()', () => {
+  async function makeInstance(opts) {
+    const root = new MockRootComponent();
+    await root.start();
+
+    root.applicationManager = {
+      get(name) {
+        return root.context.getComponent(['application', name]);
+      }
+    };
+
+    const apps = new MockComponent({ name: 'application' });
+    await root.addAll(apps);
+
+    await apps.addAll(new MockApplication({ name: 'site' }));
+
+    const sh = new SecurityHeaders({ name: 'mySecurity', application: 'site', ...opts });
+    await apps.addAll(sh);
+
+    return sh;
+  }
+
+  async function handle(sh, path = '/florp') {
+    MockApplication.mockCalls = [];
+
+    const request = RequestUtil.makeRequest('get', path, 'your.host');
+    const result  = await sh.handleRequest(request, new DispatchInfo(PathKey.EMPTY, request.pathname));
+
+    return { request, result };
+  }
+
+  function siteApp(sh) {
+    return sh.root.context.getComponent(['application', 'site']);
+  }
+
+  test('adds the default headers', async () => {
+    const sh = await makeInstance({});
+    const { result } = await handle(sh);
+
+    expect(MockApplication.mockCalls.length).toBe(1);
+    expect(result).toBeInstanceOf(FullResponse);
+
+    const headers = result.headers;
+    expect(headers.get('x-content-type-options')).toBe('nosniff');
+    expect(headers.get('x-frame-options')).toBe('SAMEORIGIN');
+    expect(headers.get('referrer-policy')).toBe('strict-origin-when-cross-origin');
+    expect(headers.has('strict-transport-security')).toBeFalse();
+    expect(headers.has('content-security-policy')).toBeFalse();
+    expect(headers.has('permissions-policy')).toBeFalse();
+  });
+
+  test('adds all configured headers', async () => {
+    const sh = await makeInstance({
+      headers: {
+        contentSecurityPolicy: 'default-src \'self\'',
+        frameOptions:          'deny',
+        hsts:                  { maxAge: '10 sec', includeSubDomains: true, preload: true },
+        permissionsPolicy:     'camera=(), geolocation=()',
+        referrerPolicy:        'same-origin'
+      }
+    });
+    const { result } = await handle(sh);
+    const headers    = result.headers;
+
+    expect(headers.get('strict-transport-security')).toBe('max-age=10; includeSubDomains; preload');
+    expect(headers.get('content-security-policy')).toBe('default-src \'self\'');
+    expect(headers.get('x-frame-options')).toBe('DENY');
+    expect(headers.get('referrer-policy')).toBe('same-origin');
+    expect(headers.get('permissions-policy')).toBe('camera=(), geolocation=()');
+  });
+
+  test('does not replace headers already set by the wrapped application', async () => {
+    const sh = await makeInstance({});
+
+    siteApp(sh).mockHandler = () => {
+      const response = new FullResponse();
+      response.headers.set('x-frame-options', 'DENY');
+      return response;
+    };
+
+    const { result } = await handle(sh);
+    expect(result.headers.get('x-frame-options')).toBe('DENY');
+    expect(result.headers.get('x-content-type-options')).toBe('nosniff');
+  });
+
+  test('does not modify the original response', async () => {
+    const sh       = await makeInstance({});
+    const original = new FullResponse();
+
+    siteApp(sh).mockHandler = () => original;
+
+    const { result } = await handle(sh);
+    expect(result).not.toBe(original);
+    expect(original.headers.has('x-frame-options')).toBeFalse();
+  });
+
+  test('expands a `StatusResponse` in order to decorate it', async () => {
+    const sh = await makeInstance({});
+
+    siteApp(sh).mockHandler = () => StatusResponse.NOT_FOUND;
+
+    const { result } = await handle(sh);
+    expect(result).toBeInstanceOf(FullResponse);
+    expect(result.status).toBe(404);
+    expect(result.headers.get('x-content-type-options')).toBe('nosniff');
+  });
+
+  test('returns `null` when the wrapped application does not handle the request', async () => {
+    const sh = await makeInstance({});
+
+    siteApp(sh).mockHandler = () => false;
+
+    expect((await handle(sh)).result).toBeNull();
+  });
+
+  describe('with a CSP nonce', () => {
+    const config = {
+      headers: { contentSecurityPolicy: 'script-src \'nonce-{nonce}\'; style-src \'nonce-{nonce}\'' }
+    };
+
+    test('exposes the nonce to the wrapped application and uses it in the header', async () => {
+      const sh  = await makeInstance(config);
+      let   got = null;
+
+      siteApp(sh).mockHandler = ({ request }) => {
+        got = request.cspNonce;
+        return true;
+      };
+
+      const { request, result } = await handle(sh);
+
+      expect(got).toBeString();
+      expect(got).toMatch(/^[+/a-zA-Z0-9]{22}==$/);
+      expect(request.cspNonce).toBe(got);
+      expect(result.headers.get('content-security-policy'))
+        .toBe(`script-src 'nonce-${got}'; style-src 'nonce-${got}'`);
+    });
+
+    test('makes a different nonce for each request', async () => {
+      const sh = await makeInstance(config);
+      const { request: request1 } = await handle(sh);
+      const { request: request2 } = await handle(sh);
+
+      expect(request1.cspNonce).not.toBe(request2.cspNonce);
+    });
+
+    test('reuses a nonce that was already set on the request', async () => {
+      const sh      = await makeInstance(config);
+      const request = RequestUtil.makeRequest('get', '/florp', 'your.host');
+
+      request.setCspNonce('florp');
+
+      const result = await sh.handleRequest(request, new DispatchInfo(PathKey.EMPTY, request.pathname));
+      expect(result.headers.get('content-security-policy'))
+        .toBe('script-src \'nonce-florp\'; style-src \'nonce-florp\'');
+    });
+
+    test('does not make a nonce when the policy does not use one', async () => {
+      const sh = await makeInstance({ headers: { contentSecurityPolicy: 'default-src \'self\'' } });
+      const { request } = await handle(sh);
+
+      expect(request.cspNonce).toBeNull();
+    });
+  });
+
+  describe('with per-path overrides', () => {
+    const config = {
+      headers: {
+        contentSecurityPolicy: 'default-src \'self\'',
+        hsts:                  { maxAge: '100 sec' }
+      },
+      paths: {
+        '/embed/*':     { frameOptions: null },
+        '/embed/deep/': { frameOptions: 'deny', referrerPolicy: null },
+        '/api':         { contentSecurityPolicy: null, hsts: null }
+      }
+    };
+
+    test.each`
+    path                   | frame           | referrer                             | csp
+    ${'/florp'}            | ${'SAMEORIGIN'} | ${'strict-origin-when-cross-origin'} | ${'default-src \'self\''}
+    ${'/embed'}            | ${null}         | ${'strict-origin-when-cross-origin'} | ${'default-src \'self\''}
+    ${'/embed/x/y'}        | ${null}         | ${'strict-origin-when-cross-origin'} | ${'default-src \'self\''}
+    ${'/embed/deep/'}      | ${'DENY'}       | ${null}                              | ${'default-src \'self\''}
+    ${'/embed/deep/x'}     | ${null}         | ${'strict-origin-when-cross-origin'} | ${'default-src \'self\''}
+    ${'/api'}              | ${'SAMEORIGIN'} | ${'strict-origin-when-cross-origin'} | ${null}
+    ${'/api/x'}            | ${'SAMEORIGIN'} | ${'strict-origin-when-cross-origin'} | ${'default-src \'self\''}
+    `('uses the right settings for `$path`', async ({ path, frame, referrer, csp }) => {
+      const sh = await makeInstance(config);
+      const { result } = await handle(sh, path);
+      const headers    = result.headers;
+
+      expect(headers.get('x-frame-options')).toBe(frame);
+      expect(headers.get('referrer-policy')).toBe(referrer);
+      expect(headers.get('content-security-policy')).toBe(csp);
+      expect(headers.get('x-content-type-options')).toBe('nosniff');
+
+      if (path === '/api') {
+        expect(headers.has('strict-transport-security')).toBeFalse();
+      } else {
+        expect(headers.get('strict-transport-security')).toBe('max-age=100');
+      }
+    });
+  });
+});
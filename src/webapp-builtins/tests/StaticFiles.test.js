@@ -4,6 +4,8 @@
 import fs from 'node:fs/promises';
 import { tmpdir } from 'node:os';
 import process from 'node:process';
+import { promisify } from 'node:util';
+import zlib from 'node:zlib';
 
 import { WallClock } from '@this/clocky';
 import { PathKey } from '@this/collections';
@@ -67,6 +69,34 @@ describe('constructor', () => {
     })).toThrow();
   });
 
+  test('accepts `compress: true`', () => {
+    expect(() => new StaticFiles({
+      compress:      true,
+      siteDirectory: '/florp/fleep'
+    })).not.toThrow();
+  });
+
+  test('accepts `compress: {...}` with valid compression options', () => {
+    expect(() => new StaticFiles({
+      compress:      { encodings: ['gzip'], minSize: '10 KiB' },
+      siteDirectory: '/florp/fleep'
+    })).not.toThrow();
+  });
+
+  test('rejects an invalid `compress` option', () => {
+    expect(() => new StaticFiles({
+      compress:      { encodings: ['florp'] },
+      siteDirectory: '/florp/fleep'
+    })).toThrow();
+  });
+
+  test('rejects a non-boolean `precompressed` option', () => {
+    expect(() => new StaticFiles({
+      precompressed: 'yes',
+      siteDirectory: '/florp/fleep'
+    })).toThrow();
+  });
+
   test('accepts `etag: true`', () => {
     expect(() => new StaticFiles({
       etag:          true,
@@ -135,6 +165,40 @@ describe('constructor', () => {
     })).toThrow();
   });
 
+  test.each`
+  listing
+  ${null}
+  ${false}
+  ${true}
+  ${{}}
+  ${{ showHidden: true }}
+  ${{ sort: 'size' }}
+  ${{ sort: '-mtime' }}
+  ${{ maxEntries: 1 }}
+  `('accepts `listing: $listing`', ({ listing }) => {
+    expect(() => new StaticFiles({
+      listing,
+      siteDirectory: '/florp/fleep'
+    })).not.toThrow();
+  });
+
+  test.each`
+  listing
+  ${'yes'}
+  ${[]}
+  ${{ showHidden: 'yes' }}
+  ${{ sort: 'florp' }}
+  ${{ sort: '--name' }}
+  ${{ maxEntries: 0 }}
+  ${{ maxEntries: 1.5 }}
+  ${{ maxEntries: '10' }}
+  `('rejects `listing: $listing`', ({ listing }) => {
+    expect(() => new StaticFiles({
+      listing,
+      siteDirectory: '/florp/fleep'
+    })).toThrow();
+  });
+
   test('rejects a non-absolute `siteDirectory`', () => {
     expect(() => new StaticFiles({
       siteDirectory: 'florp/flop'
@@ -317,6 +381,331 @@ describe('_impl_handleRequest()', () => {
     expect(result.headers.get('etag')).toMatch(/^W[/]".*"$/);
   });
 
+  describe('with `compress`', () => {
+    test('compresses a compressible file when the request allows it', async () => {
+      const sf      = await makeInstance({ compress: { encodings: ['gzip'] }, etag: true });
+      const request = RequestUtil.makeGet('/compressible.txt');
+      request.headers.set('accept-encoding', 'gzip, br');
+      const result  = await sf.handleRequest(request, new DispatchInfo(PathKey.EMPTY, request.pathname));
+
+      expect(result).toBeInstanceOf(FullResponse);
+      expect(result.status).toBe(200);
+      expect(result.headers.get('content-encoding')).toBe('gzip');
+      expect(result.headers.get('vary')).toBe('accept-encoding');
+      expect(result.headers.get('etag')).toMatch(/^W[/]".*-gzip"$/);
+
+      const expected = await fs.readFile(`${STATIC_SITE_DIR}/compressible.txt`);
+      expect(await promisify(zlib.gunzip)(result.bodyBuffer)).toEqual(expected);
+    });
+
+    test('does not compress when the request does not allow it', async () => {
+      const sf      = await makeInstance({ compress: true });
+      const request = RequestUtil.makeGet('/compressible.txt');
+      const result  = await sf.handleRequest(request, new DispatchInfo(PathKey.EMPTY, request.pathname));
+
+      expect(result.status).toBe(200);
+      expect(result.headers.get('content-encoding')).toBeNull();
+      expect(result.headers.get('vary')).toBe('accept-encoding');
+      expect(result._testing_getBody().type).toBe('file');
+    });
+
+    test('does not compress a too-small file', async () => {
+      const sf      = await makeInstance({ compress: true });
+      const request = RequestUtil.makeGet('/some-file.txt');
+      request.headers.set('accept-encoding', 'gzip');
+      const result  = await sf.handleRequest(request, new DispatchInfo(PathKey.EMPTY, request.pathname));
+
+      expect(result.status).toBe(200);
+      expect(result.headers.get('content-encoding')).toBeNull();
+      expect(result.headers.get('vary')).toBeNull();
+    });
+
+    test('applies a range to the compressed form', async () => {
+      const sf      = await makeInstance({ compress: { encodings: ['gzip'] } });
+      const request = RequestUtil.makeGet('/compressible.txt');
+      request.headers.set('accept-encoding', 'gzip');
+      request.headers.set('range', 'bytes=0-9');
+      const result  = await sf.handleRequest(request, new DispatchInfo(PathKey.EMPTY, request.pathname));
+
+      expect(result.status).toBe(206);
+      expect(result.headers.get('content-encoding')).toBe('gzip');
+      expect(result.headers.get('content-range')).toMatch(/^bytes 0-9[/][0-9]+$/);
+      expect(result.bodyBuffer.length).toBe(10);
+    });
+  });
+
+  describe('with `precompressed: true`', () => {
+    test('serves a precompressed sibling when the request allows it', async () => {
+      const sf      = await makeInstance({ precompressed: true, etag: true });
+      const request = RequestUtil.makeGet('/subdir2/more-text.txt');
+      request.headers.set('accept-encoding', 'gzip');
+      const result  = await sf.handleRequest(request, new DispatchInfo(PathKey.EMPTY, request.pathname));
+
+      expect(result.status).toBe(200);
+      expect(result.headers.get('content-encoding')).toBe('gzip');
+      expect(result.headers.get('content-type')).toBe('text/plain; charset=utf-8');
+      expect(result.headers.get('vary')).toBe('accept-encoding');
+      expect(result._testing_getBody().path).toBe(`${STATIC_SITE_DIR}/subdir2/more-text.txt.gz`);
+    });
+
+    test('serves the original file when the request does not allow the sibling', async () => {
+      const sf      = await makeInstance({ precompressed: true });
+      const request = RequestUtil.makeGet('/subdir2/more-text.txt');
+      request.headers.set('accept-encoding', 'br');
+      const result  = await sf.handleRequest(request, new DispatchInfo(PathKey.EMPTY, request.pathname));
+
+      expect(result.status).toBe(200);
+      expect(result.headers.get('content-encoding')).toBeNull();
+      expect(result.headers.get('vary')).toBe('accept-encoding');
+      expect(result._testing_getBody().path).toBe(`${STATIC_SITE_DIR}/subdir2/more-text.txt`);
+    });
+
+    test('does not add `vary` when there is no sibling', async () => {
+      const sf      = await makeInstance({ precompressed: true });
+      const request = RequestUtil.makeGet('/some-file.txt');
+      request.headers.set('accept-encoding', 'gzip');
+      const result  = await sf.handleRequest(request, new DispatchInfo(PathKey.EMPTY, request.pathname));
+
+      expect(result.status).toBe(200);
+      expect(result.headers.get('content-encoding')).toBeNull();
+      expect(result.headers.get('vary')).toBeNull();
+    });
+  });
+
+  describe('with `listing`', () => {
+    let siteDir;
+
+    beforeAll(async () => {
+      siteDir = await fs.mkdtemp(`${tmpdir()}/lactoserv-test-`);
+
+      const mtimeFor = (n) => new Date((1_700_000_000 + (n * 1000)) * 1000);
+      const makeFile = async (name, size, n) => {
+        const path = `${siteDir}/${name}`;
+        await fs.writeFile(path, 'x'.repeat(size));
+        await fs.utimes(path, mtimeFor(n), mtimeFor(n));
+      };
+
+      await fs.mkdir(`${siteDir}/subdir`);
+      await makeFile('subdir/beep.txt', 10, 1);
+      await makeFile('subdir/index.html', 20, 1);
+      await makeFile('a-medium.txt', 2000, 3);
+      await makeFile('b-small.txt', 5, 4);
+      await makeFile('c-large.txt', 200 * 1024, 2);
+      await makeFile('.hidden', 1, 1);
+      await makeFile('fancy <&> name.txt', 1, 1);
+      await fs.utimes(`${siteDir}/subdir`, mtimeFor(1), mtimeFor(1));
+      await fs.utimes(siteDir, mtimeFor(1), mtimeFor(1));
+    });
+
+    afterAll(async () => {
+      await fs.rm(siteDir, { recursive: true, force: true });
+    });
+
+    async function handle(config, uriPath, headers = null) {
+      const sf      = await makeInstance({ siteDirectory: siteDir, ...config });
+      const request = RequestUtil.makeRequest('get', uriPath, 'your.host', null, headers);
+      const result  = await sf.handleRequest(request, new DispatchInfo(PathKey.EMPTY, request.pathname));
+
+      await sf.stop();
+      return result;
+    }
+
+    async function handleJson(config, uriPath) {
+      const result = await handle(config, uriPath, { accept: 'application/json' });
+
+      expect(result.status).toBe(200);
+      expect(result._testing_getBody().contentType).toBe('application/json; charset=utf-8');
+
+      return JSON.parse(result.bodyBuffer.toString());
+    }
+
+    test('does not list a directory when not configured to', async () => {
+      expect(await handle({}, '/')).toBeNull();
+    });
+
+    test('produces an HTML listing by default', async () => {
+      const result = await handle({ listing: true }, '/');
+
+      expect(result).toBeInstanceOf(FullResponse);
+      expect(result.status).toBe(200);
+      expect(result._testing_getBody().contentType).toBe('text/html; charset=utf-8');
+      expect(result.headers.get('vary')).toBe('accept');
+
+      const body = result.bodyBuffer.toString();
+      expect(body).toContain('<title>Index of /</title>');
+      expect(body).toContain('<a href="subdir/">subdir/</a>');
+      expect(body).toContain('<a href="b-small.txt">b-small.txt</a></td><td>5 B</td>');
+      expect(body).toContain('<a href="a-medium.txt">a-medium.txt</a></td><td>2000 B</td>');
+      expect(body).toContain('<a href="c-large.txt">c-large.txt</a></td><td>200 KiB</td>');
+      expect(body).toContain(
+        '<a href="fancy%20%3C%26%3E%20name.txt">fancy &#60;&#38;&#62; name.txt</a>');
+      expect(body).not.toContain('../');
+      expect(body).not.toContain('.hidden');
+    });
+
+    test('includes a parent link in the HTML listing of a subdirectory', async () => {
+      const result = await handle({ listing: true, indexFile: null }, '/subdir/');
+
+      expect(result.status).toBe(200);
+      expect(result.bodyBuffer.toString()).toContain('<a href="../">../</a>');
+    });
+
+    test('produces a JSON listing when the request prefers it', async () => {
+      const got = await handleJson({ listing: true }, '/');
+
+      expect(got.path).toBe('/');
+      expect(got.truncated).toBeFalse();
+      expect(got.entries.map((e) => e.name)).toStrictEqual([
+        'subdir', 'a-medium.txt', 'b-small.txt', 'c-large.txt', 'fancy <&> name.txt'
+      ]);
+      expect(got.entries[0]).toStrictEqual({
+        name:  'subdir',
+        type:  'directory',
+        size:  null,
+        mtime: { atSec: 1_700_001_000, utc: '2023-11-14_22:30:00' }
+      });
+      expect(got.entries[2].type).toBe('file');
+      expect(got.entries[2].size).toBe(5);
+    });
+
+    test.each`
+    accept                                 | contentType
+    ${'text/html'}                         | ${'text/html; charset=utf-8'}
+    ${'*/*'}                               | ${'text/html; charset=utf-8'}
+    ${'application/json, text/html'}       | ${'text/html; charset=utf-8'}
+    ${'application/json, text/html;q=0.5'} | ${'application/json; charset=utf-8'}
+    ${'application/*, text/*;q=0.1'}       | ${'application/json; charset=utf-8'}
+    ${'image/png'}                         | ${'text/html; charset=utf-8'}
+    `('uses content type `$contentType` given `accept: $accept`', async ({ accept, contentType }) => {
+      const result = await handle({ listing: true }, '/', { accept });
+
+      expect(result._testing_getBody().contentType).toBe(contentType);
+    });
+
+    test('includes hidden files when so configured', async () => {
+      const got = await handleJson({ listing: { showHidden: true } }, '/');
+
+      expect(got.entries.map((e) => e.name)).toContain('.hidden');
+    });
+
+    test.each`
+    config                | uriPath            | expected
+    ${{ sort: 'size' }}   | ${'/'}             | ${['b-small.txt', 'a-medium.txt', 'c-large.txt']}
+    ${{ sort: '-size' }}  | ${'/'}             | ${['c-large.txt', 'a-medium.txt', 'b-small.txt']}
+    ${{ sort: 'mtime' }}  | ${'/'}             | ${['c-large.txt', 'a-medium.txt', 'b-small.txt']}
+    ${{ sort: '-name' }}  | ${'/'}             | ${['c-large.txt', 'b-small.txt', 'a-medium.txt']}
+    ${{}}                 | ${'/?sort=-size'}  | ${['c-large.txt', 'a-medium.txt', 'b-small.txt']}
+    ${{ sort: 'size' }}   | ${'/?sort=-mtime'} | ${['b-small.txt', 'a-medium.txt', 'c-large.txt']}
+    ${{ sort: 'size' }}   | ${'/?sort=bogus'}  | ${['b-small.txt', 'a-medium.txt', 'c-large.txt']}
+    `('sorts as expected with $config at `$uriPath`', async ({ config, uriPath, expected }) => {
+      const got   = await handleJson({ listing: config }, uriPath);
+      const names = got.entries
+        .map((e) => e.name)
+        .filter((n) => expected.includes(n));
+
+      // Directories are always first.
+      expect(got.entries[0].name).toBe('subdir');
+      expect(names).toStrictEqual(expected);
+    });
+
+    test('includes a `last-modified` header from the directory itself', async () => {
+      const result = await handle({ listing: true }, '/');
+
+      expect(result.headers.get('last-modified')).toBe('Tue, 14 Nov 2023 22:30:00 GMT');
+    });
+
+    test('honors `if-modified-since`', async () => {
+      const headers = { 'if-modified-since': 'Tue, 14 Nov 2023 22:30:00 GMT' };
+      const result  = await handle({ listing: true }, '/', headers);
+
+      expect(result.status).toBe(304);
+      expect(result.headers.get('last-modified')).toBe('Tue, 14 Nov 2023 22:30:00 GMT');
+      expect(result.headers.get('vary')).toBe('accept');
+    });
+
+    test('includes an `etag` header if so configured, and honors it', async () => {
+      const result1 = await handle({ listing: true, etag: true }, '/');
+      const etag    = result1.headers.get('etag');
+
+      expect(etag).toMatch(/^".*"$/);
+
+      const result2 = await handle({ listing: true, etag: true }, '/', { 'if-none-match': etag });
+      expect(result2.status).toBe(304);
+      expect(result2.headers.get('etag')).toBe(etag);
+    });
+
+    test.each`
+    label                | headers2                          | uriPath2
+    ${'format'}          | ${{ accept: 'application/json' }} | ${'/'}
+    ${'sort order'}      | ${{}}                             | ${'/?sort=-size'}
+    `('uses a different `etag` for a different $label', async ({ headers2, uriPath2 }) => {
+      const result1 = await handle({ listing: true, etag: true }, '/');
+      const result2 = await handle({ listing: true, etag: true }, uriPath2, headers2);
+
+      expect(result1.headers.get('etag')).not.toBe(result2.headers.get('etag'));
+    });
+
+    test('honors the `etag` of the compressed form', async () => {
+      const config  = {
+        listing:  true,
+        etag:     true,
+        compress: { encodings: ['gzip'], minSize: 0 }
+      };
+      const result1 = await handle(config, '/', { 'accept-encoding': 'gzip' });
+      const etag    = result1.headers.get('etag');
+
+      expect(result1.headers.get('content-encoding')).toBe('gzip');
+
+      const headers2 = { 'accept-encoding': 'gzip', 'if-none-match': etag };
+      const result2  = await handle(config, '/', headers2);
+
+      expect(result2.status).toBe(304);
+      expect(result2.headers.get('etag')).toBe(etag);
+    });
+
+    test.each`
+    config                                   | uriPath           | expected
+    ${{ maxEntries: 2 }}                     | ${'/'}            | ${['subdir', 'a-medium.txt']}
+    ${{ maxEntries: 2 }}                     | ${'/?sort=-size'} | ${['subdir', 'c-large.txt']}
+    ${{ maxEntries: 3, sort: '-name' }}      | ${'/'}            | ${['subdir', 'fancy <&> name.txt', 'c-large.txt']}
+    ${{ maxEntries: 2, showHidden: true }}   | ${'/'}            | ${['subdir', '.hidden']}
+    `('includes the first `maxEntries` entries in sort order with $config at `$uriPath`', async ({ config, uriPath, expected }) => {
+      const got = await handleJson({ listing: config }, uriPath);
+
+      expect(got.truncated).toBeTrue();
+      expect(got.entries.map((e) => e.name)).toStrictEqual(expected);
+    });
+
+    test.each`
+    config
+    ${{ maxEntries: 5 }}
+    ${{ maxEntries: 6, showHidden: true }}
+    `('does not count unlisted entries toward `maxEntries` with $config', async ({ config }) => {
+      const got = await handleJson({ listing: config }, '/');
+
+      expect(got.truncated).toBeFalse();
+      expect(got.entries).toHaveLength(config.maxEntries);
+    });
+
+    test('says that an HTML listing is incomplete when truncated', async () => {
+      const result = await handle({ listing: { maxEntries: 2 } }, '/');
+
+      expect(result.bodyBuffer.toString()).toContain('(This listing is incomplete.)');
+    });
+
+    test('includes a `cache-control` header if so configured', async () => {
+      const result = await handle({ listing: true, cacheControl: 'florp=123' }, '/');
+
+      expect(result.cacheControl).toBe('florp=123');
+    });
+
+    test('serves the index file in preference to a listing', async () => {
+      const result = await handle({ listing: true }, '/subdir/');
+
+      expect(result._testing_getBody().path).toBe(`${siteDir}/subdir/index.html`);
+    });
+  });
+
   test.each`
   method
   ${'delete'}
@@ -1,10 +1,14 @@
 // Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
 // SPDX-License-Identifier: Apache-2.0
 
-import { BaseResponse, DispatchInfo, IncomingRequest, IntfRequestHandler,
-  TypeOutgoingResponse }
+import { WallClock } from '@this/clocky';
+import { Names } from '@this/compy';
+import { Counter, Histogram, MetricsRegistry } from '@this/metricy';
+import { BaseResponse, DispatchInfo, FullResponse, IncomingRequest,
+  IntfRequestHandler, RequestBody, StatusResponse, TypeOutgoingResponse }
   from '@this/net-util';
-import { Methods } from '@this/typey';
+import { ByteCount, Moment } from '@this/quant';
+import { Methods, StringUtil } from '@this/typey';
 
 import { BaseDispatched } from '#x/BaseDispatched';
 
@@ -15,10 +19,32 @@ import { BaseDispatched } from '#x/BaseDispatched';
  * @implements {IntfRequestHandler}
  */
 export class BaseApplication extends BaseDispatched {
+  /**
+   * Applications to use as response filters, in the order they are to be
+   * applied. Gets set in {@link #_impl_start}.
+   *
+   * @type {Array<BaseApplication>}
+   */
+  #responseFilters = [];
+
   // @defaultConstructor
 
-  /** @override */
-  async handleRequest(request, dispatch) {
+  /**
+   * Filters (post-processes) a response which was produced by some other
+   * application, on behalf of an application which lists this one in its
+   * `responseFilters` configuration. This calls through to {@link
+   * #_impl_filterResponse}, and does dispatch logging around it.
+   *
+   * @param {IncomingRequest} request Request object.
+   * @param {DispatchInfo} dispatch Dispatch information.
+   * @param {FullResponse} response The response to filter. This is always a
+   *   fresh instance which is not shared with anything else, so it is safe
+   *   to modify.
+   * @returns {?FullResponse} The filtered response, or `null` to indicate
+   *   that `response` is to be used as-is (including any modifications made to
+   *   it).
+   */
+  async filterResponse(request, dispatch, response) {
     const logger    = this._prot_newDispatchLogger(dispatch.logger ?? request.id);
     const startTime = logger?.$env.now();
 
@@ -34,18 +60,90 @@ export class BaseApplication extends BaseDispatched {
       }
     };
 
+    logger?.filtering({ status: response.status });
+
+    try {
+      const result = await this._impl_filterResponse(request, dispatch, response);
+
+      if (!((result === null) || (result instanceof FullResponse))) {
+        throw new Error(
+          `\`${this.name}._impl_filterResponse()\` returned something other than a \`FullResponse\` or \`null\`.`);
+      }
+
+      logDone(result ? 'replaced' : 'filtered');
+      return result;
+    } catch (e) {
+      logDone('threw', e);
+      throw e;
+    }
+  }
+
+  /** @override */
+  async handleRequest(request, dispatch) {
+    const logger       = this._prot_newDispatchLogger(dispatch.logger ?? request.id);
+    const startTime    = logger?.$env.now();
+    const metricsStart = WallClock.now();
+
+    const { maxRequestBodySize } = this.config;
+    if (maxRequestBodySize !== null) {
+      request = request.withBodyMaxBytes(maxRequestBodySize.byte);
+    }
+
+    if (logger) {
+      dispatch = dispatch.withLogger(logger);
+    }
+
+    const logDone = (fate, ...error) => {
+      BaseApplication.#recordRequest(this.name, fate, metricsStart);
+
+      if (logger) {
+        const endTime  = logger.$env.now();
+        const duration = endTime.subtract(startTime);
+        logger[fate](duration, ...error);
+      }
+    };
+
     logger?.handling(dispatch.infoForLog);
 
     try {
-      const result = await this.#callHandler(request, dispatch);
+      let result = await this.#callHandler(request, dispatch);
+
+      if (result && (this.#responseFilters.length !== 0)) {
+        result = await this.#applyResponseFilters(request, dispatch, result);
+      }
+
       logDone(result ? 'handled' : 'notHandled');
       return result;
     } catch (e) {
+      const status = RequestBody.statusForError(e);
+
+      if (status !== null) {
+        // The application had trouble with the request body (it was too
+        // large, malformed, etc.). Convert that into an appropriate response.
+        logDone('badRequestBody', e);
+        return StatusResponse.fromStatus(status);
+      }
+
       logDone('threw', e);
       throw e;
     }
   }
 
+  /**
+   * Filters a response which was produced by another application, as
+   * described by {@link #filterResponse}. The base implementation of this
+   * method does nothing and returns `null`, which makes it a no-op filter.
+   *
+   * @param {IncomingRequest} request Request object.
+   * @param {DispatchInfo} dispatch Dispatch information.
+   * @param {FullResponse} response The response to filter.
+   * @returns {?FullResponse} The filtered response, or `null` to indicate
+   *   that `response` is to be used as-is.
+   */
+  async _impl_filterResponse(request, dispatch, response) { // eslint-disable-line no-unused-vars
+    return null;
+  }
+
   /**
    * Handles a request, as defined by {@link IntfRequestHandler}.
    *
@@ -59,6 +157,80 @@ export class BaseApplication extends BaseDispatched {
     Methods.abstract(request, dispatch);
   }
 
+  /** @override */
+  async _impl_start() {
+    // Note: We can't resolve the filters in `_impl_init()` because it might not
+    // be the case that all of the referenced apps have already been added when
+    // that runs.
+
+    const { responseFilters } = this.config;
+
+    if (responseFilters.length !== 0) {
+      const appManager = this.root.applicationManager;
+      this.#responseFilters = responseFilters.map((name) => appManager.get(name));
+    }
+
+    await super._impl_start();
+  }
+
+  /**
+   * Gets a private mutable copy of the given response, suitable for adding
+   * headers to (and the like), in the service of a request which was handled
+   * by some other application. A {@link StatusResponse} gets expanded via
+   * {@link StatusResponse#responseFor}, and a {@link FullResponse} gets copied,
+   * because the original might be shared (e.g., cached by the application
+   * which produced it). Any other response (e.g. a WebSocket upgrade) can't be
+   * meaningfully copied, and in that case this method returns `null`.
+   *
+   * @param {IncomingRequest} request The request being responded to.
+   * @param {TypeOutgoingResponse} response The original response.
+   * @returns {?FullResponse} The copy, or `null` if `response` is not of a
+   *   copyable type.
+   */
+  _prot_copyResponse(request, response) {
+    if (response instanceof StatusResponse) {
+      return response.responseFor(request);
+    } else if (response instanceof FullResponse) {
+      return new FullResponse(response);
+    } else {
+      return null;
+    }
+  }
+
+  /**
+   * Applies all of this instance's response filters to the given response, in
+   * order. Responses which aren't {@link FullResponse}s or {@link
+   * StatusResponse}s (e.g. WebSocket upgrades) are returned as-is, since there
+   * is nothing for a filter to meaningfully do with them.
+   *
+   * @param {IncomingRequest} request Request object.
+   * @param {DispatchInfo} dispatch Dispatch information.
+   * @param {TypeOutgoingResponse} response The response to filter.
+   * @returns {TypeOutgoingResponse} The filtered response.
+   */
+  async #applyResponseFilters(request, dispatch, response) {
+    const copy = this._prot_copyResponse(request, response);
+
+    if (copy === null) {
+      return response;
+    }
+
+    response = copy;
+
+    for (const filter of this.#responseFilters) {
+      dispatch.logger?.applyingFilter({ application: filter.name });
+
+      const result = await filter.filterResponse(request, dispatch, response);
+
+      if (result !== null) {
+        // Make sure each filter gets its own unshared instance.
+        response = (result === response) ? result : new FullResponse(result);
+      }
+    }
+
+    return response;
+  }
+
   /**
    * Calls {@link #_impl_handleRequest}, and ensures a proper return value.
    *
@@ -93,4 +265,91 @@ export class BaseApplication extends BaseDispatched {
       throw error('async-returned something other than a valid response object or `null`');
     }
   }
+
+
+  //
+  // Static members
+  //
+
+  /**
+   * Durations of requests handled by each application.
+   *
+   * @type {Histogram}
+   */
+  static #REQUEST_DURATION = MetricsRegistry.DEFAULT.histogram({
+    name:       'lactoserv_application_request_duration_seconds',
+    help:       'Time taken by each application to handle requests.',
+    labelNames: ['application']
+  });
+
+  /**
+   * Count of requests handled by each application, by result.
+   *
+   * @type {Counter}
+   */
+  static #REQUESTS = MetricsRegistry.DEFAULT.counter({
+    name:       'lactoserv_application_requests',
+    help:       'Requests handled by each application, by result.',
+    labelNames: ['application', 'result']
+  });
+
+  /** @override */
+  static _impl_configClass() {
+    return class Config extends super.prototype.constructor.configClass {
+      // @defaultConstructor
+
+      /**
+       * Maximum allowed size of a request body, or `null` not to impose a limit
+       * beyond what is imposed by the endpoint. If passed as a string, it is
+       * parsed by {@link ByteCount#parse}.
+       *
+       * @param {?string|ByteCount} [value] Proposed configuration value.
+       *   Default `null`.
+       * @returns {?ByteCount} Accepted configuration value.
+       */
+      _config_maxRequestBodySize(value = null) {
+        if (value === null) {
+          return null;
+        }
+
+        const result = ByteCount.parse(value, { range: { minInclusive: 0 } });
+
+        if (result === null) {
+          throw new Error(`Could not parse \`maxRequestBodySize\`: ${value}`);
+        }
+
+        return result;
+      }
+
+      /**
+       * List of the names of applications to use as response filters, in the
+       * order they are to be applied. Each name must be a valid component
+       * name, per {@link Names#mustBeName}.
+       *
+       * @param {Array<string>} [value] Proposed configuration value. Default
+       *   `[]`.
+       * @returns {Array<string>} Accepted configuration value.
+       */
+      _config_responseFilters(value = []) {
+        return StringUtil.checkAndFreezeStrings(
+          value,
+          (item) => Names.mustBeName(item));
+      }
+    };
+  }
+
+  /**
+   * Records the metrics for a request handled by an application.
+   *
+   * @param {string} application The name of the application.
+   * @param {string} result The result of handling, that is, the "fate" as
+   *   logged.
+   * @param {Moment} startTime When the request started being handled.
+   */
+  static #recordRequest(application, result, startTime) {
+    const duration = WallClock.now().subtract(startTime);
+
+    BaseApplication.#REQUESTS.inc(1, { application, result });
+    BaseApplication.#REQUEST_DURATION.observe(duration.sec, { application });
+  }
 }
@@ -5,19 +5,24 @@ import { SecureContext } from 'node:tls';
 
 import { TreeMap } from '@this/collections';
 import { BaseComponent, TemplAggregateComponent } from '@this/compy';
+import { Paths } from '@this/fs-util';
 import { IntfLogger } from '@this/loggy-intf';
 import { IntfHostManager } from '@this/net-protocol';
-import { HostUtil } from '@this/net-util';
+import { HostUtil, PeerCertificate } from '@this/net-util';
+import { Duration } from '@this/quant';
+import { BaseConfig } from '@this/structy';
 import { MustBe } from '@this/typey';
 
 import { NetworkHost } from '#x/NetworkHost';
+import { TicketKeyManager } from '#p/TicketKeyManager';
 
 
 /**
  * Manager for dealing with all the hostname bindings. "Hosts" in this sense are
  * network-available endpoints associated with particular names, certificates,
  * and private keys. The main thing offered by this class is the association
- * between hostnames and TLS contexts.
+ * between hostnames and TLS contexts. This class also manages the TLS session
+ * ticket keys used by all endpoints, if so configured.
  *
  * @implements {IntfHostManager}
  */
@@ -29,18 +34,58 @@ export class HostManager extends TemplAggregateComponent('HostAggregate', BaseCo
    */
   #hostMap = null;
 
+  /**
+   * Manager of the session ticket keys, if configured and initialized.
+   *
+   * @type {?TicketKeyManager}
+   */
+  #ticketKeyManager = null;
+
   // @defaultConstructor
 
+  /** @override */
+  authorizePeer(serverName, certificate, verified) {
+    return this.#hostMap.authorizePeer(serverName, certificate, verified);
+  }
+
   /** @override */
   findContext(name) {
     return this.#hostMap.findContext(name);
   }
 
+  /**
+   * Gets the response to an ACME `http-01` challenge, if there is an
+   * outstanding one for the given hostname and token.
+   *
+   * @param {string} hostname The hostname the challenge was made for.
+   * @param {string} token The challenge token.
+   * @returns {?string} The challenge response, or `null` if there is no such
+   *   outstanding challenge.
+   */
+  getAcmeChallengeResponse(hostname, token) {
+    return this.#hostMap.getAcmeChallengeResponse(hostname, token);
+  }
+
+  /** @override */
+  getOcspResponse(certificate) {
+    return this.#hostMap.getOcspResponse(certificate);
+  }
+
   /** @override */
   getSecureServerOptions() {
     return this.#hostMap.getSecureServerOptions();
   }
 
+  /** @override */
+  getTicketKeys() {
+    return this.#hostMap.getTicketKeys();
+  }
+
+  /** @override */
+  isMisdirected(serverName, hostname) {
+    return this.#hostMap.isMisdirected(serverName, hostname);
+  }
+
   /**
    * Makes an instance with the given subset of bindings. Wildcard hostnames in
    * `names` are matched as wildcards with the existing bindings, so, for
@@ -59,7 +104,18 @@ export class HostManager extends TemplAggregateComponent('HostAggregate', BaseCo
 
   /** @override */
   async _impl_init() {
-    this.#hostMap = new HostManager.HostMap(this.logger);
+    const { sessionTickets } = this.config;
+
+    if (sessionTickets) {
+      const options = {
+        keyFile:    sessionTickets.keyFile,
+        rotateMsec: sessionTickets.rotatePeriod.msec
+      };
+
+      this.#ticketKeyManager = new TicketKeyManager(options, this.logger?.sessionTickets ?? null);
+    }
+
+    this.#hostMap = new HostManager.HostMap(this.logger, this.#ticketKeyManager);
     await super._impl_init();
   }
 
@@ -67,6 +123,8 @@ export class HostManager extends TemplAggregateComponent('HostAggregate', BaseCo
   async _impl_start() {
     this.#hostMap.logHostMap();
 
+    await this.#ticketKeyManager?.start();
+
     const hosts   = [...this.children()];
     const results = hosts.map((h) => h.start());
 
@@ -80,6 +138,7 @@ export class HostManager extends TemplAggregateComponent('HostAggregate', BaseCo
     const results = hosts.map((h) => h.stop(willReload));
 
     await Promise.all(results);
+    await this.#ticketKeyManager?.stop();
     await super._impl_stop(willReload);
   }
 
@@ -101,6 +160,68 @@ export class HostManager extends TemplAggregateComponent('HostAggregate', BaseCo
   // Static members
   //
 
+  /** @override */
+  static _impl_configClass() {
+    return class Config extends super.prototype.constructor.configClass {
+      // @defaultConstructor
+
+      /**
+       * TLS session ticket key configuration, or `null` to let each endpoint
+       * use its own transient keys. On input, this is expected to be a plain
+       * object suitable to pass to the {@link HostManager#SessionTicketsConfig}
+       * constructor.
+       *
+       * @param {?object} [value] Proposed configuration value. Default `null`.
+       * @returns {?HostManager.SessionTicketsConfig} Accepted configuration
+       *   value.
+       */
+      _config_sessionTickets(value = null) {
+        return (value === null)
+          ? null
+          : new HostManager.SessionTicketsConfig(value);
+      }
+    };
+  }
+
+  /**
+   * Configuration class for `sessionTickets` bindings.
+   */
+  static SessionTicketsConfig = class SessionTicketsConfig extends BaseConfig {
+    // @defaultConstructor
+
+    /**
+     * Absolute path of the file which holds the keys. If it doesn't exist, it
+     * gets created (with fresh keys) when starting.
+     *
+     * @param {string} value Proposed configuration value.
+     * @returns {string} Accepted configuration value.
+     */
+    _config_keyFile(value) {
+      return Paths.mustBeAbsolutePath(value);
+    }
+
+    /**
+     * How often to rotate the keys, that is, the maximum age of the key file
+     * before new keys get written to it. If passed as a string, it is parsed
+     * by {@link Duration#parse}.
+     *
+     * @param {?string|Duration} [value] Proposed configuration value. Default
+     *   `'12 hr'`.
+     * @returns {Duration} Accepted configuration value.
+     */
+    _config_rotatePeriod(value = '12 hr') {
+      const result = Duration.parse(value, {
+        range: { minInclusive: 60, maxInclusive: 7 * 24 * 60 * 60 }
+      });
+
+      if (!result) {
+        throw new Error(`Could not parse \`rotatePeriod\`: ${value}`);
+      }
+
+      return result;
+    }
+  };
+
   /**
    * The main implementation of this (outer) class. This exists as a separate
    * inner class so that we can make host manager subsets that aren't also
@@ -124,13 +245,25 @@ export class HostManager extends TemplAggregateComponent('HostAggregate', BaseCo
      */
     #items = new TreeMap(HostUtil.hostnameStringFrom);
 
+    /**
+     * Manager of the session ticket keys, if any.
+     *
+     * @type {?TicketKeyManager}
+     */
+    #ticketKeyManager;
+
     /**
      * Constructs an instance.
      *
      * @param {?IntfLogger} logger Logger to use, if any.
+     * @param {?TicketKeyManager} [ticketKeyManager] Manager of the session
+     *   ticket keys, if any. Default `null`.
      */
-    constructor(logger) {
-      this.#logger = IntfLogger.mustBeInstanceOrNull(logger);
+    constructor(logger, ticketKeyManager = null) {
+      this.#logger           = IntfLogger.mustBeInstanceOrNull(logger);
+      this.#ticketKeyManager = (ticketKeyManager === null)
+        ? null
+        : MustBe.instanceOf(ticketKeyManager, TicketKeyManager);
     }
 
     /**
@@ -145,6 +278,15 @@ export class HostManager extends TemplAggregateComponent('HostAggregate', BaseCo
       }
     }
 
+    /** @override */
+    authorizePeer(serverName, certificate, verified) {
+      const item = this.#findItem(serverName ?? '*', serverName === null);
+
+      return item
+        ? item.authorizePeer(certificate, verified)
+        : HostMap.#ALLOWED_UNAUTHENTICATED;
+    }
+
     /**
      * Can a host be added?
      *
@@ -167,6 +309,32 @@ export class HostManager extends TemplAggregateComponent('HostAggregate', BaseCo
       return item ? item.getSecureContext() : null;
     }
 
+    /**
+     * Core implementation of the outer class method of the same name.
+     *
+     * @param {string} hostname The hostname the challenge was made for.
+     * @param {string} token The challenge token.
+     * @returns {?string} The challenge response, if any.
+     */
+    getAcmeChallengeResponse(hostname, token) {
+      const item = this.#findItem(hostname, false);
+      return item ? item.getAcmeChallengeResponse(token) : null;
+    }
+
+    /** @override */
+    getOcspResponse(certificate) {
+      // Note: Hosts with multiple hostnames get checked multiple times, but
+      // that's harmless.
+      for (const [, host] of this.#items) {
+        const found = host.getOcspResponse(certificate);
+        if (found) {
+          return found;
+        }
+      }
+
+      return null;
+    }
+
     /** @override */
     getSecureServerOptions() {
       const result = {
@@ -183,11 +351,45 @@ export class HostManager extends TemplAggregateComponent('HostAggregate', BaseCo
         const { certificate, privateKey } = wildcardItem.getParameters();
         result.cert = certificate;
         result.key  = privateKey;
+
+        const ca = wildcardItem.config.clientAuth?.certificateAuthorities;
+        if (ca) {
+          result.ca = ca;
+        }
+      }
+
+      // Whether or not to ask for a client certificate is decided before the
+      // server name (SNI) is known, so if any host wants client certificates,
+      // all peers get asked for one. Peers are then allowed or not on a
+      // per-host basis, via `authorizePeer()`, which is why Node isn't asked
+      // to reject anything by itself.
+      if (this.#anyClientAuth()) {
+        result.requestCert        = true;
+        result.rejectUnauthorized = false;
       }
 
       return result;
     }
 
+    /** @override */
+    getTicketKeys() {
+      return this.#ticketKeyManager?.keys ?? null;
+    }
+
+    /** @override */
+    isMisdirected(serverName, hostname) {
+      const tlsHost     = this.#findItem(serverName ?? '*', serverName === null);
+      const requestHost = this.#findItem(hostname, false);
+
+      if (tlsHost === requestHost) {
+        return false;
+      }
+
+      // Only hosts which do client certificate authentication care about which
+      // connection a request arrives on.
+      return Boolean(tlsHost?.config.clientAuth || requestHost?.config.clientAuth);
+    }
+
     /**
      * Logs the current contents of the host map.
      */
@@ -208,7 +410,7 @@ export class HostManager extends TemplAggregateComponent('HostAggregate', BaseCo
      * @returns {HostManager.HostMap} Subsetted instance.
      */
     makeSubset(names) {
-      const result = new HostMap(this.#logger);
+      const result = new HostMap(this.#logger, this.#ticketKeyManager);
       const items  = result.#items;
 
       for (const name of names) {
@@ -229,6 +431,23 @@ export class HostManager extends TemplAggregateComponent('HostAggregate', BaseCo
       return result;
     }
 
+    /**
+     * Indicates whether any of the hosts in this instance is configured to do
+     * client certificate authentication.
+     *
+     * @returns {boolean} `true` iff any host does client certificate
+     *   authentication.
+     */
+    #anyClientAuth() {
+      for (const [, host] of this.#items) {
+        if (host.config.clientAuth) {
+          return true;
+        }
+      }
+
+      return false;
+    }
+
     /**
      * Finds the most-specific {@link NetworkHost} for a given hostname. In case
      * of an invalid hostname, this logs the problem but does not throw an
@@ -285,5 +504,18 @@ export class HostManager extends TemplAggregateComponent('HostAggregate', BaseCo
         callback(e, null);
       }
     }
+
+
+    //
+    // Static members
+    //
+
+    /**
+     * Result from {@link #authorizePeer} for a peer that is allowed, but
+     * without an authenticated certificate.
+     *
+     * @type {{ allowed: boolean, peerCertificate: ?PeerCertificate }}
+     */
+    static #ALLOWED_UNAUTHENTICATED = Object.freeze({ allowed: true, peerCertificate: null });
   };
 }
@@ -6,14 +6,16 @@ import { Names } from '@this/compy';
 import { IntfAccessLog, IntfConnectionRateLimiter, IntfDataRateLimiter,
   ProtocolWrangler, ProtocolWranglers }
   from '@this/net-protocol';
-import { BaseResponse, DispatchInfo, HostUtil, InterfaceAddress,
-  IntfRequestHandler }
+import { AddressSet, BaseResponse, DispatchInfo, FullResponse, HostUtil,
+  IncomingRequest, InterfaceAddress, IntfRequestHandler }
   from '@this/net-util';
-import { ByteCount } from '@this/quant';
-import { StringUtil } from '@this/typey';
+import { ByteCount, Duration } from '@this/quant';
+import { BaseConfig } from '@this/structy';
+import { MustBe, StringUtil } from '@this/typey';
 
 import { BaseApplication } from '#x/BaseApplication';
 import { BaseDispatched } from '#x/BaseDispatched';
+import { HostManager } from '#x/HostManager';
 import { ServiceUseConfig } from '#p/ServiceUseConfig';
 
 
@@ -35,6 +37,15 @@ export class NetworkEndpoint extends BaseDispatched {
    */
   #application = null;
 
+  /**
+   * Host manager to consult for ACME `http-01` challenge responses, or `null`
+   * if this instance doesn't respond to such challenges. This gets set in
+   * {@link #_impl_start} (only for `http` endpoints).
+   *
+   * @type {?HostManager}
+   */
+  #acmeHostManager = null;
+
   /**
    * Protocol-specific "wrangler" or `null` if not yet set up. This gets set in
    * {@link #_impl_start}.
@@ -52,6 +63,13 @@ export class NetworkEndpoint extends BaseDispatched {
    * @override
    */
   async handleRequest(request, dispatch_unused) {
+    if (this.#acmeHostManager) {
+      const acmeResponse = this.#acmeChallengeResponse(request);
+      if (acmeResponse) {
+        return acmeResponse;
+      }
+    }
+
     const application = this.#application;
     const dispLogger  = this._prot_newDispatchLogger(request?.id);
     const dispatch    = new DispatchInfo(PathKey.EMPTY, request.pathname, dispLogger);
@@ -79,6 +97,16 @@ export class NetworkEndpoint extends BaseDispatched {
     return null;
   }
 
+  /**
+   * Async-returns once this instance is not accepting new connections. When
+   * stopping, this happens as soon as the server socket has been closed (or
+   * stashed, when reloading), which is typically well before the stop is
+   * complete, because connections still get drained after that.
+   */
+  async whenNotAccepting() {
+    await this.#wrangler?.whenNotAccepting();
+  }
+
   /** @override */
   async _impl_init() {
     const {
@@ -103,10 +131,16 @@ export class NetworkEndpoint extends BaseDispatched {
 
     const {
       application,
+      drainTimeout,
       hostnames,
       interface: iface,
+      limits,
       maxRequestBodySize,
       protocol,
+      proxyProtocol,
+      timeouts,
+      trustedProxies,
+      unixSocket,
       services: {
         accessLog:             accessLogName             = null,
         dataRateLimiter:       dataRateLimiterName       = null,
@@ -131,15 +165,25 @@ export class NetworkEndpoint extends BaseDispatched {
     if (this.config.requiresCertificates()) {
       const hostManager = this.root.hostManager;
       hmOpt.hostManager = hostManager.makeSubset(hostnames);
+    } else {
+      // ACME `http-01` challenges always arrive via plain `http`.
+      this.#acmeHostManager = this.root.hostManager ?? null;
     }
 
     const wranglerOptions = {
       accessLog,
       connectionRateLimiter,
       dataRateLimiter,
+      drainTimeout,
+      limits,
       maxRequestBodyBytes,
+      name:           this.name,
       requestHandler: this,
       protocol,
+      proxyProtocol,
+      timeouts,
+      trustedProxies,
+      unixSocket,
       interface: iface,
       ...hmOpt
     };
@@ -154,7 +198,8 @@ export class NetworkEndpoint extends BaseDispatched {
 
   /**
    * **Note:** This returns when the endpoint is actually stopped, with the
-   * server socket closed.
+   * server socket closed (or stashed, when reloading) and all connections
+   * drained or forced closed.
    *
    * @override
    */
@@ -163,6 +208,42 @@ export class NetworkEndpoint extends BaseDispatched {
     await super._impl_stop(willReload);
   }
 
+  /**
+   * Produces the response to a request if it is an ACME `http-01` challenge
+   * for a host which is currently expecting one.
+   *
+   * @param {IncomingRequest} request The request.
+   * @returns {?FullResponse} The response, or `null` if `request` isn't an
+   *   expected challenge.
+   */
+  #acmeChallengeResponse(request) {
+    const { method, pathname: { path } } = request;
+
+    if (!(   ((method === 'get') || (method === 'head'))
+          && (path.length === 3)
+          && (path[0] === '.well-known')
+          && (path[1] === 'acme-challenge'))) {
+      return null;
+    }
+
+    const hostname = request.host.nameString;
+    const token    = path[2];
+    const body     = this.#acmeHostManager.getAcmeChallengeResponse(hostname, token);
+
+    if (body === null) {
+      return null;
+    }
+
+    request.logger?.acmeChallenge({ hostname, token });
+
+    const response = new FullResponse();
+    response.setBodyString(body, 'text/plain');
+    response.cacheControl = 'no-store';
+    response.status = 200;
+
+    return response;
+  }
+
 
   //
   // Static members.
@@ -179,7 +260,7 @@ export class NetworkEndpoint extends BaseDispatched {
        * @returns {boolean} `true` iff certificates are required.
        */
       requiresCertificates() {
-        return this.protocol !== 'http';
+        return ProtocolWranglers.isSecure(this.protocol);
       }
 
       /**
@@ -192,6 +273,25 @@ export class NetworkEndpoint extends BaseDispatched {
         return Names.mustBeName(value);
       }
 
+      /**
+       * How long to let in-flight requests finish when stopping (including
+       * when reloading), before forcing all connections closed. If passed as a
+       * string, it is parsed by {@link Duration#parse}.
+       *
+       * @param {string|Duration} [value] Proposed configuration value. Default
+       *   `5 sec`.
+       * @returns {Duration} Accepted configuration value.
+       */
+      _config_drainTimeout(value = '5 sec') {
+        const result = Duration.parse(value, { range: { minInclusive: 0 } });
+
+        if (!result) {
+          throw new Error(`Could not parse \`drainTimeout\`: ${value}`);
+        }
+
+        return result;
+      }
+
       /**
        * List of hostnames to recognize as valid, including possibly subdomain
        * wildcards and/or a full wildcard.
@@ -221,6 +321,19 @@ export class NetworkEndpoint extends BaseDispatched {
           : new InterfaceAddress(value);
       }
 
+      /**
+       * Limits on requests and (for HTTP2) the protocol settings which bound
+       * them. When passed in, this is expected to be a plain object that can
+       * be parsed by the {@link NetworkEndpoint#LimitsConfig} constructor.
+       *
+       * @param {object} [value] Proposed configuration value. Default `{}`
+       *   (that is, all system defaults).
+       * @returns {NetworkEndpoint.LimitsConfig} Accepted configuration value.
+       */
+      _config_limits(value = {}) {
+        return new NetworkEndpoint.LimitsConfig(value);
+      }
+
       /**
        * Maximum allowed size of a request body, or `null` to not have such a
        * size limit. if so limited. If passed as a string, it is parsed by
@@ -245,8 +358,9 @@ export class NetworkEndpoint extends BaseDispatched {
       }
 
       /**
-       * High-level protocol to speak. Accepted values are `http`, `http2`, and
-       * `https`.
+       * High-level protocol to speak. Built-in values are `http`, `http2`,
+       * `http2c` (cleartext HTTP2), and `https`. Others can be added via
+       * {@link ProtocolWranglers#register}.
        *
        * @param {string} value Proposed configuration value.
        * @returns {string} Accepted configuration value.
@@ -255,6 +369,22 @@ export class NetworkEndpoint extends BaseDispatched {
         return ProtocolWranglers.mustBeProtocol(value);
       }
 
+      /**
+       * PROXY protocol configuration, or `null` not to accept PROXY protocol
+       * headers. When passed in, this is expected to be a plain object that can
+       * be parsed by the {@link NetworkEndpoint#ProxyProtocolConfig}
+       * constructor.
+       *
+       * @param {?object} [value] Proposed configuration value. Default `null`.
+       * @returns {?NetworkEndpoint.ProxyProtocolConfig} Accepted configuration
+       *   value.
+       */
+      _config_proxyProtocol(value = null) {
+        return (value === null)
+          ? null
+          : new NetworkEndpoint.ProxyProtocolConfig(value);
+      }
+
       /**
        * Role-to-service configuration. When passed in, this is expected to be a
        * plain object that can be parsed by the {@link ServiceUseConfig}
@@ -267,6 +397,330 @@ export class NetworkEndpoint extends BaseDispatched {
       _config_services(value = {}) {
         return new ServiceUseConfig(value);
       }
+
+      /**
+       * Connection and request timeouts. When passed in, this is expected to be
+       * a plain object that can be parsed by the
+       * {@link NetworkEndpoint#TimeoutsConfig} constructor.
+       *
+       * @param {object} [value] Proposed configuration value. Default `{}`
+       *   (that is, all system defaults).
+       * @returns {NetworkEndpoint.TimeoutsConfig} Accepted configuration value.
+       */
+      _config_timeouts(value = {}) {
+        return new NetworkEndpoint.TimeoutsConfig(value);
+      }
+
+      /**
+       * Addresses of reverse proxies whose forwarding headers (`forwarded` and
+       * `x-forwarded-*`) are to be believed, as individual addresses and/or
+       * CIDR ranges, or `null` to ignore forwarding headers.
+       *
+       * @param {?string|Array<string>} [value] Proposed configuration value.
+       *   Default `null`.
+       * @returns {?AddressSet} Accepted configuration value.
+       */
+      _config_trustedProxies(value = null) {
+        return (value === null)
+          ? null
+          : new AddressSet(value);
+      }
+
+      /**
+       * Ownership and permissions of the socket file, or `null` to leave them
+       * as-is. This is only allowed when {@link #interface} is a Unix domain
+       * socket. When passed in, this is expected to be a plain object that can
+       * be parsed by the {@link NetworkEndpoint#UnixSocketConfig} constructor.
+       *
+       * @param {?object} [value] Proposed configuration value. Default `null`.
+       * @returns {?NetworkEndpoint.UnixSocketConfig} Accepted configuration
+       *   value.
+       */
+      _config_unixSocket(value = null) {
+        return (value === null)
+          ? null
+          : new NetworkEndpoint.UnixSocketConfig(value);
+      }
+
+      /** @override */
+      _impl_validate(config) {
+        const { interface: iface, unixSocket } = config;
+
+        if (unixSocket && (iface.path === null)) {
+          throw new Error('Can only use `unixSocket` with a Unix domain socket `interface`.');
+        }
+
+        return super._impl_validate(config);
+      }
     };
   }
+
+  /**
+   * Configuration class for the `limits` endpoint configuration. Each item is
+   * optional, with `null` indicating that the system default is to be used.
+   */
+  static LimitsConfig = class LimitsConfig extends BaseConfig {
+    // @defaultConstructor
+
+    /**
+     * Initial flow-control window size for HTTP2 streams, or `null` to use the
+     * system default (64 KiB less one byte). This only applies to HTTP2
+     * connections. If passed as a string, it is parsed by
+     * {@link ByteCount#parse}.
+     *
+     * @param {?string|ByteCount} [value] Proposed configuration value. Default
+     *   `null`.
+     * @returns {?ByteCount} Accepted configuration value.
+     */
+    _config_http2InitialWindowSize(value = null) {
+      return LimitsConfig.#parseByteCount('http2InitialWindowSize', value, 0, (2 ** 31) - 1);
+    }
+
+    /**
+     * Maximum number of concurrent streams (that is, in-flight requests) to
+     * allow per HTTP2 connection, or `null` to use the system default
+     * (effectively unlimited). This only applies to HTTP2 connections.
+     *
+     * @param {?number} [value] Proposed configuration value. Default `null`.
+     * @returns {?number} Accepted configuration value.
+     */
+    _config_http2MaxConcurrentStreams(value = null) {
+      return (value === null)
+        ? null
+        : MustBe.number(value, { safeInteger: true, minInclusive: 1, maxInclusive: (2 ** 32) - 1 });
+    }
+
+    /**
+     * Maximum number of headers to accept in a request, or `null` to use the
+     * system default (2000 for HTTP1, 128 for HTTP2). Extra headers are
+     * ignored for HTTP1 and cause the request to be rejected for HTTP2.
+     *
+     * @param {?number} [value] Proposed configuration value. Default `null`.
+     * @returns {?number} Accepted configuration value.
+     */
+    _config_maxHeaderCount(value = null) {
+      return (value === null)
+        ? null
+        : MustBe.number(value, { safeInteger: true, minInclusive: 1 });
+    }
+
+    /**
+     * Maximum total size of the headers of a request, or `null` to use the
+     * system default (16 KiB for HTTP1, 64 KiB less one byte for HTTP2). If
+     * passed as a string, it is parsed by {@link ByteCount#parse}.
+     *
+     * @param {?string|ByteCount} [value] Proposed configuration value. Default
+     *   `null`.
+     * @returns {?ByteCount} Accepted configuration value.
+     */
+    _config_maxHeaderSize(value = null) {
+      return LimitsConfig.#parseByteCount('maxHeaderSize', value, 1, (2 ** 32) - 1);
+    }
+
+
+    //
+    // Static members
+    //
+
+    /**
+     * Parses a byte count which is required to be a whole number within the
+     * given range.
+     *
+     * @param {string} name Name of the configuration item, for error messages.
+     * @param {?string|ByteCount} value Value to parse, or `null` to indicate
+     *   the system default.
+     * @param {number} min Minimum allowed value, inclusive.
+     * @param {number} max Maximum allowed value, inclusive.
+     * @returns {?ByteCount} The parsed value, or `null` if `value` is `null`.
+     */
+    static #parseByteCount(name, value, min, max) {
+      if (value === null) {
+        return null;
+      }
+
+      const result = ByteCount.parse(value, { range: { minInclusive: min, maxInclusive: max } });
+
+      if (!(result && Number.isSafeInteger(result.byte))) {
+        throw new Error(`Could not parse \`${name}\`: ${value}`);
+      }
+
+      return result;
+    }
+  };
+
+  /**
+   * Configuration class for the `proxyProtocol` endpoint configuration.
+   */
+  static ProxyProtocolConfig = class ProxyProtocolConfig extends BaseConfig {
+    // @defaultConstructor
+
+    /**
+     * Addresses of the proxies which are trusted to send PROXY protocol
+     * headers, as individual addresses and/or CIDR ranges. Connections from
+     * these addresses are required to start with a PROXY protocol header.
+     * Connections from any other address are treated as direct (non-proxied)
+     * connections.
+     *
+     * @param {string|Array<string>} value Proposed configuration value.
+     * @returns {AddressSet} Accepted configuration value.
+     */
+    _config_trustedSources(value) {
+      return new AddressSet(value);
+    }
+  };
+
+  /**
+   * Configuration class for the `timeouts` endpoint configuration. Each item is
+   * optional, with `null` indicating that the system default is to be used.
+   * Each is parsed by {@link Duration#parse} if passed as a string.
+   */
+  static TimeoutsConfig = class TimeoutsConfig extends BaseConfig {
+    // @defaultConstructor
+
+    /**
+     * How long to wait for the complete headers of a request to arrive, or
+     * `null` to use the system default (one minute). `0` means "no timeout."
+     * This only applies to HTTP1 requests.
+     *
+     * @param {?string|Duration} [value] Proposed configuration value. Default
+     *   `null`.
+     * @returns {?Duration} Accepted configuration value.
+     */
+    _config_headerRead(value = null) {
+      return TimeoutsConfig.#parseDuration('headerRead', value, true);
+    }
+
+    /**
+     * How long an otherwise-idle connection may sit open without any socket
+     * activity before it gets closed, or `null` to use the system default
+     * (three minutes). This applies to all connections, regardless of
+     * protocol. Unlike the other timeouts, this one can't be disabled.
+     *
+     * @param {?string|Duration} [value] Proposed configuration value. Default
+     *   `null`.
+     * @returns {?Duration} Accepted configuration value.
+     */
+    _config_idleSocket(value = null) {
+      return TimeoutsConfig.#parseDuration('idleSocket', value, false);
+    }
+
+    /**
+     * How long to keep a connection open while waiting for another request,
+     * after a response has been sent, or `null` to use the system default
+     * (five seconds for HTTP1, one minute for HTTP2). `0` means "no timeout."
+     *
+     * @param {?string|Duration} [value] Proposed configuration value. Default
+     *   `null`.
+     * @returns {?Duration} Accepted configuration value.
+     */
+    _config_keepAlive(value = null) {
+      return TimeoutsConfig.#parseDuration('keepAlive', value, true);
+    }
+
+    /**
+     * How long to wait for an entire request (headers and body) to arrive, or
+     * `null` to use the system default (five minutes). `0` means "no timeout."
+     * This only applies to HTTP1 requests.
+     *
+     * @param {?string|Duration} [value] Proposed configuration value. Default
+     *   `null`.
+     * @returns {?Duration} Accepted configuration value.
+     */
+    _config_request(value = null) {
+      return TimeoutsConfig.#parseDuration('request', value, true);
+    }
+
+    /** @override */
+    _impl_validate(config) {
+      const { headerRead, request } = config;
+
+      if (headerRead && request && (request.sec !== 0) && (headerRead.sec > request.sec)) {
+        throw new Error('`headerRead` timeout must not be longer than `request` timeout.');
+      }
+
+      return super._impl_validate(config);
+    }
+
+
+    //
+    // Static members
+    //
+
+    /**
+     * Parses a timeout duration.
+     *
+     * @param {string} name Name of the configuration item, for error messages.
+     * @param {?string|Duration} value Value to parse, or `null` to indicate
+     *   the system default.
+     * @param {boolean} allowZero Is zero (meaning "no timeout") allowed?
+     * @returns {?Duration} The parsed value, or `null` if `value` is `null`.
+     */
+    static #parseDuration(name, value, allowZero) {
+      if (value === null) {
+        return null;
+      }
+
+      const range  = allowZero ? { minInclusive: 0 } : { minExclusive: 0 };
+      const result = Duration.parse(value, { range });
+
+      if (!result) {
+        throw new Error(`Could not parse \`${name}\`: ${value}`);
+      }
+
+      return result;
+    }
+  };
+
+  /**
+   * Configuration class for the `unixSocket` endpoint configuration.
+   */
+  static UnixSocketConfig = class UnixSocketConfig extends BaseConfig {
+    // @defaultConstructor
+
+    /**
+     * Numeric ID of the group to own the socket file, or `null` to leave it
+     * as-is.
+     *
+     * @param {?number} [value] Proposed configuration value. Default `null`.
+     * @returns {?number} Accepted configuration value.
+     */
+    _config_group(value = null) {
+      return (value === null)
+        ? null
+        : MustBe.number(value, { safeInteger: true, minInclusive: 0 });
+    }
+
+    /**
+     * Permission bits of the socket file, or `null` to leave them as-is. If
+     * passed as a string, it is parsed as an octal number (e.g. `'660'` or
+     * `'0660'`).
+     *
+     * @param {?number|string} [value] Proposed configuration value. Default
+     *   `null`.
+     * @returns {?number} Accepted configuration value.
+     */
+    _config_mode(value = null) {
+      if (value === null) {
+        return null;
+      } else if (typeof value === 'string') {
+        MustBe.string(value, /^[0-7]{1,4}$/);
+        value = parseInt(value, 8);
+      }
+
+      return MustBe.number(value, { safeInteger: true, minInclusive: 0, maxInclusive: 0o7777 });
+    }
+
+    /**
+     * Numeric ID of the user to own the socket file, or `null` to leave it
+     * as-is.
+     *
+     * @param {?number} [value] Proposed configuration value. Default `null`.
+     * @returns {?number} Accepted configuration value.
+     */
+    _config_owner(value = null) {
+      return (value === null)
+        ? null
+        : MustBe.number(value, { safeInteger: true, minInclusive: 0 });
+    }
+  };
 }
@@ -1,18 +1,34 @@
 // Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
 // SPDX-License-Identifier: Apache-2.0
 
+import { X509Certificate } from 'node:crypto';
 import * as tls from 'node:tls';
 
 import { BaseComponent } from '@this/compy';
-import { CertUtil, HostUtil } from '@this/net-util';
+import { Paths } from '@this/fs-util';
+import { CertUtil, EndpointAddress, HostUtil, PeerCertificate }
+  from '@this/net-util';
+import { Duration } from '@this/quant';
+import { BaseConfig } from '@this/structy';
 import { MustBe, StringUtil } from '@this/typey';
 
+import { AcmeCertManager } from '#p/AcmeCertManager';
+import { CertFileWatcher } from '#p/CertFileWatcher';
+import { OcspStapler } from '#p/OcspStapler';
+
 
 /**
  * Component (in the sense of `compy`) which represents one configured "host"
  * item, which can notably cover multiple different hostnames. This class is
  * mostly concerned with the mapping between hostnames and certificates, and as
- * such the class doesn't do _that_ much.
+ * such the class doesn't do _that_ much. The exceptions are when a host is
+ * configured to use ACME, in which case this class arranges for certificates
+ * to be obtained and renewed automatically, and when a host is configured with
+ * certificate and key _files_, in which case this class watches the files and
+ * reloads them when they change. A host can also be configured to do client
+ * certificate authentication (mutual TLS), in which case this class decides
+ * which peers are allowed to connect, and to do OCSP stapling, in which case
+ * this class arranges for OCSP responses to be fetched and kept fresh.
  */
 export class NetworkHost extends BaseComponent {
   /**
@@ -37,6 +53,30 @@ export class NetworkHost extends BaseComponent {
    */
   #secureContext = null;
 
+  /**
+   * Manager for ACME-obtained certificates, if this instance is configured to
+   * use ACME and has been started.
+   *
+   * @type {?AcmeCertManager}
+   */
+  #acmeManager = null;
+
+  /**
+   * Watcher of the certificate and key files, if this instance is configured
+   * to use files and has been started.
+   *
+   * @type {?CertFileWatcher}
+   */
+  #certFileWatcher = null;
+
+  /**
+   * Keeper of the OCSP response to staple, if this instance is configured to
+   * do OCSP stapling and has been started.
+   *
+   * @type {?OcspStapler}
+   */
+  #ocspStapler = null;
+
   // @defaultConstructor
 
   /** @override */
@@ -54,6 +94,68 @@ export class NetworkHost extends BaseComponent {
     return this.#name;
   }
 
+  /**
+   * Decides whether the peer (client) of a TLS connection to this host is
+   * allowed to proceed, based on the certificate it presented (if any), and
+   * if so whether that certificate is to be considered authenticated. If this
+   * instance isn't configured to do client certificate authentication, all
+   * peers are allowed, and no certificate is considered authenticated.
+   *
+   * @param {?X509Certificate} certificate The certificate presented by the
+   *   peer, or `null` if it didn't present one.
+   * @param {boolean} verified Was `certificate` successfully verified against
+   *   this host's configured certificate authorities?
+   * @returns {{ allowed: boolean, peerCertificate: ?PeerCertificate }} The
+   *   decision, along with the authenticated certificate (if any). The result
+   *   is always frozen.
+   */
+  authorizePeer(certificate, verified) {
+    const { clientAuth } = this.config;
+
+    if (!clientAuth) {
+      return NetworkHost.#ALLOWED_UNAUTHENTICATED;
+    }
+
+    if (certificate && verified) {
+      const peerCertificate = PeerCertificate.fromX509Certificate(
+        MustBe.instanceOf(certificate, X509Certificate));
+
+      if (clientAuth.allows(peerCertificate)) {
+        return Object.freeze({ allowed: true, peerCertificate });
+      }
+    }
+
+    return clientAuth.rejectUnauthorized
+      ? NetworkHost.#DISALLOWED
+      : NetworkHost.#ALLOWED_UNAUTHENTICATED;
+  }
+
+  /**
+   * Gets the response to an ACME `http-01` challenge for this host, if there
+   * is an outstanding one with the given token.
+   *
+   * @param {string} token The challenge token.
+   * @returns {?string} The challenge response, or `null` if there is no such
+   *   outstanding challenge.
+   */
+  getAcmeChallengeResponse(token) {
+    return this.#acmeManager?.getChallengeResponse(token) ?? null;
+  }
+
+  /**
+   * Gets the OCSP response to staple for the given certificate, if this
+   * instance is configured to do OCSP stapling, `certificate` is its current
+   * certificate, and there is a current response.
+   *
+   * @param {Buffer} certificate The DER-encoded certificate being presented
+   *   by the server.
+   * @returns {?Buffer} The DER-encoded response to staple, or `null` if there
+   *   is none.
+   */
+  getOcspResponse(certificate) {
+    return this.#ocspStapler?.getResponse(certificate) ?? null;
+  }
+
   /**
    * Gets the TLS context.
    *
@@ -64,11 +166,7 @@ export class NetworkHost extends BaseComponent {
    */
   getSecureContext() {
     if (!this.#secureContext) {
-      const params = this.getParameters();
-      this.#secureContext = tls.createSecureContext({
-        cert: params.certificate,
-        key:  params.privateKey
-      });
+      this.#secureContext = this.#makeSecureContext(this.getParameters());
     }
 
     return this.#secureContext;
@@ -96,23 +194,129 @@ export class NetworkHost extends BaseComponent {
   /** @override */
   async _impl_start() {
     const { config } = this;
-    const { selfSigned } = config;
+    const { acme, certificateFile, hostnames, selfSigned } = config;
 
-    if (selfSigned) {
+    if (acme) {
+      this.#acmeManager = new AcmeCertManager(acme, hostnames, this.logger?.acme ?? null,
+        (params) => this.#setParameters(params));
+      this.#parameters = await this.#acmeManager.start();
+    } else if (certificateFile) {
+      const { fileCheckPeriod, privateKeyFile, warnBeforeExpiry } = config;
+      const options = {
+        certificateFile,
+        privateKeyFile,
+        hostnames,
+        checkMsec:      fileCheckPeriod.msec,
+        warnBeforeMsec: warnBeforeExpiry.msec
+      };
+
+      this.#certFileWatcher = new CertFileWatcher(options, this.logger?.certFiles ?? null,
+        (params) => this.#setParameters(params));
+      this.#parameters = await this.#certFileWatcher.start();
+    } else if (selfSigned) {
       this.#parameters = await NetworkHost.#makeSelfSignedParameters(config);
     } else {
       const { certificate, privateKey } = config;
       this.#parameters = { certificate, privateKey };
     }
 
+    if (config.ocsp) {
+      this.#ocspStapler = new OcspStapler(config.ocsp, this.logger?.ocsp ?? null);
+      await this.#ocspStapler.start(this.#parameters.certificate);
+    }
+
     await super._impl_start();
   }
 
+  /** @override */
+  async _impl_stop(willReload) {
+    if (this.#acmeManager) {
+      await this.#acmeManager.stop();
+      this.#acmeManager = null;
+    }
+
+    if (this.#certFileWatcher) {
+      await this.#certFileWatcher.stop();
+      this.#certFileWatcher = null;
+    }
+
+    if (this.#ocspStapler) {
+      await this.#ocspStapler.stop();
+      this.#ocspStapler = null;
+    }
+
+    await super._impl_stop(willReload);
+  }
+
+  /**
+   * Makes a TLS context for this instance, given the parameters to use.
+   *
+   * @param {{certificate: string, privateKey: string}} params The parameters.
+   * @returns {tls.SecureContext} The TLS context.
+   */
+  #makeSecureContext(params) {
+    const { certificate, privateKey } = params;
+    const options = { cert: certificate, key: privateKey };
+    const ca      = this.config.clientAuth?.certificateAuthorities;
+
+    if (ca) {
+      options.ca = ca;
+    }
+
+    return tls.createSecureContext(options);
+  }
+
+  /**
+   * Replaces the parameters of this instance, e.g. when a certificate gets
+   * renewed. The new TLS context is built before anything is replaced, so that
+   * a problem with the new parameters leaves the old ones in service, and so
+   * that new connections never see a partially-updated state. Existing
+   * connections are unaffected.
+   *
+   * @param {{certificate: string, privateKey: string}} params The new
+   *   parameters.
+   * @returns {boolean} `true` if the new parameters were put into service, or
+   *   `false` if they were rejected.
+   */
+  #setParameters(params) {
+    const { certificate, privateKey } = params;
+    let   secureContext;
+
+    try {
+      secureContext = this.#makeSecureContext(params);
+    } catch (e) {
+      this.logger?.badCertificateUpdate(e);
+      return false;
+    }
+
+    this.#parameters    = { certificate, privateKey };
+    this.#secureContext = secureContext;
+    this.#ocspStapler?.setCertificate(certificate);
+    this.logger?.certificateUpdated();
+
+    return true;
+  }
+
 
   //
   // Static members.
   //
 
+  /**
+   * Result from {@link #authorizePeer} for a peer that is allowed, but without
+   * an authenticated certificate.
+   *
+   * @type {{ allowed: boolean, peerCertificate: ?PeerCertificate }}
+   */
+  static #ALLOWED_UNAUTHENTICATED = Object.freeze({ allowed: true, peerCertificate: null });
+
+  /**
+   * Result from {@link #authorizePeer} for a peer that is not allowed.
+   *
+   * @type {{ allowed: boolean, peerCertificate: ?PeerCertificate }}
+   */
+  static #DISALLOWED = Object.freeze({ allowed: false, peerCertificate: null });
+
   /** @override */
   static _impl_configClass() {
     return class Config extends super.prototype.constructor.configClass {
@@ -134,7 +338,8 @@ export class NetworkHost extends BaseComponent {
 
       /**
        * The certificate for the hosts, as PEM-encoded data. Allowed to be
-       * `null` _only_ if `selfSigned` is configured as `true`.
+       * `null` _only_ if one of the other ways of getting a certificate is
+       * configured.
        *
        * @param {?string} value Proposed configuration value. Default `null`.
        * @returns {?string} Accepted configuration value.
@@ -147,7 +352,8 @@ export class NetworkHost extends BaseComponent {
 
       /**
        * The private key for the hosts, as PEM-encoded data. Allowed to be
-       * `null` _only_ if `selfSigned` is configured as `true`.
+       * `null` _only_ if one of the other ways of getting a certificate is
+       * configured.
        *
        * @param {?string} value Proposed configuration value. Default `null`.
        * @returns {?string} Accepted configuration value.
@@ -158,6 +364,72 @@ export class NetworkHost extends BaseComponent {
           : CertUtil.mustBePrivateKey(NetworkHost.#bufferFilter(value));
       }
 
+      /**
+       * Absolute path of a file containing the certificate for the hosts, as
+       * PEM-encoded data. The file is watched, and reloaded when it changes.
+       * Must be used along with `privateKeyFile`.
+       *
+       * @param {?string} [value] Proposed configuration value. Default `null`.
+       * @returns {?string} Accepted configuration value.
+       */
+      _config_certificateFile(value = null) {
+        return (value === null) ? null : Paths.mustBeAbsolutePath(value);
+      }
+
+      /**
+       * Absolute path of a file containing the private key for the hosts, as
+       * PEM-encoded data. The file is watched, and reloaded when it changes.
+       * Must be used along with `certificateFile`.
+       *
+       * @param {?string} [value] Proposed configuration value. Default `null`.
+       * @returns {?string} Accepted configuration value.
+       */
+      _config_privateKeyFile(value = null) {
+        return (value === null) ? null : Paths.mustBeAbsolutePath(value);
+      }
+
+      /**
+       * How often to poll `certificateFile` and `privateKeyFile` for changes,
+       * in addition to reacting to filesystem events. If passed as a string,
+       * it is parsed by {@link Duration#parse}. Only meaningful when using
+       * files.
+       *
+       * @param {?string|Duration} [value] Proposed configuration value.
+       *   Default `'1 min'`.
+       * @returns {Duration} Accepted configuration value.
+       */
+      _config_fileCheckPeriod(value = '1 min') {
+        const result = Duration.parse(value, {
+          range: { minInclusive: 1, maxInclusive: 24 * 60 * 60 }
+        });
+
+        if (!result) {
+          throw new Error(`Could not parse \`fileCheckPeriod\`: ${value}`);
+        }
+
+        return result;
+      }
+
+      /**
+       * How long before the expiration of a certificate loaded from
+       * `certificateFile` to start logging warnings about it. If passed as a
+       * string, it is parsed by {@link Duration#parse}. Only meaningful when
+       * using files.
+       *
+       * @param {?string|Duration} [value] Proposed configuration value.
+       *   Default `'14 day'`.
+       * @returns {Duration} Accepted configuration value.
+       */
+      _config_warnBeforeExpiry(value = '14 day') {
+        const result = Duration.parse(value, { range: { minInclusive: 0 } });
+
+        if (!result) {
+          throw new Error(`Could not parse \`warnBeforeExpiry\`: ${value}`);
+        }
+
+        return result;
+      }
+
       /**
        * Is this to be a self-signed certificate?
        *
@@ -168,20 +440,92 @@ export class NetworkHost extends BaseComponent {
         return MustBe.boolean(value);
       }
 
+      /**
+       * Client certificate authentication (mutual TLS) configuration, or
+       * `null` not to do client certificate authentication. On input, this is
+       * expected to be a plain object suitable to pass to the
+       * {@link NetworkHost#ClientAuthConfig} constructor.
+       *
+       * @param {?object} [value] Proposed configuration value. Default `null`.
+       * @returns {?NetworkHost.ClientAuthConfig} Accepted configuration value.
+       */
+      _config_clientAuth(value = null) {
+        return (value === null)
+          ? null
+          : new NetworkHost.ClientAuthConfig(value);
+      }
+
+      /**
+       * ACME configuration, or `null` not to use ACME. On input, this is
+       * expected to be a plain object suitable to pass to the
+       * {@link NetworkHost#AcmeConfig} constructor.
+       *
+       * @param {?object} [value] Proposed configuration value. Default `null`.
+       * @returns {?NetworkHost.AcmeConfig} Accepted configuration value.
+       */
+      _config_acme(value = null) {
+        return (value === null)
+          ? null
+          : new NetworkHost.AcmeConfig(value);
+      }
+
+      /**
+       * OCSP stapling configuration, or `null` not to do OCSP stapling. On
+       * input, this is expected to be a plain object suitable to pass to the
+       * {@link NetworkHost#OcspConfig} constructor.
+       *
+       * @param {?object} [value] Proposed configuration value. Default `null`.
+       * @returns {?NetworkHost.OcspConfig} Accepted configuration value.
+       */
+      _config_ocsp(value = null) {
+        return (value === null)
+          ? null
+          : new NetworkHost.OcspConfig(value);
+      }
+
       /** @override */
       _impl_validate(config) {
-        const { certificate, privateKey, selfSigned } = config;
+        const {
+          acme, certificate, certificateFile, hostnames, ocsp, privateKey,
+          privateKeyFile, selfSigned
+        } = config;
+
+        const usesPem   = !!(certificate || privateKey);
+        const usesFiles = !!(certificateFile || privateKeyFile);
+        const modeCount = [usesPem, usesFiles, selfSigned, !!acme].filter((m) => m).length;
+
+        if (modeCount === 0) {
+          throw new Error(
+            'Need one of: `certificate` and `privateKey`; `certificateFile` and `privateKeyFile`; '
+            + '`selfSigned: true`; or `acme`.');
+        } else if (modeCount !== 1) {
+          throw new Error('Can only use one of `certificate`, `certificateFile`, `selfSigned`, or `acme`.');
+        }
+
+        if (ocsp && selfSigned) {
+          throw new Error('Cannot use `ocsp` with `selfSigned`.');
+        }
 
-        if (selfSigned) {
-          if (certificate || privateKey) {
-            throw new Error('Cannot use `certificate` with `selfSigned === true`.');
+        if (usesPem) {
+          if (!certificate) {
+            throw new Error('Missing option `certificate`.');
+          } else if (!privateKey) {
+            throw new Error('Missing option `privateKey`.');
+          }
+        } else if (usesFiles) {
+          if (!certificateFile) {
+            throw new Error('Missing option `certificateFile`.');
+          } else if (!privateKeyFile) {
+            throw new Error('Missing option `privateKeyFile`.');
+          }
+        } else if (acme) {
+          for (const name of hostnames) {
+            if (HostUtil.parseHostnameElseNull(name, false) === null) {
+              throw new Error(`Cannot use \`acme\` with wildcard hostname: ${name}`);
+            } else if (EndpointAddress.canonicalizeAddressElseNull(name) !== null) {
+              throw new Error(`Cannot use \`acme\` with IP address: ${name}`);
+            }
           }
-        } else if (!(certificate && privateKey)) {
-          throw new Error('Need either `certificate` and `privateKey`, or `selfSigned: true`.');
-        } else if (!certificate) {
-          throw new Error('Missing option `certificate`.');
-        } else if (!privateKey) {
-          throw new Error('Missing option `privateKey`.');
         }
 
         return super._impl_validate(config);
@@ -189,6 +533,274 @@ export class NetworkHost extends BaseComponent {
     };
   }
 
+  /**
+   * Configuration class for `acme` bindings.
+   */
+  static AcmeConfig = class AcmeConfig extends BaseConfig {
+    // @defaultConstructor
+
+    /**
+     * Absolute path of the directory in which to store the account key and
+     * obtained certificates. The directory is created if it doesn't already
+     * exist.
+     *
+     * @param {string} value Proposed configuration value.
+     * @returns {string} Accepted configuration value.
+     */
+    _config_cacheDirectory(value) {
+      return Paths.mustBeAbsolutePath(value);
+    }
+
+    /**
+     * How often to check whether the certificate needs to be renewed. If passed
+     * as a string, it is parsed by {@link Duration#parse}.
+     *
+     * @param {?string|Duration} [value] Proposed configuration value. Default
+     *   `'12 hr'`.
+     * @returns {Duration} Accepted configuration value.
+     */
+    _config_checkPeriod(value = '12 hr') {
+      const result = Duration.parse(value, {
+        range: { minInclusive: 1, maxInclusive: 24 * 60 * 60 }
+      });
+
+      if (!result) {
+        throw new Error(`Could not parse \`checkPeriod\`: ${value}`);
+      }
+
+      return result;
+    }
+
+    /**
+     * Contact URLs (typically `mailto:` URLs) to register with the account.
+     *
+     * @param {?string|Array<string>} [value] Proposed configuration value.
+     *   Default `[]`.
+     * @returns {Array<string>} Accepted configuration value.
+     */
+    _config_contact(value = []) {
+      return StringUtil.checkAndFreezeStrings(value, /^[a-z]+:.+$/);
+    }
+
+    /**
+     * URL of the ACME server's directory.
+     *
+     * @param {string} value Proposed configuration value.
+     * @returns {string} Accepted configuration value.
+     */
+    _config_directoryUrl(value) {
+      return MustBe.string(value, /^https?:[/][/][^/]+/);
+    }
+
+    /**
+     * How long before expiration to renew the certificate. If passed as a
+     * string, it is parsed by {@link Duration#parse}.
+     *
+     * @param {?string|Duration} [value] Proposed configuration value. Default
+     *   `'30 day'`.
+     * @returns {Duration} Accepted configuration value.
+     */
+    _config_renewBefore(value = '30 day') {
+      const result = Duration.parse(value, { range: { minInclusive: 0 } });
+
+      if (!result) {
+        throw new Error(`Could not parse \`renewBefore\`: ${value}`);
+      }
+
+      return result;
+    }
+
+    /**
+     * Whether to indicate agreement with the ACME server's terms of service.
+     * Public ACME servers require this to be `true`.
+     *
+     * @param {?boolean} [value] Proposed configuration value. Default `false`.
+     * @returns {boolean} Accepted configuration value.
+     */
+    _config_termsOfServiceAgreed(value = false) {
+      return MustBe.boolean(value);
+    }
+  };
+
+  /**
+   * Configuration class for `clientAuth` bindings.
+   */
+  static ClientAuthConfig = class ClientAuthConfig extends BaseConfig {
+    /**
+     * Regexes corresponding to {@link #allowedSubjectAltNames}, or `null` if
+     * not yet calculated.
+     *
+     * @type {?Array<RegExp>}
+     */
+    #altNameRegexes = null;
+
+    /**
+     * Regexes corresponding to {@link #allowedSubjects}, or `null` if not yet
+     * calculated.
+     *
+     * @type {?Array<RegExp>}
+     */
+    #subjectRegexes = null;
+
+    // @defaultConstructor
+
+    /**
+     * Indicates whether the given (already verified) certificate is allowed
+     * by the subject and subject alternative name patterns of this instance.
+     * If neither set of patterns is configured, all certificates are allowed.
+     * Otherwise, a certificate is allowed if its subject matches any subject
+     * pattern, or any of its alternative names matches any alternative name
+     * pattern.
+     *
+     * @param {PeerCertificate} certificate The certificate in question.
+     * @returns {boolean} `true` iff `certificate` is allowed.
+     */
+    allows(certificate) {
+      const { allowedSubjectAltNames, allowedSubjects } = this;
+
+      if ((allowedSubjects === null) && (allowedSubjectAltNames === null)) {
+        return true;
+      }
+
+      this.#subjectRegexes ??= ClientAuthConfig.#regexesFrom(allowedSubjects);
+      this.#altNameRegexes ??= ClientAuthConfig.#regexesFrom(allowedSubjectAltNames);
+
+      const { subject, subjectAltNames } = certificate;
+
+      return this.#subjectRegexes.some((rx) => rx.test(subject))
+        || subjectAltNames.some((n) => this.#altNameRegexes.some((rx) => rx.test(n)));
+    }
+
+    /**
+     * Patterns for allowed subject alternative names of client certificates,
+     * or `null` not to restrict by alternative name. Each pattern is of the
+     * form `<type>:<value>` (e.g. `DNS:admin.example.com` or
+     * `email:*@example.com`), where `*` matches any sequence of characters.
+     * Matching is case-insensitive.
+     *
+     * @param {?string|Array<string>} [value] Proposed configuration value.
+     *   Default `null`.
+     * @returns {?Array<string>} Accepted configuration value.
+     */
+    _config_allowedSubjectAltNames(value = null) {
+      return (value === null)
+        ? null
+        : StringUtil.checkAndFreezeStrings(value, /^[^:]+:./);
+    }
+
+    /**
+     * Patterns for allowed subjects of client certificates, or `null` not to
+     * restrict by subject. Each pattern is matched against the entire subject
+     * distinguished name, in the form `<attrib>=<value>, ...` (e.g.
+     * `O=Example, CN=admin`), where `*` matches any sequence of characters.
+     * Matching is case-insensitive.
+     *
+     * @param {?string|Array<string>} [value] Proposed configuration value.
+     *   Default `null`.
+     * @returns {?Array<string>} Accepted configuration value.
+     */
+    _config_allowedSubjects(value = null) {
+      return (value === null)
+        ? null
+        : StringUtil.checkAndFreezeStrings(value, /=/);
+    }
+
+    /**
+     * Certificate(s) of the certificate authorities (CAs) to verify client
+     * certificates against, as PEM-encoded data. Multiple certificates can be
+     * concatenated together, as a "bundle."
+     *
+     * @param {string|Buffer} value Proposed configuration value.
+     * @returns {string} Accepted configuration value.
+     */
+    _config_certificateAuthorities(value) {
+      return CertUtil.mustBeCertificateChain(NetworkHost.#bufferFilter(value));
+    }
+
+    /**
+     * Whether to refuse connections from peers which don't present an allowed
+     * and successfully verified certificate. If `false`, such peers are
+     * allowed to connect but are not considered authenticated.
+     *
+     * @param {?boolean} [value] Proposed configuration value. Default `true`.
+     * @returns {boolean} Accepted configuration value.
+     */
+    _config_rejectUnauthorized(value = true) {
+      return MustBe.boolean(value);
+    }
+
+
+    //
+    // Static members
+    //
+
+    /**
+     * Converts a list of patterns (with `*` wildcards) into corresponding
+     * regexes.
+     *
+     * @param {?Array<string>} patterns The patterns, or `null` if there are
+     *   none.
+     * @returns {Array<RegExp>} The corresponding regexes.
+     */
+    static #regexesFrom(patterns) {
+      return (patterns ?? []).map((p) => {
+        const body = p.split('*').map((s) => s.replaceAll(/[\\^$.|?+()[\]{}]/g, '\\$&')).join('.*');
+        return new RegExp(`^${body}$`, 'i');
+      });
+    }
+  };
+
+  /**
+   * Configuration class for `ocsp` bindings.
+   */
+  static OcspConfig = class OcspConfig extends BaseConfig {
+    // @defaultConstructor
+
+    /**
+     * Absolute path of the directory in which to cache OCSP responses, or
+     * `null` not to cache them. The directory is created if it doesn't already
+     * exist.
+     *
+     * @param {?string} [value] Proposed configuration value. Default `null`.
+     * @returns {?string} Accepted configuration value.
+     */
+    _config_cacheDirectory(value = null) {
+      return (value === null) ? null : Paths.mustBeAbsolutePath(value);
+    }
+
+    /**
+     * Maximum time between fetches of a new response. Responses also get
+     * refreshed halfway through their remaining validity period, if that is
+     * sooner. If passed as a string, it is parsed by {@link Duration#parse}.
+     *
+     * @param {?string|Duration} [value] Proposed configuration value. Default
+     *   `'12 hr'`.
+     * @returns {Duration} Accepted configuration value.
+     */
+    _config_refreshPeriod(value = '12 hr') {
+      const result = Duration.parse(value, {
+        range: { minInclusive: 60, maxInclusive: 7 * 24 * 60 * 60 }
+      });
+
+      if (!result) {
+        throw new Error(`Could not parse \`refreshPeriod\`: ${value}`);
+      }
+
+      return result;
+    }
+
+    /**
+     * URL of the OCSP responder to use, or `null` to use the one named in the
+     * certificate.
+     *
+     * @param {?string} [value] Proposed configuration value. Default `null`.
+     * @returns {?string} Accepted configuration value.
+     */
+    _config_responderUrl(value = null) {
+      return (value === null) ? null : MustBe.string(value, /^https?:[/][/][^/]+/);
+    }
+  };
+
   /**
    * If given a `Buffer` or `Uint8Array` in general, converts it to a string,
    * interpreting bytes as UTF-8. Otherwise, just passes the value through
@@ -4,6 +4,7 @@
 import { PromiseUtil } from '@this/async';
 import { WallClock } from '@this/clocky';
 import { BaseComponent, BaseRootComponent } from '@this/compy';
+import { ProtocolWranglers } from '@this/net-protocol';
 
 import { BaseApplication } from '#x/BaseApplication';
 import { BaseService } from '#x/BaseService';
@@ -22,8 +23,17 @@ import { ThisModule } from '#p/ThisModule';
  * **Note:** When `start()`ing, this operates in the order hosts then services
  * then applications then endpoints, so as to start dependencies before
  * dependants. Similarly, when `stop()`ping, the order is reversed, though the
- * system will press on with the `stop()` actions if an earlier layer is taking
- * too long.
+ * system will press on with the `stop()` actions if the applications are
+ * taking too long. (Endpoints get to finish draining, which is bounded by their
+ * configured `drainTimeout`.) When reloading, this stopping continues in the
+ * background once all the endpoints have stopped accepting connections, so
+ * that the post-reload system doesn't have to wait for the draining.
+ *
+ * **Note:** When reloading, a post-reload endpoint takes over the already-open
+ * server socket of the pre-reload endpoint on the same interface, if any, so
+ * that connections are never refused during the reload. Any server sockets
+ * which don't get taken over are closed once the post-reload system has
+ * started.
  */
 export class WebappRoot extends BaseRootComponent {
   /**
@@ -80,7 +90,10 @@ export class WebappRoot extends BaseRootComponent {
       name:      'endpoint'
     });
 
-    this.#hostManager = new HostManager({ name: 'host' });
+    this.#hostManager = new HostManager({
+      name:           'host',
+      sessionTickets: this.config.sessionTickets
+    });
   }
 
   /** @returns {ComponentManager} Application manager. */
@@ -130,6 +143,12 @@ export class WebappRoot extends BaseRootComponent {
     await this.#serviceManager.start();
     await this.#applicationManager.start();
     await this.#endpointManager.start();
+
+    // If this is the post-reload system, all the server sockets from the
+    // pre-reload system that could be taken over by our endpoints now have
+    // been, and any others are for interfaces which are no longer in use.
+    await ProtocolWranglers.closeStashedSockets();
+
     await super._impl_start();
   }
 
@@ -137,10 +156,44 @@ export class WebappRoot extends BaseRootComponent {
   async _impl_stop(willReload) {
     const endpointsStopped = this.#endpointManager.stop(willReload);
 
-    await PromiseUtil.race([
-      endpointsStopped,
-      WallClock.waitForMsec(WebappRoot.#ENDPOINT_STOP_GRACE_PERIOD_MSEC)
-    ]);
+    if (willReload) {
+      // The post-reload system can start as soon as all the server sockets
+      // have been stashed (for it to take over), so only wait for that much,
+      // and then let the rest of the stopping happen in the background.
+      const endpoints = [...this.#endpointManager.children()];
+      await PromiseUtil.race([
+        endpointsStopped,
+        Promise.all(endpoints.map((e) => e.whenNotAccepting()))
+      ]);
+
+      (async () => {
+        try {
+          await this.#stopAfterEndpoints(endpointsStopped, willReload);
+        } catch (e) {
+          this.logger?.errorDuringStop(e);
+        }
+      })();
+    } else {
+      await this.#stopAfterEndpoints(endpointsStopped, willReload);
+    }
+
+    await super._impl_stop(willReload);
+  }
+
+  /**
+   * Stops everything other than the endpoints, once the endpoints have
+   * stopped.
+   *
+   * @param {Promise} endpointsStopped Promise for the endpoints having
+   *   stopped.
+   * @param {boolean} willReload Is this action due to an in-process reload
+   *   being requested?
+   */
+  async #stopAfterEndpoints(endpointsStopped, willReload) {
+    // Endpoints get to fully drain (which is bounded by their configured drain
+    // timeouts) before anything else is stopped, because their in-flight
+    // requests are still being handled by the applications and services.
+    await endpointsStopped;
 
     const applicationsStopped = this.#applicationManager.stop(willReload);
     await PromiseUtil.race([
@@ -149,13 +202,10 @@ export class WebappRoot extends BaseRootComponent {
     ]);
 
     await Promise.all([
-      endpointsStopped,
       applicationsStopped,
       this.#serviceManager.stop(willReload),
       this.#hostManager.stop(willReload)
     ]);
-
-    await super._impl_stop(willReload);
   }
 
 
@@ -172,15 +222,6 @@ export class WebappRoot extends BaseRootComponent {
    */
   static #APPLICATION_STOP_GRACE_PERIOD_MSEC = 250;
 
-  /**
-   * Grace period after asking all endpoints to stop before asking applications
-   * and services to shut down. (If the endpoints stop more promptly, then the
-   * system will immediately move on.)
-   *
-   * @type {number}
-   */
-  static #ENDPOINT_STOP_GRACE_PERIOD_MSEC = 250;
-
   /** @override */
   static _impl_configClass() {
     return class Config extends super.prototype.constructor.configClass {
@@ -222,6 +263,22 @@ export class WebappRoot extends BaseRootComponent {
         return NetworkHost.evalArray(value ?? []);
       }
 
+      /**
+       * TLS session ticket key configuration, or `null` to let each endpoint
+       * use its own transient keys. On input, this is expected to be a plain
+       * object suitable to pass to the
+       * {@link HostManager#SessionTicketsConfig} constructor.
+       *
+       * @param {?object} [value] Proposed configuration value. Default `null`.
+       * @returns {?HostManager.SessionTicketsConfig} Accepted configuration
+       *   value.
+       */
+      _config_sessionTickets(value = null) {
+        return (value === null)
+          ? null
+          : new HostManager.SessionTicketsConfig(value);
+      }
+
       /**
        * Service instances, or `null` to have no configured services. On input,
        * this is expected to be an object suitable as an argument to
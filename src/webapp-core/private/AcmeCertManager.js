@@ -0,0 +1,373 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import * as crypto from 'node:crypto';
+import * as fs from 'node:fs/promises';
+import process from 'node:process';
+
+import { Threadlet } from '@this/async';
+import { WallClock } from '@this/clocky';
+import { Statter } from '@this/fs-util';
+import { IntfLogger } from '@this/loggy-intf';
+import { AcmeClient, CertUtil } from '@this/net-util';
+import { MustBe } from '@this/typey';
+
+
+/**
+ * Manager of the certificate for a single `NetworkHost` which is configured to
+ * use ACME. This takes care of loading a previously-obtained certificate from
+ * the cache directory, obtaining a new one when needed (using the `http-01`
+ * challenge type), and renewing it before it expires. Newly obtained
+ * certificates get reported via a callback passed in on construction, so that
+ * they can be put into service without restarting anything.
+ */
+export class AcmeCertManager {
+  /**
+   * Configuration to use.
+   *
+   * @type {object}
+   */
+  #config;
+
+  /**
+   * Hostnames to cover.
+   *
+   * @type {Array<string>}
+   */
+  #hostnames;
+
+  /**
+   * Logger to use, or `null` to not do any logging.
+   *
+   * @type {?IntfLogger}
+   */
+  #logger;
+
+  /**
+   * Function to call with new certificate parameters.
+   *
+   * @type {function({certificate: string, privateKey: string})}
+   */
+  #onUpdate;
+
+  /**
+   * Outstanding challenge responses, as a map from token to key
+   * authorization.
+   *
+   * @type {Map<string, string>}
+   */
+  #challenges = new Map();
+
+  /**
+   * Expiration time of the current certificate, in msec since the Unix Epoch,
+   * or `null` if the current certificate is just a temporary one.
+   *
+   * @type {?number}
+   */
+  #expiresAtMsec = null;
+
+  /**
+   * Thread which runs this instance.
+   *
+   * @type {Threadlet}
+   */
+  #runner = new Threadlet((ra) => this.#run(ra));
+
+  /**
+   * Constructs an instance.
+   *
+   * @param {object} config The `acme` configuration of the host (an instance
+   *   of `NetworkHost.AcmeConfig`).
+   * @param {Array<string>} hostnames Hostnames to cover.
+   * @param {?IntfLogger} logger Logger to use, or `null` to not do any logging.
+   * @param {function({certificate: string, privateKey: string})} onUpdate
+   *   Function to call with new certificate parameters, whenever a new
+   *   certificate is obtained.
+   */
+  constructor(config, hostnames, logger, onUpdate) {
+    this.#config    = MustBe.object(config);
+    this.#hostnames = MustBe.arrayOfString(hostnames);
+    this.#logger    = IntfLogger.mustBeInstanceOrNull(logger);
+    this.#onUpdate  = MustBe.callableFunction(onUpdate);
+  }
+
+  /**
+   * Gets the response to an `http-01` challenge, if this instance is currently
+   * expecting one with the given token.
+   *
+   * @param {string} token The challenge token.
+   * @returns {?string} The response (key authorization), or `null` if
+   *   `token` isn't an outstanding challenge.
+   */
+  getChallengeResponse(token) {
+    return this.#challenges.get(token) ?? null;
+  }
+
+  /**
+   * Starts this instance, returning the certificate parameters to use
+   * initially. If there is a usable cached certificate, that is what gets
+   * returned. Otherwise, this returns a temporary self-signed certificate, and
+   * a real one gets obtained in the background.
+   *
+   * @returns {{certificate: string, privateKey: string}} The initial
+   *   parameters.
+   */
+  async start() {
+    await fs.mkdir(this.#config.cacheDirectory, { recursive: true, mode: 0o700 });
+
+    let parameters = await this.#readCache();
+
+    if (parameters) {
+      this.#logger?.usingCached({ expires: new Date(this.#expiresAtMsec).toISOString() });
+    } else {
+      this.#logger?.usingTemporary();
+      parameters = await CertUtil.makeSelfSignedPair(this.#hostnames);
+    }
+
+    this.#runner.start();
+
+    return parameters;
+  }
+
+  /**
+   * Stops this instance.
+   */
+  async stop() {
+    await this.#runner.stop();
+  }
+
+  /**
+   * Gets the paths of the cached certificate and key files.
+   *
+   * @returns {{ certPath: string, keyPath: string }} The paths.
+   */
+  #cachePaths() {
+    const base = `${this.#config.cacheDirectory}/${this.#hostnames[0]}`;
+
+    return {
+      certPath: `${base}-cert.pem`,
+      keyPath:  `${base}-key.pem`
+    };
+  }
+
+  /**
+   * Gets the account key, making and saving a new one if there isn't one
+   * already in the cache directory. Because the cache directory can be shared
+   * (e.g. by the managers for different hosts), a new key is written to a
+   * uniquely-named file which then gets hard-linked into place. The link fails
+   * if another manager got there first, in which case the key it wrote is the
+   * one that gets used. Either way, the key file is never seen partially
+   * written.
+   *
+   * @returns {string} The account key, in PEM form.
+   */
+  async #getAccountKey() {
+    const keyPath = `${this.#config.cacheDirectory}/account-key.pem`;
+
+    if (await Statter.fileExists(keyPath)) {
+      return fs.readFile(keyPath, 'utf-8');
+    }
+
+    const key      = await CertUtil.makePrivateKey();
+    const tempPath = AcmeCertManager.#tempPathFor(keyPath);
+
+    await fs.writeFile(tempPath, key, { flag: 'wx', mode: 0o600 });
+
+    try {
+      await fs.link(tempPath, keyPath);
+    } catch (e) {
+      if (e.code !== 'EEXIST') {
+        throw e;
+      }
+
+      return fs.readFile(keyPath, 'utf-8');
+    } finally {
+      await fs.rm(tempPath, { force: true });
+    }
+
+    this.#logger?.newAccountKey();
+
+    return key;
+  }
+
+  /**
+   * Indicates whether the current certificate should be renewed (or, if it's
+   * a temporary one, replaced) now.
+   *
+   * @returns {boolean} `true` iff renewal is due.
+   */
+  #isRenewalDue() {
+    if (this.#expiresAtMsec === null) {
+      return true;
+    }
+
+    const renewAtMsec = this.#expiresAtMsec - this.#config.renewBefore.msec;
+
+    return WallClock.now().atMsec >= renewAtMsec;
+  }
+
+  /**
+   * Obtains a new certificate from the ACME server, caches it, and reports it
+   * to this instance's client.
+   *
+   * @param {AbortSignal} signal Signal which cancels the operation when
+   *   aborted.
+   */
+  async #obtain(signal) {
+    const { contact, directoryUrl, termsOfServiceAgreed } = this.#config;
+
+    const client = new AcmeClient({
+      accountKey: await this.#getAccountKey(),
+      contact,
+      directoryUrl,
+      logger:     this.#logger?.client ?? null,
+      termsOfServiceAgreed
+    });
+
+    const handler = {
+      add:    (token, keyAuth) => { this.#challenges.set(token, keyAuth); },
+      remove: (token) => { this.#challenges.delete(token); }
+    };
+
+    this.#logger?.obtaining(this.#hostnames);
+
+    const parameters  = await client.obtainCertificate(this.#hostnames, handler, { signal });
+    const { validTo } = CertUtil.parseCertificatePair(parameters.certificate, parameters.privateKey);
+    const { certPath, keyPath } = this.#cachePaths();
+
+    // Each file gets written in full before it replaces the old one, so that
+    // neither is ever seen partially written. A crash between the two can
+    // still leave behind a new key with an old certificate, but that gets
+    // detected by `#readCache()`, which then causes a new certificate to be
+    // obtained.
+    await AcmeCertManager.#writeFileAtomically(keyPath, parameters.privateKey, 0o600);
+    await AcmeCertManager.#writeFileAtomically(certPath, parameters.certificate, 0o644);
+
+    this.#expiresAtMsec = validTo.atMsec;
+    this.#logger?.obtained({ expires: new Date(this.#expiresAtMsec).toISOString() });
+
+    this.#onUpdate(parameters);
+  }
+
+  /**
+   * Reads the cached certificate and key, if they exist, are valid, and cover
+   * all of this instance's hostnames. As a side effect, this sets
+   * {@link #expiresAtMsec} when the result is non-`null`.
+   *
+   * @returns {?{certificate: string, privateKey: string}} The cached
+   *   parameters, or `null` if there is no usable cached certificate.
+   */
+  async #readCache() {
+    const { certPath, keyPath } = this.#cachePaths();
+
+    if (!(await Statter.fileExists(certPath) && await Statter.fileExists(keyPath))) {
+      return null;
+    }
+
+    try {
+      const certificate = await fs.readFile(certPath, 'utf-8');
+      const privateKey  = await fs.readFile(keyPath, 'utf-8');
+      const { validTo } = CertUtil.parseCertificatePair(certificate, privateKey);
+
+      for (const name of this.#hostnames) {
+        if (!CertUtil.coversHostname(certificate, name)) {
+          throw new Error(`Certificate does not cover: ${name}`);
+        }
+      }
+
+      if (validTo.le(WallClock.now())) {
+        throw new Error('Certificate has expired.');
+      }
+
+      this.#expiresAtMsec = validTo.atMsec;
+      return { certificate, privateKey };
+    } catch (e) {
+      this.#logger?.badCache(e);
+      return null;
+    }
+  }
+
+  /**
+   * Runs the main loop of this instance.
+   *
+   * @param {object} runnerAccess Thread runner access object.
+   */
+  async #run(runnerAccess) {
+    const checkMsec = this.#config.checkPeriod.msec;
+
+    // This is used to cancel an in-progress attempt to obtain a certificate,
+    // which could otherwise take a while (e.g. if the ACME server is slow to
+    // process an order), when this instance is asked to stop.
+    const abortCtrl = new AbortController();
+    runnerAccess.whenStopRequested().then(() => abortCtrl.abort());
+
+    while (!runnerAccess.shouldStop()) {
+      let waitMsec = checkMsec;
+
+      if (this.#isRenewalDue()) {
+        try {
+          await this.#obtain(abortCtrl.signal);
+        } catch (e) {
+          if (runnerAccess.shouldStop()) {
+            this.#logger?.abandonedObtaining();
+            break;
+          }
+
+          this.#logger?.errorObtaining(e);
+          waitMsec = Math.min(checkMsec, AcmeCertManager.#RETRY_MSEC);
+        }
+      }
+
+      // Note: The timer is un-`ref()`ed so that it doesn't keep the process
+      // alive after the rest of the system has stopped.
+      await runnerAccess.raceWhenStopRequested([
+        WallClock.waitForMsec(waitMsec, { ref: false })
+      ]);
+    }
+  }
+
+
+  //
+  // Static members
+  //
+
+  /**
+   * How long to wait before retrying after a failure to obtain a certificate,
+   * in msec. This is kept on the long side so as not to run afoul of the rate
+   * limits imposed by public ACME servers.
+   *
+   * @type {number}
+   */
+  static #RETRY_MSEC = 15 * 60 * 1000;
+
+  /**
+   * Makes a unique temporary file path to write to, as a sibling of the given
+   * path.
+   *
+   * @param {string} path The path of the file that will ultimately be written.
+   * @returns {string} The temporary path.
+   */
+  static #tempPathFor(path) {
+    return `${path}.${process.pid}-${crypto.randomUUID()}`;
+  }
+
+  /**
+   * Writes a file such that it is never seen partially written, by writing to
+   * a temporary file which then gets renamed into place.
+   *
+   * @param {string} path Path of the file to write.
+   * @param {string} data Contents to write.
+   * @param {number} mode File mode (permissions) for the file.
+   */
+  static async #writeFileAtomically(path, data, mode) {
+    const tempPath = this.#tempPathFor(path);
+
+    try {
+      await fs.writeFile(tempPath, data, { flag: 'wx', mode });
+      await fs.rename(tempPath, path);
+    } catch (e) {
+      await fs.rm(tempPath, { force: true });
+      throw e;
+    }
+  }
+}
@@ -0,0 +1,391 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import * as fs from 'node:fs/promises';
+import { watch } from 'node:fs';
+import * as path from 'node:path';
+
+import { Condition, Threadlet } from '@this/async';
+import { WallClock } from '@this/clocky';
+import { IntfLogger } from '@this/loggy-intf';
+import { CertUtil } from '@this/net-util';
+import { MustBe } from '@this/typey';
+
+
+/**
+ * Watcher of the certificate and private key files for a single `NetworkHost`
+ * which is configured with `certificateFile` and `privateKeyFile`. Whenever
+ * either file changes, the pair gets re-read and validated (the key has to
+ * match the certificate, and the certificate has to cover all of the host's
+ * names), and if valid, reported via a callback passed in on construction. The
+ * new pair only takes effect once the callback accepts it. Invalid (or
+ * unaccepted) material is logged and otherwise ignored, leaving the previous
+ * certificate in service. This class also logs the expiration time of each
+ * certificate it puts into service, and periodically warns when the current
+ * certificate is close to expiring.
+ *
+ * Changes are noticed both via filesystem events (on the directories containing
+ * the files, so that replacement-by-rename is noticed) and by periodic
+ * polling, the latter because filesystem events aren't reliable on all
+ * platforms and filesystems.
+ */
+export class CertFileWatcher {
+  /**
+   * Path to the certificate file.
+   *
+   * @type {string}
+   */
+  #certificateFile;
+
+  /**
+   * Path to the private key file.
+   *
+   * @type {string}
+   */
+  #privateKeyFile;
+
+  /**
+   * Hostnames which the certificate has to cover.
+   *
+   * @type {Array<string>}
+   */
+  #hostnames;
+
+  /**
+   * How often to poll the files for changes, in msec.
+   *
+   * @type {number}
+   */
+  #checkMsec;
+
+  /**
+   * How long before expiration to start warning about it, in msec.
+   *
+   * @type {number}
+   */
+  #warnBeforeMsec;
+
+  /**
+   * Logger to use, or `null` to not do any logging.
+   *
+   * @type {?IntfLogger}
+   */
+  #logger;
+
+  /**
+   * Function to call with new certificate parameters.
+   *
+   * @type {function({certificate: string, privateKey: string}): boolean}
+   */
+  #onUpdate;
+
+  /**
+   * Signature of the files' stats as of the last (attempted) load, used to
+   * detect changes.
+   *
+   * @type {?string}
+   */
+  #lastStatsSignature = null;
+
+  /**
+   * Expiration time of the current certificate, in msec since the Unix Epoch.
+   *
+   * @type {?number}
+   */
+  #expiresAtMsec = null;
+
+  /**
+   * When the last expiration warning was logged, in msec since the Unix Epoch.
+   *
+   * @type {?number}
+   */
+  #lastWarnedAtMsec = null;
+
+  /**
+   * Condition which becomes `true` when a filesystem event indicates a
+   * possible change.
+   *
+   * @type {Condition}
+   */
+  #changed = new Condition();
+
+  /**
+   * Active filesystem watchers.
+   *
+   * @type {Array<object>}
+   */
+  #watchers = [];
+
+  /**
+   * Thread which runs this instance.
+   *
+   * @type {Threadlet}
+   */
+  #runner = new Threadlet((ra) => this.#run(ra));
+
+  /**
+   * Constructs an instance.
+   *
+   * @param {object} options Options for the instance.
+   * @param {string} options.certificateFile Path to the certificate file.
+   * @param {string} options.privateKeyFile Path to the private key file.
+   * @param {Array<string>} options.hostnames Hostnames which the certificate
+   *   has to cover.
+   * @param {number} options.checkMsec How often to poll the files for changes,
+   *   in msec.
+   * @param {number} options.warnBeforeMsec How long before expiration to start
+   *   warning about it, in msec.
+   * @param {?IntfLogger} logger Logger to use, or `null` to not do any logging.
+   * @param {function(object): boolean} onUpdate Function to call with new
+   *   certificate parameters (`{ certificate, privateKey }`), whenever the
+   *   files change and contain valid material. It is expected to return `true`
+   *   if it put the new parameters into service, or `false` if it rejected
+   *   them.
+   */
+  constructor(options, logger, onUpdate) {
+    const { certificateFile, privateKeyFile, hostnames, checkMsec, warnBeforeMsec } = options;
+
+    this.#certificateFile = MustBe.string(certificateFile);
+    this.#privateKeyFile  = MustBe.string(privateKeyFile);
+    this.#hostnames       = MustBe.arrayOfString(hostnames);
+    this.#checkMsec       = MustBe.number(checkMsec, { finite: true, minExclusive: 0 });
+    this.#warnBeforeMsec  = MustBe.number(warnBeforeMsec, { finite: true, minInclusive: 0 });
+    this.#logger          = IntfLogger.mustBeInstanceOrNull(logger);
+    this.#onUpdate        = MustBe.callableFunction(onUpdate);
+  }
+
+  /**
+   * Starts this instance, returning the certificate parameters to use
+   * initially. Unlike later reloads, a problem with the initial files is
+   * reported as an error, because there is no previous certificate to fall
+   * back to.
+   *
+   * @returns {{certificate: string, privateKey: string}} The initial
+   *   parameters.
+   * @throws {Error} Thrown if the files can't be read or don't contain a valid
+   *   certificate and key.
+   */
+  async start() {
+    this.#lastStatsSignature = await this.#statsSignature();
+
+    const { parameters, info } = await this.#load();
+
+    this.#commit(info);
+    this.#startWatching();
+    this.#runner.start();
+
+    return parameters;
+  }
+
+  /**
+   * Stops this instance.
+   */
+  async stop() {
+    for (const w of this.#watchers) {
+      w.close();
+    }
+
+    this.#watchers = [];
+    await this.#runner.stop();
+  }
+
+  /**
+   * Checks whether the files have changed, and if so, tries to reload them.
+   */
+  async #checkForChanges() {
+    const signature = await this.#statsSignature();
+
+    if (signature === this.#lastStatsSignature) {
+      return;
+    }
+
+    // Give whatever is writing the files a moment to finish writing both of
+    // them, so as to minimize the chance of seeing a mismatched pair.
+    await WallClock.waitForMsec(CertFileWatcher.#SETTLE_MSEC);
+
+    this.#lastStatsSignature = await this.#statsSignature();
+
+    let loaded;
+
+    try {
+      loaded = await this.#load();
+    } catch (e) {
+      this.#logger?.invalidFiles(e);
+      return;
+    }
+
+    if (this.#onUpdate(loaded.parameters)) {
+      this.#commit(loaded.info);
+    } else {
+      this.#logger?.notAccepted({ subject: loaded.info.subject });
+    }
+  }
+
+  /**
+   * Logs a warning about impending (or past) expiration, if appropriate. To
+   * avoid log spam, this only warns once per day (per certificate).
+   */
+  #checkForExpiration() {
+    const nowMsec  = WallClock.now().atMsec;
+    const warnMsec = this.#expiresAtMsec - this.#warnBeforeMsec;
+
+    if (nowMsec < warnMsec) {
+      return;
+    }
+
+    if (   (this.#lastWarnedAtMsec !== null)
+        && ((nowMsec - this.#lastWarnedAtMsec) < CertFileWatcher.#WARN_INTERVAL_MSEC)) {
+      return;
+    }
+
+    const expires = new Date(this.#expiresAtMsec).toISOString();
+
+    if (nowMsec >= this.#expiresAtMsec) {
+      this.#logger?.expired({ expires });
+    } else {
+      this.#logger?.expiringSoon({ expires });
+    }
+
+    this.#lastWarnedAtMsec = nowMsec;
+  }
+
+  /**
+   * Updates the state of this instance to reflect that a newly-loaded
+   * certificate has been put into service.
+   *
+   * @param {object} info Information about the certificate, as returned from
+   *   `CertUtil.parseCertificatePair()`.
+   */
+  #commit(info) {
+    this.#expiresAtMsec    = info.validTo.atMsec;
+    this.#lastWarnedAtMsec = null;
+
+    this.#logger?.loaded({
+      subject: info.subject,
+      expires: new Date(this.#expiresAtMsec).toISOString()
+    });
+
+    this.#checkForExpiration();
+  }
+
+  /**
+   * Reads and validates the files. This doesn't change the state of this
+   * instance; that's done by {@link #commit}, once the result has been put
+   * into service.
+   *
+   * @returns {{ parameters: {certificate: string, privateKey: string}, info:
+   *   object }} The parameters, along with information about the certificate
+   *   as returned from `CertUtil.parseCertificatePair()`.
+   * @throws {Error} Thrown if the files couldn't be read or didn't contain
+   *   valid material.
+   */
+  async #load() {
+    const certificate = await fs.readFile(this.#certificateFile, 'utf-8');
+    const privateKey  = await fs.readFile(this.#privateKeyFile, 'utf-8');
+    const info        = CertUtil.parseCertificatePair(certificate, privateKey);
+
+    for (const name of this.#hostnames) {
+      if (!CertUtil.coversHostname(certificate, name)) {
+        throw new Error(`Certificate does not cover: ${name}`);
+      }
+    }
+
+    return { parameters: { certificate, privateKey }, info };
+  }
+
+  /**
+   * Runs the main loop of this instance.
+   *
+   * @param {object} runnerAccess Thread runner access object.
+   */
+  async #run(runnerAccess) {
+    while (!runnerAccess.shouldStop()) {
+      // Note: The timer is un-`ref()`ed so that it doesn't keep the process
+      // alive after the rest of the system has stopped.
+      await runnerAccess.raceWhenStopRequested([
+        this.#changed.whenTrue(),
+        WallClock.waitForMsec(this.#checkMsec, { ref: false })
+      ]);
+
+      if (runnerAccess.shouldStop()) {
+        break;
+      }
+
+      this.#changed.value = false;
+
+      try {
+        await this.#checkForChanges();
+      } catch (e) {
+        // Most likely a file is (transiently) missing.
+        this.#logger?.errorChecking(e);
+      }
+
+      this.#checkForExpiration();
+    }
+  }
+
+  /**
+   * Starts watching the directories containing the files.
+   */
+  #startWatching() {
+    const files = [this.#certificateFile, this.#privateKeyFile];
+    const dirs  = new Set(files.map((f) => path.dirname(f)));
+    const names = new Set(files.map((f) => path.basename(f)));
+
+    for (const dir of dirs) {
+      try {
+        const watcher = watch(dir, { persistent: false }, (eventType_unused, fileName) => {
+          if ((fileName === null) || names.has(fileName)) {
+            this.#changed.value = true;
+          }
+        });
+
+        watcher.on('error', (e) => {
+          this.#logger?.watchError(e);
+        });
+
+        this.#watchers.push(watcher);
+      } catch (e) {
+        // Not fatal: Polling will still notice changes.
+        this.#logger?.watchError(e);
+      }
+    }
+  }
+
+  /**
+   * Gets a string which represents the salient stats of both files, for use
+   * in change detection.
+   *
+   * @returns {string} The signature.
+   */
+  async #statsSignature() {
+    const parts = [];
+
+    for (const file of [this.#certificateFile, this.#privateKeyFile]) {
+      const stats = await fs.stat(file, { bigint: true });
+      parts.push(`${stats.ino}/${stats.size}/${stats.mtimeNs}`);
+    }
+
+    return parts.join(' ');
+  }
+
+
+  //
+  // Static members
+  //
+
+  /**
+   * How long to wait after noticing a change before reading the files, in
+   * msec.
+   *
+   * @type {number}
+   */
+  static #SETTLE_MSEC = 250;
+
+  /**
+   * Minimum time between expiration warnings, in msec.
+   *
+   * @type {number}
+   */
+  static #WARN_INTERVAL_MSEC = 24 * 60 * 60 * 1000;
+}
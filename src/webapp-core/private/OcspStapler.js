@@ -0,0 +1,347 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { X509Certificate } from 'node:crypto';
+import * as fs from 'node:fs/promises';
+
+import { Condition, Threadlet } from '@this/async';
+import { WallClock } from '@this/clocky';
+import { Statter } from '@this/fs-util';
+import { IntfLogger } from '@this/loggy-intf';
+import { OcspUtil } from '@this/net-util';
+import { Moment } from '@this/quant';
+import { MustBe } from '@this/typey';
+
+
+/**
+ * Keeper of the OCSP response to staple for a single `NetworkHost` which is
+ * configured with `ocsp`. This takes care of fetching a response for the
+ * host's current certificate from its OCSP responder, refreshing it well
+ * before it expires, and (optionally) caching it in a file, so that a fresh
+ * start doesn't have to wait for the responder. Only responses which say that
+ * the certificate is `good` get stapled.
+ */
+export class OcspStapler {
+  /**
+   * Configuration to use.
+   *
+   * @type {object}
+   */
+  #config;
+
+  /**
+   * Logger to use, or `null` to not do any logging.
+   *
+   * @type {?IntfLogger}
+   */
+  #logger;
+
+  /**
+   * The current certificate, or `null` if there is none which can be stapled.
+   *
+   * @type {?X509Certificate}
+   */
+  #certificate = null;
+
+  /**
+   * The certificate of the issuer of {@link #certificate}, or `null` if there
+   * is none.
+   *
+   * @type {?X509Certificate}
+   */
+  #issuer = null;
+
+  /**
+   * The current response, along with its salient information, or `null` if
+   * there is none.
+   *
+   * @type {?{ response: Buffer, nextUpdate: ?Moment }}
+   */
+  #response = null;
+
+  /**
+   * When the current response is to be refreshed, in msec since the Unix
+   * Epoch.
+   *
+   * @type {number}
+   */
+  #refreshAtMsec = 0;
+
+  /**
+   * Condition which becomes `true` when the certificate changes.
+   *
+   * @type {Condition}
+   */
+  #changed = new Condition();
+
+  /**
+   * Thread which runs this instance.
+   *
+   * @type {Threadlet}
+   */
+  #runner = new Threadlet((ra) => this.#run(ra));
+
+  /**
+   * Constructs an instance.
+   *
+   * @param {object} config The `ocsp` configuration of the host (an instance
+   *   of `NetworkHost.OcspConfig`).
+   * @param {?IntfLogger} logger Logger to use, or `null` to not do any logging.
+   */
+  constructor(config, logger) {
+    this.#config = MustBe.object(config);
+    this.#logger = IntfLogger.mustBeInstanceOrNull(logger);
+  }
+
+  /**
+   * Gets the response to staple for the given certificate, if there is a
+   * current one.
+   *
+   * @param {Buffer} certificate The DER-encoded certificate being presented
+   *   by the server.
+   * @returns {?Buffer} The DER-encoded response to staple, or `null` if there
+   *   is none.
+   */
+  getResponse(certificate) {
+    const response = this.#response;
+
+    if (!(response && this.#certificate.raw.equals(certificate))) {
+      return null;
+    }
+
+    const { nextUpdate } = response;
+
+    if (nextUpdate && nextUpdate.lt(WallClock.now())) {
+      return null;
+    }
+
+    return response.response;
+  }
+
+  /**
+   * Sets the certificate for which to staple responses, e.g. when starting
+   * or when the certificate gets renewed. The certificate chain has to
+   * include the issuer's certificate, as that is needed to make requests and
+   * check responses.
+   *
+   * @param {string} certificate The certificate chain, in PEM form.
+   */
+  setCertificate(certificate) {
+    const [leaf, issuer = null] = OcspStapler.#splitChain(MustBe.string(certificate));
+
+    this.#response      = null;
+    this.#refreshAtMsec = 0;
+
+    if (issuer === null) {
+      this.#logger?.noIssuer();
+      this.#certificate = null;
+      this.#issuer      = null;
+    } else {
+      this.#certificate = leaf;
+      this.#issuer      = issuer;
+    }
+
+    this.#changed.value = true;
+  }
+
+  /**
+   * Starts this instance.
+   *
+   * @param {string} certificate The initial certificate chain, in PEM form.
+   */
+  async start(certificate) {
+    const { cacheDirectory } = this.#config;
+
+    if (cacheDirectory) {
+      await fs.mkdir(cacheDirectory, { recursive: true, mode: 0o700 });
+    }
+
+    this.setCertificate(certificate);
+    this.#runner.start();
+  }
+
+  /**
+   * Stops this instance.
+   */
+  async stop() {
+    await this.#runner.stop();
+  }
+
+  /**
+   * Accepts a response for the current certificate, if it says that the
+   * certificate is `good`, and figures out when it should be refreshed.
+   *
+   * @param {{ response: Buffer, status: string, thisUpdate: Moment,
+   *   nextUpdate: ?Moment }} info The response and its salient information.
+   * @returns {boolean} `true` iff the response was accepted.
+   */
+  #accept(info) {
+    const { response, status, thisUpdate, nextUpdate } = info;
+    const details = {
+      status,
+      thisUpdate: OcspStapler.#isoStringFrom(thisUpdate),
+      nextUpdate: nextUpdate ? OcspStapler.#isoStringFrom(nextUpdate) : null
+    };
+
+    if (status !== 'good') {
+      this.#logger?.notGood(details);
+      return false;
+    }
+
+    const nowMsec     = WallClock.now().atMsec;
+    const refreshMsec = this.#config.refreshPeriod.msec;
+
+    this.#response      = { response, nextUpdate };
+    this.#refreshAtMsec = nextUpdate
+      ? nowMsec + Math.min(refreshMsec, (nextUpdate.atMsec - nowMsec) / 2)
+      : nowMsec + refreshMsec;
+
+    this.#logger?.gotResponse(details);
+
+    return true;
+  }
+
+  /**
+   * Gets the path of the cache file for the current certificate, if caching
+   * is configured.
+   *
+   * @returns {?string} The path, or `null` if not caching.
+   */
+  #cachePath() {
+    const { cacheDirectory } = this.#config;
+
+    if (!cacheDirectory) {
+      return null;
+    }
+
+    const fingerprint = this.#certificate.fingerprint256.replaceAll(':', '');
+
+    return `${cacheDirectory}/${fingerprint}.ocsp`;
+  }
+
+  /**
+   * Fetches a new response for the current certificate, and caches it if
+   * appropriate.
+   */
+  async #fetch() {
+    const certificate = this.#certificate;
+    const info        = await OcspUtil.fetchResponse(certificate, this.#issuer, {
+      responderUrl: this.#config.responderUrl
+    });
+
+    if (certificate !== this.#certificate) {
+      // The certificate changed while the fetch was in progress.
+      return;
+    }
+
+    if (this.#accept(info)) {
+      const cachePath = this.#cachePath();
+
+      if (cachePath) {
+        await fs.writeFile(cachePath, info.response);
+      }
+    }
+  }
+
+  /**
+   * Reads the cached response for the current certificate, if there is one
+   * and it is still valid.
+   *
+   * @returns {boolean} `true` iff a cached response was found and accepted.
+   */
+  async #readCache() {
+    const cachePath = this.#cachePath();
+
+    if (!(cachePath && await Statter.fileExists(cachePath))) {
+      return false;
+    }
+
+    try {
+      const response = await fs.readFile(cachePath);
+      const info     = OcspUtil.parseResponse(response, this.#certificate, this.#issuer);
+
+      return this.#accept({ response, ...info });
+    } catch (e) {
+      this.#logger?.badCache(e);
+      return false;
+    }
+  }
+
+  /**
+   * Runs the main loop of this instance.
+   *
+   * @param {object} runnerAccess Thread runner access object.
+   */
+  async #run(runnerAccess) {
+    while (!runnerAccess.shouldStop()) {
+      this.#changed.value = false;
+
+      const certificate = this.#certificate;
+      let   waitMsec    = this.#config.refreshPeriod.msec;
+
+      if (certificate) {
+        const nowMsec = WallClock.now().atMsec;
+
+        if (nowMsec >= this.#refreshAtMsec) {
+          try {
+            if (!((this.#response === null) && await this.#readCache())) {
+              await this.#fetch();
+            }
+          } catch (e) {
+            this.#logger?.errorFetching(e);
+          }
+
+          if ((certificate === this.#certificate) && (this.#refreshAtMsec <= nowMsec)) {
+            // There was a problem, so try again later (but not too much
+            // later).
+            this.#refreshAtMsec = nowMsec + Math.min(waitMsec, OcspStapler.#RETRY_MSEC);
+          }
+        }
+
+        waitMsec = Math.max(this.#refreshAtMsec - WallClock.now().atMsec, 0);
+      }
+
+      // Note: The timer is un-`ref()`ed so that it doesn't keep the process
+      // alive after the rest of the system has stopped.
+      await runnerAccess.raceWhenStopRequested([
+        this.#changed.whenTrue(),
+        WallClock.waitForMsec(waitMsec, { ref: false })
+      ]);
+    }
+  }
+
+
+  //
+  // Static members
+  //
+
+  /**
+   * How long to wait before retrying after a failure to fetch a response, in
+   * msec.
+   *
+   * @type {number}
+   */
+  static #RETRY_MSEC = 5 * 60 * 1000;
+
+  /**
+   * Converts a moment to an ISO-format string, for logging.
+   *
+   * @param {Moment} moment The moment.
+   * @returns {string} The string form.
+   */
+  static #isoStringFrom(moment) {
+    return new Date(moment.atMsec).toISOString();
+  }
+
+  /**
+   * Splits a PEM certificate chain into its certificates.
+   *
+   * @param {string} chain The chain.
+   * @returns {Array<X509Certificate>} The certificates.
+   */
+  static #splitChain(chain) {
+    const pems = chain.match(/-----BEGIN CERTIFICATE-----[^-]+-----END CERTIFICATE-----/g) ?? [];
+
+    return pems.map((p) => new X509Certificate(p));
+  }
+}
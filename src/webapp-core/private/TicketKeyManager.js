@@ -0,0 +1,222 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import * as crypto from 'node:crypto';
+import * as fs from 'node:fs/promises';
+import process from 'node:process';
+
+import { Threadlet } from '@this/async';
+import { WallClock } from '@this/clocky';
+import { Statter } from '@this/fs-util';
+import { IntfLogger } from '@this/loggy-intf';
+import { MustBe } from '@this/typey';
+
+
+/**
+ * Manager of the TLS session ticket keys for a `HostManager` which is
+ * configured with `sessionTickets`. The keys live in a file, so that they
+ * survive restarts and can be shared between processes (and so that session
+ * resumption keeps working across both). This class reads the file, and
+ * rotates the keys (that is, writes a new random key to the file) whenever the
+ * file is older than the configured rotation period. Changes made to the file
+ * by anything else (e.g. another process sharing the file) get noticed by
+ * polling.
+ *
+ * The file is expected to contain exactly 48 bytes, which is the form used by
+ * Node's `tls.Server.setTicketKeys()` (and also the form produced by, e.g.,
+ * `openssl rand 48`).
+ */
+export class TicketKeyManager {
+  /**
+   * Path to the key file.
+   *
+   * @type {string}
+   */
+  #keyFile;
+
+  /**
+   * How often to rotate the keys, in msec.
+   *
+   * @type {number}
+   */
+  #rotateMsec;
+
+  /**
+   * Logger to use, or `null` to not do any logging.
+   *
+   * @type {?IntfLogger}
+   */
+  #logger;
+
+  /**
+   * The current keys, or `null` if not yet loaded.
+   *
+   * @type {?Buffer}
+   */
+  #keys = null;
+
+  /**
+   * Signature of the file's stats as of the last load, used to detect
+   * changes.
+   *
+   * @type {?string}
+   */
+  #lastStatsSignature = null;
+
+  /**
+   * Thread which runs this instance.
+   *
+   * @type {Threadlet}
+   */
+  #runner = new Threadlet((ra) => this.#run(ra));
+
+  /**
+   * Constructs an instance.
+   *
+   * @param {object} options Options for the instance.
+   * @param {string} options.keyFile Path to the key file.
+   * @param {number} options.rotateMsec How often to rotate the keys, in msec.
+   * @param {?IntfLogger} logger Logger to use, or `null` to not do any logging.
+   */
+  constructor(options, logger) {
+    const { keyFile, rotateMsec } = options;
+
+    this.#keyFile    = MustBe.string(keyFile);
+    this.#rotateMsec = MustBe.number(rotateMsec, { finite: true, minExclusive: 0 });
+    this.#logger     = IntfLogger.mustBeInstanceOrNull(logger);
+  }
+
+  /**
+   * @returns {?Buffer} The current keys, in the form expected by
+   * `tls.Server.setTicketKeys()`, or `null` if not yet loaded. A new `Buffer`
+   * is returned whenever the keys change, so callers can use identity to
+   * detect changes.
+   */
+  get keys() {
+    return this.#keys;
+  }
+
+  /**
+   * Starts this instance. Unlike later reloads, a problem with the initial
+   * file is reported as an error.
+   *
+   * @throws {Error} Thrown if the file can't be read or written, or doesn't
+   *   contain valid keys.
+   */
+  async start() {
+    await this.#refresh();
+    this.#runner.start();
+  }
+
+  /**
+   * Stops this instance.
+   */
+  async stop() {
+    await this.#runner.stop();
+  }
+
+  /**
+   * Loads the keys from the file if it has changed, or rotates them if the
+   * file is missing or old enough.
+   */
+  async #refresh() {
+    const stats   = await Statter.statElseNull(this.#keyFile);
+    const ageMsec = stats ? (WallClock.now().atMsec - stats.mtimeMs) : null;
+
+    if ((stats === null) || (ageMsec >= this.#rotateMsec)) {
+      await this.#rotate();
+      return;
+    }
+
+    const signature = TicketKeyManager.#statsSignatureFrom(stats);
+
+    if (signature === this.#lastStatsSignature) {
+      return;
+    }
+
+    const keys = await fs.readFile(this.#keyFile);
+
+    if (keys.length !== TicketKeyManager.#KEYS_LENGTH) {
+      throw new Error(`Session ticket key file must be exactly ${TicketKeyManager.#KEYS_LENGTH} bytes.`);
+    }
+
+    this.#keys               = keys;
+    this.#lastStatsSignature = signature;
+    this.#logger?.loaded();
+  }
+
+  /**
+   * Makes new keys, and writes them to the file. The file is written by
+   * renaming a temporary file, so that other readers never see a partially
+   * written file.
+   */
+  async #rotate() {
+    const keys     = crypto.randomBytes(TicketKeyManager.#KEYS_LENGTH);
+    const tempFile = `${this.#keyFile}.${process.pid}.tmp`;
+
+    await fs.writeFile(tempFile, keys, { mode: 0o600 });
+    await fs.rename(tempFile, this.#keyFile);
+
+    this.#keys               = keys;
+    this.#lastStatsSignature = TicketKeyManager.#statsSignatureFrom(await fs.stat(this.#keyFile));
+    this.#logger?.rotated();
+  }
+
+  /**
+   * Runs the main loop of this instance.
+   *
+   * @param {object} runnerAccess Thread runner access object.
+   */
+  async #run(runnerAccess) {
+    const checkMsec = Math.min(this.#rotateMsec, TicketKeyManager.#CHECK_MSEC);
+
+    while (!runnerAccess.shouldStop()) {
+      // Note: The timer is un-`ref()`ed so that it doesn't keep the process
+      // alive after the rest of the system has stopped.
+      await runnerAccess.raceWhenStopRequested([
+        WallClock.waitForMsec(checkMsec, { ref: false })
+      ]);
+
+      if (runnerAccess.shouldStop()) {
+        break;
+      }
+
+      try {
+        await this.#refresh();
+      } catch (e) {
+        // Keep using the old keys.
+        this.#logger?.errorRefreshing(e);
+      }
+    }
+  }
+
+
+  //
+  // Static members
+  //
+
+  /**
+   * Maximum time between checks of the file, in msec.
+   *
+   * @type {number}
+   */
+  static #CHECK_MSEC = 60 * 1000;
+
+  /**
+   * Length of the keys, in bytes.
+   *
+   * @type {number}
+   */
+  static #KEYS_LENGTH = 48;
+
+  /**
+   * Gets a string which represents the salient stats of a file, for use in
+   * change detection.
+   *
+   * @param {fs.Stats} stats The stats.
+   * @returns {string} The signature.
+   */
+  static #statsSignatureFrom(stats) {
+    return `${stats.ino}/${stats.size}/${stats.mtimeMs}`;
+  }
+}
@@ -0,0 +1,328 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { WallClock } from '@this/clocky';
+import { PathKey } from '@this/collections';
+import { MockComponent, MockRootComponent } from '@this/compy/testing';
+import { BaseLoggingEnvironment, Loggy } from '@this/loggy';
+import { MetricsRegistry } from '@this/metricy';
+import { DispatchInfo, EndpointAddress, FullResponse, HttpHeaders,
+  IncomingRequest, InterfaceAddress, RequestContext, StatusResponse }
+  from '@this/net-util';
+import { BaseApplication } from '@this/webapp-core';
+
+
+/**
+ * Application which responds to everything, with the response determined by
+ * the `handler` property.
+ */
+class HandlerApp extends BaseApplication {
+  handler = () => {
+    const response = new FullResponse();
+    response.status = 200;
+    response.setBodyString('Hello!', 'text/plain');
+    return response;
+  };
+
+  async _impl_handleRequest(request, dispatch) {
+    return this.handler(request, dispatch);
+  }
+}
+
+/**
+ * Application which acts as a response filter, appending its name to the
+ * header `x-filters`, or doing whatever the `filter` property says.
+ */
+class FilterApp extends BaseApplication {
+  filter = null;
+
+  async _impl_filterResponse(request, dispatch, response) {
+    if (this.filter) {
+      return this.filter(request, dispatch, response);
+    }
+
+    response.headers.append('x-filters', this.name);
+    return null;
+  }
+}
+
+/**
+ * Logging environment which just collects payloads.
+ */
+class CollectingEnvironment extends BaseLoggingEnvironment {
+  payloads = [];
+
+  _impl_logPayload(payload) {
+    this.payloads.push(payload);
+  }
+
+  _impl_makeId() {
+    return 'xyz';
+  }
+
+  _impl_makeStackTrace(omitCount_unused) {
+    return null;
+  }
+
+  _impl_now() {
+    return WallClock.now();
+  }
+}
+
+function makeRequest() {
+  return new IncomingRequest({
+    context: new RequestContext(
+      new InterfaceAddress('localhost:12345'),
+      new EndpointAddress('99.88.77.66', 54321)),
+    headers:       new HttpHeaders(),
+    protocolName:  'http-2',
+    pseudoHeaders: new HttpHeaders({
+      authority: 'your.host',
+      method:    'get',
+      path:      '/florp',
+      scheme:    'https'
+    })
+  });
+}
+
+async function makeApps(...apps) {
+  const root = new MockRootComponent();
+  await root.start();
+
+  root.applicationManager = {
+    get(name) {
+      return root.context.getComponent(['application', name]);
+    }
+  };
+
+  const appsComponent = new MockComponent({ name: 'application' });
+  await root.addAll(appsComponent);
+
+  // Add in reverse order, so that the referenced filters are all present by the
+  // time the referencing applications get started.
+  await appsComponent.addAll(...[...apps].reverse());
+
+  return apps;
+}
+
+async function handle(app, logger = null) {
+  const request = makeRequest();
+  return app.handleRequest(request, new DispatchInfo(PathKey.EMPTY, request.pathname, logger));
+}
+
+describe('constructor', () => {
+  test('accepts a valid `responseFilters`', () => {
+    const app = new HandlerApp({ name: 'x', responseFilters: ['a', 'b'] });
+    expect(app.config.responseFilters).toEqual(['a', 'b']);
+  });
+
+  test('defaults `responseFilters` to `[]`', () => {
+    const app = new HandlerApp({ name: 'x' });
+    expect(app.config.responseFilters).toEqual([]);
+  });
+
+  test.each`
+  value
+  ${'a b'}
+  ${['@']}
+  ${[123]}
+  `('rejects `responseFilters: $value`', ({ value }) => {
+    expect(() => new HandlerApp({ name: 'x', responseFilters: value })).toThrow();
+  });
+});
+
+describe('filterResponse()', () => {
+  test('returns `null` in the default implementation', async () => {
+    const [app]    = await makeApps(new HandlerApp({ name: 'x' }));
+    const request  = makeRequest();
+    const response = new FullResponse();
+    const dispatch = new DispatchInfo(PathKey.EMPTY, request.pathname);
+
+    expect(await app.filterResponse(request, dispatch, response)).toBeNull();
+  });
+
+  test('rejects an invalid return value from `_impl_filterResponse()`', async () => {
+    const [app]    = await makeApps(new FilterApp({ name: 'x' }));
+    const request  = makeRequest();
+    const dispatch = new DispatchInfo(PathKey.EMPTY, request.pathname);
+
+    app.filter = () => StatusResponse.NOT_FOUND;
+    await expect(app.filterResponse(request, dispatch, new FullResponse())).rejects.toThrow();
+  });
+});
+
+describe('handleRequest()', () => {
+  test('applies response filters in the configured order', async () => {
+    const [app] = await makeApps(
+      new HandlerApp({ name: 'main', responseFilters: ['f1', 'f2', 'f1'] }),
+      new FilterApp({ name: 'f1' }),
+      new FilterApp({ name: 'f2' }));
+
+    const result = await handle(app);
+
+    expect(result.status).toBe(200);
+    expect(result.headers.get('x-filters')).toBe('f1, f2, f1');
+  });
+
+  test('applies inner filters before outer ones', async () => {
+    const [outer, inner] = await makeApps(
+      new HandlerApp({ name: 'outer', responseFilters: ['f2'] }),
+      new HandlerApp({ name: 'inner', responseFilters: ['f1'] }),
+      new FilterApp({ name: 'f1' }),
+      new FilterApp({ name: 'f2' }));
+
+    outer.handler = (request, dispatch) => inner.handleRequest(request, dispatch);
+
+    const result = await handle(outer);
+    expect(result.headers.get('x-filters')).toBe('f1, f2');
+  });
+
+  test('does not modify the original response', async () => {
+    const [app] = await makeApps(
+      new HandlerApp({ name: 'main', responseFilters: ['f1'] }),
+      new FilterApp({ name: 'f1' }));
+    const original = new FullResponse();
+
+    original.status = 200;
+    original.setNoBody();
+    app.handler = () => original;
+
+    const result = await handle(app);
+    expect(result).not.toBe(original);
+    expect(result.headers.get('x-filters')).toBe('f1');
+    expect(original.headers.has('x-filters')).toBeFalse();
+  });
+
+  test('expands a `StatusResponse` in order to filter it', async () => {
+    const [app] = await makeApps(
+      new HandlerApp({ name: 'main', responseFilters: ['f1'] }),
+      new FilterApp({ name: 'f1' }));
+
+    app.handler = () => StatusResponse.NOT_FOUND;
+
+    const result = await handle(app);
+    expect(result).toBeInstanceOf(FullResponse);
+    expect(result.status).toBe(404);
+    expect(result.headers.get('x-filters')).toBe('f1');
+  });
+
+  test('uses a replacement response returned by a filter', async () => {
+    const [app, f1] = await makeApps(
+      new HandlerApp({ name: 'main', responseFilters: ['f1', 'f2'] }),
+      new FilterApp({ name: 'f1' }),
+      new FilterApp({ name: 'f2' }));
+
+    f1.filter = (request_unused, dispatch_unused, response) => {
+      const result = new FullResponse();
+      result.status = 203;
+      result.setBodyString(`${response.bodyBuffer}!!`, 'text/plain');
+      return result;
+    };
+
+    const result = await handle(app);
+    expect(result.status).toBe(203);
+    expect(result.bodyBuffer.toString()).toBe('Hello!!!');
+    expect(result.headers.get('x-filters')).toBe('f2');
+  });
+
+  test('does not call filters when the request is not handled', async () => {
+    const [app, f1] = await makeApps(
+      new HandlerApp({ name: 'main', responseFilters: ['f1'] }),
+      new FilterApp({ name: 'f1' }));
+    let called = false;
+
+    app.handler = () => null;
+    f1.filter = () => {
+      called = true;
+      return null;
+    };
+
+    expect(await handle(app)).toBeNull();
+    expect(called).toBeFalse();
+  });
+
+  test('propagates an error thrown by a filter', async () => {
+    const [app, f1] = await makeApps(
+      new HandlerApp({ name: 'main', responseFilters: ['f1'] }),
+      new FilterApp({ name: 'f1' }));
+
+    f1.filter = () => {
+      throw new Error('Oy!');
+    };
+
+    await expect(handle(app)).rejects.toThrow('Oy!');
+  });
+
+  test('does dispatch logging of filtering', async () => {
+    const [app] = await makeApps(
+      new HandlerApp({ name: 'main', responseFilters: ['f1'] }),
+      new FilterApp({ name: 'f1' }));
+    const env    = new CollectingEnvironment();
+    const logger = Loggy.loggerFor('top', env);
+
+    await handle(app, logger);
+
+    const got = env.payloads.map((p) => [p.tag.context.join('.'), p.type]);
+    expect(got).toEqual([
+      ['main',    'handling'],
+      ['main',    'applyingFilter'],
+      ['main.f1', 'filtering'],
+      ['main.f1', 'filtered'],
+      ['main',    'handled']
+    ]);
+
+    expect(env.payloads[1].args).toEqual([{ application: 'f1' }]);
+  });
+
+  test('records request metrics, by application and result', async () => {
+    const [app] = await makeApps(new HandlerApp({ name: 'metered' }));
+    const registry = MetricsRegistry.DEFAULT;
+    const requests = registry.counter({
+      name:       'lactoserv_application_requests',
+      help:       'x',
+      labelNames: ['application', 'result']
+    });
+    const duration = registry.histogram({
+      name:       'lactoserv_application_request_duration_seconds',
+      help:       'x',
+      labelNames: ['application']
+    });
+
+    await handle(app);
+    app.handler = () => null;
+    await handle(app);
+    await handle(app);
+
+    expect(requests.get({ application: 'metered', result: 'handled' })).toBe(1);
+    expect(requests.get({ application: 'metered', result: 'notHandled' })).toBe(2);
+    expect(duration.get({ application: 'metered' }).count).toBe(3);
+  });
+});
+
+describe('_prot_copyResponse()', () => {
+  test('expands a `StatusResponse`', () => {
+    const app    = new HandlerApp({ name: 'x' });
+    const result = app._prot_copyResponse(makeRequest(), StatusResponse.FORBIDDEN);
+
+    expect(result).toBeInstanceOf(FullResponse);
+    expect(result.status).toBe(403);
+  });
+
+  test('copies a `FullResponse`, such that the original is unaffected by changes', () => {
+    const app      = new HandlerApp({ name: 'x' });
+    const original = app.handler();
+    const result   = app._prot_copyResponse(makeRequest(), original);
+
+    expect(result).toBeInstanceOf(FullResponse);
+    expect(result).not.toBe(original);
+    expect(result.bodyBuffer.toString()).toBe('Hello!');
+
+    result.headers.set('x-florp', 'zonk');
+    expect(original.headers.has('x-florp')).toBeFalse();
+  });
+
+  test('returns `null` given a response of another type', () => {
+    const app = new HandlerApp({ name: 'x' });
+    expect(app._prot_copyResponse(makeRequest(), { florp: 'zonk' })).toBeNull();
+  });
+});
@@ -0,0 +1,168 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import * as fs from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import * as tls from 'node:tls';
+
+import { MockRootComponent } from '@this/compy/testing';
+import { ProtocolWranglers } from '@this/net-protocol';
+import { CertUtil, FullResponse, InterfaceAddress } from '@this/net-util';
+import { HostManager, NetworkHost } from '@this/webapp-core';
+
+
+/**
+ * Makes a configuration for `clientAuth` which allows peers without a
+ * certificate (so that tests can connect without one).
+ *
+ * @returns {object} The configuration.
+ */
+async function makeClientAuthConfig() {
+  const { certificate } = await CertUtil.makeSelfSignedPair(['ca.example']);
+
+  return { certificateAuthorities: certificate, rejectUnauthorized: false };
+}
+
+describe('isMisdirected()', () => {
+  let root;
+  let hostManager;
+
+  beforeAll(async () => {
+    root        = new MockRootComponent();
+    hostManager = new HostManager({ name: 'host' });
+
+    await root.start();
+    await root.addAll(hostManager);
+    await hostManager.addAll(
+      new NetworkHost({ hostnames: ['a.example', '*.a.example'], selfSigned: true }),
+      new NetworkHost({ hostnames: 'b.example', selfSigned: true }),
+      new NetworkHost({ hostnames: '*', selfSigned: true }),
+      new NetworkHost({
+        hostnames:  'c.example',
+        selfSigned: true,
+        clientAuth: await makeClientAuthConfig()
+      }));
+  }, 30_000);
+
+  afterAll(async () => {
+    await root.stop();
+  });
+
+  test.each`
+  serverName     | hostname              | expected
+  ${'a.example'} | ${'a.example'}        | ${false}
+  ${'a.example'} | ${'x.a.example'}      | ${false}
+  ${'a.example'} | ${'b.example'}        | ${false}
+  ${'a.example'} | ${'unserved.example'} | ${false}
+  ${'a.example'} | ${'c.example'}        | ${true}
+  ${'c.example'} | ${'a.example'}        | ${true}
+  ${'c.example'} | ${'c.example'}        | ${false}
+  ${'c.example'} | ${'unserved.example'} | ${true}
+  ${null}        | ${'a.example'}        | ${false}
+  ${null}        | ${'c.example'}        | ${true}
+  `('returns `$expected` given `($serverName, $hostname)`', ({ serverName, hostname, expected }) => {
+    expect(hostManager.isMisdirected(serverName, hostname)).toBe(expected);
+  });
+});
+
+describe('use by a secure wrangler', () => {
+  let root;
+  let hostManager;
+  let dir;
+  let wrangler;
+
+  /**
+   * Request handler which responds to everything with a simple `200`.
+   *
+   * @type {object}
+   */
+  const requestHandler = {
+    async handleRequest() {
+      const response = new FullResponse();
+
+      response.status = 200;
+      response.setBodyString('Hello!', 'text/plain');
+
+      return response;
+    }
+  };
+
+  /**
+   * Connects to the wrangler via TLS, asking for the given name via SNI (if
+   * any), makes an HTTP1 request with the given `host`, and returns the status
+   * line of the response.
+   *
+   * @param {?string} serverName The name to ask for via SNI, or `null` not to
+   *   ask for one.
+   * @param {string} host The `host` of the request.
+   * @returns {string} The status line of the response.
+   */
+  async function statusLineFor(serverName, host) {
+    const socket = tls.connect({
+      path:               wrangler.interface.path,
+      ...(serverName ? { servername: serverName } : {}),
+      rejectUnauthorized: false,
+      ALPNProtocols:      ['http/1.1']
+    });
+
+    const chunks = [];
+    socket.on('data', (data) => chunks.push(data));
+
+    await new Promise((resolve, reject) => {
+      socket.once('close', resolve);
+      socket.once('error', reject);
+      socket.write(`GET / HTTP/1.1\r\nHost: ${host}\r\nConnection: close\r\n\r\n`);
+    });
+
+    return Buffer.concat(chunks).toString('latin1').split('\r\n')[0];
+  }
+
+  beforeAll(async () => {
+    root        = new MockRootComponent();
+    hostManager = new HostManager({ name: 'host' });
+    dir         = await fs.mkdtemp(`${tmpdir()}/lactoserv-test-`);
+
+    await root.start();
+    await root.addAll(hostManager);
+    await hostManager.addAll(
+      new NetworkHost({ hostnames: 'a.example', selfSigned: true }),
+      new NetworkHost({ hostnames: 'b.example', selfSigned: true }),
+      new NetworkHost({ hostnames: '*', selfSigned: true }),
+      new NetworkHost({
+        hostnames:  'c.example',
+        selfSigned: true,
+        clientAuth: await makeClientAuthConfig()
+      }));
+
+    wrangler = ProtocolWranglers.make({
+      protocol:  'https',
+      interface: new InterfaceAddress(`unix:${dir}/test.sock`),
+      hostManager,
+      requestHandler
+    });
+
+    await wrangler.init(null);
+    await wrangler.start();
+  }, 30_000);
+
+  afterAll(async () => {
+    await wrangler.stop(false);
+    await root.stop();
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test.each`
+  serverName     | host           | status
+  ${'a.example'} | ${'a.example'} | ${200}
+  ${'a.example'} | ${'b.example'} | ${200}
+  ${null}        | ${'a.example'} | ${200}
+  ${'c.example'} | ${'c.example'} | ${200}
+  ${'a.example'} | ${'c.example'} | ${421}
+  ${'c.example'} | ${'a.example'} | ${421}
+  ${null}        | ${'c.example'} | ${421}
+  `('responds `$status` to a request for `$host` asked for via SNI as `$serverName`', async ({ serverName, host, status }) => {
+    const statusLine = await statusLineFor(serverName, host);
+
+    expect(statusLine).toStartWith(`HTTP/1.1 ${status} `);
+  });
+});
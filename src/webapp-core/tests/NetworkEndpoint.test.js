@@ -1,6 +1,7 @@
 // Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
 // SPDX-License-Identifier: Apache-2.0
 
+import { ByteCount, Duration } from '@this/quant';
 import { NetworkEndpoint } from '@this/webapp-core';
 
 
@@ -15,4 +16,309 @@ describe('constructor', () => {
       }
     })).not.toThrow();
   });
+
+  test.each`
+  protocol    | requiresCerts
+  ${'http'}   | ${false}
+  ${'http2'}  | ${true}
+  ${'http2c'} | ${false}
+  ${'https'}  | ${true}
+  `('accepts `protocol: $protocol`', ({ protocol, requiresCerts }) => {
+    const ep = new NetworkEndpoint({ application: 'florp', interface: '*:1234', protocol });
+
+    expect(ep.config.protocol).toBe(protocol);
+    expect(ep.config.requiresCertificates()).toBe(requiresCerts);
+  });
+
+  test('rejects an unknown protocol', () => {
+    expect(() => new NetworkEndpoint({
+      application: 'florp',
+      interface:   '*:1234',
+      protocol:    'http3x'
+    })).toThrow();
+  });
+});
+
+describe('config.drainTimeout', () => {
+  const baseConfig = {
+    application: 'florp',
+    interface:   '*:1234',
+    protocol:    'http'
+  };
+
+  test('defaults to five seconds', () => {
+    const ep = new NetworkEndpoint(baseConfig);
+    expect(ep.config.drainTimeout).toBeInstanceOf(Duration);
+    expect(ep.config.drainTimeout.sec).toBe(5);
+  });
+
+  test.each`
+  value               | expected
+  ${'0 sec'}          | ${0}
+  ${'250 msec'}       | ${0.25}
+  ${'2 min'}          | ${120}
+  ${new Duration(5)}  | ${5}
+  `('accepts `$value`', ({ value, expected }) => {
+    const ep = new NetworkEndpoint({ ...baseConfig, drainTimeout: value });
+    expect(ep.config.drainTimeout.sec).toBe(expected);
+  });
+
+  test.each`
+  value
+  ${'-1 sec'}
+  ${'florp'}
+  ${null}
+  ${123}
+  `('rejects `$value`', ({ value }) => {
+    expect(() => new NetworkEndpoint({ ...baseConfig, drainTimeout: value })).toThrow();
+  });
+});
+
+describe('config.limits', () => {
+  const baseConfig = {
+    application: 'florp',
+    interface:   '*:1234',
+    protocol:    'http2'
+  };
+
+  test('defaults each item to `null`', () => {
+    const ep = new NetworkEndpoint(baseConfig);
+
+    const { http2InitialWindowSize, http2MaxConcurrentStreams, maxHeaderCount, maxHeaderSize } =
+      ep.config.limits;
+    expect(http2InitialWindowSize).toBeNull();
+    expect(http2MaxConcurrentStreams).toBeNull();
+    expect(maxHeaderCount).toBeNull();
+    expect(maxHeaderSize).toBeNull();
+  });
+
+  test('accepts a valid configuration', () => {
+    const ep = new NetworkEndpoint({
+      ...baseConfig,
+      limits: {
+        http2InitialWindowSize:    '1 MiB',
+        http2MaxConcurrentStreams: 100,
+        maxHeaderCount:            50,
+        maxHeaderSize:             new ByteCount(8192)
+      }
+    });
+
+    const { http2InitialWindowSize, http2MaxConcurrentStreams, maxHeaderCount, maxHeaderSize } =
+      ep.config.limits;
+    expect(http2InitialWindowSize.byte).toBe(1024 * 1024);
+    expect(http2MaxConcurrentStreams).toBe(100);
+    expect(maxHeaderCount).toBe(50);
+    expect(maxHeaderSize.byte).toBe(8192);
+  });
+
+  test.each`
+  value
+  ${{ http2InitialWindowSize: '2 GiB' }}
+  ${{ http2InitialWindowSize: '-1 byte' }}
+  ${{ http2InitialWindowSize: '1.5 byte' }}
+  ${{ http2MaxConcurrentStreams: 0 }}
+  ${{ http2MaxConcurrentStreams: 2 ** 32 }}
+  ${{ http2MaxConcurrentStreams: '100' }}
+  ${{ maxHeaderCount: 0 }}
+  ${{ maxHeaderCount: 1.5 }}
+  ${{ maxHeaderSize: '0 byte' }}
+  ${{ maxHeaderSize: 'florp' }}
+  ${{ maxHeaderSize: 8192 }}
+  ${'florp'}
+  `('rejects `$value`', ({ value }) => {
+    expect(() => new NetworkEndpoint({ ...baseConfig, limits: value })).toThrow();
+  });
+});
+
+describe('config.proxyProtocol', () => {
+  const baseConfig = {
+    application: 'florp',
+    interface:   '*:1234',
+    protocol:    'http'
+  };
+
+  test('defaults to `null`', () => {
+    const ep = new NetworkEndpoint(baseConfig);
+    expect(ep.config.proxyProtocol).toBeNull();
+  });
+
+  test('accepts a valid configuration', () => {
+    const ep = new NetworkEndpoint({
+      ...baseConfig,
+      proxyProtocol: { trustedSources: ['10.0.0.0/8', '::1'] }
+    });
+
+    const { trustedSources } = ep.config.proxyProtocol;
+    expect(trustedSources.ranges).toEqual(['10.0.0.0/8', '::1/128']);
+    expect(trustedSources.has('10.1.2.3')).toBeTrue();
+    expect(trustedSources.has('11.1.2.3')).toBeFalse();
+  });
+
+  test.each`
+  value
+  ${{}}
+  ${{ trustedSources: 'florp' }}
+  ${{ trustedSources: ['10.0.0.0/33'] }}
+  ${'10.0.0.0/8'}
+  `('rejects `$value`', ({ value }) => {
+    expect(() => new NetworkEndpoint({ ...baseConfig, proxyProtocol: value })).toThrow();
+  });
+});
+
+describe('config.timeouts', () => {
+  const baseConfig = {
+    application: 'florp',
+    interface:   '*:1234',
+    protocol:    'http'
+  };
+
+  test('defaults each item to `null`', () => {
+    const ep = new NetworkEndpoint(baseConfig);
+
+    const { headerRead, idleSocket, keepAlive, request } = ep.config.timeouts;
+    expect(headerRead).toBeNull();
+    expect(idleSocket).toBeNull();
+    expect(keepAlive).toBeNull();
+    expect(request).toBeNull();
+  });
+
+  test('accepts a valid configuration', () => {
+    const ep = new NetworkEndpoint({
+      ...baseConfig,
+      timeouts: {
+        headerRead: '10 sec',
+        idleSocket: '2 min',
+        keepAlive:  new Duration(15),
+        request:    '1 min'
+      }
+    });
+
+    const { headerRead, idleSocket, keepAlive, request } = ep.config.timeouts;
+    expect(headerRead.sec).toBe(10);
+    expect(idleSocket.sec).toBe(120);
+    expect(keepAlive.sec).toBe(15);
+    expect(request.sec).toBe(60);
+  });
+
+  test.each`
+  name
+  ${'headerRead'}
+  ${'keepAlive'}
+  ${'request'}
+  `('accepts `$name: 0`', ({ name }) => {
+    const ep = new NetworkEndpoint({ ...baseConfig, timeouts: { [name]: '0 sec' } });
+    expect(ep.config.timeouts[name].sec).toBe(0);
+  });
+
+  test('accepts `headerRead` longer than `request` when the latter is `0`', () => {
+    const timeouts = { headerRead: '10 min', request: '0 sec' };
+    expect(() => new NetworkEndpoint({ ...baseConfig, timeouts })).not.toThrow();
+  });
+
+  test.each`
+  value
+  ${{ idleSocket: '0 sec' }}
+  ${{ headerRead: '-1 sec' }}
+  ${{ keepAlive: 'florp' }}
+  ${{ request: 123 }}
+  ${{ headerRead: '2 min', request: '1 min' }}
+  ${'florp'}
+  `('rejects `$value`', ({ value }) => {
+    expect(() => new NetworkEndpoint({ ...baseConfig, timeouts: value })).toThrow();
+  });
+});
+
+describe('config.trustedProxies', () => {
+  const baseConfig = {
+    application: 'florp',
+    interface:   '*:1234',
+    protocol:    'http'
+  };
+
+  test('defaults to `null`', () => {
+    const ep = new NetworkEndpoint(baseConfig);
+    expect(ep.config.trustedProxies).toBeNull();
+  });
+
+  test('accepts a valid value', () => {
+    const ep = new NetworkEndpoint({ ...baseConfig, trustedProxies: ['10.0.0.0/8', '[fd00::]/8'] });
+
+    expect(ep.config.trustedProxies.ranges).toEqual(['10.0.0.0/8', 'fd00::/8']);
+  });
+
+  test.each`
+  value
+  ${'florp'}
+  ${['10.0.0.0/8', 'florp']}
+  ${123}
+  `('rejects `$value`', ({ value }) => {
+    expect(() => new NetworkEndpoint({ ...baseConfig, trustedProxies: value })).toThrow();
+  });
+});
+
+describe('config.unixSocket', () => {
+  const baseConfig = {
+    application: 'florp',
+    interface:   'unix:/run/florp.sock',
+    protocol:    'http'
+  };
+
+  test('defaults to `null`', () => {
+    const ep = new NetworkEndpoint(baseConfig);
+    expect(ep.config.unixSocket).toBeNull();
+  });
+
+  test('accepts a valid value', () => {
+    const ep = new NetworkEndpoint({
+      ...baseConfig,
+      unixSocket: { owner: 1000, group: 33, mode: 0o660 }
+    });
+
+    const { group, mode, owner } = ep.config.unixSocket;
+    expect(owner).toBe(1000);
+    expect(group).toBe(33);
+    expect(mode).toBe(0o660);
+  });
+
+  test('defaults each item to `null`', () => {
+    const ep = new NetworkEndpoint({ ...baseConfig, unixSocket: {} });
+
+    const { group, mode, owner } = ep.config.unixSocket;
+    expect(owner).toBeNull();
+    expect(group).toBeNull();
+    expect(mode).toBeNull();
+  });
+
+  test.each`
+  mode      | expected
+  ${'660'}  | ${0o660}
+  ${'0600'} | ${0o600}
+  ${'1777'} | ${0o1777}
+  ${0o666}  | ${0o666}
+  `('accepts `mode: $mode`', ({ mode, expected }) => {
+    const ep = new NetworkEndpoint({ ...baseConfig, unixSocket: { mode } });
+    expect(ep.config.unixSocket.mode).toBe(expected);
+  });
+
+  test.each`
+  value
+  ${{ mode: '999' }}
+  ${{ mode: 'rw-rw----' }}
+  ${{ mode: 0o10000 }}
+  ${{ mode: -1 }}
+  ${{ owner: -1 }}
+  ${{ owner: 'florp' }}
+  ${{ group: 1.5 }}
+  ${'florp'}
+  `('rejects `$value`', ({ value }) => {
+    expect(() => new NetworkEndpoint({ ...baseConfig, unixSocket: value })).toThrow();
+  });
+
+  test('rejects use with a non-Unix-socket interface', () => {
+    expect(() => new NetworkEndpoint({
+      ...baseConfig,
+      interface:  '*:1234',
+      unixSocket: { mode: 0o660 }
+    })).toThrow();
+  });
 });
@@ -1,14 +1,342 @@
 // Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
 // SPDX-License-Identifier: Apache-2.0
 
+import * as fs from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+
+import { WallClock } from '@this/clocky';
+import { MockRootComponent } from '@this/compy/testing';
+import { CertUtil, PeerCertificate } from '@this/net-util';
 import { NetworkHost } from '@this/webapp-core';
 
 
 describe('constructor', () => {
+  const ACME = {
+    cacheDirectory:       '/var/cache/acme',
+    directoryUrl:         'https://acme.example/directory',
+    termsOfServiceAgreed: true
+  };
+
   test('accepts a valid minimal self-signed configuration', () => {
     expect(() => new NetworkHost({
       hostnames:  '*',
       selfSigned: true
     })).not.toThrow();
   });
+
+  test('accepts a valid minimal file-based configuration', () => {
+    expect(() => new NetworkHost({
+      hostnames:       'example.com',
+      certificateFile: '/etc/certs/example.pem',
+      privateKeyFile:  '/etc/certs/example-key.pem'
+    })).not.toThrow();
+  });
+
+  test('parses file-based durations', () => {
+    const host = new NetworkHost({
+      hostnames:        'example.com',
+      certificateFile:  '/etc/certs/example.pem',
+      privateKeyFile:   '/etc/certs/example-key.pem',
+      fileCheckPeriod:  '10 sec',
+      warnBeforeExpiry: '7 day'
+    });
+
+    expect(host.config.fileCheckPeriod.sec).toBe(10);
+    expect(host.config.warnBeforeExpiry.sec).toBe(7 * 24 * 60 * 60);
+  });
+
+  test.each`
+    label                              | extra
+    ${'no certificate source at all'}  | ${{}}
+    ${'just `certificateFile`'}        | ${{ certificateFile: '/x/cert.pem' }}
+    ${'just `privateKeyFile`'}         | ${{ privateKeyFile: '/x/key.pem' }}
+    ${'a relative `certificateFile`'}  | ${{ certificateFile: 'cert.pem', privateKeyFile: '/x/key.pem' }}
+    ${'both files and `selfSigned`'}   | ${{ certificateFile: '/x/cert.pem', privateKeyFile: '/x/key.pem', selfSigned: true }}
+    ${'a too-long `fileCheckPeriod`'}  | ${{ certificateFile: '/x/cert.pem', privateKeyFile: '/x/key.pem', fileCheckPeriod: '2 day' }}
+  `('rejects configuration with $label', ({ extra }) => {
+    expect(() => new NetworkHost({ hostnames: 'example.com', ...extra })).toThrow();
+  });
+
+  test('accepts a valid minimal ACME configuration', () => {
+    expect(() => new NetworkHost({
+      hostnames: ['example.com', 'www.example.com'],
+      acme:      ACME
+    })).not.toThrow();
+  });
+
+  test('parses ACME durations', () => {
+    const host = new NetworkHost({
+      hostnames: 'example.com',
+      acme:      { ...ACME, renewBefore: '20 day', checkPeriod: '6 hr' }
+    });
+
+    expect(host.config.acme.renewBefore.sec).toBe(20 * 24 * 60 * 60);
+    expect(host.config.acme.checkPeriod.sec).toBe(6 * 60 * 60);
+  });
+
+  test.each`
+    label                    | hostnames          | extra
+    ${'a wildcard'}          | ${'*.example.com'} | ${{}}
+    ${'a full wildcard'}     | ${'*'}             | ${{}}
+    ${'an IP address'}       | ${'127.0.0.1'}     | ${{}}
+    ${'`selfSigned`'}        | ${'example.com'}   | ${{ selfSigned: true }}
+    ${'a relative path'}     | ${'example.com'}   | ${{ acme: { ...ACME, cacheDirectory: 'florp' } }}
+    ${'a non-URL'}           | ${'example.com'}   | ${{ acme: { ...ACME, directoryUrl: 'florp' } }}
+    ${'a bad `renewBefore`'} | ${'example.com'}   | ${{ acme: { ...ACME, renewBefore: 'florp' } }}
+  `('rejects ACME configuration with $label', ({ hostnames, extra }) => {
+    expect(() => new NetworkHost({ hostnames, acme: ACME, ...extra })).toThrow();
+  });
+});
+
+describe('config.clientAuth', () => {
+  const SOME_CERT =
+    '-----BEGIN CERTIFICATE-----\n' +
+    'ABCDEFG+/abcdefg1234567890=\n' +
+    '-----END CERTIFICATE-----\n';
+
+  const baseConfig = {
+    hostnames:  'example.com',
+    selfSigned: true
+  };
+
+  const makePeer = (subject, subjectAltNames = []) => {
+    return new PeerCertificate({
+      fingerprint:  'AB:CD:EF',
+      issuer:       'CN=Example CA',
+      serialNumber: '1234',
+      subject,
+      subjectAltNames
+    });
+  };
+
+  test('defaults to `null`', () => {
+    const host = new NetworkHost(baseConfig);
+    expect(host.config.clientAuth).toBeNull();
+  });
+
+  test('accepts a valid minimal configuration', () => {
+    const host = new NetworkHost({
+      ...baseConfig,
+      clientAuth: { certificateAuthorities: SOME_CERT }
+    });
+
+    const { allowedSubjectAltNames, allowedSubjects, certificateAuthorities, rejectUnauthorized } =
+      host.config.clientAuth;
+    expect(certificateAuthorities).toBe(SOME_CERT);
+    expect(rejectUnauthorized).toBeTrue();
+    expect(allowedSubjects).toBeNull();
+    expect(allowedSubjectAltNames).toBeNull();
+  });
+
+  test('accepts a valid full configuration', () => {
+    const host = new NetworkHost({
+      ...baseConfig,
+      clientAuth: {
+        certificateAuthorities: Buffer.from(SOME_CERT),
+        rejectUnauthorized:     false,
+        allowedSubjects:        ['O=Example, CN=*'],
+        allowedSubjectAltNames: ['email:*@example.com']
+      }
+    });
+
+    const { allowedSubjectAltNames, allowedSubjects, certificateAuthorities, rejectUnauthorized } =
+      host.config.clientAuth;
+    expect(certificateAuthorities).toBe(SOME_CERT);
+    expect(rejectUnauthorized).toBeFalse();
+    expect(allowedSubjects).toEqual(['O=Example, CN=*']);
+    expect(allowedSubjectAltNames).toEqual(['email:*@example.com']);
+  });
+
+  test.each`
+  value
+  ${{}}
+  ${{ certificateAuthorities: 'florp' }}
+  ${{ certificateAuthorities: SOME_CERT, allowedSubjects: ['florp'] }}
+  ${{ certificateAuthorities: SOME_CERT, allowedSubjectAltNames: ['florp'] }}
+  ${{ certificateAuthorities: SOME_CERT, rejectUnauthorized: 'yes' }}
+  ${'florp'}
+  `('rejects `$value`', ({ value }) => {
+    expect(() => new NetworkHost({ ...baseConfig, clientAuth: value })).toThrow();
+  });
+
+  describe('.allows()', () => {
+    const configFor = (extra) => {
+      const host = new NetworkHost({
+        ...baseConfig,
+        clientAuth: { certificateAuthorities: SOME_CERT, ...extra }
+      });
+
+      return host.config.clientAuth;
+    };
+
+    test('allows everything when there are no patterns', () => {
+      const config = configFor({});
+      expect(config.allows(makePeer('CN=florp'))).toBeTrue();
+      expect(config.allows(makePeer('O=Other, CN=zonk', ['DNS:zonk.example']))).toBeTrue();
+    });
+
+    test.each`
+    subject                  | altNames                            | expected
+    ${'O=Example, CN=admin'} | ${[]}                               | ${true}
+    ${'o=example, cn=ADMIN'}  | ${[]}                        | ${true}
+    ${'O=Example, CN=guest'} | ${[]}                               | ${false}
+    ${'O=Other, CN=admin'}   | ${[]}                               | ${false}
+    ${'CN=zonk'}             | ${['email:ops@example.com']}        | ${true}
+    ${'CN=zonk'}             | ${['DNS:ops.example.com']}          | ${false}
+    ${'CN=zonk'}             | ${['email:ops@example.org']}        | ${false}
+    ${'CN=zonk'}             | ${['DNS:x', 'email:a@example.com']} | ${true}
+    `('allows `$subject` with `$altNames`: $expected', ({ subject, altNames, expected }) => {
+      const config = configFor({
+        allowedSubjects:        ['O=Example, CN=admin'],
+        allowedSubjectAltNames: ['email:*@example.com']
+      });
+
+      expect(config.allows(makePeer(subject, altNames))).toBe(expected);
+    });
+
+    test('treats regex-special characters in patterns literally', () => {
+      const config = configFor({ allowedSubjects: ['CN=a.b+c'] });
+
+      expect(config.allows(makePeer('CN=a.b+c'))).toBeTrue();
+      expect(config.allows(makePeer('CN=axbbc'))).toBeFalse();
+    });
+  });
+});
+
+describe('config.ocsp', () => {
+  const baseConfig = {
+    hostnames:       'example.com',
+    certificateFile: '/etc/certs/example.pem',
+    privateKeyFile:  '/etc/certs/example-key.pem'
+  };
+
+  test('defaults to `null`', () => {
+    const host = new NetworkHost(baseConfig);
+    expect(host.config.ocsp).toBeNull();
+  });
+
+  test('accepts an empty configuration, with defaults filled in', () => {
+    const host = new NetworkHost({ ...baseConfig, ocsp: {} });
+
+    const { cacheDirectory, refreshPeriod, responderUrl } = host.config.ocsp;
+    expect(cacheDirectory).toBeNull();
+    expect(refreshPeriod.sec).toBe(12 * 60 * 60);
+    expect(responderUrl).toBeNull();
+  });
+
+  test('accepts a valid full configuration', () => {
+    const host = new NetworkHost({
+      ...baseConfig,
+      ocsp: {
+        cacheDirectory: '/var/cache/ocsp',
+        refreshPeriod:  '1 hr',
+        responderUrl:   'http://ocsp.example.com/'
+      }
+    });
+
+    const { cacheDirectory, refreshPeriod, responderUrl } = host.config.ocsp;
+    expect(cacheDirectory).toBe('/var/cache/ocsp');
+    expect(refreshPeriod.sec).toBe(60 * 60);
+    expect(responderUrl).toBe('http://ocsp.example.com/');
+  });
+
+  test.each`
+  value
+  ${{ cacheDirectory: 'florp' }}
+  ${{ refreshPeriod: '1 sec' }}
+  ${{ refreshPeriod: '30 day' }}
+  ${{ refreshPeriod: 'florp' }}
+  ${{ responderUrl: 'florp' }}
+  ${'florp'}
+  `('rejects `$value`', ({ value }) => {
+    expect(() => new NetworkHost({ ...baseConfig, ocsp: value })).toThrow();
+  });
+
+  test('rejects use with `selfSigned`', () => {
+    expect(() => new NetworkHost({ hostnames: '*', selfSigned: true, ocsp: {} })).toThrow();
+  });
+});
+
+describe('certificate file reloading', () => {
+  let dir;
+  let goodPair;
+  let otherPair;
+  let wrongPair;
+
+  beforeAll(async () => {
+    goodPair  = await CertUtil.makeSelfSignedPair(['florp.example']);
+    otherPair = await CertUtil.makeSelfSignedPair(['florp.example']);
+    wrongPair = await CertUtil.makeSelfSignedPair(['zonk.example']);
+  }, 30_000);
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(`${tmpdir()}/lactoserv-test-`);
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  const writeFiles = async ({ certificate, privateKey }) => {
+    await fs.writeFile(`${dir}/cert.pem`, certificate);
+    await fs.writeFile(`${dir}/key.pem`, privateKey);
+  };
+
+  const makeHost = async () => {
+    const root = new MockRootComponent();
+    const host = new NetworkHost({
+      hostnames:       'florp.example',
+      certificateFile: `${dir}/cert.pem`,
+      privateKeyFile:  `${dir}/key.pem`,
+      fileCheckPeriod: '1 sec'
+    });
+
+    await root.start();
+    await root.addAll(host);
+
+    return { root, host };
+  };
+
+  const waitForCertificate = async (host, certificate) => {
+    for (let i = 0; i < 50; i++) {
+      if (host.getParameters().certificate === certificate) {
+        break;
+      }
+
+      await WallClock.waitForMsec(100);
+    }
+
+    return host.getParameters().certificate;
+  };
+
+  test('puts valid replacement files into service', async () => {
+    await writeFiles(goodPair);
+    const { root, host } = await makeHost();
+
+    expect(host.getParameters().certificate).toBe(goodPair.certificate);
+
+    await writeFiles(otherPair);
+    expect(await waitForCertificate(host, otherPair.certificate)).toBe(otherPair.certificate);
+
+    await root.stop();
+  }, 10_000);
+
+  test.each`
+  label                                   | replacement
+  ${'a certificate for the wrong host'}   | ${() => wrongPair}
+  ${'a key which does not match'}         | ${() => ({ ...goodPair, privateKey: otherPair.privateKey })}
+  `('keeps the old files in service when replaced by $label', async ({ replacement }) => {
+    await writeFiles(goodPair);
+    const { root, host } = await makeHost();
+
+    await writeFiles(replacement());
+    await WallClock.waitForMsec(2000);
+    expect(host.getParameters().certificate).toBe(goodPair.certificate);
+
+    // ...but the watcher is still watching.
+    await writeFiles(otherPair);
+    expect(await waitForCertificate(host, otherPair.certificate)).toBe(otherPair.certificate);
+
+    await root.stop();
+  }, 15_000);
 });
@@ -8,4 +8,24 @@ describe('constructor', () => {
   test('accepts a valid minimal configuration', () => {
     expect(() => new WebappRoot({})).not.toThrow();
   });
+
+  test('accepts a valid `sessionTickets` configuration', () => {
+    const root = new WebappRoot({
+      sessionTickets: { keyFile: '/var/lib/keys', rotatePeriod: '1 hr' }
+    });
+
+    const { keyFile, rotatePeriod } = root.config.sessionTickets;
+    expect(keyFile).toBe('/var/lib/keys');
+    expect(rotatePeriod.sec).toBe(60 * 60);
+  });
+
+  test.each`
+  value
+  ${{}}
+  ${{ keyFile: 'florp' }}
+  ${{ keyFile: '/x/keys', rotatePeriod: '1 sec' }}
+  ${{ keyFile: '/x/keys', rotatePeriod: 'florp' }}
+  `('rejects `sessionTickets` of `$value`', ({ value }) => {
+    expect(() => new WebappRoot({ sessionTickets: value })).toThrow();
+  });
 });
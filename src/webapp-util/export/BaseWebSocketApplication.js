@@ -0,0 +1,180 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { IntfDataRateLimiter } from '@this/net-protocol';
+import { DispatchInfo, IncomingRequest, StatusResponse, WebSocketConnection,
+  WebSocketResponse }
+  from '@this/net-util';
+import { ByteCount } from '@this/quant';
+import { Methods, MustBe } from '@this/typey';
+import { BaseApplication } from '@this/webapp-core';
+
+
+/**
+ * Base class for applications which accept WebSocket connections, that is,
+ * which handle bidirectional message streams. Requests which aren't WebSocket
+ * handshake requests are not handled (so that, e.g., a router can fall back to
+ * a different application), and malformed handshake requests are responded to
+ * with status `400` ("Bad Request"). Valid handshake requests get accepted,
+ * after which {@link #_impl_handleConnection} is called to run the session.
+ *
+ * WebSocket sessions are logged to the endpoint's access log (if any) once
+ * they are closed, as a single request whose response content length is the
+ * count of bytes sent over the course of the session.
+ *
+ * See `doc/configuration` for details on how instances of this class are
+ * configured.
+ */
+export class BaseWebSocketApplication extends BaseApplication {
+  /**
+   * Data rate limiter to apply to sessions, or `null` if there is none. Set in
+   * {@link #_impl_start}.
+   *
+   * @type {?IntfDataRateLimiter}
+   */
+  #dataRateLimiter = null;
+
+  // @defaultConstructor
+
+  /**
+   * Handles a single WebSocket session. When this method returns (or throws),
+   * the connection gets closed if it isn't already, with status `1000` ("normal
+   * closure") for a regular return, or `1011` ("internal error") for a throw.
+   *
+   * @abstract
+   * @param {WebSocketConnection} connection The connection.
+   * @param {IncomingRequest} request The handshake request which was used to
+   *   establish the connection.
+   * @param {DispatchInfo} dispatch Dispatch information for `request`.
+   */
+  async _impl_handleConnection(connection, request, dispatch) {
+    Methods.abstract(connection, request, dispatch);
+  }
+
+  /** @override */
+  async _impl_handleRequest(request, dispatch) {
+    if (request.upgradeProtocol !== 'websocket') {
+      return null;
+    }
+
+    if (!WebSocketResponse.isValidRequest(request)) {
+      return StatusResponse.BAD_REQUEST;
+    }
+
+    const { maxMessageSize } = this.config;
+    const logger             = dispatch.logger ?? request.logger;
+    const limiter            = this.#dataRateLimiter;
+
+    const streamWrapper = limiter
+      ? (stream) => limiter.call('wrapWriter', stream, logger)
+      : null;
+
+    const handler = (connection) => {
+      return this._impl_handleConnection(connection, request, dispatch);
+    };
+
+    return new WebSocketResponse(handler, {
+      logger:          logger?.webSocket ?? null,
+      maxMessageBytes: maxMessageSize.byte,
+      protocol:        this.#selectProtocol(request),
+      streamWrapper
+    });
+  }
+
+  /** @override */
+  async _impl_start() {
+    const { dataRateLimiter } = this.config;
+
+    if (dataRateLimiter) {
+      this.#dataRateLimiter =
+        this.root.serviceManager.get(dataRateLimiter, IntfDataRateLimiter);
+    }
+
+    await super._impl_start();
+  }
+
+  /** @override */
+  async _impl_stop(willReload) {
+    this.#dataRateLimiter = null;
+    await super._impl_stop(willReload);
+  }
+
+  /**
+   * Selects the subprotocol to use for the given request, if any. This is the
+   * first of the configured `protocols` which was also requested by the client.
+   *
+   * @param {IncomingRequest} request The handshake request.
+   * @returns {?string} The selected subprotocol, or `null` if none.
+   */
+  #selectProtocol(request) {
+    const { protocols } = this.config;
+    const requested     = request.headers.get('sec-websocket-protocol');
+
+    if (!requested || (protocols.length === 0)) {
+      return null;
+    }
+
+    const requestedSet = new Set(requested.split(',').map((p) => p.trim()));
+
+    for (const p of protocols) {
+      if (requestedSet.has(p)) {
+        return p;
+      }
+    }
+
+    return null;
+  }
+
+
+  //
+  // Static members
+  //
+
+  /** @override */
+  static _impl_configClass() {
+    return class Config extends super.prototype.constructor.configClass {
+      // @defaultConstructor
+
+      /**
+       * Name of the data rate limiter service to apply to sessions, or `null`
+       * not to do data rate limiting (beyond what is done by the endpoint).
+       *
+       * @param {?string} [value] Proposed configuration value. Default `null`.
+       * @returns {?string} Accepted configuration value.
+       */
+      _config_dataRateLimiter(value = null) {
+        return (value === null) ? null : MustBe.string(value);
+      }
+
+      /**
+       * Maximum allowed size of a received message. If passed as a string, it
+       * is parsed by {@link ByteCount#parse}.
+       *
+       * @param {string|ByteCount} [value] Proposed configuration value. Default
+       *   `1 MiB`.
+       * @returns {ByteCount} Accepted configuration value.
+       */
+      _config_maxMessageSize(value = '1 MiB') {
+        const result = ByteCount.parse(value, { range: { minInclusive: 0 } });
+
+        if (result === null) {
+          throw new Error(`Could not parse \`maxMessageSize\`: ${value}`);
+        }
+
+        return result;
+      }
+
+      /**
+       * Subprotocols which are supported, in order of preference.
+       *
+       * @param {Array<string>} [value] Proposed configuration value. Default
+       *   `[]`.
+       * @returns {Array<string>} Accepted configuration value.
+       */
+      _config_protocols(value = []) {
+        MustBe.arrayOfString(value, /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/);
+        return Object.freeze([...value]);
+      }
+    };
+  }
+}
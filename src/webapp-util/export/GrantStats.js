@@ -0,0 +1,134 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { Duration } from '@this/quant';
+import { MustBe } from '@this/typey';
+
+
+/**
+ * Cumulative statistics about the results of token grant requests, as made
+ * via `TokenBucket.requestGrant()` (or similar). This keeps track of the
+ * number of grants and tokens granted, the number of denials (by reason), and
+ * the distribution of time spent waiting for grants.
+ *
+ * The wait time distribution is kept as a histogram with fixed bucket
+ * boundaries, in the cumulative form used by (e.g.) Prometheus, that is, each
+ * bucket counts all the observations less than or equal to its boundary.
+ */
+export class GrantStats {
+  /**
+   * Number of successful grants.
+   *
+   * @type {number}
+   */
+  #grantCount = 0;
+
+  /**
+   * Total quantity of tokens granted.
+   *
+   * @type {number}
+   */
+  #grantedTokens = 0;
+
+  /**
+   * Number of denials, by reason.
+   *
+   * @type {Map<string, number>}
+   */
+  #denials = new Map();
+
+  /**
+   * Non-cumulative counts of wait times of successful grants, one per element
+   * of {@link #WAIT_TIME_BOUNDS}, plus a final element for anything larger.
+   *
+   * @type {Array<number>}
+   */
+  #waitCounts = Array(GrantStats.#WAIT_TIME_BOUNDS.length + 1).fill(0);
+
+  /**
+   * Sum of wait times of successful grants, in seconds.
+   *
+   * @type {number}
+   */
+  #waitSumSec = 0;
+
+  // @defaultConstructor
+
+  /**
+   * Records the result of a grant request.
+   *
+   * @param {{ done: boolean, grant: number, reason: string, waitTime:
+   *   Duration }} result The result, in the form returned by
+   *   `TokenBucket.requestGrant()`.
+   */
+  record(result) {
+    const { done, grant, reason, waitTime } = result;
+
+    if (!done) {
+      this.#denials.set(reason, (this.#denials.get(reason) ?? 0) + 1);
+      return;
+    }
+
+    const waitSec = MustBe.instanceOf(waitTime, Duration).sec;
+    const bounds  = GrantStats.#WAIT_TIME_BOUNDS;
+    let   at      = bounds.findIndex((b) => (waitSec <= b));
+
+    if (at === -1) {
+      at = bounds.length;
+    }
+
+    this.#grantCount++;
+    this.#grantedTokens += grant;
+    this.#waitCounts[at]++;
+    this.#waitSumSec += waitSec;
+  }
+
+  /**
+   * Gets a snapshot of the statistics. The result is a plain object with the
+   * following bindings:
+   *
+   * * `{number} grantCount` -- The number of successful grants.
+   * * `{number} grantedTokens` -- The total quantity of tokens granted.
+   * * `{object} denials` -- The number of denials, as a plain object from
+   *   reason to count.
+   * * `{object} waitTime` -- Distribution of the wait times of successful
+   *   grants, with bindings:
+   *   * `{Array<{ le: number, count: number }>} buckets` -- Cumulative
+   *     histogram buckets, where `le` is the bucket boundary in seconds. The
+   *     last bucket has `le === Number.POSITIVE_INFINITY`.
+   *   * `{number} count` -- Total count, which is the same as `grantCount`.
+   *   * `{number} sum` -- Sum of all wait times, in seconds.
+   *
+   * @returns {object} The snapshot.
+   */
+  snapshot() {
+    const bounds  = [...GrantStats.#WAIT_TIME_BOUNDS, Number.POSITIVE_INFINITY];
+    const buckets = [];
+    let   count   = 0;
+
+    for (let i = 0; i < bounds.length; i++) {
+      count += this.#waitCounts[i];
+      buckets.push({ le: bounds[i], count });
+    }
+
+    return {
+      grantCount:    this.#grantCount,
+      grantedTokens: this.#grantedTokens,
+      denials:       Object.fromEntries(this.#denials),
+      waitTime:      { buckets, count, sum: this.#waitSumSec }
+    };
+  }
+
+
+  //
+  // Static members
+  //
+
+  /**
+   * Upper boundaries of the wait time histogram buckets, in seconds, not
+   * including the final infinite one.
+   *
+   * @type {Array<number>}
+   */
+  static #WAIT_TIME_BOUNDS = Object.freeze([0, 0.001, 0.01, 0.1, 1, 10, 60]);
+}
@@ -0,0 +1,56 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { Frequency } from '@this/quant';
+import { Methods } from '@this/typey';
+
+
+/**
+ * Interface for a store of token bucket burst state, which can be shared
+ * between `TokenBucket` instances (including ones which live in different
+ * processes), so that they all draw from a single budget. A store
+ * only keeps track of the burst capacity (the tokens "in the bucket") of each
+ * of its buckets; the queues of grant waiters stay with the individual
+ * `TokenBucket` instances.
+ *
+ * Buckets within a store are identified by string keys, and a bucket's state
+ * is created the first time its key is used. A store is allowed to forget a
+ * bucket which has been idle long enough for it to have filled back up.
+ *
+ * @interface
+ */
+export class IntfTokenBucketStore {
+  // @defaultConstructor
+
+  /**
+   * Atomically tops up the indicated bucket (based on the time elapsed since
+   * it was last touched) and then takes tokens from it, within the given
+   * range. If the minimum can't be met, then no tokens are taken. The return
+   * value is an object with the following bindings:
+   *
+   * * `{number} availableBurstSize` -- The burst capacity remaining in the
+   *   bucket, after the grant (if any).
+   * * `{number} grant` -- The quantity of tokens granted. This is `0` if the
+   *   minimum couldn't be met, and can also be `0` if the minimum requested
+   *   grant is in fact `0`.
+   *
+   * Implementations are expected not to reject due to (e.g.) communication
+   * problems, but instead to recover or fall back to something reasonable.
+   *
+   * @abstract
+   * @param {string} key The key which identifies the bucket.
+   * @param {object} options Bucket options. These are used to create the
+   *   bucket state if it doesn't yet exist, and to do the top-up.
+   * @param {Frequency} options.flowRate Token flow rate.
+   * @param {number} options.initialBurstSize Burst capacity of a new bucket.
+   * @param {number} options.maxBurstSize Maximum burst capacity.
+   * @param {boolean} options.partialTokens Grant partial tokens?
+   * @param {number} minInclusive Minimum quantity of tokens to grant.
+   * @param {number} maxInclusive Maximum quantity of tokens to grant.
+   * @returns {{ availableBurstSize: number, grant: number }} Result of the
+   *   request, as described above.
+   */
+  async take(key, options, minInclusive, maxInclusive) {
+    throw Methods.abstract(key, options, minInclusive, maxInclusive);
+  }
+}
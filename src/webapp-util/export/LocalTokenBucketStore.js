@@ -0,0 +1,133 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { IntfTimeSource, StdTimeSource } from '@this/clocky';
+import { MustBe } from '@this/typey';
+
+import { IntfTokenBucketStore } from '#x/IntfTokenBucketStore';
+
+
+/**
+ * In-process implementation of {@link IntfTokenBucketStore}. This is useful
+ * for sharing a budget between `TokenBucket`s in a single process (including
+ * as a stand-in for a cross-process store, in tests), and it is also what
+ * does the actual work on the serving side of `SocketTokenBucketStore`.
+ *
+ * Buckets which have been idle long enough to have filled back up get
+ * forgotten (checked periodically). If a forgotten bucket is used again, it
+ * starts over with its initial burst capacity.
+ *
+ * @implements {IntfTokenBucketStore}
+ */
+export class LocalTokenBucketStore extends IntfTokenBucketStore {
+  /**
+   * Time measurement implementation.
+   *
+   * @type {IntfTimeSource}
+   */
+  #timeSource;
+
+  /**
+   * Map from each key to the state of its bucket.
+   *
+   * @type {Map<string, { burstSize: number, lastNowSec: number, fullAtSec:
+   *   number }>}
+   */
+  #buckets = new Map();
+
+  /**
+   * When to next check for buckets to forget, in seconds (according to
+   * {@link #timeSource}).
+   *
+   * @type {number}
+   */
+  #nextSweepAtSec = 0;
+
+  /**
+   * Constructs an instance.
+   *
+   * @param {object} [options] Configuration options.
+   * @param {IntfTimeSource} [options.timeSource] What to use to determine the
+   *   passage of time. Defaults to the standard time source.
+   */
+  constructor(options = {}) {
+    super();
+
+    const { timeSource = StdTimeSource.INSTANCE } = options;
+
+    this.#timeSource = MustBe.instanceOf(timeSource, IntfTimeSource);
+  }
+
+  /**
+   * @returns {number} The number of buckets currently being tracked.
+   */
+  get bucketCount() {
+    return this.#buckets.size;
+  }
+
+  /** @override */
+  async take(key, options, minInclusive, maxInclusive) {
+    const { flowRate, initialBurstSize, maxBurstSize, partialTokens } = options;
+    const nowSec = this.#timeSource.now().atSec;
+
+    this.#sweep(nowSec);
+
+    let state = this.#buckets.get(key);
+
+    if (state) {
+      const elapsedSec = nowSec - state.lastNowSec;
+      state.burstSize  = state.burstSize + (elapsedSec * flowRate.hertz);
+    } else {
+      state = { burstSize: initialBurstSize, lastNowSec: nowSec, fullAtSec: nowSec };
+      this.#buckets.set(key, state);
+    }
+
+    // Note: Clamping here (instead of just when topping up) also takes care
+    // of the case where the bucket's options changed to have a smaller
+    // maximum (e.g., because of a configuration reload).
+    state.burstSize  = Math.min(state.burstSize, maxBurstSize);
+    state.lastNowSec = nowSec;
+
+    const available = partialTokens ? state.burstSize : Math.floor(state.burstSize);
+    const grant     = (available < minInclusive)
+      ? 0
+      : Math.min(available, maxInclusive, maxBurstSize);
+
+    state.burstSize -= grant;
+    state.fullAtSec  = nowSec + ((maxBurstSize - state.burstSize) / flowRate.hertz);
+
+    return { availableBurstSize: state.burstSize, grant };
+  }
+
+  /**
+   * Forgets buckets which have filled back up, if it is time to check for
+   * them.
+   *
+   * @param {number} nowSec The current time, in seconds.
+   */
+  #sweep(nowSec) {
+    if (nowSec < this.#nextSweepAtSec) {
+      return;
+    }
+
+    for (const [key, { fullAtSec }] of this.#buckets) {
+      if (fullAtSec <= nowSec) {
+        this.#buckets.delete(key);
+      }
+    }
+
+    this.#nextSweepAtSec = nowSec + LocalTokenBucketStore.#SWEEP_SEC;
+  }
+
+
+  //
+  // Static members
+  //
+
+  /**
+   * How often to check for buckets to forget, in seconds.
+   *
+   * @type {number}
+   */
+  static #SWEEP_SEC = 60;
+}
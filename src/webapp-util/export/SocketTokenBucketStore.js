@@ -0,0 +1,691 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import * as fs from 'node:fs/promises';
+import { Server, Socket, connect as netConnect, createServer as netCreateServer }
+  from 'node:net';
+import process from 'node:process';
+
+import { ManualPromise, Threadlet } from '@this/async';
+import { WallClock } from '@this/clocky';
+import { IntfLogger } from '@this/loggy-intf';
+import { Frequency } from '@this/quant';
+import { MustBe } from '@this/typey';
+
+import { IntfTokenBucketStore } from '#x/IntfTokenBucketStore';
+import { LocalTokenBucketStore } from '#x/LocalTokenBucketStore';
+
+
+/**
+ * Implementation of {@link IntfTokenBucketStore} which shares bucket state
+ * between processes (on a single machine) via a Unix domain socket. Whichever
+ * process gets to the socket first serves the state (holding it in a
+ * {@link LocalTokenBucketStore}), and the others connect to it as clients. If
+ * the serving process goes away, the remaining ones race to take over, and the
+ * state starts over from scratch.
+ *
+ * To take over, an instance listens on a socket with a unique temporary name
+ * and then hard-links it to the configured path, which only works if nothing
+ * is already there. A socket file left behind by a process which went away
+ * only gets removed after double-checking that it is still the same file and
+ * still refuses connections. And because that double-check can still (rarely)
+ * lose a race with another process, the serving instance periodically checks
+ * that the socket file is still its own, and stops serving if not (at which
+ * point its clients reconnect to whichever instance is now serving).
+ *
+ * If the socket can't be used at all (e.g., because of a permissions problem),
+ * or if the serving process doesn't respond to a request in a timely manner,
+ * an instance falls back to keeping its state locally, and tries the socket
+ * again later. That is, a broken socket results in per-process limits, not in
+ * failures (or hangs).
+ *
+ * The protocol is newline-delimited JSON, with each request being a call to
+ * {@link #take} (plus an `id`), and each response being the result of a call
+ * (plus the `id` of the request). Responses are not necessarily sent in the
+ * order of the requests.
+ *
+ * @implements {IntfTokenBucketStore}
+ */
+export class SocketTokenBucketStore extends IntfTokenBucketStore {
+  /**
+   * Path to the socket.
+   *
+   * @type {string}
+   */
+  #path;
+
+  /**
+   * Logger to use, or `null` to not do any logging.
+   *
+   * @type {?IntfLogger}
+   */
+  #logger;
+
+  /**
+   * How long to wait for a response from the server, in msec, before giving up
+   * on it and falling back to local state.
+   *
+   * @type {number}
+   */
+  #requestTimeoutMsec;
+
+  /**
+   * The state, when this instance is the one serving it (or is falling back
+   * to local state).
+   *
+   * @type {LocalTokenBucketStore}
+   */
+  #local = new LocalTokenBucketStore();
+
+  /**
+   * The server socket, if this instance is serving the state.
+   *
+   * @type {?Server}
+   */
+  #server = null;
+
+  /**
+   * Identity of the socket file, if this instance is serving the state.
+   *
+   * @type {?{ dev: number, ino: number }}
+   */
+  #socketFileId = null;
+
+  /**
+   * Thread which checks that the socket file is still this instance's own, once
+   * this instance has (ever) started serving.
+   *
+   * @type {Threadlet}
+   */
+  #watcher = new Threadlet((ra) => this.#watch(ra));
+
+  /**
+   * Connections from clients, if this instance is serving the state.
+   *
+   * @type {Set<Socket>}
+   */
+  #clients = new Set();
+
+  /**
+   * The connection to the server, if this instance is a client.
+   *
+   * @type {?Socket}
+   */
+  #socket = null;
+
+  /**
+   * Promise for the result of the connection attempt in progress, if any.
+   *
+   * @type {?Promise<?Socket>}
+   */
+  #connecting = null;
+
+  /**
+   * Map from each request ID to the promise for its response, for requests
+   * which have been sent to the server and not yet responded to.
+   *
+   * @type {Map<number, ManualPromise>}
+   */
+  #pending = new Map();
+
+  /**
+   * Next request ID to use.
+   *
+   * @type {number}
+   */
+  #nextId = 1;
+
+  /**
+   * When to next try using the socket, in msec since the Unix Epoch, if this
+   * instance has fallen back to local state. `0` if not.
+   *
+   * @type {number}
+   */
+  #retryAtMsec = 0;
+
+  /**
+   * Has this instance been stopped?
+   *
+   * @type {boolean}
+   */
+  #stopped = false;
+
+  /**
+   * Constructs an instance.
+   *
+   * @param {object} options Configuration options.
+   * @param {string} options.path Path to the socket.
+   * @param {?number} [options.requestTimeoutMsec] How long to wait for a
+   *   response from the server, in msec, before falling back to local state.
+   *   If `null`, a reasonable default gets used. Default `null`.
+   * @param {?IntfLogger} [logger] Logger to use, or `null` to not do any
+   *   logging.
+   */
+  constructor(options, logger = null) {
+    super();
+
+    const { path, requestTimeoutMsec = null } = options;
+
+    this.#path               = MustBe.string(path, /^[/]/);
+    this.#logger             = IntfLogger.mustBeInstanceOrNull(logger);
+    this.#requestTimeoutMsec = (requestTimeoutMsec === null)
+      ? SocketTokenBucketStore.#DEFAULT_REQUEST_TIMEOUT_MSEC
+      : MustBe.number(requestTimeoutMsec, { finite: true, minExclusive: 0 });
+  }
+
+  /**
+   * @returns {boolean} Is this instance currently the one serving the state?
+   */
+  get isServing() {
+    return this.#server !== null;
+  }
+
+  /**
+   * Stops this instance. This closes the socket (whether as server or client).
+   * After stopping, this instance keeps working, but only with local state.
+   */
+  async stop() {
+    this.#stopped = true;
+
+    await this.#connecting;
+
+    this.#socket?.destroy();
+
+    await this.#watcher.stop();
+    await this.#stopServing(true);
+  }
+
+  /** @override */
+  async take(key, options, minInclusive, maxInclusive) {
+    const request = {
+      key,
+      options: {
+        flowRate:         options.flowRate.hertz,
+        initialBurstSize: options.initialBurstSize,
+        maxBurstSize:     options.maxBurstSize,
+        partialTokens:    options.partialTokens
+      },
+      minInclusive,
+      maxInclusive
+    };
+
+    for (;;) {
+      const socket = await this.#connect();
+
+      if (!socket) {
+        return this.#local.take(key, options, minInclusive, maxInclusive);
+      }
+
+      const result = await this.#request(socket, request);
+
+      if (result) {
+        return result;
+      }
+
+      // The connection was lost (or dropped, because the server didn't
+      // respond in time) before a response arrived. Loop, to reconnect (or
+      // take over serving, or fall back to local state).
+    }
+  }
+
+  /**
+   * Sets up a newly-made connection to the server.
+   *
+   * @param {Socket} socket The connection.
+   */
+  #attachToServer(socket) {
+    this.#socket = socket;
+
+    SocketTokenBucketStore.#onLines(socket, (line) => {
+      const { id, availableBurstSize, grant } = JSON.parse(line);
+      const mp = this.#pending.get(id);
+
+      if (mp) {
+        this.#pending.delete(id);
+        mp.resolve({ availableBurstSize, grant });
+      }
+    });
+
+    socket.on('error', (e) => {
+      this.#logger?.socketError(e);
+    });
+
+    socket.on('close', () => {
+      this.#socket = null;
+
+      if (!this.#stopped) {
+        this.#logger?.disconnected();
+      }
+
+      // Per `#request()`, `null` means the connection was lost.
+      for (const mp of this.#pending.values()) {
+        mp.resolve(null);
+      }
+
+      this.#pending.clear();
+    });
+  }
+
+  /**
+   * Gets the connection to the server, connecting (or starting to serve) if
+   * necessary.
+   *
+   * @returns {?Socket} The connection, or `null` if this instance should use
+   *   local state (because it is serving, or because it has fallen back to
+   *   local state).
+   */
+  async #connect() {
+    if (this.#stopped || this.#server) {
+      return null;
+    } else if (this.#socket) {
+      return this.#socket;
+    } else if (WallClock.now().atMsec < this.#retryAtMsec) {
+      return null;
+    }
+
+    this.#connecting ??= this.#doConnect().finally(() => {
+      this.#connecting = null;
+    });
+
+    return this.#connecting;
+  }
+
+  /**
+   * Helper for {@link #connect}, which does the actual work of connecting or
+   * starting to serve.
+   *
+   * @returns {?Socket} The connection, or `null` if this instance should use
+   *   local state.
+   */
+  async #doConnect() {
+    const path = this.#path;
+    let   error;
+
+    for (let i = 0; i < SocketTokenBucketStore.#MAX_CONNECT_ATTEMPTS; i++) {
+      try {
+        const socket = await SocketTokenBucketStore.#openConnection(path);
+
+        this.#attachToServer(socket);
+        this.#retryAtMsec = 0;
+        this.#logger?.connected(path);
+
+        return socket;
+      } catch (e) {
+        error = e;
+
+        if (e.code === 'ECONNREFUSED') {
+          // Probably a stale socket file. Remove it (if it really is stale),
+          // so that we can try to serve.
+          await SocketTokenBucketStore.#removeStaleSocket(path);
+        } else if (e.code !== 'ENOENT') {
+          break;
+        }
+      }
+
+      try {
+        await this.#serve();
+        this.#retryAtMsec = 0;
+        this.#logger?.serving(path);
+
+        return null;
+      } catch (e) {
+        error = e;
+
+        if (e.code !== 'EEXIST') {
+          break;
+        }
+
+        // Another process started serving first. Loop, to connect to it.
+      }
+    }
+
+    this.#retryAtMsec = WallClock.now().atMsec + SocketTokenBucketStore.#RETRY_MSEC;
+    this.#logger?.usingLocalState(error);
+
+    return null;
+  }
+
+  /**
+   * Handles a connection from a client, when this instance is serving.
+   *
+   * @param {Socket} socket The connection.
+   */
+  #handleClient(socket) {
+    this.#clients.add(socket);
+
+    SocketTokenBucketStore.#onLines(socket, async (line) => {
+      const { id, key, options, minInclusive, maxInclusive } = JSON.parse(line);
+      const result = await this.#local.take(
+        MustBe.string(key),
+        { ...options, flowRate: new Frequency(options.flowRate) },
+        minInclusive, maxInclusive);
+
+      if (!socket.destroyed) {
+        socket.write(`${JSON.stringify({ id, ...result })}\n`);
+      }
+    });
+
+    socket.on('error', (e) => {
+      this.#logger?.clientError(e);
+    });
+
+    socket.on('close', () => {
+      this.#clients.delete(socket);
+    });
+  }
+
+  /**
+   * Indicates whether the socket file is (still) the one this instance is
+   * serving on.
+   *
+   * @returns {boolean} `true` if the socket file is this instance's own.
+   */
+  async #ownsSocketFile() {
+    const id = this.#socketFileId;
+
+    try {
+      const stats = await fs.stat(this.#path);
+      return (stats.dev === id?.dev) && (stats.ino === id?.ino);
+    } catch (e) {
+      // Only a missing file counts as having lost it. Anything else is most
+      // likely transient.
+      return e.code !== 'ENOENT';
+    }
+  }
+
+  /**
+   * Sends a request to the server, and async-returns the response.
+   *
+   * If the response doesn't arrive in time, the connection is dropped, and
+   * this instance falls back to local state (until it is time to retry the
+   * socket).
+   *
+   * @param {Socket} socket The connection to the server.
+   * @param {object} request The request.
+   * @returns {?object} The response, or `null` if the connection was lost (or
+   *   dropped) before the response arrived.
+   */
+  async #request(socket, request) {
+    const id    = this.#nextId++;
+    const mp    = new ManualPromise();
+    const timer = new AbortController();
+
+    this.#pending.set(id, mp);
+    socket.write(`${JSON.stringify({ id, ...request })}\n`);
+
+    WallClock.waitForMsec(this.#requestTimeoutMsec, { signal: timer.signal, ref: false })
+      .then(
+        () => {
+          if (mp.isSettled()) {
+            return;
+          }
+
+          this.#logger?.requestTimedOut(id);
+
+          // Note: `#socket` is cleared here (and not just when the socket
+          // closes), so that the retry in `take()` doesn't find it.
+          if (this.#socket === socket) {
+            this.#socket = null;
+          }
+
+          this.#retryAtMsec = WallClock.now().atMsec + SocketTokenBucketStore.#RETRY_MSEC;
+          this.#pending.delete(id);
+          mp.resolve(null);
+          socket.destroy();
+        },
+        () => null); // Rejection means it got aborted (below).
+
+    try {
+      return await mp.promise;
+    } finally {
+      timer.abort();
+    }
+  }
+
+  /**
+   * Starts serving the state.
+   *
+   * @throws {Error} Thrown if there was trouble listening on the socket, or if
+   *   another instance is already serving (with `code === 'EEXIST'`).
+   */
+  async #serve() {
+    const path     = this.#path;
+    const tempPath = `${path}.${process.pid}-${SocketTokenBucketStore.#nextTempId++}`;
+    const server   = netCreateServer((socket) => this.#handleClient(socket));
+
+    // In case of a leftover from an earlier process with the same ID.
+    await fs.rm(tempPath, { force: true });
+
+    await new Promise((resolve, reject) => {
+      server.once('listening', resolve);
+      server.once('error', reject);
+      server.listen(tempPath);
+    });
+
+    // Note: Once the server is listening, closing it removes the file at
+    // `tempPath` (and never the file at `path`, which might by then belong to
+    // another instance).
+    try {
+      const { dev, ino } = await fs.stat(tempPath);
+
+      await fs.link(tempPath, path);
+      this.#socketFileId = { dev, ino };
+    } catch (e) {
+      await new Promise((resolve) => server.close(() => resolve()));
+      throw e;
+    }
+
+    await fs.rm(tempPath, { force: true });
+
+    server.on('error', (e) => {
+      this.#logger?.serverError(e);
+    });
+
+    this.#server = server;
+    this.#watcher.start();
+  }
+
+  /**
+   * Stops serving the state, if this instance is serving it.
+   *
+   * @param {boolean} removeFile Should the socket file be removed (if it is
+   *   still this instance's own)?
+   */
+  async #stopServing(removeFile) {
+    const server = this.#server;
+
+    if (!server) {
+      return;
+    }
+
+    this.#server = null;
+
+    // Note: The file is removed before disconnecting the clients, so that they
+    // don't mistake it for a stale one when they try to reconnect.
+    if (removeFile && await this.#ownsSocketFile()) {
+      await fs.rm(this.#path, { force: true });
+    }
+
+    this.#socketFileId = null;
+
+    const closed = new Promise((resolve) => server.close(() => resolve()));
+
+    for (const client of this.#clients) {
+      client.destroy();
+    }
+
+    await closed;
+  }
+
+  /**
+   * Runs the thread which checks that the socket file is still this instance's
+   * own (while serving), and stops serving if not.
+   *
+   * @param {object} runnerAccess Thread runner access object.
+   */
+  async #watch(runnerAccess) {
+    while (!runnerAccess.shouldStop()) {
+      // Note: The timer is un-`ref()`ed so that it doesn't keep the process
+      // alive after the rest of the system has stopped.
+      await runnerAccess.raceWhenStopRequested([
+        WallClock.waitForMsec(SocketTokenBucketStore.#CHECK_MSEC, { ref: false })
+      ]);
+
+      if (runnerAccess.shouldStop() || !this.#server) {
+        continue;
+      }
+
+      if (!await this.#ownsSocketFile()) {
+        this.#logger?.lostSocketFile(this.#path);
+        await this.#stopServing(false);
+      }
+    }
+  }
+
+
+  //
+  // Static members
+  //
+
+  /**
+   * How often to check that the socket file is still this instance's own, while
+   * serving, in msec.
+   *
+   * @type {number}
+   */
+  static #CHECK_MSEC = 1000;
+
+  /**
+   * Default value for {@link #requestTimeoutMsec}.
+   *
+   * @type {number}
+   */
+  static #DEFAULT_REQUEST_TIMEOUT_MSEC = 1000;
+
+  /**
+   * Maximum number of times to try to connect or start serving, before
+   * falling back to local state.
+   *
+   * @type {number}
+   */
+  static #MAX_CONNECT_ATTEMPTS = 3;
+
+  /**
+   * Maximum length of a line (message) received on a socket, in characters.
+   * Actual messages are much shorter than this.
+   *
+   * @type {number}
+   */
+  static #MAX_LINE_LENGTH = 16 * 1024;
+
+  /**
+   * How long to wait before retrying the socket after falling back to local
+   * state, in msec.
+   *
+   * @type {number}
+   */
+  static #RETRY_MSEC = 10 * 1000;
+
+  /**
+   * Next ID to use as part of a temporary socket path.
+   *
+   * @type {number}
+   */
+  static #nextTempId = 1;
+
+  /**
+   * Calls a handler for each complete line of text received on a socket. If
+   * the handler throws (e.g., because of a malformed message), or if a line is
+   * longer than {@link #MAX_LINE_LENGTH}, the socket gets destroyed.
+   *
+   * @param {Socket} socket The socket.
+   * @param {function(string)} handler The handler.
+   */
+  static #onLines(socket, handler) {
+    let buffered = '';
+
+    const handle = async (line) => {
+      try {
+        await handler(line);
+      } catch (e) {
+        socket.destroy(e);
+      }
+    };
+
+    socket.setEncoding('utf8');
+    socket.on('data', (data) => {
+      const lines = (buffered + data).split('\n');
+
+      buffered = lines.pop();
+
+      if (buffered.length > SocketTokenBucketStore.#MAX_LINE_LENGTH) {
+        socket.destroy(new Error('Line too long.'));
+        return;
+      }
+
+      for (const line of lines) {
+        handle(line);
+      }
+    });
+  }
+
+  /**
+   * Opens a connection to a Unix domain socket.
+   *
+   * @param {string} path Path to the socket.
+   * @returns {Socket} The connection.
+   * @throws {Error} Thrown if the connection could not be made.
+   */
+  static async #openConnection(path) {
+    return new Promise((resolve, reject) => {
+      const socket = netConnect({ path });
+
+      socket.once('connect', () => {
+        socket.removeListener('error', reject);
+        resolve(socket);
+      });
+
+      socket.once('error', reject);
+    });
+  }
+
+  /**
+   * Removes a socket file which a connection attempt was refused by, but only
+   * if it still refuses connections and is still the same file. This guards
+   * against removing a socket which another instance has just started serving
+   * on.
+   *
+   * @param {string} path Path to the socket.
+   */
+  static async #removeStaleSocket(path) {
+    let stats;
+
+    try {
+      stats = await fs.stat(path);
+    } catch {
+      return; // Already gone.
+    }
+
+    try {
+      const socket = await SocketTokenBucketStore.#openConnection(path);
+
+      // It's alive after all.
+      socket.destroy();
+      return;
+    } catch (e) {
+      if (e.code !== 'ECONNREFUSED') {
+        return;
+      }
+    }
+
+    try {
+      const { dev, ino } = await fs.stat(path);
+
+      if ((dev === stats.dev) && (ino === stats.ino)) {
+        await fs.rm(path, { force: true });
+      }
+    } catch {
+      // Already gone.
+    }
+  }
+}
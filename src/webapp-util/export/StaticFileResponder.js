@@ -6,18 +6,21 @@ import fs from 'node:fs/promises';
 import { PathKey } from '@this/collections';
 import { Paths, Statter } from '@this/fs-util';
 import { IntfLogger } from '@this/loggy-intf';
-import { DispatchInfo, EtagGenerator, FullResponse, HttpUtil, IncomingRequest,
-  MimeTypes }
+import { DispatchInfo, EtagGenerator, FullResponse, HttpCompression,
+  HttpConditional, HttpHeaders, HttpUtil, IncomingRequest, MimeTypes }
   from '@this/net-util';
 import { BaseConfig } from '@this/structy';
-import { AskIf } from '@this/typey';
+import { AskIf, MustBe } from '@this/typey';
+
+import { DirectoryListing } from '#p/DirectoryListing';
 
 
 /**
  * Return type from {@link #resolvePath}.
  *
  * @typedef {
- *   { path: string, stats: fs.Stats } | { redirect: string } | null
+ *   { path: string, stats: fs.Stats } | { redirect: string }
+ *   | { directory: string, stats: fs.Stats, atBase: boolean } | null
  * } TypeResolved
  */
 
@@ -46,6 +49,14 @@ export class StaticFileResponder {
    */
   #cacheControl;
 
+  /**
+   * Compression options (in expanded form), or `null` not to do on-the-fly
+   * compression.
+   *
+   * @type {?object}
+   */
+  #compress;
+
   /**
    * Etag generator to use, or `null` if not using one.
    *
@@ -61,6 +72,13 @@ export class StaticFileResponder {
    */
   #indexFile;
 
+  /**
+   * Directory listing maker, or `null` if not doing directory listings.
+   *
+   * @type {?DirectoryListing}
+   */
+  #listing;
+
   /**
    * Logger to use, if any.
    *
@@ -68,6 +86,13 @@ export class StaticFileResponder {
    */
   #logger;
 
+  /**
+   * Look for and serve precompressed sibling files?
+   *
+   * @type {boolean}
+   */
+  #precompressed;
+
   /**
    * Constructs an instance.
    *
@@ -79,21 +104,37 @@ export class StaticFileResponder {
    *   automatically include, or `null` not to include it. Can be passed either
    *   as a literal string or an object to be passed to
    *   {@link HttpUtil#cacheControlHeader}. Default `null`.
+   * @param {?object|true} [config.compress] Compression options, `true` for
+   *   standard options, or `null` not to do on-the-fly compression. Default
+   *   `null`.
    * @param {?object|true} [config.etag] Etag-generating options, `true` for
    *   standard options, or `null` not to include an `etag` header in responses.
    *   Default `null`.
    * @param {?string|string[]} [config.indexFile] Possible index file names, or
-   *   `null` to treat directory requests as not-found. Default `null`.
+   *   `null` to treat directory requests as not-found (unless `listing` is
+   *   used). Default `null`.
+   * @param {?object|true} [config.listing] Directory listing options, `true`
+   *   for standard options, or `null` not to do directory listings. When used,
+   *   a listing is produced for a directory request whenever no index file is
+   *   found. Default `null`.
+   * @param {?boolean} [config.precompressed] Look for and serve precompressed
+   *   sibling files (e.g. `foo.js.gz` for `foo.js`) when the request allows it?
+   *   Default `false`.
    */
   constructor(config = null) {
-    const { baseDirectory, cacheControl, etag, indexFile, logger } =
-      new StaticFileResponder.#Config(config);
+    const {
+      baseDirectory, cacheControl, compress, etag, indexFile, listing, logger,
+      precompressed
+    } = new StaticFileResponder.#Config(config);
 
     this.#baseDirectory = baseDirectory;
     this.#cacheControl  = cacheControl;
+    this.#compress      = compress;
     this.#etagGenerator = etag ? new EtagGenerator(etag) : null;
     this.#indexFile     = indexFile;
+    this.#listing       = listing ? new DirectoryListing(listing, logger) : null;
     this.#logger        = logger;
+    this.#precompressed = precompressed;
   }
 
   /**
@@ -135,6 +176,8 @@ export class StaticFileResponder {
       return this.#makeFileResponse(request, resolved);
     } else if (resolved.redirect) {
       return this.#makeRedirectResponse(resolved.redirect);
+    } else if (resolved.directory) {
+      return this.#makeListingResponse(request, resolved);
     } else {
       /* c8 ignore start */
       // Shouldn't happen. If we get here, it's a bug in this class.
@@ -146,7 +189,9 @@ export class StaticFileResponder {
   /**
    * Resolves the given dispatch `extra` path to a file, or indicates it should
    * be redirected (if it refers to a directory but `extra` doesn't have the
-   * form of a directory request), or indicates that the path is not found.
+   * form of a directory request), or indicates that it should be listed (if it
+   * refers to a directory without an index file, and this instance does
+   * listings), or indicates that the path is not found.
    *
    * Special cases:
    * * When asked to resolve a path in directory form (trailing slash), if the
@@ -158,8 +203,9 @@ export class StaticFileResponder {
    * @param {DispatchInfo} dispatch Dispatch info containing the path to
    *   resolve.
    * @returns {TypeResolved} The absolute path and stat info of the file to
-   *   serve, the (relative) URL to redirect to, or `null` if given invalid
-   *   input or the indicated path is not found.
+   *   serve, the (relative) URL to redirect to, the absolute path and stat
+   *   info of the directory to list, or `null` if given invalid input or the
+   *   indicated path is not found.
    */
   async resolvePath(dispatch) {
     const decoded = StaticFileResponder.decodePath(dispatch.extra);
@@ -184,8 +230,16 @@ export class StaticFileResponder {
         return null;
       } else if (stats.isDirectory()) {
         if (isDirectory) {
-          // It's a proper directory reference. Look for the index file.
-          return this.#findIndexFile(fullPath);
+          // It's a proper directory reference. Look for the index file, and
+          // failing that, list the directory if so configured.
+          const found = await this.#findIndexFile(fullPath);
+
+          if (found || !this.#listing) {
+            return found;
+          }
+
+          this.#logger?.foundDirectoryForListing(fullPath);
+          return { directory: fullPath, stats, atBase: (path === '') };
         } else {
           // Redirect from non-ending-slash directory path. As a special case,
           // `path === ''` happens when the mount point (base with regards to
@@ -245,6 +299,51 @@ export class StaticFileResponder {
     return null;
   }
 
+  /**
+   * Helper for {@link #makeFileResponse}, which looks for precompressed sibling
+   * files of the given file. If none are found, this returns `null`. Otherwise,
+   * this returns an object which is empty if none of the found files are
+   * acceptable to the requestor, or which binds `encoding`, `path`, and `stats`
+   * for the best acceptable one.
+   *
+   * @param {string} path Absolute path of the original file.
+   * @param {HttpHeaders} requestHeaders The request headers.
+   * @returns {?object} Information about the found precompressed file, if
+   *   any, per above.
+   */
+  async #findPrecompressed(path, requestHeaders) {
+    const encodings = this.#compress?.encodings ?? HttpCompression.ENCODINGS;
+    const found     = new Map();
+
+    for (const encoding of encodings) {
+      const siblingPath = `${path}${HttpCompression.fileSuffixForEncoding(encoding)}`;
+
+      try {
+        const stats = await Statter.statElseNull(siblingPath, true);
+
+        if (stats?.isFile()) {
+          found.set(encoding, { encoding, path: siblingPath, stats });
+        }
+      } catch (e) {
+        this.#logger?.statError(siblingPath, e);
+      }
+    }
+
+    if (found.size === 0) {
+      return null;
+    }
+
+    const encoding = HttpCompression.selectEncoding(requestHeaders, [...found.keys()]);
+
+    if (encoding) {
+      const result = found.get(encoding);
+      this.#logger?.foundPrecompressed(result.path);
+      return result;
+    } else {
+      return {};
+    }
+  }
+
   /**
    * Helper for {@link #makeResponse}, which makes a response to serve a file.
    *
@@ -253,28 +352,142 @@ export class StaticFileResponder {
    * @returns {?FullResponse} The response.
    */
   async #makeFileResponse(request, resolved) {
-    const { path, stats } = resolved;
-    const contentType     = MimeTypes.typeFromPathExtension(path);
-    const rawResponse     = new FullResponse();
+    const { headers, method } = request;
+    const contentType         = MimeTypes.typeFromPathExtension(resolved.path);
+    const precompressed       = this.#precompressed
+      ? await this.#findPrecompressed(resolved.path, headers)
+      : null;
+    const { path, stats }     = precompressed?.encoding ? precompressed : resolved;
 
-    rawResponse.status = 200;
-    rawResponse.headers.set('content-type', contentType);
-    await rawResponse.setBodyFile(path, { stats });
+    let response = new FullResponse();
+
+    response.status = 200;
+    response.headers.set('content-type', contentType);
+    await response.setBodyFile(path, { stats });
+
+    if (precompressed) {
+      // The response depends on `accept-encoding` whether or not a
+      // precompressed file is getting served to this particular requestor.
+      HttpCompression.setVaryHeader(response.headers);
+
+      if (precompressed.encoding) {
+        response.headers.set('content-encoding', precompressed.encoding);
+      }
+    }
 
     if (this.#cacheControl) {
-      rawResponse.cacheControl = this.#cacheControl;
+      response.cacheControl = this.#cacheControl;
     }
 
     if (this.#etagGenerator) {
-      rawResponse.headers.set('etag',
+      response.headers.set('etag',
         await this.#etagGenerator.etagFromFile(path));
     }
 
-    const { headers, method } = request;
-    const response = rawResponse.adjustFor(
+    if (this.#compress) {
+      // Note: This does nothing if the response already has a
+      // `content-encoding`, e.g. because it was a precompressed file.
+      response = await response.compressFor(method, headers, this.#compress);
+    }
+
+    return response.adjustFor(
       method, headers, { conditional: true, range: true });
+  }
 
-    return response;
+  /**
+   * Helper for {@link #makeListingResponse}, which makes a not-modified
+   * (status `304`) response if the request's conditions indicate that the
+   * requestor's copy of the listing is fresh. This accounts for the requestor
+   * possibly having the compressed form of the listing.
+   *
+   * @param {IncomingRequest} request The original request.
+   * @param {fs.Stats} stats Stats of the directory.
+   * @param {?string} etag The etag of the listing, if any.
+   * @returns {?FullResponse} The response, or `null` if the request isn't a
+   *   conditional one for which the requestor's copy is fresh.
+   */
+  #makeListingNotModifiedResponse(request, stats, etag) {
+    const { headers, method } = request;
+    const etags               = [etag];
+
+    if (etag && this.#compress) {
+      const encoding = HttpCompression.selectEncoding(headers, this.#compress.encodings);
+
+      if (encoding) {
+        etags.push(HttpCompression.etagForEncoding(etag, encoding));
+      }
+    }
+
+    for (const e of etags) {
+      const responseHeaders = new HttpHeaders();
+
+      responseHeaders.set('last-modified', this.#listing.lastModifiedFor(stats).toHttpString());
+      responseHeaders.appendVary('accept');
+
+      if (e) {
+        responseHeaders.set('etag', e);
+      }
+
+      if (this.#compress) {
+        HttpCompression.setVaryHeader(responseHeaders);
+      }
+
+      if (HttpConditional.isContentFresh(method, headers, responseHeaders)) {
+        const response = new FullResponse();
+
+        response.status  = 304; // "Not Modified."
+        response.headers = responseHeaders;
+        response.setNoBody();
+
+        if (this.#cacheControl) {
+          response.cacheControl = this.#cacheControl;
+        }
+
+        return response;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Helper for {@link #makeResponse}, which makes a directory listing
+   * response.
+   *
+   * @param {IncomingRequest} request The original request.
+   * @param {TypeResolved} resolved Result from {@link #resolvePath}.
+   * @returns {FullResponse} The response.
+   */
+  async #makeListingResponse(request, resolved) {
+    const { headers, method }          = request;
+    const { directory, stats, atBase } = resolved;
+    const etag                         = this.#etagGenerator
+      ? await this.#etagGenerator.etagFromData(this.#listing.versionFor(request, stats))
+      : null;
+
+    // Handle a conditional request up front, so as to avoid reading the
+    // directory when the requestor's copy is fresh.
+    const notModified = this.#makeListingNotModifiedResponse(request, stats, etag);
+
+    if (notModified) {
+      return notModified;
+    }
+
+    let response = await this.#listing.makeResponse(request, directory, stats, atBase);
+
+    if (this.#cacheControl) {
+      response.cacheControl = this.#cacheControl;
+    }
+
+    if (etag) {
+      response.headers.set('etag', etag);
+    }
+
+    if (this.#compress) {
+      response = await response.compressFor(method, headers, this.#compress);
+    }
+
+    return response.adjustFor(method, headers, { conditional: true });
   }
 
   /**
@@ -389,6 +602,23 @@ export class StaticFileResponder {
     }
   }
 
+  /**
+   * Checks / accepts compression options, `true` for default options, or
+   * `null` (or `false`) not to do on-the-fly compression.
+   *
+   * @param {?object|boolean} value Proposed configuration value.
+   * @returns {?object} Accepted configuration value.
+   */
+  static mustBeCompress(value) {
+    if ((value === null) || (value === false)) {
+      return null;
+    } else if ((value === true) || AskIf.plainObject(value)) {
+      return HttpCompression.expandOptions(value);
+    } else {
+      throw new Error('Invalid `compress` option.');
+    }
+  }
+
   /**
    * Checks / accepts etag-generating options, `true` for default options, or
    * `null` not to include an `etag` header in responses.
@@ -408,6 +638,37 @@ export class StaticFileResponder {
     }
   }
 
+  /**
+   * Checks / accepts directory listing options, `true` for default options, or
+   * `null` (or `false`) not to do directory listings. Options are:
+   *
+   * * `{number} maxEntries` -- Maximum number of entries to include in a
+   *   listing. If a directory has more (not counting hidden files, when those
+   *   aren't shown), its listing only includes the first ones in the listing's
+   *   sort order, and it is marked as incomplete. Default `1000`.
+   * * `{boolean} showHidden` -- Include hidden files (those whose names start
+   *   with a dot) in listings? Default `false`. **Note:** This only affects
+   *   listings, not whether such files get served.
+   * * `{string} sort` -- Default sort order, one of `name`, `size`, or
+   *   `mtime`, optionally prefixed with `-` for descending order. Default
+   *   `name`. Requests can override this with the query parameter `sort`.
+   *   Directories are always listed before files.
+   *
+   * @param {?object|boolean} value Proposed configuration value.
+   * @returns {?object} Accepted configuration value.
+   */
+  static mustBeListing(value) {
+    if ((value === null) || (value === false)) {
+      return null;
+    } else if (value === true) {
+      return DirectoryListing.expandOptions({});
+    } else if (AskIf.plainObject(value)) {
+      return DirectoryListing.expandOptions(value);
+    } else {
+      throw new Error('Invalid `listing` option.');
+    }
+  }
+
   /**
    * Checks / accepts index file name options. This is a file name to look for,
    * or a list of file names to look for in order, to use when responding to a
@@ -466,6 +727,18 @@ export class StaticFileResponder {
       return StaticFileResponder.mustBeCacheControl(value);
     }
 
+    /**
+     * Compression options, `true` for default options, or `null` not to do
+     * on-the-fly compression.
+     *
+     * @param {?object|boolean} [value] Proposed configuration value. Default
+     *   `null`.
+     * @returns {?object} Accepted configuration value.
+     */
+    _config_compress(value = null) {
+      return StaticFileResponder.mustBeCompress(value);
+    }
+
     /**
      * Etag-generating options, `true` for default options, or `null` not to
      * include an `etag` header in responses.
@@ -492,6 +765,18 @@ export class StaticFileResponder {
       return StaticFileResponder.mustBeIndexFile(value);
     }
 
+    /**
+     * Directory listing options, `true` for default options, or `null` not to
+     * do directory listings.
+     *
+     * @param {?object|boolean} [value] Proposed configuration value. Default
+     *   `null`.
+     * @returns {?object} Accepted configuration value.
+     */
+    _config_listing(value = null) {
+      return StaticFileResponder.mustBeListing(value);
+    }
+
     /**
      * Logger to use, if any.
      *
@@ -502,5 +787,15 @@ export class StaticFileResponder {
     _config_logger(value = null) {
       return IntfLogger.mustBeInstanceOrNull(value);
     }
+
+    /**
+     * Look for and serve precompressed sibling files?
+     *
+     * @param {boolean} [value] Proposed configuration value. Default `false`.
+     * @returns {boolean} Accepted configuration value.
+     */
+    _config_precompressed(value = false) {
+      return MustBe.boolean(value);
+    }
   };
 }
@@ -6,6 +6,9 @@ import { IntfTimeSource, StdTimeSource } from '@this/clocky';
 import { Duration, Frequency, Moment } from '@this/quant';
 import { AskIf, MustBe } from '@this/typey';
 
+import { GrantStats } from '#x/GrantStats';
+import { IntfTokenBucketStore } from '#x/IntfTokenBucketStore';
+
 
 /**
  * Implementation of a "rate limiter with burstiness service", which is based on
@@ -23,6 +26,12 @@ import { AskIf, MustBe } from '@this/typey';
  *
  * This class does not define the token (bucket volume) unit. It is up to
  * clients to use whatever makes sense in their context.
+ *
+ * An instance can optionally keep its burst capacity in a store (an
+ * implementation of {@link IntfTokenBucketStore}) instead of locally, in which
+ * case all instances which use the same store and key draw from a single
+ * budget, even across processes. Each instance still has its own queue of
+ * waiters, though.
  */
 export class TokenBucket {
   /**
@@ -70,6 +79,20 @@ export class TokenBucket {
    */
   #partialTokens;
 
+  /**
+   * Store which holds the burst capacity, or `null` if it is held locally.
+   *
+   * @type {?IntfTokenBucketStore}
+   */
+  #store;
+
+  /**
+   * Key of the bucket within {@link #store}, if there is a store.
+   *
+   * @type {?string}
+   */
+  #storeKey;
+
   /**
    * Time measurement implementation.
    *
@@ -115,6 +138,13 @@ export class TokenBucket {
    */
   #waiterThread = new Threadlet((runnerAccess) => this.#serviceWaiters(runnerAccess));
 
+  /**
+   * Cumulative statistics about the results of calls to {@link #requestGrant}.
+   *
+   * @type {GrantStats}
+   */
+  #stats = new GrantStats();
+
   /**
    * Constructs an instance.
    *
@@ -148,6 +178,10 @@ export class TokenBucket {
    * @param {boolean} [options.partialTokens] If `true`, allows the instance to
    *   provide partial tokens (e.g. give a client `1.25` tokens). If `false`,
    *   all token handoffs from the instance are quantized to integer values.
+   * @param {?IntfTokenBucketStore} [options.store] Store which holds the burst
+   *   capacity, or `null` to hold it locally. Defaults to `null`.
+   * @param {?string} [options.storeKey] Key of the bucket within the `store`.
+   *   Required if `store` is specified, and not allowed otherwise.
    * @param {IntfTimeSource} options.timeSource What to use to determine the
    *   passage of time. If not specified, the instance will use a standard
    *   implementation which measures time in seconds (_not_ msec) and bottoms
@@ -162,6 +196,8 @@ export class TokenBucket {
       maxQueueGrantSize = null,
       maxQueueSize      = null,
       partialTokens     = false,
+      store             = null,
+      storeKey          = null,
       timeSource        = TokenBucket.#DEFAULT_TIME_SOURCE
     } = options;
 
@@ -172,6 +208,18 @@ export class TokenBucket {
     this.#partialTokens = MustBe.boolean(partialTokens);
     this.#timeSource    = MustBe.instanceOf(timeSource, IntfTimeSource);
 
+    if (store === null) {
+      if (storeKey !== null) {
+        throw new Error('`storeKey` requires `store`.');
+      }
+
+      this.#store    = null;
+      this.#storeKey = null;
+    } else {
+      this.#store    = MustBe.instanceOf(store, IntfTokenBucketStore);
+      this.#storeKey = MustBe.string(storeKey);
+    }
+
     this.#initialBurstSize = (initialBurstSize === null)
       ? this.#maxBurstSize
       : MustBe.number(initialBurstSize, { minInclusive: 0, maxInclusive: this.#maxBurstSize });
@@ -220,6 +268,8 @@ export class TokenBucket {
       maxQueueGrantSize: this.#maxQueueGrantSize,
       maxQueueSize,
       partialTokens:     this.#partialTokens,
+      store:             this.#store,
+      storeKey:          this.#storeKey,
       timeSource
     };
   }
@@ -242,7 +292,9 @@ export class TokenBucket {
    * were processed). The return value is an object with the following bindings:
    *
    * * `{number} availableBurstSize` -- The currently-available burst size, that
-   *   is, the quantity of tokens currently in the bucket.
+   *   is, the quantity of tokens currently in the bucket. If this instance uses
+   *   a store, then this is as of the last time this instance interacted with
+   *   the store.
    * * `{number} availableQueueSize` -- The currently-available queue size, that
    *   is, the quantity of tokens that could potentially be reserved for new
    *   grant waiters. If this instance has no limit on the queue size, then this
@@ -327,9 +379,16 @@ export class TokenBucket {
     // Handle all the synchronous-result possibilities.
 
     if (this.#waiters.length === 0) {
-      // No waiters right now, so try to get the grant synchronously.
-      this.#topUpBucket();
-      const got = this.#grantNow(minInclusive, maxInclusive);
+      // No waiters right now, so try to get the grant synchronously (or, if
+      // there is a store, without waiting in the queue).
+      let got;
+      if (this.#store) {
+        got = await this.#grantFromStore(minInclusive, maxInclusive);
+      } else {
+        this.#topUpBucket();
+        got = this.#grantNow(minInclusive, maxInclusive);
+      }
+
       if (got.done) {
         return this.#requestGrantResult(got.grant, 'grant', Duration.ZERO);
       }
@@ -368,6 +427,42 @@ export class TokenBucket {
     return await mp.promise;
   }
 
+  /**
+   * Gets a snapshot of this instance's state along with cumulative statistics
+   * about the grant requests it has handled, suitable for use as (or for
+   * deriving) metrics. The return value is a plain object with the following
+   * bindings:
+   *
+   * * `{number} availableBurstSize`, `{number} availableQueueSize`, `{number}
+   *   waiterCount` -- Same as with {@link #latestState}.
+   * * `{number} maxBurstSize` -- The configured maximum burst size.
+   * * `{?number} maxQueueSize` -- The configured maximum queue size, or `null`
+   *   if there is no limit.
+   * * `{number} queueSize` -- The quantity of tokens reserved by the queued
+   *   grant requests, that is, the "depth" of the queue.
+   * * `{object} stats` -- Cumulative statistics about the results of calls to
+   *   {@link #requestGrant}, in the form returned by
+   *   {@link GrantStats#snapshot}. (Calls to {@link #takeNow} are not counted.)
+   *
+   * Unlike {@link #latestState}, the result is JSON-encodable, except that
+   * infinite values in it encode as `null`.
+   *
+   * @returns {object} Snapshot, as described above.
+   */
+  snapshot() {
+    const { availableBurstSize, availableQueueSize, waiterCount } = this.latestState();
+
+    return {
+      availableBurstSize,
+      availableQueueSize,
+      maxBurstSize: this.#maxBurstSize,
+      maxQueueSize: this.config.maxQueueSize,
+      queueSize:    this.#queueSize,
+      waiterCount,
+      stats:        this.#stats.snapshot()
+    };
+  }
+
   /**
    * Instantaneously takes as many tokens as allowed, within the specified
    * range. This method accepts either an exact number of tokens to request or
@@ -412,13 +507,21 @@ export class TokenBucket {
    * `maxBurstSize`, and (b) it is possible to totally empty the bucket with a
    * call to this method.
    *
+   * **Note:** This method is not available on instances which use a store,
+   * because stores are asynchronous.
+   *
    * @param {number|object} quantity Requested quantity of tokens, as described
    *   above.
    * @returns {object} Result object as described above.
    * @throws {Error} Thrown if the request is invalid (inverted range,
-   *   `minInclusive` is more than the `maxQueueGrantSize`, etc.).
+   *   `minInclusive` is more than the `maxQueueGrantSize`, etc.), or if this
+   *   instance uses a store.
    */
   takeNow(quantity) {
+    if (this.#store) {
+      throw new Error('`takeNow()` is not available when using a store.');
+    }
+
     const { minInclusive, maxInclusive } = this.#parseQuantity(quantity);
     let result;
 
@@ -463,6 +566,37 @@ export class TokenBucket {
     }
   }
 
+  /**
+   * Token grant helper for instances which use a store, which asks the store
+   * to top up the bucket and then grant tokens from it (if possible). This
+   * returns an object with the same bindings as {@link #grantNow}.
+   *
+   * @param {number} minInclusive Minimum requested quantity of tokens.
+   * @param {number} maxInclusive Maximum requested quantity of tokens.
+   * @returns {object} Grant result.
+   */
+  async #grantFromStore(minInclusive, maxInclusive) {
+    const options = {
+      flowRate:         this.#flowRate,
+      initialBurstSize: this.#initialBurstSize,
+      maxBurstSize:     this.#maxBurstSize,
+      partialTokens:    this.#partialTokens
+    };
+
+    const { availableBurstSize, grant } =
+      await this.#store.take(this.#storeKey, options, minInclusive, maxInclusive);
+
+    // Reflect the store's state locally, so that `#grantNow()` can figure out
+    // the wait time (for a failed grant) and so that `latestState()` is
+    // meaningful.
+    this.#lastNow       = this.#timeSource.now();
+    this.#lastBurstSize = availableBurstSize;
+
+    return ((grant !== 0) || (minInclusive === 0))
+      ? { done: true, grant, waitUntil: this.#lastNow }
+      : this.#grantNow(minInclusive, maxInclusive, true);
+  }
+
   /**
    * Token grant helper, which implements the core functionality of
    * {@link #takeNow} and is used by other token-granting methods. Notably:
@@ -561,8 +695,12 @@ export class TokenBucket {
    * @returns {object} An appropriately-constructed result.
    */
   #requestGrantResult(grant, reason, waitTime) {
-    const done = (reason === 'grant');
-    return { done, grant, reason, waitTime };
+    const done   = (reason === 'grant');
+    const result = { done, grant, reason, waitTime };
+
+    this.#stats.record(result);
+
+    return result;
   }
 
   /**
@@ -590,8 +728,13 @@ export class TokenBucket {
         break;
       }
 
-      this.#topUpBucket();
-      const got = this.#grantNow(info.grant, info.grant);
+      let got;
+      if (this.#store) {
+        got = await this.#grantFromStore(info.grant, info.grant);
+      } else {
+        this.#topUpBucket();
+        got = this.#grantNow(info.grant, info.grant);
+      }
 
       if (got.done) {
         this.#waiters.shift();
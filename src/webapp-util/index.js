@@ -2,11 +2,16 @@
 // SPDX-License-Identifier: Apache-2.0
 
 export * from '#x/BaseFileService';
+export * from '#x/BaseWebSocketApplication';
 export * from '#x/ConnectionCount';
 export * from '#x/ConnectionRate';
+export * from '#x/GrantStats';
+export * from '#x/IntfTokenBucketStore';
+export * from '#x/LocalTokenBucketStore';
 export * from '#x/RequestCount';
 export * from '#x/RequestRate';
 export * from '#x/Rotator';
 export * from '#x/Saver';
+export * from '#x/SocketTokenBucketStore';
 export * from '#x/StaticFileResponder';
 export * from '#x/TokenBucket';
@@ -0,0 +1,460 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import fs from 'node:fs/promises';
+
+import { Statter } from '@this/fs-util';
+import { IntfLogger } from '@this/loggy-intf';
+import { FullResponse, HttpHeaders, IncomingRequest } from '@this/net-util';
+import { ByteCount, Moment } from '@this/quant';
+import { AskIf, MustBe } from '@this/typey';
+
+
+/**
+ * Maker of directory listing responses, for `StaticFileResponder`. Listings
+ * are rendered as HTML by default, or as JSON when the request's `accept`
+ * header prefers it.
+ */
+export class DirectoryListing {
+  /**
+   * Logger to use, if any.
+   *
+   * @type {?IntfLogger}
+   */
+  #logger;
+
+  /**
+   * Maximum number of entries to include in a listing.
+   *
+   * @type {number}
+   */
+  #maxEntries;
+
+  /**
+   * Include hidden files (those whose names start with a dot) in listings?
+   *
+   * @type {boolean}
+   */
+  #showHidden;
+
+  /**
+   * Default sort order, in the form described by {@link #mustBeSort}.
+   *
+   * @type {string}
+   */
+  #sort;
+
+  /**
+   * Constructs an instance.
+   *
+   * @param {object} options Listing options, in the form returned by
+   *   {@link #expandOptions}.
+   * @param {?IntfLogger} logger Logger to use, if any.
+   */
+  constructor(options, logger) {
+    const { maxEntries, showHidden, sort } = options;
+
+    this.#maxEntries = DirectoryListing.#mustBeMaxEntries(maxEntries);
+    this.#showHidden = MustBe.boolean(showHidden);
+    this.#sort       = DirectoryListing.mustBeSort(sort);
+    this.#logger     = IntfLogger.mustBeInstanceOrNull(logger);
+  }
+
+  /**
+   * Gets the `last-modified` date of a listing of the given directory. This is
+   * the modification time of the directory itself, which changes when entries
+   * get added, removed, or renamed, but _not_ when files in the directory get
+   * modified.
+   *
+   * @param {fs.Stats} dirStats Stats of the directory.
+   * @returns {Moment} The `last-modified` date.
+   */
+  lastModifiedFor(dirStats) {
+    return Moment.fromMsec(dirStats.mtimeMs);
+  }
+
+  /**
+   * Makes a listing response for the given directory. The response has a
+   * `last-modified` header per {@link #lastModifiedFor}, and it varies by
+   * `accept`. It does not have any of the other headers (e.g. `etag`) that
+   * `StaticFileResponder` might add.
+   *
+   * @param {IncomingRequest} request The original request.
+   * @param {string} dirPath Absolute path to the directory.
+   * @param {fs.Stats} dirStats Stats of the directory.
+   * @param {boolean} atBase Is the directory the base directory being served
+   *   (in which case there is no parent directory to link to)?
+   * @returns {FullResponse} The response.
+   */
+  async makeResponse(request, dirPath, dirStats, atBase) {
+    const entries          = await this.#readEntries(dirPath);
+    const { format, sort } = this.#formatAndSort(request);
+    const path             = request.pathnameString;
+    const response         = new FullResponse();
+    const truncated        = (entries.length > this.#maxEntries);
+
+    // Note: Truncation happens after sorting, so that a truncated listing
+    // consists of the first entries in the requested order.
+    DirectoryListing.#sortEntries(entries, sort);
+
+    if (truncated) {
+      entries.length = this.#maxEntries;
+    }
+
+    this.#logger?.listing(dirPath, { count: entries.length, format, sort, truncated });
+
+    if (format === 'json') {
+      response.setBodyString(
+        DirectoryListing.#renderJson(path, entries, truncated), 'application/json');
+    } else {
+      response.setBodyString(
+        DirectoryListing.#renderHtml(path, entries, sort, atBase, truncated), 'text/html');
+    }
+
+    response.status = 200;
+    response.headers.set('last-modified', this.lastModifiedFor(dirStats).toHttpString());
+    response.headers.appendVary('accept');
+
+    return response;
+  }
+
+  /**
+   * Gets a string which identifies the version of the listing that
+   * {@link #makeResponse} would make, without actually reading the directory.
+   * This is based on the stats of the directory itself (see
+   * {@link #lastModifiedFor}) along with the format and sort order that would
+   * be used, and it is meant to be used to derive an `etag`.
+   *
+   * @param {IncomingRequest} request The original request.
+   * @param {fs.Stats} dirStats Stats of the directory.
+   * @returns {string} The version string.
+   */
+  versionFor(request, dirStats) {
+    const { format, sort }      = this.#formatAndSort(request);
+    const { dev, ino, mtimeMs } = dirStats;
+
+    return `${dev}:${ino}:${mtimeMs}:${format}:${sort}`;
+  }
+
+  /**
+   * Gets the format and sort order to use for a listing in response to the
+   * given request.
+   *
+   * @param {IncomingRequest} request The request.
+   * @returns {{ format: string, sort: string }} The format and sort order.
+   */
+  #formatAndSort(request) {
+    return {
+      format: DirectoryListing.#selectFormat(request.headers),
+      sort:   DirectoryListing.#sortFromRequest(request) ?? this.#sort
+    };
+  }
+
+  /**
+   * Reads the entries of the given directory, filtering out hidden files (if
+   * so configured) and anything which is neither a regular file nor a
+   * directory (including broken symlinks). All of the directory's entries get
+   * read (not just up to {@link #maxEntries}), so that the caller can sort
+   * them before truncating.
+   *
+   * @param {string} dirPath Absolute path to the directory.
+   * @returns {Array<{ name: string, isDirectory: boolean, size: ?number,
+   *   mtime: Moment }>} The entries, in no particular order (with `size` being
+   *   `null` for directories).
+   */
+  async #readEntries(dirPath) {
+    const names = [];
+
+    for await (const dirent of await fs.opendir(dirPath)) {
+      const { name } = dirent;
+
+      if (this.#showHidden || !name.startsWith('.')) {
+        names.push(name);
+      }
+    }
+
+    const statOne = async (name) => {
+      const entryPath = `${dirPath}/${name}`;
+      let   stats;
+
+      try {
+        stats = await Statter.statElseNull(entryPath);
+      } catch (e) {
+        this.#logger?.statError(entryPath, e);
+        return null;
+      }
+
+      const isDirectory = stats?.isDirectory() ?? false;
+
+      return (isDirectory || stats?.isFile())
+        ? {
+          name,
+          isDirectory,
+          size:  isDirectory ? null : stats.size,
+          mtime: Moment.fromMsec(stats.mtimeMs)
+        }
+        : null;
+    };
+
+    return (await Promise.all(names.map(statOne)))
+      .filter((e) => e !== null);
+  }
+
+
+  //
+  // Static members
+  //
+
+  /**
+   * Map from each sort key to a comparison function for entries. Ties
+   * (including all comparisons for `name`) get broken by name.
+   *
+   * @type {Map<string, function(object, object): number>}
+   */
+  static #COMPARATORS = new Map(Object.entries({
+    mtime: (a, b) => (a.mtime.atSec - b.mtime.atSec),
+    name:  () => 0,
+    size:  (a, b) => ((a.size ?? 0) - (b.size ?? 0))
+  }));
+
+  /**
+   * Default options.
+   *
+   * @type {object}
+   */
+  static #DEFAULT_OPTIONS = Object.freeze({
+    maxEntries: 1000,
+    showHidden: false,
+    sort:       'name'
+  });
+
+  /**
+   * Expands listing options into a fully-specified form.
+   *
+   * @param {object} options The options, which may omit any or all of the
+   *   possible bindings.
+   * @returns {object} The expanded options.
+   */
+  static expandOptions(options) {
+    MustBe.plainObject(options);
+
+    const { maxEntries, showHidden, sort } = { ...this.#DEFAULT_OPTIONS, ...options };
+
+    return Object.freeze({
+      maxEntries: this.#mustBeMaxEntries(maxEntries),
+      showHidden: MustBe.boolean(showHidden),
+      sort:       this.mustBeSort(sort)
+    });
+  }
+
+  /**
+   * Checks / accepts a sort order. This is one of `name`, `size`, or `mtime`,
+   * optionally prefixed with `-` to indicate descending order.
+   *
+   * @param {string} value Proposed sort order.
+   * @returns {string} Accepted sort order.
+   */
+  static mustBeSort(value) {
+    if (!this.#isSort(value)) {
+      throw new Error(`Invalid listing sort order: ${value}`);
+    }
+
+    return value;
+  }
+
+  /**
+   * Escapes a string for inclusion in HTML text or a (quoted) attribute value.
+   *
+   * @param {string} s The string to escape.
+   * @returns {string} The escaped form.
+   */
+  static #escapeHtml(s) {
+    return s.replace(/[&<>"']/g, (c) => `&#${c.charCodeAt(0)};`);
+  }
+
+  /**
+   * Indicates whether the given value is a valid sort order.
+   *
+   * @param {*} value Value in question.
+   * @returns {boolean} `true` if `value` is a valid sort order.
+   */
+  static #isSort(value) {
+    return AskIf.string(value)
+      && this.#COMPARATORS.has(value.replace(/^-/, ''));
+  }
+
+  /**
+   * Checks / accepts a maximum entry count.
+   *
+   * @param {number} value Proposed maximum.
+   * @returns {number} Accepted maximum.
+   */
+  static #mustBeMaxEntries(value) {
+    return MustBe.number(value, { safeInteger: true, minInclusive: 1 });
+  }
+
+  /**
+   * Renders a listing as HTML.
+   *
+   * @param {string} path The request path of the directory.
+   * @param {Array<object>} entries The sorted entries.
+   * @param {string} sort The sort order the entries are in.
+   * @param {boolean} atBase Is the directory the base directory being served?
+   * @param {boolean} truncated Was the listing truncated?
+   * @returns {string} The rendered form.
+   */
+  static #renderHtml(path, entries, sort, atBase, truncated) {
+    const esc   = (s) => this.#escapeHtml(s);
+    const title = esc(`Index of ${path}`);
+    const rows  = [];
+
+    // Header links sort by the column, toggling the direction when the column
+    // is already the one being sorted by.
+    const header = (key, label) => {
+      const newSort = (sort === key) ? `-${key}` : key;
+      return `<th><a href="?sort=${newSort}">${label}</a></th>`;
+    };
+
+    if (!atBase) {
+      rows.push('<tr><td><a href="../">../</a></td><td></td><td></td></tr>');
+    }
+
+    for (const { name, isDirectory, size, mtime } of entries) {
+      const suffix   = isDirectory ? '/' : '';
+      const href     = `${encodeURIComponent(name)}${suffix}`;
+      const sizeText = (size === null) ? '-' : ByteCount.stringFromByteCount(size, { spaces: true });
+      const modText  = mtime.toString({ middleUnderscore: false });
+
+      rows.push(
+        `<tr><td><a href="${esc(href)}">${esc(name)}${suffix}</a></td>` +
+        `<td>${sizeText}</td><td>${modText}</td></tr>`);
+    }
+
+    return [
+      '<!DOCTYPE html>',
+      '<html>',
+      '<head>',
+      '<meta charset="utf-8">',
+      `<title>${title}</title>`,
+      '</head>',
+      '<body>',
+      `<h1>${title}</h1>`,
+      '<table>',
+      `<thead><tr>${header('name', 'Name')}${header('size', 'Size')}${header('mtime', 'Modified')}</tr></thead>`,
+      '<tbody>',
+      ...rows,
+      '</tbody>',
+      '</table>',
+      ...(truncated ? ['<p>(This listing is incomplete.)</p>'] : []),
+      '</body>',
+      '</html>',
+      ''
+    ].join('\n');
+  }
+
+  /**
+   * Renders a listing as JSON.
+   *
+   * @param {string} path The request path of the directory.
+   * @param {Array<object>} entries The sorted entries.
+   * @param {boolean} truncated Was the listing truncated?
+   * @returns {string} The rendered form.
+   */
+  static #renderJson(path, entries, truncated) {
+    const result = {
+      path,
+      truncated,
+      entries: entries.map(({ name, isDirectory, size, mtime }) => {
+        return {
+          name,
+          type:  isDirectory ? 'directory' : 'file',
+          size,
+          mtime: mtime.toPlainObject()
+        };
+      })
+    };
+
+    return `${JSON.stringify(result, null, 2)}\n`;
+  }
+
+  /**
+   * Selects the listing format to use, based on the `accept` header of the
+   * request. This is `json` if the requestor prefers `application/json` over
+   * `text/html`, or `html` in all other cases (including when neither is
+   * acceptable).
+   *
+   * @param {HttpHeaders} requestHeaders The request headers.
+   * @returns {string} The format, either `html` or `json`.
+   */
+  static #selectFormat(requestHeaders) {
+    const accept = requestHeaders.get('accept');
+
+    if (!accept) {
+      return 'html';
+    }
+
+    // Map from each media range in the header to its quality value.
+    const qualities = new Map();
+    for (const item of accept.split(',')) {
+      const [range, ...params] = item.trim().toLowerCase().split(/\s*;\s*/);
+      const qParam             = params.find((p) => p.startsWith('q='));
+      const quality            = qParam ? Number(qParam.slice(2)) : 1;
+
+      if (!Number.isNaN(quality)) {
+        qualities.set(range, quality);
+      }
+    }
+
+    // Gets the quality of the given type, from its most specific match.
+    const qualityOf = (type) => {
+      return qualities.get(type)
+        ?? qualities.get(type.replace(/[/].*$/, '/*'))
+        ?? qualities.get('*/*')
+        ?? 0;
+    };
+
+    return (qualityOf('application/json') > qualityOf('text/html')) ? 'json' : 'html';
+  }
+
+  /**
+   * Sorts the given entries in place, directories first.
+   *
+   * @param {Array<object>} entries The entries to sort.
+   * @param {string} sort The sort order, in the form described by
+   *   {@link #mustBeSort}.
+   */
+  static #sortEntries(entries, sort) {
+    const descending = sort.startsWith('-');
+    const compare    = this.#COMPARATORS.get(sort.replace(/^-/, ''));
+
+    entries.sort((a, b) => {
+      if (a.isDirectory !== b.isDirectory) {
+        return a.isDirectory ? -1 : 1;
+      }
+
+      const result = compare(a, b) || a.name.localeCompare(b.name, 'en');
+
+      return descending ? -result : result;
+    });
+  }
+
+  /**
+   * Gets the sort order requested via the query parameter `sort`, if present
+   * and valid.
+   *
+   * @param {IncomingRequest} request The request.
+   * @returns {?string} The requested sort order, or `null` if there was none
+   *   (or it was invalid).
+   */
+  static #sortFromRequest(request) {
+    const search = request.searchString;
+
+    if (!search) {
+      return null;
+    }
+
+    const sort = new URLSearchParams(search).get('sort');
+
+    return this.#isSort(sort) ? sort : null;
+  }
+}
@@ -0,0 +1,229 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { Duplex } from 'node:stream';
+
+import { WallClock } from '@this/clocky';
+import { PathKey } from '@this/collections';
+import { MockRootComponent } from '@this/compy/testing';
+import { DispatchInfo, EndpointAddress, HttpHeaders, IncomingRequest,
+  InterfaceAddress, RequestContext, StatusResponse, WebSocketConnection,
+  WebSocketResponse }
+  from '@this/net-util';
+import { BaseWebSocketApplication } from '@this/webapp-util';
+
+
+/**
+ * Subclass of the class under test, which records its calls.
+ */
+class RecordingApp extends BaseWebSocketApplication {
+  /** @type {Array<object>} Record of calls to `_impl_handleConnection()`. */
+  calls = [];
+
+  // @defaultConstructor
+
+  /** @override */
+  async _impl_handleConnection(connection, request, dispatch) {
+    this.calls.push({ connection, request, dispatch });
+    await connection.send('Hello!');
+  }
+}
+
+const HTTP1_HEADERS = {
+  'connection':            'Upgrade',
+  'upgrade':               'websocket',
+  'sec-websocket-key':     'dGhlIHNhbXBsZSBub25jZQ==',
+  'sec-websocket-version': '13'
+};
+
+/**
+ * Makes an instance of the class under test, added to a started root.
+ *
+ * @param {object} [config] Configuration, other than the name.
+ * @returns {RecordingApp} The instance.
+ */
+async function makeInstance(config = {}) {
+  const root = new MockRootComponent();
+  await root.start();
+
+  const app = new RecordingApp({ name: 'myApp', ...config });
+  await root.addAll(app);
+
+  return app;
+}
+
+/**
+ * Makes an HTTP1 request with the given method and headers.
+ *
+ * @param {string} method The request method.
+ * @param {object} headers The headers.
+ * @returns {IncomingRequest} The request.
+ */
+function makeRequest(method, headers) {
+  return new IncomingRequest({
+    context: new RequestContext(
+      new InterfaceAddress('127.0.0.1:123'),
+      new EndpointAddress('10.0.0.1', 10321)),
+    headers: new HttpHeaders(headers),
+    logger: null,
+    protocolName: 'http-1.1',
+    pseudoHeaders: new HttpHeaders({
+      authority: 'your.host',
+      method,
+      path:      '/chat'
+    })
+  });
+}
+
+/**
+ * Calls `handleRequest()` on the given instance.
+ *
+ * @param {RecordingApp} app The instance.
+ * @param {IncomingRequest} request The request.
+ * @returns {*} Whatever `handleRequest()` returned.
+ */
+async function handle(app, request) {
+  return app.handleRequest(request, new DispatchInfo(PathKey.EMPTY, request.pathname));
+}
+
+describe('constructor', () => {
+  test('accepts a minimal configuration', () => {
+    expect(() => new RecordingApp({ name: 'x' })).not.toThrow();
+  });
+
+  test('accepts a full configuration', () => {
+    const config = {
+      name:            'x',
+      dataRateLimiter: 'limiter',
+      maxMessageSize:  '10 KiB',
+      protocols:       ['chat', 'superchat']
+    };
+
+    expect(() => new RecordingApp(config)).not.toThrow();
+  });
+
+  test.each`
+  label                        | config
+  ${'invalid `maxMessageSize`'} | ${{ maxMessageSize: 'florp' }}
+  ${'negative `maxMessageSize`'} | ${{ maxMessageSize: -1 }}
+  ${'non-array `protocols`'}   | ${{ protocols: 'chat' }}
+  ${'invalid protocol name'}   | ${{ protocols: ['a b'] }}
+  ${'non-string limiter name'} | ${{ dataRateLimiter: 123 }}
+  `('rejects $label', ({ config }) => {
+    expect(() => new RecordingApp({ name: 'x', ...config })).toThrow();
+  });
+});
+
+describe('_impl_handleRequest()', () => {
+  test('does not handle a non-upgrade request', async () => {
+    const app     = await makeInstance();
+    const request = makeRequest('get', {});
+
+    expect(await handle(app, request)).toBeNull();
+  });
+
+  test('does not handle an upgrade to a different protocol', async () => {
+    const app     = await makeInstance();
+    const request = makeRequest('get', { ...HTTP1_HEADERS, upgrade: 'florp' });
+
+    expect(await handle(app, request)).toBeNull();
+  });
+
+  test.each`
+  label                | headers
+  ${'no key'}          | ${{ ...HTTP1_HEADERS, 'sec-websocket-key': 'AAAA' }}
+  ${'a wrong version'} | ${{ ...HTTP1_HEADERS, 'sec-websocket-version': '8' }}
+  `('responds `400` to a handshake with $label', async ({ headers }) => {
+    const app     = await makeInstance();
+    const request = makeRequest('get', headers);
+
+    expect(await handle(app, request)).toBe(StatusResponse.BAD_REQUEST);
+    expect(app.calls).toBeArrayOfSize(0);
+  });
+
+  test('responds `400` to a non-`GET` handshake', async () => {
+    const app     = await makeInstance();
+    const request = makeRequest('post', HTTP1_HEADERS);
+
+    expect(await handle(app, request)).toBe(StatusResponse.BAD_REQUEST);
+  });
+
+  test('accepts a valid handshake', async () => {
+    const app     = await makeInstance();
+    const request = makeRequest('get', HTTP1_HEADERS);
+    const result  = await handle(app, request);
+
+    expect(result).toBeInstanceOf(WebSocketResponse);
+    expect(result.protocol).toBeNull();
+  });
+
+  test.each`
+  protocols                 | requested               | expected
+  ${[]}                     | ${'chat'}               | ${null}
+  ${['chat']}               | ${null}                 | ${null}
+  ${['chat']}               | ${'chat'}               | ${'chat'}
+  ${['chat']}               | ${'florp, chat'}        | ${'chat'}
+  ${['chat']}               | ${'florp'}              | ${null}
+  ${['superchat', 'chat']}  | ${'chat, superchat'}    | ${'superchat'}
+  ${['chat', 'superchat']}  | ${'superchat,chat'}     | ${'chat'}
+  `('selects protocol $expected given $protocols and request $requested',
+    async ({ protocols, requested, expected }) => {
+      const app     = await makeInstance({ protocols });
+      const headers = { ...HTTP1_HEADERS };
+
+      if (requested !== null) {
+        headers['sec-websocket-protocol'] = requested;
+      }
+
+      const result = await handle(app, makeRequest('get', headers));
+
+      expect(result).toBeInstanceOf(WebSocketResponse);
+      expect(result.protocol).toBe(expected);
+    });
+
+  test('runs `_impl_handleConnection()` once the response is written', async () => {
+    const app      = await makeInstance();
+    const request  = makeRequest('get', HTTP1_HEADERS);
+    const result   = await handle(app, request);
+    const written  = [];
+    const socket   = new Duplex({
+      read() {
+        // @emptyBlock
+      },
+      write(chunk, encoding_unused, callback) {
+        written.push(Buffer.from(chunk));
+        callback();
+      }
+    });
+    const res = {
+      req: {
+        httpVersionMajor: 1,
+        headers:          { 'sec-websocket-key': HTTP1_HEADERS['sec-websocket-key'] }
+      },
+      socket,
+      getHeaderNames() { return []; },
+      getHeader() { return undefined; },
+      detachSocket() { this.socket = null; }
+    };
+
+    const done = result.writeTo(res);
+
+    // Respond to the close as the other side would.
+    await WallClock.waitForMsec(10);
+    socket.push(Buffer.from([0x88, 0x82, 0, 0, 0, 0, 0x03, 0xe8]));
+    socket.push(null);
+
+    expect(await done).toBeTrue();
+    expect(app.calls).toBeArrayOfSize(1);
+
+    const [{ connection, request: gotRequest }] = app.calls;
+    expect(connection).toBeInstanceOf(WebSocketConnection);
+    expect(gotRequest).toBe(request);
+    expect(connection.closeCode).toBe(1000);
+
+    expect(Buffer.concat(written).toString('latin1')).toEndWith(
+      '\r\n\r\n' +
+      '\x81\x06Hello!' +
+      '\x88\x02\x03\xe8');
+  });
+});
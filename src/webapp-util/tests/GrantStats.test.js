@@ -0,0 +1,128 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { Duration } from '@this/quant';
+import { GrantStats } from '@this/webapp-util';
+
+
+/**
+ * Makes a successful grant result, in the form recorded by {@link GrantStats}.
+ *
+ * @param {number} grant The grant amount.
+ * @param {number} waitSec The wait time, in seconds.
+ * @returns {object} The result.
+ */
+function granted(grant, waitSec) {
+  return { done: true, grant, reason: 'grant', waitTime: new Duration(waitSec) };
+}
+
+/**
+ * Makes a denial result, in the form recorded by {@link GrantStats}.
+ *
+ * @param {string} reason The reason for denial.
+ * @returns {object} The result.
+ */
+function denied(reason) {
+  return { done: false, grant: 0, reason, waitTime: Duration.ZERO };
+}
+
+describe('constructor()', () => {
+  test('does not throw', () => {
+    expect(() => new GrantStats()).not.toThrow();
+  });
+});
+
+describe('record()', () => {
+  test('rejects a successful result without a `Duration` wait time', () => {
+    const stats = new GrantStats();
+    expect(() => stats.record({ done: true, grant: 1, reason: 'grant', waitTime: 1 })).toThrow();
+  });
+});
+
+describe('snapshot()', () => {
+  test('has exactly the expected properties', () => {
+    const stats = new GrantStats();
+    expect(stats.snapshot()).toContainAllKeys(['denials', 'grantCount', 'grantedTokens', 'waitTime']);
+    expect(stats.snapshot().waitTime).toContainAllKeys(['buckets', 'count', 'sum']);
+  });
+
+  test('is all zeroes on a new instance', () => {
+    const { denials, grantCount, grantedTokens, waitTime } = new GrantStats().snapshot();
+
+    expect(denials).toStrictEqual({});
+    expect(grantCount).toBe(0);
+    expect(grantedTokens).toBe(0);
+    expect(waitTime.count).toBe(0);
+    expect(waitTime.sum).toBe(0);
+
+    for (const { count } of waitTime.buckets) {
+      expect(count).toBe(0);
+    }
+  });
+
+  test('has ascending bucket boundaries, ending with infinity', () => {
+    const { buckets } = new GrantStats().snapshot().waitTime;
+
+    for (let i = 1; i < buckets.length; i++) {
+      expect(buckets[i].le).toBeGreaterThan(buckets[i - 1].le);
+    }
+
+    expect(buckets.at(-1).le).toBe(Number.POSITIVE_INFINITY);
+  });
+
+  test('counts grants and granted tokens', () => {
+    const stats = new GrantStats();
+
+    stats.record(granted(10, 0));
+    stats.record(granted(0, 0));
+    stats.record(granted(5, 2));
+
+    const snap = stats.snapshot();
+    expect(snap.grantCount).toBe(3);
+    expect(snap.grantedTokens).toBe(15);
+  });
+
+  test('counts denials by reason', () => {
+    const stats = new GrantStats();
+
+    stats.record(denied('full'));
+    stats.record(denied('stopping'));
+    stats.record(denied('full'));
+
+    const snap = stats.snapshot();
+    expect(snap.denials).toStrictEqual({ full: 2, stopping: 1 });
+    expect(snap.grantCount).toBe(0);
+    expect(snap.waitTime.count).toBe(0);
+  });
+
+  test('produces a cumulative wait time histogram', () => {
+    const stats = new GrantStats();
+
+    stats.record(granted(1, 0));
+    stats.record(granted(1, 0));
+    stats.record(granted(1, 0.05));
+    stats.record(granted(1, 1));
+    stats.record(granted(1, 1000));
+
+    const { buckets, count, sum } = stats.snapshot().waitTime;
+    const countAt = (le) => buckets.find((b) => (b.le === le)).count;
+
+    expect(count).toBe(5);
+    expect(sum).toBeCloseTo(1001.05);
+    expect(countAt(0)).toBe(2);
+    expect(countAt(0.01)).toBe(2);
+    expect(countAt(0.1)).toBe(3);
+    expect(countAt(1)).toBe(4);
+    expect(countAt(60)).toBe(4);
+    expect(countAt(Number.POSITIVE_INFINITY)).toBe(5);
+  });
+
+  test('returns a new object every time', () => {
+    const stats = new GrantStats();
+    const snap1 = stats.snapshot();
+
+    stats.record(granted(1, 0));
+    expect(snap1.grantCount).toBe(0);
+    expect(stats.snapshot()).not.toBe(snap1);
+  });
+});
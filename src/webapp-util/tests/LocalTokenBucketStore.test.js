@@ -0,0 +1,101 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import { MockTimeSource } from '@this/clocky/testing';
+import { Frequency } from '@this/quant';
+import { LocalTokenBucketStore } from '@this/webapp-util';
+
+
+const OPTIONS = Object.freeze({
+  flowRate:         new Frequency(2),
+  initialBurstSize: 10,
+  maxBurstSize:     20,
+  partialTokens:    false
+});
+
+describe('constructor', () => {
+  test('accepts no arguments', () => {
+    expect(() => new LocalTokenBucketStore()).not.toThrow();
+  });
+
+  test('accepts a `timeSource`', () => {
+    expect(() => new LocalTokenBucketStore({ timeSource: new MockTimeSource() })).not.toThrow();
+  });
+
+  test('rejects a non-time-source `timeSource`', () => {
+    expect(() => new LocalTokenBucketStore({ timeSource: 'florp' })).toThrow();
+  });
+});
+
+describe('take()', () => {
+  let time;
+  let store;
+
+  beforeEach(() => {
+    time  = new MockTimeSource(1000);
+    store = new LocalTokenBucketStore({ timeSource: time });
+  });
+
+  afterEach(async () => {
+    await time._end();
+  });
+
+  test('starts a new bucket at `initialBurstSize`', async () => {
+    expect(await store.take('x', OPTIONS, 0, 0)).toEqual({ availableBurstSize: 10, grant: 0 });
+    expect(store.bucketCount).toBe(1);
+  });
+
+  test('grants the maximum available within the requested range', async () => {
+    expect(await store.take('x', OPTIONS, 1, 7)).toEqual({ availableBurstSize: 3, grant: 7 });
+    expect(await store.take('x', OPTIONS, 1, 7)).toEqual({ availableBurstSize: 0, grant: 3 });
+  });
+
+  test('grants nothing if the minimum cannot be met', async () => {
+    expect(await store.take('x', OPTIONS, 11, 11)).toEqual({ availableBurstSize: 10, grant: 0 });
+  });
+
+  test('never grants more than `maxBurstSize`', async () => {
+    await store.take('x', OPTIONS, 0, 0);
+    time._setTime(1020);
+    expect(await store.take('x', OPTIONS, 1, 100)).toEqual({ availableBurstSize: 0, grant: 20 });
+  });
+
+  test('tops up based on elapsed time and `flowRate`', async () => {
+    await store.take('x', OPTIONS, 10, 10);
+    time._setTime(1002.25);
+    expect(await store.take('x', OPTIONS, 0, 0)).toEqual({ availableBurstSize: 4.5, grant: 0 });
+    expect(await store.take('x', OPTIONS, 1, 10)).toEqual({ availableBurstSize: 0.5, grant: 4 });
+  });
+
+  test('grants partial tokens when asked to', async () => {
+    const options = { ...OPTIONS, partialTokens: true, initialBurstSize: 2.5 };
+    expect(await store.take('x', options, 1, 10)).toEqual({ availableBurstSize: 0, grant: 2.5 });
+  });
+
+  test('keeps separate buckets for separate keys', async () => {
+    expect((await store.take('x', OPTIONS, 10, 10)).grant).toBe(10);
+    expect((await store.take('y', OPTIONS, 10, 10)).grant).toBe(10);
+    expect(store.bucketCount).toBe(2);
+  });
+
+  test('clamps to a reduced `maxBurstSize`', async () => {
+    await store.take('x', OPTIONS, 0, 0);
+    expect(await store.take('x', { ...OPTIONS, maxBurstSize: 5 }, 0, 0))
+      .toEqual({ availableBurstSize: 5, grant: 0 });
+  });
+
+  test('forgets buckets which have filled back up, when it checks for them', async () => {
+    await store.take('x', OPTIONS, 10, 10);  // Full again at 1010.
+    await store.take('y', OPTIONS, 1, 1);    // Full again at 1005.5.
+
+    // Not yet time to check.
+    time._setTime(1058);
+    await store.take('z', OPTIONS, 10, 10);  // Full again at 1068.
+    expect(store.bucketCount).toBe(3);
+
+    time._setTime(1061);
+    await store.take('w', OPTIONS, 0, 0);
+    expect(store.bucketCount).toBe(2);
+    expect(await store.take('z', OPTIONS, 0, 0)).toEqual({ availableBurstSize: 6, grant: 0 });
+  });
+});
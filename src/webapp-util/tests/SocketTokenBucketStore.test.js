@@ -0,0 +1,258 @@
+// Copyright 2022-2025 the Lactoserv Authors (Dan Bornstein et alia).
+// SPDX-License-Identifier: Apache-2.0
+
+import * as fs from 'node:fs/promises';
+import { connect as netConnect, createServer as netCreateServer } from 'node:net';
+import { tmpdir } from 'node:os';
+import { setImmediate } from 'node:timers/promises';
+
+import { WallClock } from '@this/clocky';
+import { Frequency } from '@this/quant';
+import { SocketTokenBucketStore } from '@this/webapp-util';
+
+
+const OPTIONS = Object.freeze({
+  flowRate:         new Frequency(0.001),
+  initialBurstSize: 10,
+  maxBurstSize:     10,
+  partialTokens:    false
+});
+
+/**
+ * Checks the result of a call to `take()`. Because the tests run in real time,
+ * a tiny bit of burst capacity gets added between calls, so the available
+ * burst size is only checked approximately.
+ *
+ * @param {Promise<object>} resultPromise The result of the call.
+ * @param {number} grant The expected grant.
+ * @param {number} availableBurstSize The expected available burst size.
+ */
+async function checkTake(resultPromise, grant, availableBurstSize) {
+  const result = await resultPromise;
+
+  expect(result.grant).toBe(grant);
+  expect(result.availableBurstSize).toBeCloseTo(availableBurstSize, 2);
+}
+
+describe('constructor', () => {
+  test('accepts an absolute `path`', () => {
+    expect(() => new SocketTokenBucketStore({ path: '/florp/like.sock' })).not.toThrow();
+  });
+
+  test('rejects a relative `path`', () => {
+    expect(() => new SocketTokenBucketStore({ path: 'florp/like.sock' })).toThrow();
+  });
+
+  test.each`
+  value
+  ${0}
+  ${-1}
+  ${'florp'}
+  ${Infinity}
+  `('rejects `requestTimeoutMsec` of `$value`', ({ value }) => {
+    const options = { path: '/florp/like.sock', requestTimeoutMsec: value };
+    expect(() => new SocketTokenBucketStore(options)).toThrow();
+  });
+});
+
+describe('take()', () => {
+  let dir;
+  let path;
+  let stores;
+
+  function makeStore(options = {}) {
+    const store = new SocketTokenBucketStore({ path, ...options });
+
+    stores.push(store);
+    return store;
+  }
+
+  beforeEach(async () => {
+    dir    = await fs.mkdtemp(`${tmpdir()}/token-store-`);
+    path   = `${dir}/limits.sock`;
+    stores = [];
+  });
+
+  afterEach(async () => {
+    for (const s of stores) {
+      await s.stop();
+    }
+
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  test('serves the state when it is the first instance to use the socket', async () => {
+    const store = makeStore();
+
+    await checkTake(store.take('x', OPTIONS, 3, 3), 3, 7);
+    expect(store.isServing).toBeTrue();
+  });
+
+  test('shares the state with other instances', async () => {
+    const store1 = makeStore();
+    const store2 = makeStore();
+    const store3 = makeStore();
+
+    await checkTake(store1.take('x', OPTIONS, 3, 3), 3, 7);
+    await checkTake(store2.take('x', OPTIONS, 3, 3), 3, 4);
+    await checkTake(store3.take('x', OPTIONS, 5, 5), 0, 4);
+    await checkTake(store3.take('y', OPTIONS, 5, 5), 5, 5);
+
+    expect(store1.isServing).toBeTrue();
+    expect(store2.isServing).toBeFalse();
+    expect(store3.isServing).toBeFalse();
+  });
+
+  test('handles simultaneous requests', async () => {
+    const store1  = makeStore();
+    const store2  = makeStore();
+
+    await store1.take('x', OPTIONS, 0, 0);
+
+    const results = await Promise.all([1, 2, 3, 4, 5].map(() => store2.take('x', OPTIONS, 3, 3)));
+    const granted = results.reduce((acc, r) => acc + r.grant, 0);
+
+    expect(granted).toBe(9);
+  });
+
+  test('takes over serving when the serving instance stops', async () => {
+    const store1 = makeStore();
+    const store2 = makeStore();
+
+    await store1.take('x', OPTIONS, 3, 3);
+    await store2.take('x', OPTIONS, 3, 3);
+    await store1.stop();
+
+    // The state starts over.
+    await checkTake(store2.take('x', OPTIONS, 3, 3), 3, 7);
+    expect(store2.isServing).toBeTrue();
+  });
+
+  test('removes a stale socket file', async () => {
+    await fs.writeFile(path, '');
+
+    const store = makeStore();
+
+    await checkTake(store.take('x', OPTIONS, 3, 3), 3, 7);
+    expect(store.isServing).toBeTrue();
+  });
+
+  test('takes over a stale socket only once when several instances try at the same time', async () => {
+    // Leave a socket file behind which nothing is listening on anymore: Listen
+    // on a different path, link it, and then close the server (which removes
+    // only the original path).
+    const server = netCreateServer();
+
+    await new Promise((resolve) => server.listen(`${dir}/gone.sock`, resolve));
+    await fs.link(`${dir}/gone.sock`, path);
+    await new Promise((resolve) => server.close(resolve));
+
+    const all = [1, 2, 3, 4, 5].map(() => makeStore());
+
+    // Note: The instances start a turn of the event loop apart, so that their
+    // connection attempts, file removals, and listens interleave.
+    await Promise.all(all.map(async (s, i) => {
+      for (let n = 0; n < i; n++) {
+        await setImmediate();
+      }
+
+      return s.take('x', OPTIONS, 1, 1);
+    }));
+
+    // If more than one instance ended up serving, all but one should notice
+    // and stop within a couple of seconds.
+    for (let i = 0; i < 40; i++) {
+      if (all.filter((s) => s.isServing).length <= 1) {
+        break;
+      }
+
+      await WallClock.waitForMsec(100);
+    }
+
+    expect(all.filter((s) => s.isServing)).toHaveLength(1);
+
+    // The state is shared.
+    const results = [];
+    for (const s of all) {
+      results.push(await s.take('y', OPTIONS, 3, 3));
+    }
+
+    expect(results.map((r) => r.grant)).toEqual([3, 3, 3, 0, 0]);
+  });
+
+  test('stops serving when its socket file goes away', async () => {
+    const store1 = makeStore();
+    const store2 = makeStore();
+
+    await store1.take('x', OPTIONS, 3, 3);
+    await store2.take('x', OPTIONS, 3, 3);
+    await fs.rm(path);
+
+    for (let i = 0; (i < 40) && store1.isServing; i++) {
+      await WallClock.waitForMsec(100);
+    }
+
+    expect(store1.isServing).toBeFalse();
+
+    // The two instances end up sharing (new) state.
+    await checkTake(store2.take('x', OPTIONS, 3, 3), 3, 7);
+    await checkTake(store1.take('x', OPTIONS, 3, 3), 3, 4);
+    expect(store2.isServing).toBeTrue();
+  });
+
+  test('disconnects a client which sends an overly long line', async () => {
+    const store = makeStore();
+
+    await store.take('x', OPTIONS, 3, 3);
+
+    const socket = netConnect({ path });
+    const closed = new Promise((resolve) => socket.once('close', resolve));
+
+    socket.on('error', () => null);
+    socket.write('x'.repeat(100_000));
+
+    await closed;
+    expect(store.isServing).toBeTrue();
+  });
+
+  test('falls back to local state when the socket cannot be used', async () => {
+    path = `${dir}/not/a/directory/limits.sock`;
+
+    const store1 = makeStore();
+    const store2 = makeStore();
+
+    await checkTake(store1.take('x', OPTIONS, 3, 3), 3, 7);
+    await checkTake(store2.take('x', OPTIONS, 3, 3), 3, 7);
+    expect(store1.isServing).toBeFalse();
+  });
+
+  test('falls back to local state when the server does not respond', async () => {
+    // A "server" which accepts connections but never says anything. (It does
+    // read, so that it notices when its connections get closed.)
+    const server = netCreateServer((socket) => socket.resume());
+
+    await new Promise((resolve) => server.listen(path, resolve));
+
+    const store = makeStore({ requestTimeoutMsec: 100 });
+
+    await checkTake(store.take('x', OPTIONS, 3, 3), 3, 7);
+    expect(store.isServing).toBeFalse();
+
+    // This one shouldn't even try the server.
+    const before = WallClock.now().atMsec;
+    await checkTake(store.take('x', OPTIONS, 3, 3), 3, 4);
+    expect(WallClock.now().atMsec - before).toBeLessThan(100);
+
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  test('uses local state after being stopped', async () => {
+    const store1 = makeStore();
+    const store2 = makeStore();
+
+    await store1.take('x', OPTIONS, 3, 3);
+    await store2.stop();
+
+    await checkTake(store2.take('x', OPTIONS, 3, 3), 3, 7);
+  });
+});
@@ -7,7 +7,7 @@ import { PromiseState } from '@this/async';
 import { IntfTimeSource, StdTimeSource } from '@this/clocky';
 import { MockTimeSource } from '@this/clocky/testing';
 import { Duration, Frequency, Moment } from '@this/quant';
-import { TokenBucket } from '@this/webapp-util';
+import { LocalTokenBucketStore, TokenBucket } from '@this/webapp-util';
 
 
 /**
@@ -377,7 +377,7 @@ describe('.config', () => {
     const bucket = new TokenBucket({ flowRate: FLOW_TINY, maxBurstSize: 100000 });
     expect(bucket.config).toContainAllKeys([
       'flowRate', 'initialBurstSize', 'maxBurstSize', 'maxQueueGrantSize',
-      'maxQueueSize', 'partialTokens', 'timeSource'
+      'maxQueueSize', 'partialTokens', 'store', 'storeKey', 'timeSource'
     ]);
   });
 });
@@ -825,6 +825,115 @@ describe('latestState()', () => {
   });
 });
 
+describe('snapshot()', () => {
+  test('has exactly the expected properties', () => {
+    const bucket = new TokenBucket({ flowRate: FLOW_BIG, maxBurstSize: 100000 });
+    expect(bucket.snapshot()).toContainAllKeys([
+      'availableBurstSize', 'availableQueueSize', 'maxBurstSize', 'maxQueueSize',
+      'queueSize', 'stats', 'waiterCount'
+    ]);
+  });
+
+  test('reflects the configuration and initial state', () => {
+    const bucket = new TokenBucket({
+      flowRate: FLOW_1, maxBurstSize: 100, initialBurstSize: 12, maxQueueSize: 50 });
+    const snap   = bucket.snapshot();
+
+    expect(snap.availableBurstSize).toBe(12);
+    expect(snap.availableQueueSize).toBe(50);
+    expect(snap.maxBurstSize).toBe(100);
+    expect(snap.maxQueueSize).toBe(50);
+    expect(snap.queueSize).toBe(0);
+    expect(snap.waiterCount).toBe(0);
+    expect(snap.stats.grantCount).toBe(0);
+    expect(snap.stats.denials).toStrictEqual({});
+  });
+
+  test('reports `maxQueueSize === null` when the queue is unlimited', () => {
+    const bucket = new TokenBucket({ flowRate: FLOW_1, maxBurstSize: 100 });
+    expect(bucket.snapshot().maxQueueSize).toBeNull();
+  });
+
+  test('counts grants, granted tokens, and denials', async () => {
+    const time   = new MockTimeSource(1000);
+    const bucket = new TokenBucket({
+      flowRate: FLOW_1, maxBurstSize: 100, initialBurstSize: 30, maxQueueSize: 5,
+      timeSource: time
+    });
+
+    await bucket.requestGrant({ minInclusive: 1, maxInclusive: 10 });
+    await bucket.requestGrant({ minInclusive: 1, maxInclusive: 15 });
+    await bucket.requestGrant({ minInclusive: 1, maxInclusive: 100 });
+
+    const queued = bucket.requestGrant(5);
+    await bucket.requestGrant(5);
+    await bucket.requestGrant(1);
+
+    time._setTime(1005);
+    await expect(queued).toResolve();
+
+    const { stats } = bucket.snapshot();
+    expect(stats.grantCount).toBe(4);
+    expect(stats.grantedTokens).toBe(35);
+    expect(stats.denials).toStrictEqual({ full: 2 });
+
+    await time._end();
+  });
+
+  test('does not count calls to `takeNow()`', () => {
+    const bucket = new TokenBucket({ flowRate: FLOW_1, maxBurstSize: 100 });
+
+    bucket.takeNow(10);
+    expect(bucket.snapshot().stats.grantCount).toBe(0);
+  });
+
+  test('tracks queue depth and the wait time distribution', async () => {
+    const time   = new MockTimeSource(1000);
+    const bucket = new TokenBucket({
+      flowRate: FLOW_1, maxBurstSize: 10000, initialBurstSize: 0, timeSource: time });
+
+    const result1 = bucket.requestGrant(10);
+    const result2 = bucket.requestGrant(15);
+
+    expect(bucket.snapshot().queueSize).toBe(25);
+    expect(bucket.snapshot().waiterCount).toBe(2);
+
+    time._setTime(1010);
+    await expect(result1).toResolve();
+    expect(bucket.snapshot().queueSize).toBe(15);
+
+    time._setTime(1025);
+    await expect(result2).toResolve();
+
+    const snap = bucket.snapshot();
+    expect(snap.queueSize).toBe(0);
+    expect(snap.waiterCount).toBe(0);
+
+    const { waitTime } = snap.stats;
+    expect(waitTime.count).toBe(2);
+    expect(waitTime.sum).toBe(10 + 25);
+    expect(waitTime.buckets.find(({ le }) => (le === 1)).count).toBe(0);
+    expect(waitTime.buckets.find(({ le }) => (le === 10)).count).toBe(1);
+    expect(waitTime.buckets.at(-1)).toStrictEqual({ le: Number.POSITIVE_INFINITY, count: 2 });
+
+    await time._end();
+  });
+
+  test('counts denials due to `denyAllRequests()`', async () => {
+    const time   = new MockTimeSource(1000);
+    const bucket = new TokenBucket({
+      flowRate: FLOW_1, maxBurstSize: 10000, initialBurstSize: 0, timeSource: time });
+
+    const result = bucket.requestGrant(10);
+    await bucket.denyAllRequests();
+    await expect(result).toResolve();
+
+    expect(bucket.snapshot().stats.denials).toStrictEqual({ stopping: 1 });
+
+    await time._end();
+  });
+});
+
 describe('takeNow()', () => {
   describe('when there are no waiters', () => {
     test('succeeds given an exact token quantity and sufficient available burst', async () => {
@@ -1068,3 +1177,94 @@ describe('takeNow()', () => {
     });
   });
 });
+
+describe('with a `store`', () => {
+  test('accepts `store` with `storeKey`', () => {
+    const store  = new LocalTokenBucketStore();
+    const bucket = new TokenBucket({ flowRate: FLOW_1, maxBurstSize: 1, store, storeKey: 'florp' });
+
+    expect(bucket.config.store).toBe(store);
+    expect(bucket.config.storeKey).toBe('florp');
+  });
+
+  test('rejects `store` without `storeKey`', () => {
+    const store = new LocalTokenBucketStore();
+    expect(() => new TokenBucket({ flowRate: FLOW_1, maxBurstSize: 1, store })).toThrow();
+  });
+
+  test('rejects `storeKey` without `store`', () => {
+    expect(() => new TokenBucket({ flowRate: FLOW_1, maxBurstSize: 1, storeKey: 'florp' })).toThrow();
+  });
+
+  test('rejects a non-store `store`', () => {
+    expect(() => new TokenBucket({ flowRate: FLOW_1, maxBurstSize: 1, store: {}, storeKey: 'x' })).toThrow();
+  });
+
+  test('does not allow `takeNow()`', () => {
+    const store  = new LocalTokenBucketStore();
+    const bucket = new TokenBucket({ flowRate: FLOW_1, maxBurstSize: 1, store, storeKey: 'x' });
+
+    expect(() => bucket.takeNow(1)).toThrow(/store/);
+  });
+
+  test('shares a budget between instances with the same key', async () => {
+    const time    = new MockTimeSource(1000);
+    const store   = new LocalTokenBucketStore({ timeSource: time });
+    const options = { flowRate: FLOW_1, maxBurstSize: 10, store, storeKey: 'x', timeSource: time };
+    const bucket1 = new TokenBucket(options);
+    const bucket2 = new TokenBucket(options);
+
+    await checkGrant(bucket1.requestGrant(6), { done: true, grant: 6, reason: 'grant', waitTime: 0 });
+    await checkGrant(bucket2.requestGrant(4), { done: true, grant: 4, reason: 'grant', waitTime: 0 });
+    expect(bucket1.latestState().availableBurstSize).toBe(4);
+    expect(bucket2.latestState().availableBurstSize).toBe(0);
+
+    const result = bucket1.requestGrant(1);
+    await setImmediate();
+    expect(PromiseState.isPending(result)).toBeTrue();
+
+    await bucket1.denyAllRequests();
+    await checkGrant(result, { done: false, grant: 0, reason: 'stopping', waitTime: 0 });
+
+    await time._end();
+  });
+
+  test('does not share a budget between instances with different keys', async () => {
+    const time    = new MockTimeSource(1000);
+    const store   = new LocalTokenBucketStore({ timeSource: time });
+    const options = { flowRate: FLOW_1, maxBurstSize: 10, store, timeSource: time };
+    const bucket1 = new TokenBucket({ ...options, storeKey: 'x' });
+    const bucket2 = new TokenBucket({ ...options, storeKey: 'y' });
+
+    await checkGrant(bucket1.requestGrant(10), { done: true, grant: 10, reason: 'grant', waitTime: 0 });
+    await checkGrant(bucket2.requestGrant(10), { done: true, grant: 10, reason: 'grant', waitTime: 0 });
+
+    await time._end();
+  });
+
+  test('grants queued requests once the shared bucket fills back up', async () => {
+    const time    = new MockTimeSource(1000);
+    const store   = new LocalTokenBucketStore({ timeSource: time });
+    const options = { flowRate: FLOW_1, maxBurstSize: 10, initialBurstSize: 0, store, storeKey: 'x', timeSource: time };
+    const bucket1 = new TokenBucket(options);
+    const bucket2 = new TokenBucket(options);
+
+    const result1 = bucket1.requestGrant(3);
+    const result2 = bucket2.requestGrant(2);
+
+    await setImmediate();
+    expect(PromiseState.isPending(result1)).toBeTrue();
+    expect(PromiseState.isPending(result2)).toBeTrue();
+
+    time._setTime(1002);
+    await setImmediate();
+    await setImmediate();
+    expect(PromiseState.isPending(result1)).toBeTrue();
+    await checkGrant(result2, { done: true, grant: 2, reason: 'grant', waitTime: 2 });
+
+    time._setTime(1005);
+    await checkGrant(result1, { done: true, grant: 3, reason: 'grant', waitTime: 5 });
+
+    await time._end();
+  });
+});